@@ -0,0 +1,262 @@
+// ─── CBT GRADING HELPERS ─────────────────────────────────────────────
+//
+// Pure functions shared by the CBT callables in index.js. These MUST
+// stay byte-for-byte equivalent to the seeded shuffle the student view
+// used to run in the browser — the results in cbt_exams/{examId}/results
+// (including those migrated from the retired nv/cbtResults) were graded
+// against this exact question/option order, and a student who refreshes
+// mid-exam has to get the same paper back.
+//
+// Typed questions (see questionTypes.js) reuse the same per-question
+// option shuffle; only classic MCQs keep the original four-slot rule.
+
+import { questionType, scoreResponse, encodeValue, decodeValue } from "./questionTypes.js";
+import { scoringScheme, scorePaper } from "./scoring.js";
+
+// Seed = exam id + sum of the student's email char codes (deterministic
+// per student+exam, so a refresh reproduces the same order).
+export function cbtSeed(examId, student) {
+  return examId + String(student).split("").reduce((s, c) => s + c.charCodeAt(0), 0);
+}
+
+// Fisher-Yates with an LCG — same constants as the original client code.
+export function seededShuffle(arr, seed) {
+  const a = [...arr];
+  let s = seed;
+  for (let i = a.length - 1; i > 0; i--) {
+    s = (s * 1664525 + 1013904223) & 0xffffffff;
+    const j = Math.abs(s) % (i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// Random subsets: with `drawEnabled`, exam.questions is a pool and each
+// student sits `draw[tag]` questions from every tag (the question's
+// `cat`, "" for untagged). Tags missing from `draw` — questions added
+// after it was set — are delivered in full. Mirrors
+// src/shared/cbtHelpers.js cbtDrawPlan.
+export const cbtTagOf = (q) => String(q?.cat || "").trim();
+
+export function drawSubset(exam, seed) {
+  const questions = exam.questions || [];
+  const byTag = {};
+  questions.forEach((q, i) => { (byTag[cbtTagOf(q)] = byTag[cbtTagOf(q)] || []).push(i); });
+  const picked = [];
+  Object.keys(byTag).sort().forEach((tag, ti) => {
+    const want = exam.draw?.[tag];
+    const idx = byTag[tag];
+    if (want === undefined || want === null || want >= idx.length) { picked.push(...idx); return; }
+    picked.push(...seededShuffle(idx, seed + (ti + 1) * 7919).slice(0, Math.max(0, want)));
+  });
+  return picked.sort((a, b) => a - b);
+}
+
+// Sections: `exam.sections` splits the paper into parts sat in order,
+// each with its own instructions, optional timer (minutes, 0 = runs on
+// the exam's clock), marks per question, negative-marking fraction
+// (see scoring.js; both default to the exam's `scoring`) and
+// lock-on-leave. A question's `section` holds its section id; one
+// without a (known) id belongs to the first. A timed section always
+// locks once left — its time can't be spent twice. Mirrors
+// src/shared/cbtHelpers.js cbtSections.
+export const cbtSections = (exam) => {
+  const scheme = scoringScheme(exam.scoring);
+  return (exam.sections || []).map(s => ({
+    id: String(s.id),
+    title: s.title || "",
+    instructions: s.instructions || "",
+    duration: Math.max(0, Number(s.duration) || 0),
+    marks: Number(s.marks) > 0 ? Number(s.marks) : scheme.marks,
+    negative: s.negative === undefined || s.negative === null || s.negative === ""
+      ? scheme.negative : Math.min(1, Math.max(0, Number(s.negative) || 0)),
+    lockOnLeave: !!s.lockOnLeave || Number(s.duration) > 0,
+  }));
+};
+
+export const cbtSectionIndex = (sections, q) =>
+  Math.max(0, sections.findIndex(s => s.id === String(q?.section ?? "")));
+
+// Per-student delivery order: which original question sits at each
+// position, and which original option sits at each displayed letter.
+// Pools draw the student's subset first; its order is then saved on the
+// attempt's session (see index.js) so later pool edits can't move it.
+// Sections stay in order and only shuffle their own questions.
+export function buildPaperOrder(exam, student) {
+  const questions = exam.questions || [];
+  const seed = cbtSeed(exam.id, student);
+  const idx = exam.drawEnabled ? drawSubset(exam, seed) : questions.map((_, i) => i);
+  const sections = cbtSections(exam);
+  const qOrder = sections.length
+    ? sections.flatMap((_, si) => {
+        const mine = idx.filter(i => cbtSectionIndex(sections, questions[i]) === si);
+        return exam.shuffleQuestions ? seededShuffle(mine, seed + (si + 1) * 104729) : mine;
+      })
+    : exam.shuffleQuestions ? seededShuffle(idx, seed) : idx;
+  const optOrders = questions.map((q, qi) => {
+    const type = questionType(q);
+    if (type === "hotspot") return [];
+    const present = type === "mcq"
+      ? [0, 1, 2, 3].filter(i => q.options?.[i])
+      : (q.options || []).map((_, i) => i).filter(i => q.options[i]);
+    // True/False reads oddly reversed; ordering items must always be
+    // shuffled or the paper shows the answer.
+    const shuffle = type === "ordering" || (exam.shuffleOptions && type !== "tf");
+    return shuffle ? seededShuffle(present, seed + qi * 7) : present;
+  });
+  return qOrder.map(origQIdx => ({ origQIdx, optOrder: optOrders[origQIdx] }));
+}
+
+// The sections of one student's paper as position ranges: [{ ...section,
+// start, count }]. Sections the student drew no questions from are left
+// out, so indices here are what the session's `section` counts in.
+export function paperSections(exam, order) {
+  const sections = cbtSections(exam);
+  return sections.map((s, si) => {
+    const positions = order.flatMap((o, pos) =>
+      cbtSectionIndex(sections, exam.questions[o.origQIdx]) === si ? [pos] : []);
+    return { ...s, start: positions.length ? positions[0] : 0, count: positions.length };
+  }).filter(s => s.count);
+}
+
+// Answer-stripped paper in the student's order — this is the only shape
+// of an exam's questions a student's browser ever receives.
+export function stripPaper(exam, order) {
+  return order.map(({ origQIdx, optOrder }) => {
+    const src = exam.questions[origQIdx];
+    const type = questionType(src);
+    const q = { q: src.q, options: optOrder.map(oi => src.options[oi]), ...(Number(src.marks) > 0 ? { marks: Number(src.marks) } : {}) };
+    if (type === "mcq") return q;
+    return {
+      ...q, type,
+      ...(type === "matching" ? { prompts: src.prompts || [] } : {}),
+      ...(type === "hotspot" ? { image: src.image || "" } : {}),
+    };
+  });
+}
+
+// Displayed-letter response → original option indices (null when blank
+// or malformed). Shape depends on the type: index, index list, or
+// {x, y} click for hotspots.
+export function toOrigResponse(q, optOrder, resp) {
+  const orig = (d) => Number.isInteger(d) && d >= 0 && d < optOrder.length ? optOrder[d] : null;
+  switch (questionType(q)) {
+    case "sata":
+    case "ordering": {
+      if (!Array.isArray(resp)) return null;
+      const list = [...new Set(resp.map(orig).filter(v => v !== null))];
+      return list.length ? list : null;
+    }
+    case "matching": {
+      if (!Array.isArray(resp)) return null;
+      const list = (q.prompts || []).map((_, pi) => orig(resp[pi]));
+      return list.some(v => v !== null) ? list : null;
+    }
+    case "hotspot":
+      return resp && typeof resp.x === "number" && typeof resp.y === "number"
+        ? { x: resp.x, y: resp.y } : null;
+    default:
+      return orig(resp);
+  }
+}
+
+// Original-index value (a response or a key) → displayed letters.
+export function toDisplayResponse(q, optOrder, value) {
+  if (value === null || value === undefined) return null;
+  const type = questionType(q);
+  if (type === "hotspot") return value;
+  if (Array.isArray(value)) return value.map(v => v === null ? null : optOrder.indexOf(v));
+  return optOrder.indexOf(value);
+}
+
+// Marks each kind of flag costs; tab switches and anything else carry
+// none. firestore.rules holds a violation's `penaltyApplied` to these.
+export const VIOLATION_PENALTIES = { fullscreen_exit: 0.5, screenshot_attempt: 0.5 };
+
+// Sum of penalties for this attempt's flags. Worked out from each flag's
+// type — the `penaltyApplied` the browser writes is only for display.
+// Flags a lecturer has dismissed on review cost nothing.
+export function violationPenalty(violations, examId, student) {
+  return (violations || [])
+    .filter(v => String(v.examId) === String(examId) && v.student === student)
+    .filter(v => v.review?.status !== "dismissed")
+    .reduce((s, v) => s + (VIOLATION_PENALTIES[v.type] || 0), 0);
+}
+
+// Marks off for the attempt's flags. No fullscreen penalty for a student
+// exempted from fullscreen (acc: their accommodation).
+export const attemptPenalties = (violations, exam, student, acc) => violationPenalty(
+  acc?.noFullscreen ? violations.filter(v => v.type !== "fullscreen_exit") : violations, exam.id, student);
+
+// Section rules on a graded sheet: answers frozen when the student left
+// a locked section win over anything sent or autosaved for those
+// positions later, and sections the student never reached count blank
+// (only advanceCbtSection in index.js moves session.section on).
+// sections: paperSections of the student's order.
+export const withSectionRules = (answers, session, sections) => {
+  const current = session.section !== undefined ? sections[session.section] : null;
+  const reached = current ? current.start + current.count : answers.length;
+  return answers.map((a, pos) => pos >= reached ? null
+    : session.locked && pos in session.locked ? session.locked[pos] : a);
+};
+
+// Marks a script: picks is [{ origQIdx, resp }] with each response in
+// original indices (null when blank). Marking follows exam.scoring (see
+// scoring.js); in a sectioned paper each section's marks and negative
+// fraction apply to its questions and `sections` carries the
+// per-section breakdown (before penalties). Questions in `discarded`
+// (dropped at moderation, see index.js) count for nobody — they leave
+// the score and the total alike.
+export function markResponses(exam, keys, picks, penalties, discarded = []) {
+  const sections = cbtSections(exam);
+  const dropped = new Set(discarded);
+  const items = picks.filter(p => !dropped.has(p.origQIdx)).map(({ origQIdx, resp }) => {
+    const q = exam.questions[origQIdx];
+    const credit = resp !== null && resp !== undefined ? scoreResponse(q, keys[origQIdx], resp) : null;
+    if (!sections.length) return { q, credit };
+    const si = cbtSectionIndex(sections, q);
+    return { q, credit, si, scheme: { marks: sections[si].marks, negative: sections[si].negative } };
+  });
+  const { rawScore, score, total, percent, passed } = scorePaper(items, exam.scoring, penalties);
+  return {
+    rawScore, score, total, percent, passed,
+    ...(sections.length ? {
+      sections: sections.map((s, si) => {
+        const mine = items.filter(it => it.si === si);
+        const part = scorePaper(mine, exam.scoring);
+        return {
+          id: s.id, title: s.title, score: part.rawScore, total: part.total,
+          answered: mine.filter(it => it.credit !== null).length, count: mine.length,
+        };
+      }).filter(s => s.count),
+    } : {}),
+  };
+}
+
+// answers: displayed response (or null) per delivered position.
+// keys:    correct original-index value per original question.
+// `responses` comes back Firestore-encoded, ready to store on the result.
+export function gradeAttempt(exam, keys, order, answers, penalties, discarded = []) {
+  const responses = new Array(exam.questions.length).fill(null);
+  const correctDisplay = [];
+  const picks = order.map(({ origQIdx, optOrder }, pos) => {
+    const q = exam.questions[origQIdx];
+    const chosenOrig = toOrigResponse(q, optOrder, answers?.[pos]);
+    responses[origQIdx] = encodeValue(chosenOrig);
+    correctDisplay.push(toDisplayResponse(q, optOrder, keys[origQIdx]));
+    return { origQIdx, resp: chosenOrig };
+  });
+  return { ...markResponses(exam, keys, picks, penalties, discarded), responses, correctDisplay };
+}
+
+// Marks a stored result again from its `responses` and `delivered` —
+// after a question is discarded or restored. The result's current
+// penalties stand. null for results graded before `responses` existed.
+export function regradeResult(exam, keys, result, discarded = []) {
+  if (!Array.isArray(result.responses)) return null;
+  const delivered = Array.isArray(result.delivered) ? result.delivered : exam.questions.map((_, i) => i);
+  const picks = delivered
+    .filter(qi => exam.questions[qi])
+    .map(qi => ({ origQIdx: qi, resp: decodeValue(result.responses[qi] ?? null) }));
+  return markResponses(exam, keys, picks, Number(result.penaltyDeductions) || 0, discarded);
+}
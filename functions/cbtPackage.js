@@ -0,0 +1,72 @@
+// ─── OFFLINE CBT PACKAGES ────────────────────────────────────────────
+//
+// Server half of offline delivery (the browser half is
+// src/shared/cbtPackage.js — keep the formats in step).
+//
+// A package is the student's answer-stripped paper, encrypted with
+// AES-256-GCM under a key derived (PBKDF2-SHA256) from the exam's hall
+// start code. Students download it while they still have data; the
+// code is only announced in the hall when the sitting starts, so the
+// paper can't be read early. GCM authenticates the ciphertext and the
+// envelope header (as additional data), so an edited package simply
+// fails to open.
+//
+// Inside the package is a per-student submit key. The browser HMACs its
+// saved progress and the final sheet with it (SHA-256 over canonical
+// JSON), and an upload whose MAC doesn't match is refused — that catches
+// a sheet damaged in storage or edited by hand. It is a checksum, not
+// proof: the key sits on the student's device, so whoever digs it out
+// can re-sign an edited sheet. The server therefore trusts only what it
+// recorded itself (when the package was issued, when the sheet arrived,
+// the exam window) and treats the sheet's own times as the device's
+// claim, checked against those.
+
+import { createCipheriv, createHmac, pbkdf2Sync, randomBytes, timingSafeEqual } from "node:crypto";
+
+export const PACKAGE_VERSION = 1;
+const PBKDF2_ITERATIONS = 150000;
+
+// Codes are read out in the hall — case, spaces and dashes don't matter.
+export const normaliseStartCode = (code) => String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// JSON with object keys sorted at every level, so both sides sign the
+// same bytes whatever order the fields were built in.
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(v => canonicalJson(v === undefined ? null : v)).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export const newSubmitKey = () => randomBytes(32).toString("base64");
+export const newPackageId = () => randomBytes(9).toString("base64url");
+
+const packageAad = (examId, student, packageId) => Buffer.from(`${examId}|${student}|${packageId}`, "utf8");
+
+// payload → envelope { v, examId, student, packageId, issuedAt, iterations, salt, iv, data }.
+export function sealPackage({ examId, student, packageId, startCode, payload, issuedAt }) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const key = pbkdf2Sync(normaliseStartCode(startCode), salt, PBKDF2_ITERATIONS, 32, "sha256");
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(packageAad(examId, student, packageId));
+  // WebCrypto expects the auth tag appended to the ciphertext.
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), "utf8"), cipher.final(), cipher.getAuthTag()]);
+  return {
+    v: PACKAGE_VERSION, examId, student, packageId, issuedAt,
+    iterations: PBKDF2_ITERATIONS,
+    salt: salt.toString("base64"), iv: iv.toString("base64"), data: data.toString("base64"),
+  };
+}
+
+export function signSubmission(submitKey, body) {
+  return createHmac("sha256", Buffer.from(submitKey, "base64")).update(canonicalJson(body), "utf8").digest("base64");
+}
+
+export function verifySubmission(submitKey, body, mac) {
+  const want = Buffer.from(signSubmission(submitKey, body), "base64");
+  const got = Buffer.from(String(mac || ""), "base64");
+  return got.length === want.length && timingSafeEqual(got, want);
+}
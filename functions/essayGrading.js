@@ -0,0 +1,276 @@
+// ─── ESSAY GRADING ───────────────────────────────────────────────────
+//
+// The graders behind gradeEssaySubmission (index.js). A grader marks
+// one submission against the bank's questions and model answers:
+//
+//   grader.grade({ subject, questions, answers })
+//     → { questions: [{ marksAwarded, strengths, weaknesses, feedback }],
+//         overallComment, raw, model? }
+//
+// For a question with a rubric the grader picks a level per criterion
+// instead of a mark — `levels: [levelIdx]`, `comments: [text]` — and
+// the mark is the sum of the picked levels' points.
+//
+// `raw` is exactly what produced the marks — the model's reply, or the
+// key points the keyword grader found — and is kept for the lecturer.
+//
+//   keywordGrader  deterministic and offline: a model-answer key point
+//                  counts as covered when most of its content words
+//                  appear in the answer. Same marks on every run.
+//   llmGrader      the Anthropic Messages API, retried on rate limits,
+//                  server errors and unreadable replies.
+//
+// gradeEssay works out totals, the percentage and the letter grade from
+// the per-question marks, each clamped to the question's maximum — they
+// are never taken from the grader.
+
+// ── Rubrics ──────────────────────────────────────────────────────────
+// Mirrors src/shared/essayRubric.js — keep the two in step.
+export const DEFAULT_ESSAY_MARKS = 10;
+const hasRubric = (q) => Array.isArray(q?.rubric) && q.rubric.length > 0;
+const criterionMax = (c) => Math.max(0, ...(c.levels || []).map(l => Number(l.points) || 0));
+const rubricMax = (rubric) => (rubric || []).reduce((s, c) => s + criterionMax(c), 0);
+export const essayMarks = (q) => hasRubric(q) ? rubricMax(q.rubric)
+  : Number(q?.marks) > 0 ? Number(q.marks) : DEFAULT_ESSAY_MARKS;
+
+const scoreRubric = (rubric, picks = [], comments = []) => {
+  const criteria = (rubric || []).map((c, ci) => {
+    const level = Number.isInteger(picks[ci]) && c.levels[picks[ci]] ? picks[ci] : null;
+    const lv = level === null ? null : c.levels[level];
+    const comment = String(comments[ci] || "").trim();
+    return {
+      name: c.name, level, label: lv?.label || "", points: lv ? Number(lv.points) || 0 : 0,
+      maxPoints: criterionMax(c), ...(comment ? { comment } : {}),
+    };
+  });
+  return { marksAwarded: criteria.reduce((s, c) => s + c.points, 0), criteria };
+};
+
+// Mirrors src/shared/scoring.js gradeLetter.
+const gradeLetter = (percent) =>
+  percent >= 70 ? "A" : percent >= 60 ? "B" : percent >= 50 ? "C" : percent >= 40 ? "D" : "F";
+
+const halves = (n) => Math.round(n * 2) / 2;
+
+// ── Keyword grader ───────────────────────────────────────────────────
+const COVER_SHARE = 0.6; // of a key point's content words
+
+const STOPWORDS = new Set(("a an the and or but if then than so of to in on at by for with from into onto " +
+  "as is are was were be been being it its this that these those there their they them he she his her " +
+  "we our you your i me my not no nor do does did done can could should would may might must shall will " +
+  "which who whom whose what when where why how all any each both few more most other some such only own " +
+  "same very also just about over under again further once here out up down off per via eg ie etc use used using").split(" "));
+
+// Crude suffix stripping — enough that "infections"/"infection" and
+// "monitoring"/"monitor" match.
+const stem = (w) => w
+  .replace(/(ies)$/, "y")
+  .replace(/(ing|edly|ed|ly|es|s)$/, (m, _, i) => i >= 3 ? "" : m);
+
+export const contentWords = (text) => [...new Set(
+  String(text || "").toLowerCase().split(/[^a-z0-9]+/)
+    .filter(w => w.length > 2 && !STOPWORDS.has(w))
+    .map(stem)
+)];
+
+// A model answer's key points: one per line, bullet, numbered item,
+// semicolon or sentence.
+export const keyPoints = (modelAnswer) => String(modelAnswer || "")
+  .split(/\n|;|•|(?:^|\s)\d+[.)]\s|\.\s+|\.$/)
+  .map(p => p.replace(/^[\s\-–*]+/, "").trim())
+  .filter(p => contentWords(p).length);
+
+const listOf = (points) => points.map(p => p.text).join("; ");
+
+// Ties go to the lower level.
+const nearestLevel = (c, share) => {
+  const target = share * criterionMax(c);
+  let best = null;
+  (c.levels || []).forEach((l, li) => {
+    const gap = Math.abs((Number(l.points) || 0) - target);
+    const bestGap = best === null ? Infinity : Math.abs((Number(c.levels[best].points) || 0) - target);
+    if (gap < bestGap || (gap === bestGap && (Number(l.points) || 0) < (Number(c.levels[best].points) || 0))) best = li;
+  });
+  return best;
+};
+
+export const keywordGrader = {
+  name: "keyword",
+  async grade({ questions, answers }) {
+    const raw = [];
+    const marked = questions.map((q, i) => {
+      const max = essayMarks(q);
+      const points = keyPoints(q.modelAnswer);
+      const said = new Set(contentWords(answers[i]));
+      const checked = points.map(text => {
+        const words = contentWords(text);
+        const matched = words.filter(w => said.has(w));
+        return { text, words, matched, covered: matched.length >= Math.ceil(words.length * COVER_SHARE) };
+      });
+      raw.push({ points: checked });
+      if (!points.length) {
+        return { marksAwarded: 0, strengths: "", weaknesses: "", feedback: "No model answer to mark against — your lecturer will mark this answer.", needsReview: true };
+      }
+      const hit = checked.filter(p => p.covered);
+      const miss = checked.filter(p => !p.covered);
+      const share = hit.length / points.length;
+      // A rubric gets the same coverage on every criterion: the level
+      // whose points come nearest that share of the criterion's top.
+      const levels = hasRubric(q) ? q.rubric.map(c => nearestLevel(c, share)) : undefined;
+      raw[i].share = share;
+      return {
+        marksAwarded: halves(max * share), levels,
+        strengths: hit.length ? `Covered: ${listOf(hit)}` : "",
+        weaknesses: miss.length ? `Not covered: ${listOf(miss)}` : "",
+        feedback: !said.size ? "No answer given."
+          : miss.length ? `You covered ${hit.length} of ${points.length} key points.` : "All key points covered.",
+      };
+    });
+    const got = marked.reduce((s, m) => s + m.marksAwarded, 0);
+    const total = questions.reduce((s, q) => s + essayMarks(q), 0);
+    return {
+      questions: marked,
+      overallComment: `Marked against the model answers' key points: ${halves(got)} of ${total} marks.`,
+      raw: { threshold: COVER_SHARE, questions: raw },
+    };
+  },
+};
+
+// ── LLM grader ───────────────────────────────────────────────────────
+const ANTHROPIC_URL = "https://api.anthropic.com/v1/messages";
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const essayPrompt = (subject, questions, answers) => {
+  const total = questions.reduce((s, q) => s + essayMarks(q), 0);
+  const qa = questions.map((q, i) => [
+    `Q${i + 1} [${essayMarks(q)} marks]: ${q.q}`,
+    `Key points: ${q.modelAnswer || "Use professional nursing knowledge"}`,
+    ...(hasRubric(q) ? [
+      "Rubric — pick one level per criterion:",
+      ...q.rubric.map((c, ci) => `  Criterion ${ci + 1}: ${c.name}\n` + c.levels.map((l, li) =>
+        `    level ${li}: ${l.label} (${l.points} pts)${l.descriptor ? ` — ${l.descriptor}` : ""}`).join("\n")),
+    ] : []),
+    `Student answer: ${String(answers[i] || "").trim() || "(no answer)"}`,
+  ].join("\n")).join("\n\n");
+  const rubricNote = questions.some(hasRubric)
+    ? `\nFor a question with a rubric, also return "criteria":[{"level":number,"comment":"why this level"}] with one entry per criterion in order; its marks are the sum of the levels' points.\n`
+    : "";
+  return `You are a professional nursing lecturer marking essay exam answers. Be fair, thorough and constructive.
+
+Exam: ${subject}
+Total Marks: ${total}
+
+${qa}
+
+Return ONLY valid JSON with no markdown or backticks:
+{"overallComment":"2-3 sentence summary of performance","questions":[{"marksAwarded":number,"maxMarks":number,"strengths":"specific strengths","weaknesses":"specific gaps","feedback":"actionable feedback"}]}
+${rubricNote}`;
+};
+
+// The reply's JSON object, or an Error saying what was wrong with it.
+const parseReply = (text, questions) => {
+  const count = questions.length;
+  const body = String(text || "").replace(/```json|```/g, "");
+  const start = body.indexOf("{"), end = body.lastIndexOf("}");
+  if (start < 0 || end < start) return new Error("no JSON in the reply");
+  try {
+    const parsed = JSON.parse(body.slice(start, end + 1));
+    if (!Array.isArray(parsed.questions) || parsed.questions.length !== count) {
+      return new Error(`expected marks for ${count} question(s)`);
+    }
+    const bad = questions.findIndex((q, i) => hasRubric(q) && !(
+      Array.isArray(parsed.questions[i].criteria) && parsed.questions[i].criteria.length === q.rubric.length &&
+      parsed.questions[i].criteria.every((c, ci) => Number.isInteger(c?.level) && q.rubric[ci].levels[c.level])
+    ));
+    if (bad >= 0) return new Error(`Q${bad + 1}: expected a level for each rubric criterion`);
+    return parsed;
+  } catch (e) {
+    return new Error(`unreadable JSON (${e.message})`);
+  }
+};
+
+// fetchImpl is injectable so the grader can be exercised without the API.
+export const llmGrader = ({ apiKey, model, retries = 3, fetchImpl = fetch }) => ({
+  name: "llm",
+  async grade({ subject, questions, answers }) {
+    if (!apiKey) throw new Error("No API key configured for the LLM grader.");
+    const prompt = essayPrompt(subject, questions, answers);
+    let lastError = null;
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      if (attempt > 1) await sleep(1000 * 2 ** (attempt - 2));
+      try {
+        const res = await fetchImpl(ANTHROPIC_URL, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "x-api-key": apiKey, "anthropic-version": "2023-06-01" },
+          body: JSON.stringify({ model, max_tokens: 2000, messages: [{ role: "user", content: prompt }] }),
+        });
+        if (!res.ok) {
+          lastError = new Error(`API returned ${res.status}`);
+          if (RETRY_STATUSES.includes(res.status)) continue;
+          break;
+        }
+        const data = await res.json();
+        const text = (data.content || []).filter(c => c.type === "text").map(c => c.text).join("");
+        const parsed = parseReply(text, questions);
+        if (parsed instanceof Error) { lastError = parsed; continue; }
+        return {
+          questions: parsed.questions.map((m, i) => ({
+            marksAwarded: Number(m.marksAwarded) || 0,
+            strengths: String(m.strengths || ""), weaknesses: String(m.weaknesses || ""), feedback: String(m.feedback || ""),
+            ...(hasRubric(questions[i]) ? {
+              levels: m.criteria.map(c => c.level), comments: m.criteria.map(c => String(c.comment || "")),
+            } : {}),
+          })),
+          overallComment: String(parsed.overallComment || ""),
+          raw: { text, attempts: attempt, usage: data.usage || null },
+          model: data.model || model,
+        };
+      } catch (e) {
+        lastError = e; // network failure — retry
+      }
+    }
+    throw new Error(`LLM grading failed after ${retries} attempt(s): ${lastError?.message || "unknown error"}`);
+  },
+});
+
+// Runs `grader`, falling back to `fallback` (when given) if it throws.
+// A fallback's marks are only a stand-in, so they need review like an
+// answer the grader couldn't mark. answers: one string per question. → { feedback, grader, fallbackFrom?,
+// error?, raw, model?, needsReview }; feedback is the shape the essay
+// views read (overallScore, totalMarks, overallPct, grade,
+// overallComment, questions[]).
+export async function gradeEssay({ subject, questions, answers, grader, fallback = null }) {
+  let used = grader, out, error = null;
+  try {
+    out = await grader.grade({ subject, questions, answers });
+  } catch (e) {
+    if (!fallback) throw e;
+    error = e.message;
+    used = fallback;
+    out = await fallback.grade({ subject, questions, answers });
+  }
+  const marked = questions.map((q, i) => {
+    const max = essayMarks(q);
+    const m = out.questions[i] || {};
+    const rubric = hasRubric(q) && !m.needsReview ? scoreRubric(q.rubric, m.levels || [], m.comments || []) : null;
+    return {
+      marksAwarded: Math.min(max, Math.max(0, halves(rubric ? rubric.marksAwarded : Number(m.marksAwarded) || 0))),
+      maxMarks: max,
+      ...(rubric ? { criteria: rubric.criteria } : {}),
+      strengths: m.strengths || "", weaknesses: m.weaknesses || "", feedback: m.feedback || "",
+      ...(m.needsReview ? { needsReview: true } : {}),
+    };
+  });
+  const overallScore = halves(marked.reduce((s, m) => s + m.marksAwarded, 0));
+  const totalMarks = marked.reduce((s, m) => s + m.maxMarks, 0);
+  const overallPct = totalMarks ? Math.round((overallScore / totalMarks) * 100) : 0;
+  return {
+    feedback: { overallScore, totalMarks, overallPct, grade: gradeLetter(overallPct), overallComment: out.overallComment || "", questions: marked },
+    grader: used.name,
+    ...(used !== grader ? { fallbackFrom: grader.name, error } : {}),
+    raw: out.raw ?? null,
+    ...(out.model ? { model: out.model } : {}),
+    needsReview: used !== grader || marked.some(m => m.needsReview),
+  };
+}
@@ -18,9 +18,19 @@
 //   firebase deploy --only functions
 
 import { onCall, HttpsError } from "firebase-functions/v2/https";
-import { defineSecret } from "firebase-functions/params";
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import { logger } from "firebase-functions";
+import { defineSecret, defineString } from "firebase-functions/params";
 import { initializeApp } from "firebase-admin/app";
 import { getFirestore, FieldValue } from "firebase-admin/firestore";
+import { getStorage } from "firebase-admin/storage";
+import { VIOLATION_PENALTIES, attemptPenalties, buildPaperOrder, stripPaper, gradeAttempt, regradeResult, toDisplayResponse, cbtSections, paperSections, withSectionRules } from "./cbtGrading.js";
+import { decodeValue, encodeValue, questionType } from "./questionTypes.js";
+import { applyPenalties, scoringScheme } from "./scoring.js";
+import { newPackageId, newSubmitKey, sealPackage, verifySubmission } from "./cbtPackage.js";
+import { gradeEssay, keywordGrader, llmGrader } from "./essayGrading.js";
+import { SHINGLE_WORDS, SIGNATURE_SIZE, MIN_PASSAGE_WORDS, estimateJaccard, fingerprint, matchPassages, shingleHashes, tokenize } from "./similarity.js";
+import { extractText } from "./textExtract.js";
 
 initializeApp();
 const db = getFirestore();
@@ -175,3 +185,1735 @@ export const verifyFreeEnrollment = onCall(
     return { status: "active", alreadyActive: false };
   }
 );
+
+// ─── CBT EXAM DELIVERY + GRADING ─────────────────────────────────────
+//
+// Answer keys never reach a student's browser. The lecturer's CBT
+// manager writes each exam's questions and keys to cbt_exam_keys/{examId}
+// (staff-only in firestore.rules) and only its metadata to
+// cbt_exams/{examId}, which every signed-in user can read.
+// Students fetch their shuffled, answer-stripped paper from
+// getCbtPaper and hand their answer map to submitCbtAttempt, which
+// grades it here, applies the recorded violation penalties and writes
+// cbt_exams/{examId}/results/{studentKey} itself — students can't
+// write results directly.
+//
+// Timing runs on this server's clock, never the student's device:
+// startCbtAttempt opens cbt_exams/{examId}/sessions/{studentKey} with a
+// fixed deadline (duration plus any accommodated extra time, capped at
+// the exam's close), the browser
+// counts down against serverNow, submissions after the deadline plus a
+// short network grace are refused, and closeExpiredCbtSessions records
+// the attempts whose browser never came back.
+//
+// While the attempt runs the browser autosaves each answer to
+// cbt_exams/{examId}/attempts/{studentKey} (rules only accept writes
+// before the session's cutoff). Submissions and the expiry sweep grade
+// that saved sheet, so a dead phone or a reloaded page never turns into
+// a blank script, and grantCbtResume lets a lecturer reopen it.
+//
+// Sectioned papers are sat one section at a time. The session holds the
+// section the student has reached and its own deadline;
+// advanceCbtSection moves them on and freezes the answers of a section
+// that locks on leave, so nothing changed after leaving it counts.
+
+// Same doc-id convention as services/cbt.js studentKey().
+const cbtStudentKey = (email) => String(email).replace(/[^a-zA-Z0-9]/g, "_");
+
+const cbtReleaseRef = (examId) => db.collection("cbt_releases").doc(String(examId));
+
+// Whether students may see their scores. Mirrors src/shared/cbtHelpers.js
+// cbtResultsReleased and the results read rule in firestore.rules.
+const cbtResultsReleased = (exam, release) =>
+  exam.showResultsImmediately !== false || release?.status === "released";
+
+// Appends to the exam's score audit trail. Every write that changes a
+// stored score goes through here, in the same batch or transaction.
+const auditCbtScores = (writer, examId, entry) =>
+  writer.set(cbtReleaseRef(examId).collection("audit").doc(), { ...entry, at: Date.now() });
+
+const loadCbtExam = async (examId) => {
+  const [examSnap, keySnap, releaseSnap] = await Promise.all([
+    db.collection("cbt_exams").doc(String(examId)).get(),
+    db.collection("cbt_exam_keys").doc(String(examId)).get(),
+    cbtReleaseRef(examId).get(),
+  ]);
+  if (!examSnap.exists) {
+    throw new HttpsError("not-found", "Exam not found.");
+  }
+  const exam = examSnap.data();
+  // The questions live with the keys. Exams saved before they moved
+  // still carry them on the exam doc, and before keys were split out
+  // `ans` inline too — they keep working until the lecturer next saves
+  // them.
+  if (keySnap.exists && Array.isArray(keySnap.data().questions)) {
+    exam.questions = keySnap.data().questions;
+  }
+  // Typed keys (SATA lists, orderings) are stored wrapped — see
+  // questionTypes.js encodeValue.
+  const keys = keySnap.exists
+    ? (keySnap.data().answers || []).map(decodeValue)
+    : (exam.questions || []).map(q => q.ans);
+  if (keys.some(k => k === undefined)) {
+    throw new HttpsError("failed-precondition", "This exam has no answer key yet. Ask your lecturer to re-save it.");
+  }
+  // Options also accepted after a key correction (see rekeyCbtQuestion)
+  // go back on the questions here, server-side only — stripPaper never
+  // copies them into a student's paper.
+  const accepts = keySnap.exists ? (keySnap.data().accepts || []).map(decodeValue) : [];
+  if (accepts.some(a => Array.isArray(a) && a.length)) {
+    exam.questions = exam.questions.map((q, qi) => Array.isArray(accepts[qi]) && accepts[qi].length ? { ...q, accept: accepts[qi] } : q);
+  }
+  // The hall start code for offline packages lives with the keys, out of
+  // students' reach.
+  const startCode = keySnap.exists ? keySnap.data().offlineCode || null : null;
+  // Moderation state — see "Result release + moderation" below.
+  const release = releaseSnap.exists ? releaseSnap.data() : null;
+  return { exam, keys, startCode, release };
+};
+
+// How long after the deadline an answer sheet is still accepted — the
+// browser's own timeout submit needs a moment to arrive. firestore.rules
+// repeats it for the autosave of a timed section.
+const CBT_SUBMIT_GRACE_MS = 2 * 60 * 1000;
+
+// startAt / endAt are epoch ms pinned in the lecturer's browser (see
+// src/shared/cbtHelpers.js cbtWindowTimes). Exams saved before those
+// existed only carry zone-less datetime-local strings, read here in the
+// server's zone (UTC) until the lecturer next saves. An exam also closes
+// 24h after publishing, as the lecturer and student views show.
+// A student's accommodation can replace the whole window with an
+// alternative sitting (see src/shared/cbtHelpers.js applyCbtAccommodation).
+const cbtWindow = (exam, acc) => {
+  if (acc?.startAt != null && acc?.endAt != null) return { startAt: acc.startAt, closesAt: acc.endAt };
+  const at = (ms, str) => {
+    const t = typeof ms === "number" ? ms : (str ? Date.parse(str) : NaN);
+    return isNaN(t) ? null : t;
+  };
+  const ends = [at(exam.endAt, exam.endTime), exam.publishedAt ? exam.publishedAt + 24 * 60 * 60 * 1000 : null]
+    .filter(t => t !== null);
+  return { startAt: at(exam.startAt, exam.startTime), closesAt: ends.length ? Math.min(...ends) : null };
+};
+
+const isCbtArchived = (exam, now, acc) => {
+  if (!exam.published) return false;
+  const { closesAt } = cbtWindow(exam, acc);
+  return closesAt !== null && now > closesAt;
+};
+
+const requireCbtWindowOpen = (exam, now, acc) => {
+  const { startAt } = cbtWindow(exam, acc);
+  if (startAt !== null && now < startAt) {
+    throw new HttpsError("failed-precondition", "This exam hasn't opened yet.", { opensAt: startAt });
+  }
+  if (isCbtArchived(exam, now, acc)) {
+    throw new HttpsError("failed-precondition", "This exam has closed.");
+  }
+};
+
+const requireCbtStudent = async (request, exam) => {
+  const uid = request.auth?.uid;
+  const student = request.auth?.token?.email;
+  if (!uid || !student) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const profileSnap = await db.collection("users").doc(uid).get();
+  const profile = profileSnap.exists ? profileSnap.data() : {};
+  if (!exam.published) {
+    throw new HttpsError("failed-precondition", "This exam is not published.");
+  }
+  if (profile.class !== exam.classId) {
+    throw new HttpsError("permission-denied", "This exam isn't assigned to your class.");
+  }
+  return student;
+};
+
+const cbtResultRef = (examId, student) =>
+  db.collection("cbt_exams").doc(String(examId)).collection("results").doc(cbtStudentKey(student));
+
+const findCbtResult = async (examId, student) => {
+  const snap = await cbtResultRef(examId, student).get();
+  return snap.exists ? snap.data() : null;
+};
+
+const cbtSessionRef = (examId, student) =>
+  db.collection("cbt_exams").doc(String(examId)).collection("sessions").doc(cbtStudentKey(student));
+
+// Staff-set overrides for one student, or null.
+const loadCbtAccommodation = async (examId, student) => {
+  const snap = await db.collection("cbt_exams").doc(String(examId))
+    .collection("accommodations").doc(cbtStudentKey(student)).get();
+  return snap.exists ? snap.data() : null;
+};
+
+// Minutes with the student's extra-time percentage applied.
+const withExtraTime = (minutes, acc) =>
+  Math.ceil(minutes * (1 + Math.max(0, Number(acc?.extraTimePct) || 0) / 100));
+
+// Duration in ms. A paper whose sections are all timed lasts as long as
+// they do together (see src/shared/cbtHelpers.js cbtExamDuration).
+const cbtDurationMs = (exam, acc) => {
+  const sections = cbtSections(exam);
+  const minutes = sections.length && sections.every(sec => sec.duration)
+    ? sections.reduce((sum, sec) => sum + withExtraTime(sec.duration, acc), 0)
+    : withExtraTime(Number(exam.duration) || 30, acc);
+  return minutes * 60 * 1000;
+};
+
+// The paper's sections as this student sits them — timers stretched
+// by any extra time.
+const sectionsFor = (exam, order, acc) => paperSections(exam, order)
+  .map(sec => sec.duration ? { ...sec, duration: withExtraTime(sec.duration, acc) } : sec);
+
+// When the section entered at `now` closes — untimed sections run to the
+// attempt's deadline.
+const sectionDeadline = (sec, now, deadline, acc) =>
+  sec?.duration ? Math.min(deadline, now + withExtraTime(sec.duration, acc) * 60 * 1000) : deadline;
+
+const cbtAttemptRef = (examId, student) =>
+  db.collection("cbt_exams").doc(String(examId)).collection("attempts").doc(cbtStudentKey(student));
+
+// The student's paper: the order saved with the attempt when there is
+// one (pool subsets, see cbtGrading.js drawSubset), else recomputed.
+const attemptOrder = (exam, student, session) => session?.order
+  ? session.order.map(({ q, o }) => ({ origQIdx: q, optOrder: o || [] }))
+  : buildPaperOrder(exam, student);
+
+// Firestore can't nest arrays, so the saved order is a list of maps.
+const storedOrder = (order) => order.map(({ origQIdx, optOrder }) => ({ q: origQIdx, o: optOrder }));
+
+// The autosaved sheet — { [position]: displayed response } — as an
+// answers array in paper order.
+const loadSavedAnswers = async (exam, student, session) => {
+  const snap = await cbtAttemptRef(exam.id, student).get();
+  const saved = snap.exists ? snap.data().answers || {} : {};
+  const answers = attemptOrder(exam, student, session).map((_, pos) => saved[pos] ?? null);
+  return { answers, savedAt: snap.exists ? snap.data().savedAt : null };
+};
+
+// What the browser needs to run its countdown.
+const sessionView = (s) => s ? {
+  startedAt: s.startedAt, deadline: s.deadline, cutoffAt: s.cutoffAt,
+  ...(s.section !== undefined ? { section: s.section, sectionDeadline: s.sectionDeadline } : {}),
+} : null;
+
+// The section the student is in, once its own timer has run out (grace
+// included) — answers sent for it after that don't count.
+const expiredSection = (session, sections, now) => {
+  const current = session.section !== undefined ? sections[session.section] : null;
+  return current?.duration && now > session.sectionDeadline + CBT_SUBMIT_GRACE_MS ? current : null;
+};
+
+const timeUpError = () =>
+  new HttpsError("deadline-exceeded", "Your time for this exam has run out.");
+
+// Grades an answer sheet and writes the result, closing the session in
+// the same batch. Shared by submitCbtAttempt, the expiry sweep and
+// offline uploads (`extra` adds fields to the result).
+const recordCbtResult = async ({ exam, keys, release, student, answers, reason, session, now, extra = {} }) => {
+  const order = attemptOrder(exam, student, session);
+  const [violationsSnap, acc] = await Promise.all([
+    db.collection("cbt_exams").doc(String(exam.id)).collection("violations").where("student", "==", student).get(),
+    loadCbtAccommodation(exam.id, student),
+  ]);
+  const violations = violationsSnap.docs.map(d => d.data());
+  const penalties = attemptPenalties(violations, exam, student, acc);
+  const graded = gradeAttempt(exam, keys, order, withSectionRules(answers, session, paperSections(exam, order)), penalties, release?.discarded);
+
+  const result = {
+    examId: exam.id, examTitle: exam.title, student,
+    score: graded.score, rawScore: graded.rawScore, penaltyDeductions: penalties,
+    total: graded.total, percent: graded.percent,
+    passed: graded.passed, passMark: scoringScheme(exam.scoring).passMark,
+    startedAt: session.startedAt, deadline: session.deadline,
+    submittedAt: now, reason,
+    late: now > session.deadline,
+    violations: violations.length,
+    autoSubmittedOnLeave: reason === "page_leave",
+    responses: graded.responses,
+    // Original indices this student was asked — a subset for pool exams.
+    delivered: order.map(o => o.origQIdx),
+    ...(graded.sections ? { sections: graded.sections } : {}),
+    ...extra,
+  };
+
+  // create() fails if the doc exists — a second submit (double tap,
+  // two devices, the sweep racing a slow browser) can't overwrite the
+  // first graded attempt.
+  const batch = db.batch();
+  batch.create(cbtResultRef(exam.id, student), result);
+  batch.update(cbtSessionRef(exam.id, student), { submittedAt: now, sweepAt: FieldValue.delete() });
+  try {
+    await batch.commit();
+  } catch (e) {
+    if (e.code === 6 /* ALREADY_EXISTS */) {
+      throw new HttpsError("already-exists", "You have already submitted this exam.");
+    }
+    throw e;
+  }
+  return { result, graded };
+};
+
+export const getCbtPaper = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, review } = request.data || {};
+    if (examId === undefined || examId === null || examId === "") {
+      throw new HttpsError("invalid-argument", "examId is required.");
+    }
+    const { exam, keys, release } = await loadCbtExam(examId);
+    const student = await requireCbtStudent(request, exam);
+    const [existing, acc, sessionSnap] = await Promise.all([
+      findCbtResult(exam.id, student),
+      loadCbtAccommodation(exam.id, student),
+      cbtSessionRef(exam.id, student).get(),
+    ]);
+    const session = sessionSnap.exists ? sessionSnap.data() : null;
+    const order = attemptOrder(exam, student, session);
+    const questions = stripPaper(exam, order);
+
+    if (!review) {
+      if (existing) {
+        throw new HttpsError("already-exists", "You have already taken this exam.");
+      }
+      // A started attempt can be reopened (refresh, crash, new tab) until
+      // its deadline — the countdown carries on from the session.
+      const now = Date.now();
+      if (session) {
+        if (now > session.cutoffAt) throw timeUpError();
+      } else {
+        requireCbtWindowOpen(exam, now, acc);
+      }
+      return {
+        examId: exam.id, questions, sections: sectionsFor(exam, order, acc),
+        session: sessionView(session), serverNow: Date.now(),
+      };
+    }
+
+    // Review: answers are only revealed after the student has submitted
+    // (and the lecturer allows immediate results) or once the exam closes
+    // — and never while results are held for moderation.
+    const canReview = cbtResultsReleased(exam, release) &&
+      (isCbtArchived(exam, Date.now(), acc) || !!existing);
+    if (!canReview) {
+      throw new HttpsError("permission-denied", "Answers for this exam haven't been released yet.");
+    }
+    const responses = existing?.responses || [];
+    return {
+      examId: exam.id,
+      sections: paperSections(exam, order),
+      questions: questions.map((q, pos) => {
+        const { origQIdx, optOrder } = order[pos];
+        const src = exam.questions[origQIdx];
+        return {
+          ...q,
+          correct: toDisplayResponse(src, optOrder, keys[origQIdx]),
+          ...(src.accept ? { accepted: toDisplayResponse(src, optOrder, src.accept) } : {}),
+          chosen: toDisplayResponse(src, optOrder, decodeValue(responses[origQIdx])),
+        };
+      }),
+    };
+  }
+);
+
+// Opens (or reopens) the student's timed attempt. The deadline is fixed
+// on the first call and never moves.
+export const startCbtAttempt = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId } = request.data || {};
+    if (examId === undefined || examId === null || examId === "") {
+      throw new HttpsError("invalid-argument", "examId is required.");
+    }
+    const { exam } = await loadCbtExam(examId);
+    const student = await requireCbtStudent(request, exam);
+    const ref = cbtSessionRef(exam.id, student);
+    const acc = await loadCbtAccommodation(exam.id, student);
+
+    const session = await db.runTransaction(async (tx) => {
+      const [snap, resultSnap] = await Promise.all([tx.get(ref), tx.get(cbtResultRef(exam.id, student))]);
+      if (resultSnap.exists) {
+        throw new HttpsError("already-exists", "You have already taken this exam.");
+      }
+      const now = Date.now();
+      if (snap.exists) {
+        const s = snap.data();
+        if (now > s.cutoffAt) throw timeUpError();
+        return s;
+      }
+      requireCbtWindowOpen(exam, now, acc);
+      const { closesAt } = cbtWindow(exam, acc);
+      const deadline = Math.min(now + cbtDurationMs(exam, acc), closesAt ?? Infinity);
+      const order = buildPaperOrder(exam, student);
+      const sections = paperSections(exam, order);
+      const s = {
+        examId: exam.id, student, startedAt: now, deadline,
+        cutoffAt: deadline + CBT_SUBMIT_GRACE_MS,
+        sweepAt: deadline + CBT_SUBMIT_GRACE_MS, // cleared once a result exists
+        order: storedOrder(order),
+        ...(sections.length ? { section: 0, sectionDeadline: sectionDeadline(sections[0], now, deadline, acc), locked: {} } : {}),
+      };
+      tx.create(ref, s);
+      return s;
+    });
+    return { session: sessionView(session), serverNow: Date.now() };
+  }
+);
+
+export const submitCbtAttempt = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, answers, reason } = request.data || {};
+    if (examId === undefined || examId === null || examId === "") {
+      throw new HttpsError("invalid-argument", "examId is required.");
+    }
+    if (!Array.isArray(answers)) {
+      throw new HttpsError("invalid-argument", "answers must be an array.");
+    }
+    const { exam, keys, release } = await loadCbtExam(examId);
+    const student = await requireCbtStudent(request, exam);
+
+    const sessionSnap = await cbtSessionRef(exam.id, student).get();
+    if (!sessionSnap.exists) {
+      throw new HttpsError("failed-precondition", "This attempt was never started. Reload the exam and try again.");
+    }
+    const session = sessionSnap.data();
+    const now = Date.now();
+    if (now > session.cutoffAt) throw timeUpError();
+
+    // A page that auto-submits before it restored the autosave (reload,
+    // second tab) sends blanks — fall back to the saved answer for those.
+    // A timed section whose time is up keeps what was autosaved, as
+    // advanceCbtSection would have frozen it.
+    const saved = await loadSavedAnswers(exam, student, session);
+    const expired = expiredSection(session, paperSections(exam, attemptOrder(exam, student, session)), now);
+    const merged = saved.answers.map((a, pos) =>
+      expired && pos >= expired.start && pos < expired.start + expired.count ? a : answers[pos] ?? a);
+
+    const submitReason = typeof reason === "string" ? reason.slice(0, 40) : "manual";
+    const { result, graded } = await recordCbtResult({ exam, keys, release, student, answers: merged, reason: submitReason, session, now });
+
+    const showResults = cbtResultsReleased(exam, release);
+    return {
+      result: showResults ? result : { examId: exam.id, examTitle: exam.title, student, submittedAt: result.submittedAt, reason: submitReason, violations: result.violations },
+      review: showResults ? graded.correctDisplay : null,
+    };
+  }
+);
+
+// Moves a sectioned attempt on to the next section. `section` is the one
+// the browser is leaving, so a retried call after a lost response is a
+// no-op. Leaving a locked section freezes its answers: the ones sent
+// here while its time lasts, otherwise whatever was autosaved.
+export const advanceCbtSection = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, section, answers } = request.data || {};
+    if (examId === undefined || examId === null || examId === "" || !Number.isInteger(section)) {
+      throw new HttpsError("invalid-argument", "examId and section are required.");
+    }
+    const { exam } = await loadCbtExam(examId);
+    const student = await requireCbtStudent(request, exam);
+    const acc = await loadCbtAccommodation(exam.id, student);
+    const ref = cbtSessionRef(exam.id, student);
+
+    const session = await db.runTransaction(async (tx) => {
+      const [snap, resultSnap, savedSnap] = await Promise.all([
+        tx.get(ref), tx.get(cbtResultRef(exam.id, student)), tx.get(cbtAttemptRef(exam.id, student)),
+      ]);
+      if (resultSnap.exists) {
+        throw new HttpsError("already-exists", "You have already submitted this exam.");
+      }
+      if (!snap.exists) {
+        throw new HttpsError("failed-precondition", "This attempt was never started. Reload the exam and try again.");
+      }
+      const s = snap.data();
+      const now = Date.now();
+      if (now > s.cutoffAt) throw timeUpError();
+      const sections = paperSections(exam, attemptOrder(exam, student, s));
+      if (s.section === undefined || s.section !== section) return s;
+      if (section >= sections.length - 1) {
+        throw new HttpsError("failed-precondition", "This is the last section — submit the exam instead.");
+      }
+
+      const leaving = sections[section];
+      const locked = { ...(s.locked || {}) };
+      if (leaving.lockOnLeave) {
+        const saved = savedSnap.exists ? savedSnap.data().answers || {} : {};
+        const inTime = now <= s.sectionDeadline + CBT_SUBMIT_GRACE_MS;
+        for (let pos = leaving.start; pos < leaving.start + leaving.count; pos++) {
+          locked[pos] = (inTime && Array.isArray(answers) ? answers[pos] : undefined) ?? saved[pos] ?? null;
+        }
+      }
+      const next = {
+        section: section + 1,
+        sectionDeadline: sectionDeadline(sections[section + 1], now, s.deadline, acc),
+        locked,
+      };
+      tx.update(ref, next);
+      return { ...s, ...next };
+    });
+    return { session: sessionView(session), serverNow: Date.now() };
+  }
+);
+
+// ─── Offline delivery ────────────────────────────────────────────────
+//
+// For halls without reliable data (see cbtPackage.js). A student
+// downloads their encrypted paper any time before the exam closes —
+// usually the day before — sits it with no connection, and the browser
+// queues the signed answer sheet until it can upload it. The package's
+// order and submit key are fixed at the first download in
+// cbt_exams/{examId}/packages/{studentKey}, so a re-download (new phone,
+// cleared storage) opens the same paper.
+//
+// An upload is accepted whenever it arrives, but only if its signature
+// checks out and its recorded times fit the sitting: started no earlier
+// than the window opened, finished before it closed, and no longer than
+// the student's duration. Those times come from the device clock,
+// corrected by its offset from this server at download; the monotonic
+// time the exam page was actually open is sent too, so winding the clock
+// back doesn't buy extra time.
+const CBT_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const cbtPackageRef = (examId, student) =>
+  db.collection("cbt_exams").doc(String(examId)).collection("packages").doc(cbtStudentKey(student));
+
+// Offline sittings can't move a student between sections through the
+// server, so papers with locked or timed sections are online-only.
+const requireOfflineExam = (exam, startCode) => {
+  if (!exam.offlineEnabled || !startCode) {
+    throw new HttpsError("failed-precondition", "This exam isn't available for offline sitting.");
+  }
+  if (cbtSections(exam).some(sec => sec.lockOnLeave)) {
+    throw new HttpsError("failed-precondition", "Papers with locked or timed sections can only be sat online.");
+  }
+};
+
+// An offline paper is opened with no network, so hotspot images kept in
+// Storage go into the package as data URLs.
+async function inlinePaperImages(questions) {
+  const bucket = getStorage().bucket();
+  return Promise.all(questions.map(async (q) => {
+    if (q.type !== "hotspot" || !q.image || /^(data|https?):/.test(q.image)) return q;
+    const file = bucket.file(q.image);
+    const [[bytes], [meta]] = await Promise.all([file.download(), file.getMetadata()]);
+    return { ...q, image: `data:${meta.contentType || "image/jpeg"};base64,${bytes.toString("base64")}` };
+  }));
+}
+
+export const downloadCbtPackage = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId } = request.data || {};
+    if (examId === undefined || examId === null || examId === "") {
+      throw new HttpsError("invalid-argument", "examId is required.");
+    }
+    const { exam, startCode } = await loadCbtExam(examId);
+    const student = await requireCbtStudent(request, exam);
+    requireOfflineExam(exam, startCode);
+    const now = Date.now();
+    const [existing, acc] = await Promise.all([findCbtResult(exam.id, student), loadCbtAccommodation(exam.id, student)]);
+    if (existing) {
+      throw new HttpsError("already-exists", "You have already taken this exam.");
+    }
+    if (isCbtArchived(exam, now, acc)) {
+      throw new HttpsError("failed-precondition", "This exam has closed.");
+    }
+
+    const ref = cbtPackageRef(exam.id, student);
+    const pkg = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (snap.exists) return snap.data();
+      const p = {
+        examId: exam.id, student, packageId: newPackageId(), submitKey: newSubmitKey(),
+        order: storedOrder(buildPaperOrder(exam, student)), issuedAt: now,
+      };
+      tx.create(ref, p);
+      return p;
+    });
+    await ref.update({ downloads: FieldValue.increment(1), lastDownloadAt: now });
+
+    const order = attemptOrder(exam, student, pkg);
+    const { startAt, closesAt } = cbtWindow(exam, acc);
+    const payload = {
+      examId: exam.id, student, packageId: pkg.packageId, submitKey: pkg.submitKey,
+      title: exam.title, subject: exam.subject || "",
+      questions: await inlinePaperImages(stripPaper(exam, order)), sections: sectionsFor(exam, order, acc),
+      durationMs: cbtDurationMs(exam, acc), startAt, closesAt,
+      scoring: exam.scoring || null, largeText: !!acc?.largeText,
+      fullscreenRequired: exam.fullscreenRequired !== false && !acc?.noFullscreen,
+    };
+    return {
+      envelope: sealPackage({ examId: exam.id, student, packageId: pkg.packageId, startCode, payload, issuedAt: pkg.issuedAt }),
+      title: exam.title, startAt, closesAt, serverNow: Date.now(),
+    };
+  }
+);
+
+const OFFLINE_VIOLATION_TYPES = ["tab_switch", "fullscreen_exit", "screenshot_attempt", "offline_tamper"];
+
+export const uploadOfflineCbtAttempt = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, submission, mac } = request.data || {};
+    if (examId === undefined || examId === null || examId === "" || !submission || typeof submission !== "object") {
+      throw new HttpsError("invalid-argument", "examId and submission are required.");
+    }
+    const { exam, keys, startCode, release } = await loadCbtExam(examId);
+    const student = await requireCbtStudent(request, exam);
+    requireOfflineExam(exam, startCode);
+    const pkgSnap = await cbtPackageRef(exam.id, student).get();
+    if (!pkgSnap.exists || pkgSnap.data().packageId !== submission.packageId ||
+        String(submission.examId) !== String(exam.id) || submission.student !== student) {
+      throw new HttpsError("failed-precondition", "This answer sheet doesn't belong to a package issued to you.");
+    }
+    const pkg = pkgSnap.data();
+    const violationsRef = db.collection("cbt_exams").doc(String(exam.id)).collection("violations");
+    const now = Date.now();
+
+    if (!verifySubmission(pkg.submitKey, submission, mac)) {
+      await violationsRef.add({ examId: exam.id, student, type: "offline_tamper", ts: now, detail: "Upload checksum mismatch" });
+      throw new HttpsError("data-loss", "This answer sheet doesn't match the checksum it was saved with and can't be accepted. Your lecturer has been notified.");
+    }
+
+    // The sheet's times are the device's word (see cbtPackage.js). They
+    // must fit between what the server recorded: the package's first
+    // download and this upload, inside the exam window.
+    const { startedAt, completedAt, activeMs } = submission;
+    const acc = await loadCbtAccommodation(exam.id, student);
+    const { startAt, closesAt } = cbtWindow(exam, acc);
+    const durationMs = cbtDurationMs(exam, acc);
+    const times = [startedAt, completedAt, activeMs];
+    const inWindow = times.every(Number.isFinite) &&
+      startedAt <= completedAt && completedAt <= now + CBT_CLOCK_SKEW_MS &&
+      startedAt >= pkg.issuedAt - CBT_CLOCK_SKEW_MS &&
+      (startAt === null || startedAt >= startAt - CBT_CLOCK_SKEW_MS) &&
+      (closesAt === null || completedAt <= closesAt + CBT_SUBMIT_GRACE_MS) &&
+      Math.max(completedAt - startedAt, activeMs) <= durationMs + CBT_SUBMIT_GRACE_MS;
+    if (!inWindow) {
+      await violationsRef.add({ examId: exam.id, student, type: "offline_out_of_window", ts: now, startedAt: startedAt ?? null, completedAt: completedAt ?? null });
+      throw new HttpsError("failed-precondition", "This answer sheet was completed outside the exam window and can't be accepted.");
+    }
+
+    // The offline sitting becomes this student's session. One sitting per
+    // student: an attempt already started online wins. A retried upload
+    // finds its own session and carries on.
+    const sessionRef = cbtSessionRef(exam.id, student);
+    const deadline = Math.min(startedAt + durationMs, closesAt ?? Infinity);
+    const session = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(sessionRef);
+      if (snap.exists) {
+        const s = snap.data();
+        if (s.offline && s.packageId === pkg.packageId && s.startedAt === startedAt) return s;
+        throw new HttpsError("already-exists", "You already started this exam online.");
+      }
+      const s = {
+        examId: exam.id, student, startedAt, deadline, cutoffAt: deadline + CBT_SUBMIT_GRACE_MS,
+        order: pkg.order, offline: true, packageId: pkg.packageId, uploadedAt: now,
+      };
+      tx.create(sessionRef, s);
+      return s;
+    });
+
+    // Events logged while offline become ordinary violation docs — fixed
+    // ids, so a retried upload doesn't count them twice.
+    const events = (Array.isArray(submission.violations) ? submission.violations : [])
+      .filter(v => OFFLINE_VIOLATION_TYPES.includes(v?.type)).slice(0, 100);
+    if (events.length) {
+      const batch = db.batch();
+      events.forEach((v, i) => batch.set(violationsRef.doc(`offline_${cbtStudentKey(student)}_${i}`), {
+        examId: exam.id, student, type: v.type, ts: Number(v.ts) || completedAt, offline: true,
+        ...(VIOLATION_PENALTIES[v.type] ? { penaltyApplied: VIOLATION_PENALTIES[v.type] } : {}),
+      }));
+      await batch.commit();
+    }
+
+    const answers = attemptOrder(exam, student, session)
+      .map((_, pos) => Array.isArray(submission.answers) ? submission.answers[pos] ?? null : null);
+    const reason = typeof submission.reason === "string" ? submission.reason.slice(0, 40) : "manual";
+    const { result, graded } = await recordCbtResult({
+      exam, keys, release, student, answers, reason, session, now: completedAt,
+      extra: { offline: true, issuedAt: pkg.issuedAt, uploadedAt: now, activeMs },
+    });
+
+    const showResults = cbtResultsReleased(exam, release);
+    return {
+      result: showResults ? result : { examId: exam.id, examTitle: exam.title, student, submittedAt: result.submittedAt, reason, violations: result.violations, offline: true },
+      review: showResults ? graded.correctDisplay : null,
+    };
+  }
+);
+
+// Attempts whose browser never submitted (closed tab, dead battery,
+// lost signal) are closed once their cutoff passes, graded on whatever
+// the browser had autosaved by then.
+export const closeExpiredCbtSessions = onSchedule(
+  { schedule: "every 5 minutes", region: "us-central1" },
+  async () => {
+    const now = Date.now();
+    const snap = await db.collectionGroup("sessions").where("sweepAt", "<=", now).limit(200).get();
+    const exams = {};
+    for (const d of snap.docs) {
+      if (d.ref.parent.parent?.parent.id !== "cbt_exams") continue;
+      const s = d.data();
+      try {
+        exams[s.examId] = exams[s.examId] || await loadCbtExam(s.examId);
+        const { answers } = await loadSavedAnswers(exams[s.examId].exam, s.student, s);
+        await recordCbtResult({ ...exams[s.examId], student: s.student, answers, reason: "server_timeout", session: s, now });
+      } catch (e) {
+        // Already submitted, or the exam is gone — either way stop sweeping it.
+        if (e.code !== "already-exists") logger.warn(`[CBT] closing session ${d.ref.path} failed: ${e.message}`);
+        await d.ref.update({ sweepAt: FieldValue.delete() }).catch(() => {});
+      }
+    }
+  }
+);
+
+// Lecturer actions on one student's attempt. Mirrors firestore.rules:
+// admins, or the lecturer who set the exam. → the caller's email.
+const requireCbtExamStaff = async (request, exam, action) => {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const profileSnap = await db.collection("users").doc(uid).get();
+  const role = profileSnap.exists ? profileSnap.data().role : null;
+  const allowed = role === "admin" || role === "sub-admin" ||
+    (role === "lecturer" && exam.createdBy === request.auth.token?.email);
+  if (!allowed) {
+    throw new HttpsError("permission-denied", `Only the exam's lecturer can ${action}.`);
+  }
+  return request.auth.token?.email || uid;
+};
+
+// Lecturer action: reopen a student's attempt (phone died, auto-submitted
+// on a reload) with their autosaved answers intact. Any result is
+// removed and the session gets a fresh deadline — `minutes` if given,
+// otherwise the time the student had left at their last saved answer.
+const CBT_MIN_RESUME_MS = 5 * 60 * 1000;
+
+export const grantCbtResume = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, student, minutes } = request.data || {};
+    if (examId === undefined || examId === null || examId === "" || !student) {
+      throw new HttpsError("invalid-argument", "examId and student are required.");
+    }
+    const { exam } = await loadCbtExam(examId);
+    const staff = await requireCbtExamStaff(request, exam, "grant a resume");
+
+    const sessionRef = cbtSessionRef(exam.id, student);
+    const savedSnap = await cbtAttemptRef(exam.id, student).get();
+    const savedAt = savedSnap.exists ? savedSnap.data().savedAt : null;
+    const session = await db.runTransaction(async (tx) => {
+      const [snap, resultSnap] = await Promise.all([tx.get(sessionRef), tx.get(cbtResultRef(exam.id, student))]);
+      if (!snap.exists) {
+        throw new HttpsError("failed-precondition", "This student never started the exam — there is nothing to resume.");
+      }
+      const s = snap.data();
+      const now = Date.now();
+      const lastActive = savedAt?.toMillis?.() ?? s.startedAt;
+      const grant = Number(minutes) > 0
+        ? Math.round(Number(minutes) * 60 * 1000)
+        : Math.max(CBT_MIN_RESUME_MS, s.deadline - lastActive);
+      const deadline = now + grant;
+      const next = {
+        deadline,
+        cutoffAt: deadline + CBT_SUBMIT_GRACE_MS,
+        sweepAt: deadline + CBT_SUBMIT_GRACE_MS,
+        submittedAt: FieldValue.delete(),
+        resumedAt: now,
+        resumedBy: staff,
+        resumes: FieldValue.increment(1),
+      };
+      // A timed section gets back what it had left too, within the new deadline.
+      if (s.section !== undefined) {
+        next.sectionDeadline = s.sectionDeadline < s.deadline
+          ? Math.min(deadline, now + Math.max(CBT_MIN_RESUME_MS, s.sectionDeadline - lastActive))
+          : deadline;
+      }
+      tx.update(sessionRef, next);
+      if (resultSnap.exists) {
+        const r = resultSnap.data();
+        tx.delete(resultSnap.ref);
+        auditCbtScores(tx, exam.id, {
+          action: "result_removed", student, by: staff, note: "Attempt reopened (resume)",
+          before: { score: r.score, total: r.total, percent: r.percent },
+        });
+      }
+      return { ...s, deadline, cutoffAt: next.cutoffAt, ...(next.sectionDeadline ? { sectionDeadline: next.sectionDeadline } : {}) };
+    });
+    return { session: sessionView(session), serverNow: Date.now() };
+  }
+);
+
+// ─── Live proctoring ─────────────────────────────────────────────────
+//
+// The invigilator's live grid (CbtLiveProctor in the exams UI) reads the
+// sessions, autosaved attempts, results and violations directly; these
+// two actions change a running attempt and so go through here. Warnings
+// need no grading and are written to the session by staff themselves.
+
+const CBT_MAX_EXTENSION_MIN = 180;
+
+// A running attempt — started, not yet graded, not past its cutoff.
+const requireRunningSession = (snap, resultSnap, now) => {
+  if (resultSnap.exists) {
+    throw new HttpsError("already-exists", "This student has already submitted.");
+  }
+  if (!snap.exists) {
+    throw new HttpsError("failed-precondition", "This student hasn't started the exam.");
+  }
+  const s = snap.data();
+  if (now > s.cutoffAt) {
+    throw new HttpsError("deadline-exceeded", "This attempt's time has already run out — grant a resume instead.");
+  }
+  return s;
+};
+
+// Adds `minutes` to a running attempt's deadline, and to a timed
+// section's. The exam's own close doesn't cap it — the invigilator is
+// choosing to let this student run over.
+export const extendCbtAttempt = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, student, minutes } = request.data || {};
+    const extra = Number(minutes);
+    if (examId === undefined || examId === null || examId === "" || !student) {
+      throw new HttpsError("invalid-argument", "examId and student are required.");
+    }
+    if (!(extra > 0 && extra <= CBT_MAX_EXTENSION_MIN)) {
+      throw new HttpsError("invalid-argument", `Extend by 1–${CBT_MAX_EXTENSION_MIN} minutes.`);
+    }
+    const { exam } = await loadCbtExam(examId);
+    const staff = await requireCbtExamStaff(request, exam, "extend an attempt");
+    const ref = cbtSessionRef(exam.id, student);
+    const ms = Math.round(extra * 60 * 1000);
+
+    const session = await db.runTransaction(async (tx) => {
+      const [snap, resultSnap] = await Promise.all([tx.get(ref), tx.get(cbtResultRef(exam.id, student))]);
+      const s = requireRunningSession(snap, resultSnap, Date.now());
+      const deadline = s.deadline + ms;
+      const next = {
+        deadline,
+        cutoffAt: deadline + CBT_SUBMIT_GRACE_MS,
+        sweepAt: deadline + CBT_SUBMIT_GRACE_MS,
+        extendedMs: FieldValue.increment(ms),
+        lastExtension: { minutes: extra, at: Date.now(), by: staff },
+        ...(s.section !== undefined ? { sectionDeadline: s.sectionDeadline + ms } : {}),
+      };
+      tx.update(ref, next);
+      return { ...s, ...next };
+    });
+    return { session: sessionView(session), serverNow: Date.now() };
+  }
+);
+
+// Ends a running attempt now, graded on whatever the student's browser
+// has autosaved. Their page sees the result appear and closes the exam.
+export const forceSubmitCbtAttempt = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, student } = request.data || {};
+    if (examId === undefined || examId === null || examId === "" || !student) {
+      throw new HttpsError("invalid-argument", "examId and student are required.");
+    }
+    const { exam, keys, release } = await loadCbtExam(examId);
+    const staff = await requireCbtExamStaff(request, exam, "submit an attempt");
+    const now = Date.now();
+    const [snap, resultSnap] = await Promise.all([cbtSessionRef(exam.id, student).get(), cbtResultRef(exam.id, student).get()]);
+    const session = requireRunningSession(snap, resultSnap, now);
+    const { answers } = await loadSavedAnswers(exam, student, session);
+    const { result } = await recordCbtResult({
+      exam, keys, release, student, answers, reason: "proctor_submit", session, now, extra: { submittedBy: staff },
+    });
+    return { result: { student, score: result.score, total: result.total, percent: result.percent, submittedAt: now } };
+  }
+);
+
+// ─── Violation review + appeals ──────────────────────────────────────
+//
+// Flags logged during an attempt cost marks (and can auto-submit it)
+// the moment they happen. Afterwards the lecturer reviews each case —
+// the timeline and snapshots — upholding or dismissing every flag, and
+// the result is rescored on the flags still standing. A student can
+// appeal once per attempt (cbt_exams/{examId}/appeals/{studentKey},
+// created by the student, decided here).
+
+const REVIEW_STATUSES = ["upheld", "dismissed"];
+const APPEAL_DECISIONS = ["accepted", "rejected"];
+
+// decisions: [{ id, status: "upheld"|"dismissed", note? }] for the
+// student's flags; appeal: { status: "accepted"|"rejected", response }.
+// → { before, after } scores (null when there is no result yet).
+export const reviewCbtCase = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, student, decisions = [], appeal } = request.data || {};
+    if (examId === undefined || examId === null || examId === "" || !student || !Array.isArray(decisions)) {
+      throw new HttpsError("invalid-argument", "examId, student and decisions are required.");
+    }
+    if (decisions.some(d => !d?.id || !REVIEW_STATUSES.includes(d.status))) {
+      throw new HttpsError("invalid-argument", "Each flag must be upheld or dismissed.");
+    }
+    if (appeal && !APPEAL_DECISIONS.includes(appeal.status)) {
+      throw new HttpsError("invalid-argument", "An appeal is accepted or rejected.");
+    }
+    const { exam } = await loadCbtExam(examId);
+    const staff = await requireCbtExamStaff(request, exam, "review violations");
+    const examRef = db.collection("cbt_exams").doc(String(exam.id));
+    const appealRef = examRef.collection("appeals").doc(cbtStudentKey(student));
+    const [violationsSnap, resultSnap, appealSnap, acc] = await Promise.all([
+      examRef.collection("violations").where("student", "==", student).get(),
+      cbtResultRef(exam.id, student).get(),
+      appeal ? appealRef.get() : null,
+      loadCbtAccommodation(exam.id, student),
+    ]);
+    if (appeal && !appealSnap.exists) {
+      throw new HttpsError("not-found", "This student hasn't appealed.");
+    }
+
+    const now = Date.now();
+    const byId = Object.fromEntries(violationsSnap.docs.map(d => [d.id, d]));
+    const batch = db.batch();
+    const reviewed = {};
+    for (const d of decisions) {
+      if (!byId[d.id]) throw new HttpsError("not-found", "A flag under review no longer exists.");
+      reviewed[d.id] = { status: d.status, note: String(d.note || "").slice(0, 500), by: staff, at: now };
+      batch.update(byId[d.id].ref, { review: reviewed[d.id] });
+    }
+    const violations = violationsSnap.docs.map(d => ({ ...d.data(), ...(reviewed[d.id] ? { review: reviewed[d.id] } : {}) }));
+    const tally = { upheld: 0, dismissed: 0, pending: 0 };
+    violations.forEach(v => { tally[v.review?.status || "pending"]++; });
+
+    if (appeal) {
+      batch.update(appealRef, {
+        status: appeal.status, response: String(appeal.response || "").slice(0, 2000), decidedBy: staff, decidedAt: now,
+      });
+    }
+
+    let before = null, after = null;
+    if (resultSnap.exists) {
+      const r = resultSnap.data();
+      const penalties = attemptPenalties(violations, exam, student, acc);
+      // Results from before rawScore was stored: put the old deductions back.
+      const rawScore = r.rawScore ?? r.score + (r.penaltyDeductions || 0);
+      const rescored = applyPenalties(rawScore, r.total, penalties, { passMark: r.passMark ?? scoringScheme(exam.scoring).passMark });
+      before = { score: r.score, percent: r.percent, penaltyDeductions: r.penaltyDeductions || 0 };
+      after = { ...rescored, penaltyDeductions: penalties };
+      batch.update(resultSnap.ref, { ...after, rawScore, flagReview: tally, reviewedAt: now, reviewedBy: staff });
+      if (after.score !== before.score) {
+        auditCbtScores(batch, exam.id, {
+          action: "flag_review", student, by: staff,
+          note: `${tally.upheld} flag(s) upheld, ${tally.dismissed} dismissed${appeal ? ` — appeal ${appeal.status}` : ""}`,
+          before: { score: r.score, total: r.total, percent: r.percent },
+          after: { score: after.score, total: r.total, percent: after.percent },
+        });
+      }
+    }
+    await batch.commit();
+    return { before, after, tally };
+  }
+);
+
+// ─── Result release + moderation ─────────────────────────────────────
+//
+// With showResultsImmediately off, results are held after the exam:
+// students can't read their result doc (firestore.rules) or the answer
+// review until a release. cbt_releases/{examId} holds the workflow —
+//
+//   status     "held" (also: no doc yet) → "pending" (awaiting approval)
+//              → "released"; a pending release can be returned to "held"
+//   discarded  original question indices dropped at moderation
+//
+// The exam's lecturer moderates while results are held — discarding a
+// bad question rescores every result — then submits them for approval.
+// A head of department (an admin or sub-admin account, and never the
+// person who submitted) approves, which releases them, or returns them
+// with a note. Every change to a stored score lands in
+// cbt_releases/{examId}/audit, whoever makes it.
+
+const RELEASE_STATUSES = ["held", "pending", "released"];
+const RESCORE_CHUNK = 200; // results per batch — two writes each
+
+// Heads of department. → the caller's email.
+const requireCbtApprover = async (request, action = "approve results") => {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const profileSnap = await db.collection("users").doc(uid).get();
+  const role = profileSnap.exists ? profileSnap.data().role : null;
+  if (role !== "admin" && role !== "sub-admin") {
+    throw new HttpsError("permission-denied", `Only a head of department can ${action}.`);
+  }
+  return request.auth.token?.email || uid;
+};
+
+const releaseStatus = (release) => RELEASE_STATUSES.includes(release?.status) ? release.status : "held";
+
+const requireHeldResults = (exam) => {
+  if (exam.showResultsImmediately !== false) {
+    throw new HttpsError("failed-precondition", "This exam shows results immediately — there is nothing to release.");
+  }
+};
+
+const scoreOf = (r) => ({ score: r.score, total: r.total, percent: r.percent });
+
+// Who may change stored scores: nobody while they await approval, a
+// head of department once released (students have seen them), the
+// exam's lecturer otherwise. → the caller's email.
+const requireCbtModerator = async (request, exam, release, action) => {
+  const status = releaseStatus(release);
+  if (status === "pending") {
+    throw new HttpsError("failed-precondition", "These results are awaiting approval — ask for them back before changing them.");
+  }
+  return status === "released"
+    ? requireCbtApprover(request, "change released results")
+    : requireCbtExamStaff(request, exam, action);
+};
+
+// The result fields a rescore rewrites.
+const rescoredFields = (marked, staff, now) => ({
+  score: marked.score, rawScore: marked.rawScore, total: marked.total,
+  percent: marked.percent, passed: marked.passed,
+  ...(marked.sections ? { sections: marked.sections } : {}),
+  rescoredAt: now, rescoredBy: staff,
+});
+
+// Sets the exam's discarded questions (the full list — [] restores them
+// all) and rescores every result on it. Safe to re-run: each result is
+// marked again from its stored responses, so a half-finished run is
+// finished by calling it again.
+// → { rescored, unchanged, skipped } — skipped results predate stored
+//   responses and keep their score.
+export const moderateCbtResults = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, discarded, note } = request.data || {};
+    if (examId === undefined || examId === null || examId === "" || !Array.isArray(discarded)) {
+      throw new HttpsError("invalid-argument", "examId and discarded are required.");
+    }
+    const { exam, keys, release } = await loadCbtExam(examId);
+    const count = (exam.questions || []).length;
+    const next = [...new Set(discarded.map(Number))].sort((a, b) => a - b);
+    if (next.some(qi => !Number.isInteger(qi) || qi < 0 || qi >= count)) {
+      throw new HttpsError("invalid-argument", "A discarded question isn't on this exam.");
+    }
+    if (next.length >= count) {
+      throw new HttpsError("invalid-argument", "At least one question has to count.");
+    }
+    const status = releaseStatus(release);
+    const staff = await requireCbtModerator(request, exam, release, "moderate results");
+
+    const prev = release?.discarded || [];
+    const added = next.filter(qi => !prev.includes(qi));
+    const removed = prev.filter(qi => !next.includes(qi));
+    const why = [
+      added.length ? `Q${added.map(qi => qi + 1).join(", Q")} discarded` : "",
+      removed.length ? `Q${removed.map(qi => qi + 1).join(", Q")} restored` : "",
+    ].filter(Boolean).join("; ") || "Rescored";
+    const text = String(note || "").slice(0, 500);
+
+    const now = Date.now();
+    const resultsSnap = await db.collection("cbt_exams").doc(String(exam.id)).collection("results").get();
+    let rescored = 0, unchanged = 0, skipped = 0;
+    for (let i = 0; i < resultsSnap.docs.length; i += RESCORE_CHUNK) {
+      const batch = db.batch();
+      resultsSnap.docs.slice(i, i + RESCORE_CHUNK).forEach(d => {
+        const r = d.data();
+        const marked = regradeResult(exam, keys, r, next);
+        if (!marked) { skipped++; return; }
+        if (marked.score === r.score && marked.total === r.total) { unchanged++; return; }
+        batch.update(d.ref, rescoredFields(marked, staff, now));
+        auditCbtScores(batch, exam.id, {
+          action: "rescore", student: r.student, by: staff, note: why,
+          before: scoreOf(r), after: scoreOf(marked),
+        });
+        rescored++;
+      });
+      await batch.commit();
+    }
+
+    const batch = db.batch();
+    batch.set(cbtReleaseRef(exam.id), {
+      examId: exam.id, status, discarded: next, moderatedBy: staff, moderatedAt: now, updatedAt: now,
+    }, { merge: true });
+    auditCbtScores(batch, exam.id, {
+      action: "moderate", by: staff, note: text ? `${why} — ${text}` : why,
+      discarded: next, rescored, unchanged, skipped,
+    });
+    await batch.commit();
+    return { rescored, unchanged, skipped };
+  }
+);
+
+// Lecturer: sends held results for approval once the exam has closed.
+export const submitCbtRelease = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, note } = request.data || {};
+    if (examId === undefined || examId === null || examId === "") {
+      throw new HttpsError("invalid-argument", "examId is required.");
+    }
+    const { exam, release } = await loadCbtExam(examId);
+    const staff = await requireCbtExamStaff(request, exam, "submit results for approval");
+    requireHeldResults(exam);
+    if (!isCbtArchived(exam, Date.now())) {
+      throw new HttpsError("failed-precondition", "The exam is still open — submit its results once it closes.");
+    }
+    if (releaseStatus(release) !== "held") {
+      throw new HttpsError("failed-precondition", "These results have already been submitted.");
+    }
+    const now = Date.now();
+    const batch = db.batch();
+    batch.set(cbtReleaseRef(exam.id), {
+      examId: exam.id, examTitle: exam.title, classId: exam.classId || "", createdBy: exam.createdBy || "",
+      status: "pending", discarded: release?.discarded || [],
+      submittedBy: staff, submittedAt: now, updatedAt: now,
+    }, { merge: true });
+    auditCbtScores(batch, exam.id, { action: "submit", by: staff, note: String(note || "").slice(0, 500) });
+    await batch.commit();
+    return { status: "pending" };
+  }
+);
+
+// Head of department: approve (releases the results to students) or
+// return to the lecturer — a return needs a note saying why.
+// → { status, students } — who to notify on release.
+export const decideCbtRelease = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, approve, note } = request.data || {};
+    if (examId === undefined || examId === null || examId === "") {
+      throw new HttpsError("invalid-argument", "examId is required.");
+    }
+    const text = String(note || "").trim().slice(0, 500);
+    if (!approve && !text) {
+      throw new HttpsError("invalid-argument", "Say why the results are going back.");
+    }
+    const staff = await requireCbtApprover(request);
+    const { exam, release } = await loadCbtExam(examId);
+    requireHeldResults(exam);
+    if (releaseStatus(release) !== "pending") {
+      throw new HttpsError("failed-precondition", "These results aren't awaiting approval.");
+    }
+    if (release.submittedBy === staff) {
+      throw new HttpsError("permission-denied", "Someone other than the submitter has to approve these results.");
+    }
+    const now = Date.now();
+    const batch = db.batch();
+    batch.update(cbtReleaseRef(exam.id), approve
+      ? { status: "released", approvedBy: staff, approvedAt: now, updatedAt: now }
+      : { status: "held", returnedBy: staff, returnedAt: now, updatedAt: now });
+    auditCbtScores(batch, exam.id, { action: approve ? "release" : "return", by: staff, note: text });
+    await batch.commit();
+
+    if (!approve) return { status: "held", students: [] };
+    const resultsSnap = await db.collection("cbt_exams").doc(String(exam.id)).collection("results").get();
+    return { status: "released", students: resultsSnap.docs.map(d => d.data().student).filter(Boolean) };
+  }
+);
+
+// ─── Answer-key corrections ──────────────────────────────────────────
+//
+// A key found wrong after the exam is corrected here, not in the exam
+// editor, so every stored result follows it (see src/shared/rekey.js,
+// whose validation this mirrors):
+//
+//   replace  the key becomes another option
+//   accept   further options count too — cbt_exam_keys `accepts`,
+//            merged onto the questions by loadCbtExam
+//   void     the question is discarded, exactly as at moderation
+//
+// Replace and accept are for single-answer and true/false questions.
+// Called with apply false it only previews: every result marked under
+// the corrected key, nothing written, so the lecturer can check the
+// before/after scores first. Same permissions as moderateCbtResults.
+
+const REKEY_MODES = ["replace", "accept", "void"];
+
+const optionLabel = (q, i) => questionType(q) === "tf" ? ["True", "False"][i] : "ABCDEF"[i] ?? `#${i + 1}`;
+
+// → { changes: [{ student, before, after }], unchanged, skipped } and,
+//   once applied, students — whose released score changed, to notify.
+export const rekeyCbtQuestion = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const { examId, qIdx, mode, ans, accept, note, apply } = request.data || {};
+    if (examId === undefined || examId === null || examId === "" || !REKEY_MODES.includes(mode)) {
+      throw new HttpsError("invalid-argument", "examId and a correction are required.");
+    }
+    const { exam, keys, release } = await loadCbtExam(examId);
+    const q = exam.questions?.[qIdx];
+    if (!Number.isInteger(qIdx) || !q) {
+      throw new HttpsError("invalid-argument", "That question isn't on this exam.");
+    }
+    const staff = await requireCbtModerator(request, exam, release, "correct the answer key");
+    const type = questionType(q);
+    const isOption = (i) => Number.isInteger(i) && i >= 0 && (type === "tf" ? i < 2 : !!q.options?.[i]);
+    const key = keys[qIdx];
+    const prevAccept = q.accept || [];
+
+    let nextKey = key, nextAccept = prevAccept, discarded = release?.discarded || [], why;
+    if (mode === "void") {
+      if (discarded.includes(qIdx)) {
+        throw new HttpsError("failed-precondition", "This question is already void.");
+      }
+      discarded = [...discarded, qIdx].sort((a, b) => a - b);
+      if (discarded.length >= exam.questions.length) {
+        throw new HttpsError("invalid-argument", "At least one question has to count.");
+      }
+      why = `Q${qIdx + 1}: question voided`;
+    } else {
+      if (type !== "mcq" && type !== "tf") {
+        throw new HttpsError("failed-precondition", "Only single-answer and true/false keys can be corrected — void the question instead.");
+      }
+      if (mode === "replace") {
+        if (!isOption(ans) || ans === key) {
+          throw new HttpsError("invalid-argument", "Pick the correct option.");
+        }
+        nextKey = ans;
+        nextAccept = prevAccept.filter(i => i !== ans);
+        why = `Q${qIdx + 1}: key ${optionLabel(q, key)} → ${optionLabel(q, ans)}`;
+      } else {
+        const list = Array.isArray(accept) ? accept.map(Number) : [];
+        if (list.some(i => !isOption(i))) {
+          throw new HttpsError("invalid-argument", "An accepted answer isn't one of the options.");
+        }
+        nextAccept = [...new Set(list)].filter(i => i !== key).sort((a, b) => a - b);
+        why = nextAccept.length
+          ? `Q${qIdx + 1}: ${[key, ...nextAccept].map(i => optionLabel(q, i)).join(" or ")} accepted`
+          : `Q${qIdx + 1}: only ${optionLabel(q, key)} accepted`;
+      }
+    }
+    const text = String(note || "").slice(0, 500);
+    const nextKeys = keys.map((k, i) => i === qIdx ? nextKey : k);
+    const nextExam = {
+      ...exam,
+      questions: exam.questions.map((qq, i) => {
+        if (i !== qIdx) return qq;
+        const next = { ...qq, accept: nextAccept };
+        if (!nextAccept.length) delete next.accept;
+        return next;
+      }),
+    };
+
+    const resultsSnap = await db.collection("cbt_exams").doc(String(exam.id)).collection("results").get();
+    const changes = [];
+    let unchanged = 0, skipped = 0;
+    resultsSnap.docs.forEach(d => {
+      const r = d.data();
+      const marked = regradeResult(nextExam, nextKeys, r, discarded);
+      if (!marked) { skipped++; return; }
+      if (marked.score === r.score && marked.total === r.total) { unchanged++; return; }
+      changes.push({ ref: d.ref, r, marked });
+    });
+    const summary = changes.map(({ r, marked }) => ({
+      student: r.student,
+      before: { ...scoreOf(r), passed: r.passed },
+      after: { ...scoreOf(marked), passed: marked.passed },
+    }));
+    if (!apply) return { changes: summary, unchanged, skipped };
+
+    const now = Date.now();
+    for (let i = 0; i < changes.length; i += RESCORE_CHUNK) {
+      const batch = db.batch();
+      changes.slice(i, i + RESCORE_CHUNK).forEach(({ ref, r, marked }) => {
+        batch.update(ref, rescoredFields(marked, staff, now));
+        auditCbtScores(batch, exam.id, {
+          action: "rescore", student: r.student, by: staff, note: why,
+          before: scoreOf(r), after: scoreOf(marked),
+        });
+      });
+      await batch.commit();
+    }
+
+    const batch = db.batch();
+    batch.set(db.collection("cbt_exam_keys").doc(String(exam.id)), {
+      answers: nextKeys.map(encodeValue),
+      accepts: nextExam.questions.map(qq => encodeValue(qq.accept || null)),
+      updatedAt: now,
+    }, { merge: true });
+    // Touching the exam doc makes staff copies re-merge the key, so a
+    // later save from the editor can't write the old one back.
+    batch.update(db.collection("cbt_exams").doc(String(exam.id)), { keyRevisedAt: now, updatedAt: now });
+    if (mode === "void") {
+      batch.set(cbtReleaseRef(exam.id), {
+        examId: exam.id, status: releaseStatus(release), discarded, moderatedBy: staff, moderatedAt: now, updatedAt: now,
+      }, { merge: true });
+    }
+    auditCbtScores(batch, exam.id, {
+      action: "rekey", by: staff, note: text ? `${why} — ${text}` : why,
+      rescored: changes.length, unchanged, skipped,
+    });
+    await batch.commit();
+    return {
+      changes: summary, unchanged, skipped,
+      students: cbtResultsReleased(exam, release) ? summary.map(c => c.student).filter(Boolean) : [],
+    };
+  }
+);
+
+// ─── ESSAY GRADING ───────────────────────────────────────────────────
+//
+// Students used to have their essays marked by calling the Anthropic
+// API straight from the browser. Now they hand their answers to
+// gradeEssaySubmission, which loads the bank's questions and model
+// answers from nv/shared itself and runs a grader (see essayGrading.js):
+//
+//   ESSAY_GRADER=llm      the Anthropic API (default), falling back to the
+//                         keyword grader when it's down or misbehaving —
+//                         a provisional mark, left for the lecturer
+//   ESSAY_GRADER=keyword  the keyword grader alone — no network needed
+//
+// Setup (one-time, for the LLM grader):
+//   firebase functions:secrets:set ANTHROPIC_API_KEY
+//
+// The marks go to nv/essays (staff-only writes in firestore.rules) and
+// the grader's raw output to essay_gradings/{id}, so the lecturer can
+// see exactly how each score was produced. One attempt per bank: a
+// second submission is refused until the lecturer resets the attempt
+// (retakeAllowed on the submission).
+//
+// Banks with double marking on hold the result back: the grader's mark
+// is only the first of two (src/shared/essayModeration.js), and the
+// student gets their grade once the markers agree. Until then the
+// feedback, grade and `marking` sit in essay_marking/{subKey} (staff-only)
+// and the submission in nv/essays — which every student can read —
+// carries just `markingStatus`.
+//
+// An attempt starts with startEssayAttempt, which opens
+// essay_attempts/{bankId}/sessions/{studentKey} — with a deadline on
+// banks that have a `timeLimit` (minutes), on this server's clock. The
+// browser autosaves answers to essay_attempts/{bankId}/drafts/{studentKey}
+// (rules only accept writes before the session's cutoff), so a reload
+// resumes the draft. A submission after the cutoff is graded from that
+// saved draft instead of what the browser sent.
+
+const ANTHROPIC_API_KEY = defineSecret("ANTHROPIC_API_KEY");
+const ESSAY_GRADER = defineString("ESSAY_GRADER", { default: "llm" });
+const ESSAY_MODEL = defineString("ESSAY_MODEL", { default: "claude-sonnet-4-20250514" });
+
+const ESSAY_ANSWER_LIMIT = 20000; // characters per answer
+const ESSAY_SUBMIT_GRACE_MS = 60 * 1000;
+
+// Same key as services/backend.js saveManualGradeToBackend.
+const essaySubKey = (bankId, email) => `sub_${bankId}_${String(email).replace(/[@.]/g, "_")}`;
+
+const essayAttemptRefs = (bankId, email) => {
+  const attempt = db.collection("essay_attempts").doc(String(bankId));
+  const id = cbtStudentKey(email);
+  return { sessionRef: attempt.collection("sessions").doc(id), draftRef: attempt.collection("drafts").doc(id) };
+};
+
+const loadEssayBank = async (bankId) => {
+  const sharedSnap = await db.collection("nv").doc("shared").get();
+  const bank = ((sharedSnap.exists ? sharedSnap.data().essayBanks : null) || [])
+    .find(b => String(b.id) === String(bankId));
+  if (!bank || !(bank.questions || []).length) {
+    throw new HttpsError("not-found", "Essay exam not found.");
+  }
+  return bank;
+};
+
+const essayStudent = (request) => {
+  const student = request.auth?.token?.email;
+  if (!request.auth?.uid || !student) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  return student;
+};
+
+const requireEssayAttemptLeft = async (bank, student) => {
+  const existing = (await db.collection("nv").doc("essays").get()).data()?.[essaySubKey(bank.id, student)];
+  if (existing && !existing.retakeAllowed) {
+    throw new HttpsError("already-exists", "You have already used your 1 attempt for this essay.");
+  }
+};
+
+// A double-marked submission's `marking`, opened with the grader's mark
+// unless some answer still needs a lecturer. Mirrors newMarking, addMark
+// and markingThreshold in src/shared/essayModeration.js.
+const DEFAULT_MARK_THRESHOLD = 10;
+const essayMarking = (bank, graded, questions, now) => {
+  const raw = bank.doubleMarking?.threshold;
+  const threshold = raw !== "" && Number(raw) >= 0 ? Number(raw) : DEFAULT_MARK_THRESHOLD;
+  const marking = { threshold, status: "first", marks: [], agreed: null, history: [] };
+  if (graded.needsReview) return marking;
+  const { feedback } = graded;
+  const by = `AI (${graded.grader})`;
+  const mark = {
+    score: feedback.overallScore, total: feedback.totalMarks, pct: feedback.overallPct, grade: feedback.grade,
+    overallComment: feedback.overallComment, gradedBy: by,
+    questions: feedback.questions.map((m, i) => ({
+      q: questions[i].q, maxMarks: m.maxMarks, marksAwarded: m.marksAwarded, feedback: m.feedback,
+      ...(m.criteria ? { criteria: m.criteria } : {}),
+    })),
+    by, kind: "ai", at: now,
+  };
+  return { ...marking, status: "second", marks: [mark], history: [{ at: now, by, action: "marked", pct: mark.pct }] };
+};
+
+// Starts the student's attempt, or resumes the open one (a retake
+// starts afresh — submitting clears the last one).
+// → { session: { startedAt, deadline }, answers, serverNow } —
+//   deadline is null on untimed banks; answers is the saved draft.
+export const startEssayAttempt = onCall(
+  { region: "us-central1" },
+  async (request) => {
+    const student = essayStudent(request);
+    const { bankId } = request.data || {};
+    if (bankId === undefined || bankId === null || bankId === "") {
+      throw new HttpsError("invalid-argument", "bankId is required.");
+    }
+    const bank = await loadEssayBank(bankId);
+    await requireEssayAttemptLeft(bank, student);
+    const { sessionRef, draftRef } = essayAttemptRefs(bank.id, student);
+
+    const session = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(sessionRef);
+      if (snap.exists) return snap.data();
+      const now = Date.now();
+      const minutes = Number(bank.timeLimit);
+      const deadline = minutes > 0 ? now + minutes * 60 * 1000 : null;
+      const s = {
+        bankId: String(bank.id), student, startedAt: now, deadline,
+        cutoffAt: deadline === null ? null : deadline + ESSAY_SUBMIT_GRACE_MS,
+      };
+      tx.create(sessionRef, s);
+      return s;
+    });
+    const draftSnap = await draftRef.get();
+    return {
+      session: { startedAt: session.startedAt, deadline: session.deadline },
+      answers: draftSnap.exists ? draftSnap.data().answers || {} : {},
+      serverNow: Date.now(),
+    };
+  }
+);
+
+// → { feedback, score, total, pct, grade, grader, needsReview }, or
+//   { held: true, total } on a double-marked bank.
+export const gradeEssaySubmission = onCall(
+  { secrets: [ANTHROPIC_API_KEY], region: "us-central1", timeoutSeconds: 120 },
+  async (request) => {
+    const student = essayStudent(request);
+    const { bankId, answers } = request.data || {};
+    if (bankId === undefined || bankId === null || bankId === "" || !answers || typeof answers !== "object") {
+      throw new HttpsError("invalid-argument", "bankId and answers are required.");
+    }
+    const bank = await loadEssayBank(bankId);
+
+    const essaysRef = db.collection("nv").doc("essays");
+    const key = essaySubKey(bank.id, student);
+    await requireEssayAttemptLeft(bank, student);
+
+    const { sessionRef, draftRef } = essayAttemptRefs(bank.id, student);
+    const [sessionSnap, draftSnap] = await Promise.all([sessionRef.get(), draftRef.get()]);
+    const session = sessionSnap.exists ? sessionSnap.data() : null;
+    if (!session && Number(bank.timeLimit) > 0) {
+      throw new HttpsError("failed-precondition", "This attempt was never started. Reload the exam and try again.");
+    }
+    // Past the cutoff only the autosaved draft counts; before it, the
+    // draft fills any answer the page didn't send (a reload that hadn't
+    // restored it yet).
+    const draft = draftSnap.exists ? draftSnap.data().answers || {} : {};
+    const late = session?.cutoffAt != null && Date.now() > session.cutoffAt;
+    const pick = (i) => late ? draft[i] : answers[i] ?? draft[i];
+
+    const questions = bank.questions;
+    const list = questions.map((_, i) => String(pick(i) ?? "").slice(0, ESSAY_ANSWER_LIMIT));
+    const grader = ESSAY_GRADER.value() === "keyword"
+      ? keywordGrader
+      : llmGrader({ apiKey: ANTHROPIC_API_KEY.value(), model: ESSAY_MODEL.value() });
+    const graded = await gradeEssay({
+      subject: bank.subject, questions, answers: list, grader,
+      fallback: grader === keywordGrader ? null : keywordGrader,
+    });
+    if (graded.fallbackFrom) {
+      logger.warn("Essay grader fell back", { bankId: bank.id, student, from: graded.fallbackFrom, error: graded.error });
+    }
+
+    const now = Date.now();
+    const { feedback } = graded;
+    const gradingRef = db.collection("essay_gradings").doc();
+    const grading = {
+      id: gradingRef.id, grader: graded.grader, model: graded.model || null,
+      fallbackFrom: graded.fallbackFrom || null, at: now,
+    };
+    const marking = bank.doubleMarking?.enabled ? essayMarking(bank, graded, questions, now) : null;
+    const marks = { feedback, grade: feedback.grade, pct: feedback.overallPct };
+    const submission = {
+      date: new Date(now).toLocaleDateString("en-GB"), submittedAt: now,
+      subject: bank.subject, answers: Object.fromEntries(list.map((a, i) => [i, a])),
+      questions, totalMarks: feedback.totalMarks, gradedByAI: true, grading,
+      ...(marking ? { markingStatus: marking.status } : marks),
+      ...(graded.needsReview ? { pendingManualGrade: true } : {}),
+    };
+    const markingRef = db.collection("essay_marking").doc(key);
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(essaysRef);
+      const data = snap.exists ? snap.data() : {};
+      if (data[key] && !data[key].retakeAllowed) {
+        throw new HttpsError("already-exists", "You have already used your 1 attempt for this essay.");
+      }
+      const entry = { key, student, bankId: String(bank.id), date: submission.date, graded: !graded.needsReview && !marking };
+      tx.set(gradingRef, {
+        ...grading, bankId: String(bank.id), student, subKey: key,
+        error: graded.error || null, raw: graded.raw, feedback,
+      });
+      // mergeFields replaces the submission outright — a retake keeps
+      // nothing (manual grade, retakeAllowed) from the old one.
+      tx.set(essaysRef, {
+        [key]: submission, index: [...(data.index || []).filter(e => e.key !== key), entry],
+      }, { mergeFields: [key, "index"] });
+      if (marking) tx.set(markingRef, { subKey: key, bankId: String(bank.id), student, ...marks, marking });
+      else tx.delete(markingRef);
+      tx.delete(sessionRef);
+      tx.delete(draftRef);
+    });
+
+    if (marking) return { held: true, total: feedback.totalMarks };
+    return {
+      feedback, score: feedback.overallScore, total: feedback.totalMarks, pct: feedback.overallPct,
+      grade: feedback.grade, grader: graded.grader, needsReview: graded.needsReview,
+    };
+  }
+);
+
+// ─── SIMILARITY CHECKS ───────────────────────────────────────────────
+//
+// checkSimilarity compares every submission for one essay bank or
+// assignment with each other, with the handouts (nv/shared.handouts —
+// their notes and PDF text) and with submissions from earlier years
+// (see similarity.js for the method). Each document's text and MinHash
+// signature is kept in similarity_docs/{docId}:
+//
+//   essay_{bankId}_{studentKey} | asg_{asgnId}_{studentKey} | handout_{id}
+//   { source: "essay"|"assignment"|"handout", scopeId, title, student,
+//     year, text, words, shingles, signature, filePath, unreadable, updatedAt }
+//
+// so files are only downloaded and read again when they change, and
+// later years are checked against this year's work. The report goes to
+// similarity_reports/{kind}_{scopeId}:
+//
+//   { kind, scopeId, title, checkedAt, by, settings,
+//     docs: [{ id, student, words, unreadable, top }],
+//     others: { [docId]: { source, title, student, year } },
+//     matches: [{ a, b, source: "peer"|"handout"|"prior", jaccard,
+//                 overlapA, overlapB, passages }] }
+//
+// Both collections are staff-only (firestore.rules) and written only here.
+
+const SIMILARITY_TEXT_LIMIT = 200000;  // characters kept per document
+const SIMILARITY_SCREEN = 0.05;        // signature agreement worth matching exactly
+const SIMILARITY_REPORT_MIN = 0.05;    // overlap worth reporting
+const SIMILARITY_MAX_MATCHES = 300;
+
+const similarityDocs = db.collection("similarity_docs");
+const round2 = (x) => Math.round(x * 100) / 100;
+
+const requireSimilarityStaff = async (request) => {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const profileSnap = await db.collection("users").doc(uid).get();
+  const role = profileSnap.exists ? profileSnap.data().role : null;
+  if (!["admin", "sub-admin", "lecturer"].includes(role)) {
+    throw new HttpsError("permission-denied", "Only staff can run similarity checks.");
+  }
+  return request.auth.token?.email || uid;
+};
+
+// Submission dates: a timestamp, else the year in the stored date text.
+const yearOf = (ms, dateText) =>
+  ms ? new Date(ms).getFullYear() : Number(String(dateText || "").match(/\d{4}/)?.[0]) || new Date().getFullYear();
+
+// Text of a stored file — the last check's copy while the file is the
+// same one, else downloaded and read. legacy: an inline data URL.
+const storedFileText = async (cached, { filePath, fileType, fileName, legacy }) => {
+  const source = filePath || (legacy ? `inline:${String(legacy).length}` : null);
+  if (!source) return { text: "", unreadable: "No file attached", source };
+  if (cached?.filePath === source) return { text: cached.text || "", unreadable: cached.unreadable || null, source };
+  try {
+    const buf = filePath
+      ? (await getStorage().bucket().file(filePath).download())[0]
+      : Buffer.from(String(legacy).split(",")[1] || "", "base64");
+    return { ...extractText(buf, fileType, fileName), source };
+  } catch (e) {
+    logger.warn("Similarity: couldn't read file", { filePath, error: e.message });
+    return { text: "", unreadable: "The file couldn't be downloaded", source };
+  }
+};
+
+const similarityRecord = (fields, text, unreadable, now) => {
+  const kept = String(text || "").slice(0, SIMILARITY_TEXT_LIMIT);
+  return { ...fields, text: kept, unreadable: unreadable || null, ...fingerprint(kept), updatedAt: now };
+};
+
+const cachedDocs = async (ids) => {
+  if (!ids.length) return new Map();
+  const snaps = await db.getAll(...ids.map(id => similarityDocs.doc(id)));
+  return new Map(snaps.filter(s => s.exists).map(s => [s.id, s.data()]));
+};
+
+// → [{ id, ...record }] for the essay bank's submissions.
+const essaySimilarityDocs = async (bankId, now) => {
+  const bank = await loadEssayBank(bankId);
+  const essays = (await db.collection("nv").doc("essays").get()).data() || {};
+  const docs = (essays.index || [])
+    .filter(e => String(e.bankId) === String(bank.id) && essays[e.key])
+    .map(e => {
+      const sub = essays[e.key];
+      const answers = sub.answers || {};
+      const text = Object.keys(answers).sort((x, y) => x - y).map(k => answers[k] || "").join("\n\n");
+      return {
+        id: `essay_${bank.id}_${cbtStudentKey(e.student)}`,
+        ...similarityRecord({
+          source: "essay", scopeId: String(bank.id), title: bank.subject, student: e.student,
+          year: yearOf(sub.submittedAt, sub.date), filePath: null,
+        }, text, text.trim() ? null : "No answers", now),
+      };
+    });
+  return { title: bank.subject, docs };
+};
+
+// → [{ id, ...record }] for the assignment's submissions, reading each
+//   file only when it changed since the last check.
+const assignmentSimilarityDocs = async (asgnId, now) => {
+  const ref = db.collection("assignments").doc(String(asgnId));
+  const [asgSnap, subsSnap] = await Promise.all([ref.get(), ref.collection("submissions").get()]);
+  if (!asgSnap.exists) {
+    throw new HttpsError("not-found", "Assignment not found.");
+  }
+  const asgn = asgSnap.data();
+  const subs = subsSnap.docs.map(d => d.data()).filter(s => s.student);
+  const ids = subs.map(s => `asg_${asgSnap.id}_${cbtStudentKey(s.student)}`);
+  const cached = await cachedDocs(ids);
+  const docs = [];
+  // One at a time — files run to 20 MB.
+  for (const [i, sub] of subs.entries()) {
+    const { text, unreadable, source } = await storedFileText(cached.get(ids[i]), {
+      filePath: sub.filePath, fileType: sub.fileType, fileName: sub.fileName, legacy: sub.fileData,
+    });
+    docs.push({
+      id: ids[i],
+      ...similarityRecord({
+        source: "assignment", scopeId: asgSnap.id, title: asgn.title || "Assignment", student: sub.student,
+        year: yearOf(sub.submittedAt), filePath: source,
+      }, text, unreadable, now),
+    });
+  }
+  return { title: asgn.title || "Assignment", docs };
+};
+
+const handoutSimilarityDocs = async (now) => {
+  const handouts = (await db.collection("nv").doc("shared").get()).data()?.handouts || [];
+  const ids = handouts.map(h => `handout_${h.id}`);
+  const cached = await cachedDocs(ids);
+  const docs = [];
+  for (const [i, h] of handouts.entries()) {
+    const pdf = h.pdfPath
+      ? await storedFileText(cached.get(ids[i]), { filePath: h.pdfPath, fileType: "application/pdf", fileName: h.pdfName })
+      : { text: "", source: null };
+    const text = [h.title, h.note, pdf.text].filter(Boolean).join("\n\n");
+    docs.push({
+      id: ids[i],
+      ...similarityRecord({
+        source: "handout", scopeId: String(h.id), title: h.title || "Handout", student: null,
+        year: yearOf(typeof h.id === "number" ? h.id : null, h.date), filePath: pdf.source,
+      }, text, pdf.unreadable, now),
+    });
+  }
+  return docs;
+};
+
+const storeSimilarityDocs = async (docs) => {
+  const writer = db.bulkWriter();
+  docs.forEach(({ id, ...record }) => writer.set(similarityDocs.doc(id), record));
+  await writer.close();
+};
+
+// → { matches, others } for one scope.
+const compareSimilarityDocs = async (scope, handouts) => {
+  const readable = scope.filter(d => d.signature.length);
+  const ids = new Set(scope.map(d => d.id));
+  const matches = [];
+  const others = {};
+  const keep = (a, b, source, jaccard, requireB) => {
+    const { passages, overlapA, overlapB } = matchPassages(a.text, b.text);
+    if (!passages.length) return;
+    if (overlapA < SIMILARITY_REPORT_MIN && (!requireB || overlapB < SIMILARITY_REPORT_MIN)) return;
+    matches.push({ a: a.id, b: b.id, source, jaccard: round2(jaccard), overlapA: round2(overlapA), overlapB: round2(overlapB), passages });
+    if (!ids.has(b.id)) others[b.id] = { source: b.source, title: b.title, student: b.student, year: b.year };
+  };
+
+  // Peers: every pair in the scope.
+  readable.forEach((a, i) => readable.slice(i + 1).forEach(b => {
+    const j = estimateJaccard(a.signature, b.signature);
+    if (j >= SIMILARITY_SCREEN) keep(a, b, "peer", j, true);
+  }));
+
+  // Handouts: by how much of the submission's shingles the handout has.
+  const handoutSets = handouts.filter(h => h.signature.length)
+    .map(h => ({ h, set: new Set(shingleHashes(tokenize(h.text).words)) }));
+  readable.forEach(a => {
+    const mine = new Set(shingleHashes(tokenize(a.text).words));
+    handoutSets.forEach(({ h, set }) => {
+      let shared = 0;
+      mine.forEach(x => { if (set.has(x)) shared++; });
+      if (shared / (mine.size || 1) >= SIMILARITY_REPORT_MIN) keep(a, h, "handout", estimateJaccard(a.signature, h.signature), false);
+    });
+  });
+
+  // Earlier years: screen stored signatures, then fetch the texts that pass.
+  const firstYear = Math.min(...scope.map(d => d.year));
+  const priorSnap = await similarityDocs.where("year", "<", firstYear).select("source", "signature").get();
+  const candidates = new Map();
+  priorSnap.docs
+    .filter(s => s.data().source !== "handout" && !ids.has(s.id))
+    .forEach(s => readable.forEach(a => {
+      const j = estimateJaccard(a.signature, s.data().signature);
+      if (j >= SIMILARITY_SCREEN) candidates.set(s.id, [...(candidates.get(s.id) || []), { a, j }]);
+    }));
+  const prior = await cachedDocs([...candidates.keys()]);
+  prior.forEach((b, id) => candidates.get(id).forEach(({ a, j }) => keep(a, { id, ...b }, "prior", j, false)));
+
+  const strongest = (m) => Math.max(m.overlapA, m.source === "peer" ? m.overlapB : 0);
+  return { matches: matches.sort((x, y) => strongest(y) - strongest(x)).slice(0, SIMILARITY_MAX_MATCHES), others };
+};
+
+// Staff: runs the check and stores the report. kind: "essay" (id: the
+// bank's) or "assignment". → the report.
+export const checkSimilarity = onCall(
+  { region: "us-central1", timeoutSeconds: 540, memory: "1GiB" },
+  async (request) => {
+    const by = await requireSimilarityStaff(request);
+    const { kind, id } = request.data || {};
+    if (!["essay", "assignment"].includes(kind) || id === undefined || id === null || id === "") {
+      throw new HttpsError("invalid-argument", "kind (essay or assignment) and id are required.");
+    }
+    const now = Date.now();
+    const { title, docs } = kind === "essay" ? await essaySimilarityDocs(id, now) : await assignmentSimilarityDocs(id, now);
+    if (!docs.length) {
+      throw new HttpsError("failed-precondition", "There are no submissions to check yet.");
+    }
+    const handouts = await handoutSimilarityDocs(now);
+    await storeSimilarityDocs([...docs, ...handouts]);
+
+    const { matches, others } = await compareSimilarityDocs(docs, handouts);
+    const top = (docId) => Math.max(0, ...matches.map(m =>
+      m.a === docId ? m.overlapA : m.b === docId ? m.overlapB : 0));
+    const report = {
+      kind, scopeId: String(id), title, checkedAt: now, by,
+      settings: { shingleWords: SHINGLE_WORDS, signatureSize: SIGNATURE_SIZE, minPassageWords: MIN_PASSAGE_WORDS, handouts: handouts.length },
+      docs: docs.map(d => ({ id: d.id, student: d.student, words: d.words, unreadable: d.unreadable, top: top(d.id) })),
+      others, matches,
+    };
+    await db.collection("similarity_reports").doc(`${kind}_${id}`).set(report);
+    return report;
+  }
+);
@@ -0,0 +1,63 @@
+// ─── QUESTION TYPE SCORING ───────────────────────────────────────────
+//
+// Credit for one response to a typed question. The one implementation:
+// CBT attempts are graded with it here, and src/shared/questionTypes.js
+// hands the same functions to the exam views and editors.
+//
+// Shapes (all indices are ORIGINAL option indices):
+//   mcq       { q, options[], ans: idx }            — default when no type
+//   tf        { q, options:["True","False"], ans: 0|1 }
+//   sata      { q, options[], ans: [idx…] }         — partial credit
+//   matching  { q, prompts[], options[], ans: [optIdx per prompt] }
+//   ordering  { q, options[], ans: [idx in correct order] }
+//   hotspot   { q, image, ans: { x, y, w, h } }     — % of image size
+//
+// A single-choice question may also carry `accept: [idx…]` — further
+// options marked correct when its key was corrected after an exam (see
+// rekeyCbtQuestion in index.js).
+
+const TYPES = ["mcq", "tf", "sata", "matching", "ordering", "hotspot"];
+
+export function questionType(q) {
+  return TYPES.includes(q?.type) ? q.type : "mcq";
+}
+
+// Firestore rejects arrays nested directly inside arrays, and both the
+// key doc (answers[]) and result doc (responses[]) are arrays of
+// per-question values — wrap array values on the way in.
+export function encodeValue(v) {
+  return Array.isArray(v) ? { v } : v;
+}
+
+export function decodeValue(v) {
+  return v && typeof v === "object" && Array.isArray(v.v) ? v.v : v;
+}
+
+const isIdx = (v) => Number.isInteger(v) && v >= 0;
+
+// Credit in [0, 1] for one response against its key. Works in any index
+// space as long as key and response share it (original or displayed).
+export function scoreResponse(q, key, resp) {
+  switch (questionType(q)) {
+    case "sata": {
+      if (!Array.isArray(key) || !key.length || !Array.isArray(resp)) return 0;
+      // +1 per correct pick, −1 per wrong pick, floored at 0 — so ticking
+      // every box can't earn credit.
+      const picked = [...new Set(resp.filter(isIdx))];
+      const right = picked.filter(i => key.includes(i)).length;
+      const wrong = picked.length - right;
+      return Math.max(0, (right - wrong) / key.length);
+    }
+    case "matching":
+    case "ordering": {
+      if (!Array.isArray(key) || !key.length || !Array.isArray(resp)) return 0;
+      return key.filter((k, i) => resp[i] === k).length / key.length;
+    }
+    case "hotspot": {
+      if (!key || !resp || typeof resp.x !== "number" || typeof resp.y !== "number") return 0;
+      return resp.x >= key.x && resp.x <= key.x + key.w && resp.y >= key.y && resp.y <= key.y + key.h ? 1 : 0;
+    }
+    default:
+      return isIdx(resp) && (resp === key || (q.accept || []).includes(resp)) ? 1 : 0;
+  }
+}
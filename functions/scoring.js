@@ -0,0 +1,70 @@
+// ─── SCORING ──────────────────────────────────────────────────────────
+//
+// How an MCQ paper is marked. CBT attempts are scored with it here; the
+// practice engines and past-question papers use the same functions in
+// the browser — src/shared/scoring.js re-exports them.
+//
+// Scheme (exam.scoring; every field optional):
+//   marks       marks per question (default 1); q.marks and a CBT
+//               section's marks override it
+//   negative    fraction of a question's marks lost for a wrong answer
+//               (no credit at all)
+//   unanswered  "zero" (default) | "negative" (marked as wrong) |
+//               "exclude" (left out of the total)
+//   passMark    pass threshold, percent of the total (default 50)
+
+const POLICIES = ["zero", "negative", "exclude"];
+export const DEFAULT_PASS_MARK = 50;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export function scoringScheme(s) {
+  const passMark = s?.passMark;
+  return {
+    marks: Number(s?.marks) > 0 ? Number(s.marks) : 1,
+    negative: Math.min(1, Math.max(0, Number(s?.negative) || 0)),
+    unanswered: POLICIES.includes(s?.unanswered) ? s.unanswered : "zero",
+    passMark: passMark === undefined || passMark === null || passMark === ""
+      ? DEFAULT_PASS_MARK : Math.min(100, Math.max(0, Number(passMark) || 0)),
+  };
+}
+
+export function questionMarks(q, scheme) {
+  return Number(q?.marks) > 0 ? Number(q.marks) : scoringScheme(scheme).marks;
+}
+
+// credit: scoreResponse's 0–1, or null for a blank.
+export function markQuestion(credit, marks, scheme) {
+  const { negative, unanswered } = scoringScheme(scheme);
+  if (credit === null) {
+    if (unanswered === "exclude") return { got: 0, max: 0 };
+    return { got: unanswered === "negative" ? -negative * marks : 0, max: marks };
+  }
+  return { got: credit * marks - (credit === 0 ? negative * marks : 0), max: marks };
+}
+
+// Final score once penalties come off — also used to rescore a stored
+// result when its flags are reviewed.
+export function applyPenalties(rawScore, total, penalties, scheme) {
+  const score = round2(Math.max(0, rawScore - penalties));
+  const percent = total ? Math.round((score / total) * 100) : 0;
+  return { score, percent, passed: percent >= scoringScheme(scheme).passMark };
+}
+
+// items: [{ q, credit, marks?, scheme? }] — a per-item scheme overrides
+// the paper's for that question. Penalties come off after marking and
+// the score is floored at 0.
+export function scorePaper(items, scheme, penalties = 0) {
+  const paper = scoringScheme(scheme);
+  let rawScore = 0, total = 0, correct = 0, wrong = 0, blank = 0;
+  items.forEach(({ q, credit, marks, scheme: own }) => {
+    const m = markQuestion(credit, marks ?? questionMarks(q, own || paper), { ...paper, ...own });
+    rawScore += m.got; total += m.max;
+    if (credit === null) blank++;
+    else if (credit === 0) wrong++;
+    else if (credit === 1) correct++;
+  });
+  rawScore = round2(rawScore);
+  total = round2(total);
+  return { rawScore, total, ...applyPenalties(rawScore, total, penalties, paper), correct, wrong, blank };
+}
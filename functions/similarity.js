@@ -0,0 +1,130 @@
+// ─── SIMILARITY ENGINE ───────────────────────────────────────────────
+//
+// Finds text two submissions (or a submission and a handout) share.
+// Each document is cut into shingles — every run of SHINGLE_WORDS
+// consecutive words — and summarised by a MinHash signature: for each
+// of SIGNATURE_SIZE hash functions, the smallest hash over its
+// shingles. The share of positions where two signatures agree
+// estimates the Jaccard similarity of their shingle sets, so a big
+// pool (a whole cohort, earlier years) is screened signature against
+// signature without comparing texts. Pairs that pass are then matched
+// exactly, shingle by shingle, into passages that can be shown side by
+// side:
+//
+//   passage: { a: [start, end], b: [start, end], words }
+//
+// with character offsets into each document's text.
+//
+// Jaccard understates a short essay lifted from a long handout (the
+// handout's other shingles dilute it), so matches are reported by
+// overlap — the share of a document's words inside shared passages.
+
+export const SHINGLE_WORDS = 5;
+export const SIGNATURE_SIZE = 128;
+export const MIN_PASSAGE_WORDS = 8;
+const MAX_PASSAGES = 25;
+
+// 32-bit FNV-1a.
+const fnv1a = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// murmur3's finaliser — mixes a seeded shingle hash into one of the
+// MinHash family's hash functions.
+const fmix32 = (h) => {
+  h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => fmix32(Math.imul(i + 1, 0x9e3779b9)));
+
+// → { words, spans } — lower-cased words and each one's [start, end]
+//   in the text.
+export const tokenize = (text) => {
+  const words = [], spans = [];
+  for (const m of String(text || "").matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu)) {
+    words.push(m[0].toLowerCase().replace(/’/g, "'"));
+    spans.push([m.index, m.index + m[0].length]);
+  }
+  return { words, spans };
+};
+
+// Hash of the shingle starting at each word position.
+export const shingleHashes = (words) => {
+  const out = [];
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) out.push(fnv1a(words.slice(i, i + SHINGLE_WORDS).join(" ")));
+  return out;
+};
+
+// → the MinHash signature of a set of shingle hashes ([] when empty).
+export const minhash = (hashes) => {
+  if (!hashes.length) return [];
+  const sig = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const h of new Set(hashes)) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const v = fmix32(h ^ SEEDS[i]);
+      if (v < sig[i]) sig[i] = v;
+    }
+  }
+  return sig;
+};
+
+// Everything stored about a document: → { words, shingles, signature }.
+export const fingerprint = (text) => {
+  const { words } = tokenize(text);
+  const hashes = shingleHashes(words);
+  return { words: words.length, shingles: new Set(hashes).size, signature: minhash(hashes) };
+};
+
+export const estimateJaccard = (a, b) => {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+};
+
+// Passages two texts share, longest first, each at least
+// MIN_PASSAGE_WORDS long. → { passages, overlapA, overlapB } — overlap:
+// the share of that text's words inside a passage.
+export const matchPassages = (textA, textB) => {
+  const A = tokenize(textA), B = tokenize(textB);
+  const ha = shingleHashes(A.words), hb = shingleHashes(B.words);
+  const at = new Map();
+  hb.forEach((h, j) => { if (!at.has(h)) at.set(h, []); at.get(h).push(j); });
+
+  const runs = [];
+  for (let i = 0; i < ha.length; ) {
+    let best = null;
+    for (const j of at.get(ha[i]) || []) {
+      let n = 0;
+      while (i + n < ha.length && j + n < hb.length && ha[i + n] === hb[j + n]) n++;
+      if (!best || n > best.n) best = { j, n };
+    }
+    if (!best) { i++; continue; }
+    const words = best.n + SHINGLE_WORDS - 1;
+    if (words >= MIN_PASSAGE_WORDS) runs.push({ i, j: best.j, words });
+    i += best.n;
+  }
+
+  const covered = (len, spans) => new Set(spans.flatMap(([s, n]) => Array.from({ length: n }, (_, k) => s + k))).size / (len || 1);
+  const passages = runs
+    .sort((x, y) => y.words - x.words)
+    .slice(0, MAX_PASSAGES)
+    .map(r => ({
+      a: [A.spans[r.i][0], A.spans[r.i + r.words - 1][1]],
+      b: [B.spans[r.j][0], B.spans[r.j + r.words - 1][1]],
+      words: r.words,
+    }));
+  return {
+    passages,
+    overlapA: covered(A.words.length, runs.map(r => [r.i, r.words])),
+    overlapB: covered(B.words.length, runs.map(r => [r.j, r.words])),
+  };
+};
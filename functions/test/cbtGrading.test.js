@@ -0,0 +1,275 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  VIOLATION_PENALTIES, attemptPenalties, buildPaperOrder, gradeAttempt, markResponses, paperSections,
+  regradeResult, stripPaper, toDisplayResponse, toOrigResponse, violationPenalty, withSectionRules,
+} from "../cbtGrading.js";
+import { decodeValue } from "../questionTypes.js";
+
+const opts = ["Alpha", "Bravo", "Charlie", "Delta"];
+const box = { x: 20, y: 30, w: 10, h: 20 };
+
+// Part A: 2 marks a question, the exam's ¼ negative marking. Part B:
+// the exam's 1 mark, no negative marking; q3 carries its own 3 marks.
+const sectioned = {
+  id: 1, title: "Sectioned", scoring: { marks: 1, negative: 0.25 },
+  sections: [{ id: "a", title: "Part A", marks: 2 }, { id: "b", title: "Part B", negative: 0 }],
+  questions: [
+    { q: "q0", options: opts, section: "a" },
+    { type: "sata", q: "q1", options: opts, section: "a" },
+    { type: "tf", q: "q2", options: ["True", "False"], section: "b" },
+    { q: "q3", options: opts, marks: 3, section: "b" },
+  ],
+};
+const sectionedKeys = [0, [0, 1], 1, 2];
+
+// ── markResponses: every type's partial and negative marking ──
+
+const oneQuestion = (q, key, resp) => markResponses(
+  { id: 9, scoring: { marks: 4, negative: 0.5 }, questions: [q] }, [key], [{ origQIdx: 0, resp }], 0);
+
+const perType = [
+  { name: "mcq right",          q: { options: opts },                         key: 1,         resp: 1,                raw: 4 },
+  { name: "mcq wrong",          q: { options: opts },                         key: 1,         resp: 0,                raw: -2 },
+  { name: "mcq blank",          q: { options: opts },                         key: 1,         resp: null,             raw: 0 },
+  { name: "tf wrong",           q: { type: "tf" },                            key: 0,         resp: 1,                raw: -2 },
+  { name: "sata partial",       q: { type: "sata", options: opts },           key: [0, 1],    resp: [0],              raw: 2 },
+  { name: "sata no credit",     q: { type: "sata", options: opts },           key: [0, 1],    resp: [2],              raw: -2 },
+  { name: "matching half",      q: { type: "matching", prompts: ["x", "y"] }, key: [1, 0],    resp: [1, 1],           raw: 2 },
+  { name: "matching none",      q: { type: "matching", prompts: ["x", "y"] }, key: [1, 0],    resp: [0, 1],           raw: -2 },
+  { name: "ordering a third",   q: { type: "ordering", options: opts },       key: [1, 2, 0], resp: [1, 0, 2],        raw: 1.33 },
+  { name: "hotspot hit",        q: { type: "hotspot" },                       key: box,       resp: { x: 21, y: 31 }, raw: 4 },
+  { name: "hotspot miss",       q: { type: "hotspot" },                       key: box,       resp: { x: 90, y: 90 }, raw: -2 },
+];
+
+for (const { name, q, key, resp, raw } of perType) {
+  test(`markResponses: ${name}`, () => {
+    const out = oneQuestion(q, key, resp);
+    assert.equal(out.rawScore, raw);
+    assert.equal(out.total, 4);
+    assert.equal(out.score, Math.max(0, raw));
+  });
+}
+
+test("markResponses applies each section's marks and negative fraction", () => {
+  const picks = [{ origQIdx: 0, resp: 1 }, { origQIdx: 1, resp: [0] }, { origQIdx: 2, resp: 1 }, { origQIdx: 3, resp: null }];
+  const out = markResponses(sectioned, sectionedKeys, picks, 0);
+  assert.equal(out.rawScore, 1.5);
+  assert.equal(out.total, 8);
+  assert.equal(out.percent, 19);
+  assert.deepEqual(out.sections, [
+    { id: "a", title: "Part A", score: 0.5, total: 4, answered: 2, count: 2 },
+    { id: "b", title: "Part B", score: 1, total: 4, answered: 1, count: 2 },
+  ]);
+});
+
+test("markResponses leaves discarded questions out of score and total", () => {
+  const picks = [{ origQIdx: 0, resp: 0 }, { origQIdx: 1, resp: [0, 1] }, { origQIdx: 2, resp: 1 }, { origQIdx: 3, resp: 2 }];
+  const out = markResponses(sectioned, sectionedKeys, picks, 0, [3]);
+  assert.equal(out.total, 5);
+  assert.equal(out.rawScore, 5);
+  assert.deepEqual(out.sections[1], { id: "b", title: "Part B", score: 1, total: 1, answered: 1, count: 1 });
+});
+
+// ── Delivery order and gradeAttempt ──
+
+const typed = {
+  id: 1700000000000, title: "Typed", shuffleQuestions: true, shuffleOptions: true,
+  questions: [
+    { q: "mcq", options: opts },
+    { type: "tf", q: "tf", options: ["True", "False"] },
+    { type: "sata", q: "sata", options: ["v", "w", "x", "y", "z"] },
+    { type: "matching", q: "matching", prompts: ["p", "q"], options: ["r", "s", "t"] },
+    { type: "ordering", q: "ordering", options: ["first", "second", "third", "fourth"] },
+    { type: "hotspot", q: "hotspot", image: "question_images/f/heart.jpg" },
+  ],
+};
+const typedKeys = [2, 1, [0, 3, 4], [2, 0], [3, 1, 0, 2], box];
+
+// The key as the student sees it on their shuffled paper.
+const displayed = (q, optOrder, key) => q.type === "hotspot" ? { x: key.x + 1, y: key.y + 1 }
+  : Array.isArray(key) ? key.map(k => optOrder.indexOf(k)) : optOrder.indexOf(key);
+
+for (const student of ["ada@example.com", "bo@school.edu", "chi.n@mail.org"]) {
+  test(`gradeAttempt gives full marks for every key through ${student}'s shuffle`, () => {
+    const order = buildPaperOrder(typed, student);
+    assert.deepEqual(buildPaperOrder(typed, student), order, "same student, same paper");
+    assert.deepEqual(order.map(o => o.origQIdx).sort(), [0, 1, 2, 3, 4, 5]);
+    const answers = order.map(({ origQIdx, optOrder }) => displayed(typed.questions[origQIdx], optOrder, typedKeys[origQIdx]));
+    const out = gradeAttempt(typed, typedKeys, order, answers, 0);
+    assert.equal(out.score, 6);
+    assert.equal(out.total, 6);
+    // Stored in original indices; the displayed key matches what was shown.
+    typedKeys.forEach((key, qi) => {
+      if (qi !== 5) assert.deepEqual(decodeValue(out.responses[qi]), key);
+    });
+    order.forEach(({ origQIdx, optOrder }, pos) => {
+      if (origQIdx !== 5) assert.deepEqual(out.correctDisplay[pos], displayed(typed.questions[origQIdx], optOrder, typedKeys[origQIdx]));
+    });
+  });
+}
+
+test("gradeAttempt records a blank script as all-null responses", () => {
+  const order = buildPaperOrder(typed, "ada@example.com");
+  const out = gradeAttempt(typed, typedKeys, order, [], 0);
+  assert.deepEqual(out.responses, [null, null, null, null, null, null]);
+  assert.equal(out.score, 0);
+});
+
+test("stripPaper sends no keys and keeps each type's extra fields", () => {
+  const order = buildPaperOrder(typed, "ada@example.com");
+  const paper = stripPaper({ ...typed, questions: typed.questions.map((q, i) => ({ ...q, ans: typedKeys[i], accept: [1], explanation: "why" })) }, order);
+  paper.forEach((p, pos) => {
+    const src = typed.questions[order[pos].origQIdx];
+    assert.equal(p.ans, undefined);
+    assert.equal(p.accept, undefined);
+    assert.equal(p.explanation, undefined);
+    assert.deepEqual(p.options, order[pos].optOrder.map(oi => src.options[oi]));
+    if (src.type === "matching") assert.deepEqual(p.prompts, ["p", "q"]);
+    if (src.type === "hotspot") assert.equal(p.image, src.image);
+  });
+});
+
+test("buildPaperOrder never shuffles true/false and always shuffles ordering items", () => {
+  const plain = { ...typed, shuffleOptions: false };
+  const order = buildPaperOrder(plain, "ada@example.com");
+  const optOrderOf = (qi) => order.find(o => o.origQIdx === qi).optOrder;
+  assert.deepEqual(optOrderOf(1), [0, 1]);
+  assert.deepEqual(optOrderOf(0), [0, 1, 2, 3]);
+  assert.deepEqual([...optOrderOf(4)].sort(), [0, 1, 2, 3]);
+  assert.notDeepEqual(optOrderOf(4), [0, 1, 2, 3]);
+});
+
+test("buildPaperOrder draws each tag's count from a pool and delivers untagged questions in full", () => {
+  const pool = {
+    id: 42, drawEnabled: true, draw: { x: 1 },
+    questions: [{ cat: "x" }, { cat: "x" }, { cat: "x" }, {}, {}].map((q, i) => ({ ...q, q: `q${i}`, options: opts })),
+  };
+  for (const student of ["a@b.c", "d@e.f", "g@h.i"]) {
+    const idx = buildPaperOrder(pool, student).map(o => o.origQIdx);
+    assert.equal(idx.length, 3);
+    assert.ok(idx.includes(3) && idx.includes(4));
+  }
+});
+
+test("buildPaperOrder keeps sections in order while shuffling inside them", () => {
+  const order = buildPaperOrder({ ...sectioned, shuffleQuestions: true }, "ada@example.com");
+  assert.deepEqual(order.slice(0, 2).map(o => o.origQIdx).sort(), [0, 1]);
+  assert.deepEqual(order.slice(2).map(o => o.origQIdx).sort(), [2, 3]);
+});
+
+const origResponses = [
+  { name: "mcq",                 q: { options: opts },                         resp: 0,                want: 2 },
+  { name: "mcq off the paper",   q: { options: opts },                         resp: 9,                want: null },
+  { name: "mcq blank",           q: { options: opts },                         resp: null,             want: null },
+  { name: "sata repeats",        q: { type: "sata" },                          resp: [0, 0, 1],        want: [2, 0] },
+  { name: "sata empty",          q: { type: "sata" },                          resp: [],               want: null },
+  { name: "ordering",            q: { type: "ordering" },                      resp: [3, 2, 1, 0],     want: [3, 1, 0, 2] },
+  { name: "matching one picked", q: { type: "matching", prompts: ["x", "y"] }, resp: [1, null],        want: [0, null] },
+  { name: "matching none",       q: { type: "matching", prompts: ["x", "y"] }, resp: [null, null],     want: null },
+  { name: "hotspot",             q: { type: "hotspot" },                       resp: { x: 1, y: 2 },   want: { x: 1, y: 2 } },
+  { name: "hotspot malformed",   q: { type: "hotspot" },                       resp: { x: "1", y: 2 }, want: null },
+];
+
+for (const { name, q, resp, want } of origResponses) {
+  test(`toOrigResponse: ${name}`, () => {
+    const optOrder = [2, 0, 1, 3];
+    const orig = toOrigResponse(q, optOrder, resp);
+    assert.deepEqual(orig, want);
+    if (orig !== null && q.type !== "hotspot") assert.deepEqual(toOrigResponse(q, optOrder, toDisplayResponse(q, optOrder, orig)), orig);
+  });
+}
+
+// ── Sections: locking and blanking ──
+
+test("paperSections gives each section's range on the student's paper", () => {
+  const order = buildPaperOrder(sectioned, "ada@example.com");
+  assert.deepEqual(paperSections(sectioned, order).map(s => [s.id, s.start, s.count]), [["a", 0, 2], ["b", 2, 2]]);
+});
+
+const sectionRules = [
+  { name: "session without sections",         session: {},                                  want: [1, [0], 1, 2] },
+  { name: "unreached section is blanked",     session: { section: 0 },                      want: [1, [0], null, null] },
+  { name: "locked answers win",               session: { section: 1, locked: { 0: 3 } },    want: [3, [0], 1, 2] },
+  { name: "a locked blank stays blank",       session: { section: 1, locked: { 1: null } }, want: [1, null, 1, 2] },
+];
+
+for (const { name, session, want } of sectionRules) {
+  test(`withSectionRules: ${name}`, () => {
+    const sections = paperSections(sectioned, buildPaperOrder(sectioned, "ada@example.com"));
+    assert.deepEqual(withSectionRules([1, [0], 1, 2], session, sections), want);
+  });
+}
+
+test("answers in a section the student never reached don't score", () => {
+  const order = buildPaperOrder(sectioned, "ada@example.com");
+  const answers = [0, [0, 1], 1, 2];
+  const full = gradeAttempt(sectioned, sectionedKeys, order, answers, 0);
+  const cut = gradeAttempt(sectioned, sectionedKeys, order, withSectionRules(answers, { section: 0 }, paperSections(sectioned, order)), 0);
+  assert.equal(full.rawScore, 8);
+  assert.equal(cut.rawScore, 4);
+  assert.deepEqual(cut.sections[1], { id: "b", title: "Part B", score: 0, total: 4, answered: 0, count: 2 });
+});
+
+// ── Violation deductions ──
+
+const flags = [
+  { examId: 1,   student: "a", type: "fullscreen_exit", penaltyApplied: 0.5 },
+  { examId: "1", student: "a", type: "screenshot_attempt" },
+  { examId: 1,   student: "a", type: "tab_switch" },
+  { examId: 1,   student: "a", type: "fullscreen_exit", review: { status: "dismissed" } },
+  { examId: 1,   student: "a", type: "screenshot_attempt", review: { status: "upheld" }, penaltyApplied: 5 },
+  { examId: 2,   student: "a", type: "fullscreen_exit" },
+  { examId: 1,   student: "b", type: "screenshot_attempt" },
+];
+
+const deductions = [
+  { name: "charged by type, dismissed flags free", student: "a", acc: null,                    want: 1.5 },
+  { name: "another student's flags",               student: "b", acc: null,                    want: 0.5 },
+  { name: "fullscreen exemption",                  student: "a", acc: { noFullscreen: true },  want: 1 },
+  { name: "no flags",                              student: "c", acc: null,                    want: 0 },
+];
+
+for (const { name, student, acc, want } of deductions) {
+  test(`attemptPenalties: ${name}`, () => {
+    assert.equal(attemptPenalties(flags, { id: 1 }, student, acc), want);
+  });
+}
+
+test("violationPenalty only charges the listed flag types", () => {
+  assert.deepEqual(VIOLATION_PENALTIES, { fullscreen_exit: 0.5, screenshot_attempt: 0.5 });
+  assert.equal(violationPenalty(flags, 1, "a"), 1.5);
+  assert.equal(violationPenalty(undefined, 1, "a"), 0);
+});
+
+test("penalties come off the graded score, floored at zero", () => {
+  const order = buildPaperOrder(sectioned, "ada@example.com");
+  const out = gradeAttempt(sectioned, sectionedKeys, order, [0, null, null, null], violationPenalty(flags, 1, "a"));
+  assert.equal(out.rawScore, 2);
+  assert.equal(out.score, 0.5);
+  const wiped = gradeAttempt(sectioned, sectionedKeys, order, [1, null, null, null], 1.5);
+  assert.equal(wiped.score, 0);
+});
+
+// ── regradeResult ──
+
+test("regradeResult reproduces a stored grade and follows discards", () => {
+  const order = buildPaperOrder(sectioned, "ada@example.com");
+  const graded = gradeAttempt(sectioned, sectionedKeys, order, [0, [0], 0, 2], 0.5);
+  const stored = { responses: graded.responses, delivered: order.map(o => o.origQIdx), penaltyDeductions: 0.5 };
+  const again = regradeResult(sectioned, sectionedKeys, stored);
+  assert.deepEqual([again.rawScore, again.score, again.total], [graded.rawScore, graded.score, graded.total]);
+  const dropped = regradeResult(sectioned, sectionedKeys, stored, [2]);
+  assert.equal(dropped.total, 7);
+  assert.equal(dropped.rawScore, graded.rawScore);
+});
+
+test("regradeResult only marks the questions a pool student was delivered", () => {
+  const out = regradeResult(sectioned, sectionedKeys, { responses: [0, null, null, null], delivered: [0] });
+  assert.equal(out.total, 2);
+  assert.equal(out.score, 2);
+});
+
+test("regradeResult skips results graded before responses were stored", () => {
+  assert.equal(regradeResult(sectioned, sectionedKeys, { score: 3 }), null);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as server from "../cbtPackage.js";
+import * as browser from "../../src/shared/cbtPackage.js";
+
+// The browser half runs on WebCrypto, which Node has built in — so both
+// halves are checked against each other here.
+
+const payload = { paper: [{ q: "Which?", options: ["A", "B"] }], order: [{ q: 0, o: [1, 0] }], submitKey: server.newSubmitKey() };
+const seal = (over = {}) => server.sealPackage({
+  examId: 12, student: "ada@example.com", packageId: server.newPackageId(),
+  startCode: "K7QM-2XWD", payload, issuedAt: 1700000000000, ...over,
+});
+
+test("a sealed package opens in the browser with the hall code, however it's typed", async () => {
+  const envelope = seal();
+  assert.equal(envelope.v, server.PACKAGE_VERSION);
+  assert.deepEqual(await browser.openPackage(envelope, "k7qm 2xwd"), payload);
+});
+
+const tampering = [
+  { name: "a wrong code",           envelope: () => seal(),                                            code: "K7QM-2XWE" },
+  { name: "another student's name", envelope: () => ({ ...seal(), student: "bo@example.com" }),        code: "K7QM-2XWD" },
+  { name: "an edited ciphertext",   envelope: () => { const e = seal(); return { ...e, data: e.data.replace(/^./, c => c === "A" ? "B" : "A") }; }, code: "K7QM-2XWD" },
+];
+
+for (const { name, envelope, code } of tampering) {
+  test(`openPackage refuses ${name}`, async () => {
+    await assert.rejects(browser.openPackage(envelope(), code));
+  });
+}
+
+const bodies = [
+  { name: "answers",                  body: { answers: [1, [0, 2], null, { x: 1.5, y: 2 }], finishedAt: 1700000100000 } },
+  { name: "nested keys in any order", body: { z: { b: 1, a: [undefined, "é"] }, a: null } },
+  { name: "an empty sheet",           body: {} },
+];
+
+for (const { name, body } of bodies) {
+  test(`both halves sign ${name} the same way`, async () => {
+    assert.equal(browser.canonicalJson(body), server.canonicalJson(body));
+    const key = server.newSubmitKey();
+    const mac = await browser.signSubmission(key, body);
+    assert.equal(mac, server.signSubmission(key, body));
+    assert.ok(server.verifySubmission(key, body, mac));
+    assert.ok(await browser.verifySubmission(key, body, mac));
+  });
+}
+
+test("canonicalJson sorts keys at every level and drops undefined fields", () => {
+  assert.equal(server.canonicalJson({ b: 1, a: { d: [1, undefined], c: undefined } }), '{"a":{"d":[1,null]},"b":1}');
+});
+
+const forgeries = [
+  { name: "an edited answer", mac: (key) => server.signSubmission(key, { answers: [2] }) },
+  { name: "another key",      mac: () => server.signSubmission(server.newSubmitKey(), { answers: [1] }) },
+  { name: "a missing MAC",    mac: () => "" },
+  { name: "a truncated MAC",  mac: (key) => server.signSubmission(key, { answers: [1] }).slice(0, 10) },
+];
+
+for (const { name, mac } of forgeries) {
+  test(`verifySubmission rejects ${name}`, async () => {
+    const key = server.newSubmitKey();
+    assert.equal(server.verifySubmission(key, { answers: [1] }, mac(key)), false);
+    assert.equal(await browser.verifySubmission(key, { answers: [1] }, mac(key)), false);
+  });
+}
+
+test("newStartCode reads aloud without look-alike characters", () => {
+  for (let i = 0; i < 20; i++) assert.match(browser.newStartCode(), /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyseCollusion, collusionCsv, describeResponse } from "../../src/shared/collusion.js";
+
+const opts = ["Alpha", "Bravo", "Charlie", "Delta"];
+const exam = { id: 5, title: "Anatomy", questions: [0, 1, 2, 3, 4].map(i => ({ q: `q${i}`, options: opts, ans: 0 })) };
+const script = (student, responses, extra = {}) => ({
+  examId: 5, student, responses, percent: 0, reason: "submit", startedAt: 1000, submittedAt: 3600000, ...extra,
+});
+
+// a and b pick the same wrong option on all five questions; nobody else
+// gets them wrong, so each match is a 1-in-3 chance among the distractors.
+const copied = [2, 2, 2, 2, 2];
+const honest = [0, 0, 0, 0, 0];
+const base = () => [
+  script("a", copied, { submittedAt: 1000000 }),
+  script("b", copied, { submittedAt: 1030000 }),
+  script("c", honest, { percent: 100, submittedAt: 2000000 }),
+];
+
+test("analyseCollusion flags identical wrong answers that chance can't explain", () => {
+  const out = analyseCollusion(exam, base());
+  assert.equal(out.n, 3);
+  assert.equal(out.pairCount, 3);
+  assert.equal(out.flagged, 1);
+  assert.equal(out.pairs.length, 1);
+  const [pair] = out.pairs;
+  assert.deepEqual([pair.a, pair.b, pair.sameWrong, pair.bothWrong, pair.sameAnswers], ["a", "b", 5, 5, 5]);
+  assert.ok(Math.abs(pair.expected - 5 / 3) < 1e-9);
+  assert.ok(Math.abs(pair.p - 1 / 243) < 1e-12);
+  assert.ok(Math.abs(pair.pAdj - 3 / 243) < 1e-12);
+  assert.deepEqual(pair.shared.map(s => s.qIdx), [0, 1, 2, 3, 4]);
+  assert.deepEqual(pair.signals, ["submit_sync"]);
+});
+
+const cases = [
+  {
+    name: "identical right answers prove nothing",
+    results: () => base().map(r => ({ ...r, responses: honest })),
+    pairs: [],
+  },
+  {
+    name: "fewer than three scripts are never compared",
+    results: () => base().slice(0, 2),
+    pairs: [],
+  },
+  {
+    name: "deadline auto-submits don't count as submitting together",
+    results: () => base().map(r => r.student === "a" ? { ...r, reason: "timeout" } : r),
+    pairs: [{ pair: "a-b", flagged: true, signals: [] }],
+  },
+  {
+    name: "a shared device surfaces a pair with no shared wrong answers",
+    results: base,
+    devices: [{ examId: 5, student: "a", fingerprint: "f1" }, { examId: "5", student: "c", fingerprint: "f1" }, { examId: 6, student: "b", fingerprint: "f1" }],
+    pairs: [{ pair: "a-b", flagged: true, signals: ["submit_sync"] }, { pair: "a-c", flagged: false, signals: ["same_device"] }],
+  },
+  {
+    name: "a shared IP from the violation flags is corroboration",
+    results: base,
+    violations: [{ examId: 5, student: "a", deviceInfo: { ip: "10.0.0.7" } }, { examId: 5, student: "b", deviceInfo: { ip: "10.0.0.7" } }],
+    pairs: [{ pair: "a-b", flagged: true, signals: ["same_ip", "submit_sync"] }],
+  },
+  {
+    name: "the hall's shared network isn't",
+    results: () => [...base(), script("d", honest, { submittedAt: 3000000 })],
+    violations: ["a", "b", "c", "d"].map(student => ({ examId: 5, student, deviceInfo: { ip: "10.0.0.1" } })),
+    pairs: [{ pair: "a-b", flagged: true, signals: ["submit_sync"] }],
+  },
+];
+
+for (const { name, results, devices, violations, pairs } of cases) {
+  test(`analyseCollusion: ${name}`, () => {
+    const out = analyseCollusion(exam, results(), { devices, violations });
+    assert.deepEqual(out.pairs.map(p => ({ pair: `${p.a}-${p.b}`, flagged: p.flagged, signals: p.signals })), pairs);
+  });
+}
+
+test("analyseCollusion compares pool scripts only on questions both sat", () => {
+  const pooled = base().map(r => ({ ...r, delivered: r.student === "b" ? [0, 1, 2] : [0, 1, 2, 3, 4] }));
+  const [pair] = analyseCollusion(exam, pooled).pairs;
+  assert.equal(pair.common, 3);
+  assert.equal(pair.sameWrong, 3);
+  assert.equal(pair.flagged, false);
+});
+
+test("analyseCollusion skips scripts without stored responses", () => {
+  const out = analyseCollusion(exam, [...base(), script("old", null), { ...script("other", copied), examId: 6 }]);
+  assert.equal(out.n, 3);
+  assert.equal(out.skipped, 1);
+});
+
+test("describeResponse reads answers back for the drill-down", () => {
+  assert.equal(describeResponse(exam.questions[0], 2), "C — Charlie");
+  assert.equal(describeResponse({ type: "tf" }, 1), "False");
+  assert.equal(describeResponse({ type: "sata", options: opts }, [0, 3]), "Alpha · Delta");
+  assert.equal(describeResponse(exam.questions[0], null), "— (blank)");
+});
+
+test("collusionCsv writes one row per reported pair", () => {
+  const csv = collusionCsv(exam, analyseCollusion(exam, base())).split("\n");
+  assert.match(csv[1], /^"a","b","0","0","5","5","5","1.67",/);
+  assert.match(csv[1], /"yes"/);
+});
@@ -0,0 +1,177 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { gradeEssay, keywordGrader, llmGrader } from "../essayGrading.js";
+
+const questions = [
+  { q: "Outline the care of a patient after surgery.", marks: 10,
+    modelAnswer: "Monitor vital signs\nManage post-operative pain\nObserve the wound for infection\nEncourage early mobilisation" },
+  { q: "Define sepsis.", marks: 5, modelAnswer: "Life-threatening organ dysfunction caused by infection" },
+];
+const rubricQuestion = {
+  q: "Discuss hand hygiene.",
+  modelAnswer: "Wash hands before patient contact; use alcohol rub after contact",
+  rubric: [
+    { name: "Content", levels: [{ label: "Poor", points: 0 }, { label: "Fair", points: 2 }, { label: "Good", points: 4 }] },
+    { name: "Clarity", levels: [{ label: "Poor", points: 0 }, { label: "Good", points: 2 }] },
+  ],
+};
+
+// A fetch that answers each call from `replies` in turn.
+const fakeFetch = (replies) => {
+  const calls = [];
+  const impl = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body), headers: init.headers });
+    const r = replies[Math.min(calls.length - 1, replies.length - 1)];
+    if (r instanceof Error) throw r;
+    return { ok: r.status === 200, status: r.status, json: async () => r.body };
+  };
+  return { impl, calls };
+};
+const reply = (obj, extra = {}) => ({ status: 200, body: { content: [{ type: "text", text: JSON.stringify(obj) }], model: "test-model", ...extra } });
+
+// ── keywordGrader ──
+
+test("keywordGrader gives marks for the key points covered", async () => {
+  const out = await keywordGrader.grade({
+    questions,
+    answers: ["I would monitor the vital signs and manage post-operative pain.", "Organ dysfunction that is life-threatening, caused by an infection."],
+  });
+  assert.equal(out.questions[0].marksAwarded, 5);
+  assert.match(out.questions[0].feedback, /2 of 4 key points/);
+  assert.match(out.questions[0].weaknesses, /wound/);
+  assert.equal(out.questions[1].marksAwarded, 5);
+  assert.equal(out.questions[1].feedback, "All key points covered.");
+});
+
+test("keywordGrader is deterministic", async () => {
+  const args = { questions, answers: ["Monitor vital signs; observe the wound.", "Infection"] };
+  assert.deepEqual(await keywordGrader.grade(args), await keywordGrader.grade(args));
+});
+
+test("keywordGrader gives nothing for a blank answer", async () => {
+  const out = await keywordGrader.grade({ questions, answers: ["", "   "] });
+  assert.deepEqual(out.questions.map(m => m.marksAwarded), [0, 0]);
+  assert.equal(out.questions[0].feedback, "No answer given.");
+});
+
+test("keywordGrader leaves a question without a model answer to the lecturer", async () => {
+  const out = await keywordGrader.grade({ questions: [{ q: "Reflect on placement.", marks: 10 }], answers: ["It went well."] });
+  assert.equal(out.questions[0].needsReview, true);
+  assert.equal(out.questions[0].marksAwarded, 0);
+});
+
+test("keywordGrader picks rubric levels from the share covered", async () => {
+  const full = await keywordGrader.grade({ questions: [rubricQuestion], answers: ["Wash hands before patient contact, then use alcohol rub after contact."] });
+  assert.deepEqual(full.questions[0].levels, [2, 1]);
+  const none = await keywordGrader.grade({ questions: [rubricQuestion], answers: ["Gloves."] });
+  assert.deepEqual(none.questions[0].levels, [0, 0]);
+});
+
+// ── gradeEssay ──
+
+test("gradeEssay totals the marks and clamps them to each question's maximum", async () => {
+  const grader = { name: "stub", grade: async () => ({ questions: [{ marksAwarded: 14 }, { marksAwarded: 2.3 }], overallComment: "ok", raw: "r" }) };
+  const out = await gradeEssay({ subject: "Surgery", questions, answers: ["a", "b"], grader });
+  assert.deepEqual(out.feedback.questions.map(m => m.marksAwarded), [10, 2.5]);
+  assert.equal(out.feedback.overallScore, 12.5);
+  assert.equal(out.feedback.totalMarks, 15);
+  assert.equal(out.feedback.overallPct, 83);
+  assert.equal(out.feedback.grade, "A");
+  assert.equal(out.grader, "stub");
+  assert.equal(out.needsReview, false);
+});
+
+test("gradeEssay scores a rubric question from its picked levels", async () => {
+  const grader = { name: "stub", grade: async () => ({ questions: [{ marksAwarded: 99, levels: [1, 1] }] }) };
+  const out = await gradeEssay({ subject: "IPC", questions: [rubricQuestion], answers: ["a"], grader });
+  assert.equal(out.feedback.questions[0].marksAwarded, 4);
+  assert.equal(out.feedback.totalMarks, 6);
+  assert.deepEqual(out.feedback.questions[0].criteria.map(c => c.label), ["Fair", "Good"]);
+});
+
+test("gradeEssay falls back when the grader fails, and leaves the mark for review", async () => {
+  const failing = { name: "llm", grade: async () => { throw new Error("API returned 529"); } };
+  const out = await gradeEssay({ subject: "Surgery", questions, answers: ["Monitor vital signs", ""], grader: failing, fallback: keywordGrader });
+  assert.equal(out.grader, "keyword");
+  assert.equal(out.fallbackFrom, "llm");
+  assert.equal(out.error, "API returned 529");
+  assert.equal(out.needsReview, true);
+});
+
+test("gradeEssay rethrows when there is no fallback", async () => {
+  const failing = { name: "llm", grade: async () => { throw new Error("down"); } };
+  await assert.rejects(gradeEssay({ subject: "S", questions, answers: ["", ""], grader: failing }), /down/);
+});
+
+// ── llmGrader ──
+
+test("llmGrader reads the marks from the API's reply", async () => {
+  const { impl, calls } = fakeFetch([reply({
+    overallComment: "Solid.",
+    questions: [{ marksAwarded: 7, strengths: "s", weaknesses: "w", feedback: "f" }, { marksAwarded: "4" }],
+  }, { usage: { input_tokens: 10 } })]);
+  const grader = llmGrader({ apiKey: "k", model: "m", fetchImpl: impl });
+  const out = await grader.grade({ subject: "Surgery", questions, answers: ["a", "b"] });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].headers["x-api-key"], "k");
+  assert.equal(calls[0].body.model, "m");
+  assert.match(calls[0].body.messages[0].content, /Q2 \[5 marks\]: Define sepsis/);
+  assert.deepEqual(out.questions.map(m => m.marksAwarded), [7, 4]);
+  assert.equal(out.overallComment, "Solid.");
+  assert.equal(out.model, "test-model");
+  assert.equal(out.raw.attempts, 1);
+});
+
+test("llmGrader retries rate limits and unreadable replies", async () => {
+  const { impl, calls } = fakeFetch([
+    { status: 529, body: {} },
+    { status: 200, body: { content: [{ type: "text", text: "Sorry, I can't." }] } },
+    reply({ questions: [{ marksAwarded: 3 }, { marksAwarded: 1 }] }),
+  ]);
+  const grader = llmGrader({ apiKey: "k", model: "m", retries: 3, fetchImpl: impl });
+  const out = await grader.grade({ subject: "S", questions, answers: ["a", "b"] });
+  assert.equal(calls.length, 3);
+  assert.equal(out.raw.attempts, 3);
+});
+
+test("llmGrader gives up at once on a client error", async () => {
+  const { impl, calls } = fakeFetch([{ status: 401, body: {} }]);
+  const grader = llmGrader({ apiKey: "k", model: "m", fetchImpl: impl });
+  await assert.rejects(grader.grade({ subject: "S", questions, answers: ["a", "b"] }), /API returned 401/);
+  assert.equal(calls.length, 1);
+});
+
+test("llmGrader rejects a reply with the wrong number of questions", async () => {
+  const { impl } = fakeFetch([reply({ questions: [{ marksAwarded: 3 }] })]);
+  const grader = llmGrader({ apiKey: "k", model: "m", retries: 1, fetchImpl: impl });
+  await assert.rejects(grader.grade({ subject: "S", questions, answers: ["a", "b"] }), /expected marks for 2 question/);
+});
+
+test("llmGrader needs a level for every rubric criterion", async () => {
+  const good = fakeFetch([reply({ questions: [{ marksAwarded: 0, criteria: [{ level: 2, comment: "thorough" }, { level: 0 }] }] })]);
+  const out = await llmGrader({ apiKey: "k", model: "m", fetchImpl: good.impl })
+    .grade({ subject: "S", questions: [rubricQuestion], answers: ["a"] });
+  assert.deepEqual(out.questions[0].levels, [2, 0]);
+  assert.deepEqual(out.questions[0].comments, ["thorough", ""]);
+
+  const bad = fakeFetch([reply({ questions: [{ marksAwarded: 5, criteria: [{ level: 7 }] }] })]);
+  await assert.rejects(llmGrader({ apiKey: "k", model: "m", retries: 1, fetchImpl: bad.impl })
+    .grade({ subject: "S", questions: [rubricQuestion], answers: ["a"] }), /Q1: expected a level/);
+});
+
+test("llmGrader without an API key fails before calling out", async () => {
+  const { impl, calls } = fakeFetch([reply({})]);
+  await assert.rejects(llmGrader({ apiKey: "", model: "m", fetchImpl: impl }).grade({ subject: "S", questions, answers: [] }), /No API key/);
+  assert.equal(calls.length, 0);
+});
+
+test("a failing llmGrader falls back to the keyword grader through gradeEssay", async () => {
+  const { impl } = fakeFetch([new Error("getaddrinfo ENOTFOUND")]);
+  const out = await gradeEssay({
+    subject: "S", questions, answers: ["Monitor vital signs", "caused by infection"],
+    grader: llmGrader({ apiKey: "k", model: "m", retries: 1, fetchImpl: impl }), fallback: keywordGrader,
+  });
+  assert.equal(out.grader, "keyword");
+  assert.match(out.error, /ENOTFOUND/);
+  assert.equal(out.needsReview, true);
+});
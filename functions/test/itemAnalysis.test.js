@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyseItems, isSuspectItem, itemAnalysisCsv } from "../../src/shared/itemAnalysis.js";
+
+const opts = ["Alpha", "Bravo", "Charlie", "Delta"];
+const exam = { id: 3, title: "Pharmacology", questions: [0, 0, 0].map((ans, i) => ({ q: `q${i}`, options: opts, ans })) };
+const result = (student, responses, extra = {}) => ({ examId: 3, student, responses, ...extra });
+
+// a is the strongest script and d the weakest. Q3 is keyed A, but the
+// strongest student picked B and the weakest A — a mis-key.
+const results = [
+  result("a", [0, 0, 1]),
+  result("b", [0, 1, 1]),
+  result("c", [1, 1, 0]),
+  result("d", [1, 2, 0]),
+  result("old", null),
+  { ...result("elsewhere", [0, 0, 0]), examId: 4 },
+];
+
+test("analyseItems ranks scripts and works out p and discrimination per item", () => {
+  const out = analyseItems(exam, results);
+  assert.equal(out.n, 4);
+  assert.equal(out.skipped, 1);
+  assert.equal(out.groupSize, 1);
+  assert.equal(out.mean, 1.25);
+  assert.deepEqual(out.items.map(it => [it.p, it.upperP, it.lowerP, it.d]), [
+    [0.5, 1, 0, 1],
+    [0.25, 1, 0, 1],
+    [0.5, 0, 1, -1],
+  ]);
+  assert.ok(Math.abs(out.kr20 - -4) < 1e-9);
+});
+
+const flagCases = [
+  { qIdx: 0, flags: [],                    suspect: false },
+  { qIdx: 1, flags: [],                    suspect: false },
+  { qIdx: 2, flags: ["miskey", "negative"], suspect: true },
+];
+
+for (const { qIdx, flags, suspect } of flagCases) {
+  test(`analyseItems flags Q${qIdx + 1}: ${flags.join(", ") || "none"}`, () => {
+    const item = analyseItems(exam, results).items[qIdx];
+    assert.deepEqual(item.flags, flags);
+    assert.equal(isSuspectItem(item), suspect);
+  });
+}
+
+test("analyseItems breaks each option down by the upper and lower groups", () => {
+  const q2 = analyseItems(exam, results).items[2];
+  assert.deepEqual(q2.options.map(o => [o.opt, o.isKey, o.count, o.pct, o.upper, o.lower]), [
+    [0, true, 2, 50, 0, 1],
+    [1, false, 2, 50, 1, 0],
+    [2, false, 0, 0, 0, 0],
+    [3, false, 0, 0, 0, 0],
+  ]);
+});
+
+test("analyseItems counts typed items correct only at full credit", () => {
+  const sata = { id: 3, questions: [{ type: "sata", q: "Pick", options: opts, ans: [0, 1] }, { q: "q", options: opts, ans: 0 }] };
+  const out = analyseItems(sata, [result("a", [[0, 1], 0]), result("b", [[0], 0]), result("c", [null, 1])]);
+  assert.equal(out.items[0].p, 1 / 3);
+  assert.deepEqual(out.items[0].options, []);
+  assert.equal(out.items[0].omitted, 1);
+});
+
+test("analyseItems judges pool items only on the scripts that saw them", () => {
+  const pool = { id: 3, questions: [0, 0, 0, 0].map((ans, i) => ({ q: `q${i}`, options: opts, ans })) };
+  const out = analyseItems(pool, [
+    result("a", [0, 0, null, null], { delivered: [0, 1] }),
+    result("b", [1, null, 0, null], { delivered: [0, 2] }),
+  ]);
+  assert.equal(out.pool, true);
+  assert.equal(out.k, 2);
+  assert.equal(out.kr20, null);
+  assert.deepEqual(out.items.map(it => it.n), [2, 1, 1, 0]);
+  assert.equal(out.items[3].p, null);
+});
+
+test("itemAnalysisCsv writes one row per item", () => {
+  const csv = itemAnalysisCsv(exam, analyseItems(exam, results)).split("\n");
+  assert.equal(csv[0].split(",")[0], '"#"');
+  assert.match(csv[3], /^"3","q2","A","4","0.50","-1.00"/);
+  assert.match(csv[3], /Possible mis-key; Negative discrimination/);
+});
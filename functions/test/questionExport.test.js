@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DOMParser } from "linkedom";
+import { questionsToCsv, questionsToMoodleXml, questionsToQtiEntries } from "../../src/shared/questionExport.js";
+import { guessColumnMap, parseCsv, parseMoodleXml, parseQtiPackage, rowsToItems } from "../../src/shared/questionImport.js";
+import { matchingPairs, orderedSteps, questionType } from "../../src/shared/questionTypes.js";
+
+// The Moodle and QTI readers parse XML with the browser's DOMParser.
+globalThis.DOMParser = DOMParser;
+
+const questions = [
+  { q: "Normal adult resting heart rate?", options: ["40–50", "60–100", "110–130", "140–160"], ans: 1,
+    explanation: "60–100 beats per minute.", marks: 2, section: "s1" },
+  { type: "tf", q: "Insulin lowers blood glucose.", options: ["True", "False"], ans: 0, section: "s1" },
+  { type: "sata", q: "Signs of hypoglycaemia?", options: ["Sweating", "Tremor", "Bradycardia", "Confusion"], ans: [0, 1, 3], marks: 3, section: "s2" },
+  { type: "matching", q: "Match the drug to its class.", prompts: ["Amoxicillin", "Furosemide"], options: ["Diuretic", "Antibiotic", "Statin"], ans: [1, 0], marks: 4 },
+  { type: "ordering", q: "Order the steps of hand washing.", options: ["Rinse", "Wet hands", "Apply soap"], ans: [1, 2, 0], section: "s2" },
+  { type: "hotspot", q: "Tap the apex of the heart.", image: "question_images/abc/hotspot.jpg", ans: { x: 20, y: 30, w: 10, h: 20 }, marks: 5 },
+];
+// A 200×100 image, so the % boxes become whole pixels and come back exact.
+const images = { 5: { bytes: new Uint8Array([255, 216, 255, 217]), mime: "image/jpeg", width: 200, height: 100 } };
+const imageSize = async () => ({ width: 200, height: 100 });
+
+// Matching and ordering come back re-scrambled, and images as data URLs;
+// compare what the question asks and how it is marked.
+const canonical = (q) => {
+  const type = questionType(q);
+  return {
+    type, q: q.q, explanation: q.explanation || "", marks: q.marks ?? null, section: q.section ?? null,
+    ...(type === "matching" ? { pairs: matchingPairs(q), options: [...q.options].sort() }
+      : type === "ordering" ? { steps: orderedSteps(q) }
+      : type === "hotspot" ? { ans: q.ans }
+      : { options: q.options, ans: q.ans }),
+  };
+};
+
+const imported = (items) => {
+  assert.deepEqual(items.flatMap(it => it.errors), []);
+  return items.map(it => canonical(it.question));
+};
+
+const roundTrips = [
+  { format: "csv", run: async (qs) => {
+    const rows = parseCsv(questionsToCsv(qs));
+    return rowsToItems(rows, guessColumnMap(rows[0].cells));
+  } },
+  { format: "Moodle XML", run: (qs) => parseMoodleXml(questionsToMoodleXml(qs, { title: "Paper", images }), { imageSize }) },
+  { format: "QTI", run: (qs) => {
+    const enc = new TextEncoder();
+    const files = Object.fromEntries(questionsToQtiEntries(qs, { title: "Paper", images })
+      .map(e => [e.name, typeof e.data === "string" ? enc.encode(e.data) : e.data]));
+    return parseQtiPackage(files, { imageSize });
+  } },
+];
+
+for (const { format, run } of roundTrips) {
+  test(`${format} export re-imports every question with its marks and section`, async () => {
+    assert.deepEqual(imported(await run(questions)), questions.map(canonical));
+  });
+}
+
+test("CSV import rejects marks that aren't a positive number", () => {
+  const rows = parseCsv('"Question","A","B","Answer","Marks"\n"Q?","x","y","A","two"');
+  const [it] = rowsToItems(rows, guessColumnMap(rows[0].cells));
+  assert.match(it.errors.join(), /marks "two"/);
+});
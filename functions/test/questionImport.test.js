@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyImport, detectFormat, diffImport, parseAiken, parseGift, parseLoose, parseQuestionText } from "../../src/shared/questionImport.js";
+import { EXPORT_GAPS, questionsToGift } from "../../src/shared/questionExport.js";
+import { matchingPairs, questionType } from "../../src/shared/questionTypes.js";
+
+// ── Format detection ──
+
+const formats = [
+  { text: "What?\nA. x\nB. y\nANSWER: A",           fileName: "",           want: "aiken" },
+  { text: "::q:: Heart? {=yes ~no}",                 fileName: "",           want: "gift" },
+  { text: "Heart has four chambers {T}",             fileName: "paper.gift", want: "gift" },
+  { text: "1) What?\nA) x\nB) y\nAns: B",            fileName: "",           want: "loose" },
+];
+
+for (const { text, fileName, want } of formats) {
+  test(`detectFormat → ${want} for ${JSON.stringify(text.slice(0, 20))}${fileName ? ` (${fileName})` : ""}`, () => {
+    assert.equal(detectFormat(text, fileName), want);
+    assert.equal(parseQuestionText(text, "auto", fileName).format, want);
+  });
+}
+
+// ── Aiken ──
+
+const aiken = [
+  { name: "single answer",   text: "What is 2+2?\nA. 3\nB. 4\nC. 5\nANSWER: B",
+    question: { q: "What is 2+2?", options: ["3", "4", "5", ""], ans: 1 } },
+  { name: "wrapped stem",    text: "Which drug\nis a diuretic?\nA. Furosemide\nB. Atenolol\nANSWER: A",
+    question: { q: "Which drug is a diuretic?", options: ["Furosemide", "Atenolol", "", ""], ans: 0 } },
+  { name: "several answers", text: "Pick primes\nA. 2\nB. 4\nC. 5\nANSWER: C, A",
+    question: { type: "sata", q: "Pick primes", options: ["2", "4", "5"], ans: [0, 2] } },
+  { name: "true/false",      text: "Sky blue?\nA. True\nB. False\nANSWER: A",
+    question: { type: "tf", q: "Sky blue?", options: ["True", "False"], ans: 0 } },
+  { name: "bad answer",      text: "Bad\nA. x\nB. y\nANSWER: Q",
+    errors: [/answer "Q" doesn't match/] },
+  { name: "options skipped", text: "Skip\nA. x\nC. y\nANSWER: A",
+    errors: [/option C out of order/] },
+  { name: "no answer line",  text: "Lost\nA. x\nB. y",
+    errors: [/Missing "ANSWER: X"/] },
+  { name: "too wide",        text: "Wide\nA. 1\nB. 2\nC. 3\nD. 4\nE. 5\nANSWER: A",
+    errors: [/5 options — single-answer questions take at most 4/] },
+];
+
+for (const { name, text, question, errors = [] } of aiken) {
+  test(`parseAiken: ${name}`, () => {
+    const [it, ...rest] = parseAiken(text);
+    assert.equal(rest.length, 0);
+    assert.equal(it.line, 1);
+    if (question) assert.deepEqual(it.question, question);
+    assert.equal(it.errors.length, errors.length, it.errors.join("; "));
+    errors.forEach((re, i) => assert.match(it.errors[i], re));
+  });
+}
+
+test("parseAiken reports each question's own line", () => {
+  const items = parseAiken("Q1\nA. x\nB. y\nANSWER: A\n\n\nQ2\nA. x\nB. y\nANSWER: B");
+  assert.deepEqual(items.map(it => [it.line, it.question.ans]), [[1, 0], [7, 1]]);
+});
+
+// ── GIFT ──
+
+const gift = [
+  { name: "true/false with a category", text: "$CATEGORY: $course$/Paper/Cardio\n::t1:: Heart has four chambers {T}",
+    question: { type: "tf", q: "Heart has four chambers", options: ["True", "False"], ans: 0, cat: "Cardio" } },
+  { name: "single answer with feedback", text: "Which is a beta blocker? {=Atenolol ~Amlodipine ~Lisinopril #nope ####Blocks beta receptors}",
+    question: { q: "Which is a beta blocker?", options: ["Atenolol", "Amlodipine", "Lisinopril", ""], ans: 0, explanation: "Blocks beta receptors" } },
+  { name: "weights make select-all",     text: "Pick two {~%50%A ~%50%B ~%-100%C}",
+    question: { type: "sata", q: "Pick two", options: ["A", "B", "C"], ans: [0, 1] } },
+  { name: "missing word",                text: "The heart has {=four ~three} chambers.",
+    question: { q: "The heart has _____ chambers.", options: ["four", "three", "", ""], ans: 0 } },
+  { name: "escaped characters",          text: "What is 1\\=1? {=yes \\{really\\} ~no}",
+    question: { q: "What is 1=1?", options: ["yes {really}", "no", "", ""], ans: 0 } },
+  { name: "essay",                       text: "Discuss {}",   errors: [/essay questions/] },
+  { name: "short answer",                text: "Name it {=answer}", errors: [/short-answer questions/] },
+  { name: "numeric",                     text: "How many? {#4}", errors: [/numeric questions/] },
+  { name: "no answer block",             text: "Just a line", errors: [/no answer block/] },
+];
+
+for (const { name, text, question, errors = [] } of gift) {
+  test(`parseGift: ${name}`, () => {
+    const [it, ...rest] = parseGift(text);
+    assert.equal(rest.length, 0);
+    if (question) assert.deepEqual(it.question, question);
+    assert.equal(it.errors.length, errors.length, it.errors.join("; "));
+    errors.forEach((re, i) => assert.match(it.errors[i], re));
+  });
+}
+
+test("parseGift reads matching pairs", () => {
+  const [it] = parseGift("Match {=Amoxicillin -> Antibiotic =Furosemide -> Diuretic = -> Statin}");
+  assert.equal(questionType(it.question), "matching");
+  assert.deepEqual(matchingPairs(it.question), [{ left: "Amoxicillin", right: "Antibiotic" }, { left: "Furosemide", right: "Diuretic" }]);
+  assert.ok(it.question.options.includes("Statin"));
+});
+
+// What GIFT can carry comes back from its own export; ordering and
+// hotspot questions (EXPORT_GAPS) and marks/section can't travel in it.
+test("GIFT export re-imports the types it can carry", () => {
+  const questions = [
+    { q: "Normal resting heart rate?", options: ["40–50", "60–100", "110–130", "140–160"], ans: 1, explanation: "Beats per minute." },
+    { type: "tf", q: "Insulin lowers glucose.", options: ["True", "False"], ans: 1 },
+    { type: "sata", q: "Signs of hypoglycaemia?", options: ["Sweating", "Tremor", "Bradycardia"], ans: [0, 1] },
+    { type: "matching", q: "Match the drug.", prompts: ["Amoxicillin", "Furosemide"], options: ["Diuretic", "Antibiotic"], ans: [1, 0] },
+  ];
+  assert.deepEqual(EXPORT_GAPS.gift, ["ordering", "hotspot"]);
+  const items = parseGift(questionsToGift(questions, { title: "Paper" }));
+  assert.deepEqual(items.flatMap(it => it.errors), []);
+  const back = items.map(it => it.question);
+  assert.deepEqual(back.slice(0, 3), questions.slice(0, 3));
+  assert.deepEqual(matchingPairs(back[3]), matchingPairs(questions[3]));
+});
+
+// ── Loose text ──
+
+test("parseLoose reads numbered questions and warns when there's no answer", () => {
+  const items = parseLoose("1. What is the normal pH of blood?\nA. 7.0\nB. 7.4\nC. 8.0\nD. 6.5\nAnswer: B\n\n2. Largest organ?\nA. Liver\nB. Skin\nC. Heart\nD. Brain");
+  assert.deepEqual(items.map(it => [it.line, it.question.q, it.question.ans, it.warnings]), [
+    [1, "What is the normal pH of blood?", 1, []],
+    [8, "Largest organ?", 0, ["No answer found — defaults to A"]],
+  ]);
+  assert.deepEqual(items[0].question.options, ["7.0", "7.4", "8.0", "6.5"]);
+});
+
+// ── Preview against the paper being edited ──
+
+const existing = [
+  { id: 1, cat: "Cardio", q: "Which is a beta blocker?", options: ["Atenolol", "Amlodipine", "", ""], ans: 0, marks: 2 },
+  { id: 2, q: "Heart has four chambers", type: "tf", options: ["True", "False"], ans: 0 },
+];
+const incoming = (question, errors = []) => ({ line: 1, question, errors, warnings: [] });
+
+const diffs = [
+  { name: "a new question",      it: incoming({ q: "Brand new?", options: ["a", "b", "", ""], ans: 0 }),                       status: "new",       fields: [] },
+  { name: "an exact duplicate",  it: incoming({ q: "which is a  BETA blocker?", options: ["Atenolol", "Amlodipine", "", ""], ans: 0 }), status: "duplicate", fields: [] },
+  { name: "a changed key",       it: incoming({ q: "Heart has four chambers", type: "tf", options: ["True", "False"], ans: 1 }), status: "changed",  fields: ["Answer"] },
+  { name: "new marks and section", it: incoming({ q: "Which is a beta blocker?", options: ["Atenolol", "Amlodipine", "", ""], ans: 0, marks: 3, section: "s1" }), status: "changed", fields: ["Marks", "Section"] },
+  { name: "a changed option",    it: incoming({ q: "Which is a beta blocker?", options: ["Atenolol", "Amiodarone", "", ""], ans: 0 }), status: "changed", fields: ["Option B"] },
+  { name: "a parse error",       it: incoming(null, ["bad"]),                                                                  status: "error",     fields: [] },
+];
+
+for (const { name, it, status, fields } of diffs) {
+  test(`diffImport: ${name}`, () => {
+    const [out] = diffImport([it], existing);
+    assert.equal(out.status, status);
+    assert.deepEqual(out.changes.map(c => c.field), fields);
+  });
+}
+
+test("diffImport rejects a question repeated in the same file", () => {
+  const q = { q: "Brand new?", options: ["a", "b", "", ""], ans: 0 };
+  assert.deepEqual(diffImport([incoming(q), incoming(q)], existing).map(it => it.status), ["new", "error"]);
+});
+
+test("applyImport replaces in place, keeping the pool id and category, and appends the rest", () => {
+  const replacement = { q: "Which is a beta blocker?", options: ["Atenolol", "Amiodarone", "", ""], ans: 0 };
+  const added = { q: "Brand new?", options: ["a", "b", "", ""], ans: 0 };
+  assert.deepEqual(applyImport(existing, [added], { 0: replacement }), [{ id: 1, cat: "Cardio", ...replacement }, existing[1], added]);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeRekey, rekeyQuestion, rescoreSummary, validateRekey } from "../../src/shared/rekey.js";
+import { buildPaperOrder, gradeAttempt, regradeResult } from "../cbtGrading.js";
+
+const opts = ["Alpha", "Bravo", "Charlie", "Delta"];
+const mcq = { q: "Which?", options: opts, ans: 1 };
+const tf = { type: "tf", q: "True?", options: ["True", "False"], ans: 0 };
+
+// ── validateRekey ──
+
+const checks = [
+  { name: "unknown mode",             q: mcq,                              change: { mode: "swap" },                  want: "Pick a correction" },
+  { name: "void",                     q: mcq,                              change: { mode: "void" },                  want: "" },
+  { name: "void twice",               q: { ...mcq, void: true },           change: { mode: "void" },                  want: "This question is already void" },
+  { name: "void a typed question",    q: { type: "sata", ans: [0] },       change: { mode: "void" },                  want: "" },
+  { name: "replace a typed key",      q: { type: "sata", ans: [0] },       change: { mode: "replace", ans: 1 },       want: /void the question instead/ },
+  { name: "replace with no option",   q: mcq,                              change: { mode: "replace", ans: 5 },       want: "Pick the correct option" },
+  { name: "replace with the key",     q: mcq,                              change: { mode: "replace", ans: 1 },       want: "That is already the key" },
+  { name: "replace",                  q: mcq,                              change: { mode: "replace", ans: 2 },       want: "" },
+  { name: "replace tf out of range",  q: tf,                               change: { mode: "replace", ans: 2 },       want: "Pick the correct option" },
+  { name: "replace tf",               q: tf,                               change: { mode: "replace", ans: 1 },       want: "" },
+  { name: "accept",                   q: mcq,                              change: { mode: "accept", accept: [2] },   want: "" },
+  { name: "accept a missing option",  q: mcq,                              change: { mode: "accept", accept: [7] },   want: "An accepted answer isn't one of the options" },
+  { name: "accept only the key",      q: mcq,                              change: { mode: "accept", accept: [1] },   want: "Nothing has changed" },
+  { name: "accept the same list",     q: { ...mcq, accept: [3, 2] },       change: { mode: "accept", accept: [2, 3] }, want: "Nothing has changed" },
+  { name: "clear the accepted list",  q: { ...mcq, accept: [2] },          change: { mode: "accept", accept: [] },    want: "" },
+];
+
+for (const { name, q, change, want } of checks) {
+  test(`validateRekey: ${name}`, () => {
+    if (want instanceof RegExp) assert.match(validateRekey(q, change), want);
+    else assert.equal(validateRekey(q, change), want);
+  });
+}
+
+// ── rekeyQuestion + describeRekey ──
+
+const corrections = [
+  { name: "replace drops the new key from accept", q: { ...mcq, accept: [2, 3] }, change: { mode: "replace", ans: 2 },        want: { ...mcq, ans: 2, accept: [3] },  says: "Key B → C" },
+  { name: "replace with nothing else accepted",    q: mcq,                        change: { mode: "replace", ans: 0 },        want: { ...mcq, ans: 0 },               says: "Key B → A" },
+  { name: "accept sorts and dedupes",              q: mcq,                        change: { mode: "accept", accept: [3, 2, 2] }, want: { ...mcq, accept: [2, 3] },   says: "B or D or C accepted" },
+  { name: "accept nothing clears the list",        q: { ...mcq, accept: [2] },    change: { mode: "accept", accept: [] },     want: mcq,                              says: "Only B accepted" },
+  { name: "true/false labels",                     q: tf,                         change: { mode: "replace", ans: 1 },        want: { ...tf, ans: 1 },                says: "Key True → False" },
+  { name: "void",                                  q: mcq,                        change: { mode: "void" },                   want: { ...mcq, void: true },           says: "Question voided" },
+];
+
+for (const { name, q, change, want, says } of corrections) {
+  test(`rekeyQuestion: ${name}`, () => {
+    assert.deepEqual(rekeyQuestion(q, change), want);
+    assert.equal(describeRekey(q, change), says);
+  });
+}
+
+// ── Regrading stored CBT results under a corrected key ──
+// The same steps as rekeyCbtQuestion: correct the question, rebuild the
+// keys from it, and mark every stored result again.
+
+const exam = {
+  id: 7, scoring: { passMark: 70 },
+  questions: [0, 0, 0].map((ans, i) => ({ q: `q${i}`, options: opts, ans })),
+};
+const keysOf = (questions) => questions.map(q => q.ans);
+const sheets = { a: [0, 0, 0], b: [1, 0, 0], c: [2, 0, 0] };
+const stored = Object.fromEntries(Object.entries(sheets).map(([student, answers]) => {
+  const order = buildPaperOrder(exam, student);
+  const graded = gradeAttempt(exam, keysOf(exam.questions), order, answers, 0);
+  return [student, { student, ...graded, delivered: order.map(o => o.origQIdx) }];
+}));
+
+const rekeys = [
+  { name: "replace the key",      change: { mode: "replace", ans: 1 },      want: { a: 2, b: 3, c: 2 }, total: 3 },
+  { name: "accept a second key",  change: { mode: "accept", accept: [1] },  want: { a: 3, b: 3, c: 2 }, total: 3 },
+  { name: "void the question",    change: { mode: "void" },                 want: { a: 2, b: 2, c: 2 }, total: 2 },
+];
+
+for (const { name, change, want, total } of rekeys) {
+  test(`regradeResult after a rekey: ${name}`, () => {
+    assert.equal(validateRekey(exam.questions[0], change), "");
+    const q0 = rekeyQuestion(exam.questions[0], change);
+    const next = { ...exam, questions: [q0, ...exam.questions.slice(1)] };
+    const discarded = q0.void ? [0] : [];
+    for (const [student, score] of Object.entries(want)) {
+      const out = regradeResult(next, keysOf(next.questions), stored[student], discarded);
+      assert.equal(out.score, score, student);
+      assert.equal(out.total, total);
+    }
+  });
+}
+
+test("rescoreSummary counts who went up, down, and across the pass mark", () => {
+  const q0 = rekeyQuestion(exam.questions[0], { mode: "replace", ans: 1 });
+  const next = { ...exam, questions: [q0, ...exam.questions.slice(1)] };
+  const changes = Object.values(stored)
+    .map(r => ({ before: r, after: regradeResult(next, keysOf(next.questions), r) }))
+    .filter(c => c.after.score !== c.before.score);
+  assert.deepEqual(changes.map(c => c.before.student), ["a", "b"]);
+  assert.deepEqual(rescoreSummary(changes), { up: 1, down: 1, nowPass: 1, nowFail: 1 });
+});
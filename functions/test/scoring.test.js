@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyPenalties, markQuestion, questionMarks, scorePaper, scoringScheme } from "../scoring.js";
+import { decodeValue, encodeValue, questionType, scoreResponse } from "../questionTypes.js";
+
+const opts = ["A", "B", "C", "D"];
+const box = { x: 20, y: 30, w: 10, h: 20 };
+
+// ── scoreResponse: credit per question type ──
+
+const credits = [
+  { name: "mcq right",                q: { options: opts },                         key: 1,         resp: 1,                  credit: 1 },
+  { name: "mcq wrong",                q: { options: opts },                         key: 1,         resp: 2,                  credit: 0 },
+  { name: "mcq accepted after rekey", q: { options: opts, accept: [2] },            key: 1,         resp: 2,                  credit: 1 },
+  { name: "mcq malformed",            q: { options: opts },                         key: 1,         resp: "1",                credit: 0 },
+  { name: "tf right",                 q: { type: "tf" },                            key: 0,         resp: 0,                  credit: 1 },
+  { name: "tf wrong",                 q: { type: "tf" },                            key: 0,         resp: 1,                  credit: 0 },
+  { name: "sata all keys",            q: { type: "sata", options: opts },           key: [0, 1, 3], resp: [3, 0, 1],          credit: 1 },
+  { name: "sata partial",             q: { type: "sata", options: opts },           key: [0, 1, 3], resp: [0, 1],             credit: 2 / 3 },
+  { name: "sata wrong pick costs",    q: { type: "sata", options: opts },           key: [0, 1, 3], resp: [0, 1, 2],          credit: 1 / 3 },
+  { name: "sata every box",           q: { type: "sata", options: opts },           key: [0, 1],    resp: [0, 1, 2, 3],       credit: 0 },
+  { name: "sata repeats count once",  q: { type: "sata", options: opts },           key: [0, 1, 3], resp: [0, 0, 0],          credit: 1 / 3 },
+  { name: "matching half",            q: { type: "matching", prompts: ["x", "y"] }, key: [1, 0],    resp: [1, 2],             credit: 0.5 },
+  { name: "matching none",            q: { type: "matching", prompts: ["x", "y"] }, key: [1, 0],    resp: [0, 1],             credit: 0 },
+  { name: "ordering one in place",    q: { type: "ordering", options: opts },       key: [1, 2, 0], resp: [1, 0, 2],          credit: 1 / 3 },
+  { name: "ordering exact",           q: { type: "ordering", options: opts },       key: [1, 2, 0], resp: [1, 2, 0],          credit: 1 },
+  { name: "hotspot inside",           q: { type: "hotspot" },                       key: box,       resp: { x: 25, y: 40 },   credit: 1 },
+  { name: "hotspot on the edge",      q: { type: "hotspot" },                       key: box,       resp: { x: 30, y: 50 },   credit: 1 },
+  { name: "hotspot outside",          q: { type: "hotspot" },                       key: box,       resp: { x: 31, y: 40 },   credit: 0 },
+  { name: "hotspot malformed",        q: { type: "hotspot" },                       key: box,       resp: [25, 40],           credit: 0 },
+];
+
+for (const { name, q, key, resp, credit } of credits) {
+  test(`scoreResponse: ${name}`, () => {
+    assert.equal(scoreResponse(q, key, resp), credit);
+  });
+}
+
+test("questionType treats untyped and unknown types as MCQs", () => {
+  assert.deepEqual([{}, { type: "essay" }, { type: "sata" }, null].map(questionType), ["mcq", "mcq", "sata", "mcq"]);
+});
+
+test("encodeValue wraps arrays for Firestore and decodeValue undoes it", () => {
+  for (const v of [2, null, [0, 3], { x: 1, y: 2 }]) assert.deepEqual(decodeValue(encodeValue(v)), v);
+  assert.deepEqual(encodeValue([1]), { v: [1] });
+});
+
+// ── scoringScheme ──
+
+const schemes = [
+  { given: undefined,                                    want: { marks: 1, negative: 0, unanswered: "zero", passMark: 50 } },
+  { given: { marks: 2, negative: 0.25, passMark: 40 },   want: { marks: 2, negative: 0.25, unanswered: "zero", passMark: 40 } },
+  { given: { marks: -1, negative: 3, unanswered: "no" }, want: { marks: 1, negative: 1, unanswered: "zero", passMark: 50 } },
+  { given: { unanswered: "exclude", passMark: "" },      want: { marks: 1, negative: 0, unanswered: "exclude", passMark: 50 } },
+  { given: { passMark: 0 },                              want: { marks: 1, negative: 0, unanswered: "zero", passMark: 0 } },
+  { given: { passMark: 140 },                            want: { marks: 1, negative: 0, unanswered: "zero", passMark: 100 } },
+];
+
+for (const { given, want } of schemes) {
+  test(`scoringScheme ${JSON.stringify(given)}`, () => {
+    assert.deepEqual(scoringScheme(given), want);
+  });
+}
+
+test("questionMarks prefers the question's own marks", () => {
+  assert.equal(questionMarks({ marks: 3 }, { marks: 2 }), 3);
+  assert.equal(questionMarks({ marks: 0 }, { marks: 2 }), 2);
+  assert.equal(questionMarks({}, undefined), 1);
+});
+
+// ── markQuestion: negative marking and blanks ──
+
+const marking = [
+  { name: "right",                 credit: 1,    scheme: { negative: 0.25 },                          want: { got: 2, max: 2 } },
+  { name: "wrong, negative on",    credit: 0,    scheme: { negative: 0.25 },                          want: { got: -0.5, max: 2 } },
+  { name: "wrong, negative off",   credit: 0,    scheme: {},                                          want: { got: 0, max: 2 } },
+  { name: "partial never loses",   credit: 0.5,  scheme: { negative: 0.25 },                          want: { got: 1, max: 2 } },
+  { name: "blank, zero",           credit: null, scheme: { negative: 0.25 },                          want: { got: 0, max: 2 } },
+  { name: "blank, marked wrong",   credit: null, scheme: { negative: 0.25, unanswered: "negative" }, want: { got: -0.5, max: 2 } },
+  { name: "blank, left out",       credit: null, scheme: { negative: 0.25, unanswered: "exclude" },  want: { got: 0, max: 0 } },
+];
+
+for (const { name, credit, scheme, want } of marking) {
+  test(`markQuestion: ${name}`, () => {
+    assert.deepEqual(markQuestion(credit, 2, scheme), want);
+  });
+}
+
+// ── scorePaper + applyPenalties ──
+
+test("scorePaper adds up marks, counts, and floors the score after penalties", () => {
+  const items = [{ q: { marks: 2 }, credit: 1 }, { q: {}, credit: 0 }, { q: {}, credit: null }, { q: {}, credit: 0.5 }];
+  const scheme = { negative: 0.5, passMark: 40 };
+  assert.deepEqual(scorePaper(items, scheme), {
+    rawScore: 2, total: 5, score: 2, percent: 40, passed: true, correct: 1, wrong: 1, blank: 1,
+  });
+  const penalised = scorePaper(items, scheme, 3);
+  assert.equal(penalised.rawScore, 2);
+  assert.equal(penalised.score, 0);
+  assert.equal(penalised.passed, false);
+});
+
+test("scorePaper lets an item's own scheme override the paper's", () => {
+  const items = [{ q: {}, credit: 0, scheme: { marks: 4, negative: 0.5 } }, { q: {}, credit: 1 }];
+  const out = scorePaper(items, { marks: 1, negative: 0 });
+  assert.equal(out.rawScore, -1);
+  assert.equal(out.total, 5);
+  assert.equal(out.score, 0);
+});
+
+const penalties = [
+  { raw: 5, total: 10, penalties: 1,   scheme: { passMark: 40 }, want: { score: 4, percent: 40, passed: true } },
+  { raw: 5, total: 10, penalties: 1.5, scheme: undefined,        want: { score: 3.5, percent: 35, passed: false } },
+  { raw: 1, total: 10, penalties: 2,   scheme: undefined,        want: { score: 0, percent: 0, passed: false } },
+  { raw: 0, total: 0,  penalties: 0,   scheme: { passMark: 0 },  want: { score: 0, percent: 0, passed: true } },
+];
+
+for (const { raw, total, penalties: p, scheme, want } of penalties) {
+  test(`applyPenalties ${raw}/${total} less ${p}`, () => {
+    assert.deepEqual(applyPenalties(raw, total, p, scheme), want);
+  });
+}
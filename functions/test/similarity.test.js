@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MIN_PASSAGE_WORDS, SIGNATURE_SIZE, estimateJaccard, fingerprint, matchPassages, tokenize } from "../similarity.js";
+
+const lifted = "Hand hygiene before and after every patient contact remains the single most effective way to prevent infection.";
+const essayA = `Wards are busy places. ${lifted} Nurses should model it for students.`;
+const essayB = `In my placement I noticed that ${lifted} The ward sister agreed with this.`;
+const unrelated = "Pressure ulcers form where bone presses skin against a mattress for hours without relief, mostly on the sacrum and heels.";
+
+test("tokenize lower-cases words and keeps their offsets", () => {
+  const text = "Don’t STOP — it's 24/7 care.";
+  const { words, spans } = tokenize(text);
+  assert.deepEqual(words, ["don't", "stop", "it's", "24", "7", "care"]);
+  assert.deepEqual(spans.map(([s, e]) => text.slice(s, e)), ["Don’t", "STOP", "it's", "24", "7", "care"]);
+});
+
+test("fingerprint summarises a text", () => {
+  const fp = fingerprint(lifted);
+  assert.equal(fp.words, 17);
+  assert.equal(fp.shingles, 13);
+  assert.equal(fp.signature.length, SIGNATURE_SIZE);
+  assert.deepEqual(fingerprint("too short"), { words: 2, shingles: 0, signature: [] });
+});
+
+const jaccards = [
+  { name: "the same text",        a: essayA, b: essayA,    min: 1,   max: 1 },
+  { name: "case and punctuation", a: essayA, b: essayA.toUpperCase().replace(/[.,]/g, " "), min: 1, max: 1 },
+  { name: "a shared passage",     a: essayA, b: essayB,    min: 0.2, max: 0.8 },
+  { name: "unrelated texts",      a: essayA, b: unrelated, min: 0,   max: 0.05 },
+  { name: "an empty text",        a: essayA, b: "",        min: 0,   max: 0 },
+];
+
+for (const { name, a, b, min, max } of jaccards) {
+  test(`estimateJaccard: ${name}`, () => {
+    const j = estimateJaccard(fingerprint(a).signature, fingerprint(b).signature);
+    assert.ok(j >= min && j <= max, `${j} not in [${min}, ${max}]`);
+  });
+}
+
+test("matchPassages finds the shared passage at its offsets in both texts", () => {
+  const { passages, overlapA, overlapB } = matchPassages(essayA, essayB);
+  assert.equal(passages.length, 1);
+  const [p] = passages;
+  assert.equal(p.words, 17);
+  assert.equal(essayA.slice(...p.a), lifted.slice(0, -1));
+  assert.equal(essayB.slice(...p.b), lifted.slice(0, -1));
+  assert.equal(overlapA, 17 / tokenize(essayA).words.length);
+  assert.equal(overlapB, 17 / tokenize(essayB).words.length);
+});
+
+test("matchPassages ignores runs shorter than MIN_PASSAGE_WORDS", () => {
+  const shared = "monitor the wound for early signs";
+  assert.ok(shared.split(" ").length < MIN_PASSAGE_WORDS);
+  const out = matchPassages(`First we ${shared} daily.`, `Always ${shared} of sepsis.`);
+  assert.deepEqual(out.passages, []);
+  assert.equal(out.overlapA, 0);
+});
+
+test("matchPassages of unrelated or empty texts finds nothing", () => {
+  assert.deepEqual(matchPassages(essayA, unrelated).passages, []);
+  assert.deepEqual(matchPassages("", ""), { passages: [], overlapA: 0, overlapB: 0 });
+});
@@ -0,0 +1,181 @@
+// ─── TEXT EXTRACTION ─────────────────────────────────────────────────
+//
+// Plain text out of the files students hand in and lecturers upload,
+// for the similarity check (similarity.js). Uses nothing but zlib:
+//
+//   text/plain          as is
+//   .docx / .pptx       the zip's document/slide XML, tags stripped
+//   .pdf                text-showing operators (Tj, TJ, ', ") from the
+//                       content streams — good for PDFs exported from a
+//                       word processor, blind to scans and to fonts that
+//                       only map glyphs through a ToUnicode CMap
+//
+// Anything else (images, legacy .doc) can't be read. Every extractor
+// returns { text } or { text: "", unreadable: reason }.
+
+import { inflateRawSync, inflateSync } from "node:zlib";
+
+const MIN_LETTERS = 40; // less than this and the file was effectively unreadable
+
+const result = (text, reason) => {
+  const clean = String(text || "").replace(/[ \t\f\v]+/g, " ").replace(/\s*\n\s*/g, "\n").trim();
+  return (clean.match(/\p{L}/gu) || []).length >= MIN_LETTERS ? { text: clean } : { text: "", unreadable: reason };
+};
+
+// ── Zip (docx, pptx) ──
+
+const readZip = (buf) => {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) return null;
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  for (let n = 0; n < count && buf.readUInt32LE(p) === 0x02014b50; n++) {
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    entries.set(buf.toString("utf8", p + 46, p + 46 + nameLen), { method, size, local });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  const read = (name) => {
+    const e = entries.get(name);
+    if (!e) return null;
+    const start = e.local + 30 + buf.readUInt16LE(e.local + 26) + buf.readUInt16LE(e.local + 28);
+    const data = buf.subarray(start, start + e.size);
+    return (e.method === 8 ? inflateRawSync(data) : data).toString("utf8");
+  };
+  return { names: [...entries.keys()], read };
+};
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+const decodeXml = (s) => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) =>
+  e[0] === "#" ? String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : +e.slice(1)) : XML_ENTITIES[e] ?? m);
+
+// Text runs of one Office XML part: paragraphs become lines.
+const officeXmlText = (xml, textTag, paraTag) => xml
+  .replace(new RegExp(`</${paraTag}>`, "g"), "\n")
+  .replace(/<w:tab\/>|<w:br\/>/g, `<${textTag}> </${textTag}>`)
+  .match(new RegExp(`<${textTag}(?:\\s[^>]*)?>[^<]*</${textTag}>|\\n`, "g"))
+  ?.map(t => t === "\n" ? "\n" : decodeXml(t.replace(/<[^>]+>/g, "")))
+  .join("") || "";
+
+const fromDocx = (buf) => {
+  const zip = readZip(buf);
+  const xml = zip?.read("word/document.xml");
+  if (!xml) return { text: "", unreadable: "Not a Word document" };
+  return result(officeXmlText(xml, "w:t", "w:p"), "The document has no text");
+};
+
+const fromPptx = (buf) => {
+  const zip = readZip(buf);
+  const slides = (zip?.names || [])
+    .filter(n => /^ppt\/slides\/slide\d+\.xml$/.test(n))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+  if (!slides.length) return { text: "", unreadable: "Not a PowerPoint file" };
+  return result(slides.map(s => officeXmlText(zip.read(s), "a:t", "a:p")).join("\n"), "The slides have no text");
+};
+
+// ── PDF ──
+
+const PDF_ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+// One literal string starting at s[i] === "(" → [text, index after it].
+const pdfLiteral = (s, i) => {
+  let depth = 0, out = "";
+  for (let j = i; j < s.length; j++) {
+    const c = s[j];
+    if (c === "\\") {
+      const n = s[j + 1];
+      if (PDF_ESCAPES[n]) { out += PDF_ESCAPES[n]; j++; }
+      else if (/[0-7]/.test(n)) {
+        const oct = s.slice(j + 1, j + 4).match(/^[0-7]{1,3}/)[0];
+        out += String.fromCharCode(parseInt(oct, 8)); j += oct.length;
+      } else if (n === "\r" || n === "\n") { j++; }
+      else { out += n ?? ""; j++; }
+    } else if (c === "(") { if (depth++) out += c; }
+    else if (c === ")") { if (--depth === 0) return [out, j + 1]; out += c; }
+    else out += c;
+  }
+  return [out, s.length];
+};
+
+// Hex strings are only read when they're plain one-byte text; two-byte
+// glyph ids need the font's CMap.
+const pdfHex = (hex) => {
+  const h = hex.replace(/\s/g, "");
+  const bytes = (h.length % 2 ? h + "0" : h).match(/../g) || [];
+  const chars = bytes.map(b => parseInt(b, 16));
+  return chars.every(c => c >= 32 && c < 127) ? String.fromCharCode(...chars) : "";
+};
+
+// Text-showing operators of one content stream.
+const pdfContentText = (s) => {
+  let out = "", pending = [];
+  const re = /\(|<([0-9A-Fa-f\s]*)>|(-?\d*\.?\d+)|(Tj|TJ|T\*|Td|TD|Tm|ET|'|")(?![A-Za-z*])/g;
+  for (let m; (m = re.exec(s)); ) {
+    if (m[0] === "(") {
+      const [text, end] = pdfLiteral(s, m.index);
+      pending.push(text); re.lastIndex = end;
+    } else if (m[1] !== undefined) {
+      pending.push(pdfHex(m[1]));
+    } else if (m[2] !== undefined) {
+      // A big negative kern inside TJ is a word gap.
+      if (+m[2] < -200 && pending.length) pending.push(" ");
+    } else if (m[3]) {
+      const op = m[3];
+      if (op === "Tj" || op === "TJ") { out += pending.join(""); }
+      else if (op === "'" || op === "\"") { out += "\n" + pending.join(""); }
+      else if (op === "T*" || op === "Td" || op === "TD" || op === "Tm") { out += "\n"; }
+      else if (op === "ET") { out += "\n"; }
+      pending = [];
+    }
+  }
+  return out;
+};
+
+const fromPdf = (buf) => {
+  const raw = buf.toString("latin1");
+  let text = "";
+  const re = /<<(.*?)>>\s*stream\r?\n/gs;
+  for (let m; (m = re.exec(raw)); ) {
+    const start = m.index + m[0].length;
+    const end = raw.indexOf("endstream", start);
+    if (end < 0) break;
+    const dict = m[1];
+    re.lastIndex = end;
+    if (/\/Subtype\s*\/Image|\/Type\s*\/(XObject|XRef|ObjStm|EmbeddedFile)|\/Length1/.test(dict)) continue;
+    let data = buf.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try { data = inflateSync(data); }
+      catch { try { data = inflateRawSync(data.subarray(2)); } catch { continue; } }
+    } else if (/\/Filter/.test(dict)) continue;
+    const content = data.toString("latin1");
+    if (/\bBT\b/.test(content)) text += pdfContentText(content) + "\n";
+  }
+  return result(text, "No readable text — scanned or image-only PDF?");
+};
+
+// ── Entry point ──
+
+const DOCX = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const PPTX = "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+
+// → { text, unreadable? }. `name` settles the type when `type` is blank.
+export const extractText = (buf, type, name = "") => {
+  const ext = String(name).split(".").pop().toLowerCase();
+  try {
+    if (type === "application/pdf" || ext === "pdf") return fromPdf(buf);
+    if (type === DOCX || ext === "docx") return fromDocx(buf);
+    if (type === PPTX || ext === "pptx") return fromPptx(buf);
+    if (/^text\//.test(type || "") || ext === "txt") return result(buf.toString("utf8"), "The file is empty");
+  } catch (e) {
+    return { text: "", unreadable: `Couldn't read the file (${e.message})` };
+  }
+  return { text: "", unreadable: "Text can't be read from this file type" };
+};
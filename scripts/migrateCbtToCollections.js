@@ -0,0 +1,164 @@
+// ─── ONE-TIME MIGRATION: nv/cbt* arrays → per-record CBT collections ──
+//
+// Run this ONCE, locally, from your own machine — same rules as
+// migrateUsersToAuth.js: never in CI, never with the service account
+// key in this repo.
+//
+// SETUP:
+//   1. Firebase Console → Project Settings → Service Accounts
+//      → "Generate new private key" → save the JSON OUTSIDE this repo
+//   2. Deploy the new firestore.rules and functions first, so students
+//      submitting during the migration already land in the new layout.
+//   3. Run:
+//        GOOGLE_APPLICATION_CREDENTIALS=~/keys/medicare-c6196-admin.json \
+//        node scripts/migrateCbtToCollections.js
+//
+// WHAT IT DOES:
+//   - nv/cbtExams list[]      → cbt_exams/{examId} (metadata only)
+//                               + cbt_exam_keys/{examId} { questions[], answers[] }
+//   - cbt_exams/{examId} docs still carrying `questions` → moved into
+//     cbt_exam_keys/{examId}, since every signed-in user can read the
+//     exam doc (firestore.rules refuses writes to an exam until then)
+//   - nv/cbtResults list[]    → cbt_exams/{examId}/results/{studentKey}
+//   - nv/cbtViolations list[] → cbt_exams/{examId}/violations/{autoId}
+//   - nv/cbtDevices map{}     → cbt_exams/{examId}/devices/{studentKey}
+//   - Idempotent: exams/keys/results that already exist are skipped, and
+//     violations are written with a deterministic id so re-runs don't
+//     duplicate them.
+//   - Never deletes or modifies the nv/* docs — the old data stays
+//     intact as a fallback until you've verified the migration.
+//     firestore.rules denies all client reads and writes of nv/cbtExams,
+//     nv/cbtResults, nv/cbtViolations and nv/cbtDevices, since the exams
+//     there still carry their `ans` keys inline and the device map every
+//     student's IP.
+//
+// AFTER RUNNING:
+//   - Open a few exams in the lecturer Monitor view and compare counts
+//     against the summary printed below.
+
+import admin from "firebase-admin";
+import { cbtPaperLength } from "../src/shared/cbtHelpers.js";
+
+admin.initializeApp({
+  credential: admin.credential.applicationDefault(),
+});
+
+const db = admin.firestore();
+
+// Same doc-id convention as services/cbt.js studentKey().
+const studentKey = (email) => String(email).replace(/[^a-zA-Z0-9]/g, "_");
+
+const readList = async (docId) => {
+  const snap = await db.collection("nv").doc(docId).get();
+  return snap.exists ? (snap.data().list || []) : [];
+};
+
+async function migrate() {
+  console.log("\n[CBT Migration] Starting\n");
+
+  const [exams, results, violations, deviceSnap] = await Promise.all([
+    readList("cbtExams"), readList("cbtResults"), readList("cbtViolations"),
+    db.collection("nv").doc("cbtDevices").get(),
+  ]);
+  const devices = Object.values(deviceSnap.exists ? (deviceSnap.data().map || {}) : {});
+  console.log(`[CBT Migration] Found ${exams.length} exam(s), ${results.length} result(s), ${violations.length} violation(s), ${devices.length} device binding(s).\n`);
+
+  const counts = { exams: 0, keys: 0, papers: 0, results: 0, violations: 0, devices: 0, skipped: 0, orphans: 0, failed: [] };
+  const knownIds = new Set(exams.map(e => String(e.id)));
+
+  for (const exam of exams) {
+    const id = String(exam.id);
+    try {
+      const keyRef = db.collection("cbt_exam_keys").doc(id);
+      if (!(await keyRef.get()).exists) {
+        await keyRef.set({
+          questions: (exam.questions || []).map(({ ans, ...q }) => q),
+          answers: (exam.questions || []).map(q => q.ans ?? 0),
+          createdBy: exam.createdBy || "",
+          updatedAt: Date.now(),
+        });
+        counts.keys++;
+      }
+      const examRef = db.collection("cbt_exams").doc(id);
+      if ((await examRef.get()).exists) { counts.skipped++; continue; }
+      const { questions, ...meta } = exam;
+      await examRef.set({ ...meta, paperLength: cbtPaperLength(exam), updatedAt: Date.now() });
+      counts.exams++;
+    } catch (e) {
+      counts.failed.push({ what: `exam ${id}`, reason: e.message });
+    }
+  }
+
+  // Exams saved to cbt_exams before the questions moved to the key doc.
+  const carrying = await db.collection("cbt_exams").where("questions", "!=", null).get();
+  for (const d of carrying.docs) {
+    try {
+      const exam = d.data();
+      const questions = (exam.questions || []).map(({ ans, accept, explanation, ...q }) => q);
+      const batch = db.batch();
+      batch.set(db.collection("cbt_exam_keys").doc(d.id), { questions, createdBy: exam.createdBy || "" }, { merge: true });
+      batch.update(d.ref, { questions: admin.firestore.FieldValue.delete(), paperLength: cbtPaperLength(exam) });
+      await batch.commit();
+      counts.papers++;
+    } catch (e) {
+      counts.failed.push({ what: `paper ${d.id}`, reason: e.message });
+    }
+  }
+
+  for (const r of results) {
+    if (!knownIds.has(String(r.examId))) { counts.orphans++; continue; }
+    try {
+      const ref = db.collection("cbt_exams").doc(String(r.examId)).collection("results").doc(studentKey(r.student));
+      if ((await ref.get()).exists) { counts.skipped++; continue; }
+      await ref.set(r);
+      counts.results++;
+    } catch (e) {
+      counts.failed.push({ what: `result ${r.examId}/${r.student}`, reason: e.message });
+    }
+  }
+
+  for (const [i, v] of violations.entries()) {
+    if (!knownIds.has(String(v.examId))) { counts.orphans++; continue; }
+    try {
+      // The old save path truncated snapshots to a 100-char stub; drop
+      // the stub rather than carry a broken data URL forward.
+      const { snapshot, ...rest } = v;
+      const clean = snapshot && !String(snapshot).endsWith("[img]") ? v : rest;
+      const vid = `legacy_${studentKey(v.student)}_${v.ts || 0}_${i}`;
+      await db.collection("cbt_exams").doc(String(v.examId)).collection("violations").doc(vid).set(clean);
+      counts.violations++;
+    } catch (e) {
+      counts.failed.push({ what: `violation ${v.examId}/${v.student}`, reason: e.message });
+    }
+  }
+
+  for (const d of devices) {
+    if (!knownIds.has(String(d.examId)) || !d.student) { counts.orphans++; continue; }
+    try {
+      const ref = db.collection("cbt_exams").doc(String(d.examId)).collection("devices").doc(studentKey(d.student));
+      if ((await ref.get()).exists) { counts.skipped++; continue; }
+      await ref.set(d);
+      counts.devices++;
+    } catch (e) {
+      counts.failed.push({ what: `device ${d.examId}/${d.student}`, reason: e.message });
+    }
+  }
+
+  console.log("\n─── CBT migration summary ──────────────────────");
+  console.log(`Exams written:      ${counts.exams}`);
+  console.log(`Answer keys:        ${counts.keys}`);
+  console.log(`Papers moved:       ${counts.papers}`);
+  console.log(`Results written:    ${counts.results}`);
+  console.log(`Violations written: ${counts.violations}`);
+  console.log(`Device bindings:    ${counts.devices}`);
+  console.log(`Already migrated:   ${counts.skipped}`);
+  console.log(`Orphans (no exam):  ${counts.orphans}`);
+  console.log(`Failed:             ${counts.failed.length}`);
+  counts.failed.forEach(f => console.log(`  - ${f.what}: ${f.reason}`));
+  console.log("──────────────────────────────────────────────────\n");
+}
+
+migrate().then(() => process.exit(0)).catch(e => {
+  console.error("[CBT Migration] Fatal error:", e);
+  process.exit(1);
+});
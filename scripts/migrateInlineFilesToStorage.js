@@ -0,0 +1,214 @@
+// ─── ONE-TIME MIGRATION: inline data-URL files → Cloud Storage ────────
+//
+// Run this ONCE, locally, from your own machine — same rules as
+// migrateUsersToAuth.js: never in CI, never with the service account
+// key in this repo.
+//
+// SETUP:
+//   1. Firebase Console → Project Settings → Service Accounts
+//      → "Generate new private key" → save the JSON OUTSIDE this repo
+//   2. Deploy storage.rules and the new web build first, so nothing new
+//      is written inline while the migration runs.
+//   3. Dry run (reads only, prints what it would move):
+//        GOOGLE_APPLICATION_CREDENTIALS=~/keys/medicare-c6196-admin.json \
+//        node scripts/migrateInlineFilesToStorage.js --dry-run
+//   4. Then the real run, without --dry-run. STORAGE_BUCKET overrides
+//      the bucket (default: the one in src/config/firebase.js).
+//
+// WHAT IT DOES:
+//   - dm_convs/*/msgs           fileData → dm/{convId}/{fileId}/{name}
+//   - class_chats/*/msgs        fileData → class_chats/{classId}/{fileId}/{name}
+//   - phn_folder/*              fileData → phn_folder/{fileId}/{name}
+//   - assignments/*/submissions fileData → assignments/{asgnId}/{studentKey}/{fileId}/{name}
+//   - nv/exams "handout-pdf:*"  → handouts/{itemId}/{fileId}/{name}, and the
+//                                 matching nv/shared handouts entry gets pdfPath
+//   - cbt_exams/*/violations    snapshot → cbt/{examId}/snapshots/{studentKey}/{ts}.jpg
+//   Each doc gets the same fields the app now writes (filePath, fileType,
+//   fileSize / pdfPath / snapshotPath) and loses its inline copy — but
+//   only after the upload succeeded. Idempotent: docs without an inline
+//   file are skipped, so it can be re-run after a partial failure.
+//   Chat images get no thumbnail; the app shows the full image instead.
+//   Research club and research-request files are left inline.
+//
+// AFTER RUNNING:
+//   - Open a DM with an old attachment, an old handout PDF and a flagged
+//     CBT attempt in Case Review and check each still opens.
+
+import admin from "firebase-admin";
+import { randomUUID } from "node:crypto";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const BUCKET = process.env.STORAGE_BUCKET || "medicare-c6196.firebasestorage.app";
+
+admin.initializeApp({
+  credential: admin.credential.applicationDefault(),
+  storageBucket: BUCKET,
+});
+
+const db = admin.firestore();
+const bucket = admin.storage().bucket();
+const { FieldValue } = admin.firestore;
+
+// Same conventions as services/backend.js _safeKey and fileStorage.js.
+const studentKey = (email) => String(email).replace(/[^a-zA-Z0-9]/g, "_");
+const newFileId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+const safeName = (name) => String(name || "file").replace(/[\\/#?[\]*\r\n]+/g, "_").slice(-120);
+
+const isDataUrl = (v) => typeof v === "string" && v.startsWith("data:") && v.includes(",");
+
+const decodeDataUrl = (dataUrl) => {
+  const comma = dataUrl.indexOf(",");
+  const head = dataUrl.slice(0, comma);
+  const body = dataUrl.slice(comma + 1);
+  return {
+    type: (head.match(/^data:([^;,]+)/) || [])[1] || "application/octet-stream",
+    bytes: head.includes(";base64") ? Buffer.from(body, "base64") : Buffer.from(decodeURIComponent(body), "utf8"),
+  };
+};
+
+const counts = {};
+const failed = [];
+const tally = (what) => { counts[what] = (counts[what] || 0) + 1; };
+
+// Uploads one data URL; → { filePath, fileType, fileSize }. The download
+// token lets the web app's getDownloadURL hand out a URL for it, the
+// same as for files the app uploads itself.
+async function upload(path, dataUrl, fallbackType) {
+  const { type, bytes } = decodeDataUrl(dataUrl);
+  const fileType = type === "application/octet-stream" && fallbackType ? fallbackType : type;
+  if (!DRY_RUN) {
+    await bucket.file(path).save(bytes, {
+      resumable: false,
+      contentType: fileType,
+      metadata: { metadata: { firebaseStorageDownloadTokens: randomUUID() } },
+    });
+  }
+  return { filePath: path, fileType, fileSize: bytes.length };
+}
+
+// Moves the `fileData` of every doc in `docs` to the path `pathFor(doc)`.
+async function moveFileData(what, docs, pathFor) {
+  for (const d of docs) {
+    const data = d.data();
+    if (!isDataUrl(data.fileData)) continue;
+    try {
+      const file = await upload(pathFor(d, data), data.fileData, data.fileType);
+      if (!DRY_RUN) {
+        await d.ref.update({
+          filePath: file.filePath, fileType: file.fileType, fileSize: data.fileSize || file.fileSize,
+          fileData: FieldValue.delete(),
+        });
+      }
+      tally(what);
+    } catch (e) {
+      failed.push({ what: `${what} ${d.ref.path}`, reason: e.message });
+    }
+  }
+}
+
+async function subcollectionDocs(parent, sub) {
+  const parents = await db.collection(parent).listDocuments();
+  const out = [];
+  for (const p of parents) {
+    const snap = await p.collection(sub).get();
+    out.push(...snap.docs.map(d => ({ parentId: p.id, doc: d })));
+  }
+  return out;
+}
+
+async function migrateChats() {
+  for (const { parentId, doc } of await subcollectionDocs("dm_convs", "msgs")) {
+    await moveFileData("DM files", [doc], (d, m) => `dm/${parentId}/${newFileId()}/${safeName(m.fileName || `${m.type || "file"}_${m.sentAt || ""}`)}`);
+  }
+  for (const { parentId, doc } of await subcollectionDocs("class_chats", "msgs")) {
+    await moveFileData("Class chat files", [doc], (d, m) => `class_chats/${parentId}/${newFileId()}/${safeName(m.fileName || `${m.type || "file"}_${m.sentAt || ""}`)}`);
+  }
+}
+
+async function migrateFolder() {
+  const snap = await db.collection("phn_folder").get();
+  await moveFileData("PHN folder files", snap.docs, (d, f) => `phn_folder/${newFileId()}/${safeName(f.fileName)}`);
+}
+
+async function migrateAssignments() {
+  for (const { parentId, doc } of await subcollectionDocs("assignments", "submissions")) {
+    await moveFileData("Assignment files", [doc], (d, s) => `assignments/${parentId}/${studentKey(s.student || d.id)}/${newFileId()}/${safeName(s.fileName)}`);
+  }
+}
+
+async function migrateHandouts() {
+  const examsRef = db.collection("nv").doc("exams");
+  const sharedRef = db.collection("nv").doc("shared");
+  const [examsSnap, sharedSnap] = await Promise.all([examsRef.get(), sharedRef.get()]);
+  const pdfs = Object.entries(examsSnap.exists ? examsSnap.data() : {})
+    .filter(([k, v]) => k.startsWith("handout-pdf:") && isDataUrl(v));
+  if (!pdfs.length) return;
+
+  const handouts = sharedSnap.exists ? (sharedSnap.data().handouts || []) : [];
+  const moved = [];
+  let changed = false;
+  for (const [key, dataUrl] of pdfs) {
+    const item = handouts.find(h => h.pdfKey === key);
+    if (!item) { tally("Handout PDFs with no handout (left as-is)"); continue; }
+    try {
+      const { filePath } = await upload(`handouts/${item.id}/${newFileId()}/${safeName(item.pdfName || "handout.pdf")}`, dataUrl, "application/pdf");
+      item.pdfPath = filePath;
+      delete item.pdfKey;
+      moved.push(key);
+      changed = true;
+      tally("Handout PDFs");
+    } catch (e) {
+      failed.push({ what: `handout ${key}`, reason: e.message });
+    }
+  }
+  if (DRY_RUN || !changed) return;
+  // Point the handouts at Storage before dropping the inline copies.
+  await sharedRef.update({ handouts });
+  await examsRef.update(Object.fromEntries(moved.map(k => [k, FieldValue.delete()])));
+}
+
+async function migrateSnapshots() {
+  const exams = await db.collection("cbt_exams").listDocuments();
+  for (const exam of exams) {
+    const snap = await exam.collection("violations").get();
+    for (const d of snap.docs) {
+      const v = d.data();
+      if (!isDataUrl(v.snapshot)) continue;
+      try {
+        // The oldest flags kept a truncated stub ("…[img]") — nothing to move.
+        if (v.snapshot.length <= 200) {
+          if (!DRY_RUN) await d.ref.update({ snapshot: FieldValue.delete() });
+          tally("Broken snapshot stubs dropped");
+          continue;
+        }
+        const { filePath } = await upload(`cbt/${exam.id}/snapshots/${studentKey(v.student)}/${v.ts || Date.now()}_${d.id}.jpg`, v.snapshot, "image/jpeg");
+        if (!DRY_RUN) await d.ref.update({ snapshotPath: filePath, snapshot: FieldValue.delete() });
+        tally("CBT snapshots");
+      } catch (e) {
+        failed.push({ what: `snapshot ${d.ref.path}`, reason: e.message });
+      }
+    }
+  }
+}
+
+async function migrate() {
+  console.log(`\n[File Migration] Starting${DRY_RUN ? " (dry run — nothing is written)" : ""} → gs://${BUCKET}\n`);
+
+  await migrateChats();
+  await migrateFolder();
+  await migrateAssignments();
+  await migrateHandouts();
+  await migrateSnapshots();
+
+  console.log("\n─── File migration summary ─────────────────────");
+  if (!Object.keys(counts).length) console.log("Nothing inline left to move.");
+  Object.entries(counts).forEach(([what, n]) => console.log(`${(what + ":").padEnd(44)}${n}`));
+  console.log(`${"Failed:".padEnd(44)}${failed.length}`);
+  failed.forEach(f => console.log(`  - ${f.what}: ${f.reason}`));
+  console.log("──────────────────────────────────────────────────\n");
+}
+
+migrate().then(() => process.exit(0)).catch(e => {
+  console.error("[File Migration] Fatal error:", e);
+  process.exit(1);
+});
@@ -1,8 +1,10 @@
 import { useState, useEffect, useRef } from "react";
 import { DEFAULT_CLASSES } from "../../data/defaults";
-import { _safeKey, asgGrade, asgLoadMySubmission, asgLoadSubmissions, asgSave, asgSubmit, asgSubscribe, attLoad, attLoadRange, attMark, dispatchSync, examBsGet, examBsSet, saveFoldersToBackend, saveMyData, saveShared, sgCreateGroup, sgSend, sgSubscribe, sgSubscribeGroups, ttLoad, ttSave, useSharedData } from "../../services/backend";
+import { _safeKey, asgGrade, asgLoadMySubmission, asgLoadSubmissions, asgSave, asgSubmit, asgSubscribe, attLoad, attLoadRange, attMark, dispatchSync, examBsGet, saveFoldersToBackend, saveMyData, saveShared, sgCreateGroup, sgSend, sgSubscribe, sgSubscribeGroups, ttLoad, ttSave, useSharedData } from "../../services/backend";
 import { ls, lsSet } from "../../utils/storage";
+import { StoredFile, checkFile, deleteFile, fileUrl, filePaths, uploadFile } from "../../services/fileStorage";
 import { GroupVideoCallBtn } from "../../components/video-call";
+import { SimilarityReport } from "../../components/similarity";
 import { DAYS, HOURS } from "../../shared/timetableConstants";
 
 export function HandoutViewModal({ item, onClose }) {
@@ -10,7 +12,10 @@ export function HandoutViewModal({ item, onClose }) {
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
-    if (!pdfSrc && item.hasPdf && item.pdfKey) {
+    if (!pdfSrc && item.pdfPath) {
+      setLoading(true);
+      fileUrl(item.pdfPath).then(url => { setPdfSrc(url); setLoading(false); });
+    } else if (!pdfSrc && item.hasPdf && item.pdfKey) { // stored inline before Storage
       setLoading(true);
       examBsGet(item.pdfKey || "").then(data => {
         if (data) setPdfSrc(data);
@@ -44,7 +49,7 @@ export function HandoutViewModal({ item, onClose }) {
             <div>
               <div style={{background:"var(--bg4)",borderRadius:10,padding:"8px 12px",marginBottom:10,display:"flex",alignItems:"center",gap:10,fontSize:12}}>
                 <span>PDF: {item.pdfName||"Document"}</span>
-                <a href={pdfSrc} download={item.pdfName||"handout.pdf"}
+                <a href={pdfSrc} download={item.pdfName||"handout.pdf"} target="_blank" rel="noopener noreferrer"
                   style={{background:"var(--accent)",color:"white",padding:"5px 14px",borderRadius:8,textDecoration:"none",fontSize:12,fontWeight:700,marginLeft:"auto"}}
                   onClick={e=>e.stopPropagation()}>Download</a>
               </div>
@@ -90,6 +95,7 @@ export function Handouts({ selectedClass, toast, currentUser, isLecturer }) {
   const [showAdd, setShowAdd] = useState(false);
   const [form, setForm] = useState({title:"", note:"", classId: selectedClass?.id||"", course:"", lecturerName:"", uploadType:"text"});
   const [pdfFile, setPdfFile] = useState(null); const [pdfName, setPdfName] = useState("");
+  const [pdfProgress, setPdfProgress] = useState(null); // upload progress 0–1 while publishing
 
   // Folder creation modals
   const [showCourseModal, setShowCourseModal] = useState(false);
@@ -201,12 +207,8 @@ export function Handouts({ selectedClass, toast, currentUser, isLecturer }) {
 
   const handlePdfChange = (e) => {
     const file = e.target.files[0]; if (!file) return;
-    if (file.type !== "application/pdf") return toast("Please select a PDF file","error");
-    // Keep under 3.5MB so base64 fits in 5MB backend storage limit
-    if (file.size > 3.5*1024*1024) return toast("PDF must be under 3.5MB for cross-device sync","error");
-    const reader = new FileReader();
-    reader.onload = (ev) => { setPdfFile(ev.target.result); setPdfName(file.name); };
-    reader.readAsDataURL(file);
+    try { checkFile("handout", file); } catch(err) { return toast(err.message,"error"); }
+    setPdfFile(file); setPdfName(file.name);
   };
 
   const save = async () => {
@@ -219,21 +221,23 @@ export function Handouts({ selectedClass, toast, currentUser, isLecturer }) {
     if (form.uploadType==="drive" && !form.driveLink.includes("drive.google.com")) return toast("That doesn't look like a Google Drive link","error");
 
     const itemId = Date.now();
-    // Store PDF data SEPARATELY under its own key (not in the handouts array)
-    // This prevents the handouts metadata array from exceeding the 5MB backend limit
+    // The PDF goes to Storage; the handouts array only keeps its path
+    let pdfPath = null;
     if (form.uploadType==="pdf" && pdfFile) {
-      const pdfOk = await examBsSet(`handout-pdf:${itemId}`, pdfFile);
-      if (!pdfOk) {
-        toast("❌ PDF too large to sync — try a smaller file (under 3.5MB)","error");
+      setPdfProgress(0);
+      try {
+        pdfPath = (await uploadFile("handout", filePaths.handout(itemId, pdfName), pdfFile, { onProgress: setPdfProgress })).filePath;
+      } catch(err) {
+        toast("❌ PDF upload failed — " + (err.message || "check your connection"),"error");
         return;
-      }
+      } finally { setPdfProgress(null); }
     }
     const item = {
       id: itemId, title: form.title, note: form.note,
       classId: form.classId, course: form.course, lecturerName: form.lecturerName,
       date: new Date().toLocaleDateString(), uploadedBy: currentUser,
       // Only store filename in the array, not the full base64 data
-      ...(form.uploadType==="pdf" ? {hasPdf:true, pdfName, pdfKey:`handout-pdf:${itemId}`} : {}),
+      ...(form.uploadType==="pdf" ? {hasPdf:true, pdfName, pdfPath} : {}),
       ...(form.uploadType==="drive" ? {hasDriveLink:true, driveLink:form.driveLink.trim()} : {})
     };
     const u=[...handouts,item]; setHandouts(u);
@@ -249,7 +253,7 @@ export function Handouts({ selectedClass, toast, currentUser, isLecturer }) {
     if (!drillClass) setDrillClass(item.classId);
   };
 
-  const del=(id)=>{const u=handouts.filter(h=>h.id!==id);setHandouts(u);saveShared("handouts",u);toast("Deleted","info");};
+  const del=(id)=>{const h=handouts.find(x=>x.id===id);const u=handouts.filter(x=>x.id!==id);setHandouts(u);saveShared("handouts",u);if(h?.pdfPath)deleteFile(h.pdfPath);toast("Deleted","info");};
 
   // Computed collections for drill-down
   const classHandouts = handouts.filter(h=>h.classId===drillClass);
@@ -369,7 +373,7 @@ export function Handouts({ selectedClass, toast, currentUser, isLecturer }) {
             </div>
           ) : form.uploadType==="pdf" ? (
             <div style={{marginBottom:12}}>
-              <label className="lbl">PDF File (max 10MB)</label>
+              <label className="lbl">PDF File (max 20MB)</label>
               <label style={{display:"flex",alignItems:"center",gap:10,padding:"12px 14px",border:"2px dashed var(--border2)",borderRadius:10,cursor:"pointer",background:"var(--bg4)"}}>
                 <span style={{fontSize:24}}>📄</span>
                 <div style={{flex:1}}>{pdfName?<span style={{color:"var(--accent)",fontSize:13}}>{pdfName}</span>:<span style={{color:"var(--text3)",fontSize:13}}>Click to select PDF...</span>}</div>
@@ -400,7 +404,7 @@ export function Handouts({ selectedClass, toast, currentUser, isLecturer }) {
             </div>
           )}
           <div style={{display:"flex",gap:8}}>
-            <button className="btn btn-accent" onClick={save}>📤 Publish & Notify Students</button>
+            <button className="btn btn-accent" onClick={save} disabled={pdfProgress!==null}>{pdfProgress!==null?`⏫ Uploading PDF ${Math.round(pdfProgress*100)}%…`:"📤 Publish & Notify Students"}</button>
             <button className="btn" onClick={()=>{setShowAdd(false);setForm({title:"",note:"",classId:drillClass||"",course:drillCourse||"",lecturerName:"",uploadType:"text",driveLink:""});setPdfFile(null);setPdfName("");}}>Cancel</button>
           </div>
         </div>
@@ -979,9 +983,10 @@ export function Assignments({ currentUser, toast, isLecturer }) {
   const [mySubmission, setMySubmission] = useState(null);
   const [showForm, setShowForm] = useState(false);
   const [form, setForm] = useState({title:"",desc:"",dueAt:"",maxScore:100});
-  const [uploading, setUploading] = useState(false);
+  const [uploading, setUploading] = useState(false); // false, or upload progress 0–1
   const [gradingId, setGradingId] = useState(null);
   const [gradeForm, setGradeForm] = useState({grade:"",feedback:""});
+  const [showSimilarity, setShowSimilarity] = useState(false);
 
   useEffect(() => {
     if (!selClass) return;
@@ -1009,16 +1014,14 @@ export function Assignments({ currentUser, toast, isLecturer }) {
     const input = document.createElement("input"); input.type="file"; input.accept=".pdf,.doc,.docx,.png,.jpg,.txt";
     input.onchange = async (e) => {
       const file = e.target.files[0]; if (!file) return;
-      if (file.size > 2*1024*1024) return toast("File too large — max 2MB","error");
-      setUploading(true);
-      const reader = new FileReader();
-      reader.onload = async (ev) => {
-        const ok = await asgSubmit(asgn.id, currentUser, ev.target.result, file.name);
-        if (ok) { toast("Submitted ✅","success"); asgLoadMySubmission(asgn.id, currentUser).then(setMySubmission); }
-        else toast("Submit failed","error");
-        setUploading(false);
-      };
-      reader.readAsDataURL(file);
+      setUploading(0);
+      try {
+        const attachment = await uploadFile("assignment", filePaths.assignment(asgn.id, _safeKey(currentUser), file.name), file, { onProgress: setUploading, download: true });
+        if (!await asgSubmit(asgn.id, currentUser, attachment)) throw new Error("Submit failed");
+        if (mySubmission?.filePath) deleteFile(mySubmission.filePath); // replaced by the resubmission
+        toast("Submitted ✅","success"); asgLoadMySubmission(asgn.id, currentUser).then(setMySubmission);
+      } catch(err) { toast(err.message || "Submit failed","error"); }
+      setUploading(false);
     };
     input.click();
   };
@@ -1052,7 +1055,14 @@ export function Assignments({ currentUser, toast, isLecturer }) {
 
         {isLecturer ? (
           <div>
-            <div style={{fontWeight:800,marginBottom:12}}>Submissions ({submissions.length})</div>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:12}}>
+              <div style={{fontWeight:800}}>Submissions ({submissions.length})</div>
+              {submissions.length>0 && <button className="btn btn-sm" onClick={()=>setShowSimilarity(true)}>🔎 Similarity check</button>}
+            </div>
+            {showSimilarity && (
+              <SimilarityReport kind="assignment" scopeId={selAsgn.id} title={selAsgn.title} toast={toast} onClose={()=>setShowSimilarity(false)}
+                nameOf={email=>allUsers.find(u=>u.username===email)?.displayName||String(email||"").split("@")[0]} />
+            )}
             {submissions.length===0 && <div style={{textAlign:"center",padding:30,color:"var(--text3)"}}>No submissions yet</div>}
             {submissions.map(sub => (
               <div key={sub.student} style={{background:"var(--card)",border:"1px solid var(--border)",borderRadius:12,padding:"14px 16px",marginBottom:10}}>
@@ -1061,7 +1071,7 @@ export function Assignments({ currentUser, toast, isLecturer }) {
                   <div style={{fontSize:11,color:"var(--text3)"}}>{new Date(sub.submittedAt).toLocaleString()}</div>
                 </div>
                 <div style={{fontSize:12,color:"var(--text3)",marginBottom:8}}>📎 {sub.fileName}</div>
-                {sub.fileData && <a href={sub.fileData} download={sub.fileName} style={{fontSize:12,color:"var(--accent)",textDecoration:"none",display:"inline-block",marginBottom:8}}>⬇ Download</a>}
+                <StoredFile path={sub.filePath} legacy={sub.fileData}>{url => url && <a href={url} download={sub.fileName} target="_blank" rel="noopener noreferrer" style={{fontSize:12,color:"var(--accent)",textDecoration:"none",display:"inline-block",marginBottom:8}}>⬇ Download</a>}</StoredFile>
                 {sub.grade!=null ? (
                   <div style={{background:"rgba(34,197,94,.1)",borderRadius:8,padding:"8px 12px",fontSize:13}}>
                     ✅ Graded: <b>{sub.grade}/{selAsgn.maxScore}</b>{sub.feedback&&<span> • {sub.feedback}</span>}
@@ -1096,7 +1106,7 @@ export function Assignments({ currentUser, toast, isLecturer }) {
                 <div style={{fontSize:40,marginBottom:12}}>📤</div>
                 <div style={{fontWeight:700,marginBottom:8}}>Upload your work</div>
                 <div style={{fontSize:12,color:"var(--text3)",marginBottom:16}}>PDF, Word, image or text file • Max 2MB</div>
-                <button onClick={()=>submitWork(selAsgn)} disabled={uploading} style={{padding:"12px 28px",borderRadius:12,background:"var(--accent)",color:"#fff",border:"none",cursor:"pointer",fontWeight:700}}>{uploading?"Uploading…":"Choose File & Submit"}</button>
+                <button onClick={()=>submitWork(selAsgn)} disabled={uploading!==false} style={{padding:"12px 28px",borderRadius:12,background:"var(--accent)",color:"#fff",border:"none",cursor:"pointer",fontWeight:700}}>{uploading!==false?`Uploading ${Math.round(uploading*100)}%…`:"Choose File & Submit"}</button>
               </div>
             )}
           </div>
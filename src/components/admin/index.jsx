@@ -1,7 +1,10 @@
 import { useState, useEffect, useRef } from "react";
 import { DEFAULT_ANNOUNCEMENTS, DEFAULT_CLASSES, DEFAULT_DRUGS, DEFAULT_LABS, DEFAULT_PQ, DEFAULT_SKILLS, initData } from "../../data/defaults";
-import { _DOC_ESSAYS, _DOC_SHARED, _db, _getDoc, _loadFirebase, _setDocField, _userPrivateKey, dispatchSync, mockChunkSave, rrSave, rrSubscribeAll, saveFoldersToBackend, saveManualGradeToBackend, saveMyData, saveShared, useSharedData } from "../../services/backend";
+import { _DOC_ESSAYS, _DOC_SHARED, _db, _getDoc, _loadFirebase, _setDocField, _userPrivateKey, allowEssayRetake, dispatchSync, loadEssayMarking, mockChunkSave, pushUserNotif, rescorePaperAttempts, resolveEssayMarking, rrSave, rrSubscribeAll, saveFoldersToBackend, saveManualGradeToBackend, saveMyData, saveShared, useSharedData } from "../../services/backend";
+import { decideCbtRelease, subscribeCbtAudit, subscribeCbtResults, subscribePendingCbtReleases } from "../../services/cbt";
+import { ESSAY_GRADER_LABELS, fetchEssayGrading } from "../../services/essays";
 import { ls, lsSet } from "../../utils/storage";
+import { deleteFile } from "../../services/fileStorage";
 import { Handouts } from "../../components/academics";
 import { Notifications } from "../../components/messaging";
 import { Dashboard } from "../../components/student";
@@ -10,6 +13,18 @@ import { NC_PAPER_TYPES, NC_YEARS, NURSING_EXAM_META, emptyOsce, getYearData, is
 import { RR_STATUSES } from "../../shared/researchStatuses";
 import { robustParseQuestions } from "../../utils/examParsing";
 import { CourseManager } from "../courses";
+import { CbtAuditTrail, RekeyForm } from "../exams";
+import { BankPicker, BankSyncBar, QuestionBankManager } from "../question-bank";
+import { QuestionTypeSelect, TypedKeySummary, TypedQuestionEditor, draftFromQuestion, emptyDraft, questionFromDraft } from "../question-types";
+import { QuestionExport } from "../question-export";
+import { QuestionImporter } from "../question-import";
+import { applyImport } from "../../shared/questionImport";
+import { gradeLetter } from "../../shared/scoring";
+import { cleanRubric, criterionMax, emptyCriterion, hasRubric, rubricMax, scoreRubric, validateRubric } from "../../shared/essayRubric";
+import { wordTarget } from "../../shared/essayWords";
+import { SimilarityReport } from "../../components/similarity";
+import { DEFAULT_MARK_THRESHOLD, MARKING_ACTIONS, MARKING_STATUS, RESOLVE_CHOICES, canMark, canModerate, markGap, markingThreshold } from "../../shared/essayModeration";
+import { describeRekey, optionLabel, rekeyQuestion } from "../../shared/rekey";
 
 export function AdminPanel({ toast, currentUser }) {
   const [tab, setTab] = useState("overview");
@@ -23,10 +38,12 @@ export function AdminPanel({ toast, currentUser }) {
     { key:"labs", label:"🧪 Labs" },
     { key:"schoolpq", label:"🏫 School Past Questions" },
     { key:"nursingexams", label:"🎓 Nursing Exams" },
+    { key:"qbank", label:"🏦 Question Bank" },
     { key:"skills", label:"✅ Skills" },
     { key:"announcements", label:"📢 Announcements" },
     { key:"handouts", label:"📄 Handouts" },
     { key:"retakes", label:"🔄 Exam Retakes" },
+    { key:"approvals", label:"⚖️ Result Approvals" },
     { key:"nccodes", label:"🔑 NC Access Codes" },
     { key:"payments", label:"💰 Payment Dashboard" },
     { key:"pushnotifs", label:"📢 Push Notifications" },
@@ -53,10 +70,12 @@ export function AdminPanel({ toast, currentUser }) {
       {tab==="labs" && <AdminLabs toast={toast} />}
       {tab==="schoolpq" && <AdminSchoolPQ toast={toast} />}
       {tab==="nursingexams" && <AdminNursingExams toast={toast} />}
+      {tab==="qbank" && <QuestionBankManager toast={toast} currentUser={currentUser} isAdmin={true} />}
       {tab==="skills" && <AdminSkills toast={toast} />}
       {tab==="announcements" && <AdminAnnouncements toast={toast} />}
       {tab==="handouts" && <AdminHandouts toast={toast} />}
       {tab==="retakes" && <AdminExamRetakes toast={toast} />}
+      {tab==="approvals" && <AdminResultApprovals toast={toast} currentUser={currentUser} />}
       {tab==="nccodes" && <AdminNcCodes toast={toast} />}
       {tab==="payments" && <AdminPaymentDashboard toast={toast} />}
       {tab==="pushnotifs" && <AdminPushNotifications toast={toast} />}
@@ -1663,15 +1682,339 @@ export function AdminExamRetakes({ toast }) {
 
 // ── Admin Essay Exams ────────────────────────────────────────────────
 
-export function AdminEssayExams({ toast }) {
+// ─── CBT result approvals ─────────────────────────────────────────────
+// Heads of department approve held CBT results (see functions/index.js
+// "Result release + moderation"). Approving releases them and notifies
+// each student; returning sends them back to the lecturer with a note.
+function ReleaseAudit({ examId, title, toast }) {
+  const [entries, setEntries] = useState([]);
+  useEffect(() => subscribeCbtAudit(examId, setEntries), [examId]);
+  return <CbtAuditTrail exam={{ title }} entries={entries} toast={toast} />;
+}
+
+export function AdminResultApprovals({ toast, currentUser }) {
+  const [pending, setPending] = useState([]);
+  const [results, setResults] = useState([]);
+  const [notes, setNotes]     = useState({});
+  const [openAudit, setOpenAudit] = useState(null);
+  const [busy, setBusy]       = useState(null);
+  const classes = ls("nv-classes", DEFAULT_CLASSES);
+
+  useEffect(() => subscribePendingCbtReleases(setPending), []);
+  const idsKey = pending.map(r=>r.examId).join(",");
+  useEffect(() => subscribeCbtResults(pending.map(r=>r.examId), setResults), [idsKey]);
+
+  const decide = async (rel, approve) => {
+    const note = (notes[rel.examId]||"").trim();
+    if (!approve && !note) return toast("Add a note saying what needs changing.","error");
+    if (approve && !confirm(`Release "${rel.examTitle}" results to students?`)) return;
+    setBusy(rel.examId);
+    try {
+      const { students } = await decideCbtRelease(rel.examId, approve, note);
+      if (approve) {
+        await Promise.all(students.map(student => pushUserNotif(student, {
+          id: "cbt_" + rel.examId + "_" + Date.now(),
+          type: "cbt_result",
+          title: "📊 Results released — " + rel.examTitle,
+          body: "Your result for " + rel.examTitle + " is now available in CBT Exams.",
+          examId: rel.examId,
+          ts: Date.now(),
+          read: false,
+        })));
+        toast(`✅ Released — ${students.length} student(s) notified`,"success");
+      } else toast("↩️ Returned to the lecturer","success");
+      setNotes(n=>({...n,[rel.examId]:""}));
+    } catch(e) { toast(e.message||"Could not record the decision.","error"); }
+    setBusy(null);
+  };
+
+  return (
+    <div>
+      <div className="sec-title">⚖️ CBT Result Approvals</div>
+      <div className="sec-sub">Held CBT results submitted by lecturers after moderation. Approving releases them to students.</div>
+      {pending.length===0&&(
+        <div className="card" style={{textAlign:"center",padding:"40px 20px",color:"var(--text3)"}}>
+          <div style={{fontSize:40,marginBottom:8}}>✅</div>
+          <div style={{fontWeight:700}}>Nothing awaiting approval</div>
+        </div>
+      )}
+      {pending.map(rel=>{
+        const mine = results.filter(r=>String(r.examId)===String(rel.examId));
+        const mean = mine.length ? Math.round(mine.reduce((s,r)=>s+r.percent,0)/mine.length) : null;
+        const passed = mine.filter(r=>r.passed ?? r.percent>=50).length;
+        const own = rel.submittedBy===currentUser;
+        return (
+          <div key={rel.examId} className="card" style={{marginBottom:14,borderLeft:"4px solid var(--purple)"}}>
+            <div style={{display:"flex",gap:10,alignItems:"flex-start",flexWrap:"wrap",marginBottom:10}}>
+              <div style={{flex:1,minWidth:200}}>
+                <div style={{fontWeight:800,fontSize:15}}>{rel.examTitle}</div>
+                <div style={{fontSize:11,color:"var(--text3)",marginTop:3}}>
+                  🏫 {classes.find(c=>c.id===rel.classId)?.label||rel.classId||"—"} • 👩‍🏫 {rel.createdBy||"—"} • submitted by {rel.submittedBy} on {new Date(rel.submittedAt).toLocaleString()}
+                </div>
+              </div>
+            </div>
+            <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(110px,1fr))",gap:8,marginBottom:10}}>
+              {[
+                {label:"Scripts",    val:mine.length},
+                {label:"Mean",       val:mean!==null?mean+"%":"—"},
+                {label:"Passed",     val:mine.length?`${passed}/${mine.length}`:"—"},
+                {label:"Discarded Qs", val:rel.discarded?.length?rel.discarded.map(q=>`Q${q+1}`).join(", "):"None"},
+              ].map(x=>(
+                <div key={x.label} style={{background:"var(--bg4)",borderRadius:8,padding:"8px 10px",textAlign:"center"}}>
+                  <div style={{fontWeight:800,fontSize:15}}>{x.val}</div>
+                  <div style={{fontSize:10,color:"var(--text3)"}}>{x.label}</div>
+                </div>
+              ))}
+            </div>
+            <button className="btn btn-sm" style={{marginBottom:10}} onClick={()=>setOpenAudit(o=>o===rel.examId?null:rel.examId)}>{openAudit===rel.examId?"▲ Hide audit trail":"🧾 Audit trail"}</button>
+            {openAudit===rel.examId&&<ReleaseAudit examId={rel.examId} title={rel.examTitle} toast={toast} />}
+            <div style={{display:"flex",gap:8,flexWrap:"wrap",alignItems:"center"}}>
+              <input className="inp" style={{flex:1,minWidth:200,marginBottom:0}} placeholder="Note (required when returning)" value={notes[rel.examId]||""} onChange={e=>setNotes(n=>({...n,[rel.examId]:e.target.value}))} />
+              <button className="btn btn-sm" style={{borderColor:"var(--warn)",color:"var(--warn)"}} disabled={busy===rel.examId} onClick={()=>decide(rel,false)}>↩️ Return</button>
+              <button className="btn btn-sm btn-success" disabled={busy===rel.examId||own} title={own?"You submitted these results — another head of department must approve them":""} onClick={()=>decide(rel,true)}>✅ Approve &amp; release</button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Analytic rubric for one essay question (shared/essayRubric.js):
+// criteria down the side, performance levels best first.
+function RubricEditor({ rubric, onChange }) {
+  const setCrit = (ci, patch) => onChange(rubric.map((c, i) => i === ci ? { ...c, ...patch } : c));
+  const setLevel = (ci, li, patch) => setCrit(ci, { levels: rubric[ci].levels.map((l, i) => i === li ? { ...l, ...patch } : l) });
+  return (
+    <div style={{marginBottom:14}}>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:8}}>
+        <label className="lbl" style={{margin:0}}>📐 Rubric {rubric.length>0&&<span style={{color:"var(--accent)"}}>• {rubricMax(rubric)} marks</span>}</label>
+        <button className="btn btn-sm" onClick={()=>onChange([...rubric, emptyCriterion()])}>+ Criterion</button>
+      </div>
+      {rubric.length===0&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:6}}>No rubric — the answer is marked as a whole out of Marks.</div>}
+      {rubric.map((c, ci) => (
+        <div key={ci} className="card2" style={{marginBottom:8}}>
+          <div style={{display:"flex",gap:6,marginBottom:6}}>
+            <input className="inp" style={{margin:0,flex:1}} value={c.name} placeholder={`Criterion ${ci+1}, e.g. Nursing interventions`} onChange={e=>setCrit(ci,{name:e.target.value})} />
+            <button className="btn btn-sm btn-danger" onClick={()=>onChange(rubric.filter((_,i)=>i!==ci))}>🗑️</button>
+          </div>
+          {c.levels.map((l, li) => (
+            <div key={li} style={{display:"grid",gridTemplateColumns:"110px 60px 1fr auto",gap:6,marginBottom:4}}>
+              <input className="inp" style={{margin:0}} value={l.label} placeholder="Level" onChange={e=>setLevel(ci,li,{label:e.target.value})} />
+              <input className="inp" style={{margin:0}} type="number" min="0" value={l.points} title="Points" onChange={e=>setLevel(ci,li,{points:e.target.value})} />
+              <input className="inp" style={{margin:0}} value={l.descriptor} placeholder="What an answer at this level does…" onChange={e=>setLevel(ci,li,{descriptor:e.target.value})} />
+              <button className="btn btn-sm" disabled={c.levels.length<=2} onClick={()=>setCrit(ci,{levels:c.levels.filter((_,i)=>i!==li)})}>✕</button>
+            </div>
+          ))}
+          <button className="btn btn-sm" style={{marginTop:2}} onClick={()=>setCrit(ci,{levels:[...c.levels,{label:"",points:0,descriptor:""}]})}>+ Level</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// One level per criterion, for marking an answer against its rubric.
+function RubricPicker({ rubric, levels, comments, onChange }) {
+  const pick = (ci, li) => onChange({ levels: rubric.map((_, i) => i === ci ? li : levels[i] ?? null), comments });
+  const note = (ci, text) => onChange({ levels, comments: rubric.map((_, i) => i === ci ? text : comments[i] || "") });
+  return rubric.map((c, ci) => (
+    <div key={ci} style={{marginBottom:10}}>
+      <div style={{fontSize:12,fontWeight:700,marginBottom:4}}>{c.name} <span style={{color:"var(--text3)",fontFamily:"'DM Mono',monospace",fontWeight:400}}>/ {criterionMax(c)}</span></div>
+      <div style={{display:"flex",gap:6,flexWrap:"wrap",marginBottom:4}}>
+        {c.levels.map((l, li) => (
+          <div key={li} onClick={()=>pick(ci,li)} title={l.descriptor} style={{
+            padding:"6px 10px",borderRadius:8,cursor:"pointer",fontSize:11,maxWidth:220,
+            border:`1px solid ${levels[ci]===li?"var(--purple)":"var(--border)"}`,
+            background:levels[ci]===li?"rgba(124,58,237,.15)":"transparent",
+          }}>
+            <b>{l.label}</b> <span style={{fontFamily:"'DM Mono',monospace"}}>({l.points})</span>
+            {l.descriptor&&<div style={{color:"var(--text3)",marginTop:2}}>{l.descriptor}</div>}
+          </div>
+        ))}
+      </div>
+      <input className="inp" style={{margin:0}} placeholder={`Comment on ${c.name} (optional)`} value={comments[ci]||""} onChange={e=>note(ci,e.target.value)} />
+    </div>
+  ));
+}
+
+// Both marks on a double-marked essay side by side, the marking history,
+// and — for a moderator on a disputed one — the settlement form.
+function EssayMarkingPanel({ sub, currentUser, onClose, onResolve, onOwnMark, busy }) {
+  const m = sub.marking;
+  const [choice, setChoice] = useState("average");
+  const [note, setNote] = useState("");
+  const moderating = canModerate(m, currentUser);
+  const gap = markGap(m);
+  const [a, b] = m.marks;
+  const who = (mark) => mark ? mark.by : "—";
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal xl" onClick={e=>e.stopPropagation()} style={{maxHeight:"90vh"}}>
+        <div className="modal-head">
+          <div className="modal-title">{moderating?"⚖️ Moderate":"📜 Marking"} — {sub.student?.split("@")[0]}</div>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div style={{fontSize:12,color:"var(--text3)",fontFamily:"'DM Mono',monospace",marginBottom:12,lineHeight:1.8}}>
+          {sub.subject} • <span className={`tag ${MARKING_STATUS[m.status].tag}`}>{MARKING_STATUS[m.status].icon} {MARKING_STATUS[m.status].label}</span>
+          {gap!==null&&<> • marks {gap} points apart (allowed {m.threshold})</>}
+          {m.agreed&&<> • agreed <b style={{color:"var(--accent)"}}>{m.agreed.pct}% ({m.agreed.grade})</b></>}
+        </div>
+        <div className="card" style={{padding:0,overflow:"hidden",marginBottom:14}}>
+          <table className="tbl">
+            <thead><tr><th>Question</th><th>1st — {who(a)}</th><th>2nd — {who(b)}</th><th>Δ</th></tr></thead>
+            <tbody>
+              {(sub.questions||[]).map((q,i)=>{
+                const qa=a?.questions?.[i], qb=b?.questions?.[i];
+                const diff=qa&&qb?Math.abs(qa.marksAwarded-qb.marksAwarded):null;
+                return (
+                  <tr key={i}>
+                    <td style={{fontSize:12,maxWidth:260}}><b>Q{i+1}.</b> {q.q}<div style={{fontSize:11,color:"var(--text3)",fontStyle:"italic",marginTop:4}}>{(sub.answers||{})[i]||"(no answer)"}</div></td>
+                    {[qa,qb].map((qm,k)=>(
+                      <td key={k} style={{fontSize:12,verticalAlign:"top"}}>
+                        {qm ? <>
+                          <b style={{fontFamily:"'DM Mono',monospace"}}>{qm.marksAwarded}/{qm.maxMarks}</b>
+                          {qm.criteria?.map((c,ci)=><div key={ci} style={{fontSize:10,color:"var(--text3)"}}>{c.name}: {c.label||"—"} ({c.points})</div>)}
+                          {qm.feedback&&<div style={{fontSize:11,color:"var(--text2)",marginTop:2}}>{qm.feedback}</div>}
+                        </> : "—"}
+                      </td>
+                    ))}
+                    <td style={{fontFamily:"'DM Mono',monospace",fontWeight:700,color:diff>0?"var(--warn)":"var(--text3)"}}>{diff===null?"—":diff}</td>
+                  </tr>
+                );
+              })}
+              <tr>
+                <td style={{fontWeight:700}}>Total</td>
+                <td style={{fontFamily:"'DM Mono',monospace",fontWeight:700}}>{a?`${a.score}/${a.total} (${a.pct}%)`:"—"}</td>
+                <td style={{fontFamily:"'DM Mono',monospace",fontWeight:700}}>{b?`${b.score}/${b.total} (${b.pct}%)`:"—"}</td>
+                <td style={{fontFamily:"'DM Mono',monospace",fontWeight:700,color:gap>m.threshold?"var(--danger)":"var(--text3)"}}>{gap===null?"—":`${gap}%`}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <label className="lbl">History</label>
+        <div style={{marginBottom:14}}>
+          {m.history.map((h,i)=>(
+            <div key={i} style={{fontSize:11,fontFamily:"'DM Mono',monospace",color:"var(--text2)",marginBottom:3}}>
+              {new Date(h.at).toLocaleString()} • <b>{h.by}</b> • {MARKING_ACTIONS[h.action]||h.action}
+              {h.pct!==undefined&&` • ${h.pct}%`}{h.gap!==undefined&&` • ${h.gap} points apart`}
+              {h.choice&&` • ${RESOLVE_CHOICES[h.choice]}`}{h.note&&<span style={{color:"var(--text3)"}}> — “{h.note}”</span>}
+            </div>
+          ))}
+        </div>
+
+        {moderating && (
+          <>
+            <label className="lbl">Settle on</label>
+            <div style={{display:"flex",gap:6,flexWrap:"wrap",marginBottom:10}}>
+              {Object.entries(RESOLVE_CHOICES).map(([k,label])=>(
+                <div key={k} onClick={()=>setChoice(k)} style={{
+                  padding:"6px 12px",borderRadius:8,cursor:"pointer",fontSize:12,
+                  border:`1px solid ${choice===k?"var(--purple)":"var(--border)"}`,
+                  background:choice===k?"rgba(124,58,237,.15)":"transparent",
+                }}>{label}</div>
+              ))}
+            </div>
+            <label className="lbl">Moderator's note (kept with the submission)</label>
+            <textarea className="inp" rows={2} style={{resize:"vertical"}} value={note} onChange={e=>setNote(e.target.value)} placeholder="Why this mark…" />
+            <div style={{display:"flex",gap:8}}>
+              <button className="btn btn-purple" style={{flex:1}} disabled={busy||!note.trim()}
+                onClick={()=>choice==="own"?onOwnMark(note.trim()):onResolve(choice,note.trim())}>
+                {busy?"Saving...":choice==="own"?"✏️ Enter My Mark":"⚖️ Settle & Release Grade"}
+              </button>
+              <button className="btn" onClick={onClose}>Cancel</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// The grader's own record of one essay submission: which grader ran,
+// why it fell back, and what it saw — the model's reply, or each key
+// point and the words of it found in the answer.
+function EssayScoringRecord({ sub, grading, onClose }) {
+  const fb = grading?.feedback || sub.feedback || {};
+  const points = grading?.grader === "keyword" ? grading.raw?.questions || [] : null;
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal xl" onClick={e=>e.stopPropagation()} style={{maxHeight:"90vh"}}>
+        <div className="modal-head">
+          <div className="modal-title">🔍 How it was scored — {sub.student?.split("@")[0]}</div>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        {!grading ? (
+          <div style={{textAlign:"center",padding:30,color:"var(--text3)",fontFamily:"'DM Mono',monospace",fontSize:13}}>Loading grading record…</div>
+        ) : grading.missing ? (
+          <div style={{textAlign:"center",padding:30,color:"var(--text3)",fontSize:13}}>No grading record found for this submission.</div>
+        ) : (
+          <>
+            <div style={{fontSize:12,color:"var(--text3)",fontFamily:"'DM Mono',monospace",marginBottom:12,lineHeight:1.8}}>
+              {ESSAY_GRADER_LABELS[grading.grader] || grading.grader}
+              {grading.model && <> • model <b style={{color:"var(--text2)"}}>{grading.model}</b></>}
+              {" "}• {new Date(grading.at).toLocaleString()} • {fb.overallScore}/{fb.totalMarks} ({fb.overallPct}%, {fb.grade})
+              {points && <> • a key point counts when {Math.round((grading.raw?.threshold||0)*100)}% of its words appear</>}
+            </div>
+            {grading.fallbackFrom && (
+              <div style={{background:"rgba(251,146,60,.08)",border:"1px solid rgba(251,146,60,.25)",borderRadius:10,padding:"10px 14px",fontSize:12,color:"var(--warn)",marginBottom:14}}>
+                ↩ The {grading.fallbackFrom} grader failed ({grading.error || "no reason recorded"}), so this was marked by the keyword grader.
+              </div>
+            )}
+            {(sub.questions || []).map((q, i) => {
+              const qf = fb.questions?.[i] || {};
+              return (
+                <div key={i} className="card" style={{marginBottom:12}}>
+                  <div style={{display:"flex",justifyContent:"space-between",gap:10,marginBottom:6}}>
+                    <div style={{fontWeight:700,fontSize:13,flex:1}}>Q{i+1}. {q.q}</div>
+                    <span style={{fontFamily:"'DM Mono',monospace",fontWeight:700,fontSize:13,flexShrink:0}}>{qf.marksAwarded ?? 0}/{qf.maxMarks ?? (q.marks||10)}</span>
+                  </div>
+                  {qf.needsReview && <div style={{fontSize:11,color:"var(--warn)",marginBottom:6}}>⏳ No model answer — needs marking by hand</div>}
+                  {qf.criteria?.length>0 && (
+                    <div style={{fontSize:11,color:"var(--text2)",fontFamily:"'DM Mono',monospace",marginBottom:6}}>
+                      📐 {qf.criteria.map(c => `${c.name}: ${c.label || "—"} ${c.points}/${c.maxPoints}`).join(" • ")}
+                      {points && points[i]?.share !== undefined && <> • levels nearest {Math.round(points[i].share*100)}% coverage</>}
+                    </div>
+                  )}
+                  {points && (points[i]?.points || []).map((p, pi) => (
+                    <div key={pi} style={{fontSize:12,marginBottom:4,display:"flex",gap:8}}>
+                      <span style={{color:p.covered?"var(--success)":"var(--danger)",flexShrink:0}}>{p.covered?"✓":"✗"}</span>
+                      <div>
+                        <div>{p.text}</div>
+                        <div style={{fontSize:10,color:"var(--text3)",fontFamily:"'DM Mono',monospace"}}>
+                          found {p.matched.length}/{p.words.length}: {p.words.map(w => p.matched.includes(w) ? w : `(${w})`).join(" ")}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                  {!points && qf.feedback && <div style={{fontSize:12,color:"var(--text2)"}}><b>📝 Feedback: </b>{qf.feedback}</div>}
+                </div>
+              );
+            })}
+            {!points && grading.raw?.text && (
+              <>
+                <label className="lbl">Raw model reply{grading.raw.attempts>1?` (attempt ${grading.raw.attempts})`:""}</label>
+                <pre style={{background:"var(--bg4)",borderRadius:9,padding:"10px 14px",fontSize:11,whiteSpace:"pre-wrap",wordBreak:"break-word",maxHeight:260,overflow:"auto"}}>{grading.raw.text}</pre>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const BLANK_ESSAY_BANK = {subject:"",description:"",timeLimit:"",doubleMarking:false,threshold:DEFAULT_MARK_THRESHOLD};
+
+export function AdminEssayExams({ toast, currentUser }) {
   const [banks, setBanks] = useSharedData("nv-essay-banks", []);
   const [selBank, setSelBank] = useState(null);
   const [showBankModal, setShowBankModal] = useState(false);
   const [showQModal, setShowQModal] = useState(false);
   const [editBank, setEditBank] = useState(null);
   const [editQ, setEditQ] = useState(null);
-  const [bankForm, setBankForm] = useState({subject:"",description:""});
-  const [qForm, setQForm] = useState({q:"",marks:10,wordGuide:"100-200",modelAnswer:""});
+  const [bankForm, setBankForm] = useState(BLANK_ESSAY_BANK);
+  const [qForm, setQForm] = useState({q:"",marks:10,wordGuide:"100-200",modelAnswer:"",rubric:[]});
   const [adminTab, setAdminTab] = useState("banks"); // "banks" | "grade"
   const [submissions, setSubmissions] = useState([]);
   const [loadingSubs, setLoadingSubs] = useState(false);
@@ -1679,13 +2022,22 @@ export function AdminEssayExams({ toast }) {
   const [gradeForm, setGradeForm] = useState({}); // {qIdx: {marksAwarded, feedback}}
   const [overallComment, setOverallComment] = useState("");
   const [savingGrade, setSavingGrade] = useState(false);
+  const [scoring, setScoring] = useState(null); // { sub, grading } — "How it was scored"
+  const [markingSub, setMarkingSub] = useState(null); // double-marked submission open for moderation/history
+  const [similarityBank, setSimilarityBank] = useState(""); // bank picked for the similarity check
+  const [showSimilarity, setShowSimilarity] = useState(false);
 
   const saveBank = () => {
     if (!bankForm.subject.trim()) return toast("Subject required","error");
+    const { doubleMarking, threshold, timeLimit, ...rest } = bankForm;
+    const fields = {
+      ...rest, timeLimit: Math.max(0, Math.round(+timeLimit || 0)) || null,
+      doubleMarking: { enabled: doubleMarking, threshold: Math.max(0, +threshold || 0) },
+    };
     let u;
-    if (editBank!==null) { u=banks.map((b,i)=>i===editBank?{...b,...bankForm}:b); toast("Updated","success"); }
-    else { u=[...banks,{...bankForm,id:Date.now(),questions:[]}]; toast("Essay bank created","success"); }
-    setBanks(u); saveShared("essayBanks",u); setShowBankModal(false); setEditBank(null); setBankForm({subject:"",description:""});
+    if (editBank!==null) { u=banks.map((b,i)=>i===editBank?{...b,...fields}:b); toast("Updated","success"); }
+    else { u=[...banks,{...fields,id:Date.now(),questions:[]}]; toast("Essay bank created","success"); }
+    setBanks(u); saveShared("essayBanks",u); setShowBankModal(false); setEditBank(null); setBankForm(BLANK_ESSAY_BANK);
   };
 
   const delBank = (id) => {
@@ -1696,15 +2048,21 @@ export function AdminEssayExams({ toast }) {
 
   const saveQ = () => {
     if (!qForm.q.trim()) return toast("Question required","error");
+    const rubricError = validateRubric(qForm.rubric);
+    if (rubricError) return toast(rubricError,"error");
+    if (qForm.wordGuide.trim() && !wordTarget(qForm.wordGuide)) return toast("Word target should be a number or a range, e.g. 150-250","error");
+    // With a rubric the question is worth its criteria's top points.
+    const { rubric, ...rest } = qForm;
+    const saved = rubric.length ? { ...rest, rubric: cleanRubric(rubric), marks: rubricMax(rubric) } : { ...rest, marks: +qForm.marks };
     const updated = banks.map(b=>{
       if (b.id!==selBank) return b;
       let qs;
-      if (editQ!==null) { qs=b.questions.map((q,i)=>i===editQ?{...qForm,marks:+qForm.marks}:q); toast("Updated","success"); }
-      else { qs=[...b.questions,{...qForm,marks:+qForm.marks}]; toast("Question added","success"); }
+      if (editQ!==null) { qs=b.questions.map((q,i)=>i===editQ?saved:q); toast("Updated","success"); }
+      else { qs=[...b.questions,saved]; toast("Question added","success"); }
       return {...b,questions:qs};
     });
     setBanks(updated); saveShared("essayBanks",updated);
-    setShowQModal(false); setEditQ(null); setQForm({q:"",marks:10,wordGuide:"100-200",modelAnswer:""});
+    setShowQModal(false); setEditQ(null); setQForm({q:"",marks:10,wordGuide:"100-200",modelAnswer:"",rubric:[]});
   };
 
   const delQ = (bankId, qIdx) => {
@@ -1725,7 +2083,18 @@ export function AdminEssayExams({ toast }) {
         .set({ [`${_docKey}_essay-att`]: att }, { merge: true })
         .catch(e => console.warn("[essay reset sync] failed:", e.message));
     });
-    toast(`Essay attempt reset for ${username}`, "success");
+    allowEssayRetake(username, bankId).then(ok => {
+      if (ok) toast(`Essay attempt reset for ${username}`, "success");
+      else toast(`Reset ${username} here, but the server still has their submission — try again when online`, "warn");
+    });
+  };
+
+  const showScoring = async (sub) => {
+    setScoring({ sub, grading: null });
+    try {
+      const grading = await fetchEssayGrading(sub.grading.id);
+      setScoring(cur => cur?.sub === sub ? { sub, grading: grading || { missing: true } } : cur);
+    } catch (e) { toast(`Could not load the grading record: ${e.message}`, "error"); setScoring(null); }
   };
 
   const loadSubmissions = async () => {
@@ -1737,9 +2106,10 @@ export function AdminEssayExams({ toast }) {
       if (!snap.exists) { setSubmissions([]); setLoadingSubs(false); return; }
       const data = snap.data();
       const idx  = data.index || [];
+      const held = await loadEssayMarking();
       const allSubs = idx.map(e => {
         const d = data[e.key];
-        return d ? { ...d, student: e.student, bankId: e.bankId, graded: e.graded } : null;
+        return d ? { ...d, ...held[e.key], student: e.student, bankId: e.bankId, graded: e.graded } : null;
       }).filter(Boolean);
       setSubmissions(allSubs);
     } catch (e) { console.error(e); toast("Could not load submissions", "error"); }
@@ -1750,34 +2120,67 @@ export function AdminEssayExams({ toast }) {
     if (adminTab === "grade") loadSubmissions();
   }, [adminTab]);
 
-  const startManualGrade = (sub) => {
+  // mode: "grade" — the final grade; "mark" — one of a double-marked
+  // submission's two blind marks; "moderate" — a moderator's own mark,
+  // settling a dispute with `note`.
+  const startManualGrade = (sub, mode = "grade", note = "") => {
     const initForm = {};
-    (sub.questions || []).forEach((_, i) => { initForm[i] = { marksAwarded: 0, feedback: "" }; });
+    (sub.questions || []).forEach((_, i) => { initForm[i] = { marksAwarded: 0, feedback: "", levels: [], comments: [] }; });
     setGradeForm(initForm);
     setOverallComment("");
-    setGradingStudent(sub);
+    setGradingStudent({ ...sub, mode, note });
   };
 
+  const markingToast = (saved) => {
+    const m = saved.marking;
+    if (!m) return toast(`Grade saved for ${saved.student || gradingStudent?.student}`, "success");
+    if (m.status === "second") toast("First mark saved — waiting for a blind second mark", "success");
+    else if (m.status === "disputed") toast(`Marks are ${markGap(m)} points apart — sent to a moderator`, "warn");
+    else toast(`Marks agreed at ${m.agreed.pct}% — grade released to the student`, "success");
+  };
+
+  const settleMarking = async (sub, resolution) => {
+    setSavingGrade(true);
+    const saved = await resolveEssayMarking(sub.student, sub.bankId, { ...resolution, by: currentUser });
+    setSavingGrade(false);
+    if (!saved) return toast("Could not save the moderated mark", "error");
+    toast(`Moderated at ${saved.marking.agreed.pct}% — grade released to the student`, "success");
+    setMarkingSub(null); setGradingStudent(null);
+    loadSubmissions();
+  };
+
+  // A rubric question's mark comes from its picked levels.
+  const rubricMarks = (q, i) => scoreRubric(q.rubric, gradeForm[i]?.levels || [], gradeForm[i]?.comments || []);
+  const formMarks = (q, i) => hasRubric(q) ? rubricMarks(q, i).marksAwarded : (+gradeForm[i]?.marksAwarded || 0);
+
   const submitManualGrade = async () => {
     if (!gradingStudent) return;
-    setSavingGrade(true);
     const questions = (gradingStudent.questions || []);
-    const totalScore = Object.values(gradeForm).reduce((s, v) => s + (+v.marksAwarded || 0), 0);
+    const unpicked = questions.findIndex((q, i) => hasRubric(q) && q.rubric.some((_, ci) => !Number.isInteger(gradeForm[i]?.levels?.[ci])));
+    if (unpicked >= 0) return toast(`Pick a level for every criterion of Q${unpicked+1}`, "error");
+    setSavingGrade(true);
+    const totalScore = questions.reduce((s, q, i) => s + formMarks(q, i), 0);
     const totalMarks = questions.reduce((s, q) => s + (+q.marks || 10), 0);
     const pct = totalMarks > 0 ? Math.round((totalScore / totalMarks) * 100) : 0;
-    const grade = pct >= 70 ? "A" : pct >= 60 ? "B" : pct >= 50 ? "C" : pct >= 40 ? "D" : "F";
+    const grade = gradeLetter(pct);
     const gradeData = {
       score: totalScore, total: totalMarks, pct, grade,
       overallComment, gradedBy: "Lecturer",
       questions: questions.map((q, i) => ({
         q: q.q, maxMarks: q.marks || 10,
-        marksAwarded: +gradeForm[i]?.marksAwarded || 0,
-        feedback: gradeForm[i]?.feedback || ""
+        marksAwarded: formMarks(q, i),
+        feedback: gradeForm[i]?.feedback || "",
+        ...(hasRubric(q) ? { criteria: rubricMarks(q, i).criteria } : {}),
       }))
     };
+    if (gradingStudent.mode === "moderate") {
+      setSavingGrade(false);
+      return settleMarking(gradingStudent, { choice: "own", mark: { ...gradeData, gradedBy: "Moderator" }, note: gradingStudent.note });
+    }
     try {
-      await saveManualGradeToBackend(gradingStudent.student, gradingStudent.bankId, gradeData);
-      toast(`Grade saved for ${gradingStudent.student}`, "success");
+      const saved = await saveManualGradeToBackend(gradingStudent.student, gradingStudent.bankId, gradeData, currentUser);
+      if (!saved) throw new Error();
+      markingToast({ ...saved, student: gradingStudent.student });
       setGradingStudent(null);
       loadSubmissions();
     } catch { toast("Failed to save grade", "error"); }
@@ -1794,8 +2197,17 @@ export function AdminEssayExams({ toast }) {
           <div className="sec-title">✍️ Essay Exams</div>
           <div className="sec-sub">Create essay exams • AI or manual grading • 1 attempt per student</div>
         </div>
-        {adminTab === "banks" && <button className="btn btn-purple" onClick={()=>{setShowBankModal(true);setEditBank(null);setBankForm({subject:"",description:""});}}>+ New Essay Exam</button>}
-        {adminTab === "grade" && <button className="btn btn-accent btn-sm" onClick={loadSubmissions}>🔄 Refresh</button>}
+        {adminTab === "banks" && <button className="btn btn-purple" onClick={()=>{setShowBankModal(true);setEditBank(null);setBankForm(BLANK_ESSAY_BANK);}}>+ New Essay Exam</button>}
+        {adminTab === "grade" && (
+          <div style={{display:"flex",gap:6,alignItems:"center",flexWrap:"wrap"}}>
+            <select className="inp" style={{width:"auto",marginBottom:0,fontSize:12,padding:"5px 8px"}} value={similarityBank} onChange={e=>setSimilarityBank(e.target.value)}>
+              <option value="">Essay exam…</option>
+              {banks.map(b=><option key={b.id} value={b.id}>{b.subject}</option>)}
+            </select>
+            <button className="btn btn-sm" disabled={!similarityBank} onClick={()=>setShowSimilarity(true)}>🔎 Similarity</button>
+            <button className="btn btn-accent btn-sm" onClick={loadSubmissions}>🔄 Refresh</button>
+          </div>
+        )}
       </div>
 
       {/* Admin tabs */}
@@ -1820,7 +2232,7 @@ export function AdminEssayExams({ toast }) {
             <div className="modal-overlay" onClick={()=>setGradingStudent(null)}>
               <div className="modal xl" onClick={e=>e.stopPropagation()} style={{maxHeight:"90vh"}}>
                 <div className="modal-head">
-                  <div className="modal-title">✏️ Grade Essay — {gradingStudent.student?.split("@")[0]}</div>
+                  <div className="modal-title">{gradingStudent.mode==="mark"?"🙈 Blind Mark":gradingStudent.mode==="moderate"?"⚖️ Moderator's Mark":"✏️ Grade Essay"} — {gradingStudent.student?.split("@")[0]}</div>
                   <button className="modal-close" onClick={()=>setGradingStudent(null)}>✕</button>
                 </div>
                 <div style={{fontSize:12,color:"var(--text3)",fontFamily:"'DM Mono',monospace",marginBottom:16}}>
@@ -1832,7 +2244,19 @@ export function AdminEssayExams({ toast }) {
                     <div style={{background:"var(--bg4)",borderRadius:9,padding:"10px 14px",fontSize:13,color:"var(--text2)",lineHeight:1.6,marginBottom:10,fontStyle:"italic",borderLeft:"2px solid var(--border2)"}}>
                       {(gradingStudent.answers || {})[i] || "(no answer)"}
                     </div>
-                    <div className="form-row">
+                    {hasRubric(q) && (
+                      <>
+                        <RubricPicker rubric={q.rubric} levels={gradeForm[i]?.levels||[]} comments={gradeForm[i]?.comments||[]}
+                          onChange={pick=>setGradeForm(f=>({...f,[i]:{...f[i],...pick}}))} />
+                        <label className="lbl">Feedback</label>
+                        <input className="inp" placeholder="Brief feedback for this answer..."
+                          value={gradeForm[i]?.feedback||""}
+                          onChange={e=>setGradeForm(f=>({...f,[i]:{...f[i],feedback:e.target.value}}))}
+                        />
+                        <div style={{fontSize:12,fontFamily:"'DM Mono',monospace",color:"var(--accent)"}}>= {formMarks(q,i)} / {q.marks||10} marks</div>
+                      </>
+                    )}
+                    {!hasRubric(q) && <div className="form-row">
                       <div>
                         <label className="lbl">Marks Awarded (max {q.marks||10})</label>
                         <input className="inp" type="number" min="0" max={q.marks||10}
@@ -1847,18 +2271,18 @@ export function AdminEssayExams({ toast }) {
                           onChange={e=>setGradeForm(f=>({...f,[i]:{...f[i],feedback:e.target.value}}))}
                         />
                       </div>
-                    </div>
+                    </div>}
                   </div>
                 ))}
                 <label className="lbl">Overall Comment</label>
                 <textarea className="inp" rows={3} style={{resize:"vertical"}} placeholder="Overall performance summary..."
                   value={overallComment} onChange={e=>setOverallComment(e.target.value)} />
                 <div style={{background:"rgba(62,142,149,.08)",border:"1px solid rgba(62,142,149,.2)",borderRadius:10,padding:"10px 14px",marginBottom:14,fontSize:13}}>
-                  📊 Total: <b style={{color:"var(--accent)"}}>{Object.values(gradeForm).reduce((s,v)=>s+(+v.marksAwarded||0),0)}</b> / {(gradingStudent.questions||[]).reduce((s,q)=>s+(+q.marks||10),0)} marks
+                  📊 Total: <b style={{color:"var(--accent)"}}>{(gradingStudent.questions||[]).reduce((s,q,i)=>s+formMarks(q,i),0)}</b> / {(gradingStudent.questions||[]).reduce((s,q)=>s+(+q.marks||10),0)} marks
                 </div>
                 <div style={{display:"flex",gap:8}}>
                   <button className="btn btn-purple" style={{flex:1}} onClick={submitManualGrade} disabled={savingGrade}>
-                    {savingGrade?"Saving...":"💾 Save Grade & Notify Student"}
+                    {savingGrade?"Saving...":gradingStudent.mode==="mark"?"💾 Save My Mark":gradingStudent.mode==="moderate"?"⚖️ Settle & Release Grade":"💾 Save Grade & Notify Student"}
                   </button>
                   <button className="btn" onClick={()=>setGradingStudent(null)}>Cancel</button>
                 </div>
@@ -1866,6 +2290,18 @@ export function AdminEssayExams({ toast }) {
             </div>
           )}
 
+          {scoring && <EssayScoringRecord sub={scoring.sub} grading={scoring.grading} onClose={()=>setScoring(null)} />}
+          {showSimilarity && similarityBank && (
+            <SimilarityReport kind="essay" scopeId={similarityBank} toast={toast} onClose={()=>setShowSimilarity(false)}
+              title={banks.find(b=>String(b.id)===similarityBank)?.subject || "Essay exam"}
+              nameOf={email=>users.find(u=>u.username===email)?.displayName||String(email||"").split("@")[0]} />
+          )}
+          {markingSub && (
+            <EssayMarkingPanel sub={markingSub} currentUser={currentUser} busy={savingGrade} onClose={()=>setMarkingSub(null)}
+              onResolve={(choice,note)=>settleMarking(markingSub,{choice,note})}
+              onOwnMark={note=>{const sub=markingSub;setMarkingSub(null);startManualGrade(sub,"moderate",note);}} />
+          )}
+
           {loadingSubs ? (
             <div style={{textAlign:"center",padding:"40px",color:"var(--text3)"}}>
               <div style={{fontSize:32,animation:"spin 1.5s linear infinite",display:"inline-block",marginBottom:12}}>⏳</div>
@@ -1891,6 +2327,30 @@ export function AdminEssayExams({ toast }) {
                       const isPending = sub.pendingManualGrade && !sub.manualGrade;
                       const isAIGraded = sub.gradedByAI && sub.feedback;
                       const isManualGraded = !!sub.manualGrade;
+                      const m = sub.marking;
+                      // Double-marked: every mark stays hidden until both are in.
+                      const bothIn = m && (m.status === "disputed" || m.status === "agreed");
+                      if (m) return (
+                        <tr key={i}>
+                          <td style={{fontWeight:600}}>{sub.student?.split("@")[0]}<br/><span style={{fontSize:10,color:"var(--text3)",fontFamily:"'DM Mono',monospace"}}>{sub.student}</span></td>
+                          <td style={{fontSize:12,color:"var(--text2)"}}>{bank?.subject || sub.subject || `Exam #${sub.bankId}`}</td>
+                          <td style={{fontSize:12,color:"var(--text3)",fontFamily:"'DM Mono',monospace"}}>{sub.date}</td>
+                          <td>
+                            <span className={`tag ${MARKING_STATUS[m.status].tag}`}>{MARKING_STATUS[m.status].icon} {MARKING_STATUS[m.status].label}</span>
+                            {m.status==="disputed" && <span style={{fontSize:10,color:"var(--danger)",fontFamily:"'DM Mono',monospace",marginLeft:5}}>Δ {markGap(m)}%</span>}
+                          </td>
+                          <td style={{fontFamily:"'DM Mono',monospace",fontSize:13,fontWeight:700}}>
+                            {m.agreed ? `${m.agreed.pct}% (${m.agreed.grade})` : <span style={{color:"var(--text3)",fontWeight:400}}>🔒 {m.marks.length}/2 marks</span>}
+                          </td>
+                          <td>
+                            {canMark(m, currentUser) && <button className="btn btn-sm btn-purple" onClick={()=>startManualGrade(sub,"mark")}>🙈 Mark (blind)</button>}
+                            {!canMark(m, currentUser) && !bothIn && <span style={{fontSize:11,color:"var(--text3)"}}>✓ You marked</span>}
+                            {canModerate(m, currentUser) && <button className="btn btn-sm btn-purple" onClick={()=>setMarkingSub(sub)}>⚖️ Moderate</button>}
+                            {bothIn && !canModerate(m, currentUser) && <button className="btn btn-sm" onClick={()=>setMarkingSub(sub)}>📜 Marks & history</button>}
+                            {bothIn && sub.grading?.id && <button className="btn btn-sm" style={{marginLeft:5}} onClick={()=>showScoring(sub)}>🔍 How it was scored</button>}
+                          </td>
+                        </tr>
+                      );
                       return (
                         <tr key={i}>
                           <td style={{fontWeight:600}}>{sub.student?.split("@")[0]}<br/><span style={{fontSize:10,color:"var(--text3)",fontFamily:"'DM Mono',monospace"}}>{sub.student}</span></td>
@@ -1898,7 +2358,8 @@ export function AdminEssayExams({ toast }) {
                           <td style={{fontSize:12,color:"var(--text3)",fontFamily:"'DM Mono',monospace"}}>{sub.date}</td>
                           <td>
                             {isPending && <span className="tag tag-warn">⏳ Needs Grading</span>}
-                            {isAIGraded && <span className="tag tag-success">🤖 AI Graded</span>}
+                            {isAIGraded && <span className="tag tag-success">{ESSAY_GRADER_LABELS[sub.grading?.grader] || ESSAY_GRADER_LABELS.llm}</span>}
+                            {sub.grading?.fallbackFrom && <span className="tag tag-warn" title="The AI grader failed, so the keyword grader marked this">↩ fallback</span>}
                             {isManualGraded && <span className="tag tag-accent">✏️ Manually Graded</span>}
                           </td>
                           <td style={{fontFamily:"'DM Mono',monospace",fontSize:13,fontWeight:700}}>
@@ -1910,6 +2371,7 @@ export function AdminEssayExams({ toast }) {
                             <button className="btn btn-sm btn-purple" onClick={()=>startManualGrade(sub)}>
                               {isManualGraded ? "✏️ Re-grade" : isPending ? "📝 Grade Now" : "👁 View"}
                             </button>
+                            {sub.grading?.id && <button className="btn btn-sm" style={{marginLeft:5}} onClick={()=>showScoring(sub)}>🔍 How it was scored</button>}
                           </td>
                         </tr>
                       );
@@ -1932,9 +2394,11 @@ export function AdminEssayExams({ toast }) {
                 <div style={{fontFamily:"'Syne',sans-serif",fontWeight:700,fontSize:15}}>{b.subject}</div>
                 <div style={{fontSize:12,color:"var(--text3)",marginTop:3}}>{b.questions.length} questions • {b.questions.reduce((s,q)=>s+(q.marks||10),0)} total marks</div>
                 {b.description&&<div style={{fontSize:11,color:"var(--text3)",marginTop:2}}>{b.description}</div>}
+                {b.timeLimit>0&&<div style={{fontSize:11,color:"var(--warn)",marginTop:2}}>⏱ {b.timeLimit} min time limit</div>}
+                {b.doubleMarking?.enabled&&<div style={{fontSize:11,color:"var(--purple)",marginTop:2}}>⚖️ Double marked • ±{markingThreshold(b)}%</div>}
               </div>
               <div style={{display:"flex",gap:5,flexShrink:0}}>
-                <button className="btn btn-sm" onClick={e=>{e.stopPropagation();setEditBank(i);setBankForm({subject:b.subject,description:b.description||""});setShowBankModal(true);}}>✏️</button>
+                <button className="btn btn-sm" onClick={e=>{e.stopPropagation();setEditBank(i);setBankForm({subject:b.subject,description:b.description||"",timeLimit:b.timeLimit||"",doubleMarking:!!b.doubleMarking?.enabled,threshold:markingThreshold(b)});setShowBankModal(true);}}>✏️</button>
                 <button className="btn btn-sm btn-danger" onClick={e=>{e.stopPropagation();delBank(b.id);}}>🗑️</button>
               </div>
             </div>
@@ -1947,7 +2411,7 @@ export function AdminEssayExams({ toast }) {
         <div className="card" style={{marginBottom:20}}>
           <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:14,flexWrap:"wrap",gap:8}}>
             <div style={{fontFamily:"'Syne',sans-serif",fontWeight:700}}>{currentBank.subject} — Questions ({currentBank.questions.length})</div>
-            <button className="btn btn-purple btn-sm" onClick={()=>{setShowQModal(true);setEditQ(null);setQForm({q:"",marks:10,wordGuide:"100-200",modelAnswer:""});}}>+ Add Question</button>
+            <button className="btn btn-purple btn-sm" onClick={()=>{setShowQModal(true);setEditQ(null);setQForm({q:"",marks:10,wordGuide:"100-200",modelAnswer:"",rubric:[]});}}>+ Add Question</button>
           </div>
           {currentBank.questions.length===0&&<div style={{textAlign:"center",padding:"20px",color:"var(--text3)",fontSize:13}}>No questions yet.</div>}
           {currentBank.questions.map((q,qi)=>(
@@ -1959,10 +2423,11 @@ export function AdminEssayExams({ toast }) {
                     <span style={{color:"var(--accent)"}}>{q.marks||10} marks</span>
                     <span>• {q.wordGuide||"100-200"} words</span>
                     {q.modelAnswer&&<span style={{color:"var(--success)"}}>• Model answer set ✓</span>}
+                    {hasRubric(q)&&<span style={{color:"var(--purple)"}}>• 📐 {q.rubric.length} criteria</span>}
                   </div>
                 </div>
                 <div style={{display:"flex",gap:5,flexShrink:0}}>
-                  <button className="btn btn-sm" onClick={()=>{setEditQ(qi);setQForm({q:q.q,marks:q.marks||10,wordGuide:q.wordGuide||"100-200",modelAnswer:q.modelAnswer||""});setShowQModal(true);}}>✏️</button>
+                  <button className="btn btn-sm" onClick={()=>{setEditQ(qi);setQForm({q:q.q,marks:q.marks||10,wordGuide:q.wordGuide||"100-200",modelAnswer:q.modelAnswer||"",rubric:(q.rubric||[]).map(c=>({...c,levels:c.levels.map(l=>({...l}))}))});setShowQModal(true);}}>✏️</button>
                   <button className="btn btn-sm btn-danger" onClick={()=>delQ(currentBank.id,qi)}>🗑️</button>
                 </div>
               </div>
@@ -2000,6 +2465,18 @@ export function AdminEssayExams({ toast }) {
             <div className="modal-head"><div className="modal-title">{editBank!==null?"Edit":"New"} Essay Exam</div><button className="modal-close" onClick={()=>setShowBankModal(false)}>✕</button></div>
             <label className="lbl">Subject / Title</label><input className="inp" value={bankForm.subject} onChange={e=>setBankForm({...bankForm,subject:e.target.value})} placeholder="e.g. Medical-Surgical Nursing Essay" />
             <label className="lbl">Description (optional)</label><input className="inp" value={bankForm.description} onChange={e=>setBankForm({...bankForm,description:e.target.value})} placeholder="Brief description of this essay exam" />
+            <label className="lbl">Time limit in minutes (optional)</label>
+            <input className="inp" type="number" min="0" value={bankForm.timeLimit} onChange={e=>setBankForm({...bankForm,timeLimit:e.target.value})} placeholder="No limit" />
+            <div style={{fontSize:11,color:"var(--text3)",marginTop:-6,marginBottom:10}}>The countdown starts when a student begins and keeps running if they leave the page. When it runs out, their answers as last saved are submitted.</div>
+            <label style={{display:"flex",alignItems:"center",gap:8,fontSize:13,marginBottom:8,cursor:"pointer"}}>
+              <input type="checkbox" checked={bankForm.doubleMarking} onChange={e=>setBankForm({...bankForm,doubleMarking:e.target.checked})} />
+              ⚖️ Blind double marking
+            </label>
+            {bankForm.doubleMarking&&<>
+              <label className="lbl">Flag for moderation when the two marks differ by more than (percentage points)</label>
+              <input className="inp" type="number" min="0" max="100" value={bankForm.threshold} onChange={e=>setBankForm({...bankForm,threshold:e.target.value})} />
+              <div style={{fontSize:11,color:"var(--text3)",marginTop:-6,marginBottom:10}}>The AI mark (or a lecturer's) is the first mark; a second lecturer marks without seeing it. Close marks are averaged and released; the rest wait for a moderator. Applies to essays submitted from now on.</div>
+            </>}
             <div style={{display:"flex",gap:8}}><button className="btn btn-purple" style={{flex:1}} onClick={saveBank}>Save</button><button className="btn" onClick={()=>setShowBankModal(false)}>Cancel</button></div>
           </div>
         </div>
@@ -2011,10 +2488,11 @@ export function AdminEssayExams({ toast }) {
             <div className="modal-head"><div className="modal-title">{editQ!==null?"Edit":"Add"} Essay Question</div><button className="modal-close" onClick={()=>setShowQModal(false)}>✕</button></div>
             <label className="lbl">Question</label><textarea className="inp" rows={3} style={{resize:"vertical"}} value={qForm.q} onChange={e=>setQForm({...qForm,q:e.target.value})} placeholder="e.g. Describe the nursing management of a patient with acute myocardial infarction." />
             <div className="form-row">
-              <div><label className="lbl">Marks</label><input className="inp" type="number" min="1" max="100" value={qForm.marks} onChange={e=>setQForm({...qForm,marks:e.target.value})} /></div>
-              <div><label className="lbl">Word Guide</label><input className="inp" value={qForm.wordGuide} onChange={e=>setQForm({...qForm,wordGuide:e.target.value})} placeholder="e.g. 150-250" /></div>
+              <div><label className="lbl">Marks</label><input className="inp" type="number" min="1" max="100" disabled={qForm.rubric.length>0} title={qForm.rubric.length?"Set by the rubric":""} value={qForm.rubric.length?rubricMax(qForm.rubric):qForm.marks} onChange={e=>setQForm({...qForm,marks:e.target.value})} /></div>
+              <div><label className="lbl">Word Target</label><input className="inp" value={qForm.wordGuide} onChange={e=>setQForm({...qForm,wordGuide:e.target.value})} placeholder="e.g. 150-250 or 200" /></div>
             </div>
-            <label className="lbl">Model Answer (guides AI grading)</label><textarea className="inp" rows={4} style={{resize:"vertical"}} value={qForm.modelAnswer} onChange={e=>setQForm({...qForm,modelAnswer:e.target.value})} placeholder="Key points the AI should look for when grading this question..." />
+            <label className="lbl">Model Answer (marking guide — one key point per line)</label><textarea className="inp" rows={4} style={{resize:"vertical"}} value={qForm.modelAnswer} onChange={e=>setQForm({...qForm,modelAnswer:e.target.value})} placeholder="Key points the grader should look for, one per line..." />
+            <RubricEditor rubric={qForm.rubric} onChange={rubric=>setQForm({...qForm,rubric})} />
             <div style={{display:"flex",gap:8}}><button className="btn btn-purple" style={{flex:1}} onClick={saveQ}>Save</button><button className="btn" onClick={()=>setShowQModal(false)}>Cancel</button></div>
           </div>
         </div>
@@ -2091,14 +2569,16 @@ export function AdminHandouts({ toast }) {
     h = h.filter(x => !selHandouts.has(x.id));
 
     saveFolders(f);
-    setHandouts(h); saveShared("handouts", h);
+    dropPdfs(h); setHandouts(h); saveShared("handouts", h);
     toast(`🗑️ Deleted: ${parts.join(", ")}`, "success");
     exitSel();
   };
 
   // ── Standard single-item helpers ────────────────────────────────
-  const del = (id) => { const u=handouts.filter(h=>h.id!==id); setHandouts(u); saveShared("handouts",u); toast("Deleted","success"); };
-  const clearAll = () => { if(!confirm("Delete ALL handouts?"))return; setHandouts([]); saveShared("handouts",[]); toast("All handouts cleared","warn"); };
+  // Removes the stored PDFs of every handout not in `kept`.
+  const dropPdfs = (kept) => handouts.filter(h=>h.pdfPath&&!kept.some(k=>k.id===h.id)).forEach(h=>deleteFile(h.pdfPath));
+  const del = (id) => { const u=handouts.filter(h=>h.id!==id); dropPdfs(u); setHandouts(u); saveShared("handouts",u); toast("Deleted","success"); };
+  const clearAll = () => { if(!confirm("Delete ALL handouts?"))return; dropPdfs([]); setHandouts([]); saveShared("handouts",[]); toast("All handouts cleared","warn"); };
   const saveFolders = (f) => {
     lsSet("nv-folders", f);    // update localStorage immediately
     setFolders(f);              // update React state immediately
@@ -2112,7 +2592,7 @@ export function AdminHandouts({ toast }) {
     if(f[classId]) { delete f[classId][course]; }
     saveFolders(f);
     const u = handouts.filter(h=>!(h.classId===classId&&h.course===course));
-    setHandouts(u); saveShared("handouts",u);
+    dropPdfs(u); setHandouts(u); saveShared("handouts",u);
     toast(`📂 Course folder "${course}" deleted`,"success");
   };
 
@@ -2122,7 +2602,7 @@ export function AdminHandouts({ toast }) {
     if(f[classId]?.[course]) { f[classId][course] = f[classId][course].filter(l=>l!==lecName); }
     saveFolders(f);
     const u = handouts.filter(h=>!(h.classId===classId&&h.course===course&&(h.lecturerName===lecName||h.uploadedBy?.split("@")[0]===lecName)));
-    setHandouts(u); saveShared("handouts",u);
+    dropPdfs(u); setHandouts(u); saveShared("handouts",u);
     toast(`👨🏫 Lecturer folder "${lecName}" deleted`,"success");
   };
 
@@ -2432,7 +2912,7 @@ export function AdminSchoolPQ({ toast }) {
   const [selCourse, setSelCourse] = useState(null);
   const [qTab, setQTab] = useState("mcq"); // "mcq" | "essay"
   // MCQ state
-  const [mcqMode, setMcqMode] = useState("single"); // "single" | "paste"
+  const [mcqMode, setMcqMode] = useState("single"); // "single" | "paste" | "bank"
   const [singleForm, setSingleForm] = useState({q:"",options:["","","",""],ans:0,year:""});
   const [pasteText, setPasteText] = useState("");
   const [pasteAnswers, setPasteAnswers] = useState("");
@@ -2633,8 +3113,14 @@ export function AdminSchoolPQ({ toast }) {
                 <div style={{fontWeight:800,fontSize:13,flex:1,color:"var(--accent)"}}>Add MCQ Questions</div>
                 <button className={`btn btn-sm${mcqMode==="single"?" btn-accent":""}`} onClick={()=>{setMcqMode("single");setEditMcqIdx(null);}}>✏️ Single</button>
                 <button className={`btn btn-sm${mcqMode==="paste"?" btn-accent":""}`} onClick={()=>setMcqMode("paste")}>📋 Paste Multiple</button>
+                <button className={`btn btn-sm${mcqMode==="bank"?" btn-accent":""}`} onClick={()=>setMcqMode("bank")}>🏦 From Bank</button>
               </div>
 
+              {mcqMode==="bank"&&(
+                <BankPicker toast={toast} existing={cd.mcq} defaultTag={selCourse.toLowerCase()} mcqOnly
+                  onAdd={items=>saveCourse(selClass,selCourse,{...cd,mcq:[...cd.mcq,...items.map((q,i)=>({...q,year:"",id:Date.now()+i}))]})} />
+              )}
+
               {/* Single MCQ form */}
               {mcqMode==="single"&&(
                 <div className="card2" style={{marginBottom:14}}>
@@ -2718,6 +3204,8 @@ export function AdminSchoolPQ({ toast }) {
 
               {/* MCQ List */}
               <div style={{fontWeight:800,fontSize:13,marginBottom:10}}>📝 {cd.mcq.length} MCQ Question{cd.mcq.length!==1?"s":""}</div>
+              <BankSyncBar toast={toast} questions={cd.mcq} onChange={mcq=>saveCourse(selClass,selCourse,{...cd,mcq})}
+                defaults={{course:selCourse,tags:[selCourse],source:`School PQ ${courseKey(selClass,selCourse)}`}} mcqOnly />
               {cd.mcq.length===0&&<div style={{textAlign:"center",padding:20,color:"var(--text3)",border:"1px dashed var(--border)",borderRadius:10,fontSize:13}}>No MCQ questions yet. Add above.</div>}
               {cd.mcq.map((q,qi)=>(
                 <div key={qi} className="card2" style={{marginBottom:8,borderLeft:`3px solid ${qi===editMcqIdx?"var(--accent)":"var(--border)"}`}}>
@@ -3079,9 +3567,10 @@ export function AdminNursingExams({ toast }) {
   const [selPaper, setSelPaper] = useState("paper1"); // paper1|paper2|osce
 
   // MCQ states
-  const [mcqMode, setMcqMode] = useState("single"); // single|paste
+  const [mcqMode, setMcqMode] = useState("single"); // single|paste|bank|file
   const [singleForm, setSingleForm] = useState({q:"",options:["","","",""],ans:0});
   const [editQIdx, setEditQIdx] = useState(null);
+  const [rekeyQIdx, setRekeyQIdx] = useState(null);
   const [pasteText, setPasteText] = useState("");
   const [pasteAnswers, setPasteAnswers] = useState("");
   const [parsedMcq, setParsedMcq] = useState([]);
@@ -3183,13 +3672,20 @@ export function AdminNursingExams({ toast }) {
 
   const addSingleMcq = () => {
     if(!singleForm.q.trim()) return toast("Question text required","error");
-    if(!singleForm.options[0]||!singleForm.options[1]) return toast("At least options A and B required","error");
-    const q={q:singleForm.q.trim(),options:singleForm.options.map(o=>o.trim()),ans:singleForm.ans};
+    let q;
+    if(singleForm.type&&singleForm.type!=="mcq"){
+      const { question, error } = questionFromDraft(singleForm);
+      if(error) return toast(error,"error");
+      q=question;
+    } else {
+      if(!singleForm.options[0]||!singleForm.options[1]) return toast("At least options A and B required","error");
+      q={q:singleForm.q.trim(),options:singleForm.options.map(o=>o.trim()),ans:singleForm.ans};
+    }
     let qs;
     if(editQIdx!==null){ qs=paperData.questions.map((qq,i)=>i===editQIdx?q:qq); setEditQIdx(null); toast("✏️ Question updated","success"); }
     else { qs=[...paperData.questions,q]; toast("➕ Question added","success"); }
     updatePaper({questions:qs});
-    setSingleForm({q:"",options:["","","",""],ans:0});
+    setSingleForm(emptyDraft(q.type));
   };
 
   const importParsedMcq = () => {
@@ -3204,6 +3700,30 @@ export function AdminNursingExams({ toast }) {
     toast("Deleted","success");
   };
 
+  // ── Answer-key corrections (shared/rekey.js) ──
+  // Students' stored attempts are marked again under the corrected paper;
+  // applying saves the paper first, then their rescored attempts.
+  const paperTitle = `${meta.short} ${selYear} ${NC_PAPER_TYPES.find(p=>p.key===selPaper)?.label||selPaper}`;
+  const rekeyPaper = (qi) => async (change, note, apply) => {
+    const questions = paperData.questions.map((qq,i)=>i===qi?rekeyQuestion(qq,change):qq);
+    if (apply && !(await updatePaper({questions}))) throw new Error("The paper couldn't be saved — nothing was rescored.");
+    return rescorePaperAttempts({ paperId:`${activeSpec}_${selYear}_${selPaper}`, questions, scoring:paperData.scoring,
+      title:paperTitle, type:`${meta.short} Exam`, apply });
+  };
+  const rekeyDone = (qi) => async (r, change) => {
+    const what = describeRekey(paperData.questions[qi], change);
+    await Promise.all(r.changes.map(c => pushUserNotif(c.student, {
+      id: "rekey_" + activeSpec + "_" + selYear + "_" + selPaper + "_" + Date.now(),
+      type: "nc_rescore",
+      title: "🔑 Score updated — " + paperTitle,
+      body: `Q${qi+1} was re-marked (${what}). Your score is now ${c.after.percent}% (was ${c.before.percent}%).`,
+      ts: Date.now(),
+      read: false,
+    })));
+    toast(`🔑 Key corrected • ${r.changes.length} attempt(s) rescored and notified`,"success");
+    setRekeyQIdx(null);
+  };
+
   const publishPaper = () => {
     updatePaper({published:true,publishedAt:Date.now()});
     toast("🚀 Published! Students can see this now.","success");
@@ -3474,6 +3994,10 @@ export function AdminNursingExams({ toast }) {
           }
           <button className="btn btn-sm" style={{borderColor:"var(--accent)",color:"var(--accent)"}}
             onClick={saveCurrentToArchive}>🗄️ Archive</button>
+          {!isOsce&&(paperData.questions?.length||0)>0&&(
+            <QuestionExport toast={toast} accent={meta.color} questions={paperData.questions}
+              title={`${meta.short} ${selYear} ${NC_PAPER_TYPES.find(p=>p.key===selPaper)?.label||selPaper}`} />
+          )}
           {!isOsce&&(paperData.questions?.length||0)>0&&(
             <button className="btn btn-sm btn-danger" onClick={deleteAllQuestions} title="Delete all questions">🗑️ All Q</button>
           )}
@@ -3495,8 +4019,24 @@ export function AdminNursingExams({ toast }) {
             <button className={`btn btn-sm${mcqMode==="paste"?" btn-accent":""}`}
               style={mcqMode==="paste"?{background:meta.color,border:"none"}:{}}
               onClick={()=>setMcqMode("paste")}>📋 Paste Multiple</button>
+            <button className={`btn btn-sm${mcqMode==="bank"?" btn-accent":""}`}
+              style={mcqMode==="bank"?{background:meta.color,border:"none"}:{}}
+              onClick={()=>setMcqMode("bank")}>🏦 From Bank</button>
+            <button className={`btn btn-sm${mcqMode==="file"?" btn-accent":""}`}
+              style={mcqMode==="file"?{background:meta.color,border:"none"}:{}}
+              onClick={()=>setMcqMode("file")}>📂 Import File</button>
           </div>
 
+          {mcqMode==="bank"&&(
+            <BankPicker toast={toast} accent={meta.color} existing={paperData.questions}
+              onAdd={items=>updatePaper({questions:[...paperData.questions,...items]})} />
+          )}
+
+          {mcqMode==="file"&&(
+            <QuestionImporter toast={toast} accent={meta.color} existing={paperData.questions||[]}
+              onImport={(added,replaced)=>updatePaper({questions:applyImport(paperData.questions||[],added,replaced)})} />
+          )}
+
           {/* Single form */}
           {mcqMode==="single"&&(
             <div className="card2" style={{marginBottom:14,border:`1px solid ${meta.color}30`}}>
@@ -3506,6 +4046,10 @@ export function AdminNursingExams({ toast }) {
               <label className="lbl">Question Text *</label>
               <textarea className="inp" rows={3} style={{resize:"vertical"}} value={singleForm.q}
                 onChange={e=>setSingleForm({...singleForm,q:e.target.value})} placeholder="Type the question here..." />
+              <QuestionTypeSelect value={singleForm.type||"mcq"} accent={meta.color} onChange={t=>setSingleForm(emptyDraft(t,singleForm.q))} />
+              {singleForm.type&&singleForm.type!=="mcq"
+                ? <TypedQuestionEditor draft={singleForm} onChange={setSingleForm} toast={toast} />
+                : <>
               <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:8,marginBottom:8}}>
                 {["A","B","C","D"].map((L,i)=>(
                   <div key={L}>
@@ -3519,6 +4063,7 @@ export function AdminNursingExams({ toast }) {
               <select className="inp" value={singleForm.ans} onChange={e=>setSingleForm({...singleForm,ans:+e.target.value})}>
                 {["A","B","C","D"].map((L,i)=><option key={L} value={i}>Option {L}{singleForm.options[i]?`: ${singleForm.options[i]}`:""}</option>)}
               </select>
+                </>}
               <div style={{display:"flex",gap:8}}>
                 <button className="btn btn-accent" style={{background:`linear-gradient(135deg,${meta.color},${meta.color}bb)`,border:"none"}}
                   onClick={addSingleMcq}>{editQIdx!==null?"💾 Update":"➕ Add Question"}</button>
@@ -3578,6 +4123,8 @@ export function AdminNursingExams({ toast }) {
           <div style={{fontWeight:800,fontSize:13,marginBottom:10}}>
             📋 {paperData.questions?.length||0} Question{(paperData.questions?.length||0)!==1?"s":""} in this Paper
           </div>
+          <BankSyncBar toast={toast} questions={paperData.questions} onChange={questions=>updatePaper({questions})}
+            defaults={{tags:["nursing council",meta.short.toLowerCase()],source:`NC ${activeSpec} ${selYear} ${selPaper}`}} />
           {(paperData.questions?.length||0)===0&&(
             <div style={{textAlign:"center",padding:20,color:"var(--text3)",fontSize:13,border:"1px dashed var(--border)",borderRadius:10}}>
               No questions yet — add above.
@@ -3589,21 +4136,34 @@ export function AdminNursingExams({ toast }) {
                 <div style={{width:26,height:26,borderRadius:7,background:`${meta.color}20`,display:"flex",alignItems:"center",justifyContent:"center",fontSize:11,fontWeight:800,color:meta.color,flexShrink:0}}>{qi+1}</div>
                 <div style={{flex:1}}>
                   <div style={{fontWeight:700,fontSize:13,marginBottom:6}}>{q.q}</div>
+                  {q.void&&<span className="tag tag-danger" style={{fontSize:10,marginBottom:6,display:"inline-block"}}>🚫 Voided — counts for nobody</span>}
+                  {q.type&&q.type!=="mcq" ? <TypedKeySummary q={q} /> :
                   <div style={{display:"flex",flexWrap:"wrap",gap:5}}>
-                    {q.options.filter(o=>o).map((opt,oi)=>(
-                      <span key={oi} style={{fontSize:11,padding:"2px 9px",borderRadius:5,
-                        background:oi===q.ans?"rgba(34,197,94,.12)":"transparent",
-                        border:`1px solid ${oi===q.ans?"var(--success)":"var(--border)"}`,
-                        color:oi===q.ans?"var(--success)":"var(--text3)",fontWeight:oi===q.ans?800:400
-                      }}>{"ABCD"[oi]}. {opt}{oi===q.ans?" ✓":""}</span>
-                    ))}
-                  </div>
+                    {q.options.filter(o=>o).map((opt,oi)=>{
+                      const key = oi===q.ans || !!q.accept?.includes(oi);
+                      return (
+                        <span key={oi} style={{fontSize:11,padding:"2px 9px",borderRadius:5,
+                          background:key?"rgba(34,197,94,.12)":"transparent",
+                          border:`1px solid ${key?"var(--success)":"var(--border)"}`,
+                          color:key?"var(--success)":"var(--text3)",fontWeight:key?800:400
+                        }}>{"ABCD"[oi]}. {opt}{key?" ✓":""}</span>
+                      );
+                    })}
+                  </div>}
+                  {q.accept?.length>0&&<div style={{fontSize:10,color:"var(--text3)",marginTop:4}}>Also accepted: {q.accept.map(i=>optionLabel(q,i)).join(", ")}</div>}
                 </div>
                 <div style={{display:"flex",gap:4,flexShrink:0}}>
-                  <button className="btn btn-sm" onClick={()=>{setSingleForm({q:q.q,options:[...q.options],ans:q.ans});setEditQIdx(qi);setMcqMode("single");}}>✏️</button>
+                  {paperData.published&&<button className="btn btn-sm" title="Correct the key and rescore students' attempts" onClick={()=>setRekeyQIdx(rekeyQIdx===qi?null:qi)}>🔑</button>}
+                  <button className="btn btn-sm" onClick={()=>{setSingleForm(draftFromQuestion(q));setEditQIdx(qi);setMcqMode("single");}}>✏️</button>
                   <button className="btn btn-sm btn-danger" onClick={()=>deleteQ(qi)}>🗑️</button>
                 </div>
               </div>
+              {rekeyQIdx===qi&&(
+                <div style={{marginTop:10,paddingTop:10,borderTop:"1px solid var(--border)"}}>
+                  <div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>🔑 Every student's attempt at this paper is marked again under the corrected key. Check the changed scores before applying — affected students are notified.</div>
+                  <RekeyForm key={qi} q={q} qNo={qi+1} toast={toast} run={rekeyPaper(qi)} onDone={rekeyDone(qi)} />
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -3743,7 +4303,7 @@ export function AdminDailyMockManager({ toast }) {
   const [pool, setPool] = useSharedData("nv-daily-mock", []);
   const [mockTitle, setMockTitle] = useState(()=>ls("nv-daily-mock-title",""));
   const [saving, setSaving] = useState(false);
-  const [mode, setMode] = useState("single"); // "single"|"paste"
+  const [mode, setMode] = useState("single"); // "single"|"paste"|"bank"|"file"
   const [form, setForm] = useState({q:"", options:["","","",""], ans:0, cat:"General"});
   const [editIdx, setEditIdx] = useState(null);
   const [pasteText, setPasteText] = useState("");
@@ -3829,6 +4389,7 @@ export function AdminDailyMockManager({ toast }) {
             {saving&&<span style={{color:"#4a7a2e",marginLeft:8,fontWeight:700}}>⏳ Saving to cloud…</span>}
           </div>
         </div>
+        {pool.length>0&&<QuestionExport toast={toast} accent="#4a7a2e" questions={pool} title={mockTitle||"Daily Mock Pool"} />}
         {pool.length>0&&<button className="btn btn-sm btn-danger" onClick={deleteAll}>🗑️ Delete All</button>}
       </div>
 
@@ -3864,8 +4425,25 @@ export function AdminDailyMockManager({ toast }) {
         <button className={`btn btn-sm${mode==="paste"?" btn-accent":""}`}
           style={mode==="paste"?{background:"#4a7a2e",border:"none"}:{}}
           onClick={()=>setMode("paste")}>📋 Paste 250 Questions</button>
+        <button className={`btn btn-sm${mode==="bank"?" btn-accent":""}`}
+          style={mode==="bank"?{background:"#4a7a2e",border:"none"}:{}}
+          onClick={()=>setMode("bank")}>🏦 From Bank</button>
+        <button className={`btn btn-sm${mode==="file"?" btn-accent":""}`}
+          style={mode==="file"?{background:"#4a7a2e",border:"none"}:{}}
+          onClick={()=>setMode("file")}>📂 Import File</button>
       </div>
 
+      {mode==="bank"&&(
+        <BankPicker toast={toast} accent="#4a7a2e" existing={pool} max={250-pool.length} mcqOnly
+          onAdd={(items,src)=>save([...pool,...items.map((q,i)=>({...q,id:Date.now()+i,cat:CATS.find(c=>src[i].tags?.includes(c.toLowerCase()))||"General"}))])} />
+      )}
+
+      {mode==="file"&&(
+        <QuestionImporter toast={toast} accent="#4a7a2e" existing={pool} mcqOnly max={250-pool.length}
+          onImport={(added,replaced)=>save(applyImport(pool,added.map((q,i)=>({...q,id:Date.now()+i})),replaced)
+            .map(q=>({...q,cat:CATS.includes(q.cat)?q.cat:"General"})))} />
+      )}
+
       {/* Single form */}
       {mode==="single"&&(
         <div className="card2" style={{marginBottom:14,border:"1px solid #4a7a2e30"}}>
@@ -3979,6 +4557,7 @@ export function AdminDailyMockManager({ toast }) {
       )}
 
       {/* Pool list — also paginated */}
+      <BankSyncBar toast={toast} questions={pool} onChange={save} defaults={{tags:["daily mock"],source:"Daily mock"}} mcqOnly />
       {pool.length>0&&(
         <PoolList pool={pool} editIdx={editIdx} setForm={setForm} setEditIdx={setEditIdx} setMode={setMode} deleteOne={deleteOne} />
       )}
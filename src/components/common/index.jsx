@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from "react";
 import { ls } from "../../utils/storage";
+import { resultPassed } from "../../shared/scoring";
 
 export function Toasts({ list }) {
   return <div className="toast-wrap">{list.map(t=><div key={t.id} className={`toast ${t.type}`}><span>{t.type==="success"?"✅":t.type==="error"?"❌":t.type==="warn"?"⚠️":"ℹ️"}</span>{t.msg}</div>)}</div>;
@@ -117,7 +118,7 @@ export function PerformanceAnalytics({ currentUser }) {
   const results = ls("nv-results", []).filter(r => r.user === currentUser || !r.user);
   const last10 = results.slice(-10);
   const avgScore = results.length ? Math.round(results.reduce((s,r)=>s+(r.pct||0),0)/results.length) : 0;
-  const passed = results.filter(r=>(r.pct||0)>=50).length;
+  const passed = results.filter(resultPassed).length;
   const best = results.reduce((b,r)=>(r.pct||0)>(b.pct||0)?r:b, {pct:0});
   const subjectMap = {};
   results.forEach(r=>{ if(r.subject){ if(!subjectMap[r.subject]) subjectMap[r.subject]={total:0,count:0}; subjectMap[r.subject].total+=(r.pct||0); subjectMap[r.subject].count++; } });
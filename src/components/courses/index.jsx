@@ -8,7 +8,8 @@ import {
 import { auth } from "../../config/firebaseClient";
 import { loadPaystack } from "../../services/paystackService";
 import { PAYSTACK_PUBLIC_KEY } from "../../config/keys";
-import { asgSave, asgSubscribeByCourse, asgSubmit, asgLoadMySubmission, asgLoadSubmissions, asgGrade } from "../../services/backend";
+import { _safeKey, asgSave, asgSubscribeByCourse, asgSubmit, asgLoadMySubmission, asgLoadSubmissions, asgGrade } from "../../services/backend";
+import { StoredFile, deleteFile, filePaths, uploadFile } from "../../services/fileStorage";
 import { ls } from "../../utils/storage";
 
 // ═══════════════════════════════════════════════════════════════════
@@ -550,7 +551,7 @@ export function CourseAssignments({ courseId, currentUser, isStaff, toast }) {
   const [mySubmission, setMySubmission] = useState(null);
   const [showForm, setShowForm] = useState(false);
   const [form, setForm] = useState({ title: "", desc: "", dueAt: "", maxScore: 100 });
-  const [uploading, setUploading] = useState(false);
+  const [uploading, setUploading] = useState(false); // false, or upload progress 0–1
   const [gradingId, setGradingId] = useState(null);
   const [gradeForm, setGradeForm] = useState({ grade: "", feedback: "" });
   const allUsers = ls("nv-users", []);
@@ -580,16 +581,14 @@ export function CourseAssignments({ courseId, currentUser, isStaff, toast }) {
     const input = document.createElement("input"); input.type = "file"; input.accept = ".pdf,.doc,.docx,.png,.jpg,.txt";
     input.onchange = async (e) => {
       const file = e.target.files[0]; if (!file) return;
-      if (file.size > 2 * 1024 * 1024) return toast("File too large — max 2MB", "error");
-      setUploading(true);
-      const reader = new FileReader();
-      reader.onload = async (ev) => {
-        const ok = await asgSubmit(asgn.id, currentUser, ev.target.result, file.name);
-        if (ok) { toast("Submitted ✅", "success"); asgLoadMySubmission(asgn.id, currentUser).then(setMySubmission); }
-        else toast("Submit failed", "error");
-        setUploading(false);
-      };
-      reader.readAsDataURL(file);
+      setUploading(0);
+      try {
+        const attachment = await uploadFile("assignment", filePaths.assignment(asgn.id, _safeKey(currentUser), file.name), file, { onProgress: setUploading, download: true });
+        if (!await asgSubmit(asgn.id, currentUser, attachment)) throw new Error("Submit failed");
+        if (mySubmission?.filePath) deleteFile(mySubmission.filePath); // replaced by the resubmission
+        toast("Submitted ✅", "success"); asgLoadMySubmission(asgn.id, currentUser).then(setMySubmission);
+      } catch (err) { toast(err.message || "Submit failed", "error"); }
+      setUploading(false);
     };
     input.click();
   };
@@ -629,7 +628,7 @@ export function CourseAssignments({ courseId, currentUser, isStaff, toast }) {
                   {sub.grade != null ? <span style={{ fontWeight: 800, color: "var(--success)" }}>{sub.grade}/{selAsgn.maxScore}</span> :
                     <button className="btn btn-sm btn-purple" onClick={() => { setGradingId(sub.student); setGradeForm({ grade: "", feedback: "" }); }}>Grade</button>}
                 </div>
-                <a href={sub.fileData} download={sub.fileName} style={{ fontSize: 12, color: "var(--accent)" }}>📎 {sub.fileName}</a>
+                <StoredFile path={sub.filePath} legacy={sub.fileData}>{url => <a href={url || undefined} download={sub.fileName} target="_blank" rel="noopener noreferrer" style={{ fontSize: 12, color: "var(--accent)" }}>📎 {sub.fileName}</a>}</StoredFile>
                 {gradingId === sub.student && (
                   <div style={{ marginTop: 8 }}>
                     <input className="inp" type="number" placeholder={`Grade (out of ${selAsgn.maxScore})`} value={gradeForm.grade} onChange={e => setGradeForm(f => ({ ...f, grade: e.target.value }))} />
@@ -644,12 +643,12 @@ export function CourseAssignments({ courseId, currentUser, isStaff, toast }) {
           <div className="card">
             {mySubmission ? (
               <div>
-                <div style={{ fontSize: 13 }}>✅ Submitted: <a href={mySubmission.fileData} download={mySubmission.fileName}>{mySubmission.fileName}</a></div>
+                <div style={{ fontSize: 13 }}>✅ Submitted: <StoredFile path={mySubmission.filePath} legacy={mySubmission.fileData}>{url => <a href={url || undefined} download={mySubmission.fileName} target="_blank" rel="noopener noreferrer">{mySubmission.fileName}</a>}</StoredFile></div>
                 {mySubmission.grade != null && <div style={{ marginTop: 8, fontWeight: 800, color: "var(--success)" }}>Grade: {mySubmission.grade}/{selAsgn.maxScore}</div>}
                 {mySubmission.feedback && <div style={{ fontSize: 12.5, color: "var(--text3)", marginTop: 4 }}>💬 {mySubmission.feedback}</div>}
               </div>
             ) : (
-              <button className="btn btn-purple" onClick={() => submitWork(selAsgn)} disabled={uploading}>{uploading ? "Uploading…" : "📎 Submit Work"}</button>
+              <button className="btn btn-purple" onClick={() => submitWork(selAsgn)} disabled={uploading !== false}>{uploading !== false ? `Uploading ${Math.round(uploading * 100)}%…` : "📎 Submit Work"}</button>
             )}
           </div>
         )}
@@ -1,14 +1,32 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { Fragment, useState, useEffect, useCallback, useRef } from "react";
 import { DEFAULT_CLASSES } from "../../data/defaults";
-import { cbtDevicesGet, cbtDevicesSave, cbtExamsSave, cbtResultsSave, cbtViolationsGet, cbtViolationsSave, saveEssaySubmissionToBackend, saveMyData, saveShared, subscribeCbtExams, subscribeCbtResults, subscribeCbtViolations, useSharedData } from "../../services/backend";
+import { pushUserNotif, saveMyData, saveShared, useSharedData } from "../../services/backend";
+import { advanceCbtSection, cbtServerNow, claimCbtDevice, deleteCbtAccommodation, deleteCbtExam, decideCbtRelease, deleteCbtResult, downloadCbtPackage, extendCbtAttempt, fetchCbtPaper, forceSubmitCbtAttempt, fetchCbtReview, fileCbtAppeal, grantCbtResume, listCbtDevices, listMyCbtViolations, loadCbtAnswers, logCbtViolation, moderateCbtResults, rekeyCbtQuestion, saveCbtAccommodation, saveCbtAnswers, saveCbtExam, sendCbtWarning, startCbtAttempt, studentKey, submitCbtAttempt, submitCbtRelease, subscribeCbtAccommodations, subscribeCbtAttempts, subscribeCbtAudit, subscribeCbtExams, subscribeCbtReleases, subscribeCbtResults, subscribeCbtSessions, subscribeCbtViolations, subscribeMyCbtAccommodations, subscribeMyCbtAppeals, subscribeMyCbtResults, subscribeMyCbtSession, updateCbtExam, uploadOfflineCbtAttempt, violationHasSnapshot } from "../../services/cbt";
+import { gradeEssaySubmission, saveEssayDraft, startEssayAttempt } from "../../services/essays";
+import { StoredFile } from "../../services/fileStorage";
+import { clearLocalAttempt, clearOfflineProgress, deleteOfflinePackage, listOfflinePackages, listOfflineUploads, loadLocalAttempt, loadOfflineProgress, queueOfflineUpload, removeOfflineUpload, saveLocalAttempt, saveOfflinePackage, saveOfflineProgress } from "../../utils/cbtAnswerStore";
+import { clearLocalDraft, listLocalDrafts, loadLocalDraft, saveLocalDraft } from "../../utils/essayDraftStore";
 import { ls } from "../../utils/storage";
 import { Notifications } from "../../components/messaging";
 import { NcPaywall } from "../../components/nursing-council";
 import { Results } from "../../components/student";
 import { useNcAccess } from "../../hooks/useNcAccess";
-import { parseCbtQuestions } from "../../shared/cbtHelpers";
+import { BankPicker, BankSyncBar } from "../../components/question-bank";
+import { QuestionExport } from "../../components/question-export";
+import { QuestionImporter } from "../../components/question-import";
+import { applyImport } from "../../shared/questionImport";
+import { QuestionTypeSelect, TypedAnswerReview, TypedKeySummary, TypedQuestionEditor, TypedQuestionInput, draftFromQuestion, emptyDraft, questionFromDraft } from "../../components/question-types";
+import { CBT_RELEASE_STATUS, applyCbtAccommodation, cbtDrawPlan, cbtExamDuration, cbtPaperLength, cbtReleaseStatus, cbtResultsReleased, cbtSectionIndex, cbtSections, cbtWindowTimes, describeCbtAccommodation, parseCbtQuestions } from "../../shared/cbtHelpers";
+import { isSingleChoice, scoreResponse } from "../../shared/questionTypes";
+import { UNANSWERED_POLICIES, describeScheme, gradeLetter, negativeMarks, resultPassed, scoreAnswers, scoringScheme } from "../../shared/scoring";
 import { getDeviceFingerprint } from "../../shared/deviceFingerprint";
+import { newStartCode, openPackage, signSubmission, verifySubmission } from "../../shared/cbtPackage";
+import { ITEM_FLAG_LABELS, analyseItems, isSuspectItem, itemAnalysisCsv, itemKeyLabel } from "../../shared/itemAnalysis";
+import { REKEY_MODES, describeRekey, optionLabel, rescoreSummary, validateRekey } from "../../shared/rekey";
+import { COLLUSION_ALPHA, COLLUSION_MIN_SHARED, COLLUSION_SIGNAL_LABELS, analyseCollusion, collusionCsv, collusionGapLabel, describeResponse } from "../../shared/collusion";
 import { NC_FREE_LIMIT, NC_MOCK_FREE_LIMIT } from "../../shared/ncExamData";
+import { criterionTotals } from "../../shared/essayRubric";
+import { countWords, describeWordTarget, wordTarget, wordTargetStatus } from "../../shared/essayWords";
 import { getDailyMockQuestions } from "../../utils/examParsing";
 
 export function MCQExamView({ toast, currentUser, banks, onBack, backLabel }) {
@@ -36,28 +54,27 @@ export function MCQExamView({ toast, currentUser, banks, onBack, backLabel }) {
     const unanswered = answers.filter(a=>a===null).length;
     if (unanswered > 0 && !window.confirm(`${unanswered} question(s) unanswered. Submit anyway?`)) return;
     const snap = [...answers];
-    const score = sel.questions.reduce((s,q,i) => snap[i]===q.ans ? s+1 : s, 0);
-    const pct = Math.round((score / sel.questions.length) * 100);
+    const { score, total, percent:pct, passed } = scoreAnswers(sel.questions, snap, sel.scoring);
     const att = ls(attKey, {});
-    att[String(sel.id)] = { score, total: sel.questions.length, pct, answers: snap, date: new Date().toLocaleDateString() };
+    att[String(sel.id)] = { score, total, pct, passed, answers: snap, date: new Date().toLocaleDateString() };
     saveMyData("mcq-att",attKey,att);
     const results = ls("nv-results", []);
-    saveMyData("results","nv-results",[...results, { id:Date.now(), subject:sel.subject, type:"MCQ Exam", score, total:sel.questions.length, pct, date:new Date().toLocaleDateString() }]);
+    saveMyData("results","nv-results",[...results, { id:Date.now(), subject:sel.subject, type:"MCQ Exam", score, total, pct, passed, date:new Date().toLocaleDateString() }]);
     setFinalAnswers(snap);
     setActive(false); setDone(true);
   };
 
   // Results + answer review
   if (done && sel) {
-    const score = sel.questions.reduce((s,q,i)=>finalAnswers[i]===q.ans?s+1:s, 0);
-    const pct = Math.round((score / sel.questions.length) * 100);
+    const { score, total, percent:pct, passed } = scoreAnswers(sel.questions, finalAnswers, sel.scoring);
     return (
       <div style={{maxWidth:600,margin:"0 auto"}}>
         <div style={{textAlign:"center",padding:"28px 0 20px"}}>
           <div style={{fontSize:56,marginBottom:10}}>{pct>=70?"🎉":pct>=50?"👍":"📚"}</div>
           <div style={{fontFamily:"'Syne',sans-serif",fontWeight:800,fontSize:22,marginBottom:6}}>Exam Submitted</div>
-          <div style={{fontSize:52,fontFamily:"'Syne',sans-serif",fontWeight:800,color:pct>=70?"var(--success)":pct>=50?"var(--warn)":"var(--danger)",lineHeight:1}}>{score}/{sel.questions.length}</div>
-          <div style={{fontSize:20,color:"var(--text2)",marginTop:4,marginBottom:4}}>{pct}%</div>
+          <div style={{fontSize:52,fontFamily:"'Syne',sans-serif",fontWeight:800,color:pct>=70?"var(--success)":pct>=50?"var(--warn)":"var(--danger)",lineHeight:1}}>{score}/{total}</div>
+          <div style={{fontSize:20,color:"var(--text2)",marginTop:4,marginBottom:4}}>{pct}% • Grade {gradeLetter(pct)} • {passed?"✅ Pass":"❌ Fail"}</div>
+          {sel.scoring&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:4}}>{describeScheme(sel.scoring)}</div>}
           <div style={{fontSize:11,color:"var(--text3)",fontFamily:"'DM Mono',monospace"}}>🔒 1 attempt used — contact lecturer to reset</div>
         </div>
         <div style={{marginTop:12}}>
@@ -177,6 +194,82 @@ export function MCQExamView({ toast, currentUser, banks, onBack, backLabel }) {
 
 // ─── Essay Exam View ───────────────────────────────────────────────────
 
+const scoreTone = (pct) => pct>=70?"var(--success)":pct>=50?"var(--warn)":"var(--danger)";
+
+// Marked answers, question by question. Rubric questions show a row per
+// criterion — the level reached and its points — and a summary of each
+// criterion across the paper goes on top.
+function EssayFeedbackCards({ questions, feedback, answers }) {
+  const totals = criterionTotals(feedback.questions);
+  return (
+    <div style={{marginTop:20}}>
+      {totals.length>0 && (
+        <div className="card" style={{marginBottom:14}}>
+          <div style={{fontFamily:"'Syne',sans-serif",fontWeight:700,fontSize:14,marginBottom:10}}>📐 By criterion</div>
+          {totals.map(t=>{
+            const pct=t.maxPoints>0?Math.round((t.points/t.maxPoints)*100):0;
+            return (
+              <div key={t.name} style={{marginBottom:8}}>
+                <div style={{display:"flex",justifyContent:"space-between",fontSize:12,marginBottom:3}}>
+                  <span style={{fontWeight:600}}>{t.name}</span>
+                  <span style={{fontFamily:"'DM Mono',monospace",color:scoreTone(pct)}}>{t.points}/{t.maxPoints}</span>
+                </div>
+                <div style={{height:6,borderRadius:3,background:"var(--bg4)",overflow:"hidden"}}>
+                  <div style={{width:`${pct}%`,height:"100%",background:scoreTone(pct)}} />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      {questions.map((q,i)=>{
+        const qf=feedback.questions[i]||{};
+        const qpct=qf.maxMarks>0?Math.round((qf.marksAwarded/qf.maxMarks)*100):0;
+        return (
+          <div key={i} className="card" style={{marginBottom:14,borderLeft:`3px solid ${scoreTone(qpct)}`}}>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",marginBottom:8}}>
+              <div style={{fontWeight:700,fontSize:14,flex:1,marginRight:12}}>Q{i+1}. {q.q}</div>
+              <span style={{fontFamily:"'Syne',sans-serif",fontWeight:800,fontSize:16,color:scoreTone(qpct),flexShrink:0}}>{qf.marksAwarded||0}/{qf.maxMarks||q.marks||10}</span>
+            </div>
+            <div style={{fontSize:13,color:"var(--text3)",fontStyle:"italic",borderLeft:"2px solid var(--border2)",paddingLeft:10,marginBottom:10,lineHeight:1.6}}>{answers?.[i]||"(no answer)"}</div>
+            {qf.criteria?.length>0 && (
+              <table className="tbl" style={{marginBottom:10,fontSize:12}}>
+                <thead><tr><th>Criterion</th><th>Level</th><th>Points</th></tr></thead>
+                <tbody>
+                  {qf.criteria.map((c,ci)=>{
+                    const descriptor = q.rubric?.[ci]?.levels?.[c.level]?.descriptor;
+                    return (
+                      <tr key={ci}>
+                        <td style={{fontWeight:600}}>{c.name}</td>
+                        <td>{c.label||"—"}{descriptor&&<div style={{fontSize:11,color:"var(--text3)"}}>{descriptor}</div>}{c.comment&&<div style={{fontSize:11,color:"var(--text2)",marginTop:2}}>💬 {c.comment}</div>}</td>
+                        <td style={{fontFamily:"'DM Mono',monospace",color:scoreTone(c.maxPoints>0?(c.points/c.maxPoints)*100:0)}}>{c.points}/{c.maxPoints}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+            {qf.strengths&&<div style={{fontSize:12,marginBottom:4}}><b style={{color:"var(--success)"}}>✓ Strengths: </b>{qf.strengths}</div>}
+            {qf.weaknesses&&<div style={{fontSize:12,marginBottom:4}}><b style={{color:"var(--warn)"}}>↗ Areas to improve: </b>{qf.weaknesses}</div>}
+            {qf.feedback&&<div style={{fontSize:12,color:"var(--text2)"}}><b>📝 Feedback: </b>{qf.feedback}</div>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const essaySecondsLeft = (s) => Math.max(0, Math.ceil((s.deadline - cbtServerNow(s.clock)) / 1000));
+const fmtClock = (s) => `${String(Math.floor(s/60)).padStart(2,"0")}:${String(s%60).padStart(2,"0")}`;
+
+const ESSAY_SAVE_STATE = {
+  saved:   { label: "✓ Draft saved",             color: "var(--success)" },
+  saving:  { label: "💾 Saving…",                color: "var(--text3)" },
+  offline: { label: "📴 Saved on this device",   color: "var(--warn)" },
+};
+
+const WORD_TARGET_TONE = { short: "var(--text3)", within: "var(--success)", over: "var(--warn)" };
+
 export function EssayExamView({ toast, currentUser, essayBanks }) {
   const attKey = `nv-essay-att-${currentUser}`;
   const [sel, setSel] = useState(null);
@@ -186,70 +279,175 @@ export function EssayExamView({ toast, currentUser, essayBanks }) {
   const [grading, setGrading] = useState(false);
   const [feedback, setFeedback] = useState(null);
   const [savedAnswers, setSavedAnswers] = useState({});
+  const [held, setHeld] = useState(false); // double-marked: no grade until the markers agree
+  const [session, setSession] = useState(null); // { startedAt, deadline|null, clock }
+  const [timeLeft, setTimeLeft] = useState(null); // seconds, on timed banks
+  const [saveState, setSaveState] = useState("saved"); // saved | saving | offline
+  const [starting, setStarting] = useState(null); // bank id being opened
+  const [localDrafts, setLocalDrafts] = useState([]); // bank ids with a draft on this device
+
+  useEffect(() => { listLocalDrafts(currentUser).then(ids => setLocalDrafts(ids || [])); }, [currentUser, active]);
+
+  // ── Draft autosave ──
+  // Every keystroke goes to IndexedDB at once; the changed answers are
+  // pushed to the Firestore draft a few seconds after typing stops.
+  // `_dirty` holds questions the server hasn't confirmed yet, and is
+  // saved locally too, so on resume the device copy wins for those.
+  const _answersRef   = useRef({});
+  const _dirty        = useRef(new Set());
+  const _flushing     = useRef(false);
+  const _flushTimer   = useRef(null);
+  const _autoSubmitted = useRef(false);
+  _answersRef.current = answers;
+
+  const saveLocal = (bank) => saveLocalDraft(bank.id, currentUser, {
+    answers: _answersRef.current, pending: [..._dirty.current], savedAt: Date.now(),
+  });
+
+  const scheduleFlush = (bank, ms) => {
+    clearTimeout(_flushTimer.current);
+    _flushTimer.current = setTimeout(() => flushDraft(bank), ms);
+  };
 
-  const startExam = (bank) => {
+  const flushDraft = async (bank) => {
+    _flushTimer.current = null;
+    if (_flushing.current || !_dirty.current.size) return;
+    _flushing.current = true;
+    const sent = {};
+    _dirty.current.forEach(i => { sent[i] = _answersRef.current[i] ?? ""; });
+    setSaveState("saving");
+    try {
+      await saveEssayDraft(bank.id, currentUser, sent);
+      // Anything typed while the write was out stays pending.
+      Object.entries(sent).forEach(([i, text]) => { if ((_answersRef.current[i] ?? "") === text) _dirty.current.delete(Number(i)); });
+      saveLocal(bank);
+      setSaveState(_dirty.current.size ? "saving" : "saved");
+    } catch {
+      setSaveState("offline");
+      scheduleFlush(bank, 15000);
+    }
+    _flushing.current = false;
+    if (_dirty.current.size && !_flushTimer.current) scheduleFlush(bank, 3000);
+  };
+
+  const changeAnswer = (i, text) => {
+    _answersRef.current = { ..._answersRef.current, [i]: text };
+    setAnswers(_answersRef.current);
+    _dirty.current.add(i);
+    saveLocal(sel);
+    scheduleFlush(sel, 3000);
+  };
+
+  const stopAutosave = () => { clearTimeout(_flushTimer.current); _flushTimer.current = null; };
+  useEffect(() => stopAutosave, []);
+
+  // Opens the server session (or resumes it) and restores the draft.
+  const startExam = async (bank) => {
     const att = ls(attKey, {});
     if (att[String(bank.id)]) { toast("You have already used your 1 attempt for this essay.", "error"); return; }
-    setSel(bank); setAnswers({}); setActive(true); setDone(false); setFeedback(null);
+    setStarting(bank.id);
+    try {
+      const [started, local] = await Promise.all([startEssayAttempt(bank.id), loadLocalDraft(bank.id, currentUser)]);
+      const pending = local?.pending || [];
+      const restored = { ...started.answers };
+      pending.forEach(i => { restored[i] = local.answers[i] ?? ""; });
+      _answersRef.current = restored;
+      _dirty.current = new Set(pending);
+      _autoSubmitted.current = false;
+      const s = { ...started.session, clock: started.clock };
+      setSession(s);
+      setTimeLeft(s.deadline ? essaySecondsLeft(s) : null);
+      setSaveState("saved");
+      setSel(bank); setAnswers(restored); setActive(true); setDone(false); setFeedback(null); setHeld(false);
+      if (pending.length) scheduleFlush(bank, 0);
+      if (Object.values(restored).some(a => (a || "").trim())) toast("Draft restored — carry on where you left off.", "success");
+    } catch(e) {
+      toast(e.code === "functions/already-exists" ? e.message : `Could not open the essay: ${e.message || "network error"}`, "error");
+    }
+    setStarting(null);
+  };
+
+  const leaveExam = async () => {
+    const timed = !!session?.deadline;
+    if (!window.confirm(`Leave the essay? Your draft is saved and you can resume it later${timed ? " — the timer keeps running" : ""}.`)) return;
+    stopAutosave();
+    await saveLocal(sel);
+    flushDraft(sel);
+    setActive(false); setSel(null); setSession(null);
+  };
+
+  // ── Countdown ──
+  // Counts down to the server's deadline on the server clock (see
+  // MCQ/CBT), and submits once when it runs out.
+  useEffect(() => {
+    if (!active || !session?.deadline) return;
+    if (timeLeft <= 0) {
+      if (!_autoSubmitted.current) { _autoSubmitted.current = true; submitEssay(true); }
+      return;
+    }
+    const msLeft = session.deadline - cbtServerNow(session.clock);
+    const t = setTimeout(() => setTimeLeft(essaySecondsLeft(session)), (msLeft % 1000) + 20);
+    return () => clearTimeout(t);
+  }, [active, session, timeLeft]);
+
+  // Reopens a marked attempt; a lecturer's grade takes precedence.
+  const viewFeedback = (bank, att) => {
+    const mg = att.manualGrade;
+    setSel(bank); setSavedAnswers(att.answers || {}); setDone(true);
+    setFeedback(mg ? { overallScore:mg.score, totalMarks:mg.total, overallPct:mg.pct, grade:mg.grade, overallComment:mg.overallComment, questions:mg.questions } : att.feedback);
   };
 
-  const submitEssay = async () => {
-    const missing = sel.questions.filter((_,i) => !(answers[i]||"").trim()).length;
-    if (missing > 0 && !window.confirm(`${missing} question(s) have no answer. Submit anyway?`)) return;
-    if (!window.confirm("Submit essay? You only have 1 attempt — this cannot be undone.")) return;
+  // timeUp: the countdown ran out — no questions asked.
+  const submitEssay = async (timeUp) => {
+    if (!timeUp) {
+      const missing = sel.questions.filter((_,i) => !(answers[i]||"").trim()).length;
+      if (missing > 0 && !window.confirm(`${missing} question(s) have no answer. Submit anyway?`)) return;
+      if (!window.confirm("Submit essay? You only have 1 attempt — this cannot be undone.")) return;
+    } else {
+      toast("Time is up — submitting your essay.", "warn");
+    }
 
     const snap = {...answers};
+    stopAutosave();
     setSavedAnswers(snap);
     setActive(false); setDone(true); setGrading(true);
 
-    const totalMarks = sel.questions.reduce((s,q)=>s+(+q.marks||10),0);
-    const qaText = sel.questions.map((q,i)=>["Q"+(i+1)+" ["+(q.marks||10)+" marks]: "+q.q, "Key points: "+(q.modelAnswer||"Use professional nursing knowledge"), "Student answer: "+(snap[i]||"(no answer)").trim()].join("\n")).join("\n\n");
-    const submissionBase = { date:new Date().toLocaleDateString(), subject:sel.subject, answers:snap, questions:sel.questions, totalMarks };
-
     try {
-      const res = await fetch("https://api.anthropic.com/v1/messages", {
-        method:"POST", headers:{"Content-Type":"application/json"},
-        body: JSON.stringify({
-          model:"claude-sonnet-4-20250514", max_tokens:2000,
-          messages:[{ role:"user", content:`You are a professional nursing lecturer marking essay exam answers. Be fair, thorough and constructive.
-
-Exam: ${sel.subject}
-Total Marks: ${totalMarks}
-
-${qaText}
-
-Return ONLY valid JSON with no markdown or backticks:
-{"overallScore":number,"totalMarks":${totalMarks},"overallPct":number,"grade":"A/B/C/D/F","overallComment":"2-3 sentence summary of performance","questions":[{"marksAwarded":number,"maxMarks":number,"strengths":"specific strengths","weaknesses":"specific gaps","feedback":"actionable feedback"}]}`
-        }]
-        })
-      });
-      const data = await res.json();
-      const raw = (data.content?.[0]?.text||"").replace(/```json|```/g,"").trim();
-      const parsed = JSON.parse(raw);
-
-      const attData = { date:new Date().toLocaleDateString(), score:parsed.overallScore, total:totalMarks, pct:parsed.overallPct, grade:parsed.grade, answers:snap, feedback:parsed, gradedByAI:true };
+      // Marked server-side against the bank's model answers — see
+      // functions/essayGrading.js.
+      const res = await gradeEssaySubmission(sel.id, snap);
+      clearLocalDraft(sel.id, currentUser);
+      _dirty.current = new Set();
+      const date = new Date().toLocaleDateString();
+      if (res.held) {
+        const att = ls(attKey, {});
+        att[String(sel.id)] = { date, score:null, total:res.total, pct:null, grade:null, answers:snap, feedback:null, pendingManualGrade:true, doubleMarked:true };
+        saveMyData("essay-att",attKey,att);
+        setHeld(true);
+        setGrading(false);
+        return;
+      }
+      const attData = { date, score:res.score, total:res.total, pct:res.pct, grade:res.grade, answers:snap, feedback:res.feedback, gradedByAI:true, grader:res.grader, ...(res.needsReview?{pendingManualGrade:true}:{}) };
       const att = ls(attKey, {});
       att[String(sel.id)] = attData;
       saveMyData("essay-att",attKey,att);
 
-      // Save to backend for lecturer visibility
-      saveEssaySubmissionToBackend(currentUser, sel.id, { ...submissionBase, feedback:parsed, gradedByAI:true, grade:parsed.grade, pct:parsed.overallPct });
-
       const results = ls("nv-results",[]);
-      saveMyData("results","nv-results",[...results,{id:Date.now(),subject:sel.subject,type:"Essay (AI)",score:parsed.overallScore,total:totalMarks,pct:parsed.overallPct,date:new Date().toLocaleDateString()}]);
+      saveMyData("results","nv-results",[...results,{id:Date.now(),subject:sel.subject,type:res.grader==="keyword"?"Essay (Keyword)":"Essay (AI)",score:res.score,total:res.total,pct:res.pct,date}]);
 
-      setFeedback(parsed);
+      setFeedback(res.feedback);
+      if (res.needsReview) toast("This mark is provisional — your lecturer will finish marking your essay.", "warn");
     } catch(e) {
-      // AI unavailable — save submission for MANUAL LECTURER GRADING
-      const attData = { date:new Date().toLocaleDateString(), score:null, total:totalMarks, pct:null, grade:null, answers:snap, feedback:null, pendingManualGrade:true };
-      const att = ls(attKey, {});
-      att[String(sel.id)] = attData;
-      saveMyData("essay-att",attKey,att);
-
-      // Save to backend so lecturer can see and grade manually
-      saveEssaySubmissionToBackend(currentUser, sel.id, { ...submissionBase, pendingManualGrade:true });
-
-      toast("AI unavailable. Your essay has been saved for manual grading by your lecturer.", "warn");
+      if (e.code === "functions/already-exists") {
+        toast(e.message, "error");
+        clearLocalDraft(sel.id, currentUser);
+        setSel(null); setDone(false);
+      } else {
+        // Nothing was stored — hand the answers back so the attempt isn't lost.
+        setAnswers(snap); setDone(false); setActive(true);
+        if (_dirty.current.size) scheduleFlush(sel, 3000);
+        toast(`Could not submit your essay: ${e.message || "network error"}. Your answers are still here — try again.`, "error");
+      }
     }
     setGrading(false);
   };
@@ -264,7 +462,7 @@ Return ONLY valid JSON with no markdown or backticks:
           {grading ? (
             <>
               <div style={{fontSize:52,marginBottom:12,animation:"spin 2s linear infinite",display:"inline-block"}}>🤖</div>
-              <div style={{fontFamily:"'Syne',sans-serif",fontWeight:800,fontSize:20,marginBottom:8}}>Claude AI is grading your essay…</div>
+              <div style={{fontFamily:"'Syne',sans-serif",fontWeight:800,fontSize:20,marginBottom:8}}>Marking your essay…</div>
               <div style={{fontSize:12,color:"var(--text3)",fontFamily:"'DM Mono',monospace"}}>Analysing your answers — please do not close this page</div>
             </>
           ) : feedback ? (
@@ -276,51 +474,35 @@ Return ONLY valid JSON with no markdown or backticks:
                 <div style={{width:54,height:54,borderRadius:12,background:`${gc}22`,border:`2px solid ${gc}`,display:"flex",alignItems:"center",justifyContent:"center",fontFamily:"'Syne',sans-serif",fontWeight:800,fontSize:28,color:gc}}>{feedback.grade}</div>
               </div>
               <div style={{fontSize:13,color:"var(--text2)",maxWidth:480,margin:"0 auto",lineHeight:1.6}}>{feedback.overallComment}</div>
+              {feedback.questions?.some(q=>q.needsReview) && (
+                <div style={{marginTop:16,background:"rgba(251,146,60,.08)",border:"1px solid rgba(251,146,60,.25)",borderRadius:12,padding:"12px 18px",fontSize:12,color:"var(--warn)",display:"inline-block"}}>
+                  ⏳ Some answers are awaiting your lecturer's marking
+                </div>
+              )}
             </>
-          ) : (
+          ) : held ? (
             <>
               <div style={{fontSize:52,marginBottom:10}}>📝</div>
-              <div style={{fontFamily:"'Syne',sans-serif",fontWeight:800,fontSize:20}}>Essay Submitted for Manual Grading</div>
-              <div style={{fontSize:13,color:"var(--text3)",marginTop:8,maxWidth:440,margin:"8px auto 0",lineHeight:1.6}}>
-                AI grading was unavailable. Your answers have been saved to the backend and sent to your lecturer for manual marking. Check back later for your result.
-              </div>
-              <div style={{marginTop:16,background:"rgba(251,146,60,.08)",border:"1px solid rgba(251,146,60,.25)",borderRadius:12,padding:"12px 18px",fontSize:12,color:"var(--warn)",display:"inline-block"}}>
-                ⏳ Awaiting lecturer feedback
+              <div style={{fontFamily:"'Syne',sans-serif",fontWeight:800,fontSize:20}}>Essay Submitted</div>
+              <div style={{fontSize:13,color:"var(--text3)",maxWidth:440,margin:"8px auto 0",lineHeight:1.6}}>
+                This exam is marked by two examiners. Your grade and feedback appear here once they agree on your mark.
               </div>
             </>
-          )}
+          ) : null}
         </div>
 
-        {!grading && feedback?.questions && (
-          <div style={{marginTop:20}}>
-            {sel.questions.map((q,i)=>{
-              const qf=feedback.questions[i]||{};
-              const qpct=qf.maxMarks>0?Math.round((qf.marksAwarded/qf.maxMarks)*100):0;
-              return (
-                <div key={i} className="card" style={{marginBottom:14,borderLeft:`3px solid ${qpct>=70?"var(--success)":qpct>=50?"var(--warn)":"var(--danger)"}`}}>
-                  <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",marginBottom:8}}>
-                    <div style={{fontWeight:700,fontSize:14,flex:1,marginRight:12}}>Q{i+1}. {q.q}</div>
-                    <span style={{fontFamily:"'Syne',sans-serif",fontWeight:800,fontSize:16,color:qpct>=70?"var(--success)":qpct>=50?"var(--warn)":"var(--danger)",flexShrink:0}}>{qf.marksAwarded||0}/{qf.maxMarks||q.marks||10}</span>
-                  </div>
-                  <div style={{fontSize:13,color:"var(--text3)",fontStyle:"italic",borderLeft:"2px solid var(--border2)",paddingLeft:10,marginBottom:10,lineHeight:1.6}}>{savedAnswers[i]||"(no answer)"}</div>
-                  {qf.strengths&&<div style={{fontSize:12,marginBottom:4}}><b style={{color:"var(--success)"}}>✓ Strengths: </b>{qf.strengths}</div>}
-                  {qf.weaknesses&&<div style={{fontSize:12,marginBottom:4}}><b style={{color:"var(--warn)"}}>↗ Areas to improve: </b>{qf.weaknesses}</div>}
-                  {qf.feedback&&<div style={{fontSize:12,color:"var(--text2)"}}><b>📝 Feedback: </b>{qf.feedback}</div>}
-                </div>
-              );
-            })}
-          </div>
-        )}
+        {!grading && feedback?.questions && <EssayFeedbackCards questions={sel.questions} feedback={feedback} answers={savedAnswers} />}
 
-        {!grading && <div style={{textAlign:"center",marginTop:16}}><button className="btn" onClick={()=>{setSel(null);setDone(false);setFeedback(null);}}>← Back</button></div>}
+        {!grading && <div style={{textAlign:"center",marginTop:16}}><button className="btn" onClick={()=>{setSel(null);setDone(false);setFeedback(null);setHeld(false);}}>← Back</button></div>}
       </div>
     );
   }
 
   // Active essay screen
   if (active && sel) {
-    const totalWords = Object.values(answers).reduce((s,v)=>s+((v||"").trim().split(/\s+/).filter(Boolean).length),0);
+    const totalWords = Object.values(answers).reduce((s,v)=>s+countWords(v),0);
     const answeredCount = sel.questions.filter((_,i)=>(answers[i]||"").trim().length>0).length;
+    const urgent = timeLeft!==null && timeLeft<=300;
     return (
       <div style={{maxWidth:960,margin:"0 auto"}}>
         {/* Header bar */}
@@ -330,8 +512,18 @@ Return ONLY valid JSON with no markdown or backticks:
             <div style={{fontFamily:"'DM Mono',monospace",fontSize:10,color:"var(--text3)"}}>
               {sel.questions.length} questions • {answeredCount}/{sel.questions.length} answered • {totalWords} words total
             </div>
+            <div style={{fontFamily:"'DM Mono',monospace",fontSize:10,color:ESSAY_SAVE_STATE[saveState].color,marginTop:2}}>{ESSAY_SAVE_STATE[saveState].label}</div>
           </div>
           <div style={{display:"flex",gap:8,alignItems:"center"}}>
+            {timeLeft!==null&&(
+              <div title="Time left" style={{
+                fontWeight:800,fontSize:16,padding:"4px 12px",borderRadius:10,
+                fontFamily:"'DM Mono',monospace",letterSpacing:1,
+                background:urgent?"rgba(239,68,68,.1)":"rgba(0,119,182,.08)",
+                color:urgent?"var(--danger)":"var(--accent)",
+                border:`2px solid ${urgent?"var(--danger)":"var(--accent)"}`,
+              }}>⏱ {fmtClock(timeLeft)}</div>
+            )}
             {/* Progress dots */}
             <div style={{display:"flex",gap:4}}>
               {sel.questions.map((_,i)=>(
@@ -341,13 +533,14 @@ Return ONLY valid JSON with no markdown or backticks:
                   title={`Q${i+1}: ${(answers[i]||"").trim()?"answered":"unanswered"}`} />
               ))}
             </div>
-            <button className="btn" onClick={()=>{if(window.confirm("Exit? Your answers will be lost."))setActive(false);}}>Exit</button>
-            <button className="btn btn-accent" onClick={submitEssay}>🤖 Submit for AI Grading</button>
+            <button className="btn" onClick={leaveExam}>Exit</button>
+            <button className="btn btn-accent" onClick={()=>submitEssay(false)}>🤖 Submit for Marking</button>
           </div>
         </div>
 
         <div style={{background:"rgba(167,139,250,.07)",border:"1px solid rgba(167,139,250,.2)",borderRadius:10,padding:"10px 14px",marginBottom:18,fontSize:12,color:"var(--purple)"}}>
-          🤖 Your answers will be graded by Claude AI. Write clearly and in full sentences. You have <b>1 attempt only</b>.
+          🤖 Your answers will be marked against your lecturer's model answers. Write clearly and in full sentences. You have <b>1 attempt only</b>.
+          {session?.deadline ? <> Your answers are submitted automatically when the time runs out.</> : <> Your draft saves as you type — you can leave and come back to it.</>}
         </div>
 
         {/* Two-column layout: question | answer */}
@@ -364,8 +557,10 @@ Return ONLY valid JSON with no markdown or backticks:
 
           {/* Q&A rows */}
           {sel.questions.map((q,i)=>{
-            const wordCount = ((answers[i]||"").trim().split(/\s+/).filter(Boolean)).length;
+            const wordCount = countWords(answers[i]);
             const hasAnswer = (answers[i]||"").trim().length > 0;
+            const target = wordTarget(q.wordGuide);
+            const targetStatus = wordTargetStatus(wordCount, target);
             const isLast = i === sel.questions.length-1;
             return (
               <>
@@ -389,9 +584,9 @@ Return ONLY valid JSON with no markdown or backticks:
                       padding:"2px 8px",borderRadius:10,border:"1px solid rgba(0,119,182,.2)"}}>
                       {q.marks||10} marks
                     </span>
-                    {q.wordGuide&&<span style={{fontSize:10,color:"var(--text3)",background:"var(--bg4)",
+                    {target&&<span style={{fontSize:10,color:"var(--text3)",background:"var(--bg4)",
                       padding:"2px 8px",borderRadius:10,border:"1px solid var(--border)"}}>
-                      ~{q.wordGuide} words
+                      🎯 {describeWordTarget(target)}
                     </span>}
                   </div>
                 </div>
@@ -415,16 +610,18 @@ Return ONLY valid JSON with no markdown or backticks:
                       fontFamily:"inherit",transition:"border-color .2s",boxSizing:"border-box",
                       marginBottom:0
                     }}
-                    placeholder={`Write your answer here (aim for ${q.wordGuide||"100–200"} words)…`}
+                    placeholder={target?`Write your answer here (aim for ${describeWordTarget(target)})…`:"Write your answer here…"}
                     value={answers[i]||""}
-                    onChange={e=>setAnswers(a=>({...a,[i]:e.target.value}))}
+                    onChange={e=>changeAnswer(i,e.target.value)}
                     onFocus={e=>e.target.style.borderColor="var(--accent)"}
                     onBlur={e=>e.target.style.borderColor=hasAnswer?"var(--success)":"var(--border2)"}
                   />
                   <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
                     <span style={{fontSize:10,fontFamily:"'DM Mono',monospace",
-                      color:hasAnswer?"var(--success)":"var(--text3)"}}>
-                      {hasAnswer?"✓ ":""}{wordCount} word{wordCount!==1?"s":""}
+                      color:targetStatus?WORD_TARGET_TONE[targetStatus]:hasAnswer?"var(--success)":"var(--text3)"}}>
+                      {target
+                        ? `${wordCount} / ${describeWordTarget(target)}${targetStatus==="short"&&hasAnswer?` — ${target.min-wordCount} to go`:targetStatus==="over"?" — over the target":targetStatus==="within"?" ✓":""}`
+                        : `${hasAnswer?"✓ ":""}${wordCount} word${wordCount!==1?"s":""}`}
                     </span>
                     {hasAnswer&&<span style={{fontSize:10,color:"var(--success)"}}>✅ Answered</span>}
                     {!hasAnswer&&<span style={{fontSize:10,color:"var(--text3)"}}>⬜ Not answered</span>}
@@ -436,8 +633,8 @@ Return ONLY valid JSON with no markdown or backticks:
         </div>
 
         <div style={{display:"flex",gap:10,justifyContent:"flex-end",paddingBottom:24}}>
-          <button className="btn" onClick={()=>{if(window.confirm("Exit? Your answers will be lost."))setActive(false);}}>Exit</button>
-          <button className="btn btn-accent" style={{fontWeight:800}} onClick={submitEssay}>🤖 Submit for AI Grading</button>
+          <button className="btn" onClick={leaveExam}>Exit</button>
+          <button className="btn btn-accent" style={{fontWeight:800}} onClick={()=>submitEssay(false)}>🤖 Submit for Marking</button>
         </div>
       </div>
     );
@@ -459,13 +656,13 @@ Return ONLY valid JSON with no markdown or backticks:
             return (
               <div key={b.id} className="card" style={{animation:`fadeUp .4s ease ${i*.08}s both`}}>
                 <div style={{fontFamily:"'Syne',sans-serif",fontWeight:700,fontSize:15,marginBottom:4}}>{b.subject}</div>
-                <div style={{fontSize:12,color:"var(--text3)",marginBottom:8}}>{b.questions.length} questions • {b.questions.reduce((s,q)=>s+(+q.marks||10),0)} total marks</div>
+                <div style={{fontSize:12,color:"var(--text3)",marginBottom:8}}>{b.questions.length} questions • {b.questions.reduce((s,q)=>s+(+q.marks||10),0)} total marks{b.timeLimit>0?` • ⏱ ${b.timeLimit} min`:""}</div>
                 {b.description&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:8,fontStyle:"italic"}}>{b.description}</div>}
                 {att ? (
                   <div>
                     {att.pendingManualGrade && !att.manualGrade && (
                       <div style={{background:"rgba(251,146,60,.08)",border:"1px solid rgba(251,146,60,.25)",borderRadius:8,padding:"8px 12px",fontSize:12,color:"var(--warn)",marginBottom:6}}>
-                        ⏳ Submitted • Awaiting manual grading from your lecturer
+                        ⏳ Submitted • {att.doubleMarked ? "Being marked by two examiners" : "Awaiting manual grading from your lecturer"}
                       </div>
                     )}
                     {att.manualGrade && (
@@ -477,9 +674,15 @@ Return ONLY valid JSON with no markdown or backticks:
                     )}
                     {att.grade && !att.manualGrade && <div style={{fontSize:14,fontWeight:700,marginBottom:4}}>Grade: <span style={{color:"var(--accent)"}}>{att.grade}</span> • {att.pct}%</div>}
                     <div style={{fontSize:10,color:"var(--text3)",fontFamily:"'DM Mono',monospace"}}>🔒 Submitted {att.date} — contact lecturer to reset</div>
+                    {(att.manualGrade?.questions || att.feedback?.questions) && <button className="btn btn-sm" style={{marginTop:8}} onClick={()=>viewFeedback(b, att)}>📄 View feedback</button>}
                   </div>
                 ) : (
-                  <button className="btn btn-accent btn-sm" onClick={()=>startExam(b)}>Start Essay ▶</button>
+                  <div>
+                    {b.timeLimit>0&&!localDrafts.includes(String(b.id))&&<div style={{fontSize:11,color:"var(--warn)",marginBottom:6}}>⏱ The {b.timeLimit}-minute timer starts when you begin and keeps running if you leave.</div>}
+                    <button className="btn btn-accent btn-sm" disabled={starting!==null} onClick={()=>startExam(b)}>
+                      {starting===b.id?"Opening…":localDrafts.includes(String(b.id))?"Resume Essay ▶":"Start Essay ▶"}
+                    </button>
+                  </div>
                 )}
               </div>
             );
@@ -804,35 +1007,35 @@ export function NursingMCQExam({ toast, currentUser, paper, meta, onBack, isUnlo
     const unanswered = answers.filter(a=>a===null).length;
     if (unanswered>0&&!confirm(`${unanswered} question(s) unanswered. Submit anyway?`)) return;
     const snap=[...answers];
-    const score=visibleQs.reduce((s,q,i)=>snap[i]===q.ans?s+1:s,0);
-    const pct=Math.round((score/visibleQs.length)*100);
+    const {score,total,percent:pct,passed}=scoreAnswers(visibleQs,snap,paper.scoring);
     const att=ls(attKey,{});
-    att[String(paper.id)]={score,total:visibleQs.length,pct,answers:snap,date:new Date().toLocaleDateString()};
-    saveMyData("mcq-att",attKey,att);
+    att[String(paper.id)]={score,total,pct,passed,answers:snap,date:new Date().toLocaleDateString()};
+    saveMyData("ne-att",attKey,att);
     const results=ls("nv-results",[]);
-    saveMyData("results","nv-results",[...results,{id:Date.now(),subject:paper.title,type:`${meta.short} Exam`,score,total:visibleQs.length,pct,date:new Date().toLocaleDateString()}]);
+    saveMyData("results","nv-results",[...results,{id:Date.now(),paperId:String(paper.id),subject:paper.title,type:`${meta.short} Exam`,score,total,pct,passed,date:new Date().toLocaleDateString()}]);
     setFinalAnswers(snap); setDone(true);
     toast("Exam submitted! Your results are saved.","success");
   };
 
   if (done) {
-    const score=visibleQs.reduce((s,q,i)=>finalAnswers[i]===q.ans?s+1:s,0);
-    const pct=Math.round((score/visibleQs.length)*100);
+    const {score,total,percent:pct,passed}=scoreAnswers(visibleQs,finalAnswers,paper.scoring);
     return (
       <div style={{maxWidth:620,margin:"0 auto"}}>
         <div style={{textAlign:"center",padding:"28px 0 20px"}}>
           <div style={{fontSize:52,marginBottom:8}}>{pct>=70?"🎉":pct>=50?"👍":"📚"}</div>
           <div style={{fontWeight:800,fontSize:20,marginBottom:4}}>Exam Complete!</div>
-          <div style={{fontWeight:800,fontSize:48,color:pct>=70?"var(--success)":pct>=50?"var(--warn)":"var(--danger)",lineHeight:1}}>{score}/{visibleQs.length}</div>
-          <div style={{fontSize:20,marginBottom:4}}>{pct}%</div>
+          <div style={{fontWeight:800,fontSize:48,color:pct>=70?"var(--success)":pct>=50?"var(--warn)":"var(--danger)",lineHeight:1}}>{score}/{total}</div>
+          <div style={{fontSize:20,marginBottom:4}}>{pct}% • Grade {gradeLetter(pct)} • {passed?"✅ Pass":"❌ Fail"}</div>
+          {paper.scoring&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:4}}>{describeScheme(paper.scoring)}</div>}
           <div style={{fontSize:11,color:"var(--text3)"}}>🔒 1 attempt used — contact admin to reset</div>
         </div>
         <div style={{marginTop:14}}>
           {visibleQs.map((q,i)=>{
-            const chosen=finalAnswers[i]; const correct=chosen===q.ans;
+            const chosen=finalAnswers[i]; const credit=scoreResponse(q,q.ans,chosen); const correct=credit===1;
             return (
-              <div key={i} className="card" style={{marginBottom:10,borderLeft:`3px solid ${chosen===null?"var(--border)":correct?"var(--success)":"var(--danger)"}`}}>
+              <div key={i} className="card" style={{marginBottom:10,borderLeft:`3px solid ${chosen===null?"var(--border)":correct?"var(--success)":credit>0?"var(--warn)":"var(--danger)"}`}}>
                 <div style={{fontWeight:700,fontSize:13,marginBottom:8}}>Q{i+1}. {q.q}</div>
+                {!isSingleChoice(q) ? <TypedAnswerReview q={q} chosen={chosen} correct={q.ans} /> :
                 <div style={{display:"flex",flexWrap:"wrap",gap:5}}>
                   {q.options.filter(o=>o).map((opt,oi)=>(
                     <span key={oi} style={{fontSize:11,padding:"3px 9px",borderRadius:6,
@@ -842,7 +1045,7 @@ export function NursingMCQExam({ toast, currentUser, paper, meta, onBack, isUnlo
                       fontWeight:oi===q.ans?800:400
                     }}>{"ABCD"[oi]}. {opt}{oi===q.ans?" ✓":""}{oi===chosen&&chosen!==q.ans?" ✗":""}</span>
                   ))}
-                </div>
+                </div>}
                 {chosen===null&&<div style={{fontSize:11,color:"var(--text3)",marginTop:5,fontStyle:"italic"}}>— Not answered</div>}
               </div>
             );
@@ -898,14 +1101,17 @@ export function NursingMCQExam({ toast, currentUser, paper, meta, onBack, isUnlo
       <div className="card" style={{marginBottom:12}}>
         <div style={{fontWeight:700,fontSize:16,lineHeight:1.5}}>{q.q}</div>
       </div>
-      {q.options.filter(o=>o).map((opt,i)=>(
+      {isSingleChoice(q) ? q.options.filter(o=>o).map((opt,i)=>(
         <div key={i} onClick={()=>setAnswers(prev=>{const n=[...prev];n[qIdx]=i;return n;})}
           className="quiz-opt" style={{borderColor:answers[qIdx]===i?meta.color:"var(--border)",background:answers[qIdx]===i?`${meta.color}15`:"transparent",cursor:"pointer",display:"flex",alignItems:"center",gap:8}}>
           <span style={{fontSize:11,opacity:.6,flexShrink:0}}>{"ABCD"[i]}.</span>
           <span style={{flex:1}}>{opt}</span>
           {answers[qIdx]===i&&<span style={{color:meta.color,fontWeight:800}}>✓</span>}
         </div>
-      ))}
+      )) : (
+        <TypedQuestionInput key={qIdx} q={q} value={answers[qIdx]} accent={meta.color}
+          onChange={v=>setAnswers(prev=>{const n=[...prev];n[qIdx]=v;return n;})} />
+      )}
       <div style={{display:"flex",gap:8,marginTop:14,justifyContent:"space-between"}}>
         <button className="btn btn-sm" disabled={qIdx===0} onClick={()=>setQIdx(q=>q-1)}>← Prev</button>
         {qIdx<paper.questions.length-1
@@ -942,6 +1148,7 @@ export function NursingReviewMode({ paper, meta, onBack, currentUser, isUnlocked
               <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",gap:8,marginBottom:6}}>
                 <div style={{fontWeight:700,fontSize:13,flex:1}}>Q{i+1}. {q.q}</div>
               </div>
+              {!isSingleChoice(q) ? <TypedAnswerReview q={q} correct={q.ans} showChosen={false} /> :
               <div style={{display:"flex",flexWrap:"wrap",gap:5}}>
                 {q.options.filter(o=>o).map((opt,oi)=>(
                   <span key={oi} style={{fontSize:11,padding:"3px 9px",borderRadius:6,
@@ -950,7 +1157,7 @@ export function NursingReviewMode({ paper, meta, onBack, currentUser, isUnlocked
                     color:oi===q.ans?"var(--success)":"var(--text3)",fontWeight:oi===q.ans?800:400
                   }}>{"ABCD"[oi]}. {opt}{oi===q.ans?" ✓":""}</span>
                 ))}
-              </div>
+              </div>}
             </div>
           ))}
         </div>
@@ -988,6 +1195,7 @@ export function NursingReviewMode({ paper, meta, onBack, currentUser, isUnlocked
                 {showAns[qi]?"Hide":"Show Answer"}
               </button>
             </div>
+            {!isSingleChoice(q) ? <TypedAnswerReview q={q} correct={showAns[qi]?q.ans:null} showChosen={false} /> :
             <div style={{display:"flex",flexWrap:"wrap",gap:6}}>
               {q.options.filter(o=>o).map((opt,oi)=>(
                 <span key={oi} style={{fontSize:12,padding:"4px 10px",borderRadius:6,transition:"all .2s",
@@ -997,7 +1205,7 @@ export function NursingReviewMode({ paper, meta, onBack, currentUser, isUnlocked
                   fontWeight:showAns[qi]&&oi===q.ans?800:400
                 }}>{"ABCD"[oi]}. {opt}{showAns[qi]&&oi===q.ans?" ✓":""}</span>
               ))}
-            </div>
+            </div>}
           </div>
         );
       })}
@@ -1037,27 +1245,26 @@ export function SchoolMCQExam({ toast, currentUser, paper, onBack }) {
     const unanswered = answers.filter(a=>a===null).length;
     if(unanswered>0&&!confirm(`${unanswered} question(s) unanswered. Submit anyway?`))return;
     const snap=[...answers];
-    const score=paper.questions.reduce((s,q,i)=>snap[i]===q.ans?s+1:s,0);
-    const pct=Math.round((score/paper.questions.length)*100);
+    const {score,total,percent:pct,passed}=scoreAnswers(paper.questions,snap,paper.scoring);
     const att=ls(attKey,{});
-    att[paper.courseKey]={score,total:paper.questions.length,pct,answers:snap,date:new Date().toLocaleDateString()};
+    att[paper.courseKey]={score,total,pct,passed,answers:snap,date:new Date().toLocaleDateString()};
     saveMyData("mcq-att",attKey,att);
     const results=ls("nv-results",[]);
-    saveMyData("results","nv-results",[...results,{id:Date.now(),subject:paper.title,type:"School Past Q",score,total:paper.questions.length,pct,date:new Date().toLocaleDateString()}]);
+    saveMyData("results","nv-results",[...results,{id:Date.now(),subject:paper.title,type:"School Past Q",score,total,pct,passed,date:new Date().toLocaleDateString()}]);
     setFinalAnswers(snap);setDone(true);
     toast("Exam submitted! Results saved.","success");
   };
 
   if (done) {
-    const score=paper.questions.reduce((s,q,i)=>finalAnswers[i]===q.ans?s+1:s,0);
-    const pct=Math.round((score/paper.questions.length)*100);
+    const {score,total,percent:pct,passed}=scoreAnswers(paper.questions,finalAnswers,paper.scoring);
     return (
       <div style={{maxWidth:620,margin:"0 auto"}}>
         <div style={{textAlign:"center",padding:"28px 0 20px"}}>
           <div style={{fontSize:52,marginBottom:8}}>{pct>=70?"🎉":pct>=50?"👍":"📚"}</div>
           <div style={{fontWeight:800,fontSize:20,marginBottom:4}}>Practice Complete!</div>
-          <div style={{fontWeight:800,fontSize:48,color:pct>=70?"var(--success)":pct>=50?"var(--warn)":"var(--danger)",lineHeight:1}}>{score}/{paper.questions.length}</div>
-          <div style={{fontSize:20,marginBottom:4}}>{pct}%</div>
+          <div style={{fontWeight:800,fontSize:48,color:pct>=70?"var(--success)":pct>=50?"var(--warn)":"var(--danger)",lineHeight:1}}>{score}/{total}</div>
+          <div style={{fontSize:20,marginBottom:4}}>{pct}% • Grade {gradeLetter(pct)} • {passed?"✅ Pass":"❌ Fail"}</div>
+          {paper.scoring&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:4}}>{describeScheme(paper.scoring)}</div>}
           <div style={{fontSize:11,color:"var(--text3)"}}>📅 {paper.classLabel} › {paper.course}</div>
         </div>
         <div style={{marginTop:14}}>
@@ -1193,12 +1400,18 @@ export function SchoolMCQReview({ paper, onBack }) {
 
 // ─── STUDENT: School Past Questions Only (sidebar nav) ───────────────────
 
+// Negative-marking choices: fraction of a question's marks a wrong answer loses.
+const NEGATIVE_FRACTIONS = [[0,"None"],[0.25,"−¼ of the marks"],[0.33,"−⅓ of the marks"],[0.5,"−½ of the marks"],[1,"−all of the marks"]];
+
 export function CbtExamManager({ toast, currentUser }) {
   const [exams, setExams]   = useState([]);
   const [results, setResults] = useState([]);
   const [violations, setViolations] = useState([]);
   const [view, setView]     = useState("list"); // list | compose | monitor
   const [selExam, setSelExam] = useState(null);
+  const [panel, setPanel]   = useState("results"); // monitor: results | live (proctoring grid) | items (item analysis) | collusion | release (moderation) | access (accommodations)
+  const [accommodations, setAccommodations] = useState([]);
+  const [releases, setReleases] = useState({}); // examId → cbt_releases doc
   const [loading, setLoading] = useState(true);
   const classes = ls("nv-classes", DEFAULT_CLASSES);
   const users   = ls("nv-users", []);
@@ -1207,7 +1420,7 @@ export function CbtExamManager({ toast, currentUser }) {
   const blank = { id:null, title:"", subject:"", classId:"", duration:30, questions:[], published:false, publishedAt:null, createdBy:"", createdAt:null,
     shuffleQuestions:true, shuffleOptions:true, fullscreenRequired:true, tabSwitchEnabled:true, tabSwitchLimit:3, webcamSnapshots:true, deviceLock:true, startTime:"", endTime:"", showResultsImmediately:true };
   const [form, setForm]       = useState({...blank});
-  const [inputMode, setInputMode] = useState("single"); // single | paste
+  const [inputMode, setInputMode] = useState("single"); // single | paste | bank | file
 
   // Single-entry state
   const [singleQ, setSingleQ] = useState({ q:"", options:["","","",""], ans:0 });
@@ -1225,14 +1438,30 @@ export function CbtExamManager({ toast, currentUser }) {
   // Load live data — lecturers only see their own exams
   useEffect(() => {
     const u1 = subscribeCbtExams(list => {
-      setExams(list.filter(e => e.createdBy === currentUser));
+      setExams(list);
       setLoading(false);
-    });
-    const u2 = subscribeCbtResults(list => setResults(list));
-    const u3 = subscribeCbtViolations(list => setViolations(list));
-    return () => { u1(); u2(); u3(); };
+    }, { keysFor: e => e.createdBy === currentUser });
+    return () => { u1(); };
   }, [currentUser]);
 
+  // Results + violations are per-exam subcollections — resubscribe when
+  // the set of this lecturer's exams changes.
+  const examIdsKey = exams.map(e=>e.id).join(",");
+  useEffect(() => {
+    const ids = exams.map(e=>e.id);
+    const u2 = subscribeCbtResults(ids, list => setResults(list));
+    const u3 = subscribeCbtViolations(ids, list => setViolations(list));
+    const u4 = subscribeCbtReleases(ids, map => setReleases(map));
+    return () => { u2(); u3(); u4(); };
+  }, [examIdsKey]);
+
+  // Accommodations of the exam open in the monitor.
+  const selExamId = selExam?.id;
+  useEffect(() => {
+    if (selExamId===undefined) { setAccommodations([]); return; }
+    return subscribeCbtAccommodations(selExamId, list => setAccommodations(list));
+  }, [selExamId]);
+
   // ── Auto-parse on paste text change ──
   useEffect(() => {
     if (!pasteQ.trim()) { setParsed([]); setParseMsg(""); return; }
@@ -1246,21 +1475,25 @@ export function CbtExamManager({ toast, currentUser }) {
     }
   }, [pasteQ, pasteA]);
 
-  const saveExams = async (list) => {
-    setExams(list);
-    return await cbtExamsSave(list);
-  };
-
-  const saveResults = async (list) => {
-    setResults(list);
-    return await cbtResultsSave(list);
+  const saveExam = async (exam) => {
+    setExams(list => list.some(e=>e.id===exam.id) ? list.map(e=>e.id===exam.id?exam:e) : [...list, exam]);
+    try { await saveCbtExam(exam); return true; }
+    catch(e) { console.error("[CBT] save exam failed:", e.message); return false; }
   };
 
   // ── Single question handlers ──
   const addSingleQ = () => {
     if (!singleQ.q.trim())          return toast("Question text is required","error");
+    if (singleQ.type && singleQ.type!=="mcq") {
+      const { question, error } = questionFromDraft(singleQ);
+      if (error) return toast(error,"error");
+      return commitSingleQ(question);
+    }
     if (!singleQ.options[0]||!singleQ.options[1]) return toast("At least options A and B are required","error");
-    const q = { q:singleQ.q.trim(), options:singleQ.options.map(o=>o.trim()), ans:singleQ.ans };
+    commitSingleQ({ q:singleQ.q.trim(), options:singleQ.options.map(o=>o.trim()), ans:singleQ.ans });
+  };
+
+  const commitSingleQ = (q) => {
     let qs;
     if (editQIdx !== null) {
       qs = form.questions.map((qq,i) => i===editQIdx ? q : qq);
@@ -1271,12 +1504,12 @@ export function CbtExamManager({ toast, currentUser }) {
       toast("➕ Question added","success");
     }
     setForm(f => ({...f, questions:qs}));
-    setSingleQ({ q:"", options:["","","",""], ans:0 });
+    setSingleQ(emptyDraft(q.type));
   };
 
   const editQ = (i) => {
     const q = form.questions[i];
-    setSingleQ({ q:q.q, options:[...q.options], ans:q.ans });
+    setSingleQ(draftFromQuestion(q));
     setEditQIdx(i);
     setInputMode("single");
     document.getElementById("cbt-q-input")?.scrollIntoView({ behavior:"smooth" });
@@ -1287,7 +1520,7 @@ export function CbtExamManager({ toast, currentUser }) {
   // ── Import parsed questions ──
   const importParsed = () => {
     if (!parsed.length) return;
-    setForm(f => ({...f, questions:[...f.questions, ...parsed.map(p=>({q:p.q,options:p.options,ans:p.ans}))]}));
+    setForm(f => ({...f, questions:[...f.questions, ...parsed.map(p=>({...(p.type?{type:p.type}:{}),q:p.q,options:p.options,ans:p.ans}))]}));
     setPasteQ(""); setPasteA(""); setParsed([]); setParseMsg("");
     toast(`✅ ${parsed.length} questions imported!`, "success");
     setInputMode("single");
@@ -1298,6 +1531,15 @@ export function CbtExamManager({ toast, currentUser }) {
     if (!form.title.trim())       { toast("Exam title is required","error"); return false; }
     if (!form.classId)            { toast("Please select a class","error"); return false; }
     if (form.questions.length<1)  { toast("Add at least 1 question","error"); return false; }
+    if (form.drawEnabled && cbtPaperLength(form)<1) { toast("The random subset delivers no questions — raise at least one count","error"); return false; }
+    const sections = cbtSections(form);
+    if (sections.length) {
+      const empty = sections.find((s,si)=>!form.questions.some(q=>cbtSectionIndex(sections,q)===si));
+      if (empty) { toast(`Section "${empty.title||"untitled"}" has no questions`,"error"); return false; }
+      const timed = sections.filter(s=>s.duration).reduce((n,s)=>n+s.duration,0);
+      if (sections.some(s=>!s.duration) && timed>=(Number(form.duration)||30)) { toast("The timed sections use up the whole exam duration — lengthen it or time every section","error"); return false; }
+    }
+    if (form.offlineEnabled && sections.some(s=>s.lockOnLeave)) { toast("Offline sitting can't enforce locked or timed sections — turn one of them off","error"); return false; }
     return true;
   };
 
@@ -1306,8 +1548,7 @@ export function CbtExamManager({ toast, currentUser }) {
     if (!validate()) return;
     setSaving(true);
     const exam = { ...form, id:form.id||Date.now(), createdBy:currentUser, createdAt:form.createdAt||Date.now(), published:false, publishedAt:null };
-    const updated = form.id ? exams.map(e=>e.id===form.id?exam:e) : [...exams, exam];
-    const ok = await saveExams(updated);
+    const ok = await saveExam(exam);
     setSaving(false);
     if (ok) { toast("💾 Draft saved!","success"); setForm({...exam}); }
     else    toast("⚠️ Saved locally but sync failed","warn");
@@ -1319,8 +1560,7 @@ export function CbtExamManager({ toast, currentUser }) {
     setPublishing(true);
     const now = Date.now();
     const exam = { ...form, id:form.id||now, createdBy:currentUser, createdAt:form.createdAt||now, published:true, publishedAt:now };
-    const updated = form.id ? exams.map(e=>e.id===form.id?exam:e) : [...exams, exam];
-    const ok = await saveExams(updated);
+    const ok = await saveExam(exam);
     setPublishing(false);
     if (ok) { toast("🚀 Exam published! Students can now take it.","success"); setForm({...exam}); setView("list"); }
     else    toast("⚠️ Saved locally but sync failed — students may not see it yet","warn");
@@ -1328,22 +1568,37 @@ export function CbtExamManager({ toast, currentUser }) {
 
   // ── Unpublish / Re-publish ──
   const togglePublish = async (id, val) => {
-    const updated = exams.map(e=>e.id===id?{...e, published:val, publishedAt:val?Date.now():null}:e);
-    await saveExams(updated);
-    toast(val?"🚀 Re-published!":"📋 Moved back to Draft","success");
+    const exam  = exams.find(e=>e.id===id);
+    const patch = { published:val, publishedAt:val?Date.now():null, ...(exam?cbtWindowTimes(exam):{}) };
+    setExams(list => list.map(e=>e.id===id?{...e, ...patch}:e));
+    try { await updateCbtExam(id, patch); toast(val?"🚀 Re-published!":"📋 Moved back to Draft","success"); }
+    catch(e) { toast("⚠️ Sync failed — "+e.message,"error"); }
   };
 
   const deleteExam = async (id) => {
     if (!confirm("Delete this exam and all its results?")) return;
-    await saveExams(exams.filter(e=>e.id!==id));
-    await saveResults(results.filter(r=>r.examId!==id));
-    toast("Exam deleted","success");
+    try { await deleteCbtExam(id); toast("Exam deleted","success"); }
+    catch(e) { toast("⚠️ Delete failed — "+e.message,"error"); }
   };
 
   const allowRetake = async (examId, studentEmail) => {
-    const updated = results.filter(r=>!(r.examId===examId&&r.student===studentEmail));
-    await saveResults(updated);
-    toast(`✅ ${studentEmail.split("@")[0]} can retake the exam`,"success");
+    try { await deleteCbtResult(examId, studentEmail, currentUser); toast(`✅ ${studentEmail.split("@")[0]} can retake the exam`,"success"); }
+    catch(e) { toast("⚠️ Could not reset attempt — "+e.message,"error"); }
+  };
+
+  // Reopens the attempt with the student's autosaved answers (dead phone,
+  // auto-submitted on a reload) instead of wiping it like a retake.
+  const allowResume = async (examId, studentEmail) => {
+    const name = studentEmail.split("@")[0];
+    const input = prompt(`Resume ${name}'s attempt with their saved answers.\n\nMinutes to allow (leave blank for the time they had left at their last saved answer):`, "");
+    if (input===null) return;
+    const minutes = Number(input) || 0;
+    if (input.trim() && minutes<=0) { toast("Enter a number of minutes, or leave it blank","error"); return; }
+    try {
+      const { session } = await grantCbtResume(examId, studentEmail, minutes);
+      toast(`▶️ ${name} can resume until ${new Date(session.deadline).toLocaleTimeString()}`,"success");
+    }
+    catch(e) { toast("⚠️ Could not grant a resume — "+e.message,"error"); }
   };
 
   // ── Archive check: exam is archived if published > 24h ago ──
@@ -1371,9 +1626,10 @@ export function CbtExamManager({ toast, currentUser }) {
   const printResults = (exam) => {
     const cls  = classes.find(c=>c.id===exam.classId);
     const rList = results.filter(r=>r.examId===exam.id).sort((a,b)=>b.score-a.score);
+    const sections = cbtSections(exam);
     const notTaken = users.filter(u=>u.class===exam.classId&&u.role==="student"&&!rList.find(r=>r.student===u.username));
     const rows = rList.map((r,i)=>{
-      const grade = r.percent>=70?"A":r.percent>=60?"B":r.percent>=50?"C":r.percent>=40?"D":"F";
+      const grade = gradeLetter(r.percent);
       const gc    = r.percent>=70?"#16a34a":r.percent>=50?"#b45309":"#dc2626";
       const userRec = users.find(u=>u.username===r.student);
       const matric  = userRec?.matricNumber || "—";
@@ -1382,9 +1638,11 @@ export function CbtExamManager({ toast, currentUser }) {
         <td style="padding:8px 12px;border:1px solid #ccc;text-align:center;font-weight:bold;">${i+1}</td>
         <td style="padding:8px 12px;border:1px solid #ccc;font-weight:600;">${displayName}<br><span style="font-size:11px;color:#555;font-weight:400;">${r.student}</span></td>
         <td style="padding:8px 12px;border:1px solid #ccc;text-align:center;font-family:monospace;font-weight:700;color:#0077b6;">${matric}</td>
+        ${sections.map(sec=>{const s=r.sections?.find(x=>x.id===sec.id);return `<td style="padding:8px 12px;border:1px solid #ccc;text-align:center;font-size:12px;">${s?`${s.score}/${s.total}`:"—"}</td>`;}).join("")}
         <td style="padding:8px 12px;border:1px solid #ccc;text-align:center;color:#0077b6;font-weight:bold;">${r.score}/${r.total}</td>
         <td style="padding:8px 12px;border:1px solid #ccc;text-align:center;font-weight:bold;color:${gc}">${r.percent}%</td>
         <td style="padding:8px 12px;border:1px solid #ccc;text-align:center;font-weight:bold;color:${gc}">${grade}</td>
+        <td style="padding:8px 12px;border:1px solid #ccc;text-align:center;font-weight:bold;color:${resultPassed(r)?"#16a34a":"#dc2626"}">${resultPassed(r)?"Pass":"Fail"}</td>
         <td style="padding:8px 12px;border:1px solid #ccc;text-align:center;font-size:12px;color:#666">${r.submittedAt?new Date(r.submittedAt).toLocaleString():"-"}</td>
       </tr>`;
     }).join("");
@@ -1393,7 +1651,7 @@ export function CbtExamManager({ toast, currentUser }) {
       <td style="padding:6px 12px;border:1px solid #e0c090;text-align:center;color:#b45309;">${i+1}</td>
       <td style="padding:6px 12px;border:1px solid #e0c090;color:#b45309;font-weight:600;">${s.displayName||s.username}<br><span style="font-size:11px;color:#888;font-weight:400;">${s.username}</span></td>
       <td style="padding:6px 12px;border:1px solid #e0c090;text-align:center;font-family:monospace;color:#555;">${s.matricNumber||"—"}</td>
-      <td colspan="4" style="padding:6px 12px;border:1px solid #e0c090;color:#b45309;font-size:12px;">⏳ Not submitted</td>
+      <td colspan="${5+sections.length}" style="padding:6px 12px;border:1px solid #e0c090;color:#b45309;font-size:12px;">⏳ Not submitted</td>
     </tr>`).join("");
     const w = window.open("","_blank","width=980,height=720");
     w.document.write(`<!DOCTYPE html><html><head><title>${exam.title} – Results</title>
@@ -1403,16 +1661,20 @@ export function CbtExamManager({ toast, currentUser }) {
     @media print{.no-print{display:none}}</style></head>
     <body>
     <h1>📋 ${exam.title}</h1>
-    <p>Class: ${cls?.label||exam.classId} &nbsp;•&nbsp; Subject: ${exam.subject||"—"} &nbsp;•&nbsp; Questions: ${exam.questions.length} &nbsp;•&nbsp; Duration: ${exam.duration} min &nbsp;•&nbsp; Generated: ${new Date().toLocaleString()}</p>
+    <p>Class: ${cls?.label||exam.classId} &nbsp;•&nbsp; Subject: ${exam.subject||"—"} &nbsp;•&nbsp; Questions: ${exam.questions.length} &nbsp;•&nbsp; Duration: ${cbtExamDuration(exam)} min &nbsp;•&nbsp; Generated: ${new Date().toLocaleString()}</p>
+    ${sections.length?`<p>Sections: ${sections.map((s,si)=>`${si+1}. ${s.title||"Untitled"} (${s.marks} mark${s.marks===1?"":"s"} each${s.negative?`, −${negativeMarks(s.marks,s.negative)} per wrong answer`:""}${s.duration?`, ${s.duration} min`:""})`).join(" &nbsp;•&nbsp; ")}</p>`:""}
+    <p>Marking: ${describeScheme(exam.scoring)}</p>
     <button class="no-print" onclick="window.print()" style="margin-bottom:16px;padding:8px 20px;background:#0077b6;color:white;border:none;border-radius:6px;cursor:pointer;font-size:14px">🖨️ Print</button>
     <table>
       <thead><tr>
         <th class="center" style="width:40px">#</th>
         <th>Student</th>
         <th class="center" style="width:140px">Matric No.</th>
+        ${sections.map(s=>`<th class="center">${s.title||"Section"}</th>`).join("")}
         <th class="center" style="width:80px">Score</th>
         <th class="center" style="width:60px">%</th>
         <th class="center" style="width:60px">Grade</th>
+        <th class="center" style="width:60px">Result</th>
         <th class="center" style="width:160px">Submitted</th>
       </tr></thead>
       <tbody>${rows}</tbody>
@@ -1425,7 +1687,7 @@ export function CbtExamManager({ toast, currentUser }) {
         <th class="center" style="width:40px;background:#b45309">#</th>
         <th style="background:#b45309">Student</th>
         <th class="center" style="width:140px;background:#b45309">Matric No.</th>
-        <th colspan="4" style="background:#b45309">Status</th>
+        <th colspan="${5+sections.length}" style="background:#b45309">Status</th>
       </tr></thead>
       <tbody>${notTakenRows}</tbody>
     </table>`:""}
@@ -1474,7 +1736,12 @@ export function CbtExamManager({ toast, currentUser }) {
           </div>
           <div>
             <label className="lbl">Duration (minutes) *</label>
-            <input className="inp" style={{marginBottom:0}} type="number" min="5" max="300" value={form.duration} onChange={e=>setForm(f=>({...f,duration:Math.max(1,+e.target.value)}))} />
+            {cbtSections(form).length>0&&cbtSections(form).every(s=>s.duration)
+              ? <>
+                  <input className="inp" style={{marginBottom:0}} type="number" value={cbtExamDuration(form)} disabled />
+                  <div style={{fontSize:10,color:"var(--text3)",marginTop:3}}>Sum of the section timers</div>
+                </>
+              : <input className="inp" style={{marginBottom:0}} type="number" min="5" max="300" value={form.duration} onChange={e=>setForm(f=>({...f,duration:Math.max(1,+e.target.value)}))} />}
           </div>
         </div>
         <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10,marginTop:10}}>
@@ -1498,7 +1765,7 @@ export function CbtExamManager({ toast, currentUser }) {
             </div>
             <div>
               <div style={{fontWeight:700,fontSize:13}}>Show Results Immediately After Exam</div>
-              <div style={{fontSize:11,color:"var(--text3)"}}>{form.showResultsImmediately?"Students see score & answers right away":"Students only see a submission confirmation — results hidden until lecturer releases"}</div>
+              <div style={{fontSize:11,color:"var(--text3)"}}>{form.showResultsImmediately?"Students see score & answers right away":"Results are held for moderation — students see them once a head of department approves the release"}</div>
             </div>
           </label>
         </div>
@@ -1550,16 +1817,51 @@ export function CbtExamManager({ toast, currentUser }) {
         </div>
       </div>
 
+      {/* ── Offline delivery ── */}
+      <div className="card" style={{marginBottom:14,border:`1px solid ${form.offlineEnabled?"rgba(0,119,182,.35)":"var(--border)"}`}}>
+        <label style={{display:"flex",alignItems:"center",gap:10,cursor:"pointer"}}>
+          <input type="checkbox" checked={!!form.offlineEnabled}
+            onChange={e=>setForm(f=>({...f,offlineEnabled:e.target.checked,offlineCode:f.offlineCode||newStartCode()}))} />
+          <div>
+            <div style={{fontWeight:800,fontSize:13,color:"var(--accent)"}}>📴 Allow Offline Sitting</div>
+            <div style={{fontSize:11,color:"var(--text3)"}}>For halls with unreliable data. Students download an encrypted copy beforehand, sit it with no connection, and their signed answers upload when they're back online — accepted only if finished inside the window.</div>
+          </div>
+        </label>
+        {form.offlineEnabled&&(
+          <div style={{display:"flex",alignItems:"center",gap:10,marginTop:10,padding:"8px 12px",borderRadius:8,background:"rgba(0,119,182,.06)",flexWrap:"wrap"}}>
+            <span style={{fontSize:12,color:"var(--text2)"}}>Hall start code:</span>
+            <span style={{fontFamily:"'DM Mono',monospace",fontWeight:800,fontSize:18,letterSpacing:2,color:"var(--accent)"}}>{form.offlineCode}</span>
+            <button className="btn btn-sm" title="Packages already downloaded won't open with the old code until re-downloaded"
+              onClick={()=>{if(confirm("Issue a new start code? Students who already downloaded the exam must download it again."))setForm(f=>({...f,offlineCode:newStartCode()}));}}>🔄 New Code</button>
+            <span style={{fontSize:11,color:"var(--text3)",flexBasis:"100%"}}>Keep it secret until the sitting starts, then read it out — the downloaded paper can't be opened without it. Webcam snapshots and device lock don't apply offline.</span>
+          </div>
+        )}
+      </div>
+
       {/* ── Questions card ── */}
       <div className="card" style={{marginBottom:14}}>
         <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",marginBottom:14,flexWrap:"wrap",gap:8}}>
           <div style={{fontWeight:800,fontSize:13,color:"var(--accent)"}}>❓ Questions ({form.questions.length})</div>
-          <div style={{display:"flex",gap:6}}>
+          <div style={{display:"flex",gap:6,flexWrap:"wrap"}}>
             <button className={`btn btn-sm${inputMode==="single"?" btn-accent":""}`} onClick={()=>{setInputMode("single");setEditQIdx(null);setSingleQ({q:"",options:["","","",""],ans:0});}}>✏️ Single Entry</button>
             <button className={`btn btn-sm${inputMode==="paste"?" btn-purple":""}`} onClick={()=>setInputMode("paste")}>📋 Paste Multiple</button>
+            <button className={`btn btn-sm${inputMode==="bank"?" btn-accent":""}`} onClick={()=>setInputMode("bank")}>🏦 From Bank</button>
+            <button className={`btn btn-sm${inputMode==="file"?" btn-accent":""}`} onClick={()=>setInputMode("file")}>📂 Import File</button>
           </div>
         </div>
 
+        {/* ── BANK MODE ── */}
+        {inputMode==="bank"&&(
+          <BankPicker toast={toast} existing={form.questions} defaultTag={(form.subject||"").trim().toLowerCase()}
+            onAdd={(items,picked)=>setForm(f=>({...f,questions:[...f.questions,...items.map((it,i)=>picked[i]?.tags?.[0]?{...it,cat:picked[i].tags[0]}:it)]}))} />
+        )}
+
+        {/* ── FILE MODE ── */}
+        {inputMode==="file"&&(
+          <QuestionImporter toast={toast} existing={form.questions}
+            onImport={(added,replaced)=>setForm(f=>({...f,questions:applyImport(f.questions,added,replaced)}))} />
+        )}
+
         {/* ── PASTE MODE ── */}
         {inputMode==="paste"&&(
           <div style={{marginBottom:14}}>
@@ -1619,6 +1921,7 @@ export function CbtExamManager({ toast, currentUser }) {
                       <div style={{width:22,height:22,borderRadius:6,background:"rgba(0,119,182,.12)",display:"flex",alignItems:"center",justifyContent:"center",fontSize:10,fontWeight:800,color:"var(--accent)",flexShrink:0}}>{i+1}</div>
                       <div style={{flex:1}}>
                         <div style={{fontWeight:700,fontSize:12,marginBottom:4}}>{p.q}</div>
+                        {p.type ? <TypedKeySummary q={p} /> :
                         <div style={{display:"flex",flexWrap:"wrap",gap:4}}>
                           {p.options.filter(o=>o).map((opt,oi)=>(
                             <span key={oi} style={{fontSize:11,padding:"2px 7px",borderRadius:5,
@@ -1627,7 +1930,7 @@ export function CbtExamManager({ toast, currentUser }) {
                               color:oi===p.ans?"var(--success)":"var(--text3)",fontWeight:oi===p.ans?800:400
                             }}>{"ABCD"[oi]}. {opt}{oi===p.ans?" ✓":""}</span>
                           ))}
-                        </div>
+                        </div>}
                         {!p._hasAns&&<div style={{fontSize:10,color:"var(--warn)",marginTop:3}}>⚠️ No answer detected — will default to A</div>}
                       </div>
                     </div>
@@ -1646,6 +1949,10 @@ export function CbtExamManager({ toast, currentUser }) {
             <textarea className="inp" rows={2} style={{resize:"vertical",marginBottom:10}} value={singleQ.q}
               onChange={e=>setSingleQ(s=>({...s,q:e.target.value}))}
               placeholder="Type the question here…" />
+            <QuestionTypeSelect value={singleQ.type||"mcq"} onChange={t=>setSingleQ(s=>emptyDraft(t,s.q))} />
+            {singleQ.type&&singleQ.type!=="mcq"
+              ? <TypedQuestionEditor draft={singleQ} onChange={setSingleQ} toast={toast} />
+              : <>
             <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:8,marginBottom:10}}>
               {["A","B","C","D"].map((l,i)=>(
                 <div key={i}>
@@ -1667,6 +1974,7 @@ export function CbtExamManager({ toast, currentUser }) {
                 </button>
               ))}
             </div>
+              </>}
             <div style={{display:"flex",gap:8}}>
               <button className="btn btn-accent" onClick={addSingleQ}>{editQIdx!==null?"💾 Update Question":"➕ Add to Exam"}</button>
               {editQIdx!==null&&<button className="btn" onClick={()=>{setEditQIdx(null);setSingleQ({q:"",options:["","","",""],ans:0});}}>✕ Cancel Edit</button>}
@@ -1684,12 +1992,17 @@ export function CbtExamManager({ toast, currentUser }) {
                 <div style={{fontSize:12,fontWeight:700,color:"var(--text2)"}}>📋 {form.questions.length} Question{form.questions.length!==1?"s":""} Added</div>
                 <button className="btn btn-sm btn-danger" onClick={()=>{if(confirm("Remove ALL questions?"))setForm(f=>({...f,questions:[]}));}}>🗑️ Clear All</button>
               </div>
+              <BankSyncBar toast={toast} currentUser={currentUser} questions={form.questions}
+                onChange={questions=>setForm(f=>({...f,questions}))}
+                locked={!!form.id && results.some(r=>String(r.examId)===String(form.id))}
+                defaults={{course:form.subject,tags:[form.subject||"cbt"],source:`CBT ${form.title}`}} />
               {form.questions.map((q,i)=>(
                 <div key={i} className="card2" style={{marginBottom:7,borderLeft:`3px solid ${editQIdx===i?"var(--accent)":"var(--border)"}`}}>
                   <div style={{display:"flex",gap:8,alignItems:"flex-start"}}>
                     <div style={{width:24,height:24,borderRadius:7,background:"rgba(0,119,182,.12)",display:"flex",alignItems:"center",justifyContent:"center",fontSize:11,fontWeight:800,color:"var(--accent)",flexShrink:0}}>{i+1}</div>
                     <div style={{flex:1}}>
                       <div style={{fontWeight:700,fontSize:13,marginBottom:5,lineHeight:1.4}}>{q.q}</div>
+                      {q.type&&q.type!=="mcq" ? <TypedKeySummary q={q} /> :
                       <div style={{display:"flex",flexWrap:"wrap",gap:5}}>
                         {q.options.filter(o=>o).map((opt,oi)=>(
                           <span key={oi} style={{fontSize:11,padding:"2px 8px",borderRadius:5,
@@ -1698,9 +2011,25 @@ export function CbtExamManager({ toast, currentUser }) {
                             color:oi===q.ans?"var(--success)":"var(--text3)",fontWeight:oi===q.ans?800:400
                           }}>{"ABCD"[oi]}. {opt}{oi===q.ans?" ✓":""}</span>
                         ))}
-                      </div>
+                      </div>}
                     </div>
-                    <div style={{display:"flex",gap:4,flexShrink:0}}>
+                    <div style={{display:"flex",gap:4,flexShrink:0,alignItems:"center"}}>
+                      {form.sections?.length>0&&(
+                        <select className="inp" style={{marginBottom:0,width:110,fontSize:11,padding:"4px 7px"}} title="Section"
+                          value={cbtSections(form)[cbtSectionIndex(cbtSections(form),q)].id}
+                          onChange={e=>setForm(f=>({...f,questions:f.questions.map((qq,qi)=>qi===i?{...qq,section:e.target.value}:qq)}))}>
+                          {cbtSections(form).map((s,si)=><option key={s.id} value={s.id}>📑 {s.title||`Section ${si+1}`}</option>)}
+                        </select>
+                      )}
+                      <input className="inp" style={{marginBottom:0,width:96,fontSize:11,padding:"4px 7px"}} placeholder="🏷 tag" title="Tag — random subsets draw a count per tag"
+                        value={q.cat||""} onChange={e=>setForm(f=>({...f,questions:f.questions.map((qq,qi)=>qi===i?{...qq,cat:e.target.value}:qq)}))} />
+                      <input className="inp" style={{marginBottom:0,width:62,fontSize:11,padding:"4px 7px"}} type="number" min="0" step="0.5" placeholder="marks"
+                        title="Marks for this question — blank uses the section's or exam's marks per question"
+                        value={q.marks||""} onChange={e=>setForm(f=>({...f,questions:f.questions.map((qq,qi)=>{
+                          if (qi!==i) return qq;
+                          const { marks, ...rest } = qq;
+                          return +e.target.value>0 ? {...rest,marks:+e.target.value} : rest;
+                        })}))} />
                       <button className="btn btn-sm" title="Edit" onClick={()=>editQ(i)}>✏️</button>
                       <button className="btn btn-sm btn-danger" title="Delete" onClick={()=>deleteQ(i)}>🗑️</button>
                     </div>
@@ -1711,6 +2040,143 @@ export function CbtExamManager({ toast, currentUser }) {
         }
       </div>
 
+      {/* ── Marking ── */}
+      {(()=>{
+        const scheme = scoringScheme(form.scoring);
+        const setScoring = (patch) => setForm(f=>({...f,scoring:{...scoringScheme(f.scoring),...patch}}));
+        const sections = cbtSections(form);
+        const paperTotal = form.questions.reduce((n,q)=>n+(Number(q.marks)>0?Number(q.marks):sections.length?sections[cbtSectionIndex(sections,q)].marks:scheme.marks),0);
+        return (
+          <div className="card" style={{marginBottom:14,border:`1px solid ${form.scoring?"rgba(34,197,94,.35)":"var(--border)"}`}}>
+            <div style={{fontWeight:800,fontSize:13,color:"var(--accent)"}}>🧮 Marking</div>
+            <div style={{fontSize:11,color:"var(--text3)",marginBottom:10}}>How answers are scored and what counts as a pass. Questions can carry their own marks in the list above{sections.length?"; each section sets its own marks and negative marking below":""}.</div>
+            <div style={{display:"grid",gridTemplateColumns:"repeat(4,1fr)",gap:8}}>
+              <div>
+                <label className="lbl">Marks per question</label>
+                <input className="inp" style={{marginBottom:0}} type="number" min="0.25" step="0.25" value={scheme.marks} disabled={sections.length>0}
+                  onChange={e=>setScoring({marks:Math.max(0.25,+e.target.value||1)})} />
+              </div>
+              <div>
+                <label className="lbl">Negative marking</label>
+                <select className="inp" style={{marginBottom:0}} value={String(scheme.negative)} disabled={sections.length>0} onChange={e=>setScoring({negative:+e.target.value})}>
+                  {NEGATIVE_FRACTIONS.map(([v,l])=><option key={v} value={String(v)}>{l}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="lbl">Unanswered questions</label>
+                <select className="inp" style={{marginBottom:0}} value={scheme.unanswered} onChange={e=>setScoring({unanswered:e.target.value})}>
+                  {Object.entries(UNANSWERED_POLICIES).map(([v,l])=><option key={v} value={v}>{l}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="lbl">Pass mark (%)</label>
+                <input className="inp" style={{marginBottom:0}} type="number" min="0" max="100" value={scheme.passMark}
+                  onChange={e=>setScoring({passMark:Math.min(100,Math.max(0,Math.round(+e.target.value||0)))})} />
+              </div>
+            </div>
+            <div style={{fontSize:11,color:"var(--text3)",marginTop:8}}>
+              {form.drawEnabled?"Full pool":"Paper"} total: <b>{Math.round(paperTotal*100)/100} marks</b> • {describeScheme(form.scoring)}
+              {scheme.unanswered==="negative"&&!scheme.negative&&!sections.some(s=>s.negative)&&" • no negative marking set, so blanks still score zero"}
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* ── Sections ── */}
+      {(()=>{
+        const sections = form.sections || [];
+        const setSec = (id, patch) => setForm(f=>({...f,sections:f.sections.map(s=>s.id===id?{...s,...patch}:s)}));
+        const addSec = () => setForm(f=>({...f,sections:[...(f.sections||[]),
+          { id:`s${Date.now()}`, title:`Section ${String.fromCharCode(65+(f.sections||[]).length)}`, instructions:"", duration:0,
+            marks:scoringScheme(f.scoring).marks, negative:scoringScheme(f.scoring).negative, lockOnLeave:false }]}));
+        const removeSec = (id) => {
+          if (!confirm("Remove this section? Its questions move to the first remaining section.")) return;
+          setForm(f=>({...f,sections:f.sections.filter(s=>s.id!==id)}));
+        };
+        const counts = cbtSections(form).map((_,si)=>form.questions.filter(q=>cbtSectionIndex(cbtSections(form),q)===si).length);
+        return (
+          <div className="card" style={{marginBottom:14,border:`1px solid ${sections.length?"rgba(0,119,182,.35)":"var(--border)"}`}}>
+            <div style={{display:"flex",alignItems:"center",gap:10}}>
+              <div style={{flex:1}}>
+                <div style={{fontWeight:800,fontSize:13,color:"var(--accent)"}}>📑 Sections {sections.length>0&&`(${sections.length})`}</div>
+                <div style={{fontSize:11,color:"var(--text3)"}}>Split the paper into parts sat in order, each with its own instructions, timer, marks and negative marking. Pick each question's section in the list above.</div>
+              </div>
+              <button className="btn btn-sm btn-accent" onClick={addSec}>+ Add Section</button>
+            </div>
+            {sections.map((sec,si)=>(
+              <div key={sec.id} className="card2" style={{marginTop:10,borderLeft:"3px solid var(--accent)"}}>
+                <div style={{display:"flex",gap:8,alignItems:"center",marginBottom:8}}>
+                  <span style={{fontWeight:800,fontSize:12,color:"var(--accent)",flexShrink:0}}>{si+1}.</span>
+                  <input className="inp" style={{marginBottom:0,flex:1}} value={sec.title} placeholder="Section title" onChange={e=>setSec(sec.id,{title:e.target.value})} />
+                  <span style={{fontSize:11,color:"var(--text3)",flexShrink:0}}>{counts[si]} question{counts[si]===1?"":"s"}</span>
+                  <button className="btn btn-sm btn-danger" title="Remove section" onClick={()=>removeSec(sec.id)}>🗑️</button>
+                </div>
+                <textarea className="inp" rows={2} style={{resize:"vertical",marginBottom:8}} value={sec.instructions||""}
+                  placeholder="Instructions shown to students at the start of this section" onChange={e=>setSec(sec.id,{instructions:e.target.value})} />
+                <div style={{display:"grid",gridTemplateColumns:"repeat(3,1fr)",gap:8,marginBottom:8}}>
+                  <div>
+                    <label className="lbl">Timer (min, 0 = none)</label>
+                    <input className="inp" style={{marginBottom:0}} type="number" min="0" max="300" value={sec.duration||0} onChange={e=>setSec(sec.id,{duration:Math.max(0,Math.round(+e.target.value||0))})} />
+                  </div>
+                  <div>
+                    <label className="lbl">Marks per question</label>
+                    <input className="inp" style={{marginBottom:0}} type="number" min="0.25" step="0.25" value={sec.marks??1} onChange={e=>setSec(sec.id,{marks:Math.max(0.25,+e.target.value||1)})} />
+                  </div>
+                  <div>
+                    <label className="lbl">Negative marking{Number(sec.negative)>0&&` (−${negativeMarks(Number(sec.marks)||1,Number(sec.negative))} per wrong)`}</label>
+                    <select className="inp" style={{marginBottom:0}} value={String(Number(sec.negative)||0)} onChange={e=>setSec(sec.id,{negative:+e.target.value})}>
+                      {NEGATIVE_FRACTIONS.map(([v,l])=><option key={v} value={String(v)}>{l}</option>)}
+                    </select>
+                  </div>
+                </div>
+                <label style={{display:"flex",alignItems:"center",gap:8,fontSize:12,cursor:sec.duration?"default":"pointer",color:"var(--text2)"}}>
+                  <input type="checkbox" checked={!!sec.lockOnLeave||sec.duration>0} disabled={sec.duration>0} onChange={e=>setSec(sec.id,{lockOnLeave:e.target.checked})} />
+                  🔒 No going back — answers are final once the student moves on
+                  {sec.duration>0&&<span style={{fontSize:10,color:"var(--text3)"}}>(always, for a timed section)</span>}
+                </label>
+              </div>
+            ))}
+            {sections.length>0&&(
+              <div style={{fontSize:11,color:"var(--text3)",marginTop:8}}>
+                Questions without a section belong to the first one. A question's own marks override its section's. Wrong answers lose marks only when they earn no credit at all; blanks follow the Marking card's unanswered rule.
+              </div>
+            )}
+          </div>
+        );
+      })()}
+
+      {/* ── Random subset (question pool) ── */}
+      {form.questions.length>1&&(()=>{
+        const plan = cbtDrawPlan(form);
+        const setCount = (tag, n) => setForm(f=>({...f,draw:{...(f.draw||{}),[tag]:Math.max(0,Math.round(Number(n)||0))}}));
+        return (
+          <div className="card" style={{marginBottom:14,border:`1px solid ${form.drawEnabled?"rgba(168,85,247,.35)":"var(--border)"}`}}>
+            <label style={{display:"flex",alignItems:"center",gap:10,cursor:"pointer"}}>
+              <input type="checkbox" checked={!!form.drawEnabled}
+                onChange={e=>setForm(f=>({...f,drawEnabled:e.target.checked,draw:f.draw||Object.fromEntries(cbtDrawPlan({...f,drawEnabled:false}).map(t=>[t.tag,t.size]))}))} />
+              <div style={{flex:1}}>
+                <div style={{fontWeight:800,fontSize:13,color:"var(--purple)"}}>🎲 Random Subset per Student</div>
+                <div style={{fontSize:11,color:"var(--text3)"}}>Treat these questions as a pool — each student sits a different random selection, drawn per tag.</div>
+              </div>
+            </label>
+            {form.drawEnabled&&(
+              <div style={{marginTop:12}}>
+                {plan.map(t=>(
+                  <div key={t.tag} style={{display:"flex",alignItems:"center",gap:10,padding:"6px 0",borderBottom:"1px solid var(--border)"}}>
+                    <span style={{flex:1,fontSize:12,fontWeight:700}}>{t.tag?`🏷 ${t.tag}`:<span style={{color:"var(--text3)"}}>Untagged</span>}</span>
+                    <input className="inp" type="number" min="0" max={t.size} style={{marginBottom:0,width:70}} value={form.draw?.[t.tag]??t.size} onChange={e=>setCount(t.tag,e.target.value)} />
+                    <span style={{fontSize:11,color:"var(--text3)",minWidth:54}}>of {t.size}</span>
+                  </div>
+                ))}
+                <div style={{fontSize:12,fontWeight:700,color:"var(--purple)",marginTop:8}}>
+                  Each student sits {cbtPaperLength(form)} of {form.questions.length} questions. Tag questions in the list above to draw by topic.
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })()}
+
       {/* ── Save / Publish buttons ── */}
       <div style={{display:"flex",gap:10,flexWrap:"wrap",padding:"14px 0"}}>
         <button className="btn" style={{flex:"1 1 160px",borderColor:"var(--accent2)",color:"var(--accent2)"}}
@@ -1743,11 +2209,11 @@ export function CbtExamManager({ toast, currentUser }) {
     return (
       <div>
         <div style={{display:"flex",alignItems:"center",gap:10,marginBottom:16,flexWrap:"wrap"}}>
-          <button className="btn btn-sm" onClick={()=>{setView("list");setSelExam(null);}}>← Back</button>
+          <button className="btn btn-sm" onClick={()=>{setView("list");setSelExam(null);setPanel("results");}}>← Back</button>
           <div style={{flex:1}}>
             <div style={{fontWeight:800,fontSize:16}}>{selExam.title}</div>
             <div style={{fontSize:11,color:"var(--text3)",marginTop:2}}>
-              {classes.find(c=>c.id===selExam.classId)?.label} • {selExam.questions.length}Q • {selExam.duration}min
+              {classes.find(c=>c.id===selExam.classId)?.label} • {selExam.drawEnabled?`${cbtPaperLength(selExam)} of ${selExam.questions.length}`:selExam.questions.length}Q • {cbtExamDuration(selExam)}min{selExam.sections?.length>0&&` • ${selExam.sections.length} sections`}
               {selExam.publishedAt&&<span style={{marginLeft:8}}>Published: {new Date(selExam.publishedAt).toLocaleString()}</span>}
               {selExam.startTime&&<span style={{marginLeft:8,color:"var(--accent)"}}>Start: {new Date(selExam.startTime).toLocaleString()}</span>}
               {selExam.endTime&&<span style={{marginLeft:8,color:"var(--warn)"}}>Expires: {new Date(selExam.endTime).toLocaleString()}</span>}
@@ -1755,6 +2221,12 @@ export function CbtExamManager({ toast, currentUser }) {
           </div>
           <span style={{fontSize:11,padding:"3px 10px",borderRadius:20,background:status.bg,color:status.color,fontWeight:700}}>{status.label}</span>
           <button className="btn btn-sm" style={{borderColor:"var(--accent)",color:"var(--accent)"}} onClick={()=>printResults(selExam)}>🖨️ Print Results</button>
+          <QuestionExport toast={toast} questions={selExam.questions} title={selExam.title} />
+          <button className={`btn btn-sm${panel==="live"?" btn-purple":""}`} onClick={()=>setPanel(p=>p==="live"?"results":"live")}>{panel==="live"?"📋 Results":"📡 Live"}</button>
+          <button className={`btn btn-sm${panel==="items"?" btn-purple":""}`} onClick={()=>setPanel(p=>p==="items"?"results":"items")}>{panel==="items"?"📋 Results":"📈 Item Analysis"}</button>
+          <button className={`btn btn-sm${panel==="collusion"?" btn-purple":""}`} onClick={()=>setPanel(p=>p==="collusion"?"results":"collusion")}>{panel==="collusion"?"📋 Results":"🕵️ Collusion"}</button>
+          <button className={`btn btn-sm${panel==="release"?" btn-purple":""}`} onClick={()=>setPanel(p=>p==="release"?"results":"release")}>{panel==="release"?"📋 Results":`⚖️ Moderation${selExam.showResultsImmediately===false?` • ${CBT_RELEASE_STATUS[cbtReleaseStatus(releases[selExam.id])].label}`:""}`}</button>
+          <button className={`btn btn-sm${panel==="access"?" btn-purple":""}`} onClick={()=>setPanel(p=>p==="access"?"results":"access")}>{panel==="access"?"📋 Results":`♿ Accommodations${accommodations.length?` (${accommodations.length})`:""}`}</button>
           <button className="btn btn-sm" onClick={()=>{setForm({...selExam});setView("compose");}}>✏️ Edit</button>
         </div>
 
@@ -1778,12 +2250,26 @@ export function CbtExamManager({ toast, currentUser }) {
         {/* Live sync badge */}
         <div style={{display:"flex",alignItems:"center",gap:8,marginBottom:14,padding:"7px 14px",background:"rgba(34,197,94,.06)",border:"1px solid rgba(34,197,94,.2)",borderRadius:10}}>
           <div style={{width:7,height:7,borderRadius:"50%",background:"var(--success)",boxShadow:"0 0 6px var(--success)"}} />
-          <span style={{fontSize:12,fontWeight:700,color:"var(--success)"}}>Live — syncs every 6 seconds across all devices</span>
+          <span style={{fontSize:12,fontWeight:700,color:"var(--success)"}}>Live — updates instantly across all devices</span>
           {archived&&<span style={{marginLeft:"auto",fontSize:11,color:"var(--warn)",fontWeight:700}}>🗄️ Archived — students in Read-Only Review Mode</span>}
         </div>
 
+        {selExam.offlineEnabled&&selExam.offlineCode&&!archived&&(
+          <div style={{display:"flex",alignItems:"center",gap:10,marginBottom:14,padding:"8px 14px",background:"rgba(0,119,182,.06)",border:"1px solid rgba(0,119,182,.25)",borderRadius:10,flexWrap:"wrap"}}>
+            <span style={{fontSize:12,fontWeight:700,color:"var(--accent)"}}>📴 Offline sitting — hall start code</span>
+            <span style={{fontFamily:"'DM Mono',monospace",fontWeight:800,fontSize:18,letterSpacing:2}}>{selExam.offlineCode}</span>
+            <span style={{fontSize:11,color:"var(--text3)"}}>Announce it when the sitting starts. Offline answer sheets appear here as students reconnect.</span>
+          </div>
+        )}
+
+        {panel==="live" && <CbtLiveProctor exam={selExam} students={studentsInClass} results={examResults} violations={violations.filter(v=>v.examId===selExam.id)} accommodations={accommodations} toast={toast} currentUser={currentUser} />}
+        {panel==="items" && <CbtItemAnalysis exam={selExam} results={examResults} archived={archived} toast={toast} />}
+        {panel==="collusion" && <CbtCollusion exam={selExam} results={examResults} violations={violations.filter(v=>v.examId===selExam.id)} archived={archived} toast={toast} />}
+        {panel==="release" && <CbtModeration exam={selExam} results={examResults} release={releases[selExam.id]} archived={archived} toast={toast} currentUser={currentUser} />}
+        {panel==="access" && <CbtAccommodations exam={selExam} students={studentsInClass} accommodations={accommodations} toast={toast} currentUser={currentUser} />}
+
         {/* Results table */}
-        {examResults.length===0
+        {panel==="results" && (examResults.length===0
           ? <div className="card" style={{textAlign:"center",padding:"48px 20px",color:"var(--text3)"}}>
               <div style={{fontSize:44,marginBottom:10}}>📋</div>
               <div style={{fontWeight:700}}>No submissions yet</div>
@@ -1806,7 +2292,7 @@ export function CbtExamManager({ toast, currentUser }) {
                   </tr></thead>
                   <tbody>
                     {examResults.map((r,i)=>{
-                      const grade  = r.percent>=70?"A":r.percent>=60?"B":r.percent>=50?"C":r.percent>=40?"D":"F";
+                      const grade  = gradeLetter(r.percent);
                       const gColor = r.percent>=70?"var(--success)":r.percent>=50?"var(--warn)":"var(--danger)";
                       return (
                         <tr key={r.student} style={{background:i===0?"rgba(34,197,94,.03)":""}}>
@@ -1815,13 +2301,21 @@ export function CbtExamManager({ toast, currentUser }) {
                           </td>
                           <td style={{fontWeight:600,fontSize:13}}>
                             {r.student}
+                            {accommodations.some(a=>a.student===r.student)&&(
+                              <span title={describeCbtAccommodation(accommodations.find(a=>a.student===r.student))} style={{marginLeft:6,fontSize:10,padding:"1px 6px",borderRadius:10,background:"rgba(168,85,247,.12)",color:"var(--purple)",fontWeight:700}}>♿</span>
+                            )}
                             {violations.filter(v=>v.examId===selExam.id&&v.student===r.student).length>0&&(
                               <span title="Violations recorded" style={{marginLeft:6,fontSize:10,padding:"1px 6px",borderRadius:10,background:"rgba(239,68,68,.12)",color:"var(--danger)",fontWeight:700}}>
                                 🚨 {violations.filter(v=>v.examId===selExam.id&&v.student===r.student).length} flag{violations.filter(v=>v.examId===selExam.id&&v.student===r.student).length>1?"s":""}
                               </span>
                             )}
                           </td>
-                          <td style={{fontWeight:700,color:"var(--accent)",fontSize:14}}>{r.score}/{r.total}</td>
+                          <td style={{fontWeight:700,color:"var(--accent)",fontSize:14}}>
+                            {r.score}/{r.total}
+                            {r.sections?.map(s=>(
+                              <div key={s.id} style={{fontSize:10,fontWeight:600,color:"var(--text3)",whiteSpace:"nowrap"}} title={`${s.answered}/${s.count} answered`}>📑 {s.title}: {s.score}/{s.total}</div>
+                            ))}
+                          </td>
                           <td>
                             <div style={{display:"flex",alignItems:"center",gap:8}}>
                               <div style={{flex:1,height:7,borderRadius:4,background:"var(--bg3)",overflow:"hidden",minWidth:70}}>
@@ -1830,9 +2324,23 @@ export function CbtExamManager({ toast, currentUser }) {
                               <span style={{fontWeight:800,color:gColor,fontSize:12,minWidth:38}}>{r.percent}%</span>
                             </div>
                           </td>
-                          <td><span style={{fontWeight:800,fontSize:14,color:gColor}}>{grade}</span></td>
-                          <td style={{fontSize:11,color:"var(--text3)"}}>{r.submittedAt?new Date(r.submittedAt).toLocaleString():"-"}</td>
-                          <td><button className="btn btn-sm" title="Allow this student to retake" onClick={()=>allowRetake(selExam.id,r.student)}>🔄 Retake</button></td>
+                          <td>
+                            <span style={{fontWeight:800,fontSize:14,color:gColor}}>{grade}</span>
+                            <div style={{fontSize:10,fontWeight:700,color:resultPassed(r)?"var(--success)":"var(--danger)"}}>{resultPassed(r)?"Pass":"Fail"}</div>
+                          </td>
+                          <td style={{fontSize:11,color:"var(--text3)"}}>
+                            {r.submittedAt?new Date(r.submittedAt).toLocaleString():"-"}
+                            {r.offline&&<div style={{color:"var(--accent)",fontWeight:700}} title={[r.issuedAt&&`Downloaded ${new Date(r.issuedAt).toLocaleString()}`,r.uploadedAt&&`Uploaded ${new Date(r.uploadedAt).toLocaleString()}`,"Start and finish times are the device's own"].filter(Boolean).join(" • ")}>📴 Sat offline</div>}
+                            {r.reason==="proctor_submit"
+                              ? <div style={{color:"var(--danger)",fontWeight:700}} title={r.submittedBy?`By ${r.submittedBy}`:""}>⏹ Submitted by invigilator</div>
+                              : r.reason==="server_timeout"
+                              ? <div style={{color:"var(--danger)",fontWeight:700}} title="The browser never submitted — closed by the server at the deadline">⏰ Closed by server</div>
+                              : r.late&&<div style={{color:"var(--warn)",fontWeight:700}} title="Arrived in the grace period after the deadline">⏰ After deadline</div>}
+                          </td>
+                          <td style={{whiteSpace:"nowrap"}}>
+                            <button className="btn btn-sm" style={{marginRight:4}} title="Reopen this attempt with the student's saved answers" onClick={()=>allowResume(selExam.id,r.student)}>▶️ Resume</button>
+                            <button className="btn btn-sm" title="Allow this student to retake" onClick={()=>allowRetake(selExam.id,r.student)}>🔄 Retake</button>
+                          </td>
                         </tr>
                       );
                     })}
@@ -1840,10 +2348,10 @@ export function CbtExamManager({ toast, currentUser }) {
                 </table>
               </div>
             </div>
-        }
+        )}
 
         {/* Not-yet-taken */}
-        {notYetTaken.length>0&&(
+        {panel==="results"&&notYetTaken.length>0&&(
           <div className="card" style={{borderLeft:"3px solid var(--warn)"}}>
             <div style={{fontWeight:800,fontSize:13,color:"var(--warn)",marginBottom:8}}>⏳ Haven't Taken Exam ({notYetTaken.length})</div>
             <div style={{display:"flex",flexWrap:"wrap",gap:7}}>
@@ -1858,7 +2366,7 @@ export function CbtExamManager({ toast, currentUser }) {
         )}
 
         {/* ── Violations log ── */}
-        {(()=>{
+        {panel==="results"&&(()=>{
           const examViolations = violations.filter(v=>v.examId===selExam.id).sort((a,b)=>b.ts-a.ts);
           if (examViolations.length===0) return (
             <div className="card" style={{borderLeft:"3px solid var(--success)",marginTop:14}}>
@@ -1879,7 +2387,7 @@ export function CbtExamManager({ toast, currentUser }) {
                 const fsCount   = vList.filter(v=>v.type==="fullscreen_exit").length;
                 const autoSub   = vList.some(v=>v.type==="auto_submitted");
                 const dupDevice = vList.some(v=>v.type==="duplicate_device");
-                const snapshots = vList.filter(v=>v.snapshot&&v.snapshot.length>200);
+                const snapshots = vList.filter(violationHasSnapshot);
                 const devInfo   = vList.find(v=>v.deviceInfo)?.deviceInfo;
                 return (
                   <div key={student} className="card" style={{marginBottom:10,borderLeft:`3px solid ${autoSub||dupDevice?"var(--danger)":"var(--warn)"}`}}>
@@ -1905,11 +2413,13 @@ export function CbtExamManager({ toast, currentUser }) {
                         <div style={{width:"100%",fontSize:11,fontWeight:700,color:"var(--purple)",marginBottom:4}}>📸 Webcam Snapshots — Captured on violations</div>
                         {snapshots.map((v,si)=>(
                           <div key={si} style={{position:"relative"}}>
-                            <img src={v.snapshot} alt="snapshot"
-                              style={{width:90,height:68,objectFit:"cover",borderRadius:6,border:"2px solid rgba(168,85,247,.3)",cursor:"pointer"}}
-                              onClick={()=>window.open(v.snapshot,"_blank")}
-                              title={`${v.type} • ${new Date(v.ts).toLocaleTimeString()}`}
-                            />
+                            <StoredFile path={v.snapshotPath} legacy={v.snapshot}>{url=>(
+                              <img src={url||undefined} alt="snapshot"
+                                style={{width:90,height:68,objectFit:"cover",borderRadius:6,border:"2px solid rgba(168,85,247,.3)",cursor:"pointer",background:"var(--bg4)"}}
+                                onClick={()=>url&&window.open(url,"_blank")}
+                                title={`${v.type} • ${new Date(v.ts).toLocaleTimeString()}`}
+                              />
+                            )}</StoredFile>
                             <div style={{position:"absolute",bottom:2,left:2,right:2,fontSize:9,
                               background:"rgba(0,0,0,.65)",color:"white",borderRadius:3,padding:"1px 3px",textAlign:"center"}}>
                               {v.type==="tab_switch"?"Tab":v.type==="page_leave"?"Left":v.type==="fullscreen_exit"?"FS exit":"Flag"} {new Date(v.ts).toLocaleTimeString()}
@@ -1924,8 +2434,10 @@ export function CbtExamManager({ toast, currentUser }) {
                       {vList.map((v,i)=>(
                         <div key={i} style={{fontSize:11,color:"var(--text3)",padding:"2px 0",display:"flex",gap:8,alignItems:"center"}}>
                           <span style={{color:v.type==="auto_submitted"||v.type==="duplicate_device"?"var(--danger)":v.type==="tab_switch"||v.type==="page_leave"?"var(--warn)":v.type==="screenshot_attempt"?"var(--purple)":"var(--accent)",fontWeight:700}}>
-                            {v.type==="tab_switch"?"🔄 Tab switch":v.type==="page_leave"?"🚪 Page left (auto-submitted)":v.type==="fullscreen_exit"?"🖥️ Fullscreen exit":v.type==="auto_submitted"?`⚡ Auto-submitted${v.reason?" ("+v.reason+")":""}`:v.type==="duplicate_device"?"🔒 Duplicate device":v.type==="screenshot_attempt"?"📷 Screenshot attempt":"⚠️ "+v.type}
-                            {v.penaltyApplied&&<span style={{color:"var(--warn)",marginLeft:4}}>−{v.penaltyApplied}pt</span>}
+                            {v.type==="tab_switch"?"🔄 Tab switch":v.type==="page_leave"?"🚪 Page left (auto-submitted)":v.type==="fullscreen_exit"?"🖥️ Fullscreen exit":v.type==="auto_submitted"?`⚡ Auto-submitted${v.reason?" ("+v.reason+")":""}`:v.type==="duplicate_device"?"🔒 Duplicate device":v.type==="screenshot_attempt"?"📷 Screenshot attempt":v.type==="offline_tamper"?"🧪 Offline sheet tampered":v.type==="offline_out_of_window"?"⏰ Offline sheet outside window":"⚠️ "+v.type}
+                            {v.offline&&<span style={{fontSize:9,color:"var(--text3)",marginLeft:4}}>📴</span>}
+                            {v.penaltyApplied&&<span style={{color:"var(--warn)",marginLeft:4,textDecoration:v.review?.status==="dismissed"?"line-through":"none"}}>−{v.penaltyApplied}pt</span>}
+                            {v.review&&<span style={{color:v.review.status==="dismissed"?"var(--success)":"var(--danger)",marginLeft:4,fontWeight:600}}>{v.review.status==="dismissed"?"✖ dismissed":"✔ upheld"}</span>}
                           </span>
                           {v.hasSnapshot&&<span style={{fontSize:9,color:"var(--purple)"}}>📸</span>}
                           <span style={{marginLeft:"auto",fontFamily:"'DM Mono',monospace"}}>{new Date(v.ts).toLocaleTimeString()}</span>
@@ -2005,18 +2517,23 @@ export function CbtExamManager({ toast, currentUser }) {
             <div style={{display:"flex",alignItems:"center",gap:8,marginBottom:4,flexWrap:"wrap"}}>
               <div style={{fontWeight:800,fontSize:15}}>{e.title}</div>
               <span style={{fontSize:10,padding:"2px 8px",borderRadius:12,background:status.bg,color:status.color,fontWeight:700}}>{status.label}</span>
+              {e.showResultsImmediately===false&&e.published&&(()=>{
+                const rs = CBT_RELEASE_STATUS[cbtReleaseStatus(releases[e.id])];
+                return <span style={{fontSize:10,padding:"2px 8px",borderRadius:12,border:`1px solid ${rs.color}`,color:rs.color,fontWeight:700}}>⚖️ Results {rs.label.toLowerCase()}</span>;
+              })()}
             </div>
             {e.subject&&<div style={{fontSize:12,color:"var(--text3)",marginBottom:3}}>📚 {e.subject}</div>}
             <div style={{display:"flex",flexWrap:"wrap",gap:10,fontSize:11,color:"var(--text3)"}}>
               <span>🏫 {cls?.label||e.classId||"—"}</span>
-              <span>❓ {e.questions.length}Q</span>
-              <span>⏱ {e.duration}min</span>
+              <span>❓ {e.drawEnabled?`${cbtPaperLength(e)} of ${e.questions.length}`:e.questions.length}Q</span>
+              <span>⏱ {cbtExamDuration(e)}min</span>
+              {e.sections?.length>0&&<span>📑 {e.sections.length} sections</span>}
               <span>✅ {submitted} submitted</span>
               {e.publishedAt&&<span>📅 {new Date(e.publishedAt).toLocaleDateString()}</span>}
             </div>
           </div>
           <div style={{display:"flex",gap:6,flexWrap:"wrap",justifyContent:"flex-end",alignItems:"center"}}>
-            <button className="btn btn-sm" onClick={()=>{setSelExam(e);setView("monitor");}}>👁 Monitor</button>
+            <button className="btn btn-sm" onClick={()=>{setSelExam(e);setPanel(e.published&&!isArchived(e)?"live":"results");setView("monitor");}}>👁 Monitor</button>
             <button className="btn btn-sm" onClick={()=>{setForm({...e});setEditQIdx(null);setSingleQ({q:"",options:["","","",""],ans:0});setView("compose");}}>✏️ Edit</button>
             {e.published
               ? <button className="btn btn-sm" style={{borderColor:"var(--warn)",color:"var(--warn)"}} onClick={()=>togglePublish(e.id,false)}>📤 Unpublish</button>
@@ -2033,60 +2550,1313 @@ export function CbtExamManager({ toast, currentUser }) {
 // ── Student: CBT Exam View ─────────────────────────────────────────────
 // ── Student: CBT Exam View (with anti-malpractice) ───────────────────
 
-export function CbtStudentView({ toast, currentUser }) {
-  const [exams,   setExams]   = useState([]);
-  const [results, setResults] = useState([]);
-  const [mode,    setMode]    = useState("list"); // list | preflight | camsetup | taking | done | review
-  const [activeExam,  setActiveExam]  = useState(null);
-  const [shuffledQs,  setShuffledQs]  = useState([]);
-  const [answers,     setAnswers]     = useState([]);
-  const [qIdx,        setQIdx]        = useState(0);
-  const [timeLeft,    setTimeLeft]    = useState(0);
-  const [myResult,    setMyResult]    = useState(null);
-  const [loading,     setLoading]     = useState(true);
-  const [isFullscreen, setIsFullscreen] = useState(false);
-  const [genuineFullscreenExit, setGenuineFullscreenExit] = useState(false);
-  const [overlayActive,    setOverlayActive]    = useState(false);  // app-on-top overlay
-  const [overlayCountdown, setOverlayCountdown] = useState(5);      // 5-4-3-2-1 countdown
-  const [tabSwitches,      setTabSwitches]      = useState(0);
-  const [violations,       setViolations]       = useState([]);
-  const [warningMsg,       setWarningMsg]       = useState("");
-  const [showWarning,      setShowWarning]      = useState(false);
-  const [penaltyDeductions,setPenaltyDeductions]= useState(0); // 0.5 per non-tab violation
-  const [examSubmitted,    setExamSubmitted]    = useState(false); // prevent double-submit
-  const [rulesAccepted,    setRulesAccepted]    = useState(false); // rules checkbox on preflight
-  // Webcam
-  const [camStream,    setCamStream]    = useState(null);
-  const [camAllowed,   setCamAllowed]   = useState(null); // null=unknown, true, false
-  const [camError,     setCamError]     = useState("");
-  const [lastSnapshot, setLastSnapshot] = useState(null);
-  const videoRef = useRef(null);
-  const canvasRef = useRef(null);
-  // Device lock
-  const [deviceBlocked, setDeviceBlocked] = useState(false);
-  const [deviceBlockMsg, setDeviceBlockMsg] = useState("");
-  // Review mode answer reveal
-  const [showAns, setShowAns] = useState({});
+// ══════════════════════════════════════════════════════════════════
+// CbtAccommodations — per-student overrides for the Monitor view: extra
+// time, fullscreen/webcam exemptions, an alternative sitting window and
+// larger text (see shared/cbtHelpers applyCbtAccommodation).
+// ══════════════════════════════════════════════════════════════════
+export function CbtAccommodations({ exam, students, accommodations, toast, currentUser }) {
+  const blankAcc = { student:"", extraTimePct:0, noFullscreen:false, noWebcam:false, largeText:false, startTime:"", endTime:"", note:"" };
+  const [draft,  setDraft]  = useState(null);
+  const [saving, setSaving] = useState(false);
+  const set = (k, v) => setDraft(d=>({...d,[k]:v}));
+
+  const save = async () => {
+    if (!draft.student) { toast("Choose a student","error"); return; }
+    const { startAt, endAt } = cbtWindowTimes(draft);
+    if ((startAt===null) !== (endAt===null)) { toast("Set both the start and end of the alternative window, or neither","error"); return; }
+    if (startAt!==null && endAt<=startAt) { toast("The alternative window must end after it starts","error"); return; }
+    const { _editing, ...fields } = draft;
+    const acc = { ...fields, extraTimePct: Math.min(300, Math.max(0, Math.round(Number(draft.extraTimePct)||0))), startAt, endAt, updatedBy: currentUser };
+    if (!describeCbtAccommodation(acc)) { toast("Pick at least one accommodation","error"); return; }
+    setSaving(true);
+    try {
+      await saveCbtAccommodation(exam.id, acc);
+      toast(`♿ Accommodations saved for ${acc.student.split("@")[0]}`,"success");
+      setDraft(null);
+    } catch(e) { toast("⚠️ Could not save — "+e.message,"error"); }
+    setSaving(false);
+  };
 
-  const classes = ls("nv-classes", DEFAULT_CLASSES);
-  const myUser  = ls("nv-users",[]).find(u=>u.username===currentUser);
-  const myClass = myUser?.class;
+  const remove = async (student) => {
+    if (!confirm(`Remove ${student.split("@")[0]}'s accommodations for this exam?`)) return;
+    try { await deleteCbtAccommodation(exam.id, student); toast("Accommodations removed","success"); }
+    catch(e) { toast("⚠️ Could not remove — "+e.message,"error"); }
+  };
+
+  const toggles = [
+    ["noFullscreen","🖥️ Exempt from fullscreen","No fullscreen lockdown, overlay or fullscreen-exit penalty"],
+    ["noWebcam","📸 Exempt from webcam","No camera setup or violation snapshots"],
+    ["largeText","🔠 Larger text","Questions and options shown 30% larger"],
+  ];
+
+  return (
+    <div>
+      <div className="card" style={{marginBottom:12,borderLeft:"3px solid var(--purple)"}}>
+        <div style={{display:"flex",alignItems:"center",gap:10,flexWrap:"wrap"}}>
+          <div style={{flex:1}}>
+            <div style={{fontWeight:800,fontSize:13,color:"var(--purple)"}}>♿ Student Accommodations</div>
+            <div style={{fontSize:11,color:"var(--text3)",marginTop:2}}>Only the student and staff can see these. Changes apply to attempts started afterwards.</div>
+          </div>
+          {!draft&&<button className="btn btn-sm btn-purple" onClick={()=>setDraft({...blankAcc})}>＋ Add Student</button>}
+        </div>
+      </div>
+
+      {draft&&(
+        <div className="card" style={{marginBottom:12}}>
+          <div style={{display:"grid",gridTemplateColumns:"2fr 1fr",gap:10,marginBottom:10}}>
+            <div>
+              <label className="lbl">Student *</label>
+              <select className="inp" style={{marginBottom:0}} value={draft.student} disabled={draft._editing} onChange={e=>set("student",e.target.value)}>
+                <option value="">— Select student —</option>
+                {students.map(s=><option key={s.username} value={s.username}>{s.username}{accommodations.some(a=>a.student===s.username)?" (has accommodations)":""}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="lbl">Extra time (%)</label>
+              <input className="inp" style={{marginBottom:0}} type="number" min="0" max="300" step="5" value={draft.extraTimePct} onChange={e=>set("extraTimePct",e.target.value)} />
+              <div style={{fontSize:10,color:"var(--text3)",marginTop:3}}>{cbtExamDuration(exam)} min → {cbtExamDuration(applyCbtAccommodation(exam,{extraTimePct:draft.extraTimePct}))} min</div>
+            </div>
+          </div>
+          <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(180px,1fr))",gap:8,marginBottom:10}}>
+            {toggles.map(([key,label,desc])=>(
+              <label key={key} style={{display:"flex",gap:8,alignItems:"flex-start",cursor:"pointer",padding:"8px 10px",borderRadius:9,
+                border:`1px solid ${draft[key]?"var(--purple)":"var(--border)"}`,background:draft[key]?"rgba(168,85,247,.06)":"var(--bg4)"}}>
+                <input type="checkbox" checked={!!draft[key]} onChange={e=>set(key,e.target.checked)} style={{marginTop:2}} />
+                <div>
+                  <div style={{fontWeight:700,fontSize:12}}>{label}</div>
+                  <div style={{fontSize:10,color:"var(--text3)"}}>{desc}</div>
+                </div>
+              </label>
+            ))}
+          </div>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10,marginBottom:10}}>
+            <div>
+              <label className="lbl">Alternative window — start</label>
+              <input className="inp" style={{marginBottom:0}} type="datetime-local" value={draft.startTime||""} onChange={e=>set("startTime",e.target.value)} />
+            </div>
+            <div>
+              <label className="lbl">Alternative window — end</label>
+              <input className="inp" style={{marginBottom:0}} type="datetime-local" value={draft.endTime||""} onChange={e=>set("endTime",e.target.value)} />
+            </div>
+          </div>
+          <div style={{fontSize:10,color:"var(--text3)",marginTop:-4,marginBottom:10}}>Leave both blank to sit the exam in its normal window. When set, this window replaces the exam's start, end and 24-hour auto-close for this student.</div>
+          <label className="lbl">Note (staff only)</label>
+          <input className="inp" value={draft.note||""} onChange={e=>set("note",e.target.value)} placeholder="e.g. Disability office letter, 12 Sept" />
+          <div style={{display:"flex",gap:8,justifyContent:"flex-end"}}>
+            <button className="btn btn-sm" onClick={()=>setDraft(null)}>Cancel</button>
+            <button className="btn btn-sm btn-purple" disabled={saving} onClick={save}>{saving?"⏳ Saving…":"💾 Save"}</button>
+          </div>
+        </div>
+      )}
+
+      {accommodations.length===0
+        ? !draft&&<div className="card" style={{textAlign:"center",color:"var(--text3)",fontSize:13}}>No accommodations set for this exam.</div>
+        : accommodations.map(a=>(
+            <div key={a.student} className="card" style={{marginBottom:8,display:"flex",alignItems:"center",gap:10,flexWrap:"wrap"}}>
+              <div style={{flex:1,minWidth:180}}>
+                <div style={{fontWeight:700,fontSize:13}}>{a.student}</div>
+                <div style={{fontSize:11,color:"var(--purple)",fontWeight:600,marginTop:2}}>{describeCbtAccommodation(a)}</div>
+                {a.note&&<div style={{fontSize:11,color:"var(--text3)",marginTop:2}}>📝 {a.note}</div>}
+              </div>
+              <button className="btn btn-sm" onClick={()=>setDraft({...blankAcc,...a,_editing:true})}>✏️ Edit</button>
+              <button className="btn btn-sm btn-danger" onClick={()=>remove(a.student)}>🗑️</button>
+            </div>
+          ))}
+    </div>
+  );
+}
+
+// ══════════════════════════════════════════════════════════════════
+// CbtLiveProctor — live grid of every student in the class for the
+// Monitor view: not started, in progress (question, answered, time
+// left), submitted or auto-submitted, with their flags and latest
+// webcam snapshot as they come in. Invigilators can warn a student,
+// extend their time or submit for them (see functions/index.js
+// extendCbtAttempt / forceSubmitCbtAttempt).
+// Times are read on this device's clock against the server's deadline —
+// close enough for a dashboard; the student's own timer is exact.
+// ══════════════════════════════════════════════════════════════════
+const LIVE_AUTO_REASONS = {
+  auto_tab:       "🔄 Tab switches",
+  page_leave:     "🚪 Left the page",
+  server_timeout: "⏰ Closed by server",
+  proctor_submit: "⏹ Submitted by invigilator",
+};
+const LIVE_STATUS = {
+  not_started: { label:"Not started",    color:"var(--text3)",  order:3 },
+  in_progress: { label:"In progress",    color:"var(--accent)", order:0 },
+  time_up:     { label:"Time up",        color:"var(--warn)",   order:1 },
+  submitted:   { label:"Submitted",      color:"var(--success)",order:4 },
+  auto:        { label:"Auto-submitted", color:"var(--danger)", order:2 },
+};
+
+export function CbtLiveProctor({ exam, students, results, violations, accommodations, toast, currentUser }) {
+  const [sessions, setSessions] = useState({});
+  const [attempts, setAttempts] = useState({});
+  const [filter,   setFilter]   = useState("all");
+  const [busy,     setBusy]     = useState(null); // student with an action in flight
+  const [, setTick] = useState(0);
 
   useEffect(() => {
-    const u1 = subscribeCbtExams(list => { setExams(list); setLoading(false); });
-    const u2 = subscribeCbtResults(list => setResults(list));
+    const u1 = subscribeCbtSessions(exam.id, setSessions);
+    const u2 = subscribeCbtAttempts(exam.id, setAttempts);
     return () => { u1(); u2(); };
-  }, []);
+  }, [exam.id]);
 
-  // Cleanup camera on unmount or when not taking
+  // Re-render each second so the countdowns move.
   useEffect(() => {
-    if (mode!=="taking"&&mode!=="camsetup") {
-      if (camStream) { camStream.getTracks().forEach(t=>t.stop()); setCamStream(null); }
-    }
-  }, [mode]);
+    const t = setInterval(() => setTick(n => n+1), 1000);
+    return () => clearInterval(t);
+  }, []);
 
-  // Attach stream to video element
-  useEffect(() => {
+  const now = Date.now();
+  const fmtLeft = (ms) => { const s = Math.max(0, Math.ceil(ms/1000)); return `${Math.floor(s/60)}:${String(s%60).padStart(2,"0")}`; };
+  const ago = (ms) => ms<60000 ? `${Math.max(0,Math.round(ms/1000))}s ago` : `${Math.round(ms/60000)}m ago`;
+
+  const tiles = students.map(st => {
+    const key     = studentKey(st.username);
+    const session = sessions[key];
+    const attempt = attempts[key];
+    const result  = results.find(r=>r.student===st.username);
+    const flags   = violations.filter(v=>v.student===st.username).sort((a,b)=>b.ts-a.ts);
+    const status  = result ? (LIVE_AUTO_REASONS[result.reason] ? "auto" : "submitted")
+      : session ? (now > session.cutoffAt ? "time_up" : "in_progress") : "not_started";
+    const total   = session?.order?.length || cbtPaperLength(exam);
+    const answered = Object.values(attempt?.answers||{}).filter(a=>a!==null&&a!==undefined).length;
+    return {
+      student: st.username, status, session, result, flags, total, answered,
+      qIdx: attempt?.qIdx ?? 0,
+      lastSeen: attempt?.savedAt?.toMillis?.() ?? session?.startedAt ?? null,
+      snapshot: flags.find(violationHasSnapshot),
+      acc: accommodations.find(a=>a.student===st.username),
+    };
+  });
+  const counts = Object.keys(LIVE_STATUS).reduce((m,k)=>({...m,[k]:tiles.filter(t=>t.status===k).length}),{});
+  const flagged = tiles.filter(t=>t.flags.length>0).length;
+  const shown = tiles
+    .filter(t => filter==="all" || (filter==="flagged" ? t.flags.length>0 : t.status===filter))
+    .sort((a,b) => LIVE_STATUS[a.status].order-LIVE_STATUS[b.status].order || b.flags.length-a.flags.length || a.student.localeCompare(b.student));
+
+  const act = async (student, fn) => {
+    setBusy(student);
+    try { await fn(); } catch(e) { toast("⚠️ "+e.message,"error"); }
+    setBusy(null);
+  };
+  const name = (student) => student.split("@")[0];
+
+  const warn = (student) => {
+    const text = prompt(`Message to show on ${name(student)}'s screen:`, "Eyes on your own screen, please.");
+    if (!text?.trim()) return;
+    act(student, async () => {
+      await sendCbtWarning(exam.id, student, text.trim(), currentUser);
+      toast(`📣 Warning sent to ${name(student)}`,"success");
+    });
+  };
+  const extend = (student) => {
+    const input = prompt(`Extra minutes for ${name(student)}:`, "5");
+    if (input===null) return;
+    const minutes = Number(input);
+    if (!(minutes>0)) { toast("Enter a number of minutes","error"); return; }
+    act(student, async () => {
+      const { session } = await extendCbtAttempt(exam.id, student, minutes);
+      toast(`⏱ ${name(student)} now has until ${new Date(session.deadline).toLocaleTimeString()}`,"success");
+    });
+  };
+  const forceSubmit = (student) => {
+    if (!confirm(`Submit ${name(student)}'s exam now?\n\nIt will be graded on the answers saved so far and their exam will close.`)) return;
+    act(student, async () => {
+      const { result } = await forceSubmitCbtAttempt(exam.id, student);
+      toast(`⏹ ${name(student)} submitted — ${result.score}/${result.total}`,"success");
+    });
+  };
+
+  const chip = (key, label, n, color) => (
+    <button key={key} className="btn btn-sm" onClick={()=>setFilter(key)}
+      style={{borderColor:filter===key?color:"var(--border)",color:filter===key?color:"var(--text2)",background:filter===key?"var(--bg4)":"transparent",fontWeight:700}}>
+      {label} <span style={{opacity:.7}}>{n}</span>
+    </button>
+  );
+
+  return (
+    <div>
+      <div style={{display:"flex",gap:6,flexWrap:"wrap",marginBottom:12}}>
+        {chip("all","All",tiles.length,"var(--text)")}
+        {Object.entries(LIVE_STATUS).map(([k,st])=>chip(k,st.label,counts[k],st.color))}
+        {chip("flagged","🚨 Flagged",flagged,"var(--danger)")}
+      </div>
+
+      {shown.length===0
+        ? <div className="card" style={{textAlign:"center",color:"var(--text3)",fontSize:13}}>No students here.</div>
+        : <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fill,minmax(230px,1fr))",gap:10}}>
+            {shown.map(t=>{
+              const st = LIVE_STATUS[t.status];
+              const left = t.session ? t.session.deadline-now : null;
+              const running = t.status==="in_progress";
+              return (
+                <div key={t.student} className="card" style={{padding:12,marginBottom:0,borderTop:`3px solid ${st.color}`,opacity:t.status==="not_started"?.75:1}}>
+                  <div style={{display:"flex",gap:8,alignItems:"flex-start",marginBottom:8}}>
+                    {t.snapshot
+                      ? <StoredFile path={t.snapshot.snapshotPath} legacy={t.snapshot.snapshot}>{url=>(
+                          <img src={url||undefined} alt="latest snapshot" onClick={()=>url&&window.open(url,"_blank")}
+                            title={`${t.snapshot.type} • ${new Date(t.snapshot.ts).toLocaleTimeString()}`}
+                            style={{width:64,height:48,objectFit:"cover",borderRadius:6,border:"2px solid rgba(168,85,247,.35)",cursor:"pointer",flexShrink:0,background:"var(--bg4)"}} />
+                        )}</StoredFile>
+                      : <div style={{width:64,height:48,borderRadius:6,background:"var(--bg4)",display:"flex",alignItems:"center",justifyContent:"center",fontSize:20,flexShrink:0}}>👤</div>}
+                    <div style={{flex:1,minWidth:0}}>
+                      <div style={{fontWeight:700,fontSize:12,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}} title={t.student}>
+                        {name(t.student)}
+                        {t.acc&&<span title={describeCbtAccommodation(t.acc)} style={{marginLeft:4,fontSize:10,color:"var(--purple)"}}>♿</span>}
+                      </div>
+                      <div style={{fontSize:11,fontWeight:800,color:st.color}}>{st.label}</div>
+                      {t.result&&LIVE_AUTO_REASONS[t.result.reason]&&<div style={{fontSize:10,color:"var(--danger)"}}>{LIVE_AUTO_REASONS[t.result.reason]}</div>}
+                    </div>
+                  </div>
+
+                  {(running||t.status==="time_up")&&(
+                    <div style={{marginBottom:8}}>
+                      <div style={{display:"flex",justifyContent:"space-between",fontSize:11,marginBottom:3}}>
+                        <span>Q {Math.min(t.qIdx+1,t.total)} of {t.total}</span>
+                        <span style={{fontFamily:"'DM Mono',monospace",fontWeight:800,color:left<=5*60000?"var(--danger)":"var(--accent)"}}>⏱ {fmtLeft(left)}</span>
+                      </div>
+                      <div style={{height:6,borderRadius:3,background:"var(--bg3)",overflow:"hidden"}}>
+                        <div style={{height:"100%",width:`${t.total?Math.round(t.answered/t.total*100):0}%`,background:"var(--accent)",transition:"width .4s"}} />
+                      </div>
+                      <div style={{display:"flex",justifyContent:"space-between",fontSize:10,color:"var(--text3)",marginTop:3}}>
+                        <span>{t.answered}/{t.total} answered</span>
+                        {t.lastSeen&&<span title="Last saved answer or move">{ago(now-t.lastSeen)}</span>}
+                      </div>
+                      {(t.session.extendedMs>0||t.session.warnings?.length>0)&&(
+                        <div style={{fontSize:10,color:"var(--text3)",marginTop:2}}>
+                          {t.session.extendedMs>0&&<span>+{Math.round(t.session.extendedMs/60000)} min given </span>}
+                          {t.session.warnings?.length>0&&<span>• 📣 {t.session.warnings.length} warning{t.session.warnings.length>1?"s":""}</span>}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {t.result&&(
+                    <div style={{fontSize:11,marginBottom:8}}>
+                      <b style={{color:"var(--accent)"}}>{t.result.score}/{t.result.total}</b> ({t.result.percent}%) • {new Date(t.result.submittedAt).toLocaleTimeString()}
+                    </div>
+                  )}
+
+                  {t.flags.length>0&&(
+                    <div style={{fontSize:10,color:"var(--danger)",fontWeight:700,marginBottom:8}} title={t.flags.map(v=>`${v.type} ${new Date(v.ts).toLocaleTimeString()}`).join("\n")}>
+                      🚨 {t.flags.length} flag{t.flags.length>1?"s":""} • latest: {t.flags[0].type.replace(/_/g," ")} {ago(now-t.flags[0].ts)}
+                    </div>
+                  )}
+
+                  {running&&(
+                    <div style={{display:"flex",gap:4}}>
+                      <button className="btn btn-sm" style={{flex:1,padding:"4px 6px"}} disabled={busy===t.student} title="Show a message on the student's screen" onClick={()=>warn(t.student)}>📣 Warn</button>
+                      <button className="btn btn-sm" style={{flex:1,padding:"4px 6px"}} disabled={busy===t.student} title="Give this student extra minutes" onClick={()=>extend(t.student)}>⏱ +Time</button>
+                      <button className="btn btn-sm btn-danger" style={{flex:1,padding:"4px 6px"}} disabled={busy===t.student} title="End this attempt now" onClick={()=>forceSubmit(t.student)}>⏹ Submit</button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>}
+    </div>
+  );
+}
+
+// ══════════════════════════════════════════════════════════════════
+// CbtItemAnalysis — per-question difficulty, discrimination and
+// distractor breakdown for the Monitor view (see shared/itemAnalysis).
+// ══════════════════════════════════════════════════════════════════
+export function CbtItemAnalysis({ exam, results, archived, toast }) {
+  const [onlyFlagged, setOnlyFlagged] = useState(false);
+  const a = analyseItems(exam, results);
+  const suspect = a.items.filter(isSuspectItem);
+  const shown = onlyFlagged ? a.items.filter(it=>it.flags.length) : a.items;
+  const fmt = (x, d=2) => x===null||x===undefined ? "—" : x.toFixed(d);
+  const krNote = a.pool ? "n/a — random subsets" : a.kr20===null ? "not enough spread" : a.kr20>=0.8 ? "good" : a.kr20>=0.6 ? "acceptable" : "low";
+  const pColor = (p) => p<0.2||p>0.9 ? "var(--warn)" : "var(--success)";
+  const dColor = (d) => d<0 ? "var(--danger)" : d<0.2 ? "var(--warn)" : "var(--success)";
+
+  const exportCsv = () => {
+    const blob = new Blob([itemAnalysisCsv(exam, a)], { type:"text/csv" });
+    const url = URL.createObjectURL(blob);
+    const el = document.createElement("a"); el.href = url; el.download = `${exam.title.replace(/[^a-z0-9]+/gi,"-")}-item-analysis.csv`; el.click();
+    toast("Item analysis exported!", "success");
+  };
+
+  const printReport = () => {
+    const rows = a.items.map((it,i)=>{
+      const bad = isSuspectItem(it);
+      const opts = it.options.map(o=>`<span style="margin-right:10px;${o.isKey?"font-weight:bold;color:#16a34a":""}">${"ABCD"[o.opt]}: ${o.pct}% (U${o.upper}/L${o.lower})</span>`).join("");
+      return `<tr style="background:${bad?"#fde8e8":i%2===0?"#f0f8ff":"white"}">
+        <td style="padding:6px 10px;border:1px solid #ccc;text-align:center;font-weight:bold;">${it.qIdx+1}</td>
+        <td style="padding:6px 10px;border:1px solid #ccc;">${it.q}<br><span style="font-size:11px;color:#555">${opts}${it.omitted?` &nbsp;Omitted: ${it.omitted}`:""}</span></td>
+        <td style="padding:6px 10px;border:1px solid #ccc;text-align:center;font-weight:bold;">${itemKeyLabel(it)}</td>
+        <td style="padding:6px 10px;border:1px solid #ccc;text-align:center;">${fmt(it.p)}</td>
+        <td style="padding:6px 10px;border:1px solid #ccc;text-align:center;color:${it.d<0?"#dc2626":"#000"}">${fmt(it.d)}${a.pool?`<br><span style="font-size:10px;color:#555">n=${it.n}</span>`:""}</td>
+        <td style="padding:6px 10px;border:1px solid #ccc;font-size:11px;color:${bad?"#dc2626":"#b45309"}">${it.flags.map(f=>ITEM_FLAG_LABELS[f]).join(", ")||"—"}</td>
+      </tr>`;
+    }).join("");
+    const w = window.open("","_blank","width=980,height=720");
+    w.document.write(`<!DOCTYPE html><html><head><title>${exam.title} – Item Analysis</title>
+    <style>body{font-family:'Times New Roman',serif;padding:32px;color:#000}h1{margin-bottom:4px}p{font-size:13px;color:#555;margin-bottom:20px}
+    table{width:100%;border-collapse:collapse}th{background:#0077b6;color:white;padding:10px 12px;border:1px solid #ccc;text-align:left}
+    th.center{text-align:center}
+    @media print{.no-print{display:none}}</style></head>
+    <body>
+    <h1>📈 ${exam.title} — Item Analysis</h1>
+    <p>Scripts analysed: ${a.n}${a.skipped?` (${a.skipped} older result(s) without responses skipped)`:""} &nbsp;•&nbsp; KR-20: ${fmt(a.kr20,3)} (${krNote}) &nbsp;•&nbsp; Mean: ${fmt(a.mean)}/${a.k} &nbsp;•&nbsp; SD: ${fmt(a.sd)} &nbsp;•&nbsp; Upper/lower groups: ${a.groupSize||0} each &nbsp;•&nbsp; Generated: ${new Date().toLocaleString()}</p>
+    <button class="no-print" onclick="window.print()" style="margin-bottom:16px;padding:8px 20px;background:#0077b6;color:white;border:none;border-radius:6px;cursor:pointer;font-size:14px">🖨️ Print</button>
+    <table>
+      <thead><tr>
+        <th class="center" style="width:40px">#</th>
+        <th>Question / options (% chosen, upper/lower counts)</th>
+        <th class="center" style="width:50px">Key</th>
+        <th class="center" style="width:70px">p</th>
+        <th class="center" style="width:70px">D</th>
+        <th style="width:170px">Flags</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    </body></html>`);
+    w.document.close();
+  };
+
+  if (!a.n) return (
+    <div className="card" style={{textAlign:"center",padding:"40px 20px",color:"var(--text3)",marginBottom:14}}>
+      <div style={{fontSize:40,marginBottom:8}}>📈</div>
+      <div style={{fontWeight:700}}>No scripts to analyse yet</div>
+      <div style={{fontSize:12,marginTop:4}}>{a.skipped?`${a.skipped} result(s) were graded before per-question responses were recorded.`:"Item analysis appears once students submit."}</div>
+    </div>
+  );
+
+  return (
+    <div style={{marginBottom:14}}>
+      {!archived&&(
+        <div style={{fontSize:12,fontWeight:700,color:"var(--warn)",background:"rgba(251,146,60,.08)",border:"1px solid rgba(251,146,60,.25)",borderRadius:8,padding:"7px 12px",marginBottom:10}}>
+          ⏳ Exam still open — figures are provisional until it closes.
+        </div>
+      )}
+      {a.n<10&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>Only {a.n} script{a.n!==1?"s":""} — statistics are unreliable below ~30 candidates.</div>}
+
+      <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(120px,1fr))",gap:10,marginBottom:12}}>
+        {[
+          {icon:"📝",label:"Scripts",     val:a.n,                       color:"var(--accent)"},
+          {icon:"🧮",label:`KR-20 (${krNote})`, val:fmt(a.kr20,2),       color:"var(--purple)"},
+          {icon:"📊",label:"Mean raw",    val:`${fmt(a.mean,1)}/${a.k}`, color:"var(--success)"},
+          {icon:"📏",label:"Std dev",     val:fmt(a.sd,1),               color:"var(--text2)"},
+          {icon:"🚩",label:"Suspect items",val:suspect.length,           color:suspect.length?"var(--danger)":"var(--success)"},
+        ].map((s,i)=>(
+          <div key={i} className="card" style={{textAlign:"center",padding:"12px 8px",borderTop:`3px solid ${s.color}`}}>
+            <div style={{fontSize:22,marginBottom:3}}>{s.icon}</div>
+            <div style={{fontWeight:800,fontSize:18,color:s.color}}>{s.val}</div>
+            <div style={{fontSize:10,color:"var(--text3)"}}>{s.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{display:"flex",gap:8,alignItems:"center",marginBottom:10,flexWrap:"wrap"}}>
+        <label style={{display:"flex",alignItems:"center",gap:6,fontSize:12,cursor:"pointer",flex:1}}>
+          <input type="checkbox" checked={onlyFlagged} onChange={e=>setOnlyFlagged(e.target.checked)} /> Show flagged questions only
+        </label>
+        <button className="btn btn-sm" onClick={exportCsv}>⬇️ Export CSV</button>
+        <button className="btn btn-sm" style={{borderColor:"var(--accent)",color:"var(--accent)"}} onClick={printReport}>🖨️ Print Report</button>
+      </div>
+      {a.skipped>0&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>{a.skipped} older result(s) without per-question responses are not included.</div>}
+      {a.pool&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>🎲 Random-subset exam — each question is measured only on the students who were given it.</div>}
+
+      {shown.map(it=>{
+        const bad = isSuspectItem(it);
+        return (
+          <div key={it.qIdx} className="card2" style={{marginBottom:8,borderLeft:`3px solid ${bad?"var(--danger)":it.flags.length?"var(--warn)":"var(--success)"}`,background:bad?"rgba(239,68,68,.04)":undefined}}>
+            <div style={{display:"flex",gap:10,alignItems:"flex-start",marginBottom:8}}>
+              <div style={{width:24,height:24,borderRadius:7,background:"rgba(0,119,182,.12)",display:"flex",alignItems:"center",justifyContent:"center",fontSize:11,fontWeight:800,color:"var(--accent)",flexShrink:0}}>{it.qIdx+1}</div>
+              <div style={{flex:1,fontWeight:700,fontSize:13,lineHeight:1.4}}>{it.q}</div>
+              <div style={{textAlign:"right",flexShrink:0,fontSize:12}}>
+                <div>p <b style={{color:pColor(it.p)}}>{fmt(it.p)}</b></div>
+                <div>D <b style={{color:dColor(it.d)}}>{fmt(it.d)}</b></div>
+                {a.pool&&<div style={{color:"var(--text3)",fontSize:10}}>sat by {it.n}</div>}
+              </div>
+            </div>
+            {it.options.map(o=>(
+              <div key={o.opt} style={{display:"flex",alignItems:"center",gap:8,marginBottom:3,fontSize:11}}>
+                <span style={{width:18,fontWeight:800,color:o.isKey?"var(--success)":"var(--text3)"}}>{"ABCD"[o.opt]}</span>
+                <div style={{flex:1,height:8,borderRadius:4,background:"var(--bg3)",overflow:"hidden"}}>
+                  <div style={{height:"100%",width:`${o.pct}%`,background:o.isKey?"var(--success)":(!o.isKey&&bad&&o.upper>0)?"var(--danger)":"var(--text3)",borderRadius:4}} />
+                </div>
+                <span style={{minWidth:110,color:"var(--text3)"}}>{o.pct}% • U{o.upper} / L{o.lower}{o.isKey?" ✓":""}</span>
+              </div>
+            ))}
+            <div style={{display:"flex",gap:5,flexWrap:"wrap",marginTop:6,alignItems:"center"}}>
+              {it.omitted>0&&<span style={{fontSize:10,color:"var(--text3)"}}>Omitted: {it.omitted}</span>}
+              {it.flags.map(f=>(
+                <span key={f} style={{fontSize:10,padding:"2px 8px",borderRadius:10,fontWeight:700,
+                  background:["miskey","negative"].includes(f)?"rgba(239,68,68,.12)":"rgba(251,146,60,.1)",
+                  color:["miskey","negative"].includes(f)?"var(--danger)":"var(--warn)"}}>🚩 {ITEM_FLAG_LABELS[f]}</span>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+      {shown.length===0&&<div className="card" style={{textAlign:"center",color:"var(--success)",fontSize:13}}>✅ No questions flagged.</div>}
+    </div>
+  );
+}
+
+// ══════════════════════════════════════════════════════════════════
+// CbtCollusion — ranked answer-similarity report for the Monitor view,
+// with the shared wrong answers of each pair (see shared/collusion).
+// ══════════════════════════════════════════════════════════════════
+export function CbtCollusion({ exam, results, violations, archived, toast }) {
+  const [devices, setDevices]   = useState(null);
+  const [onlyFlagged, setOnlyFlagged] = useState(true);
+  const [open, setOpen]         = useState(null); // "a|b" of the pair drilled into
+
+  useEffect(() => {
+    let live = true;
+    listCbtDevices(exam.id).then(d => { if (live) setDevices(d); }).catch(() => { if (live) setDevices([]); });
+    return () => { live = false; };
+  }, [exam.id]);
+
+  const a = analyseCollusion(exam, results, { devices: devices || [], violations });
+  const shown = onlyFlagged ? a.pairs.filter(p=>p.flagged||p.signals.includes("same_device")) : a.pairs;
+  const pLabel = (p) => p>=0.001 ? p.toFixed(3) : p.toExponential(1);
+  const name = (s) => s.split("@")[0];
+
+  const exportCsv = () => {
+    const blob = new Blob([collusionCsv(exam, a)], { type:"text/csv" });
+    const url = URL.createObjectURL(blob);
+    const el = document.createElement("a"); el.href = url; el.download = `${exam.title.replace(/[^a-z0-9]+/gi,"-")}-collusion.csv`; el.click();
+    toast("Collusion report exported!", "success");
+  };
+
+  if (a.n<3) return (
+    <div className="card" style={{textAlign:"center",padding:"40px 20px",color:"var(--text3)",marginBottom:14}}>
+      <div style={{fontSize:40,marginBottom:8}}>🕵️</div>
+      <div style={{fontWeight:700}}>Not enough scripts to compare</div>
+      <div style={{fontSize:12,marginTop:4}}>{a.skipped?`${a.skipped} result(s) were graded before per-question responses were recorded. `:""}The analysis needs at least 3 submitted scripts.</div>
+    </div>
+  );
+
+  return (
+    <div style={{marginBottom:14}}>
+      {!archived&&(
+        <div style={{fontSize:12,fontWeight:700,color:"var(--warn)",background:"rgba(251,146,60,.08)",border:"1px solid rgba(251,146,60,.25)",borderRadius:8,padding:"7px 12px",marginBottom:10}}>
+          ⏳ Exam still open — run this again once it closes; every new script changes the odds.
+        </div>
+      )}
+      <div style={{fontSize:11,color:"var(--text3)",marginBottom:10,lineHeight:1.5}}>
+        Pairs are ranked by how unlikely their identical <b>wrong</b> answers are if they worked alone, given how the rest of the class answered those questions.
+        A pair is flagged when that chance, adjusted for the {a.pairCount} pairs compared, is under {COLLUSION_ALPHA*100}%.
+        Timing and device matches are corroboration only. A flag is grounds to look closer, not proof.
+      </div>
+
+      <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(120px,1fr))",gap:10,marginBottom:12}}>
+        {[
+          {icon:"📝",label:"Scripts",        val:a.n,             color:"var(--accent)"},
+          {icon:"🔗",label:"Pairs compared", val:a.pairCount,     color:"var(--purple)"},
+          {icon:"🚩",label:"Flagged pairs",  val:a.flagged,       color:a.flagged?"var(--danger)":"var(--success)"},
+          {icon:"💻",label:"Same device",    val:a.pairs.filter(p=>p.signals.includes("same_device")).length, color:"var(--warn)"},
+        ].map((s,i)=>(
+          <div key={i} className="card" style={{textAlign:"center",padding:"12px 8px",borderTop:`3px solid ${s.color}`}}>
+            <div style={{fontSize:22,marginBottom:3}}>{s.icon}</div>
+            <div style={{fontWeight:800,fontSize:18,color:s.color}}>{s.val}</div>
+            <div style={{fontSize:10,color:"var(--text3)"}}>{s.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{display:"flex",gap:8,alignItems:"center",marginBottom:10,flexWrap:"wrap"}}>
+        <label style={{display:"flex",alignItems:"center",gap:6,fontSize:12,cursor:"pointer",flex:1}}>
+          <input type="checkbox" checked={onlyFlagged} onChange={e=>setOnlyFlagged(e.target.checked)} /> Show flagged pairs only
+        </label>
+        <button className="btn btn-sm" onClick={exportCsv} disabled={!a.pairs.length}>⬇️ Export CSV</button>
+      </div>
+      {devices===null&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>⏳ Loading device records…</div>}
+      {a.skipped>0&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>{a.skipped} older result(s) without per-question responses are not included.</div>}
+      {a.hallIps?.length>0&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>🌐 Ignored as the hall network (shared by many students): {a.hallIps.join(", ")}</div>}
+
+      {shown.map(p=>{
+        const id = `${p.a}|${p.b}`;
+        const expanded = open===id;
+        return (
+          <div key={id} className="card2" style={{marginBottom:8,borderLeft:`3px solid ${p.flagged?"var(--danger)":p.signals.length?"var(--warn)":"var(--border)"}`,background:p.flagged?"rgba(239,68,68,.04)":undefined}}>
+            <div style={{display:"flex",gap:10,alignItems:"center",flexWrap:"wrap",cursor:"pointer"}} onClick={()=>setOpen(expanded?null:id)}>
+              <div style={{flex:1,minWidth:180}}>
+                <div style={{fontWeight:800,fontSize:13}}>{name(p.a)} ↔ {name(p.b)}</div>
+                <div style={{fontSize:11,color:"var(--text3)",marginTop:2}}>
+                  {p.scoreA}% / {p.scoreB}% • {p.common} questions in common • {p.sameAnswers} identical answers
+                  {p.startGap!==null&&` • started ${collusionGapLabel(p.startGap)} apart`}
+                  {p.submitGap!==null&&` • submitted ${collusionGapLabel(p.submitGap)} apart`}
+                </div>
+              </div>
+              <div style={{textAlign:"right",fontSize:12,flexShrink:0}}>
+                <div><b style={{color:p.flagged?"var(--danger)":"var(--text)"}}>{p.sameWrong}</b> of {p.bothWrong} shared wrong • expected {p.expected.toFixed(1)}</div>
+                <div style={{color:"var(--text3)",fontSize:11}}>p {pLabel(p.p)} • adjusted {pLabel(p.pAdj)}</div>
+              </div>
+              <span style={{fontSize:12,color:"var(--text3)"}}>{expanded?"▲":"▼"}</span>
+            </div>
+            <div style={{display:"flex",gap:5,flexWrap:"wrap",marginTop:6}}>
+              {p.flagged&&<span style={{fontSize:10,padding:"2px 8px",borderRadius:10,fontWeight:700,background:"rgba(239,68,68,.12)",color:"var(--danger)"}}>🚩 Improbable match</span>}
+              {p.signals.map(s=>(
+                <span key={s} style={{fontSize:10,padding:"2px 8px",borderRadius:10,fontWeight:700,background:"rgba(251,146,60,.1)",color:"var(--warn)"}}>
+                  {COLLUSION_SIGNAL_LABELS[s]}{s==="same_ip"?` (${p.sharedIps.join(", ")})`:""}
+                </span>
+              ))}
+            </div>
+            {expanded&&(
+              <div style={{marginTop:10,borderTop:"1px solid var(--border)",paddingTop:8}}>
+                {p.shared.length===0
+                  ? <div style={{fontSize:12,color:"var(--text3)"}}>No identical wrong answers.</div>
+                  : p.shared.map(s=>{
+                    const q = exam.questions[s.qIdx];
+                    return (
+                      <div key={s.qIdx} style={{display:"flex",gap:10,alignItems:"flex-start",marginBottom:6,fontSize:12}}>
+                        <div style={{width:24,height:24,borderRadius:7,background:"rgba(0,119,182,.12)",display:"flex",alignItems:"center",justifyContent:"center",fontSize:11,fontWeight:800,color:"var(--accent)",flexShrink:0}}>{s.qIdx+1}</div>
+                        <div style={{flex:1,lineHeight:1.4}}>
+                          <div style={{fontWeight:600}}>{q.q}</div>
+                          <div style={{color:"var(--danger)",marginTop:2}}>Both answered: {describeResponse(q, s.response)}</div>
+                          {isSingleChoice(q)&&<div style={{color:"var(--success)",fontSize:11}}>Key: {describeResponse(q, q.ans)}</div>}
+                        </div>
+                        <span style={{fontSize:10,color:"var(--text3)",flexShrink:0}} title="Chance two students who both got it wrong give this same wrong answer">{Math.round(s.chance*100)}% by chance</span>
+                      </div>
+                    );
+                  })}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      {shown.length===0&&<div className="card" style={{textAlign:"center",color:"var(--success)",fontSize:13}}>✅ {onlyFlagged?"No pairs flagged.":`No pair shares ${COLLUSION_MIN_SHARED} or more identical wrong answers.`}</div>}
+    </div>
+  );
+}
+
+// ══════════════════════════════════════════════════════════════════
+// CbtModeration — held-result workflow for the Monitor view: discard
+// questions and rescore, submit for a head of department's approval,
+// and the exam's score audit trail. See functions/index.js "Result
+// release + moderation".
+// ══════════════════════════════════════════════════════════════════
+export const CBT_AUDIT_ACTIONS = {
+  moderate:       "⚖️ Moderated",
+  rescore:        "🔁 Rescored",
+  flag_review:    "🔎 Flags reviewed",
+  result_removed: "🗑️ Result removed",
+  submit:         "📤 Submitted for approval",
+  return:         "↩️ Returned",
+  release:        "✅ Approved & released",
+  rekey:          "🔑 Answer key corrected",
+};
+
+const auditScore = (s) => s ? `${s.score}/${s.total} (${s.percent}%)` : "";
+
+export function CbtAuditTrail({ exam, entries, toast }) {
+  const exportCsv = () => {
+    const esc = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+    const rows = [["When", "By", "Action", "Student", "Before", "After", "Note"],
+      ...entries.map(a => [new Date(a.at).toLocaleString(), a.by, CBT_AUDIT_ACTIONS[a.action]?.replace(/^\S+\s/, "") || a.action,
+        a.student || "", auditScore(a.before), auditScore(a.after), a.note || ""])];
+    const blob = new Blob([rows.map(r => r.map(esc).join(",")).join("\n")], { type:"text/csv" });
+    const url = URL.createObjectURL(blob);
+    const el = document.createElement("a"); el.href = url; el.download = `${exam.title.replace(/[^a-z0-9]+/gi,"-")}-score-audit.csv`; el.click();
+    toast("Audit trail exported!", "success");
+  };
+  return (
+    <div className="card" style={{marginBottom:14}}>
+      <div style={{display:"flex",alignItems:"center",gap:8,marginBottom:10}}>
+        <div style={{fontWeight:800,fontSize:13,flex:1}}>🧾 Score audit trail</div>
+        <button className="btn btn-sm" onClick={exportCsv} disabled={!entries.length}>⬇️ Export CSV</button>
+      </div>
+      {entries.length===0
+        ? <div style={{fontSize:12,color:"var(--text3)"}}>No score changes yet.</div>
+        : <div style={{maxHeight:320,overflowY:"auto"}}>
+            {entries.map(a=>(
+              <div key={a._id} style={{display:"flex",gap:10,padding:"6px 0",borderBottom:"1px solid var(--border)",fontSize:12,flexWrap:"wrap"}}>
+                <span style={{minWidth:130,color:"var(--text3)",fontSize:11}}>{new Date(a.at).toLocaleString()}</span>
+                <span style={{fontWeight:700,minWidth:150}}>{CBT_AUDIT_ACTIONS[a.action]||a.action}</span>
+                <span style={{flex:1,minWidth:160}}>
+                  {a.student&&<b>{a.student.split("@")[0]} </b>}
+                  {a.before&&<span>{auditScore(a.before)}{a.after?` → ${auditScore(a.after)}`:""} </span>}
+                  {(a.action==="moderate"||a.action==="rekey")&&<span style={{color:"var(--text3)"}}>{a.rescored} rescored{a.skipped?`, ${a.skipped} older result(s) left as they were`:""} </span>}
+                  {a.note&&<span style={{color:"var(--text2)"}}>— {a.note}</span>}
+                </span>
+                <span style={{color:"var(--text3)",fontSize:11}}>{String(a.by||"").split("@")[0]}</span>
+              </div>
+            ))}
+          </div>}
+    </div>
+  );
+}
+
+// Before/after table for a rescore awaiting confirmation — answer-key
+// corrections on CBT exams and NC papers.
+export function RescoreDiff({ changes, unchanged = 0, skipped = 0 }) {
+  const sum = rescoreSummary(changes);
+  const fmt = (s) => `${s.score}/${s.total} (${s.percent}%)`;
+  return (
+    <div style={{marginTop:10}}>
+      <div style={{display:"flex",gap:8,flexWrap:"wrap",fontSize:11,marginBottom:8}}>
+        <span className="tag">{changes.length} score{changes.length!==1?"s":""} change</span>
+        {sum.up>0&&<span className="tag tag-success">▲ {sum.up} up</span>}
+        {sum.down>0&&<span className="tag tag-danger">▼ {sum.down} down</span>}
+        {sum.nowPass>0&&<span className="tag tag-success">{sum.nowPass} now pass</span>}
+        {sum.nowFail>0&&<span className="tag tag-danger">{sum.nowFail} now fail</span>}
+        <span style={{color:"var(--text3)"}}>{unchanged} unchanged{skipped?` • ${skipped} older result(s) without stored answers left as they were`:""}</span>
+      </div>
+      {changes.length>0&&(
+        <div style={{maxHeight:260,overflowY:"auto",border:"1px solid var(--border)",borderRadius:8}}>
+          <table style={{width:"100%",fontSize:12,borderCollapse:"collapse"}}>
+            <thead><tr style={{background:"var(--bg4)",textAlign:"left"}}>
+              {["Student","Before","After","Change"].map(h=><th key={h} style={{padding:"6px 10px"}}>{h}</th>)}
+            </tr></thead>
+            <tbody>
+              {changes.map(c=>{
+                const delta = Math.round((c.after.score-c.before.score)*100)/100;
+                const flip = c.before.passed!==undefined && c.after.passed!==undefined && c.before.passed!==c.after.passed;
+                return (
+                  <tr key={c.student} style={{borderTop:"1px solid var(--border)"}}>
+                    <td style={{padding:"5px 10px",fontWeight:600}}>{c.student}</td>
+                    <td style={{padding:"5px 10px"}}>{fmt(c.before)}</td>
+                    <td style={{padding:"5px 10px"}}>{fmt(c.after)}</td>
+                    <td style={{padding:"5px 10px",fontWeight:700,color:delta>0?"var(--success)":"var(--danger)"}}>
+                      {delta>0?"+":""}{delta}{flip&&<span style={{marginLeft:6}}>{c.after.passed?"✅ now passes":"❌ now fails"}</span>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// One key correction (shared/rekey.js): pick the kind and the options,
+// preview every changed score, then apply. `run(change, note, apply)`
+// does the marking — server-side for CBT, in the browser for NC papers
+// — and resolves with { changes, unchanged, skipped, … }; onDone gets
+// that result once applied.
+export function RekeyForm({ q, qNo, run, onDone, toast }) {
+  const [change, setChange]   = useState({ mode:"replace" });
+  const [note, setNote]       = useState("");
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy]       = useState(false);
+  const edit  = (patch) => { setChange(c => ({ ...c, ...patch })); setPreview(null); };
+  const error = validateRekey(q, change);
+
+  const go = async (apply) => {
+    if (error) return toast(error,"error");
+    if (apply && !window.confirm(`${describeRekey(q, change)} on Q${qNo} — rescore ${preview.changes.length} attempt(s)?`)) return;
+    setBusy(true);
+    try {
+      const r = await run(change, note.trim(), apply);
+      if (apply) { setBusy(false); return onDone(r, change); }
+      setPreview(r);
+    } catch(e) { toast(e.message||"Could not correct the key.","error"); }
+    setBusy(false);
+  };
+
+  return (
+    <>
+      <div style={{display:"flex",gap:6,flexWrap:"wrap",marginBottom:10}}>
+        {Object.entries(REKEY_MODES).map(([k,m])=>(
+          <button key={k} className={`btn btn-sm${change.mode===k?" btn-accent":""}`}
+            onClick={()=>edit({ mode:k, ans:undefined, accept:k==="accept"?(q.accept||[]):undefined })}>{m.icon} {m.label}</button>
+        ))}
+      </div>
+      {change.mode!=="void"&&isSingleChoice(q)&&(
+        <div style={{display:"flex",flexDirection:"column",gap:4,marginBottom:10}}>
+          {q.options.map((opt,oi)=>{
+            if (!opt) return null;
+            const isKey = oi===q.ans;
+            const on = change.mode==="replace" ? change.ans===oi : isKey || (change.accept||[]).includes(oi);
+            return (
+              <label key={oi} style={{display:"flex",gap:8,alignItems:"center",fontSize:12,padding:"5px 8px",borderRadius:8,cursor:"pointer",
+                background:on?"rgba(34,197,94,.08)":undefined,border:`1px solid ${on?"var(--success)":"var(--border)"}`}}>
+                <input type={change.mode==="replace"?"radio":"checkbox"} checked={on} disabled={change.mode==="accept"&&isKey}
+                  onChange={()=>change.mode==="replace"
+                    ? edit({ ans:oi })
+                    : edit({ accept:(change.accept||[]).includes(oi)?change.accept.filter(i=>i!==oi):[...(change.accept||[]),oi] })} />
+                <b style={{minWidth:18}}>{optionLabel(q,oi)}</b><span style={{flex:1}}>{opt}</span>
+                {isKey&&<span className="tag tag-success" style={{fontSize:10}}>current key</span>}
+              </label>
+            );
+          })}
+        </div>
+      )}
+      {change.mode!=="void"&&!isSingleChoice(q)&&(
+        <div style={{fontSize:12,color:"var(--warn)",marginBottom:10}}>Only single-answer and true/false keys can be corrected here — void this question instead, or fix it in the editor for future sittings.</div>
+      )}
+      <div style={{display:"flex",gap:8,flexWrap:"wrap"}}>
+        <input className="inp" style={{flex:1,minWidth:200,marginBottom:0}} placeholder="Reason (kept with the correction)" value={note} onChange={e=>setNote(e.target.value)} />
+        <button className="btn" disabled={busy||!!error} title={error} onClick={()=>go(false)}>{busy&&!preview?"⏳ Marking…":"👁 Preview scores"}</button>
+        {preview&&<button className="btn btn-purple" disabled={busy} onClick={()=>go(true)}>{busy?"⏳ Working…":"✅ Apply & notify"}</button>}
+      </div>
+      {preview&&<RescoreDiff {...preview} />}
+    </>
+  );
+}
+
+// Moderation card: CBT keys are corrected by rekeyCbtQuestion, which
+// tells us whose released score moved.
+function CbtRekey({ exam, locked, toast }) {
+  const [qIdx, setQIdx] = useState(null);
+  const q = qIdx!==null ? exam.questions[qIdx] : null;
+
+  const done = async (r, change) => {
+    const what = describeRekey(q, change);
+    const byStudent = Object.fromEntries(r.changes.map(c => [c.student, c]));
+    await Promise.all((r.students||[]).map(student => pushUserNotif(student, {
+      id: "rekey_" + exam.id + "_" + Date.now(),
+      type: "cbt_result",
+      title: "🔑 Score updated — " + exam.title,
+      body: `Q${qIdx+1} was re-marked (${what}). Your score is now ${byStudent[student].after.percent}% (was ${byStudent[student].before.percent}%).`,
+      examId: exam.id,
+      ts: Date.now(),
+      read: false,
+    })));
+    toast(`🔑 Key corrected • ${r.changes.length} result(s) rescored${r.students?.length?` • ${r.students.length} student(s) notified`:""}`,"success");
+    setQIdx(null);
+  };
+
+  if (locked) return null;
+  return (
+    <div className="card" style={{marginBottom:14}}>
+      <div style={{fontWeight:800,fontSize:13,marginBottom:4}}>🔑 Correct an answer key</div>
+      <div style={{fontSize:11,color:"var(--text3)",marginBottom:10}}>For a key found wrong after the exam. Every stored script is marked again; you see each changed score before anything is saved.</div>
+      <select className="inp" style={{marginBottom:8}} value={qIdx??""} onChange={e=>setQIdx(e.target.value===""?null:Number(e.target.value))}>
+        <option value="">— Choose a question —</option>
+        {exam.questions.map((qq,qi)=><option key={qi} value={qi}>Q{qi+1}. {String(qq.q).slice(0,90)}</option>)}
+      </select>
+      {q&&<RekeyForm key={qIdx} q={q} qNo={qIdx+1} toast={toast} onDone={done}
+        run={(change, note, apply) => rekeyCbtQuestion(exam.id, qIdx, change, note, apply)} />}
+    </div>
+  );
+}
+
+export function CbtModeration({ exam, results, release, archived, toast, currentUser }) {
+  const status   = cbtReleaseStatus(release);
+  const holds    = exam.showResultsImmediately===false;
+  const saved    = release?.discarded || [];
+  const savedKey = saved.join(",");
+  const [discarded, setDiscarded] = useState(() => new Set(saved));
+  const [note, setNote]     = useState("");
+  const [submitNote, setSubmitNote] = useState("");
+  const [busy, setBusy]     = useState(false);
+  const [audit, setAudit]   = useState([]);
+
+  useEffect(() => { setDiscarded(new Set(saved)); }, [savedKey]);
+  useEffect(() => subscribeCbtAudit(exam.id, setAudit), [exam.id]);
+
+  const items   = analyseItems(exam, results).items;
+  const changed = discarded.size!==saved.length || saved.some(qi=>!discarded.has(qi));
+  // Pending results are with the approver; released ones are theirs to change.
+  const locked  = holds && status!=="held";
+  const lastReturn = status==="held" && release?.returnedAt ? audit.find(a=>a.action==="return") : null;
+
+  const toggle = (qi) => setDiscarded(d => { const n = new Set(d); n.has(qi)?n.delete(qi):n.add(qi); return n; });
+
+  const applyDiscards = async () => {
+    if (discarded.size>=exam.questions.length) return toast("At least one question has to count.","error");
+    if (results.length && !window.confirm(`Rescore all ${results.length} result(s) without ${discarded.size?`Q${[...discarded].sort((a,b)=>a-b).map(i=>i+1).join(", Q")}`:"any discarded questions"}?`)) return;
+    setBusy(true);
+    try {
+      const r = await moderateCbtResults(exam.id, [...discarded], note.trim());
+      toast(`⚖️ ${r.rescored} result(s) rescored${r.skipped?` • ${r.skipped} older result(s) without stored answers unchanged`:""}`,"success");
+      setNote("");
+    } catch(e) { toast(e.message||"Could not rescore.","error"); }
+    setBusy(false);
+  };
+
+  const submitForApproval = async () => {
+    setBusy(true);
+    try {
+      await submitCbtRelease(exam.id, submitNote.trim());
+      toast("📤 Results sent to the head of department for approval.","success");
+      setSubmitNote("");
+    } catch(e) { toast(e.message||"Could not submit the results.","error"); }
+    setBusy(false);
+  };
+
+  return (
+    <div style={{marginBottom:14}}>
+      <div className="card" style={{marginBottom:14}}>
+        {!holds ? (
+          <div style={{fontSize:12,color:"var(--text2)",lineHeight:1.5}}>
+            👁 Students see their results as soon as they submit. To hold results for moderation and approval, turn off <b>Show Results Immediately</b> in the exam settings. Discarding a question below still rescores everyone straight away.
+          </div>
+        ) : (
+          <>
+            <div style={{display:"flex",gap:6,alignItems:"center",flexWrap:"wrap",marginBottom:8}}>
+              {Object.entries(CBT_RELEASE_STATUS).map(([k,v],i)=>(
+                <Fragment key={k}>
+                  {i>0&&<span style={{color:"var(--text3)"}}>→</span>}
+                  <span style={{fontSize:11,padding:"3px 10px",borderRadius:20,fontWeight:700,
+                    background:k===status?v.color:"transparent",color:k===status?"white":"var(--text3)",border:`1px solid ${k===status?v.color:"var(--border)"}`}}>{v.label}</span>
+                </Fragment>
+              ))}
+            </div>
+            <div style={{fontSize:12,color:"var(--text2)",lineHeight:1.5}}>
+              {status==="held"&&"Students can't see their results yet. Moderate them below, then submit them for a head of department's approval."}
+              {status==="pending"&&`Submitted by ${release.submittedBy} on ${new Date(release.submittedAt).toLocaleString()} — awaiting a head of department. Results can't be changed meanwhile.`}
+              {status==="released"&&`Approved by ${release.approvedBy} on ${new Date(release.approvedAt).toLocaleString()}. Students have been notified; further changes need a head of department.`}
+            </div>
+            {lastReturn&&(
+              <div style={{marginTop:8,fontSize:12,color:"var(--danger)",background:"rgba(239,68,68,.06)",border:"1px solid rgba(239,68,68,.2)",borderRadius:8,padding:"7px 12px"}}>
+                ↩️ Returned by {lastReturn.by} on {new Date(lastReturn.at).toLocaleString()}: {lastReturn.note}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="card" style={{marginBottom:14}}>
+        <div style={{fontWeight:800,fontSize:13,marginBottom:4}}>🗑️ Discard questions</div>
+        <div style={{fontSize:11,color:"var(--text3)",marginBottom:10}}>A discarded question counts for nobody — it leaves every script's score and total. Scores are recalculated from each student's stored answers; restoring the question puts them back.</div>
+        {exam.questions.map((q,qi)=>{
+          const it = items[qi];
+          const suspect = it && isSuspectItem(it);
+          return (
+            <label key={qi} style={{display:"flex",gap:10,alignItems:"flex-start",padding:"6px 8px",borderRadius:8,marginBottom:4,cursor:locked?"default":"pointer",
+              background:discarded.has(qi)?"rgba(239,68,68,.06)":undefined,opacity:locked?.7:1}}>
+              <input type="checkbox" checked={discarded.has(qi)} disabled={locked||busy} onChange={()=>toggle(qi)} style={{marginTop:2}} />
+              <span style={{fontWeight:800,fontSize:11,color:"var(--accent)",minWidth:26}}>Q{qi+1}</span>
+              <span style={{flex:1,fontSize:12,lineHeight:1.4,textDecoration:discarded.has(qi)?"line-through":"none"}}>{q.q}</span>
+              {it?.n>0&&<span style={{fontSize:10,color:"var(--text3)",flexShrink:0}}>p {it.p.toFixed(2)} • D {it.d.toFixed(2)}</span>}
+              {suspect&&<span style={{fontSize:10,padding:"1px 7px",borderRadius:10,fontWeight:700,background:"rgba(239,68,68,.12)",color:"var(--danger)",flexShrink:0}}>🚩 {it.flags.filter(f=>["miskey","negative"].includes(f)).map(f=>ITEM_FLAG_LABELS[f]).join(", ")}</span>}
+            </label>
+          );
+        })}
+        {!locked&&(
+          <div style={{display:"flex",gap:8,marginTop:10,flexWrap:"wrap"}}>
+            <input className="inp" style={{flex:1,minWidth:200,marginBottom:0}} placeholder="Reason (kept in the audit trail)" value={note} onChange={e=>setNote(e.target.value)} />
+            <button className="btn btn-purple" disabled={!changed||busy} onClick={applyDiscards}>{busy?"⏳ Working…":"⚖️ Apply & rescore"}</button>
+          </div>
+        )}
+      </div>
+
+      <CbtRekey exam={exam} locked={locked} toast={toast} />
+
+      {holds&&status==="held"&&(
+        <div className="card" style={{marginBottom:14}}>
+          <div style={{fontWeight:800,fontSize:13,marginBottom:6}}>📤 Submit for approval</div>
+          {!archived
+            ? <div style={{fontSize:12,color:"var(--text3)"}}>Available once the exam closes.</div>
+            : <div style={{display:"flex",gap:8,flexWrap:"wrap"}}>
+                <input className="inp" style={{flex:1,minWidth:200,marginBottom:0}} placeholder="Note for the head of department (optional)" value={submitNote} onChange={e=>setSubmitNote(e.target.value)} />
+                <button className="btn btn-success" disabled={busy||changed} title={changed?"Apply or undo your question changes first":""} onClick={submitForApproval}>📤 Submit {results.length} result{results.length!==1?"s":""}</button>
+              </div>}
+        </div>
+      )}
+
+      <CbtAuditTrail exam={exam} entries={audit} toast={toast} />
+    </div>
+  );
+}
+
+const APPEAL_STATUS = {
+  open:     { label:"pending",  color:"var(--warn)" },
+  accepted: { label:"accepted", color:"var(--success)" },
+  rejected: { label:"rejected", color:"var(--danger)" },
+};
+
+// ── Server-delivered paper ──────────────────────────────────────────
+// The seeded question/option shuffle runs in the getCbtPaper Cloud
+// Function (or inside an offline package); the browser only ever sees
+// the stripped paper in this student's order. `correctIdx` is filled in
+// from the server's review after submission (or when reviewing a closed
+// exam). Typed questions keep their type/prompts/image and plain
+// `options` for the shared question-type widgets.
+const toPaperQs = (paper) => (paper.questions || []).map(q => ({
+  q: q.q,
+  ...(q.type ? { type:q.type, options:q.options || [], prompts:q.prompts, image:q.image } : {}),
+  ...(q.marks ? { marks:q.marks } : {}),
+  displayOptions: (q.options || []).map(text => ({ text })),
+  correctIdx: q.correct ?? null,
+  ...(q.accepted ? { accept:q.accepted } : {}),
+}));
+
+// ─── STUDENT: Offline CBT sitting ─────────────────────────────────────
+// Runs a downloaded package (shared/cbtPackage.js) with no connection at
+// all: the hall start code opens it, progress is signed into IndexedDB
+// on every answer, and the finished sheet is signed and queued for
+// CbtStudentView to upload. Times are device time corrected by the
+// offset measured at download; `activeMs` counts, on the monotonic
+// clock, how long the page was actually open. The signatures only catch
+// a sheet damaged or edited without the key, and the server accepts the
+// times only between the package's download and the sheet's upload.
+const progressBody = (p) => ({ answers:p.answers, qIdx:p.qIdx, startedAt:p.startedAt, activeMs:p.activeMs, violations:p.violations });
+
+export function CbtOfflineExam({ pkg, currentUser, toast, onQueued, onBack }) {
+  const [code, setCode]       = useState("");
+  const [opening, setOpening] = useState(false);
+  const [paper, setPaper]     = useState(null); // decrypted package payload
+  const [qs, setQs]           = useState([]);
+  const [prog, setProg]       = useState(null); // { answers, qIdx, startedAt, activeMs, violations }
+  const [timeLeft, setTimeLeft] = useState(0);
+  const [queued, setQueued]   = useState(false);
+  const progRef = useRef(null);
+  const tickRef = useRef(null); // performance.now() at the last activeMs update
+  const doneRef = useRef(false);
+
+  const deviceNow = () => Date.now() + (pkg.clockOffset || 0);
+
+  const persist = async (next) => {
+    progRef.current = next;
+    setProg(next);
+    const mac = await signSubmission(paper.submitKey, progressBody(next));
+    await saveOfflineProgress(pkg.examId, currentUser, { ...progressBody(next), mac });
+  };
+
+  // Adds the monotonic time since the last tick to activeMs.
+  const withActiveTime = (p) => {
+    const perf = performance.now();
+    const add = tickRef.current === null ? 0 : perf - tickRef.current;
+    tickRef.current = perf;
+    return { ...p, activeMs: Math.round(p.activeMs + add) };
+  };
+
+  const remainingMs = (p) => {
+    const deadline = Math.min(p.startedAt + paper.durationMs, paper.closesAt ?? Infinity);
+    return Math.min(deadline - deviceNow(), paper.durationMs - p.activeMs);
+  };
+
+  const open = async () => {
+    if (!code.trim()) return;
+    setOpening(true);
+    try {
+      const payload = await openPackage(pkg.envelope, code);
+      if (payload.student!==currentUser || String(payload.examId)!==String(pkg.examId)) throw new Error("mismatch");
+      const now = deviceNow();
+      if (payload.closesAt!=null && now > payload.closesAt) { toast("This exam has closed.","error"); setOpening(false); return; }
+      const saved = await loadOfflineProgress(pkg.examId, currentUser);
+      let p;
+      if (saved) {
+        p = progressBody(saved);
+        if (!await verifySubmission(payload.submitKey, p, saved.mac)) {
+          p = { ...p, violations:[...(p.violations||[]), { type:"offline_tamper", ts:now }] };
+          toast("⚠️ Your saved progress on this device was changed outside the exam — this has been recorded.","warn");
+        }
+      } else {
+        if (payload.startAt!=null && now < payload.startAt) { toast("This exam hasn't opened yet.","error"); setOpening(false); return; }
+        p = { answers:new Array(payload.questions.length).fill(null), qIdx:0, startedAt:now, activeMs:0, violations:[] };
+      }
+      tickRef.current = performance.now();
+      progRef.current = p;
+      setPaper(payload);
+      setQs(toPaperQs(payload));
+      setProg(p);
+      const mac = await signSubmission(payload.submitKey, progressBody(p));
+      await saveOfflineProgress(pkg.examId, currentUser, { ...progressBody(p), mac });
+      if (payload.fullscreenRequired) document.documentElement.requestFullscreen?.().catch(()=>{});
+    } catch(e) {
+      toast("That code didn't open this paper. Check it with the invigilator — if it's right, this copy is damaged or altered: download it again.","error");
+    }
+    setOpening(false);
+  };
+
+  const submit = async (reason = "manual") => {
+    if (doneRef.current || !progRef.current) return;
+    if (reason==="manual") {
+      const blank = progRef.current.answers.filter(a=>a===null).length;
+      if (blank>0 && !confirm(`${blank} question(s) unanswered. Submit anyway?`)) return;
+    }
+    doneRef.current = true;
+    const p = withActiveTime(progRef.current);
+    const submission = {
+      examId: paper.examId, student: currentUser, packageId: paper.packageId,
+      answers: p.answers, startedAt: p.startedAt, completedAt: deviceNow(),
+      activeMs: p.activeMs, violations: p.violations, reason,
+    };
+    const mac = await signSubmission(paper.submitKey, submission);
+    await queueOfflineUpload({ examId: pkg.examId, student: currentUser, title: paper.title, submission, mac, queuedAt: Date.now() });
+    await clearOfflineProgress(pkg.examId, currentUser);
+    if (document.fullscreenElement) document.exitFullscreen?.().catch(()=>{});
+    setQueued(true);
+    onQueued?.();
+  };
+
+  // Countdown + activeMs, saved every 15s so a reload loses little.
+  useEffect(() => {
+    if (!paper || queued) return;
+    let n = 0;
+    const t = setInterval(() => {
+      const p = withActiveTime(progRef.current);
+      progRef.current = p;
+      const left = remainingMs(p);
+      setTimeLeft(Math.max(0, Math.ceil(left/1000)));
+      if (left<=0) { submit("timeout"); return; }
+      if (++n % 15 === 0) persist(p);
+    }, 1000);
+    return () => clearInterval(t);
+  }, [paper, queued]);
+
+  // Flags are kept in the signed progress and uploaded with the sheet.
+  useEffect(() => {
+    if (!paper || queued) return;
+    const flag = (type) => persist(withActiveTime({ ...progRef.current, violations:[...progRef.current.violations, { type, ts:deviceNow() }] }));
+    const onVis = () => { if (document.hidden) flag("tab_switch"); };
+    const onFs  = () => { if (paper.fullscreenRequired && !document.fullscreenElement && !doneRef.current) flag("fullscreen_exit"); };
+    document.addEventListener("visibilitychange", onVis);
+    document.addEventListener("fullscreenchange", onFs);
+    return () => { document.removeEventListener("visibilitychange", onVis); document.removeEventListener("fullscreenchange", onFs); };
+  }, [paper, queued]);
+
+  const setAnswer = (v) => persist(withActiveTime({ ...progRef.current, answers:progRef.current.answers.map((a,i)=>i===progRef.current.qIdx?v:a) }));
+  const goTo = (i) => persist(withActiveTime({ ...progRef.current, qIdx:i }));
+
+  if (queued) return (
+    <div style={{maxWidth:520,margin:"0 auto"}}>
+      <div className="card" style={{textAlign:"center",padding:"32px 20px",borderTop:"4px solid var(--success)"}}>
+        <div style={{fontSize:56,marginBottom:8}}>📤</div>
+        <div style={{fontWeight:800,fontSize:20,marginBottom:6}}>Answers Saved & Signed</div>
+        <div style={{fontSize:13,color:"var(--text2)",lineHeight:1.6,marginBottom:18}}>
+          Your answer sheet for <b>{paper.title}</b> is stored on this device and will upload automatically as soon as you're back online.
+          Keep this device and don't clear its browser data until your result appears.
+        </div>
+        <button className="btn" onClick={onBack}>← Back to Exams</button>
+      </div>
+    </div>
+  );
+
+  if (!paper) return (
+    <div style={{maxWidth:460,margin:"0 auto"}}>
+      <div className="card" style={{padding:"28px 22px",textAlign:"center",borderTop:"4px solid var(--accent)"}}>
+        <div style={{fontSize:48,marginBottom:8}}>📴</div>
+        <div style={{fontWeight:800,fontSize:18,marginBottom:4}}>{pkg.title}</div>
+        <div style={{fontSize:12,color:"var(--text3)",marginBottom:18}}>Offline sitting — no connection needed. Enter the start code your invigilator announces.</div>
+        <input className="inp" style={{textAlign:"center",fontFamily:"'DM Mono',monospace",fontSize:20,letterSpacing:3,textTransform:"uppercase"}}
+          placeholder="XXXX-XXXX" value={code} onChange={e=>setCode(e.target.value)} onKeyDown={e=>e.key==="Enter"&&open()} autoFocus />
+        <div style={{display:"flex",gap:8,justifyContent:"center"}}>
+          <button className="btn" onClick={onBack}>← Back</button>
+          <button className="btn btn-accent" disabled={opening||!code.trim()} onClick={open}>{opening?"⏳ Opening…":"🔓 Open Paper"}</button>
+        </div>
+      </div>
+    </div>
+  );
+
+  const qIdx = prog.qIdx;
+  const sq = qs[qIdx];
+  const answered = prog.answers.filter(a=>a!==null).length;
+  const urgent = timeLeft<=60;
+  const head = (i) => paper.sections?.find(sec=>sec.start===i);
+  return (
+    <div style={{maxWidth:640,margin:"0 auto"}}>
+      <div style={{display:"flex",alignItems:"center",gap:10,marginBottom:12,flexWrap:"wrap"}}>
+        <div style={{flex:1}}>
+          <div style={{fontWeight:800,fontSize:15}}>{paper.title}</div>
+          <div style={{fontSize:11,color:"var(--text3)"}}>📴 Offline • {answered}/{qs.length} answered • saved on this device</div>
+        </div>
+        <div style={{fontFamily:"'DM Mono',monospace",fontWeight:800,fontSize:20,color:urgent?"var(--danger)":"var(--accent)"}}>
+          ⏱ {String(Math.floor(timeLeft/60)).padStart(2,"0")}:{String(timeLeft%60).padStart(2,"0")}
+        </div>
+        <button className="btn btn-accent btn-sm" onClick={()=>submit("manual")}>Submit ✓</button>
+      </div>
+      <div style={{display:"flex",gap:5,flexWrap:"wrap",marginBottom:12}}>
+        {qs.map((_,i)=>(
+          <div key={i} style={{display:"contents"}}>
+            {head(i)&&<div style={{flexBasis:"100%",fontSize:11,fontWeight:800,color:"var(--accent)",marginTop:i?4:0}}>📑 {head(i).title||"Section"}</div>}
+            <div onClick={()=>goTo(i)} style={{width:30,height:30,borderRadius:8,display:"flex",alignItems:"center",justifyContent:"center",cursor:"pointer",fontSize:11,fontWeight:700,
+              background:i===qIdx?"var(--accent)":prog.answers[i]!==null?"rgba(34,197,94,.12)":"var(--bg4)",
+              border:`2px solid ${i===qIdx?"var(--accent)":prog.answers[i]!==null?"var(--success)":"var(--border)"}`,
+              color:i===qIdx?"white":prog.answers[i]!==null?"var(--success)":"var(--text3)"}}>{i+1}</div>
+          </div>
+        ))}
+      </div>
+      {head(qIdx)?.instructions&&<div style={{fontSize:12,color:"var(--text2)",marginBottom:10,padding:"8px 12px",borderRadius:8,background:"rgba(0,119,182,.06)",whiteSpace:"pre-wrap"}}>{head(qIdx).instructions}</div>}
+      <div style={paper.largeText?{zoom:1.3}:undefined}>
+        <div style={{fontSize:11,color:"var(--text3)",marginBottom:6}}>Question {qIdx+1} of {qs.length}{sq.marks?` • ${sq.marks} mark${sq.marks===1?"":"s"}`:""}</div>
+        <div className="card" style={{marginBottom:12,borderLeft:"3px solid var(--accent)"}}>
+          <div style={{fontWeight:700,fontSize:16,lineHeight:1.6}}>{sq.q}</div>
+        </div>
+        {isSingleChoice(sq) ? sq.displayOptions.map((opt,di)=>(
+          <div key={di} onClick={()=>setAnswer(di)} className="quiz-opt" style={{
+            borderColor:prog.answers[qIdx]===di?"var(--accent)":"var(--border)",
+            background:prog.answers[qIdx]===di?"rgba(0,119,182,.12)":"transparent",
+            cursor:"pointer",display:"flex",alignItems:"center",gap:8,marginBottom:8}}>
+            <span style={{fontSize:11,opacity:.55,flexShrink:0}}>{"ABCD"[di]}.</span>
+            <span style={{flex:1}}>{opt.text}</span>
+            {prog.answers[qIdx]===di&&<span style={{color:"var(--accent)",fontWeight:800,fontSize:16}}>✓</span>}
+          </div>
+        )) : (
+          <TypedQuestionInput key={qIdx} q={sq} value={prog.answers[qIdx]} onChange={setAnswer} />
+        )}
+      </div>
+      <div style={{display:"flex",gap:8,marginTop:14,justifyContent:"space-between"}}>
+        <button className="btn btn-sm" disabled={qIdx===0} onClick={()=>goTo(qIdx-1)}>← Prev</button>
+        {qIdx<qs.length-1
+          ? <button className="btn btn-accent btn-sm" onClick={()=>goTo(qIdx+1)}>Next →</button>
+          : <button className="btn btn-accent btn-sm" onClick={()=>submit("manual")}>Submit Exam ✓</button>}
+      </div>
+    </div>
+  );
+}
+
+export function CbtStudentView({ toast, currentUser }) {
+  const [exams,   setExams]   = useState([]);
+  const [results, setResults] = useState([]);
+  const [mode,    setMode]    = useState("list"); // list | preflight | camsetup | taking | done | review
+  const [activeExam,  setActiveExam]  = useState(null);
+  const [shuffledQs,  setShuffledQs]  = useState([]);
+  const [answers,     setAnswers]     = useState([]);
+  const [qIdx,        setQIdx]        = useState(0);
+  const [timeLeft,    setTimeLeft]    = useState(0);
+  const [session,     setSession]     = useState(null); // { deadline, cutoffAt, section?, sectionDeadline?, clock } from the server
+  const [paperSections, setPaperSections] = useState([]); // [{ title, instructions, duration, marks, negative, lockOnLeave, start, count }]
+  const [syncState,   setSyncState]   = useState("saved"); // saved | saving | offline — answer autosave
+  const [restoredCnt, setRestoredCnt] = useState(0);       // answers brought back on resume
+  const [myAcc,       setMyAcc]       = useState({});      // examId → my accommodation
+  const [releases,    setReleases]    = useState({});      // examId → release of held results
+  const [myResult,    setMyResult]    = useState(null);
+  const [loading,     setLoading]     = useState(true);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const [genuineFullscreenExit, setGenuineFullscreenExit] = useState(false);
+  const [overlayActive,    setOverlayActive]    = useState(false);  // app-on-top overlay
+  const [overlayCountdown, setOverlayCountdown] = useState(5);      // 5-4-3-2-1 countdown
+  const [tabSwitches,      setTabSwitches]      = useState(0);
+  const [violations,       setViolations]       = useState([]);
+  const [warningMsg,       setWarningMsg]       = useState("");
+  const [showWarning,      setShowWarning]      = useState(false);
+  const [penaltyDeductions,setPenaltyDeductions]= useState(0); // 0.5 per non-tab violation
+  const [examSubmitted,    setExamSubmitted]    = useState(false); // prevent double-submit
+  const [rulesAccepted,    setRulesAccepted]    = useState(false); // rules checkbox on preflight
+  // Webcam
+  const [camStream,    setCamStream]    = useState(null);
+  const [camAllowed,   setCamAllowed]   = useState(null); // null=unknown, true, false
+  const [camError,     setCamError]     = useState("");
+  const [lastSnapshot, setLastSnapshot] = useState(null);
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  // Device lock
+  const [deviceBlocked, setDeviceBlocked] = useState(false);
+  const [deviceBlockMsg, setDeviceBlockMsg] = useState("");
+  // Review mode answer reveal
+  const [showAns, setShowAns] = useState({});
+  // Offline sittings — read from IndexedDB, not Firestore
+  const [offlinePkgs,  setOfflinePkgs]  = useState([]);
+  const [outbox,       setOutbox]       = useState([]);
+  const [offlinePkg,   setOfflinePkg]   = useState(null); // package being sat
+  const [downloading,  setDownloading]  = useState(null); // examId
+  const flushingRef = useRef(false);
+  // Appeals against flags
+  const [myAppeals,  setMyAppeals]  = useState({});   // examId → my appeal
+  const [appealFor,  setAppealFor]  = useState(null); // { result, flags } while the form is open
+  const [appealText, setAppealText] = useState("");
+  const [appealPick, setAppealPick] = useState([]);   // contested flag ids
+  const [appealing,  setAppealing]  = useState(false);
+
+  const classes = ls("nv-classes", DEFAULT_CLASSES);
+  const myUser  = ls("nv-users",[]).find(u=>u.username===currentUser);
+  const myClass = myUser?.class;
+
+  useEffect(() => {
+    if (!myClass) { setLoading(false); return; }
+    const u1 = subscribeCbtExams(list => { setExams(list); setLoading(false); }, { classId: myClass });
+    return () => { u1(); };
+  }, [myClass]);
+
+  const examIdsKey = exams.map(e=>e.id).join(",");
+  const holdingKey = exams.filter(e=>e.showResultsImmediately===false).map(e=>e.id).join(",");
+  useEffect(() => {
+    const u3 = subscribeMyCbtAccommodations(exams.map(e=>e.id), currentUser, map => setMyAcc(map));
+    const u4 = subscribeMyCbtAppeals(exams.map(e=>e.id), currentUser, map => setMyAppeals(map));
+    return () => { u3(); u4(); };
+  }, [examIdsKey, currentUser]);
+  useEffect(() => subscribeCbtReleases(holdingKey ? holdingKey.split(",") : [], map => setReleases(map)), [holdingKey]);
+
+  // Held results can't be read until released — resubscribe as they are.
+  const heldKey = exams.filter(e=>!cbtResultsReleased(e, releases[e.id])).map(e=>e.id).join(",");
+  useEffect(() => {
+    return subscribeMyCbtResults(exams.map(e=>e.id), currentUser, list => setResults(list), heldKey ? heldKey.split(",") : []);
+  }, [examIdsKey, heldKey, currentUser]);
+
+  const refreshOffline = async () => {
+    setOfflinePkgs(await listOfflinePackages(currentUser));
+    setOutbox(await listOfflineUploads(currentUser));
+  };
+
+  // Uploads queued offline answer sheets. Rejections the server will
+  // never change its mind on stay listed with the reason (until the
+  // student dismisses them); anything else — usually no connection —
+  // just waits for the next try.
+  const FINAL_UPLOAD_ERRORS = ["already-exists", "data-loss", "failed-precondition", "permission-denied", "not-found"];
+  const flushOutbox = async () => {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    for (const item of await listOfflineUploads(currentUser)) {
+      if (item.rejected) continue;
+      try {
+        await uploadOfflineCbtAttempt(item.examId, item.submission, item.mac);
+        await removeOfflineUpload(item.examId, currentUser);
+        await deleteOfflinePackage(item.examId, currentUser);
+        toast(`📤 "${item.title}" uploaded and marked`, "success");
+      } catch(e) {
+        const rejected = FINAL_UPLOAD_ERRORS.includes(String(e?.code||"").replace(/^functions\//,""));
+        await queueOfflineUpload({ ...item, rejected, lastError: e?.message || "Upload failed" });
+        if (rejected) toast(`"${item.title}" was not accepted: ${e?.message}`, "error");
+      }
+    }
+    flushingRef.current = false;
+    refreshOffline();
+  };
+
+  useEffect(() => {
+    if (!currentUser) return;
+    refreshOffline().then(() => { if (navigator.onLine) flushOutbox(); });
+    const onOnline = () => flushOutbox();
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  }, [currentUser]);
+
+  const downloadPackage = async (exam) => {
+    setDownloading(exam.id);
+    try {
+      const { envelope, title, startAt, closesAt, serverNow } = await downloadCbtPackage(exam.id);
+      await saveOfflinePackage({ examId: exam.id, student: currentUser, title, envelope,
+        clockOffset: serverNow - Date.now(), startAt, closesAt, downloadedAt: Date.now() });
+      await refreshOffline();
+      toast("📴 Downloaded — you can sit this exam with no connection once the invigilator gives the start code", "success");
+    } catch(e) { toast(e?.message || "Download failed", "error"); }
+    setDownloading(null);
+  };
+
+  const discardUpload = async (item) => {
+    if (!confirm(`Remove "${item.title}" from this device? The answers in it will be lost.`)) return;
+    await removeOfflineUpload(item.examId, currentUser);
+    await deleteOfflinePackage(item.examId, currentUser);
+    refreshOffline();
+  };
+
+  // One appeal per attempt — the lecturer reviews it with the flags.
+  const openAppeal = async (result) => {
+    let flags = [];
+    try { flags = (await listMyCbtViolations(result.examId, currentUser)).sort((a,b)=>a.ts-b.ts); }
+    catch(e) { toast("Could not load your flags — "+e.message,"error"); return; }
+    setAppealFor({ result, flags });
+    setAppealText("");
+    setAppealPick([]);
+  };
+
+  const submitAppeal = async () => {
+    if (appealText.trim().length<20) { toast("Explain what happened in a little more detail","error"); return; }
+    setAppealing(true);
+    try {
+      await fileCbtAppeal(appealFor.result.examId, currentUser, appealText.trim().slice(0,2000), appealPick);
+      toast("✋ Appeal sent — you'll see the decision in your results","success");
+      setAppealFor(null);
+    } catch(e) { toast("⚠️ Could not send your appeal — "+e.message,"error"); }
+    setAppealing(false);
+  };
+
+  // Cleanup camera on unmount or when not taking
+  useEffect(() => {
+    if (mode!=="taking"&&mode!=="camsetup") {
+      if (camStream) { camStream.getTracks().forEach(t=>t.stop()); setCamStream(null); }
+    }
+  }, [mode]);
+
+  // Attach stream to video element
+  useEffect(() => {
     if (camStream && videoRef.current) {
       videoRef.current.srcObject = camStream;
       videoRef.current.play().catch(()=>{});
@@ -2111,15 +3881,10 @@ export function CbtStudentView({ toast, currentUser }) {
     if (!exam.deviceLock) return { allowed: true };
     try {
       const devInfo = await getDeviceFingerprint();
-      const devMap  = await cbtDevicesGet();
-      const key     = `${exam.id}__${currentUser}`;
-      const existing = devMap[key];
-      if (existing && existing.fingerprint !== devInfo.fingerprint) {
+      const { allowed, existing } = await claimCbtDevice(exam.id, currentUser, devInfo);
+      if (!allowed) {
         return { allowed: false, reason: `This exam was already started on another device (${existing.ip}). Contact your lecturer to reset.`, devInfo };
       }
-      // Register this device
-      devMap[key] = { ...devInfo, student:currentUser, examId:exam.id, ts:Date.now() };
-      await cbtDevicesSave(devMap);
       return { allowed: true, devInfo };
     } catch(e) {
       return { allowed: true, devInfo: null }; // fail open if network issues
@@ -2157,42 +3922,209 @@ export function CbtStudentView({ toast, currentUser }) {
   };
 
   // ── Countdown timer ──
+  // Counts down to the server's deadline on the server clock, so a
+  // refresh resumes where it was and the device clock is irrelevant.
+  // Wakes just past each whole second so timeLeft always changes.
+  // A timed section running out moves the student on (or submits, in
+  // the last section) the same way.
+  const secondsLeft = (s, until = s.deadline) => Math.max(0, Math.ceil((until - cbtServerNow(s.clock)) / 1000));
+  const sectionTimed = (s = session) => !!s && s.section !== undefined && s.sectionDeadline < s.deadline;
   useEffect(() => {
-    if (mode!=="taking") return;
+    if (mode!=="taking" || !session) return;
     if (timeLeft<=0) { doSubmit("timeout"); return; }
-    const t = setTimeout(()=>setTimeLeft(s=>s-1), 1000);
+    if (sectionTimed() && secondsLeft(session, session.sectionDeadline)<=0) {
+      if (session.section>=paperSections.length-1) { doSubmit("timeout"); return; }
+      advanceSection(true);
+    }
+    const msLeft = session.deadline - cbtServerNow(session.clock);
+    const t = setTimeout(()=>setTimeLeft(secondsLeft(session)), (msLeft % 1000) + 20);
     return ()=>clearTimeout(t);
-  }, [mode, timeLeft]);
-
-  // ── Fisher-Yates shuffle with seed so same student gets same order on refresh ──
-  const seededShuffle = useCallback((arr, seed) => {
-    const a = [...arr];
-    let s = seed;
-    for (let i=a.length-1; i>0; i--) {
-      s = (s * 1664525 + 1013904223) & 0xffffffff;
-      const j = Math.abs(s) % (i+1);
-      [a[i],a[j]] = [a[j],a[i]];
+  }, [mode, timeLeft, session]);
+
+  // ── Answer autosave ────────────────────────────────────────────────
+  // Every change is written to IndexedDB at once, then the changed
+  // positions are pushed to the attempt's Firestore doc. `_dirty` holds
+  // positions the server hasn't confirmed yet; it is saved locally too,
+  // so after a crash the device copy wins for exactly those.
+  const _answersRef   = useRef([]);
+  const _qIdxRef      = useRef(0);
+  const _autosaveBase = useRef([]);
+  const _dirty        = useRef(new Set());
+  const _flushing     = useRef(false);
+  const _flushTimer   = useRef(null);
+  const _sentQIdx     = useRef(null); // last question position the server has — the live grid shows it
+  _answersRef.current = answers;
+  _qIdxRef.current    = qIdx;
+
+  const saveLocal = (exam) => saveLocalAttempt(exam.id, currentUser, {
+    answers: _answersRef.current, pending: [..._dirty.current], qIdx: _qIdxRef.current, savedAt: Date.now(),
+  });
+
+  const scheduleFlush = (exam, ms) => {
+    clearTimeout(_flushTimer.current);
+    _flushTimer.current = setTimeout(() => flushAnswers(exam), ms);
+  };
+
+  const flushAnswers = async (exam) => {
+    _flushTimer.current = null;
+    if (_flushing.current || (!_dirty.current.size && _qIdxRef.current===_sentQIdx.current)) return;
+    _flushing.current = true;
+    const sent = {};
+    const sentQIdx = _qIdxRef.current;
+    _dirty.current.forEach(pos => { sent[pos] = _answersRef.current[pos] ?? null; });
+    setSyncState(navigator.onLine ? "saving" : "offline");
+    try {
+      await saveCbtAnswers(exam.id, currentUser, sent, sentQIdx);
+      _sentQIdx.current = sentQIdx;
+      // Positions changed again while in flight stay dirty for the next round.
+      Object.entries(sent).forEach(([pos, v]) => { if ((_answersRef.current[pos] ?? null) === v) _dirty.current.delete(Number(pos)); });
+      saveLocal(exam);
+      setSyncState(_dirty.current.size ? "saving" : "saved");
+    } catch(e) {
+      // permission-denied = past the cutoff; the local copy is all that's left to do.
+      setSyncState("offline");
+      if (e.code !== "permission-denied") scheduleFlush(exam, 5000);
     }
-    return a;
-  }, []);
+    _flushing.current = false;
+    if (_dirty.current.size && !_flushTimer.current) scheduleFlush(exam, 600);
+  };
+
+  const resetAutosave = (base = [], pending = []) => {
+    clearTimeout(_flushTimer.current);
+    _flushTimer.current = null;
+    _autosaveBase.current = base;
+    _dirty.current = new Set(pending);
+    _sentQIdx.current = null;
+    setSyncState("saved");
+  };
 
-  // Build per-student shuffled question+option order (deterministic per student+exam)
-  const buildShuffled = useCallback((exam) => {
-    const seed = exam.id + currentUser.split("").reduce((s,c)=>s+c.charCodeAt(0),0);
-    const qOrder = exam.shuffleQuestions ? seededShuffle(exam.questions.map((_,i)=>i), seed) : exam.questions.map((_,i)=>i);
-    const optOrders = exam.questions.map((_,qi) => {
-      if (!exam.shuffleOptions) return [0,1,2,3].filter(i=>exam.questions[qi].options[i]);
-      return seededShuffle([0,1,2,3].filter(i=>exam.questions[qi].options[i]), seed+qi*7);
+  useEffect(() => {
+    if (mode!=="taking" || !activeExam) return;
+    const prev = _autosaveBase.current;
+    answers.forEach((a,i) => { if (a!==(prev[i] ?? null)) _dirty.current.add(i); });
+    _autosaveBase.current = answers;
+    saveLocal(activeExam);
+    if (_dirty.current.size) scheduleFlush(activeExam, 600);
+    // Moving between questions alone is sent lazily, for the invigilator.
+    else if (qIdx!==_sentQIdx.current && !_flushTimer.current) scheduleFlush(activeExam, 3000);
+  }, [mode, answers, qIdx]);
+
+  // ── Invigilator actions ───────────────────────────────────────────
+  // The live proctoring grid acts on this attempt through its session:
+  // a warning is shown at once, extra time moves the deadline, and a
+  // submit made for the student closes the exam on their result.
+  const _seenWarning = useRef(undefined);
+  const examIdTaking = mode==="taking" ? activeExam?.id : undefined;
+  useEffect(() => {
+    if (examIdTaking===undefined) return;
+    _seenWarning.current = undefined;
+    return subscribeMyCbtSession(examIdTaking, currentUser, data => {
+      if (!data) return;
+      // Warnings sent before this page opened were already shown (or missed).
+      if (_seenWarning.current===undefined) _seenWarning.current = data.warning?.id ?? null;
+      else if (data.warning && data.warning.id!==_seenWarning.current) {
+        _seenWarning.current = data.warning.id;
+        showWarn(`🚨 Message from your invigilator: ${data.warning.text}`);
+      }
+      setSession(s => {
+        if (!s || data.deadline===s.deadline) return s;
+        const mins = Math.round((data.deadline - s.deadline)/60000);
+        if (mins>0) toast(`⏱ Your invigilator gave you ${mins} more minute${mins===1?"":"s"}`,"success");
+        const next = { ...s, deadline:data.deadline, cutoffAt:data.cutoffAt,
+          ...(data.section!==undefined ? { sectionDeadline:data.sectionDeadline } : {}) };
+        setTimeLeft(secondsLeft(next));
+        return next;
+      });
     });
-    return qOrder.map(origQIdx => ({
-      origQIdx,
-      q: exam.questions[origQIdx].q,
-      displayOptions: optOrders[origQIdx].map(origOptIdx => ({
-        origOptIdx, text: exam.questions[origQIdx].options[origOptIdx]
-      })),
-      origAns: exam.questions[origQIdx].ans,
-    }));
-  }, [currentUser, seededShuffle]);
+  }, [examIdTaking, currentUser]);
+
+  // A result appearing mid-exam means it was submitted for the student.
+  useEffect(() => {
+    if (mode!=="taking" || !activeExam || examSubmitted) return;
+    const r = results.find(r=>r.examId===activeExam.id && r.student===currentUser);
+    if (!r) return;
+    setExamSubmitted(true);
+    resetAutosave();
+    clearLocalAttempt(activeExam.id, currentUser);
+    window._cbtExamInProgress = false;
+    if (document.fullscreenElement) exitFullscreen();
+    toast(r.reason==="proctor_submit" ? "⏹ Your invigilator has submitted your exam." : "Your exam has been submitted.","warn");
+    setMyResult(r);
+    openReview(activeExam,"done");
+  }, [results, mode]);
+
+  useEffect(() => {
+    if (mode!=="taking" || !activeExam) return;
+    const onOnline = () => { clearTimeout(_flushTimer.current); flushAnswers(activeExam); };
+    window.addEventListener("online", onOnline);
+    return () => { window.removeEventListener("online", onOnline); clearTimeout(_flushTimer.current); _flushTimer.current = null; };
+  }, [mode, activeExam]);
+
+  // Resume: the server's autosave, with this device's unsynced answers
+  // on top. Without a server copy (never got online) the device copy is it.
+  const mergeSavedAnswers = (n, remote, local) => {
+    const restored = new Array(n).fill(null);
+    if (remote) {
+      Object.entries(remote.answers || {}).forEach(([pos,v]) => { if (pos < n) restored[pos] = v; });
+      (local?.pending || []).forEach(pos => { if (pos < n) restored[pos] = local.answers?.[pos] ?? null; });
+    } else {
+      (local?.answers || []).slice(0, n).forEach((v,i) => { restored[i] = v ?? null; });
+    }
+    const pending = remote ? (local?.pending || []).filter(pos => pos < n) : restored.flatMap((v,i) => v!==null ? [i] : []);
+    return { answers: restored, pending, qIdx: Math.min(local?.qIdx ?? remote?.qIdx ?? 0, Math.max(0, n-1)) };
+  };
+
+  // ── Sections ──────────────────────────────────────────────────────
+  // The session's `section` is the furthest one reached. Earlier sections
+  // stay open unless they lock on leave; later ones open only through
+  // advanceCbtSection, which also freezes a locked section's answers.
+  const _advancing = useRef(false);
+  const sectionAt = (pos) => paperSections.findIndex(sec => pos>=sec.start && pos<sec.start+sec.count);
+  const canVisit = (pos, s = session) => {
+    if (!paperSections.length || s?.section===undefined) return true;
+    const si = sectionAt(pos);
+    return si===s.section || (si<s.section && !paperSections[si].lockOnLeave);
+  };
+
+  const advanceSection = async (timedOut = false) => {
+    if (_advancing.current || !session || !activeExam) return;
+    _advancing.current = true;
+    const leaving = session.section;
+    try {
+      const next = await advanceCbtSection(activeExam.id, leaving, _answersRef.current);
+      const s = { ...next.session, clock:next.clock };
+      setSession(s);
+      setQIdx(paperSections[s.section]?.start ?? 0);
+      toast(timedOut
+        ? `⏰ Time's up for ${paperSections[leaving].title||`Section ${leaving+1}`} — now on ${paperSections[s.section].title||`Section ${s.section+1}`}`
+        : `📑 ${paperSections[s.section].title||`Section ${s.section+1}`}`,"info");
+      _advancing.current = false;
+    } catch(e) {
+      if (e.code==="functions/deadline-exceeded") { _advancing.current = false; doSubmit("timeout"); return; }
+      toast("⚠️ Could not open the next section — "+(timedOut?"retrying. ":"check your connection and try again. ")+(e.message||""),"error");
+      // A timed-out section retries from the countdown; give it a moment.
+      if (timedOut) setTimeout(() => { _advancing.current = false; }, 5000);
+      else _advancing.current = false;
+    }
+  };
+
+  const openReview = async (exam, nextMode) => {
+    if (nextMode==="done" && !cbtResultsReleased(exam, releases[exam.id])) {
+      setShuffledQs([]); setPaperSections([]); setActiveExam(exam); setMode(nextMode); return;
+    }
+    try {
+      const paper = await fetchCbtReview(exam.id);
+      setShuffledQs(toPaperQs(paper));
+      setPaperSections(paper.sections || []);
+      setAnswers(paper.questions.map(q => q.chosen ?? null));
+    } catch(e) {
+      setShuffledQs([]);
+      setPaperSections([]);
+      toast(e.message || "Could not load the answer review.","warn");
+    }
+    setActiveExam(exam);
+    setMode(nextMode);
+  };
 
   // ── Fullscreen handling ──────────────────────────────────────────────
   //
@@ -2555,10 +4487,7 @@ export function CbtStudentView({ toast, currentUser }) {
       const limit = activeExam?.tabSwitchLimit ?? 3;
       const switchCount = updatedLocal.filter(x => x.type === "tab_switch").length;
 
-      try {
-        const all = await cbtViolationsGet();
-        await cbtViolationsSave([...all, v]);
-      } catch(e) {}
+      try { await logCbtViolation(v); } catch(e) {}
 
       if (limit === 0) {
         // Warn-only mode — log it but never auto-submit
@@ -2594,10 +4523,7 @@ export function CbtStudentView({ toast, currentUser }) {
         showWarn(`⚠️ Violation recorded: ${type}. −0.5 mark deducted (Total deductions: −${newPenalties}).`);
       }
 
-      try {
-        const all = await cbtViolationsGet();
-        await cbtViolationsSave([...all, { ...v, penaltyApplied: 0.5, totalPenalties: newPenalties }]);
-      } catch(e){}
+      try { await logCbtViolation({ ...v, penaltyApplied: 0.5, totalPenalties: newPenalties }); } catch(e){}
     }
   };
 
@@ -2621,26 +4547,56 @@ export function CbtStudentView({ toast, currentUser }) {
         setDeviceBlocked(true);
         setDeviceBlockMsg(reason);
         // Log duplicate device violation
-        try {
-          const all = await cbtViolationsGet();
-          await cbtViolationsSave([...all, {examId:exam.id,student:currentUser,type:"duplicate_device",ts:Date.now(),deviceInfo:devInfo}]);
-        } catch(e){}
+        try { await logCbtViolation({examId:exam.id,student:currentUser,type:"duplicate_device",ts:Date.now(),deviceInfo:devInfo}); } catch(e){}
         return;
       }
       // Store devInfo on the exam session for logging
       exam = { ...exam, _devInfo: devInfo };
     }
 
-    const shuffled = buildShuffled(exam);
+    let paper, shuffled;
+    try {
+      paper = await fetchCbtPaper(exam.id);
+      shuffled = toPaperQs(paper);
+    } catch(e) {
+      toast(e.details?.opensAt ? `⏳ This exam opens at ${new Date(e.details.opensAt).toLocaleString()}`
+        : e.message || "Could not load this exam. Check your connection and try again.","error");
+      return;
+    }
+    // A running attempt (refresh, crash) keeps its original deadline and
+    // the answers autosaved so far. The order needs no restoring — the
+    // server seeds the same shuffle for this student every time.
+    const running = paper.session ? { ...paper.session, clock:paper.clock } : null;
+    // Its flags carry over too, so a reload doesn't reset the tab-switch
+    // count that auto-submits, or the deductions shown.
+    let saved = { answers: new Array(shuffled.length).fill(null), pending: [], qIdx: 0 };
+    let earlier = [];
+    if (running) {
+      const [remote, local, flags] = await Promise.all([
+        loadCbtAnswers(exam.id, currentUser).catch(() => null),
+        loadLocalAttempt(exam.id, currentUser),
+        listMyCbtViolations(exam.id, currentUser).catch(() => []),
+      ]);
+      saved = mergeSavedAnswers(shuffled.length, remote, local);
+      earlier = flags.sort((a,b)=>a.ts-b.ts);
+    } else {
+      clearLocalAttempt(exam.id, currentUser); // left over from an attempt that was reset
+    }
+    const restored = saved.answers.filter(a => a!==null).length;
+    if (running) toast(`⏱ Resuming — ${restored} answer${restored===1?"":"s"} restored, ${Math.ceil(secondsLeft(running)/60)} min left on your attempt`,"info");
     setActiveExam(exam);
     setShuffledQs(shuffled);
-    setAnswers(new Array(shuffled.length).fill(null));
-    setQIdx(0);
-    setTimeLeft(exam.duration*60);
-    setTabSwitches(0);
-    setViolations([]);
+    setPaperSections(paper.sections || []);
+    setAnswers(saved.answers);
+    setQIdx(saved.qIdx);
+    setRestoredCnt(restored);
+    resetAutosave(saved.answers, saved.pending);
+    setSession(null);
+    setTimeLeft(running ? secondsLeft(running) : cbtExamDuration(exam)*60);
+    setTabSwitches(earlier.filter(v => v.type === "tab_switch").length);
+    setViolations(earlier);
     setDeviceBlocked(false);
-    setPenaltyDeductions(0);
+    setPenaltyDeductions(earlier.reduce((s, v) => s + (v.penaltyApplied || 0), 0));
     setExamSubmitted(false);
     setRulesAccepted(false);
 
@@ -2652,10 +4608,25 @@ export function CbtStudentView({ toast, currentUser }) {
     }
   };
 
-  const beginAfterPreflight = () => {
+  // The server starts the clock here, after the rules screen — not when
+  // the paper was fetched.
+  const beginAfterPreflight = async () => {
+    // Fullscreen needs the click's user gesture, so request it before the round trip.
+    if (activeExam?.fullscreenRequired) enterFullscreen();
+    let started;
+    try {
+      started = await startCbtAttempt(activeExam.id);
+    } catch(e) {
+      if (document.fullscreenElement) exitFullscreen();
+      toast(e.message || "Could not start the exam. Check your connection and try again.","error");
+      return;
+    }
+    const s = { ...started.session, clock:started.clock };
+    setSession(s);
+    setTimeLeft(secondsLeft(s));
+    if (!canVisit(qIdx, s)) setQIdx(paperSections[s.section]?.start ?? 0);
     window._cbtExamInProgress = true; // prevents PIN lock during exam
     setMode("taking");
-    if (activeExam?.fullscreenRequired) enterFullscreen();
   };
 
   // ── Submit exam ──
@@ -2664,34 +4635,33 @@ export function CbtStudentView({ toast, currentUser }) {
     if (!exam) return;
     if (examSubmitted) return; // guard against double-submit
     setExamSubmitted(true);
-    // Use passed-in values or fall back to state (closures can be stale)
-    const vList     = currentViolations  !== undefined ? currentViolations  : violations;
-    const penalties = currentPenalties   !== undefined ? currentPenalties   : penaltyDeductions;
-    // Calculate raw score using original question/option indices
-    const rawScore = shuffledQs.reduce((s, sqObj, i) => {
-      const chosen = answers[i];
-      if (chosen === null || chosen === undefined) return s;
-      const chosenOrigOpt = sqObj.displayOptions[chosen]?.origOptIdx;
-      return s + (chosenOrigOpt === sqObj.origAns ? 1 : 0);
-    }, 0);
-    const total = shuffledQs.length;
-    // Apply penalty: 0.5 per non-tab-switch violation, floored at 0
-    const penalised = Math.max(0, rawScore - penalties);
-    const score     = Math.round(penalised * 10) / 10; // keep 1 decimal
-    const pct       = Math.round((score/total)*100);
-    const result = {
-      examId:exam.id, examTitle:exam.title, student:currentUser,
-      score, rawScore, penaltyDeductions:penalties, total,
-      percent:pct, submittedAt:Date.now(), reason,
-      violations: vList.length,
-      autoSubmittedOnLeave: reason==="page_leave",
-    };
-    const updated = [...results.filter(r=>!(r.examId===exam.id&&r.student===currentUser)), result];
-    setResults(updated);
-    await cbtResultsSave(updated);
+    // Grading happens server-side: the submitCbtAttempt function maps the
+    // display answers back through the seeded shuffle, applies the
+    // penalties recorded by logViolation and writes the result itself.
+    let result, review;
+    try {
+      ({ result, review } = await submitCbtAttempt(exam.id, answers, reason));
+    } catch(e) {
+      if (e.code==="functions/deadline-exceeded") {
+        // Past the server's cutoff — the attempt is closed without these answers.
+        toast("⏰ "+e.message+" Your attempt was closed by the server.","error");
+        resetAutosave();
+        clearLocalAttempt(exam.id, currentUser);
+        window._cbtExamInProgress = false;
+        if (document.fullscreenElement) exitFullscreen();
+        setMode("list");
+        return;
+      }
+      setExamSubmitted(false);
+      toast("⚠️ Submission failed — check your connection and submit again. "+(e.message||""),"error");
+      return;
+    }
+    resetAutosave();
+    clearLocalAttempt(exam.id, currentUser);
+    setResults(prev => [...prev.filter(r=>!(r.examId===exam.id&&r.student===currentUser)), result]);
+    if (review) setShuffledQs(qs => qs.map((sq,i) => ({ ...sq, correctIdx: review[i] })));
     if (["auto_tab","page_leave"].includes(reason)) {
-      const all = await cbtViolationsGet();
-      await cbtViolationsSave([...all, {examId:exam.id,student:currentUser,type:"auto_submitted",reason,ts:Date.now()}]);
+      try { await logCbtViolation({examId:exam.id,student:currentUser,type:"auto_submitted",reason,ts:Date.now()}); } catch(e){}
     }
     window._cbtExamInProgress = false; // allow PIN lock again after exam
     if (document.fullscreenElement) exitFullscreen();
@@ -2699,19 +4669,30 @@ export function CbtStudentView({ toast, currentUser }) {
     setMode("done");
   };
 
-  const isArchived    = (exam) => exam.published && exam.publishedAt && (Date.now()-exam.publishedAt > 24*60*60*1000);
+  // Display only — the server re-checks the window on its own clock.
+  // An accommodated alternative window replaces the 24h auto-close.
+  const isArchived    = (exam) => exam.published && (exam.altWindow
+    ? Date.now() > exam.endAt
+    : (exam.publishedAt && Date.now()-exam.publishedAt > 24*60*60*1000) || (exam.endAt && Date.now() > exam.endAt));
   const hasAttempted  = (examId) => results.some(r=>r.examId===examId&&r.student===currentUser);
   const fmtTime       = (s) => `${String(Math.floor(s/60)).padStart(2,"0")}:${String(s%60).padStart(2,"0")}`;
   const urgent        = timeLeft<=60&&timeLeft>0;
 
   const isExamOpen = (e) => {
     if (!e.published || isArchived(e)) return false;
-    if (e.startTime) { const s = new Date(e.startTime).getTime(); if (!isNaN(s) && Date.now() < s) return false; }
+    const s = e.startAt ?? (e.startTime ? new Date(e.startTime).getTime() : NaN);
+    if (!isNaN(s) && Date.now() < s) return false;
     return true;
   };
-  const available = exams.filter(e=>e.classId===myClass&&isExamOpen(e));
-  const archived  = exams.filter(e=>e.published&&e.classId===myClass&&isArchived(e));
+  // Each exam as this student sits it — extra time, exemptions and any
+  // alternative window applied (the server applies the same).
+  const sittings  = exams.map(e=>applyCbtAccommodation(e, myAcc[e.id]));
+  const available = sittings.filter(e=>e.classId===myClass&&isExamOpen(e));
+  const archived  = sittings.filter(e=>e.published&&e.classId===myClass&&isArchived(e));
+  const upcomingOffline = sittings.filter(e=>e.published&&e.offlineEnabled&&e.classId===myClass&&!isExamOpen(e)&&!isArchived(e));
   const myResults = results.filter(r=>r.student===currentUser);
+  const isDownloaded  = (examId) => offlinePkgs.some(p=>String(p.examId)===String(examId));
+  const isQueued      = (examId) => outbox.some(u=>String(u.examId)===String(examId));
 
   // ── PRE-FLIGHT / INSTRUCTIONS screen ──────────────────────────────
   // Device blocked screen
@@ -2775,6 +4756,8 @@ export function CbtStudentView({ toast, currentUser }) {
 
   if (mode==="preflight"&&activeExam) {
     // Build rules dynamically based on what the lecturer actually enabled
+    const scheme     = scoringScheme(activeExam.scoring);
+    const negativeOn = paperSections.length ? paperSections.some(sec=>sec.negative) : scheme.negative>0;
     const rules = [
       // Page-leave is always enforced (not a toggle — it is a core integrity rule)
       { icon:"🚪", title:"No Page-Leaving (CRITICAL)", desc:"Leaving, minimising, or closing this exam page will IMMEDIATELY auto-submit your exam. You will NOT be allowed to continue unless your lecturer permits a retake.", critical:true },
@@ -2792,6 +4775,9 @@ export function CbtStudentView({ toast, currentUser }) {
       ...(activeExam.deviceLock ? [{ icon:"💻", title:"One Device Only", desc:"This exam may only be taken on the device you are starting it on now. Attempting to open it on another device will block your access.", critical:false }] : []),
       { icon:"🖱️", title:"Right-click & Shortcuts Disabled", desc:"Context menus (right-click), Ctrl+C, Ctrl+V, Ctrl+U, F12, and other shortcuts are disabled for the duration of the exam.", critical:false },
       { icon:"⏱️", title:"Timer Cannot Be Paused", desc:"The countdown timer runs continuously. When it reaches zero, your exam is automatically submitted regardless of how many questions you have answered.", critical:false },
+      ...(paperSections.some(sec=>sec.lockOnLeave) ? [{ icon:"🔒", title:"Some Sections Can't Be Revisited", desc:"Sections marked 🔒 close for good when you move on or their own timer runs out — your answers there become final.", critical:false }] : []),
+      ...(negativeOn ? [{ icon:"➖", title:"Negative Marking", desc:`${paperSections.length?"Some sections deduct":`Each wrong answer costs ${negativeMarks(scheme.marks,scheme.negative)} mark(s) —`} marks for wrong answers. ${scheme.unanswered==="negative"?"Unanswered questions are marked as wrong too.":"Unanswered questions never lose marks."}`, critical:false }] : []),
+      { icon:"🎯", title:`Pass Mark: ${scheme.passMark}%`, desc:`${paperSections.length?"Marks per question are listed for each section above.":`Marking: ${describeScheme(activeExam.scoring)}.`}${scheme.unanswered==="exclude"?" Questions you leave blank don't count towards the total.":""}`, critical:false },
       { icon:"1️⃣", title:"One Attempt Only", desc:"You have exactly one attempt. Once submitted — for any reason — you cannot retake the exam unless your lecturer explicitly resets your attempt.", critical:false },
       { icon:"👁️", title:"All Activity Is Monitored & Recorded", desc:"All violations are recorded in real time with timestamps and reported directly to your lecturer.", critical:false },
     ];
@@ -2807,11 +4793,24 @@ export function CbtStudentView({ toast, currentUser }) {
             <div style={{fontSize:12,color:"var(--text3)"}}>{activeExam.subject}</div>
           </div>
 
+          {activeExam.accommodated&&(
+            <div style={{background:"rgba(168,85,247,.08)",border:"1px solid var(--purple)",borderRadius:9,padding:"10px 14px",marginBottom:14,fontSize:12,color:"var(--text2)"}}>
+              <span style={{fontWeight:800,color:"var(--purple)"}}>♿ Your accommodations: </span>
+              {describeCbtAccommodation(myAcc[activeExam.id]||{})||"on file"}. The rules below already reflect them.
+            </div>
+          )}
+
+          {restoredCnt>0&&(
+            <div style={{background:"rgba(34,197,94,.08)",border:"1px solid var(--success)",borderRadius:9,padding:"10px 14px",marginBottom:14,fontSize:12,fontWeight:700,color:"var(--success)",textAlign:"center"}}>
+              💾 Resuming your attempt — {restoredCnt} saved answer{restoredCnt===1?"":"s"} restored. Your timer kept running while you were away.
+            </div>
+          )}
+
           {/* Stats strip */}
           <div style={{display:"grid",gridTemplateColumns:"repeat(3,1fr)",gap:8,marginBottom:18}}>
             {[
-              {icon:"❓",label:"Questions",val:activeExam.questions.length},
-              {icon:"⏱️",label:"Duration",val:`${activeExam.duration} min`},
+              {icon:"❓",label:"Questions",val:cbtPaperLength(activeExam)},
+              {icon:"⏱️",label:"Duration",val:`${cbtExamDuration(activeExam)} min`},
               {icon:"🎯",label:"Attempts",val:"1 only"},
             ].map((s,i)=>(
               <div key={i} style={{padding:"8px 6px",borderRadius:8,background:"var(--bg4)",border:"1px solid var(--border)",textAlign:"center"}}>
@@ -2822,6 +4821,20 @@ export function CbtStudentView({ toast, currentUser }) {
             ))}
           </div>
 
+          {/* Section plan */}
+          {paperSections.length>0&&(
+            <div style={{background:"var(--bg4)",border:"1px solid var(--border)",borderRadius:10,padding:"12px 14px",marginBottom:16}}>
+              <div style={{fontWeight:800,fontSize:12,color:"var(--accent)",marginBottom:8,letterSpacing:.4}}>📑 THIS PAPER HAS {paperSections.length} SECTIONS — SAT IN ORDER</div>
+              {paperSections.map((sec,si)=>(
+                <div key={si} style={{display:"flex",gap:8,flexWrap:"wrap",fontSize:12,padding:"4px 0",borderTop:si?"1px solid var(--border)":"none"}}>
+                  <span style={{fontWeight:700,flex:1,minWidth:140}}>{si+1}. {sec.title||`Section ${si+1}`}</span>
+                  <span style={{color:"var(--text3)"}}>{sec.count}Q • {sec.marks} mark{sec.marks===1?"":"s"} each{sec.negative?` • −${negativeMarks(sec.marks,sec.negative)} wrong`:""}{sec.duration?` • ⏱ ${sec.duration} min`:""}</span>
+                  {sec.lockOnLeave&&<span style={{color:"var(--warn)",fontWeight:700}}>🔒</span>}
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Critical warning box */}
           <div style={{background:"rgba(239,68,68,.1)",border:"2px solid var(--danger)",borderRadius:10,padding:"12px 14px",marginBottom:16}}>
             <div style={{fontWeight:900,fontSize:12,color:"var(--danger)",marginBottom:8,letterSpacing:.5}}>⚡ CRITICAL — READ BEFORE YOU START</div>
@@ -2885,7 +4898,7 @@ export function CbtStudentView({ toast, currentUser }) {
             <button className="btn btn-success" style={{flex:1,fontWeight:900,fontSize:15,opacity:rulesAccepted?1:.45,cursor:rulesAccepted?"pointer":"not-allowed"}}
               disabled={!rulesAccepted}
               onClick={()=>{if(rulesAccepted)beginAfterPreflight();}}>
-              {activeExam.fullscreenRequired?"🖥️ Accept Rules & Enter Fullscreen":"▶ Accept Rules & Start Exam"}
+              {activeExam.fullscreenRequired?"🖥️ Accept Rules & Enter Fullscreen":restoredCnt>0?"▶ Accept Rules & Resume Exam":"▶ Accept Rules & Start Exam"}
             </button>
           </div>
         </div>
@@ -2897,6 +4910,21 @@ export function CbtStudentView({ toast, currentUser }) {
   if (mode==="taking"&&activeExam&&shuffledQs.length>0) {
     const sq = shuffledQs[qIdx];
     const answeredCnt = answers.filter(a=>a!==null).length;
+    // Sectioned paper: where the student is, and whether its own timer has run out.
+    const secIdx   = paperSections.length ? sectionAt(qIdx) : -1;
+    const sec      = paperSections[secIdx];
+    const curSec   = session?.section;
+    const secLeft  = sectionTimed() ? secondsLeft(session, session.sectionDeadline) : null;
+    const secOver  = secLeft===0 && secIdx===curSec;
+    const secEnd   = sec ? qIdx===sec.start+sec.count-1 : false;
+    const setAnswer = (v) => { if (!secOver) setAnswers(prev=>{const n=[...prev];n[qIdx]=v;return n;}); };
+    const goNextSection = () => {
+      if (secIdx<curSec) { setQIdx(paperSections[secIdx+1].start); return; }
+      const nextTitle = paperSections[secIdx+1].title||`Section ${secIdx+2}`;
+      const unanswered = Array.from({length:sec.count},(_,k)=>answers[sec.start+k]).filter(a=>a===null).length;
+      if (!confirm(`Move on to ${nextTitle}?${sec.lockOnLeave?"\n\nYou will NOT be able to come back to this section.":""}${unanswered?`\n\n${unanswered} question${unanswered===1?"":"s"} in this section still unanswered.`:""}`)) return;
+      advanceSection(false);
+    };
     return (
       <div style={{maxWidth:640,margin:"0 auto",userSelect:"none"}}>
 
@@ -3015,6 +5043,10 @@ export function CbtStudentView({ toast, currentUser }) {
             <div style={{fontWeight:800,fontSize:14}}>{activeExam.title}</div>
             <div style={{display:"flex",gap:10,fontSize:11,color:"var(--text3)",marginTop:2}}>
               <span>{answeredCnt}/{shuffledQs.length} answered</span>
+              <span title="Answers are kept on this device and synced to the server as you go"
+                style={{color:syncState==="offline"?"var(--warn)":syncState==="saving"?"var(--text3)":"var(--success)",fontWeight:700}}>
+                {syncState==="offline"?"📴 Saved on this device":syncState==="saving"?"⏳ Saving…":"💾 Saved"}
+              </span>
               {tabSwitches>0&&<span style={{color:"var(--danger)",fontWeight:700}}>🚨 {tabSwitches} flag{tabSwitches>1?"s":""}</span>}
               {penaltyDeductions>0&&<span style={{color:"var(--warn)",fontWeight:700}}>⚠️ −{penaltyDeductions} pts penalty</span>}
             </div>
@@ -3027,6 +5059,11 @@ export function CbtStudentView({ toast, currentUser }) {
               color:urgent?"var(--danger)":"var(--accent)",
               border:`2px solid ${urgent?"var(--danger)":"var(--accent)"}`,
             }}>⏱ {fmtTime(timeLeft)}</div>
+            {secLeft!==null&&(
+              <div title="Time left in this section" style={{fontWeight:800,fontSize:14,padding:"6px 10px",borderRadius:10,fontFamily:"'DM Mono',monospace",
+                background:secLeft<=60?"rgba(239,68,68,.1)":"rgba(168,85,247,.08)",color:secLeft<=60?"var(--danger)":"var(--purple)",
+                border:`2px solid ${secLeft<=60?"var(--danger)":"var(--purple)"}`}}>📑 {fmtTime(secLeft)}</div>
+            )}
             <button className="btn btn-sm btn-danger"
               onClick={()=>{if(confirm("Submit exam now? This action is final and cannot be undone."))doSubmit("manual");}}>
               Submit ✓
@@ -3034,44 +5071,71 @@ export function CbtStudentView({ toast, currentUser }) {
           </div>
         </div>
 
-        {/* Question navigator */}
+        {/* Question navigator — closed sections are greyed out */}
         <div style={{display:"flex",gap:5,flexWrap:"wrap",marginBottom:10}}>
-          {shuffledQs.map((_,i)=>(
-            <div key={i} onClick={()=>setQIdx(i)} style={{
-              width:32,height:32,borderRadius:8,display:"flex",alignItems:"center",justifyContent:"center",
-              cursor:"pointer",fontSize:11,fontWeight:700,transition:"all .15s",
-              background:i===qIdx?"var(--accent)":answers[i]!==null?"rgba(34,197,94,.15)":"var(--bg4)",
-              border:`2px solid ${i===qIdx?"var(--accent)":answers[i]!==null?"var(--success)":"var(--border)"}`,
-              color:i===qIdx?"white":answers[i]!==null?"var(--success)":"var(--text3)"
-            }}>{i+1}</div>
-          ))}
+          {shuffledQs.map((_,i)=>{
+            const open = canVisit(i);
+            const head = paperSections.find(ps=>ps.start===i);
+            return (
+            <div key={i} style={{display:"contents"}}>
+              {head&&<div style={{width:"100%",fontSize:10,fontWeight:800,color:"var(--text3)",marginTop:i?4:0}}>📑 {head.title||"Section"}{head.lockOnLeave&&sectionAt(i)<curSec?" 🔒":""}</div>}
+              <div onClick={()=>open&&setQIdx(i)} title={open?undefined:"This section is closed"} style={{
+                width:32,height:32,borderRadius:8,display:"flex",alignItems:"center",justifyContent:"center",
+                cursor:open?"pointer":"not-allowed",fontSize:11,fontWeight:700,transition:"all .15s",opacity:open?1:.4,
+                background:i===qIdx?"var(--accent)":answers[i]!==null?"rgba(34,197,94,.15)":"var(--bg4)",
+                border:`2px solid ${i===qIdx?"var(--accent)":answers[i]!==null?"var(--success)":"var(--border)"}`,
+                color:i===qIdx?"white":answers[i]!==null?"var(--success)":"var(--text3)"
+              }}>{i+1}</div>
+            </div>
+            );
+          })}
         </div>
 
+        {/* Section banner — instructions on its first question */}
+        {sec&&(
+          <div style={{marginBottom:12,padding:"10px 14px",borderRadius:10,background:"rgba(0,119,182,.06)",border:"1px solid rgba(0,119,182,.25)"}}>
+            <div style={{display:"flex",gap:8,flexWrap:"wrap",alignItems:"center",fontSize:12}}>
+              <span style={{fontWeight:800,color:"var(--accent)"}}>📑 Section {secIdx+1} of {paperSections.length}{sec.title?` — ${sec.title}`:""}</span>
+              <span style={{color:"var(--text3)"}}>{sec.marks} mark{sec.marks===1?"":"s"} each{sec.negative?` • −${negativeMarks(sec.marks,sec.negative)} per wrong answer`:""}</span>
+              {sec.lockOnLeave&&<span style={{color:"var(--warn)",fontWeight:700}}>🔒 No going back</span>}
+            </div>
+            {sec.instructions&&qIdx===sec.start&&<div style={{fontSize:12,color:"var(--text2)",marginTop:6,lineHeight:1.5,whiteSpace:"pre-wrap"}}>{sec.instructions}</div>}
+            {secOver&&<div style={{fontSize:12,fontWeight:700,color:"var(--danger)",marginTop:6}}>⏰ Time's up for this section — moving you on…</div>}
+          </div>
+        )}
+
         {/* Progress bar */}
         <div className="progress-wrap" style={{marginBottom:14}}>
           <div className="progress-fill" style={{width:`${(answeredCnt/shuffledQs.length)*100}%`,background:"var(--accent)"}} />
         </div>
 
-        <div style={{fontSize:11,color:"var(--text3)",marginBottom:6}}>Question {qIdx+1} of {shuffledQs.length}</div>
-        <div className="card" style={{marginBottom:12,borderLeft:"3px solid var(--accent)"}}>
-          <div style={{fontWeight:700,fontSize:16,lineHeight:1.6}}>{sq.q}</div>
-        </div>
-        {sq.displayOptions.map((opt,di)=>(
-          <div key={di} onClick={()=>setAnswers(prev=>{const n=[...prev];n[qIdx]=di;return n;})}
-            className="quiz-opt" style={{
-              borderColor:answers[qIdx]===di?"var(--accent)":"var(--border)",
-              background:answers[qIdx]===di?"rgba(0,119,182,.12)":"transparent",
-              cursor:"pointer",display:"flex",alignItems:"center",gap:8,marginBottom:8}}>
-            <span style={{fontSize:11,opacity:.55,flexShrink:0}}>{"ABCD"[di]}.</span>
-            <span style={{flex:1}}>{opt.text}</span>
-            {answers[qIdx]===di&&<span style={{color:"var(--accent)",fontWeight:800,fontSize:16}}>✓</span>}
+        {/* Larger-text accommodation scales the whole question, typed widgets included. */}
+        <div style={activeExam.largeText?{zoom:1.3}:undefined}>
+          <div style={{fontSize:11,color:"var(--text3)",marginBottom:6}}>Question {qIdx+1} of {shuffledQs.length}{sq.marks?` • ${sq.marks} mark${sq.marks===1?"":"s"}`:""}</div>
+          <div className="card" style={{marginBottom:12,borderLeft:"3px solid var(--accent)"}}>
+            <div style={{fontWeight:700,fontSize:16,lineHeight:1.6}}>{sq.q}</div>
           </div>
-        ))}
+          {isSingleChoice(sq) ? sq.displayOptions.map((opt,di)=>(
+            <div key={di} onClick={()=>setAnswer(di)}
+              className="quiz-opt" style={{
+                borderColor:answers[qIdx]===di?"var(--accent)":"var(--border)",
+                background:answers[qIdx]===di?"rgba(0,119,182,.12)":"transparent",
+                cursor:"pointer",display:"flex",alignItems:"center",gap:8,marginBottom:8}}>
+              <span style={{fontSize:11,opacity:.55,flexShrink:0}}>{"ABCD"[di]}.</span>
+              <span style={{flex:1}}>{opt.text}</span>
+              {answers[qIdx]===di&&<span style={{color:"var(--accent)",fontWeight:800,fontSize:16}}>✓</span>}
+            </div>
+          )) : (
+            <TypedQuestionInput key={qIdx} q={sq} value={answers[qIdx]} onChange={setAnswer} />
+          )}
+        </div>
         <div style={{display:"flex",gap:8,marginTop:14,justifyContent:"space-between"}}>
-          <button className="btn btn-sm" disabled={qIdx===0} onClick={()=>setQIdx(q=>q-1)}>← Prev</button>
-          {qIdx<shuffledQs.length-1
-            ?<button className="btn btn-sm btn-accent" onClick={()=>setQIdx(q=>q+1)}>Next →</button>
-            :<button className="btn btn-sm btn-success" onClick={()=>{if(confirm("Submit exam now? This is final."))doSubmit("manual");}}>Submit Exam ✓</button>
+          <button className="btn btn-sm" disabled={qIdx===0||!canVisit(qIdx-1)} onClick={()=>setQIdx(q=>q-1)}>← Prev</button>
+          {qIdx>=shuffledQs.length-1
+            ?<button className="btn btn-sm btn-success" onClick={()=>{if(confirm("Submit exam now? This is final."))doSubmit("manual");}}>Submit Exam ✓</button>
+            :secEnd
+            ?<button className="btn btn-sm btn-accent" disabled={secOver} onClick={goNextSection}>Next Section →</button>
+            :<button className="btn btn-sm btn-accent" onClick={()=>setQIdx(q=>q+1)}>Next →</button>
           }
         </div>
       </div>
@@ -3080,8 +5144,8 @@ export function CbtStudentView({ toast, currentUser }) {
 
   // ── DONE (result screen) ──────────────────────────────────────────────
   if (mode==="done"&&myResult) {
-    const showResults = activeExam?.showResultsImmediately !== false;
-    const grade  = myResult.percent>=70?"A":myResult.percent>=60?"B":myResult.percent>=50?"C":myResult.percent>=40?"D":"F";
+    const showResults = cbtResultsReleased(activeExam, releases[activeExam?.id]) && !myResult.held;
+    const grade  = gradeLetter(myResult.percent);
     const gColor = myResult.percent>=70?"var(--success)":myResult.percent>=50?"var(--warn)":"var(--danger)";
     const isPageLeave = myResult.reason==="page_leave";
     const isAutoTab   = myResult.reason==="auto_tab";
@@ -3112,12 +5176,26 @@ export function CbtStudentView({ toast, currentUser }) {
                 <div><div style={{fontSize:42,fontWeight:800,color:gColor}}>{myResult.percent}%</div><div style={{fontSize:12,color:"var(--text3)"}}>Percentage</div></div>
                 <div><div style={{fontSize:42,fontWeight:800,color:gColor}}>{grade}</div><div style={{fontSize:12,color:"var(--text3)"}}>Grade</div></div>
               </div>
+              <div style={{fontSize:14,fontWeight:800,marginTop:10,color:resultPassed(myResult)?"var(--success)":"var(--danger)"}}>
+                {resultPassed(myResult)?"✅ Passed":"❌ Not passed"} <span style={{fontSize:11,fontWeight:400,color:"var(--text3)"}}>(pass mark {myResult.passMark??scoringScheme(activeExam?.scoring).passMark}%)</span>
+              </div>
               {myResult.penaltyDeductions>0&&(
                 <div style={{marginTop:8,padding:"8px 14px",background:"rgba(251,146,60,.08)",border:"1px solid rgba(251,146,60,.3)",borderRadius:8,fontSize:12}}>
                   <span style={{color:"var(--warn)",fontWeight:800}}>⚠️ Penalty applied: </span>
                   <span style={{color:"var(--text2)"}}>Raw score {myResult.rawScore}/{myResult.total} − {myResult.penaltyDeductions} (violations) = <strong>{myResult.score}</strong></span>
                 </div>
               )}
+              {myResult.sections?.length>0&&(
+                <div style={{display:"flex",justifyContent:"center",gap:8,flexWrap:"wrap",marginTop:14}}>
+                  {myResult.sections.map(sec=>(
+                    <div key={sec.id} style={{padding:"6px 12px",borderRadius:8,background:"var(--bg4)",border:"1px solid var(--border)",fontSize:12}}>
+                      <span style={{fontWeight:700}}>📑 {sec.title||"Section"}</span>{" "}
+                      <span style={{color:"var(--accent)",fontWeight:800}}>{sec.score}/{sec.total}</span>
+                      <span style={{color:"var(--text3)",marginLeft:6}}>({sec.answered}/{sec.count} answered)</span>
+                    </div>
+                  ))}
+                </div>
+              )}
             </>
           ) : (
             <div style={{padding:"16px 20px",background:"var(--bg4)",borderRadius:10,border:"1px solid var(--border)"}}>
@@ -3127,21 +5205,28 @@ export function CbtStudentView({ toast, currentUser }) {
           )}
           {myResult.violations>0&&<div style={{marginTop:14,fontSize:12,color:"var(--danger)",fontWeight:700}}>🚨 {myResult.violations} violation{myResult.violations>1?"s":""} recorded during this exam.</div>}
         </div>
-        {showResults && <div style={{fontWeight:800,fontSize:14,marginBottom:10}}>Answer Review</div>}
+        {showResults && shuffledQs.length>0 && <div style={{fontWeight:800,fontSize:14,marginBottom:10}}>Answer Review</div>}
         {showResults && <div>
         {shuffledQs.map((sq,i)=>{
           const chosen       = answers[i];
-          const chosenOrigOpt = chosen!==null&&chosen!==undefined ? sq.displayOptions[chosen]?.origOptIdx : null;
-          const correct      = chosenOrigOpt===sq.origAns;
+          const answered     = chosen!==null&&chosen!==undefined;
+          const credit       = answered ? scoreResponse(sq, sq.correctIdx, chosen) : 0;
+          const correct      = credit===1;
+          const partial      = credit>0&&credit<1;
+          const head         = paperSections.find(ps=>ps.start===i);
           return (
-            <div key={i} className="card" style={{marginBottom:10,borderLeft:`3px solid ${chosenOrigOpt!==null?correct?"var(--success)":"var(--danger)":"var(--border)"}`}}>
+            <div key={i}>
+            {head&&<div style={{fontWeight:800,fontSize:13,color:"var(--accent)",margin:"14px 0 8px"}}>📑 {head.title||"Section"}</div>}
+            <div className="card" style={{marginBottom:10,borderLeft:`3px solid ${answered?correct?"var(--success)":partial?"var(--warn)":"var(--danger)":"var(--border)"}`}}>
               <div style={{display:"flex",gap:8,alignItems:"center",marginBottom:8}}>
-                <span style={{fontSize:16}}>{chosenOrigOpt!==null?correct?"✅":"❌":"⬜"}</span>
+                <span style={{fontSize:16}}>{answered?correct?"✅":partial?"🟨":"❌":"⬜"}</span>
                 <div style={{fontWeight:700,fontSize:13,flex:1}}>{i+1}. {sq.q}</div>
+                {partial&&<span style={{fontSize:11,fontWeight:800,color:"var(--warn)"}}>{Math.round(credit*100)/100} mark</span>}
               </div>
+              {!isSingleChoice(sq) ? <TypedAnswerReview q={sq} chosen={chosen} correct={sq.correctIdx} /> :
               <div style={{display:"flex",flexWrap:"wrap",gap:5}}>
                 {sq.displayOptions.map((opt,di)=>{
-                  const isCorrectOpt = opt.origOptIdx===sq.origAns;
+                  const isCorrectOpt = di===sq.correctIdx || !!sq.accept?.includes(di);
                   const isChosen     = di===chosen;
                   return (
                     <span key={di} style={{fontSize:11,padding:"3px 9px",borderRadius:6,
@@ -3152,9 +5237,10 @@ export function CbtStudentView({ toast, currentUser }) {
                     }}>{"ABCD"[di]}. {opt.text}{isCorrectOpt?" ✓":""}{isChosen&&!isCorrectOpt?" ✗":""}</span>
                   );
                 })}
-              </div>
+              </div>}
               {(chosen===null||chosen===undefined)&&<div style={{fontSize:11,color:"var(--text3)",marginTop:5,fontStyle:"italic"}}>— Not answered</div>}
             </div>
+            </div>
           );
         })}
         </div>}
@@ -3174,17 +5260,22 @@ export function CbtStudentView({ toast, currentUser }) {
             <div style={{fontWeight:800,fontSize:15,color:"var(--warn)"}}>🗄️ {activeExam.title}</div>
             <div style={{fontSize:11,color:"var(--text3)"}}>Archived • Read-Only Review Mode</div>
           </div>
-          <button className="btn btn-sm" onClick={()=>setShowAns(activeExam.questions.reduce((o,_,i)=>({...o,[i]:true}),{}))}>Show All ✓</button>
+          <button className="btn btn-sm" onClick={()=>setShowAns(shuffledQs.reduce((o,_,i)=>({...o,[i]:true}),{}))}>Show All ✓</button>
           <button className="btn btn-sm" onClick={()=>setShowAns({})}>Hide All</button>
         </div>
-        {myR&&(
+        {myR?.held&&(
+          <div className="card" style={{marginBottom:14,textAlign:"center",color:"var(--text3)",fontSize:13}}>⏳ Your result and the answers are being moderated — they'll appear here once released.</div>
+        )}
+        {myR&&!myR.held&&(
           <div className="card" style={{marginBottom:14,textAlign:"center",borderTop:`3px solid ${myR.percent>=70?"var(--success)":myR.percent>=50?"var(--warn)":"var(--danger)"}`}}>
             <div style={{fontSize:12,color:"var(--text3)",marginBottom:4}}>Your score on this exam</div>
-            <div style={{fontWeight:800,fontSize:20,color:"var(--accent)"}}>{myR.score}/{myR.total} • {myR.percent}% • Grade {myR.percent>=70?"A":myR.percent>=60?"B":myR.percent>=50?"C":myR.percent>=40?"D":"F"}</div>
+            <div style={{fontWeight:800,fontSize:20,color:"var(--accent)"}}>{myR.score}/{myR.total} • {myR.percent}% • Grade {gradeLetter(myR.percent)} • {resultPassed(myR)?"Pass":"Fail"}</div>
           </div>
         )}
-        {activeExam.questions.map((q,i)=>(
-          <div key={i} className="card" style={{marginBottom:10,borderLeft:`3px solid ${showAns[i]?"var(--success)":"var(--border)"}`}}>
+        {shuffledQs.map((q,i)=>(
+          <div key={i}>
+          {paperSections.find(ps=>ps.start===i)&&<div style={{fontWeight:800,fontSize:13,color:"var(--accent)",margin:"14px 0 8px"}}>📑 {paperSections.find(ps=>ps.start===i).title||"Section"}</div>}
+          <div className="card" style={{marginBottom:10,borderLeft:`3px solid ${showAns[i]?"var(--success)":"var(--border)"}`}}>
             <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",gap:8,marginBottom:8}}>
               <div style={{fontWeight:700,fontSize:13,flex:1,lineHeight:1.5}}>Q{i+1}. {q.q}</div>
               <button className="btn btn-sm" style={{flexShrink:0,fontSize:11,borderColor:"var(--accent)",color:"var(--accent)"}}
@@ -3192,16 +5283,18 @@ export function CbtStudentView({ toast, currentUser }) {
                 {showAns[i]?"Hide":"Show Answer"}
               </button>
             </div>
+            {!isSingleChoice(q) ? <TypedAnswerReview q={q} correct={showAns[i]?q.correctIdx:null} showChosen={false} /> :
             <div style={{display:"flex",flexWrap:"wrap",gap:6}}>
-              {q.options.filter(o=>o).map((opt,oi)=>(
+              {q.displayOptions.map((opt,oi)=>(
                 <span key={oi} style={{fontSize:12,padding:"4px 11px",borderRadius:7,transition:"all .2s",
-                  background:showAns[i]&&oi===q.ans?"rgba(34,197,94,.15)":"var(--bg4)",
-                  border:`1px solid ${showAns[i]&&oi===q.ans?"var(--success)":"var(--border)"}`,
-                  color:showAns[i]&&oi===q.ans?"var(--success)":"var(--text3)",
-                  fontWeight:showAns[i]&&oi===q.ans?800:400
-                }}>{"ABCD"[oi]}. {opt}{showAns[i]&&oi===q.ans?" ✓":""}</span>
+                  background:showAns[i]&&oi===q.correctIdx?"rgba(34,197,94,.15)":"var(--bg4)",
+                  border:`1px solid ${showAns[i]&&oi===q.correctIdx?"var(--success)":"var(--border)"}`,
+                  color:showAns[i]&&oi===q.correctIdx?"var(--success)":"var(--text3)",
+                  fontWeight:showAns[i]&&oi===q.correctIdx?800:400
+                }}>{"ABCD"[oi]}. {opt.text}{showAns[i]&&oi===q.correctIdx?" ✓":""}</span>
               ))}
-            </div>
+            </div>}
+          </div>
           </div>
         ))}
         <button className="btn" onClick={()=>{setMode("list");setActiveExam(null);}}>← Back to Exams</button>
@@ -3209,17 +5302,120 @@ export function CbtStudentView({ toast, currentUser }) {
     );
   }
 
+  if (mode==="offline"&&offlinePkg) return (
+    <CbtOfflineExam pkg={offlinePkg} currentUser={currentUser} toast={toast}
+      onQueued={()=>{ refreshOffline(); if (navigator.onLine) flushOutbox(); }}
+      onBack={()=>{ setOfflinePkg(null); setMode("list"); refreshOffline(); }} />
+  );
+
+  // Offline download button for exams that allow it.
+  const offlineBtn = (e) => e.offlineEnabled&&!hasAttempted(e.id)&&!isQueued(e.id)&&(
+    isDownloaded(e.id)
+      ? <span className="tag" style={{fontSize:10,borderColor:"var(--purple)",color:"var(--purple)"}}>📴 On this device</span>
+      : <button className="btn btn-sm" disabled={downloading===e.id} onClick={()=>downloadPackage(e)}>
+          {downloading===e.id?"⏳ Downloading…":"⬇️ Download for offline"}
+        </button>
+  );
+
   // ── LIST VIEW ──────────────────────────────────────────────────────────
-  if (loading) return <div style={{textAlign:"center",padding:60,color:"var(--text3)"}}>⏳ Loading exams…</div>;
+  // Downloaded papers live in IndexedDB, so they're listed even when
+  // Firestore can't be reached.
+  if (loading&&!offlinePkgs.length&&!outbox.length) return <div style={{textAlign:"center",padding:60,color:"var(--text3)"}}>⏳ Loading exams…</div>;
 
   return (
     <div>
+      {appealFor&&(
+        <div style={{position:"fixed",inset:0,background:"rgba(0,0,0,.55)",zIndex:1000,display:"flex",alignItems:"center",justifyContent:"center",padding:16}} onClick={()=>!appealing&&setAppealFor(null)}>
+          <div className="card" style={{maxWidth:520,width:"100%",maxHeight:"85vh",overflowY:"auto"}} onClick={e=>e.stopPropagation()}>
+            <div style={{fontWeight:800,fontSize:16,marginBottom:2}}>✋ Appeal — {appealFor.result.examTitle}</div>
+            <div style={{fontSize:12,color:"var(--text3)",marginBottom:12}}>Your lecturer will review the flags below with your explanation. You can appeal once per exam.</div>
+            {appealFor.flags.length>0&&<label className="lbl">Which flags are you contesting?</label>}
+            {appealFor.flags.map(v=>(
+              <label key={v._id} style={{display:"flex",gap:8,alignItems:"center",fontSize:12,padding:"5px 0",cursor:"pointer"}}>
+                <input type="checkbox" checked={appealPick.includes(v._id)} onChange={e=>setAppealPick(p=>e.target.checked?[...p,v._id]:p.filter(id=>id!==v._id))} />
+                <span style={{flex:1}}>{v.type.replace(/_/g," ")}{v.penaltyApplied>0&&<span style={{color:"var(--warn)"}}> (−{v.penaltyApplied})</span>}</span>
+                <span style={{fontFamily:"'DM Mono',monospace",color:"var(--text3)"}}>{new Date(v.ts).toLocaleTimeString()}</span>
+              </label>
+            ))}
+            <label className="lbl" style={{marginTop:8}}>What happened?</label>
+            <textarea className="inp" style={{minHeight:110}} maxLength={2000} value={appealText} onChange={e=>setAppealText(e.target.value)}
+              placeholder="e.g. The exam left fullscreen when my phone's low-battery warning appeared — I didn't leave the page." />
+            <div style={{display:"flex",gap:8,justifyContent:"flex-end"}}>
+              <button className="btn" disabled={appealing} onClick={()=>setAppealFor(null)}>Cancel</button>
+              <button className="btn btn-accent" disabled={appealing} onClick={submitAppeal}>{appealing?"⏳ Sending…":"📨 Send Appeal"}</button>
+            </div>
+          </div>
+        </div>
+      )}
       <div className="sec-title">📝 CBT Exams</div>
       <div style={{fontSize:12,color:"var(--text3)",marginBottom:20}}>
         Computer-Based Tests for your class. One attempt per exam. Archived exams are available in read-only Review Mode.
       </div>
 
-      {available.length===0&&archived.length===0&&(
+      {outbox.length>0&&(
+        <div style={{marginBottom:22}}>
+          <div style={{fontWeight:800,fontSize:13,color:"var(--warn)",marginBottom:4}}>📤 Waiting to Upload</div>
+          <div style={{fontSize:11,color:"var(--text3)",marginBottom:10}}>Answer sheets from offline sittings. They upload by themselves when you're online — keep this device until they do.</div>
+          {outbox.map(u=>(
+            <div key={u.examId} className="card" style={{marginBottom:10,borderLeft:`4px solid ${u.rejected?"var(--danger)":"var(--warn)"}`}}>
+              <div style={{display:"flex",gap:10,alignItems:"center",flexWrap:"wrap"}}>
+                <div style={{flex:1}}>
+                  <div style={{fontWeight:800,fontSize:14}}>{u.title}</div>
+                  <div style={{fontSize:11,color:"var(--text3)"}}>Finished {new Date(u.queuedAt).toLocaleString()}</div>
+                  {u.lastError&&<div style={{fontSize:11,color:u.rejected?"var(--danger)":"var(--warn)",marginTop:3}}>{u.rejected?"❌ Not accepted: ":"⚠️ "}{u.lastError}</div>}
+                </div>
+                {u.rejected
+                  ? <button className="btn btn-sm btn-danger" onClick={()=>discardUpload(u)}>🗑️ Dismiss</button>
+                  : <button className="btn btn-sm" onClick={flushOutbox}>🔄 Retry Upload</button>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {offlinePkgs.filter(p=>!isQueued(p.examId)&&!hasAttempted(p.examId)).length>0&&(
+        <div style={{marginBottom:22}}>
+          <div style={{fontWeight:800,fontSize:13,color:"var(--purple)",marginBottom:4}}>📴 Downloaded for Offline</div>
+          <div style={{fontSize:11,color:"var(--text3)",marginBottom:10}}>Locked until the invigilator announces the start code in the hall. No connection is needed to sit these.</div>
+          {offlinePkgs.filter(p=>!isQueued(p.examId)&&!hasAttempted(p.examId)).map(p=>(
+            <div key={p.examId} className="card" style={{marginBottom:10,borderLeft:"4px solid var(--purple)"}}>
+              <div style={{display:"flex",gap:10,alignItems:"center",flexWrap:"wrap"}}>
+                <div style={{flex:1}}>
+                  <div style={{fontWeight:800,fontSize:14}}>{p.title}</div>
+                  <div style={{fontSize:11,color:"var(--text3)"}}>
+                    {p.startAt?`Opens ${new Date(p.startAt).toLocaleString()}`:"Open now"}
+                    {p.closesAt?` • closes ${new Date(p.closesAt).toLocaleString()}`:""}
+                  </div>
+                </div>
+                <button className="btn btn-accent" onClick={()=>{setOfflinePkg(p);setMode("offline");}}>📴 Sit Offline</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {upcomingOffline.length>0&&(
+        <div style={{marginBottom:22}}>
+          <div style={{fontWeight:800,fontSize:13,color:"var(--accent)",marginBottom:4}}>🗓️ Coming Up — Download Ahead</div>
+          <div style={{fontSize:11,color:"var(--text3)",marginBottom:10}}>These can be sat offline. Download them while you have data.</div>
+          {upcomingOffline.map(e=>(
+            <div key={e.id} className="card" style={{marginBottom:10,borderLeft:"4px solid var(--accent)"}}>
+              <div style={{display:"flex",gap:10,alignItems:"center",flexWrap:"wrap"}}>
+                <div style={{flex:1}}>
+                  <div style={{fontWeight:800,fontSize:14}}>{e.title}</div>
+                  <div style={{fontSize:11,color:"var(--text3)"}}>
+                    ❓ {cbtPaperLength(e)}Q • ⏱ {cbtExamDuration(e)}min
+                    {(e.startAt||e.startTime)&&` • opens ${new Date(e.startAt??e.startTime).toLocaleString()}`}
+                  </div>
+                </div>
+                {offlineBtn(e)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {available.length===0&&archived.length===0&&!offlinePkgs.length&&!outbox.length&&(
         <div style={{textAlign:"center",padding:"60px 20px",color:"var(--text3)"}}>
           <div style={{fontSize:52,marginBottom:12}}>📋</div>
           <div style={{fontWeight:700,marginBottom:6}}>No exams available</div>
@@ -3246,18 +5442,25 @@ export function CbtStudentView({ toast, currentUser }) {
                     </div>
                     {e.subject&&<div style={{fontSize:12,color:"var(--text3)",marginBottom:3}}>📚 {e.subject}</div>}
                     <div style={{display:"flex",flexWrap:"wrap",gap:10,fontSize:11,color:"var(--text3)"}}>
-                      <span>❓ {e.questions.length}Q</span>
-                      <span>⏱ {e.duration}min</span>
+                      <span>❓ {cbtPaperLength(e)}Q</span>
+                      <span>⏱ {cbtExamDuration(e)}min</span>
+                      {e.sections?.length>0&&<span>📑 {e.sections.length} sections</span>}
+                      {e.accommodated&&<span style={{color:"var(--purple)",fontWeight:700}} title={describeCbtAccommodation(myAcc[e.id])}>♿ Accommodations applied</span>}
                       {e.shuffleQuestions&&<span style={{color:"var(--danger)"}}>🔀 Shuffled</span>}
                       {e.fullscreenRequired&&<span style={{color:"var(--danger)"}}>🖥️ Fullscreen</span>}
-                      {myR&&<span style={{color:"var(--success)",fontWeight:700}}>Score: {myR.score}/{myR.total} ({myR.percent}%)</span>}
+                      {myR&&(myR.held
+                        ? <span style={{color:"var(--warn)",fontWeight:700}}>⏳ Result awaiting release</span>
+                        : <span style={{color:"var(--success)",fontWeight:700}}>Score: {myR.score}/{myR.total} ({myR.percent}%)</span>)}
                     </div>
                   </div>
-                  <div>
+                  <div style={{display:"flex",flexDirection:"column",gap:6,alignItems:"flex-end"}}>
                     {attempted
-                      ?<button className="btn btn-sm" onClick={()=>{setActiveExam(e);setMyResult(myR||null);setMode("done");setShuffledQs(buildShuffled(e));}}>📊 View Result</button>
-                      :<button className="btn btn-accent" onClick={()=>startExam(e)}>▶ Start Exam</button>
+                      ?<button className="btn btn-sm" onClick={()=>{setMyResult(myR||null);openReview(e,"done");}}>📊 View Result</button>
+                      :isQueued(e.id)
+                        ?<span className="tag" style={{fontSize:10,borderColor:"var(--warn)",color:"var(--warn)"}}>📤 Waiting to upload</span>
+                        :<button className="btn btn-accent" onClick={()=>startExam(e)}>▶ Start Exam</button>
                     }
+                    {offlineBtn(e)}
                   </div>
                 </div>
               </div>
@@ -3282,12 +5485,14 @@ export function CbtStudentView({ toast, currentUser }) {
                     </div>
                     {e.subject&&<div style={{fontSize:12,color:"var(--text3)",marginBottom:3}}>📚 {e.subject}</div>}
                     <div style={{display:"flex",flexWrap:"wrap",gap:10,fontSize:11,color:"var(--text3)"}}>
-                      <span>❓ {e.questions.length}Q</span>
-                      {myR&&<span style={{color:"var(--success)",fontWeight:700}}>Score: {myR.score}/{myR.total} ({myR.percent}%)</span>}
+                      <span>❓ {cbtPaperLength(e)}Q</span>
+                      {myR&&(myR.held
+                        ? <span style={{color:"var(--warn)",fontWeight:700}}>⏳ Result awaiting release</span>
+                        : <span style={{color:"var(--success)",fontWeight:700}}>Score: {myR.score}/{myR.total} ({myR.percent}%)</span>)}
                     </div>
                   </div>
                   <button className="btn btn-sm" style={{borderColor:"var(--warn)",color:"var(--warn)"}}
-                    onClick={()=>{setActiveExam(e);setShowAns({});setMode("review");}}>📖 Review</button>
+                    onClick={()=>{setShowAns({});openReview(e,"review");}}>📖 Review</button>
                 </div>
               </div>
             );
@@ -3300,10 +5505,17 @@ export function CbtStudentView({ toast, currentUser }) {
           <div style={{fontWeight:800,fontSize:14,marginBottom:10}}>📊 My Results History</div>
           <div className="card" style={{padding:0,overflow:"hidden"}}>
             <table className="tbl">
-              <thead><tr><th>Exam</th><th>Score</th><th>%</th><th>Grade</th><th>Flags</th><th>Date</th></tr></thead>
+              <thead><tr><th>Exam</th><th>Score</th><th>%</th><th>Grade</th><th>Result</th><th>Flags</th><th>Date</th></tr></thead>
               <tbody>
                 {myResults.sort((a,b)=>b.submittedAt-a.submittedAt).map((r,i)=>{
-                  const grade  = r.percent>=70?"A":r.percent>=60?"B":r.percent>=50?"C":r.percent>=40?"D":"F";
+                  if (r.held) return (
+                    <tr key={i}>
+                      <td style={{fontWeight:600}}>{exams.find(e=>e.id===r.examId)?.title||"CBT exam"}</td>
+                      <td colSpan={5} style={{color:"var(--warn)",fontWeight:700,fontSize:12}}>⏳ Awaiting release — results are being moderated</td>
+                      <td style={{fontSize:11,color:"var(--text3)"}}>{new Date(r.submittedAt).toLocaleDateString()}</td>
+                    </tr>
+                  );
+                  const grade  = gradeLetter(r.percent);
                   const gColor = r.percent>=70?"var(--success)":r.percent>=50?"var(--warn)":"var(--danger)";
                   return (
                     <tr key={i}>
@@ -3314,14 +5526,23 @@ export function CbtStudentView({ toast, currentUser }) {
                       </td>
                       <td style={{color:gColor,fontWeight:700}}>{r.percent}%</td>
                       <td><span style={{fontWeight:800,color:gColor}}>{grade}</span></td>
+                      <td><span className={`tag ${resultPassed(r)?"tag-success":"tag-danger"}`}>{resultPassed(r)?"Pass":"Fail"}</span></td>
                       <td>
                         {r.autoSubmittedOnLeave
                           ? <span style={{color:"var(--danger)",fontWeight:700}}>🚪 Left page</span>
                           : r.reason==="auto_tab"
                             ? <span style={{color:"var(--danger)",fontWeight:700}}>🔄 Tab switch</span>
+                            : r.reason==="proctor_submit"
+                            ? <span style={{color:"var(--danger)",fontWeight:700}}>⏹ Invigilator</span>
                             : r.violations>0
                               ? <span style={{color:"var(--warn)",fontWeight:700}}>⚠️ {r.violations}</span>
                               : <span style={{color:"var(--success)"}}>✅ 0</span>}
+                        {r.flagReview&&<div style={{fontSize:10,color:"var(--text3)"}} title={`${r.flagReview.upheld} upheld, ${r.flagReview.dismissed} dismissed`}>🔎 Reviewed{r.flagReview.dismissed?` • ${r.flagReview.dismissed} dismissed`:""}</div>}
+                        {myAppeals[r.examId]
+                          ? <div style={{fontSize:10,fontWeight:700,color:APPEAL_STATUS[myAppeals[r.examId].status]?.color}} title={myAppeals[r.examId].response||""}>
+                              ✋ Appeal {APPEAL_STATUS[myAppeals[r.examId].status]?.label||myAppeals[r.examId].status}
+                            </div>
+                          : r.violations>0&&<button className="btn btn-sm" style={{marginTop:3,padding:"2px 8px",fontSize:10}} onClick={()=>openAppeal(r)}>✋ Appeal</button>}
                       </td>
                       <td style={{fontSize:11,color:"var(--text3)"}}>{r.submittedAt?new Date(r.submittedAt).toLocaleDateString():"-"}</td>
                     </tr>
@@ -3380,9 +5601,9 @@ export function NcDailyMockExam({ toast, currentUser, onBack, isAdmin }) {
   const submit = () => {
     setFinalAnswers([...answers]);
     setPhase("result");
-    const score = questions.reduce((s,q,i)=>answers[i]===q.ans?s+1:s,0);
+    const { score, total, percent:pct, passed } = scoreAnswers(questions, answers);
     const results = ls("nv-results",[]);
-    saveMyData("results","nv-results",[...results,{id:Date.now(),subject:`Daily Mock — ${today}`,type:"NC Daily Mock",score,total:questions.length,pct:Math.round(score/questions.length*100),date:new Date().toLocaleDateString()}]);
+    saveMyData("results","nv-results",[...results,{id:Date.now(),subject:`Daily Mock — ${today}`,type:"NC Daily Mock",score,total,pct,passed,date:new Date().toLocaleDateString()}]);
     toast("Daily mock submitted! 🎉","success");
   };
 
@@ -3451,14 +5672,13 @@ export function NcDailyMockExam({ toast, currentUser, onBack, isAdmin }) {
   );
 
   if (phase==="result") {
-    const score = questions.reduce((s,q,i)=>finalAnswers[i]===q.ans?s+1:s,0);
-    const pct = Math.round(score/questions.length*100);
+    const { score, total, percent:pct } = scoreAnswers(questions, finalAnswers);
     return (
       <div style={{maxWidth:640,margin:"0 auto"}}>
         <div className="nc-card" style={{textAlign:"center",marginBottom:20}}>
           <div style={{fontSize:48,marginBottom:6}}>{pct>=80?"🎉":pct>=60?"👍":"📚"}</div>
           <div style={{fontWeight:800,fontSize:20,color:"#2d4a1e",marginBottom:4}}>{mockTitle || "Daily Mock"} — Complete!</div>
-          <div style={{fontWeight:800,fontSize:52,color:pct>=70?"#4a7a2e":pct>=50?"#c05621":"#991b1b",lineHeight:1}}>{score}/{questions.length}</div>
+          <div style={{fontWeight:800,fontSize:52,color:pct>=70?"#4a7a2e":pct>=50?"#c05621":"#991b1b",lineHeight:1}}>{score}/{total}</div>
           <div style={{fontSize:16,color:"#6b8a52",marginBottom:10}}>{pct}% — {pct>=80?"Excellent":pct>=60?"Good Pass":pct>=40?"Borderline":"Needs Improvement"}</div>
           <div className="nc-progress-wrap" style={{maxWidth:300,margin:"0 auto 16px"}}>
             <div className="nc-progress-fill" style={{width:`${pct}%`}} />
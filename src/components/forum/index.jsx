@@ -2,6 +2,7 @@ import { useState, useEffect, useRef } from "react";
 import { gcSend, gcSubscribe } from "../../services/backend";
 import { showNotif } from "../../utils/notifications";
 import { ls } from "../../utils/storage";
+import { StoredFile, deleteFile, filePaths, uploadFile } from "../../services/fileStorage";
 import { Messages } from "../../components/messaging";
 import { GroupVideoCallBtn } from "../../components/video-call";
 import { _gvcPairId } from "../../shared/groupVideoCall";
@@ -20,7 +21,7 @@ export function PHNFolderModal({ currentUser, isAdmin, onClose }) {
   const [search,      setSearch]      = useState("");
   const [filterType,  setFilterType]  = useState("all"); // all|pdf|image|doc|other
   const fileInputRef  = useRef(null);
-  const [uploading,   setUploading]   = useState(false);
+  const [uploading,   setUploading]   = useState(false);  // false, or upload progress 0–1
 
   // Subscribe to folder
   useEffect(() => {
@@ -59,21 +60,18 @@ export function PHNFolderModal({ currentUser, isAdmin, onClose }) {
   });
 
   // Direct upload to folder
-  const handleDirectUpload = (file) => {
+  const handleDirectUpload = async (file) => {
     if (!file) return;
-    setUploading(true);
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      const entry = {
+    setUploading(0);
+    try {
+      const attachment = await uploadFile("folder", filePaths.folder(file.name), file, { onProgress: setUploading, download: true });
+      await phnFolderAdd({
         id: "phnf_" + Date.now() + "_" + Math.random().toString(36).slice(2, 7),
-        fileName: file.name, fileType: file.type, fileSize: file.size,
-        fileData: ev.target.result,
+        ...attachment,
         uploadedBy: currentUser, uploadedAt: Date.now(), source: "direct",
-      };
-      await phnFolderAdd(entry);
-      setUploading(false);
-    };
-    reader.readAsDataURL(file);
+      });
+    } catch(e) { alert(e.message || "Upload failed"); }
+    setUploading(false);
   };
 
   const handleDelete = async (f) => {
@@ -81,6 +79,8 @@ export function PHNFolderModal({ currentUser, isAdmin, onClose }) {
     if (!window.confirm(`Delete "${f.fileName}"? This cannot be undone.`)) return;
     setDeleting(f.id);
     await phnFolderDelete(f.id);
+    // Files saved from the forum chat stay with their message.
+    if (f.filePath?.startsWith("phn_folder/")) await deleteFile(f.filePath, f.thumbPath);
     setDeleting(null);
   };
 
@@ -90,13 +90,13 @@ export function PHNFolderModal({ currentUser, isAdmin, onClose }) {
     const isImage = (viewFile.fileType || "").includes("image");
     const isPDF   = (viewFile.fileType || "").includes("pdf");
     const isText  = (viewFile.fileType || "").includes("text");
-    return (
+    return <StoredFile path={viewFile.filePath} legacy={viewFile.fileData}>{url => (
       <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,.82)", zIndex: 10999, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", padding: 12 }}>
         {/* Viewer header */}
         <div style={{ width: "100%", maxWidth: 860, display: "flex", alignItems: "center", gap: 12, marginBottom: 12, padding: "0 4px" }}>
           <span style={{ fontSize: 22 }}>{icon}</span>
           <div style={{ flex: 1, fontWeight: 800, fontSize: 15, color: "white", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{viewFile.fileName}</div>
-          <a href={viewFile.fileData} download={viewFile.fileName}
+          <a href={url || undefined} download={viewFile.fileName} target="_blank" rel="noopener noreferrer"
             style={{ background: "#22c55e", color: "white", borderRadius: 10, padding: "7px 14px", fontSize: 12, fontWeight: 800, textDecoration: "none", flexShrink: 0 }}>
             ⬇ Download
           </a>
@@ -104,19 +104,15 @@ export function PHNFolderModal({ currentUser, isAdmin, onClose }) {
         </div>
         {/* Viewer body */}
         <div style={{ width: "100%", maxWidth: 860, flex: 1, minHeight: 0, background: "white", borderRadius: 16, overflow: "hidden", display: "flex", alignItems: "center", justifyContent: "center", maxHeight: "80vh" }}>
-          {isImage && <img src={viewFile.fileData} alt={viewFile.fileName} style={{ maxWidth: "100%", maxHeight: "100%", objectFit: "contain" }} />}
-          {isPDF   && <iframe src={viewFile.fileData} title={viewFile.fileName} style={{ width: "100%", height: "80vh", border: "none" }} />}
-          {isText  && (
-            <pre style={{ padding: 24, fontSize: 13, overflowY: "auto", maxHeight: "80vh", width: "100%", whiteSpace: "pre-wrap", wordBreak: "break-word", color: "#1a1a1a" }}>
-              {atob((viewFile.fileData || "").split(",")[1] || "")}
-            </pre>
-          )}
+          {!url && <div style={{ color: "#6b7280", fontSize: 13 }}>Loading…</div>}
+          {url && isImage && <img src={url} alt={viewFile.fileName} style={{ maxWidth: "100%", maxHeight: "100%", objectFit: "contain" }} />}
+          {url && (isPDF || isText) && <iframe src={url} title={viewFile.fileName} style={{ width: "100%", height: "80vh", border: "none", background: "white" }} />}
           {!isImage && !isPDF && !isText && (
             <div style={{ textAlign: "center", padding: 40 }}>
               <div style={{ fontSize: 64, marginBottom: 16 }}>{icon}</div>
               <div style={{ fontWeight: 700, fontSize: 16, color: "#1a1a1a", marginBottom: 8 }}>{viewFile.fileName}</div>
               <div style={{ fontSize: 13, color: "#6b7280", marginBottom: 20 }}>Preview not available for this file type.</div>
-              <a href={viewFile.fileData} download={viewFile.fileName}
+              <a href={url || undefined} download={viewFile.fileName} target="_blank" rel="noopener noreferrer"
                 style={{ background: "#2e7d32", color: "white", borderRadius: 12, padding: "12px 24px", fontSize: 14, fontWeight: 800, textDecoration: "none", display: "inline-block" }}>
                 ⬇ Download to View
               </a>
@@ -124,7 +120,7 @@ export function PHNFolderModal({ currentUser, isAdmin, onClose }) {
           )}
         </div>
       </div>
-    );
+    )}</StoredFile>;
   }
 
   return (
@@ -141,9 +137,9 @@ export function PHNFolderModal({ currentUser, isAdmin, onClose }) {
           <div style={{ display: "flex", gap: 8 }}>
             {/* Direct upload button */}
             <input ref={fileInputRef} type="file" style={{ display: "none" }} accept="image/*,.pdf,.doc,.docx,.ppt,.pptx,.xls,.xlsx,.txt,.zip" onChange={e => { if (e.target.files[0]) { handleDirectUpload(e.target.files[0]); e.target.value = ""; } }} />
-            <button onClick={() => fileInputRef.current?.click()} disabled={uploading}
-              style={{ background: uploading ? "rgba(255,255,255,.1)" : "rgba(255,255,255,.2)", border: "1.5px solid rgba(255,255,255,.4)", borderRadius: 10, padding: "6px 13px", color: "white", fontSize: 12, fontWeight: 700, cursor: uploading ? "wait" : "pointer", display: "flex", alignItems: "center", gap: 5 }}>
-              {uploading ? "⏳ Uploading…" : "📤 Upload"}
+            <button onClick={() => fileInputRef.current?.click()} disabled={uploading !== false}
+              style={{ background: uploading !== false ? "rgba(255,255,255,.1)" : "rgba(255,255,255,.2)", border: "1.5px solid rgba(255,255,255,.4)", borderRadius: 10, padding: "6px 13px", color: "white", fontSize: 12, fontWeight: 700, cursor: uploading !== false ? "wait" : "pointer", display: "flex", alignItems: "center", gap: 5 }}>
+              {uploading !== false ? `⏳ Uploading ${Math.round(uploading * 100)}%` : "📤 Upload"}
             </button>
             <button onClick={onClose} style={{ background: "rgba(255,255,255,.18)", border: "1.5px solid rgba(255,255,255,.35)", borderRadius: 10, padding: "6px 12px", color: "white", fontSize: 14, fontWeight: 700, cursor: "pointer" }}>✕</button>
           </div>
@@ -223,10 +219,12 @@ export function PHNFolderModal({ currentUser, isAdmin, onClose }) {
                       👁 View
                     </button>
                   )}
-                  <a href={f.fileData} download={f.fileName}
-                    style={{ padding: "6px 11px", borderRadius: 9, border: "1.5px solid #22c55e", background: "rgba(34,197,94,.10)", color: "#16a34a", fontWeight: 800, fontSize: 11, textDecoration: "none", whiteSpace: "nowrap", display: "inline-flex", alignItems: "center", gap: 3 }}>
-                    ⬇ Download
-                  </a>
+                  <StoredFile path={f.filePath} legacy={f.fileData}>{url => (
+                    <a href={url || undefined} download={f.fileName} target="_blank" rel="noopener noreferrer"
+                      style={{ padding: "6px 11px", borderRadius: 9, border: "1.5px solid #22c55e", background: "rgba(34,197,94,.10)", color: "#16a34a", fontWeight: 800, fontSize: 11, textDecoration: "none", whiteSpace: "nowrap", display: "inline-flex", alignItems: "center", gap: 3, opacity: url ? 1 : .5 }}>
+                      ⬇ Download
+                    </a>
+                  )}</StoredFile>
                   {canDelete && (
                     <button onClick={() => handleDelete(f)} disabled={deleting === f.id}
                       style={{ padding: "6px 11px", borderRadius: 9, border: "1.5px solid #ef4444", background: "rgba(239,68,68,.08)", color: "#ef4444", fontWeight: 800, fontSize: 11, cursor: deleting === f.id ? "wait" : "pointer", whiteSpace: "nowrap", opacity: deleting === f.id ? .5 : 1 }}>
@@ -272,6 +270,7 @@ export function PHNClassForum({ currentUser, onClose, onUnreadChange }) {
   const [msgs,    setMsgs]    = useState([]);
   const [input,   setInput]   = useState("");
   const [sending, setSending] = useState(false);
+  const [uploadPct, setUploadPct] = useState(null); // attachment upload progress, 0–1
   const [recording, setRecording] = useState(false);
   const [recSecs,   setRecSecs]   = useState(0);
   // Notification permission
@@ -364,22 +363,18 @@ export function PHNClassForum({ currentUser, onClose, onUnreadChange }) {
     if (!file || sending) return;
     setSending(true);
     try {
-      const reader = new FileReader();
-      reader.onload = async (ev) => {
-        const fileData = ev.target.result;
-        // Send to forum chat
-        await gcSend(PHN_FORUM_ID, currentUser, { type: "file", text: "", fileName: file.name, fileType: file.type, fileSize: file.size, fileData });
-        // Auto-save to PHN folder
-        const entry = {
-          id: "phnf_" + Date.now() + "_" + Math.random().toString(36).slice(2, 7),
-          fileName: file.name, fileType: file.type, fileSize: file.size, fileData,
-          uploadedBy: currentUser, uploadedAt: Date.now(), source: "forum",
-        };
-        phnFolderAdd(entry); // fire-and-forget
-        setSending(false);
+      const attachment = await uploadFile("chat", filePaths.classChat(PHN_FORUM_ID, file.name), file, { onProgress: setUploadPct, download: !file.type.startsWith("image/") });
+      // Send to forum chat
+      await gcSend(PHN_FORUM_ID, currentUser, { type: "file", text: "", ...attachment });
+      // Auto-save to PHN folder — same stored file as the message
+      const entry = {
+        id: "phnf_" + Date.now() + "_" + Math.random().toString(36).slice(2, 7),
+        ...attachment,
+        uploadedBy: currentUser, uploadedAt: Date.now(), source: "forum",
       };
-      reader.readAsDataURL(file);
-    } catch(e) { setSending(false); }
+      phnFolderAdd(entry); // fire-and-forget
+    } catch(e) { alert(e.message || "File send failed"); }
+    setSending(false); setUploadPct(null);
   };
 
   // Voice recording
@@ -393,13 +388,12 @@ export function PHNClassForum({ currentUser, onClose, onUnreadChange }) {
         stream.getTracks().forEach(t => t.stop());
         const blob = new Blob(recChunksRef.current, { type: mr.mimeType });
         const dur  = recSecs;
-        const reader = new FileReader();
-        reader.onload = async (ev) => {
-          setSending(true);
-          await gcSend(PHN_FORUM_ID, currentUser, { type: "voice", text: "", fileData: ev.target.result, fileType: mr.mimeType, duration: dur });
-          setSending(false);
-        };
-        reader.readAsDataURL(blob);
+        const name = `voice_${Date.now()}.${mr.mimeType.includes("ogg") ? "ogg" : "webm"}`;
+        setSending(true);
+        uploadFile("voice", filePaths.classChat(PHN_FORUM_ID, name), blob, { name, onProgress: setUploadPct })
+          .then(attachment => gcSend(PHN_FORUM_ID, currentUser, { type: "voice", text: "", ...attachment, duration: dur }))
+          .catch(e => alert(e.message || "Voice note send failed"))
+          .finally(() => { setSending(false); setUploadPct(null); });
         clearInterval(recTimerRef.current);
         setRecSecs(0);
         setRecording(false);
@@ -455,9 +449,9 @@ export function PHNClassForum({ currentUser, onClose, onUnreadChange }) {
                 <div>
                   <div style={{ fontWeight: 700, fontSize: 12 }}>{msg.fileName || "File"}</div>
                   {msg.fileSize && <div style={{ fontSize: 10, opacity: .7 }}>{(msg.fileSize / 1024).toFixed(1)} KB</div>}
-                  {msg.fileData && (
-                    <a href={msg.fileData} download={msg.fileName} style={{ fontSize: 10, color: isMine ? "rgba(255,255,255,.85)" : "var(--accent)", fontWeight: 700 }}>⬇ Download</a>
-                  )}
+                  <StoredFile path={msg.filePath} legacy={msg.fileData}>{url => url && (
+                    <a href={url} download={msg.fileName} target="_blank" rel="noopener noreferrer" style={{ fontSize: 10, color: isMine ? "rgba(255,255,255,.85)" : "var(--accent)", fontWeight: 700 }}>⬇ Download</a>
+                  )}</StoredFile>
                 </div>
               </div>
             )}
@@ -466,9 +460,9 @@ export function PHNClassForum({ currentUser, onClose, onUnreadChange }) {
                 <span style={{ fontSize: 20 }}>🎤</span>
                 <div style={{ flex: 1 }}>
                   <div style={{ fontWeight: 700, fontSize: 12 }}>Voice Note {msg.duration ? `• ${msg.duration}s` : ""}</div>
-                  {msg.fileData && (
-                    <audio controls src={msg.fileData} style={{ marginTop: 4, width: "100%", maxWidth: 220, height: 32 }} />
-                  )}
+                  <StoredFile path={msg.filePath} legacy={msg.fileData}>{url => url && (
+                    <audio controls src={url} style={{ marginTop: 4, width: "100%", maxWidth: 220, height: 32 }} />
+                  )}</StoredFile>
                 </div>
               </div>
             )}
@@ -576,7 +570,7 @@ export function PHNClassForum({ currentUser, onClose, onUnreadChange }) {
               <input ref={fileInputRef} type="file" style={{ display: "none" }} accept="image/*,.pdf,.doc,.docx,.ppt,.pptx,.xls,.xlsx,.txt,.zip" onChange={e => { if (e.target.files[0]) { sendFile(e.target.files[0]); e.target.value = ""; } }} />
               <button title="Attach file" disabled={sending} onClick={() => fileInputRef.current?.click()} style={{ width: 38, height: 38, borderRadius: "50%", border: "1.5px solid var(--border2)", background: "var(--bg)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 18, cursor: "pointer", flexShrink: 0 }}>📎</button>
               <button title="Record voice note" disabled={sending} onClick={startRecording} style={{ width: 38, height: 38, borderRadius: "50%", border: "1.5px solid var(--border2)", background: "var(--bg)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 18, cursor: "pointer", flexShrink: 0 }}>🎤</button>
-              <input ref={inputRef} className="inp" style={{ flex: 1, marginBottom: 0, borderRadius: 20, padding: "10px 16px", fontSize: 13 }} placeholder="Message PHN Class Forum…" value={input} onChange={e => setInput(e.target.value)} onKeyDown={e => e.key === "Enter" && !e.shiftKey && sendText()} disabled={sending} />
+              <input ref={inputRef} className="inp" style={{ flex: 1, marginBottom: 0, borderRadius: 20, padding: "10px 16px", fontSize: 13 }} placeholder={uploadPct !== null ? `⏫ Uploading ${Math.round(uploadPct * 100)}%…` : "Message PHN Class Forum…"} value={input} onChange={e => setInput(e.target.value)} onKeyDown={e => e.key === "Enter" && !e.shiftKey && sendText()} disabled={sending} />
               <button onClick={sendText} disabled={!input.trim() || sending} title="Send" style={{ width: 42, height: 42, borderRadius: "50%", background: "linear-gradient(135deg,#2e7d32,#4caf50)", border: "none", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 18, cursor: "pointer", flexShrink: 0, opacity: (!input.trim() || sending) ? 0.45 : 1, transition: "opacity .15s", color: "white" }}>➤</button>
             </div>
           )}
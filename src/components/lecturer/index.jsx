@@ -1,11 +1,14 @@
 import { useState, useEffect, useRef } from "react";
 import { DEFAULT_CLASSES } from "../../data/defaults";
-import { _db, _mkSub, _safeKey, asgGrade, asgLoadSubmissions, cbtViolationsGet, cbtViolationsSave, dmSubscribeInbox, saveShared, subscribeUserNotifications, useSharedData } from "../../services/backend";
+import { _db, _mkSub, _safeKey, asgGrade, asgLoadSubmissions, dmSubscribeInbox, saveShared, subscribeUserNotifications, useSharedData } from "../../services/backend";
+import { grantCbtResume, listCbtExams, reviewCbtCase, subscribeCbtAppeals, subscribeCbtResults, subscribeCbtViolations, violationHasSnapshot } from "../../services/cbt";
 import { ls } from "../../utils/storage";
+import { StoredFile } from "../../services/fileStorage";
 import { Assignments, AttendanceView, Handouts, StudyGroups, Timetable } from "../../components/academics";
 import { AdminEssayExams } from "../../components/admin";
 import { Toasts } from "../../components/common";
 import { CbtExamManager } from "../../components/exams";
+import { QuestionBankManager } from "../../components/question-bank";
 import { Messages, Notifications } from "../../components/messaging";
 import { ResearchClub } from "../../components/research";
 import { Dashboard, StudentProfile } from "../../components/student";
@@ -114,6 +117,7 @@ export function LecturerPanel({ currentUser, toast, onSignOut, themeMode, setThe
         { key:"attendance",  icon:"📋",  label:"Attendance" },
         { key:"timetable",   icon:"📅",  label:"Timetable" },
         { key:"cbt",         icon:"🧪",  label:"CBT Exams" },
+        { key:"qbank",       icon:"🏦",  label:"Question Bank" },
         { key:"essay",       icon:"✍️",  label:"Essay Exams" },
       ]
     },
@@ -151,7 +155,8 @@ export function LecturerPanel({ currentUser, toast, onSignOut, themeMode, setThe
       case "attendance":   return <AttendanceView currentUser={currentUser} toast={toast} isLecturer={true} />;
       case "timetable":    return <Timetable currentUser={currentUser} toast={toast} isLecturer={true} />;
       case "cbt":          return <CbtExamManager toast={toast} currentUser={currentUser} />;
-      case "essay":        return <AdminEssayExams toast={toast} />;
+      case "qbank":        return <QuestionBankManager toast={toast} currentUser={currentUser} isAdmin={false} />;
+      case "essay":        return <AdminEssayExams toast={toast} currentUser={currentUser} />;
       case "messages":     return <Messages user={currentUser} toast={toast} onUnreadChange={setUnreadDM} />;
       case "research-club": return <ResearchClub currentUser={currentUser} toast={toast} isLecturer={true} isAdmin={false} />;
       case "study-groups": return <StudyGroups currentUser={currentUser} toast={toast} />;
@@ -546,7 +551,7 @@ export function LecturerGradebook({ currentUser, toast }) {
               <div style={{fontSize:11,color:"var(--text3)"}}>{new Date(sub.submittedAt).toLocaleString()}</div>
             </div>
             <div style={{fontSize:12,color:"var(--text3)",marginBottom:8}}>📎 {sub.fileName}</div>
-            {sub.fileData&&<a href={sub.fileData} download={sub.fileName} style={{fontSize:12,color:"var(--accent)",textDecoration:"none",marginBottom:8,display:"inline-block"}}>⬇ Download</a>}
+            <StoredFile path={sub.filePath} legacy={sub.fileData}>{url=>url&&<a href={url} download={sub.fileName} target="_blank" rel="noopener noreferrer" style={{fontSize:12,color:"var(--accent)",textDecoration:"none",marginBottom:8,display:"inline-block"}}>⬇ Download</a>}</StoredFile>
             {sub.grade!=null
               ? <div style={{background:"rgba(34,197,94,.1)",borderRadius:8,padding:"8px 12px",fontSize:13,fontWeight:700}}>✅ Graded: {sub.grade}/{selAsgn.maxScore}{sub.feedback&&` • ${sub.feedback}`}</div>
               : grading===sub.student
@@ -586,43 +591,231 @@ export function LecturerGradebook({ currentUser, toast }) {
 }
 
 // ── Lecturer Violations View ───────────────────────────────────────
+// Case review for flagged CBT attempts. Flags cost marks (and can
+// auto-submit) as they happen; here the lecturer goes through each
+// attempt's timeline and snapshots, upholds or dismisses every flag and
+// decides any appeal. Saving rescores the result on the flags still
+// standing (reviewCbtCase in functions/index.js).
+
+const VIOLATION_LABELS = {
+  tab_switch: "🔄 Tab switch", page_leave: "🚪 Left the page", fullscreen_exit: "🖥️ Fullscreen exit",
+  screenshot_attempt: "📷 Screenshot attempt", duplicate_device: "🔒 Duplicate device",
+  auto_submitted: "⚡ Auto-submitted", offline_tamper: "🧪 Offline sheet tampered",
+  offline_out_of_window: "⏰ Offline sheet outside window",
+};
+const AUTO_SUBMIT_REASONS = { auto_tab: "tab switches", page_leave: "leaving the page" };
 
 export function LecturerViolations({ currentUser, toast }) {
+  const [exams, setExams] = useState([]);
   const [violations, setViolations] = useState([]);
+  const [results, setResults] = useState([]);
+  const [appeals, setAppeals] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState("pending"); // pending | appeals | resolved | all
+  const [openKey, setOpenKey] = useState(null);
+  const [drafts, setDrafts] = useState({});        // violation id → { status, note }
+  const [appealDraft, setAppealDraft] = useState({ status:"", response:"" });
+  const [saving, setSaving] = useState(false);
   const allUsers = ls("nv-users",[]);
 
-  useEffect(()=>{ cbtViolationsGet().then(v=>{ setViolations(v||[]); setLoading(false); }).catch(()=>setLoading(false)); },[]);
+  useEffect(()=>{
+    listCbtExams()
+      .then(list=>{ setExams(list.filter(e=>e.createdBy===currentUser)); setLoading(false); })
+      .catch(()=>setLoading(false));
+  },[currentUser]);
 
-  const clearOne = async (examId,student) => {
-    if(!confirm("Clear this violation record?"))return;
-    const updated = violations.filter(v=>!(v.examId===examId&&v.student===student));
-    await cbtViolationsSave(updated);
-    setViolations(updated);
-    toast("Cleared","success");
+  const examIdsKey = exams.map(e=>e.id).join(",");
+  useEffect(()=>{
+    const ids = exams.map(e=>e.id);
+    const u1 = subscribeCbtViolations(ids, setViolations);
+    const u2 = subscribeCbtResults(ids, setResults);
+    const u3 = subscribeCbtAppeals(ids, setAppeals);
+    return ()=>{ u1(); u2(); u3(); };
+  },[examIdsKey]);
+
+  // One case per attempt with flags or an appeal.
+  const caseKey = (examId, student) => `${examId}|${student}`;
+  const cases = {};
+  const caseFor = (examId, student) => {
+    const key = caseKey(examId, student);
+    if (!cases[key]) cases[key] = {
+      key, examId, student, flags: [],
+      exam: exams.find(e=>String(e.id)===String(examId)),
+      result: results.find(r=>String(r.examId)===String(examId)&&r.student===student),
+      appeal: appeals.find(a=>String(a.examId)===String(examId)&&a.student===student),
+    };
+    return cases[key];
+  };
+  violations.forEach(v=>caseFor(v.examId, v.student).flags.push(v));
+  appeals.forEach(a=>caseFor(a.examId, a.student));
+  const list = Object.values(cases).map(c=>({
+    ...c,
+    flags: c.flags.sort((a,b)=>a.ts-b.ts),
+    pending: c.flags.filter(v=>!v.review).length,
+    appealOpen: c.appeal?.status==="open",
+    latest: Math.max(0, ...c.flags.map(v=>v.ts||0), c.appeal?.submittedAt||0),
+  }));
+  const inFilter = (c) => filter==="all" ? true
+    : filter==="pending" ? c.pending>0
+    : filter==="appeals" ? c.appealOpen
+    : c.pending===0 && !c.appealOpen;
+  const shown = list.filter(inFilter).sort((a,b)=>b.latest-a.latest);
+  const counts = { pending: list.filter(c=>c.pending>0).length, appeals: list.filter(c=>c.appealOpen).length,
+    resolved: list.filter(c=>c.pending===0&&!c.appealOpen).length, all: list.length };
+
+  const openCase = (c) => {
+    if (openKey===c.key) { setOpenKey(null); return; }
+    setOpenKey(c.key);
+    setDrafts(Object.fromEntries(c.flags.map(v=>[v._id, { status: v.review?.status || "", note: v.review?.note || "" }])));
+    setAppealDraft({ status: c.appealOpen ? "" : c.appeal?.status || "", response: c.appeal?.response || "" });
+  };
+  const setDraft = (id, patch) => setDrafts(d=>({ ...d, [id]: { ...d[id], ...patch } }));
+  const setAll = (c, status) => setDrafts(d=>Object.fromEntries(c.flags.map(v=>[v._id, { ...d[v._id], status }])));
+
+  const save = async (c) => {
+    const decisions = c.flags.filter(v=>drafts[v._id]?.status).map(v=>({ id:v._id, ...drafts[v._id] }));
+    const appeal = c.appealOpen && appealDraft.status ? appealDraft : null;
+    if (!decisions.length && !appeal) { toast("Uphold or dismiss at least one flag","error"); return; }
+    setSaving(true);
+    try {
+      const { before, after } = await reviewCbtCase(c.examId, c.student, decisions, appeal);
+      toast(before && (before.score!==after.score)
+        ? `✅ Review saved — score ${before.score} → ${after.score} (${after.percent}%)`
+        : "✅ Review saved","success");
+      setOpenKey(null);
+    } catch(e) { toast("⚠️ "+e.message,"error"); }
+    setSaving(false);
+  };
+
+  const allowResume = async (c) => {
+    if (!confirm(`Reopen ${c.student.split("@")[0]}'s attempt with their saved answers? Their current result is removed until they submit again.`)) return;
+    try {
+      const { session } = await grantCbtResume(c.examId, c.student);
+      toast(`▶️ They can resume until ${new Date(session.deadline).toLocaleTimeString()}`,"success");
+    } catch(e) { toast("⚠️ "+e.message,"error"); }
   };
 
   if(loading) return <div style={{textAlign:"center",padding:40,color:"var(--text3)"}}>Loading…</div>;
 
+  const pill = (bg, color, text) => <span style={{fontSize:10,fontWeight:700,padding:"2px 8px",borderRadius:12,background:bg,color}}>{text}</span>;
+
   return (
-    <div style={{maxWidth:700,margin:"0 auto"}}>
+    <div style={{maxWidth:760,margin:"0 auto"}}>
       <div style={{fontFamily:"'Syne',sans-serif",fontWeight:800,fontSize:20,marginBottom:4}}>🚨 Exam Violations</div>
-      <div style={{color:"var(--text3)",fontSize:13,marginBottom:20}}>Students flagged during CBT exams</div>
-      {violations.length===0&&<div style={{textAlign:"center",padding:60,color:"var(--text3)"}}><div style={{fontSize:48,marginBottom:12}}>✅</div><div style={{fontWeight:700}}>No violations recorded</div></div>}
-      {violations.map((v,i)=>{
-        const u = allUsers.find(x=>x.username===v.student);
+      <div style={{color:"var(--text3)",fontSize:13,marginBottom:14}}>Review flagged CBT attempts. Dismissed flags stop costing marks and the result is rescored.</div>
+      <div style={{display:"flex",gap:6,flexWrap:"wrap",marginBottom:16}}>
+        {[["pending","⏳ To review"],["appeals","✋ Appeals"],["resolved","✅ Resolved"],["all","All"]].map(([k,label])=>(
+          <button key={k} onClick={()=>setFilter(k)} style={{padding:"6px 12px",borderRadius:20,fontSize:12,fontWeight:700,cursor:"pointer",
+            border:`1px solid ${filter===k?"var(--accent)":"var(--border)"}`,background:filter===k?"var(--accent)":"var(--bg4)",color:filter===k?"#fff":"var(--text2)"}}>
+            {label} {counts[k]}
+          </button>
+        ))}
+      </div>
+      {shown.length===0&&<div style={{textAlign:"center",padding:60,color:"var(--text3)"}}><div style={{fontSize:48,marginBottom:12}}>✅</div><div style={{fontWeight:700}}>{filter==="all"?"No violations recorded":"Nothing here"}</div></div>}
+      {shown.map(c=>{
+        const u = allUsers.find(x=>x.username===c.student);
+        const open = openKey===c.key;
+        const upheld = c.flags.filter(v=>v.review?.status==="upheld").length;
+        const dismissed = c.flags.filter(v=>v.review?.status==="dismissed").length;
+        const autoReason = AUTO_SUBMIT_REASONS[c.result?.reason];
         return (
-          <div key={i} className="lp-card" style={{borderColor:"rgba(239,68,68,.3)"}}>
-            <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start"}}>
-              <div>
-                <div style={{fontWeight:800,fontSize:14,marginBottom:4,color:"var(--danger)"}}>🚨 {u?.displayName||v.student?.split("@")[0]||v.student}</div>
-                <div style={{fontSize:12,color:"var(--text3)",marginBottom:4}}>Exam: {v.examTitle||v.examId}</div>
-                {v.tabSwitches>0&&<div style={{fontSize:12,color:"var(--warn)"}}>⚠️ Tab switches: {v.tabSwitches}</div>}
-                {v.fullscreenExits>0&&<div style={{fontSize:12,color:"var(--warn)"}}>⚠️ Fullscreen exits: {v.fullscreenExits}</div>}
-                <div style={{fontSize:11,color:"var(--text3)",marginTop:4}}>{v.flaggedAt?new Date(v.flaggedAt).toLocaleString():""}</div>
+          <div key={c.key} className="lp-card" style={{borderColor:c.pending||c.appealOpen?"rgba(239,68,68,.3)":"var(--border)"}}>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",gap:10,cursor:"pointer"}} onClick={()=>openCase(c)}>
+              <div style={{flex:1}}>
+                <div style={{fontWeight:800,fontSize:14,marginBottom:4,color:c.pending?"var(--danger)":"var(--text)"}}>🚨 {u?.displayName||c.student.split("@")[0]}</div>
+                <div style={{fontSize:12,color:"var(--text3)",marginBottom:6}}>Exam: {c.exam?.title||c.examId}</div>
+                <div style={{display:"flex",gap:5,flexWrap:"wrap"}}>
+                  {c.pending>0&&pill("rgba(251,146,60,.12)","var(--warn)",`⏳ ${c.pending} to review`)}
+                  {upheld>0&&pill("rgba(239,68,68,.1)","var(--danger)",`✔ ${upheld} upheld`)}
+                  {dismissed>0&&pill("rgba(34,197,94,.1)","var(--success)",`✖ ${dismissed} dismissed`)}
+                  {c.appeal&&pill("rgba(0,119,182,.1)","var(--accent)",`✋ Appeal ${c.appeal.status}`)}
+                  {autoReason&&pill("rgba(239,68,68,.15)","var(--danger)",`⚡ Auto-submitted (${autoReason})`)}
+                </div>
               </div>
-              <button onClick={()=>clearOne(v.examId,v.student)} style={{background:"none",border:"none",cursor:"pointer",color:"var(--danger)",fontSize:16,flexShrink:0}}>🗑️</button>
+              {c.result&&(
+                <div style={{textAlign:"right",flexShrink:0}}>
+                  <div style={{fontWeight:800,fontSize:15,color:"var(--accent)"}}>{c.result.score}/{c.result.total}</div>
+                  <div style={{fontSize:11,color:"var(--text3)"}}>{c.result.percent}%{c.result.penaltyDeductions>0&&<span style={{color:"var(--warn)"}}> • −{c.result.penaltyDeductions}</span>}</div>
+                </div>
+              )}
+              <span style={{color:"var(--text3)",fontSize:12}}>{open?"▲":"▼"}</span>
             </div>
+
+            {open&&(
+              <div style={{marginTop:12,borderTop:"1px solid var(--border)",paddingTop:12}}>
+                {c.appeal&&(
+                  <div style={{padding:"10px 12px",borderRadius:10,background:"rgba(0,119,182,.06)",border:"1px solid rgba(0,119,182,.2)",marginBottom:12}}>
+                    <div style={{fontWeight:700,fontSize:12,color:"var(--accent)",marginBottom:4}}>✋ Student's appeal — {new Date(c.appeal.submittedAt).toLocaleString()}</div>
+                    <div style={{fontSize:13,whiteSpace:"pre-wrap",marginBottom:8}}>{c.appeal.text}</div>
+                    {c.appealOpen ? (
+                      <>
+                        <div style={{display:"flex",gap:6,marginBottom:6}}>
+                          {[["accepted","✅ Accept"],["rejected","❌ Reject"]].map(([k,label])=>(
+                            <button key={k} onClick={()=>setAppealDraft(a=>({...a,status:a.status===k?"":k}))} style={{padding:"5px 12px",borderRadius:8,fontSize:12,fontWeight:700,cursor:"pointer",
+                              border:`1px solid ${appealDraft.status===k?"var(--accent)":"var(--border)"}`,background:appealDraft.status===k?"var(--accent)":"var(--bg4)",color:appealDraft.status===k?"#fff":"var(--text)"}}>{label}</button>
+                          ))}
+                        </div>
+                        <textarea value={appealDraft.response} onChange={e=>setAppealDraft(a=>({...a,response:e.target.value}))} placeholder="Reply to the student (shown with the decision)"
+                          style={{width:"100%",minHeight:56,padding:8,borderRadius:8,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,boxSizing:"border-box"}} />
+                        <div style={{fontSize:11,color:"var(--text3)",marginTop:4}}>Accepting doesn't change the score by itself — dismiss the flags it's about below.</div>
+                      </>
+                    ) : (
+                      <div style={{fontSize:12,color:"var(--text3)"}}>Decided: <b>{c.appeal.status}</b>{c.appeal.response&&<> — {c.appeal.response}</>}</div>
+                    )}
+                  </div>
+                )}
+
+                {c.flags.length>0&&(
+                  <div style={{display:"flex",gap:6,marginBottom:8,alignItems:"center"}}>
+                    <div style={{fontWeight:700,fontSize:12,flex:1}}>Timeline ({c.flags.length})</div>
+                    <button onClick={()=>setAll(c,"upheld")} style={{padding:"4px 10px",borderRadius:8,fontSize:11,cursor:"pointer",border:"1px solid var(--border)",background:"var(--bg4)",color:"var(--text)"}}>Uphold all</button>
+                    <button onClick={()=>setAll(c,"dismissed")} style={{padding:"4px 10px",borderRadius:8,fontSize:11,cursor:"pointer",border:"1px solid var(--border)",background:"var(--bg4)",color:"var(--text)"}}>Dismiss all</button>
+                  </div>
+                )}
+                {c.flags.map(v=>{
+                  const d = drafts[v._id] || {};
+                  const contested = c.appeal?.flags?.includes(v._id);
+                  return (
+                    <div key={v._id} style={{display:"flex",gap:10,alignItems:"flex-start",padding:"8px 0",borderBottom:"1px solid var(--border)"}}>
+                      {violationHasSnapshot(v)
+                        ? <StoredFile path={v.snapshotPath} legacy={v.snapshot}>{url=><img src={url||undefined} alt="snapshot" onClick={()=>url&&window.open(url,"_blank")} style={{width:80,height:60,objectFit:"cover",borderRadius:6,cursor:"pointer",border:"2px solid rgba(168,85,247,.3)",flexShrink:0,background:"var(--bg4)"}} />}</StoredFile>
+                        : <div style={{width:80,height:60,borderRadius:6,background:"var(--bg4)",display:"flex",alignItems:"center",justifyContent:"center",fontSize:10,color:"var(--text3)",flexShrink:0}}>No photo</div>}
+                      <div style={{flex:1,minWidth:0}}>
+                        <div style={{fontSize:12,fontWeight:700}}>
+                          {VIOLATION_LABELS[v.type]||"⚠️ "+v.type}
+                          {v.penaltyApplied>0&&<span style={{color:"var(--warn)",marginLeft:6}}>−{v.penaltyApplied}</span>}
+                          {contested&&<span style={{color:"var(--accent)",marginLeft:6}}>✋ contested</span>}
+                        </div>
+                        <div style={{fontSize:11,color:"var(--text3)",fontFamily:"'DM Mono',monospace"}}>
+                          {new Date(v.ts).toLocaleString()}{v.offline?" • 📴 offline":""}{v.deviceInfo?.ip?` • ${v.deviceInfo.ip}`:""}
+                        </div>
+                        {v.review&&<div style={{fontSize:10,color:"var(--text3)",marginTop:2}}>Reviewed: {v.review.status} by {v.review.by?.split("@")[0]}</div>}
+                        <input value={d.note||""} onChange={e=>setDraft(v._id,{note:e.target.value})} placeholder="Note (optional)"
+                          style={{marginTop:5,width:"100%",padding:"5px 8px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:11,boxSizing:"border-box"}} />
+                      </div>
+                      <div style={{display:"flex",flexDirection:"column",gap:4,flexShrink:0}}>
+                        {[["upheld","✔ Uphold","var(--danger)"],["dismissed","✖ Dismiss","var(--success)"]].map(([k,label,color])=>(
+                          <button key={k} onClick={()=>setDraft(v._id,{status:d.status===k?"":k})} style={{padding:"4px 10px",borderRadius:8,fontSize:11,fontWeight:700,cursor:"pointer",
+                            border:`1px solid ${d.status===k?color:"var(--border)"}`,background:d.status===k?color:"var(--bg4)",color:d.status===k?"#fff":"var(--text)"}}>{label}</button>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+
+                {autoReason&&(
+                  <div style={{fontSize:12,color:"var(--text2)",marginTop:10,display:"flex",gap:8,alignItems:"center",flexWrap:"wrap"}}>
+                    <span style={{flex:1}}>This attempt was auto-submitted for {autoReason}. If those flags are dismissed, you can let the student carry on.</span>
+                    <button onClick={()=>allowResume(c)} style={{padding:"6px 12px",borderRadius:8,fontSize:12,fontWeight:700,cursor:"pointer",border:"1px solid var(--accent)",background:"var(--bg4)",color:"var(--accent)"}}>▶️ Allow resume</button>
+                  </div>
+                )}
+
+                <div style={{display:"flex",justifyContent:"flex-end",gap:8,marginTop:12}}>
+                  <button onClick={()=>setOpenKey(null)} style={{padding:"8px 14px",borderRadius:9,background:"var(--bg4)",color:"var(--text)",border:"1px solid var(--border)",cursor:"pointer"}}>Cancel</button>
+                  <button disabled={saving} onClick={()=>save(c)} style={{padding:"8px 16px",borderRadius:9,background:"var(--success)",color:"#fff",border:"none",cursor:"pointer",fontWeight:700}}>{saving?"Saving…":"💾 Save & Rescore"}</button>
+                </div>
+              </div>
+            )}
           </div>
         );
       })}
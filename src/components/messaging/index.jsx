@@ -3,8 +3,33 @@ import { DEFAULT_CLASSES } from "../../data/defaults";
 import { _convId, _safeKey, dmMarkRead, dmSend, dmSubscribeConv, dmSubscribeInbox, gcSend, gcSubscribe, gcSubscribeRooms, gcTestWrite, saveMyData, useSharedData } from "../../services/backend";
 import { showNotif } from "../../utils/notifications";
 import { ls } from "../../utils/storage";
+import { StoredFile, checkFile, contentTypeOf, filePaths, uploadFile } from "../../services/fileStorage";
 import { DmCallModal, GroupVideoCallBtn } from "../../components/video-call";
 
+// Uploads a chat file or voice note to Storage, showing it as a temp
+// bubble with upload progress, then posts the message via `send`
+// (dmSend/gcSend). The temp bubble is dropped if either step fails.
+async function sendAttachment({ kind, file, name = file.name, path, setList, temp, send, toast }) {
+  try { checkFile(kind, file, name); } catch (e) { toast(e.message, "error"); return false; }
+  const tempId = "tmp_" + Date.now();
+  setList(m => [...m, { ...temp, id: tempId, fileName: name, fileType: contentTypeOf(file, name), fileSize: file.size, fileData: URL.createObjectURL(file), progress: 0, sentAt: Date.now() }]);
+  const onProgress = progress => setList(m => m.map(x => x.id === tempId ? { ...x, progress } : x));
+  try {
+    const attachment = await uploadFile(kind, path, file, { name, onProgress, download: kind === "chat" && !contentTypeOf(file, name).startsWith("image/") });
+    if (await send(attachment) === false) throw new Error(kind === "voice" ? "Voice note send failed" : "File send failed");
+    return true;
+  } catch (e) {
+    toast("⚠️ " + (e.message || "Upload failed"), "error");
+    setList(m => m.filter(x => x.id !== tempId));
+    return false;
+  }
+}
+
+// "Uploading 40%" line under a temp bubble.
+const uploadNote = (m, color) => m.progress !== undefined && m.id?.startsWith("tmp_")
+  ? <div style={{ fontSize:10, color, marginTop:3 }}>⏫ Uploading {Math.round(m.progress * 100)}%</div>
+  : null;
+
 export function Messages({ user, toast, onUnreadChange }) {
   const allUsers  = ls("nv-users", []);
   const allClasses = ls("nv-classes", DEFAULT_CLASSES);
@@ -160,19 +185,14 @@ export function Messages({ user, toast, onUnreadChange }) {
   // ── Send file ─────────────────────────────────────────────────────
   const sendFile = async (file) => {
     if (!file || !activeUser) return;
-    const MAX = 2 * 1024 * 1024; // 2 MB limit (Firestore doc limit)
-    if (file.size > MAX) { toast("File too large — max 2 MB", "error"); return; }
+    const to = activeUser;
     setSending(true);
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-      const fileData = e.target.result; // base64 data URL
-      const tempId = "tmp_" + Date.now();
-      setMsgs(m => [...m, { id: tempId, from: user, to: activeUser, type: "file", fileName: file.name, fileType: file.type, fileSize: file.size, fileData, sentAt: Date.now(), read: false }]);
-      const ok = await dmSend(user, activeUser, { type: "file", text: "", fileName: file.name, fileType: file.type, fileSize: file.size, fileData });
-      if (!ok) { toast("⚠️ File send failed", "error"); setMsgs(m => m.filter(x => x.id !== tempId)); }
-      setSending(false);
-    };
-    reader.readAsDataURL(file);
+    await sendAttachment({
+      kind: "chat", file, path: filePaths.dm(_convId(user, to), file.name), setList: setMsgs, toast,
+      temp: { from: user, to, type: "file", read: false },
+      send: att => dmSend(user, to, { type: "file", text: "", ...att }),
+    });
+    setSending(false);
   };
 
   // ── Voice recording ───────────────────────────────────────────────
@@ -186,16 +206,13 @@ export function Messages({ user, toast, onUnreadChange }) {
       mr.onstop = async () => {
         stream.getTracks().forEach(t => t.stop());
         const blob = new Blob(recChunksRef.current, { type: mr.mimeType });
-        if (blob.size > 2 * 1024 * 1024) { toast("Voice note too long — max ~2 minutes", "error"); return; }
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-          const dur = recSeconds;
-          const tempId = "tmp_" + Date.now();
-          setMsgs(m => [...m, { id: tempId, from: user, to: activeUser, type: "voice", fileData: e.target.result, fileType: mr.mimeType, duration: dur, sentAt: Date.now(), read: false }]);
-          const ok = await dmSend(user, activeUser, { type: "voice", text: "", fileData: e.target.result, fileType: mr.mimeType, duration: dur });
-          if (!ok) { toast("⚠️ Voice note send failed", "error"); setMsgs(m => m.filter(x => x.id !== tempId)); }
-        };
-        reader.readAsDataURL(blob);
+        const dur = recSeconds, to = activeUser;
+        const name = `voice_${Date.now()}.${mr.mimeType.includes("ogg") ? "ogg" : "webm"}`;
+        await sendAttachment({
+          kind: "voice", file: blob, name, path: filePaths.dm(_convId(user, to), name), setList: setMsgs, toast,
+          temp: { from: user, to, type: "voice", duration: dur, read: false },
+          send: att => dmSend(user, to, { type: "voice", text: "", ...att, duration: dur }),
+        });
       };
       mr.start();
       mediaRecRef.current = mr;
@@ -254,24 +271,13 @@ export function Messages({ user, toast, onUnreadChange }) {
   const gcSendFile = async (file) => {
     const activeClassId = isLecturerUser ? broadcastClass : myClassId;
     if (!file || !activeClassId) return;
-    const MAX = 2 * 1024 * 1024;
-    if (file.size > MAX) { toast("File too large — max 2 MB", "error"); return; }
     setGcSending(true);
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-      const fileData = e.target.result;
-      const tempId = "tmp_" + Date.now();
-      setGcMsgs(m => [...m, { id: tempId, from: user, type: "file", fileName: file.name, fileType: file.type, fileSize: file.size, fileData, sentAt: Date.now() }]);
-      try {
-        await gcSend(activeClassId, user, { type: "file", text: "", fileName: file.name, fileType: file.type, fileSize: file.size, fileData });
-      } catch(e) {
-        toast("⚠️ " + (e.message || "File send failed"), "error");
-        setGcMsgs(m => m.filter(x => x.id !== tempId));
-      } finally {
-        setGcSending(false);
-      }
-    };
-    reader.readAsDataURL(file);
+    await sendAttachment({
+      kind: "chat", file, path: filePaths.classChat(activeClassId, file.name), setList: setGcMsgs, toast,
+      temp: { from: user, type: "file" },
+      send: att => gcSend(activeClassId, user, { type: "file", text: "", ...att }),
+    });
+    setGcSending(false);
   };
 
   // ── Group chat: voice recording ───────────────────────────────────
@@ -286,17 +292,14 @@ export function Messages({ user, toast, onUnreadChange }) {
       mr.onstop = async () => {
         stream.getTracks().forEach(t => t.stop());
         const blob = new Blob(gcRecChunksRef.current, { type: mr.mimeType });
-        if (blob.size > 2 * 1024 * 1024) { toast("Voice note too long — max ~2 minutes", "error"); return; }
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-          const dur = gcRecSeconds;
-          const tempId = "tmp_" + Date.now();
-          const activeClassId = isLecturerUser ? broadcastClass : myClassId;
-          setGcMsgs(m => [...m, { id: tempId, from: user, type: "voice", fileData: e.target.result, fileType: mr.mimeType, duration: dur, sentAt: Date.now() }]);
-          const ok = await gcSend(activeClassId, user, { type: "voice", text: "", fileData: e.target.result, fileType: mr.mimeType, duration: dur });
-          if (!ok) { toast("⚠️ Voice note send failed", "error"); setGcMsgs(m => m.filter(x => x.id !== tempId)); }
-        };
-        reader.readAsDataURL(blob);
+        const dur = gcRecSeconds;
+        const activeClassId = isLecturerUser ? broadcastClass : myClassId;
+        const name = `voice_${Date.now()}.${mr.mimeType.includes("ogg") ? "ogg" : "webm"}`;
+        await sendAttachment({
+          kind: "voice", file: blob, name, path: filePaths.classChat(activeClassId, name), setList: setGcMsgs, toast,
+          temp: { from: user, type: "voice", duration: dur },
+          send: att => gcSend(activeClassId, user, { type: "voice", text: "", ...att, duration: dur }),
+        });
       };
       mr.start();
       gcMediaRecRef.current = mr;
@@ -376,6 +379,23 @@ export function Messages({ user, toast, onUnreadChange }) {
     const bubbleColor = mine ? "linear-gradient(135deg,var(--accent),var(--accent2))" : "var(--card2)";
     const textColor   = mine ? "white" : "var(--text)";
 
+    if (m.type === "voice" || m.type === "file") {
+      return (
+        <StoredFile path={m.filePath} thumb={m.thumbPath} legacy={m.fileData}>
+          {(url, thumbUrl) => renderAttachment(m, url, thumbUrl, mine, bubbleColor, textColor)}
+        </StoredFile>
+      );
+    }
+
+    // Text
+    return (
+      <div style={{ background: bubbleColor, borderRadius: mine ? "18px 18px 4px 18px" : "18px 18px 18px 4px", padding:"9px 14px", fontSize:14, color: textColor, boxShadow:"0 1px 4px rgba(0,0,0,.08)", wordBreak:"break-word", opacity: m.id?.startsWith("tmp_") ? 0.6 : 1 }}>
+        {m.text}
+      </div>
+    );
+  };
+
+  const renderAttachment = (m, url, thumbUrl, mine, bubbleColor, textColor) => {
     if (m.type === "voice") {
       return (
         <div style={{ background: bubbleColor, borderRadius: mine ? "18px 18px 4px 18px" : "18px 18px 18px 4px", padding:"10px 14px", minWidth:200, display:"flex", alignItems:"center", gap:10 }}>
@@ -383,42 +403,63 @@ export function Messages({ user, toast, onUnreadChange }) {
             <span style={{ fontSize:18 }}>🎤</span>
           </div>
           <div style={{ flex:1 }}>
-            <audio controls src={m.fileData} style={{ width:"100%", height:32, minWidth:140 }} />
+            {url ? <audio controls src={url} style={{ width:"100%", height:32, minWidth:140 }} /> : <div style={{ fontSize:12, color:textColor, opacity:.7 }}>Loading…</div>}
             <div style={{ fontSize:10, color: mine ? "rgba(255,255,255,.75)" : "var(--text3)", marginTop:3 }}>
               {m.duration ? formatDur(m.duration) : "Voice note"}
             </div>
+            {uploadNote(m, mine ? "rgba(255,255,255,.75)" : "var(--text3)")}
           </div>
         </div>
       );
     }
 
-    if (m.type === "file") {
-      if (isImage(m.fileType)) {
-        return (
-          <div style={{ borderRadius: mine ? "18px 18px 4px 18px" : "18px 18px 18px 4px", overflow:"hidden", maxWidth:260, background: bubbleColor }}>
-            <img src={m.fileData} alt={m.fileName} style={{ width:"100%", display:"block", maxHeight:240, objectFit:"cover" }} />
-            <div style={{ padding:"6px 10px 8px", fontSize:11, color: textColor, opacity:.85 }}>{m.fileName}</div>
-          </div>
-        );
-      }
+    if (isImage(m.fileType)) {
       return (
-        <div style={{ background: bubbleColor, borderRadius: mine ? "18px 18px 4px 18px" : "18px 18px 18px 4px", padding:"10px 14px", display:"flex", alignItems:"center", gap:10, minWidth:180 }}>
-          <div style={{ width:36, height:36, borderRadius:9, background: mine ? "rgba(255,255,255,.2)" : "rgba(0,119,182,.12)", display:"flex", alignItems:"center", justifyContent:"center", flexShrink:0, fontSize:20 }}>
-            {isPdf(m.fileType) ? "📄" : "📎"}
-          </div>
-          <div style={{ flex:1, minWidth:0 }}>
-            <div style={{ fontWeight:700, fontSize:13, color: textColor, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>{m.fileName}</div>
-            <div style={{ fontSize:11, color: mine ? "rgba(255,255,255,.7)" : "var(--text3)" }}>{formatFileSize(m.fileSize)}</div>
-          </div>
-          <a href={m.fileData} download={m.fileName} style={{ color: mine ? "white" : "var(--accent)", fontSize:20, textDecoration:"none", flexShrink:0 }} title="Download">⬇</a>
+        <div style={{ borderRadius: mine ? "18px 18px 4px 18px" : "18px 18px 18px 4px", overflow:"hidden", maxWidth:260, background: bubbleColor }}>
+          {thumbUrl
+            ? <img src={thumbUrl} alt={m.fileName} onClick={() => url && window.open(url, "_blank")} style={{ width:"100%", display:"block", maxHeight:240, objectFit:"cover", cursor:"pointer" }} />
+            : <div style={{ height:120, display:"flex", alignItems:"center", justifyContent:"center", fontSize:28 }}>🖼️</div>}
+          <div style={{ padding:"6px 10px 8px", fontSize:11, color: textColor, opacity:.85 }}>{m.fileName}{uploadNote(m, textColor)}</div>
         </div>
       );
     }
+    return (
+      <div style={{ background: bubbleColor, borderRadius: mine ? "18px 18px 4px 18px" : "18px 18px 18px 4px", padding:"10px 14px", display:"flex", alignItems:"center", gap:10, minWidth:180 }}>
+        <div style={{ width:36, height:36, borderRadius:9, background: mine ? "rgba(255,255,255,.2)" : "rgba(0,119,182,.12)", display:"flex", alignItems:"center", justifyContent:"center", flexShrink:0, fontSize:20 }}>
+          {isPdf(m.fileType) ? "📄" : "📎"}
+        </div>
+        <div style={{ flex:1, minWidth:0 }}>
+          <div style={{ fontWeight:700, fontSize:13, color: textColor, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>{m.fileName}</div>
+          <div style={{ fontSize:11, color: mine ? "rgba(255,255,255,.7)" : "var(--text3)" }}>{formatFileSize(m.fileSize)}</div>
+          {uploadNote(m, mine ? "rgba(255,255,255,.75)" : "var(--text3)")}
+        </div>
+        {url && <a href={url} download={m.fileName} target="_blank" rel="noopener noreferrer" style={{ color: mine ? "white" : "var(--accent)", fontSize:20, textDecoration:"none", flexShrink:0 }} title="Download">⬇</a>}
+      </div>
+    );
+  };
 
-    // Text
+  // Group chat attachment bubble (class chat, both the lecturer and student layouts).
+  const renderGcAttachment = (m, url, thumbUrl, mine) => {
+    if (m.type === "voice") return (
+      <div style={{ display:"flex", alignItems:"center", gap:10, padding:"8px 12px", background:mine?"rgba(255,255,255,.15)":"var(--bg3)", borderRadius:10, minWidth:180 }}>
+        <button disabled={!url} onClick={()=>{ const a=new Audio(url); a.play(); }} style={{ width:32,height:32,borderRadius:"50%",background:mine?"rgba(255,255,255,.25)":"var(--accent)",border:"none",cursor:url?"pointer":"wait",display:"flex",alignItems:"center",justifyContent:"center",fontSize:14,color:"white",flexShrink:0 }}>▶</button>
+        <div style={{ flex:1 }}><div style={{ fontSize:11,fontWeight:700,color:mine?"rgba(255,255,255,.8)":"var(--text3)" }}>Voice note</div><div style={{ fontSize:12,color:mine?"rgba(255,255,255,.9)":"var(--text3)" }}>{formatDur(m.duration||0)}</div>{uploadNote(m, mine?"rgba(255,255,255,.8)":"var(--text3)")}</div>
+        <span style={{ fontSize:18,flexShrink:0 }}>🎤</span>
+      </div>
+    );
+    if (m.fileType?.startsWith("image/")) return (
+      <div>
+        {thumbUrl
+          ? <img src={thumbUrl} alt={m.fileName} style={{ maxWidth:220,maxHeight:200,borderRadius:10,display:"block",cursor:"pointer" }} onClick={()=>url && window.open(url,"_blank")} />
+          : <div style={{ width:160,height:120,borderRadius:10,background:"var(--bg3)",display:"flex",alignItems:"center",justifyContent:"center",fontSize:28 }}>🖼️</div>}
+        {uploadNote(m, "var(--text3)")}
+      </div>
+    );
     return (
-      <div style={{ background: bubbleColor, borderRadius: mine ? "18px 18px 4px 18px" : "18px 18px 18px 4px", padding:"9px 14px", fontSize:14, color: textColor, boxShadow:"0 1px 4px rgba(0,0,0,.08)", wordBreak:"break-word", opacity: m.id?.startsWith("tmp_") ? 0.6 : 1 }}>
-        {m.text}
+      <div style={{ display:"flex",alignItems:"center",gap:10,padding:"8px 12px",background:mine?"rgba(255,255,255,.15)":"var(--bg3)",borderRadius:10,minWidth:160 }}>
+        <span style={{ fontSize:22,flexShrink:0 }}>📎</span>
+        <div style={{ flex:1,minWidth:0 }}><div style={{ fontSize:13,fontWeight:700,color:mine?"#fff":"var(--text)",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap" }}>{m.fileName}</div><div style={{ fontSize:11,color:mine?"rgba(255,255,255,.7)":"var(--text3)" }}>{formatFileSize(m.fileSize)}</div>{uploadNote(m, mine?"rgba(255,255,255,.8)":"var(--text3)")}</div>
+        {url && <a href={url} download={m.fileName} target="_blank" rel="noopener noreferrer" style={{ color:mine?"white":"var(--accent)",fontSize:20,textDecoration:"none",flexShrink:0 }} title="Download">⬇</a>}
       </div>
     );
   };
@@ -542,23 +583,7 @@ export function Messages({ user, toast, onUnreadChange }) {
                         const bubbleColor = mine ? "linear-gradient(135deg,var(--accent),var(--accent2))" : "var(--bg4)";
                         const textColor   = mine ? "#fff" : "var(--text)";
                         const renderGcContent = () => {
-                          if (m.type === "voice") return (
-                            <div style={{ display:"flex", alignItems:"center", gap:10, padding:"8px 12px", background:mine?"rgba(255,255,255,.15)":"var(--bg3)", borderRadius:10, minWidth:180 }}>
-                              <button onClick={()=>{ const a=new Audio(m.fileData); a.play(); }} style={{ width:32,height:32,borderRadius:"50%",background:mine?"rgba(255,255,255,.25)":"var(--accent)",border:"none",cursor:"pointer",display:"flex",alignItems:"center",justifyContent:"center",fontSize:14,color:"white",flexShrink:0 }}>▶</button>
-                              <div style={{ flex:1 }}><div style={{ fontSize:11,fontWeight:700,color:mine?"rgba(255,255,255,.8)":"var(--text3)" }}>Voice note</div><div style={{ fontSize:12,color:mine?"rgba(255,255,255,.9)":"var(--text3)" }}>{formatDur(m.duration||0)}</div></div>
-                              <span style={{ fontSize:18,flexShrink:0 }}>🎤</span>
-                            </div>
-                          );
-                          if (m.type === "file") {
-                            if (m.fileType?.startsWith("image/")) return <img src={m.fileData} alt={m.fileName} style={{ maxWidth:220,maxHeight:200,borderRadius:10,display:"block",cursor:"pointer" }} onClick={()=>window.open(m.fileData,"_blank")} />;
-                            return (
-                              <div style={{ display:"flex",alignItems:"center",gap:10,padding:"8px 12px",background:mine?"rgba(255,255,255,.15)":"var(--bg3)",borderRadius:10,minWidth:160 }}>
-                                <span style={{ fontSize:22,flexShrink:0 }}>📎</span>
-                                <div style={{ flex:1,minWidth:0 }}><div style={{ fontSize:13,fontWeight:700,color:mine?"#fff":"var(--text)",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap" }}>{m.fileName}</div><div style={{ fontSize:11,color:mine?"rgba(255,255,255,.7)":"var(--text3)" }}>{formatFileSize(m.fileSize)}</div></div>
-                                <a href={m.fileData} download={m.fileName} style={{ color:mine?"white":"var(--accent)",fontSize:20,textDecoration:"none",flexShrink:0 }} title="Download">⬇</a>
-                              </div>
-                            );
-                          }
+                          if (m.type === "voice" || m.type === "file") return <StoredFile path={m.filePath} thumb={m.thumbPath} legacy={m.fileData}>{(url, thumbUrl) => renderGcAttachment(m, url, thumbUrl, mine)}</StoredFile>;
                           return <div style={{ background:bubbleColor,borderRadius:mine?"18px 18px 4px 18px":"18px 18px 18px 4px",padding:"9px 14px",fontSize:14,color:textColor,boxShadow:"0 1px 4px rgba(0,0,0,.08)",wordBreak:"break-word",opacity:m.id?.startsWith("tmp_")?0.6:1 }}>{m.text}</div>;
                         };
                         return (
@@ -621,23 +646,7 @@ export function Messages({ user, toast, onUnreadChange }) {
                   const bubbleColor = mine ? "linear-gradient(135deg,var(--accent),var(--accent2))" : "var(--bg4)";
                   const textColor   = mine ? "#fff" : "var(--text)";
                   const renderGcContent = () => {
-                    if (m.type === "voice") return (
-                      <div style={{ display:"flex",alignItems:"center",gap:10,padding:"8px 12px",background:mine?"rgba(255,255,255,.15)":"var(--bg3)",borderRadius:10,minWidth:180 }}>
-                        <button onClick={()=>{ const a=new Audio(m.fileData); a.play(); }} style={{ width:32,height:32,borderRadius:"50%",background:mine?"rgba(255,255,255,.25)":"var(--accent)",border:"none",cursor:"pointer",display:"flex",alignItems:"center",justifyContent:"center",fontSize:14,color:"white",flexShrink:0 }}>▶</button>
-                        <div style={{ flex:1 }}><div style={{ fontSize:11,fontWeight:700,color:mine?"rgba(255,255,255,.8)":"var(--text3)" }}>Voice note</div><div style={{ fontSize:12,color:mine?"rgba(255,255,255,.9)":"var(--text3)" }}>{formatDur(m.duration||0)}</div></div>
-                        <span style={{ fontSize:18,flexShrink:0 }}>🎤</span>
-                      </div>
-                    );
-                    if (m.type === "file") {
-                      if (m.fileType?.startsWith("image/")) return <img src={m.fileData} alt={m.fileName} style={{ maxWidth:220,maxHeight:200,borderRadius:10,display:"block",cursor:"pointer" }} onClick={()=>window.open(m.fileData,"_blank")} />;
-                      return (
-                        <div style={{ display:"flex",alignItems:"center",gap:10,padding:"8px 12px",background:mine?"rgba(255,255,255,.15)":"var(--bg3)",borderRadius:10,minWidth:160 }}>
-                          <span style={{ fontSize:22,flexShrink:0 }}>📎</span>
-                          <div style={{ flex:1,minWidth:0 }}><div style={{ fontSize:13,fontWeight:700,color:mine?"#fff":"var(--text)",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap" }}>{m.fileName}</div><div style={{ fontSize:11,color:mine?"rgba(255,255,255,.7)":"var(--text3)" }}>{formatFileSize(m.fileSize)}</div></div>
-                          <a href={m.fileData} download={m.fileName} style={{ color:mine?"white":"var(--accent)",fontSize:20,textDecoration:"none",flexShrink:0 }} title="Download">⬇</a>
-                        </div>
-                      );
-                    }
+                    if (m.type === "voice" || m.type === "file") return <StoredFile path={m.filePath} thumb={m.thumbPath} legacy={m.fileData}>{(url, thumbUrl) => renderGcAttachment(m, url, thumbUrl, mine)}</StoredFile>;
                     return <div style={{ background:bubbleColor,borderRadius:mine?"18px 18px 4px 18px":"18px 18px 18px 4px",padding:"9px 14px",fontSize:14,color:textColor,boxShadow:"0 1px 4px rgba(0,0,0,.08)",wordBreak:"break-word",opacity:m.id?.startsWith("tmp_")?0.6:1 }}>{m.text}</div>;
                   };
                   return (
@@ -929,9 +938,11 @@ export function Notifications({ currentUser, onRead, onNavigate }) {
     else if (n.type === "group_chat") onNavigate("messages");
     else if (n.type === "handout")    onNavigate("handouts");
     else if (n.type === "assignment") onNavigate("assignments");
+    else if (n.type === "cbt_result") onNavigate("cbt");
+    else if (n.type === "nc_rescore") onNavigate("nursingexams");
   };
 
-  const typeIcon = (type) => { if(type==="handout")return"📄"; if(type==="announcement")return"📢"; if(type==="urgent")return"🚨"; if(type==="warning")return"⚠️"; if(type==="success")return"✅"; return"🔔"; };
+  const typeIcon = (type) => { if(type==="handout")return"📄"; if(type==="cbt_result")return"📊"; if(type==="nc_rescore")return"🔑"; if(type==="announcement")return"📢"; if(type==="urgent")return"🚨"; if(type==="warning")return"⚠️"; if(type==="success")return"✅"; return"🔔"; };
   const typeColor = (type) => { if(type==="handout")return"var(--accent)"; if(type==="announcement"||type==="warning")return"var(--warn)"; if(type==="urgent")return"#ef4444"; if(type==="success")return"#22c55e"; return"var(--text3)"; };
 
   return (
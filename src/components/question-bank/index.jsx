@@ -0,0 +1,499 @@
+import { useState, useEffect } from "react";
+import {
+  DIFFICULTIES, assembleByRules, bankQuestionToItem, createBankQuestions, deleteBankQuestion, filterBank,
+  listQuestionBank, listQuestionRevisions, newBankId, normalizeTags, outdatedCount, questionContent, questionFingerprint,
+  saveBankQuestion, subscribeQuestionBank, syncFromBank,
+} from "../../services/questionBank";
+import { listCbtExams, mergeCbtKeys, saveCbtExam } from "../../services/cbt";
+import { saveShared, useSharedData } from "../../services/backend";
+import { ls } from "../../utils/storage";
+import { auth } from "../../config/firebaseClient";
+import { NURSING_EXAM_META } from "../../shared/ncExamData";
+import { MAX_OPTIONS, OPTION_LETTERS, questionType } from "../../shared/questionTypes";
+import { QuestionTypeSelect, TypedKeySummary, TypedQuestionEditor, draftFromQuestion, emptyDraft, questionFromDraft } from "../question-types";
+
+// School past questions and the daily mock only ask single-answer MCQs.
+const isMcq = (q) => questionType(q) === "mcq";
+
+const DIFF_COLORS = { easy:"var(--success)", medium:"var(--warn)", hard:"var(--danger)" };
+
+// Live bank + id lookup. Staff-only (see firestore.rules).
+export function useQuestionBank() {
+  const [bank, setBank] = useState([]);
+  const [loading, setLoading] = useState(true);
+  useEffect(() => subscribeQuestionBank(list => { setBank(list); setLoading(false); }), []);
+  const byId = {};
+  bank.forEach(q => { byId[q.id] = q; });
+  return { bank, byId, loading };
+}
+
+const allTags = (bank) => [...new Set(bank.flatMap(q => q.tags || []))].sort();
+
+function DiffBadge({ d }) {
+  return <span style={{fontSize:10,padding:"2px 7px",borderRadius:5,fontWeight:800,textTransform:"uppercase",
+    color:DIFF_COLORS[d]||"var(--text3)",border:`1px solid ${DIFF_COLORS[d]||"var(--border)"}`}}>{d||"—"}</span>;
+}
+
+function OptionChips({ q }) {
+  if (!isMcq(q)) return <TypedKeySummary q={q} />;
+  return (
+    <div style={{display:"flex",flexWrap:"wrap",gap:5}}>
+      {(q.options||[]).map((opt,oi)=> opt ? (
+        <span key={oi} style={{fontSize:11,padding:"2px 8px",borderRadius:5,
+          background:oi===q.ans?"rgba(34,197,94,.12)":"transparent",
+          border:`1px solid ${oi===q.ans?"var(--success)":"var(--border)"}`,
+          color:oi===q.ans?"var(--success)":"var(--text3)",fontWeight:oi===q.ans?800:400
+        }}>{OPTION_LETTERS[oi]}. {opt}{oi===q.ans?" ✓":""}</span>
+      ) : null)}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// QuestionBankManager — browse, tag and edit the shared bank, with
+// revision history. Admins also get the one-off pool migration.
+// ═══════════════════════════════════════════════════════════════════
+export function QuestionBankManager({ toast, currentUser, isAdmin }) {
+  const { bank, loading } = useQuestionBank();
+  const [filters, setFilters] = useState({ tag:"", difficulty:"", search:"" });
+  const blank = { ...emptyDraft("mcq"), id:null, explanation:"", tagsText:"", course:"", difficulty:"medium" };
+  const [form, setForm] = useState(blank);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [historyFor, setHistoryFor] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [page, setPage] = useState(0);
+  const PER_PAGE = 25;
+
+  const shown = filterBank(bank, filters);
+  const tags = allTags(bank);
+
+  const startEdit = (q) => {
+    setForm({ ...blank, ...draftFromQuestion(q), id:q.id, rev:q.rev, explanation:q.explanation||"",
+      course:q.course||"", difficulty:q.difficulty||"medium", tagsText:(q.tags||[]).join(", ") });
+    setShowForm(true);
+    window.scrollTo({ top:0, behavior:"smooth" });
+  };
+
+  const save = async () => {
+    const { question, error } = questionFromDraft(form);
+    if (error) return toast(error,"error");
+    setSaving(true);
+    try {
+      const { id, explanation, course, difficulty, tagsText } = form;
+      const saved = await saveBankQuestion({ ...question, id, explanation, course, difficulty, tags:normalizeTags(tagsText) }, currentUser);
+      toast(saved.rev>1?`✏️ Saved as revision ${saved.rev} — exams using it will show as outdated`:"➕ Added to bank","success");
+      setForm(blank); setShowForm(false);
+    } catch (e) {
+      toast("Save failed: " + e.message, "error");
+    }
+    setSaving(false);
+  };
+
+  const del = async (q) => {
+    if (!window.confirm("Delete this question from the bank? Exams that already copied it keep their copy.")) return;
+    try { await deleteBankQuestion(q.id); toast("Deleted","success"); }
+    catch (e) { toast("Delete failed: " + e.message, "error"); }
+  };
+
+  const openHistory = async (q) => {
+    if (historyFor===q.id) { setHistoryFor(null); return; }
+    setHistoryFor(q.id); setHistory([]);
+    try { setHistory(await listQuestionRevisions(q.id)); }
+    catch (e) { toast("Could not load history: " + e.message, "error"); }
+  };
+
+  const restore = async (rev) => {
+    if (!window.confirm(`Restore revision ${rev.rev}? It will be saved as a new revision.`)) return;
+    try {
+      const saved = await saveBankQuestion(rev, currentUser);
+      toast(`↩️ Restored as revision ${saved.rev}`,"success");
+      setHistoryFor(null);
+    } catch (e) { toast("Restore failed: " + e.message, "error"); }
+  };
+
+  return (
+    <div>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:4,flexWrap:"wrap",gap:10}}>
+        <div className="sec-title">🏦 Question Bank ({bank.length})</div>
+        <button className="btn btn-accent" onClick={()=>{setForm(blank);setShowForm(s=>!s);}}>{showForm?"✕ Close":"+ New Question"}</button>
+      </div>
+      <div style={{fontSize:12,color:"var(--text3)",marginBottom:14}}>One copy of every question, shared by CBT exams, NC papers, the daily mock and school past questions. Edit here once — exams that use a question offer to sync the change.</div>
+
+      {isAdmin && <PoolMigration toast={toast} currentUser={currentUser} bank={bank} />}
+
+      {showForm && (
+        <div className="card2" style={{marginBottom:14}}>
+          <div style={{fontWeight:800,marginBottom:10,fontSize:13,color:"var(--accent)"}}>{form.id?`✏️ Edit (revision ${form.rev||1})`:"✏️ New Bank Question"}</div>
+          <label className="lbl">Question Text *</label>
+          <textarea className="inp" rows={3} style={{resize:"vertical"}} value={form.q}
+            onChange={e=>setForm({...form,q:e.target.value})} placeholder="Type the question here..." />
+          <QuestionTypeSelect value={form.type||"mcq"} onChange={t=>setForm(f=>({...f,...emptyDraft(t,f.q)}))} />
+          {form.type!=="mcq" ? <TypedQuestionEditor draft={form} onChange={setForm} toast={toast} /> : <>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:8,marginBottom:8}}>
+            {form.options.map((opt,i)=>(
+              <div key={i}>
+                <label className="lbl">Option {OPTION_LETTERS[i]}{i<2?" *":""}</label>
+                <input className="inp" style={{marginBottom:0}} placeholder={`Option ${OPTION_LETTERS[i]}...`} value={opt}
+                  onChange={e=>{const o=[...form.options];o[i]=e.target.value;setForm({...form,options:o});}} />
+              </div>
+            ))}
+          </div>
+          {form.options.length<MAX_OPTIONS&&<button className="btn btn-sm" style={{marginBottom:8}} onClick={()=>setForm({...form,options:[...form.options,""]})}>+ Option</button>}
+          </>}
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:8}}>
+            {form.type==="mcq"&&<div>
+              <label className="lbl">Correct Answer *</label>
+              <select className="inp" value={form.ans} onChange={e=>setForm({...form,ans:+e.target.value})}>
+                {form.options.map((_,i)=><option key={i} value={i}>Option {OPTION_LETTERS[i]}</option>)}
+              </select>
+            </div>}
+            <div>
+              <label className="lbl">Difficulty</label>
+              <select className="inp" value={form.difficulty} onChange={e=>setForm({...form,difficulty:e.target.value})}>
+                {DIFFICULTIES.map(d=><option key={d} value={d}>{d}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="lbl">Course</label>
+              <input className="inp" value={form.course} onChange={e=>setForm({...form,course:e.target.value})} placeholder="e.g. Pharmacology I" />
+            </div>
+          </div>
+          <label className="lbl">Topic Tags (comma-separated)</label>
+          <input className="inp" value={form.tagsText} onChange={e=>setForm({...form,tagsText:e.target.value})} placeholder="pharmacology, antibiotics" />
+          <label className="lbl">Explanation (shown in review / answer keys)</label>
+          <textarea className="inp" rows={2} style={{resize:"vertical"}} value={form.explanation}
+            onChange={e=>setForm({...form,explanation:e.target.value})} placeholder="Why the correct answer is correct..." />
+          <div style={{display:"flex",gap:8}}>
+            <button className="btn btn-accent" disabled={saving} onClick={save}>{saving?"⏳ Saving...":form.id?"💾 Save Revision":"➕ Add to Bank"}</button>
+            <button className="btn" onClick={()=>{setForm(blank);setShowForm(false);}}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div style={{display:"grid",gridTemplateColumns:"2fr 1fr 1fr",gap:8,marginBottom:10}}>
+        <input className="inp" style={{marginBottom:0}} placeholder="🔍 Search question text..." value={filters.search}
+          onChange={e=>{setFilters({...filters,search:e.target.value});setPage(0);}} />
+        <select className="inp" style={{marginBottom:0}} value={filters.tag} onChange={e=>{setFilters({...filters,tag:e.target.value});setPage(0);}}>
+          <option value="">All tags</option>
+          {tags.map(t=><option key={t} value={t}>{t}</option>)}
+        </select>
+        <select className="inp" style={{marginBottom:0}} value={filters.difficulty} onChange={e=>{setFilters({...filters,difficulty:e.target.value});setPage(0);}}>
+          <option value="">Any difficulty</option>
+          {DIFFICULTIES.map(d=><option key={d} value={d}>{d}</option>)}
+        </select>
+      </div>
+
+      {loading ? <div className="card">Loading…</div> : shown.length===0 ? (
+        <div className="card" style={{textAlign:"center",color:"var(--text3)"}}>{bank.length?"No questions match these filters.":"The bank is empty — add a question or migrate the existing pools."}</div>
+      ) : (
+        <>
+          <div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>Showing {page*PER_PAGE+1}–{Math.min(shown.length,(page+1)*PER_PAGE)} of {shown.length}</div>
+          {shown.slice(page*PER_PAGE,(page+1)*PER_PAGE).map(q=>(
+            <div key={q.id} className="card2" style={{marginBottom:7}}>
+              <div style={{display:"flex",gap:8,alignItems:"flex-start"}}>
+                <div style={{flex:1}}>
+                  <div style={{fontWeight:700,fontSize:13,marginBottom:5,lineHeight:1.4}}>{q.q}</div>
+                  <OptionChips q={q} />
+                  {q.explanation&&<div style={{fontSize:11,color:"var(--text2)",marginTop:5}}>💡 {q.explanation}</div>}
+                  <div style={{display:"flex",gap:5,flexWrap:"wrap",alignItems:"center",marginTop:6}}>
+                    <DiffBadge d={q.difficulty} />
+                    {q.course&&<span style={{fontSize:10,color:"var(--accent)",fontWeight:700}}>📚 {q.course}</span>}
+                    {(q.tags||[]).map(t=><span key={t} style={{fontSize:10,padding:"1px 6px",borderRadius:5,background:"var(--bg4)",color:"var(--text2)"}}>#{t}</span>)}
+                    <span style={{fontSize:10,color:"var(--text3)",marginLeft:"auto"}}>rev {q.rev||1} • {q.updatedBy||q.createdBy}</span>
+                  </div>
+                </div>
+                <div style={{display:"flex",gap:4,flexShrink:0}}>
+                  <button className="btn btn-sm" title="Revision history" onClick={()=>openHistory(q)}>🕘</button>
+                  <button className="btn btn-sm" onClick={()=>startEdit(q)}>✏️</button>
+                  <button className="btn btn-sm btn-danger" onClick={()=>del(q)}>🗑️</button>
+                </div>
+              </div>
+              {historyFor===q.id && (
+                <div style={{marginTop:10,paddingTop:10,borderTop:"1px solid var(--border)"}}>
+                  {history.length===0
+                    ? <div style={{fontSize:12,color:"var(--text3)"}}>No earlier revisions.</div>
+                    : history.map(r=>(
+                      <div key={r.rev} style={{padding:"6px 0",borderBottom:"1px dashed var(--border)",display:"flex",gap:8,alignItems:"flex-start"}}>
+                        <div style={{flex:1}}>
+                          <div style={{fontSize:11,color:"var(--text3)",marginBottom:3}}>Revision {r.rev||1} • {r.updatedBy||r.createdBy} • {new Date(r.updatedAt||r.createdAt).toLocaleString()}</div>
+                          <div style={{fontSize:12,fontWeight:600,marginBottom:4}}>{r.q}</div>
+                          <OptionChips q={r} />
+                        </div>
+                        <button className="btn btn-sm" onClick={()=>restore(r)}>↩️ Restore</button>
+                      </div>
+                    ))}
+                </div>
+              )}
+            </div>
+          ))}
+          {shown.length>PER_PAGE&&(
+            <div style={{display:"flex",gap:8,justifyContent:"center",marginTop:8}}>
+              <button className="btn btn-sm" disabled={page===0} onClick={()=>setPage(p=>p-1)}>← Prev</button>
+              <button className="btn btn-sm" disabled={(page+1)*PER_PAGE>=shown.length} onClick={()=>setPage(p=>p+1)}>Next →</button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ── One-off migration of the existing per-exam pools ──────────────────
+// Copies every unlinked question from NC papers, the daily mock, school
+// past questions and CBT exams into the bank (de-duplicated by content)
+// and writes the bankId back onto each copy. Safe to re-run: linked
+// copies are skipped.
+function PoolMigration({ toast, currentUser, bank }) {
+  const [ncData] = useSharedData("nv-nursing-exams", {});
+  const [mockPool] = useSharedData("nv-daily-mock", []);
+  const [schoolPQ] = useSharedData("nv-school-pq", {});
+  const [running, setRunning] = useState(false);
+  const [summary, setSummary] = useState(null);
+
+  const run = async () => {
+    if (!window.confirm("Copy every question from NC papers, the daily mock, school past questions and CBT exams into the bank and link them?")) return;
+    setRunning(true); setSummary(null);
+    try {
+      const byPrint = {};
+      (await listQuestionBank()).forEach(q => { byPrint[questionFingerprint(q)] = q; });
+      const fresh = [];
+      let linked = 0;
+      const link = (q, meta) => {
+        if (q.bankId || !q.q) return q;
+        const fp = questionFingerprint(q);
+        let bq = byPrint[fp];
+        if (!bq) {
+          bq = { id:newBankId(), ...questionContent(q), rev:1, ...meta };
+          byPrint[fp] = bq; fresh.push(bq);
+        }
+        linked++;
+        return { ...q, bankId:bq.id, bankRev:bq.rev||1 };
+      };
+
+      // NC papers: data[spec][year].paper1|paper2.questions
+      const nc = {};
+      Object.entries(ncData||{}).forEach(([spec, years]) => {
+        nc[spec] = {};
+        Object.entries(years||{}).forEach(([year, yd]) => {
+          nc[spec][year] = { ...yd };
+          ["paper1","paper2"].forEach(pk => {
+            if (!yd?.[pk]?.questions) return;
+            const tag = (NURSING_EXAM_META[spec]?.short||spec).toLowerCase();
+            nc[spec][year][pk] = { ...yd[pk], questions: yd[pk].questions.map(q => link(q, { tags:["nursing council", tag], source:`NC ${spec} ${year} ${pk}` })) };
+          });
+        });
+      });
+      const mock = (mockPool||[]).map(q => link(q, { tags:[q.cat||"general"], source:"Daily mock" }));
+      const school = {};
+      Object.entries(schoolPQ||{}).forEach(([key, cd]) => {
+        const course = key.split("__")[1] || "";
+        school[key] = { ...cd, mcq: (cd.mcq||[]).map(q => link(q, { course, tags:[course], source:`School PQ ${key}${q.year?` ${q.year}`:""}` })) };
+      });
+      const cbt = await mergeCbtKeys(await listCbtExams());
+      const cbtChanged = [];
+      cbt.forEach(e => {
+        const before = linked;
+        const questions = (e.questions||[]).map(q => link(q, { course:e.subject||"", tags:[e.subject||"cbt"], source:`CBT ${e.title}` }));
+        if (linked > before) cbtChanged.push({ ...e, questions });
+      });
+
+      if (!linked) { setSummary("Nothing to migrate — every question is already linked."); setRunning(false); return; }
+      await createBankQuestions(fresh, currentUser);
+      await saveShared("nursingExams", nc);
+      await saveShared("dailyMock", mock, { mockTitle: ls("nv-daily-mock-title","") });
+      await saveShared("schoolPQ", school);
+      for (const e of cbtChanged) await saveCbtExam(e);
+      setSummary(`${fresh.length} new bank question(s) created • ${linked} exam copies linked • ${cbtChanged.length} CBT exam(s) updated.`);
+      toast("✅ Pools migrated into the question bank","success");
+    } catch (e) {
+      toast("Migration failed: " + e.message, "error");
+    }
+    setRunning(false);
+  };
+
+  return (
+    <div className="card2" style={{marginBottom:14,border:"1px solid rgba(0,119,182,.2)"}}>
+      <div style={{display:"flex",alignItems:"center",gap:10,flexWrap:"wrap"}}>
+        <div style={{flex:1,fontSize:12,color:"var(--text2)"}}>📥 <b>Migrate existing pools</b> — {bank.length ? "re-run any time to pick up questions added outside the bank." : "copy NC papers, the daily mock, school past questions and CBT exams into the bank."}</div>
+        <button className="btn btn-sm btn-accent" disabled={running} onClick={run}>{running?"⏳ Migrating...":"Run Migration"}</button>
+      </div>
+      {summary&&<div style={{fontSize:12,fontWeight:700,color:"var(--success)",marginTop:8}}>{summary}</div>}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// BankPicker — drop-in "add from bank" panel for the exam editors.
+// Hand-pick questions, or assemble by rules ("20 pharmacology, 10
+// hard"). onAdd receives bankQuestionToItem() copies, plus the bank
+// questions they came from (for hosts that map tags onto their own
+// fields). `mcqOnly` hides every type but the single-answer MCQ, for
+// hosts that can't ask the others.
+// ═══════════════════════════════════════════════════════════════════
+export function BankPicker({ toast, existing, onAdd, max, accent = "var(--accent)", defaultTag = "", mcqOnly = false }) {
+  const { bank:all, loading } = useQuestionBank();
+  const bank = mcqOnly ? all.filter(isMcq) : all;
+  const [mode, setMode] = useState("pick"); // pick | rules
+  const [filters, setFilters] = useState({ tag:defaultTag, difficulty:"", search:"" });
+  const [selected, setSelected] = useState([]);
+  const [rules, setRules] = useState([{ count:10, tag:defaultTag, difficulty:"" }]);
+
+  const inExam = new Set((existing||[]).map(q => q.bankId).filter(Boolean));
+  const tags = allTags(bank);
+  // defaultTag is a hint (the exam's subject/course) — ignore it when the
+  // bank has no such tag rather than showing an empty list.
+  const known = (t) => tags.includes(t) ? t : "";
+  const liveRules = rules.map(r => ({ ...r, tag:known(r.tag) }));
+  const shown = filterBank(bank, { ...filters, tag:known(filters.tag) }).filter(q => !inExam.has(q.id));
+  const room = max ?? Infinity;
+
+  const add = (list) => {
+    if (!list.length) return toast("Nothing selected","error");
+    if (room<=0) return toast("No room left — delete some questions first","error");
+    const capped = list.slice(0, room);
+    onAdd(capped.map(bankQuestionToItem), capped);
+    toast(`✅ ${capped.length} question${capped.length!==1?"s":""} added from the bank`+(list.length>capped.length?` (${list.length-capped.length} skipped — pool full)`:""),"success");
+    setSelected([]);
+  };
+
+  const assemble = () => {
+    const { picked, shortfalls } = assembleByRules(bank, liveRules, { exclude:[...inExam] });
+    shortfalls.forEach(s => toast(`⚠️ Only ${s.got} of ${s.wanted} for ${[s.rule.tag&&`#${s.rule.tag}`, s.rule.difficulty].filter(Boolean).join(" + ")||"any"}`,"warn"));
+    add(picked);
+  };
+
+  if (loading) return <div className="card2" style={{marginBottom:14}}>Loading question bank…</div>;
+  if (!bank.length) return <div className="card2" style={{marginBottom:14,color:"var(--text3)",fontSize:12}}>The question bank is empty. Add questions under 🏦 Question Bank first.</div>;
+
+  return (
+    <div className="card2" style={{marginBottom:14,border:`1px solid ${accent}40`}}>
+      <div style={{display:"flex",gap:8,alignItems:"center",marginBottom:10,flexWrap:"wrap"}}>
+        <div style={{fontWeight:800,fontSize:13,color:accent,flex:1}}>🏦 Add from Question Bank</div>
+        <button className={`btn btn-sm${mode==="pick"?" btn-accent":""}`} onClick={()=>setMode("pick")}>☑️ Pick</button>
+        <button className={`btn btn-sm${mode==="rules"?" btn-accent":""}`} onClick={()=>setMode("rules")}>🎯 By Rules</button>
+      </div>
+
+      {mode==="pick" && (
+        <>
+          <div style={{display:"grid",gridTemplateColumns:"2fr 1fr 1fr",gap:8,marginBottom:8}}>
+            <input className="inp" style={{marginBottom:0}} placeholder="🔍 Search..." value={filters.search} onChange={e=>setFilters({...filters,search:e.target.value})} />
+            <select className="inp" style={{marginBottom:0}} value={known(filters.tag)} onChange={e=>setFilters({...filters,tag:e.target.value})}>
+              <option value="">All tags</option>
+              {tags.map(t=><option key={t} value={t}>{t}</option>)}
+            </select>
+            <select className="inp" style={{marginBottom:0}} value={filters.difficulty} onChange={e=>setFilters({...filters,difficulty:e.target.value})}>
+              <option value="">Any difficulty</option>
+              {DIFFICULTIES.map(d=><option key={d} value={d}>{d}</option>)}
+            </select>
+          </div>
+          <div style={{maxHeight:280,overflowY:"auto",border:"1px solid var(--border)",borderRadius:8,marginBottom:8}}>
+            {shown.length===0
+              ? <div style={{padding:14,fontSize:12,color:"var(--text3)",textAlign:"center"}}>No unused questions match.</div>
+              : shown.slice(0,200).map(q=>(
+                <label key={q.id} style={{display:"flex",gap:8,padding:"7px 10px",borderBottom:"1px solid var(--border)",cursor:"pointer",alignItems:"flex-start"}}>
+                  <input type="checkbox" checked={selected.includes(q.id)} onChange={e=>setSelected(s=>e.target.checked?[...s,q.id]:s.filter(x=>x!==q.id))} />
+                  <div style={{flex:1,fontSize:12}}>
+                    <div style={{fontWeight:600,marginBottom:3}}>{q.q}</div>
+                    <div style={{display:"flex",gap:5,flexWrap:"wrap"}}>
+                      <DiffBadge d={q.difficulty} />
+                      {(q.tags||[]).map(t=><span key={t} style={{fontSize:10,color:"var(--text3)"}}>#{t}</span>)}
+                    </div>
+                  </div>
+                </label>
+              ))}
+          </div>
+          {shown.length>200&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>Showing first 200 of {shown.length} — narrow the filters to see more.</div>}
+          <div style={{display:"flex",gap:8,flexWrap:"wrap"}}>
+            <button className="btn btn-sm btn-success" onClick={()=>add(bank.filter(q=>selected.includes(q.id)))}>✅ Add {selected.length} Selected</button>
+            <button className="btn btn-sm" onClick={()=>setSelected(shown.slice(0,200).map(q=>q.id))}>Select all shown</button>
+            {selected.length>0&&<button className="btn btn-sm" onClick={()=>setSelected([])}>Clear</button>}
+          </div>
+        </>
+      )}
+
+      {mode==="rules" && (
+        <>
+          <div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>Each rule draws random questions the exam doesn't already have. Rules are applied in order and never pick the same question twice.</div>
+          {liveRules.map((r,i)=>(
+            <div key={i} style={{display:"grid",gridTemplateColumns:"80px 1fr 1fr auto",gap:6,marginBottom:6,alignItems:"center"}}>
+              <input className="inp" type="number" min="1" style={{marginBottom:0}} value={r.count}
+                onChange={e=>setRules(rs=>rs.map((x,j)=>j===i?{...x,count:+e.target.value}:x))} />
+              <select className="inp" style={{marginBottom:0}} value={r.tag} onChange={e=>setRules(rs=>rs.map((x,j)=>j===i?{...x,tag:e.target.value}:x))}>
+                <option value="">any tag</option>
+                {tags.map(t=><option key={t} value={t}>#{t}</option>)}
+              </select>
+              <select className="inp" style={{marginBottom:0}} value={r.difficulty} onChange={e=>setRules(rs=>rs.map((x,j)=>j===i?{...x,difficulty:e.target.value}:x))}>
+                <option value="">any difficulty</option>
+                {DIFFICULTIES.map(d=><option key={d} value={d}>{d}</option>)}
+              </select>
+              <button className="btn btn-sm btn-danger" disabled={rules.length===1} onClick={()=>setRules(rs=>rs.filter((_,j)=>j!==i))}>✕</button>
+            </div>
+          ))}
+          <div style={{display:"flex",gap:8,flexWrap:"wrap",marginTop:4}}>
+            <button className="btn btn-sm" onClick={()=>setRules(rs=>[...rs,{count:10,tag:"",difficulty:""}])}>+ Rule</button>
+            <button className="btn btn-sm btn-success" onClick={assemble}>🎯 Assemble {rules.reduce((s,r)=>s+(Number(r.count)||0),0)} Questions</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// BankSyncBar — sits above an exam's question list. Offers to pull in
+// bank edits for linked copies, and to push unlinked questions into
+// the bank. onChange receives the updated question list.
+// `locked` disables syncing (e.g. a CBT exam that already has results
+// graded against the current wording). With `mcqOnly`, bank edits that
+// turned a question into another type are not offered.
+// ═══════════════════════════════════════════════════════════════════
+export function BankSyncBar({ toast, currentUser, questions, onChange, defaults = {}, locked, mcqOnly = false }) {
+  const { bank, byId:all, loading } = useQuestionBank();
+  const byId = mcqOnly ? Object.fromEntries(bank.filter(isMcq).map(q => [q.id, q])) : all;
+  const [busy, setBusy] = useState(false);
+  if (loading || !(questions||[]).length) return null;
+
+  const outdated = outdatedCount(questions, byId);
+  const unlinked = questions.filter(q => !q.bankId).length;
+  if (!outdated && !unlinked) return null;
+
+  const sync = () => {
+    const { questions:next, changed } = syncFromBank(questions, byId);
+    onChange(next);
+    toast(`🔄 ${changed} question${changed!==1?"s":""} updated from the bank`,"success");
+  };
+
+  const pushToBank = async () => {
+    setBusy(true);
+    try {
+      const fresh = [];
+      const next = questions.map(q => {
+        if (q.bankId) return q;
+        const bq = { id:newBankId(), ...questionContent(q),
+          explanation:q.explanation||"", tags:defaults.tags||[], course:defaults.course||"", source:defaults.source||"", rev:1 };
+        fresh.push(bq);
+        return { ...q, bankId:bq.id, bankRev:1 };
+      });
+      await createBankQuestions(fresh, currentUser || auth.currentUser?.email);
+      onChange(next);
+      toast(`🏦 ${fresh.length} question${fresh.length!==1?"s":""} added to the bank`,"success");
+    } catch (e) {
+      toast("Could not add to bank: " + e.message, "error");
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div style={{display:"flex",gap:8,alignItems:"center",flexWrap:"wrap",padding:"8px 12px",borderRadius:8,marginBottom:10,
+      background:"rgba(0,119,182,.06)",border:"1px solid rgba(0,119,182,.2)",fontSize:12}}>
+      <span style={{flex:1,color:"var(--text2)"}}>
+        {outdated>0&&<>🔄 <b>{outdated}</b> changed in the bank since added{locked?" (exam has results — sync locked)":""}. </>}
+        {unlinked>0&&<>🏦 <b>{unlinked}</b> not in the bank yet.</>}
+      </span>
+      {outdated>0&&!locked&&<button className="btn btn-sm btn-accent" onClick={sync}>Sync from Bank</button>}
+      {unlinked>0&&<button className="btn btn-sm" disabled={busy} onClick={pushToBank}>{busy?"⏳...":"Add to Bank"}</button>}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { useState } from "react";
+import { loadImageFile, makeZip } from "../../utils/officeFiles";
+import {
+  EXPORT_FORMATS, EXPORT_GAPS, exportFileName, questionsToCsv, questionsToGift, questionsToMoodleXml, questionsToQtiEntries,
+} from "../../shared/questionExport";
+import { QUESTION_TYPES, questionType } from "../../shared/questionTypes";
+import { questionImageUrl } from "../question-types";
+
+const download = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a"); a.href = url; a.download = name; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// ─── EXPORT ───────────────────────────────────────────────────────────
+// Format picker + download for any question list (CBT exam, NC paper,
+// daily mock pool). Questions must include their answers.
+export function QuestionExport({ questions = [], title, toast, accent = "var(--accent)" }) {
+  const [format, setFormat] = useState("qti");
+  const [busy, setBusy] = useState(false);
+
+  const run = async () => {
+    if (!questions.length) return toast("No questions to export", "error");
+    const gaps = (EXPORT_GAPS[format] || []);
+    const skipped = questions.filter(q => gaps.includes(questionType(q)));
+    if (skipped.length && !confirm(`${EXPORT_FORMATS[format].label} can't hold ${gaps.map(t => QUESTION_TYPES[t].label.toLowerCase()).join(" or ")} questions — ${skipped.length} will be left out. Export the rest?`)) return;
+    setBusy(true);
+    try {
+      const images = {};
+      if (format === "qti" || format === "moodle") {
+        for (let i = 0; i < questions.length; i++) {
+          if (questionType(questions[i]) !== "hotspot") continue;
+          try { images[i] = await loadImageFile(await questionImageUrl(questions[i].image)); }
+          catch (e) { throw new Error(`Q${i + 1}: ${e.message}`); }
+        }
+      }
+      const name = exportFileName(title, format);
+      if (format === "qti") download(makeZip(questionsToQtiEntries(questions, { title, images })), name);
+      else if (format === "moodle") download(new Blob([questionsToMoodleXml(questions, { title, images })], { type:"application/xml" }), name);
+      else if (format === "gift") download(new Blob([questionsToGift(questions, { title })], { type:"text/plain" }), name);
+      else download(new Blob(["\uFEFF" + questionsToCsv(questions)], { type:"text/csv" }), name);
+      toast(`⬇️ ${questions.length - skipped.length} question${questions.length - skipped.length !== 1 ? "s" : ""} exported`, "success");
+    } catch (e) {
+      toast(`❌ Export failed — ${e.message}`, "error");
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div style={{display:"flex",gap:6,alignItems:"center"}}>
+      <select className="inp" style={{width:"auto",marginBottom:0,fontSize:11,padding:"5px 8px"}} value={format} onChange={e=>setFormat(e.target.value)}>
+        {Object.entries(EXPORT_FORMATS).map(([k,f])=><option key={k} value={k}>{f.label}</option>)}
+      </select>
+      <button className="btn btn-sm" style={{borderColor:accent,color:accent}} disabled={busy} onClick={run}>{busy ? "⏳ Exporting…" : "⬇️ Export"}</button>
+    </div>
+  );
+}
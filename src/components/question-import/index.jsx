@@ -0,0 +1,217 @@
+import { useState, useRef } from "react";
+import { docxToText, imageSize, readZip, xlsxToRows } from "../../utils/officeFiles";
+import {
+  COLUMN_FIELDS, IMPORT_FORMATS, diffImport, guessColumnMap, parseCsv, parseMoodleXml, parseQtiPackage, parseQuestionText, rowsToItems,
+} from "../../shared/questionImport";
+import { OPTION_LETTERS, questionType } from "../../shared/questionTypes";
+import { TypedKeySummary, storeQuestionImages } from "../question-types";
+
+const STATUS = {
+  new:       { label:"New",       color:"var(--success)", bg:"rgba(34,197,94,.1)" },
+  changed:   { label:"Updates existing", color:"var(--accent)", bg:"rgba(0,119,182,.1)" },
+  duplicate: { label:"Already present",  color:"var(--text3)",  bg:"var(--bg4)" },
+  error:     { label:"Error",     color:"var(--danger)",  bg:"rgba(239,68,68,.08)" },
+};
+
+const ACCEPT = ".docx,.csv,.tsv,.xlsx,.txt,.gift,.xml,.zip";
+
+// ─── FILE IMPORT ──────────────────────────────────────────────────────
+// Upload → (column mapping for spreadsheets) → per-question preview with
+// line-level errors and a diff against the questions already present →
+// import only the ticked ones. onImport(added[], replaced{idx: question}).
+export function QuestionImporter({ toast, existing = [], onImport, accent = "var(--accent)", mcqOnly = false, max = Infinity }) {
+  const fileRef = useRef();
+  const [file, setFile]       = useState(null);   // { name, kind:"text"|"table"|"parsed", text?, rows?, items? }
+  const [format, setFormat]   = useState("auto");
+  const [colMap, setColMap]   = useState({});
+  const [hasHeader, setHasHeader] = useState(true);
+  const [picked, setPicked]   = useState({});     // item idx → bool (overrides default)
+  const [loading, setLoading] = useState(false);
+
+  const onFile = async (e) => {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    setLoading(true);
+    try {
+      const name = f.name;
+      if (/\.xlsx$/i.test(name) || /\.(csv|tsv)$/i.test(name)) {
+        const rows = /\.xlsx$/i.test(name) ? await xlsxToRows(await f.arrayBuffer()) : parseCsv(await f.text());
+        if (!rows.length) throw new Error("The sheet is empty.");
+        setFile({ name, kind:"table", rows });
+        setColMap(guessColumnMap(rows[0].cells));
+        setHasHeader(true);
+      } else if (/\.xml$/i.test(name)) {
+        setFile({ name, kind:"parsed", items: await parseMoodleXml(await f.text(), { imageSize }) });
+      } else if (/\.zip$/i.test(name)) {
+        setFile({ name, kind:"parsed", items: await parseQtiPackage(await readZip(await f.arrayBuffer()), { imageSize }) });
+      } else if (/\.docx$/i.test(name)) {
+        setFile({ name, kind:"text", text: await docxToText(await f.arrayBuffer()) });
+      } else if (/\.doc$/i.test(name)) {
+        throw new Error("Old .doc files can't be read — save it as .docx first.");
+      } else {
+        setFile({ name, kind:"text", text: await f.text() });
+      }
+      setFormat("auto");
+      setPicked({});
+    } catch (err) {
+      toast(`❌ ${err.message}`, "error");
+      setFile(null);
+    }
+    setLoading(false);
+  };
+
+  let detected = "", items = [];
+  if (file?.kind === "text") {
+    const r = parseQuestionText(file.text, format, file.name);
+    detected = r.format;
+    items = r.items;
+  } else if (file?.kind === "parsed") {
+    items = file.items;
+  } else if (file?.kind === "table" && colMap.q !== undefined && colMap.answer !== undefined) {
+    items = rowsToItems(file.rows, colMap, { hasHeader });
+  }
+  if (mcqOnly) {
+    items = items.map(it => it.question && questionType(it.question) !== "mcq"
+      ? { ...it, errors:[...it.errors, "Only single-answer questions can go into this pool"] } : it);
+  }
+  const diffed = diffImport(items, existing);
+  const isPicked = (it, i) => it.status !== "error" && (picked[i] ?? it.status !== "duplicate");
+  const chosen = diffed.filter(isPicked);
+  const addCount = chosen.filter(it => it.status === "new").length;
+  const counts = diffed.reduce((m, it) => ({ ...m, [it.status]:(m[it.status]||0) + 1 }), {});
+
+  const doImport = async () => {
+    if (!chosen.length) return toast("Nothing selected to import", "error");
+    if (addCount > max) return toast(`Only ${max} more question${max!==1?"s":""} fit — untick ${addCount-max}`, "error");
+    // Images embedded in Moodle/QTI files go to Storage before the
+    // questions reach the caller.
+    setLoading(true);
+    let stored;
+    try { stored = await storeQuestionImages(chosen.map(it => it.question)); }
+    catch (err) { setLoading(false); return toast(`❌ Image upload failed — ${err.message}`, "error"); }
+    setLoading(false);
+    const added = [];
+    const replaced = {};
+    chosen.forEach((it, i) => { if (it.status === "new") added.push(stored[i]); else replaced[it.matchIdx] = stored[i]; });
+    onImport(added, replaced);
+    toast(`✅ ${added.length} added${Object.keys(replaced).length ? `, ${Object.keys(replaced).length} updated` : ""} from ${file.name}`, "success");
+    setFile(null);
+    setPicked({});
+  };
+
+  const header = file?.kind === "table" ? file.rows[0].cells : [];
+  const colLabel = (i) => hasHeader && String(header[i] || "").trim() ? `${i+1}: ${header[i]}` : `Column ${i+1}`;
+  const colCount = file?.kind === "table" ? Math.max(...file.rows.map(r => r.cells.length)) : 0;
+
+  return (
+    <div style={{marginBottom:14}}>
+      <div style={{display:"flex",gap:10,alignItems:"center",flexWrap:"wrap",marginBottom:8}}>
+        <input ref={fileRef} type="file" accept={ACCEPT} style={{display:"none"}} onChange={onFile} />
+        <button className="btn btn-sm" style={{borderColor:accent,color:accent}} disabled={loading}
+          onClick={()=>fileRef.current?.click()}>{loading ? "⏳ Reading…" : "📂 Choose File"}</button>
+        {file&&<span style={{fontSize:12,fontWeight:700}}>📄 {file.name}</span>}
+        {file?.kind==="text"&&(
+          <select className="inp" style={{width:"auto",marginBottom:0,fontSize:12}} value={format} onChange={e=>{setFormat(e.target.value);setPicked({});}}>
+            {Object.entries(IMPORT_FORMATS).map(([k,l])=><option key={k} value={k}>{k==="auto"&&detected?`${l} (${IMPORT_FORMATS[detected]})`:l}</option>)}
+          </select>
+        )}
+      </div>
+      {!file&&(
+        <div style={{fontSize:11,color:"var(--text3)",lineHeight:1.7}}>
+          Word (.docx) papers, CSV / Excel (.xlsx) sheets with one question per row, Moodle Aiken / GIFT / XML files or QTI 2.1 packages (.zip).
+          You'll see every question — and any problems, with their line numbers — before anything is added.
+        </div>
+      )}
+
+      {/* Column mapping */}
+      {file?.kind==="table"&&(
+        <div style={{background:"var(--bg4)",border:"1px solid var(--border)",borderRadius:10,padding:12,marginBottom:10}}>
+          <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:8}}>
+            <span style={{fontWeight:800,fontSize:12,color:accent}}>🧭 Column mapping</span>
+            <label style={{fontSize:11,display:"flex",gap:5,alignItems:"center",cursor:"pointer"}}>
+              <input type="checkbox" checked={hasHeader} onChange={e=>setHasHeader(e.target.checked)} /> First row is a header
+            </label>
+          </div>
+          <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fill,minmax(150px,1fr))",gap:8}}>
+            {Object.entries(COLUMN_FIELDS).filter(([field])=>!/^[G-L]$/.test(field)||colMap[String.fromCharCode(field.charCodeAt(0)-1)]!==undefined).map(([field,label])=>(
+              <div key={field}>
+                <label className="lbl" style={{fontSize:10}}>{label}{["q","answer","A","B"].includes(field)?" *":""}</label>
+                <select className="inp" style={{marginBottom:0,fontSize:11}} value={colMap[field] ?? ""}
+                  onChange={e=>{ const v=e.target.value; setColMap(m=>{ const n={...m}; if (v==="") delete n[field]; else n[field]=Number(v); return n; }); setPicked({}); }}>
+                  <option value="">— not used —</option>
+                  {Array.from({length:colCount},(_,i)=><option key={i} value={i}>{colLabel(i)}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+          {(colMap.q===undefined||colMap.answer===undefined)&&(
+            <div style={{fontSize:11,color:"var(--warn)",marginTop:8}}>⚠️ Choose the Question and Answer columns to see the preview.</div>
+          )}
+          <div style={{fontSize:10,color:"var(--text3)",marginTop:6}}>Answer cells may be a letter (B), several letters for select-all (A, C), the option's text, or True/False.</div>
+        </div>
+      )}
+
+      {/* Preview */}
+      {file&&diffed.length>0&&(
+        <div style={{border:`1px solid ${accent}40`,borderRadius:10,overflow:"hidden"}}>
+          <div style={{padding:"8px 12px",background:"var(--bg4)",display:"flex",justifyContent:"space-between",alignItems:"center",flexWrap:"wrap",gap:8}}>
+            <div style={{display:"flex",gap:6,flexWrap:"wrap"}}>
+              {Object.entries(STATUS).filter(([k])=>counts[k]).map(([k,s])=>(
+                <span key={k} style={{fontSize:11,fontWeight:800,padding:"2px 8px",borderRadius:6,background:s.bg,color:s.color}}>{counts[k]} {s.label.toLowerCase()}</span>
+              ))}
+            </div>
+            <button className="btn btn-success btn-sm" disabled={!chosen.length||loading} onClick={doImport}>{loading ? "⏳ Importing…" : `✅ Import ${chosen.length} selected`}</button>
+          </div>
+          <div style={{maxHeight:420,overflowY:"auto"}}>
+            {diffed.map((it,i)=>{
+              const s = STATUS[it.status];
+              const q = it.question;
+              return (
+                <div key={i} style={{padding:"8px 12px",borderTop:"1px solid var(--border)",display:"flex",gap:10,alignItems:"flex-start",opacity:isPicked(it,i)||it.status==="error"?1:.6}}>
+                  <input type="checkbox" style={{marginTop:3}} disabled={it.status==="error"} checked={isPicked(it,i)}
+                    onChange={e=>setPicked(p=>({...p,[i]:e.target.checked}))} />
+                  <div style={{flex:1,minWidth:0}}>
+                    <div style={{display:"flex",gap:6,alignItems:"center",marginBottom:3,flexWrap:"wrap"}}>
+                      <span style={{fontSize:10,fontFamily:"'DM Mono',monospace",color:"var(--text3)"}}>{it.source || `${file.kind==="table"?"Row":"Line"} ${it.line}`}</span>
+                      <span style={{fontSize:10,fontWeight:800,padding:"1px 6px",borderRadius:5,background:s.bg,color:s.color}}>{s.label}{it.matchIdx!=null?` · Q${it.matchIdx+1}`:""}</span>
+                    </div>
+                    {q&&<div style={{fontWeight:700,fontSize:12,marginBottom:4}}>{q.q || <em style={{color:"var(--text3)"}}>(no question text)</em>}</div>}
+                    {q&&(questionType(q)!=="mcq" ? <TypedKeySummary q={q} /> :
+                      <div style={{display:"flex",flexWrap:"wrap",gap:4}}>
+                        {q.options.map((opt,oi)=>opt?(
+                          <span key={oi} style={{fontSize:11,padding:"2px 7px",borderRadius:5,
+                            border:`1px solid ${oi===q.ans?"var(--success)":"var(--border)"}`,
+                            color:oi===q.ans?"var(--success)":"var(--text3)",fontWeight:oi===q.ans?800:400}}>
+                            {OPTION_LETTERS[oi]}. {opt}{oi===q.ans?" ✓":""}
+                          </span>
+                        ):null)}
+                      </div>
+                    )}
+                    {it.changes.length>0&&(
+                      <div style={{marginTop:6,fontSize:11,display:"grid",gridTemplateColumns:"auto 1fr",gap:"2px 8px"}}>
+                        {it.changes.map((c,ci)=>[
+                          <span key={`f${ci}`} style={{fontWeight:800,color:"var(--text3)"}}>{c.field}</span>,
+                          <span key={`v${ci}`}>
+                            <span style={{textDecoration:"line-through",color:"var(--danger)"}}>{c.before||"(empty)"}</span>
+                            {" → "}
+                            <span style={{color:"var(--success)",fontWeight:700}}>{c.after||"(empty)"}</span>
+                          </span>,
+                        ])}
+                      </div>
+                    )}
+                    {it.errors.map((e,ei)=><div key={`e${ei}`} style={{fontSize:11,color:"var(--danger)",marginTop:3}}>❌ {e}</div>)}
+                    {it.warnings.map((w,wi)=><div key={`w${wi}`} style={{fontSize:11,color:"var(--warn)",marginTop:3}}>⚠️ {w}</div>)}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+      {file&&!diffed.length&&(file.kind!=="table"||(colMap.q!==undefined&&colMap.answer!==undefined))&&(
+        <div style={{fontSize:12,color:"var(--warn)",fontWeight:700}}>⚠️ No questions found in {file.name} — try choosing the format manually.</div>
+      )}
+    </div>
+  );
+}
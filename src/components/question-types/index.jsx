@@ -0,0 +1,458 @@
+import { useState, useRef } from "react";
+import {
+  MAX_OPTIONS, OPTION_LETTERS, QUESTION_TYPES, TF_OPTIONS, buildMatching, buildOrdering, matchingExtras,
+  matchingPairs, orderedSteps, questionType, validateQuestion,
+} from "../../shared/questionTypes";
+import { dataUrlToBlob, fileUrl, filePaths, uploadFile, useFileUrl } from "../../services/fileStorage";
+
+// ─── Editor drafts ───────────────────────────────────────────────────
+// Matching and ordering are edited in their natural form (pairs, steps
+// in order) and only scrambled into the stored shape on save.
+export const emptyDraft = (type = "mcq", text = "") => {
+  switch (type) {
+    case "tf":       return { type, q:text, ans:0 };
+    case "sata":     return { type, q:text, options:["","","","","",""], ans:[] };
+    case "matching": return { type, q:text, pairs:[{left:"",right:""},{left:"",right:""},{left:"",right:""}], extras:[""] };
+    case "ordering": return { type, q:text, steps:["","","",""] };
+    case "hotspot":  return { type, q:text, image:"", ans:null };
+    default:         return { type:"mcq", q:text, options:["","","",""], ans:0 };
+  }
+};
+
+export const draftFromQuestion = (q) => {
+  const type = questionType(q);
+  switch (type) {
+    case "tf":       return { type, q:q.q, ans:q.ans ?? 0 };
+    case "sata":     return { type, q:q.q, options:[...q.options, ...Array(MAX_OPTIONS).fill("")].slice(0, MAX_OPTIONS), ans:[...(q.ans||[])] };
+    case "matching": return { type, q:q.q, pairs:matchingPairs(q), extras:[...matchingExtras(q), ""] };
+    case "ordering": return { type, q:q.q, steps:orderedSteps(q) };
+    case "hotspot":  return { type, q:q.q, image:q.image||"", ans:q.ans||null };
+    default:         return { type, q:q.q, options:[...q.options], ans:q.ans };
+  }
+};
+
+// → { question } or { error }
+export const questionFromDraft = (d) => {
+  const q = d.q.trim();
+  let question;
+  switch (d.type) {
+    case "tf":
+      question = { type:"tf", q, options:[...TF_OPTIONS], ans:d.ans };
+      break;
+    case "sata": {
+      // Drop blank rows and remap the ticked indices to match.
+      const kept = d.options.map((o,i)=>({ o:o.trim(), i })).filter(x=>x.o);
+      question = { type:"sata", q, options:kept.map(x=>x.o), ans:kept.map((x,ni)=>d.ans.includes(x.i)?ni:-1).filter(i=>i>=0) };
+      break;
+    }
+    case "matching":
+      question = { type:"matching", q, ...buildMatching(d.pairs, d.extras) };
+      break;
+    case "ordering":
+      question = { type:"ordering", q, ...buildOrdering(d.steps) };
+      break;
+    case "hotspot":
+      question = { type:"hotspot", q, options:[], image:d.image, ans:d.ans };
+      break;
+    default:
+      question = { q, options:d.options.map(o=>o.trim()), ans:d.ans };
+  }
+  const error = validateQuestion(question);
+  return error ? { error } : { question };
+};
+
+// ─── Hotspot images ──────────────────────────────────────────────────
+// Stored in Firebase Storage; the question keeps the path in `image`.
+// Older questions, and offline packages, carry an inline data URL.
+const directImage = (image) => /^(data|https?):/.test(image || "") ? image : null;
+
+export const questionImageUrl = (image) => directImage(image) ? Promise.resolve(image) : fileUrl(image);
+
+// Downscaled to a JPEG first, so a phone photo doesn't slow the paper down.
+const shrinkImage = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (ev) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, 900 / Math.max(img.width, img.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Could not convert the image")), "image/jpeg", 0.75);
+    };
+    img.onerror = () => reject(new Error("Not a readable image"));
+    img.src = ev.target.result;
+  };
+  reader.onerror = () => reject(new Error("Could not read the file"));
+  reader.readAsDataURL(file);
+});
+
+// File, Blob or data URL → Storage path.
+export const uploadQuestionImage = async (src) => {
+  const blob = await shrinkImage(typeof src === "string" ? dataUrlToBlob(src) : src);
+  const { filePath } = await uploadFile("questionImage", filePaths.questionImage("hotspot.jpg"), blob, { name:"hotspot.jpg" });
+  return filePath;
+};
+
+// Uploads the inline images of imported hotspot questions.
+export const storeQuestionImages = (questions) => Promise.all(questions.map(async q =>
+  questionType(q) === "hotspot" && /^data:/.test(q.image || "") ? { ...q, image: await uploadQuestionImage(q.image) } : q));
+
+function QuestionImage({ image, imgRef }) {
+  const url = useFileUrl(directImage(image) ? null : image, directImage(image));
+  if (!url) return <div style={{fontSize:11,color:"var(--text3)",padding:"20px 0"}}>⏳ Loading image…</div>;
+  return <img ref={imgRef} src={url} alt="" style={{maxWidth:"100%",display:"block",borderRadius:8}} draggable={false} />;
+}
+
+// Click position on an image, as % of its rendered size.
+const pctPoint = (e, el) => {
+  const r = el.getBoundingClientRect();
+  const x = Math.min(100, Math.max(0, ((e.clientX - r.left) / r.width) * 100));
+  const y = Math.min(100, Math.max(0, ((e.clientY - r.top) / r.height) * 100));
+  return { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10 };
+};
+
+const rectStyle = (a, color) => ({
+  position:"absolute", left:`${a.x}%`, top:`${a.y}%`, width:`${a.w}%`, height:`${a.h}%`,
+  border:`2px solid ${color}`, background:"rgba(34,197,94,.18)", borderRadius:4, pointerEvents:"none",
+});
+
+const pinStyle = (p, color) => ({
+  position:"absolute", left:`${p.x}%`, top:`${p.y}%`, width:16, height:16, marginLeft:-8, marginTop:-8,
+  borderRadius:"50%", border:"2px solid white", background:color, boxShadow:"0 0 0 2px rgba(0,0,0,.35)", pointerEvents:"none",
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// QuestionTypeSelect — type picker row for the question editors.
+// ═══════════════════════════════════════════════════════════════════
+export function QuestionTypeSelect({ value, onChange, accent = "var(--accent)" }) {
+  return (
+    <div style={{display:"flex",gap:5,flexWrap:"wrap",marginBottom:10}}>
+      {Object.entries(QUESTION_TYPES).map(([k,t])=>(
+        <button key={k} className="btn btn-sm" onClick={()=>onChange(k)}
+          style={{fontSize:11,borderColor:value===k?accent:"var(--border)",color:value===k?accent:"var(--text3)",
+            background:value===k?"rgba(0,119,182,.08)":"transparent",fontWeight:value===k?800:400}}>
+          {t.icon} {t.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TypedQuestionEditor — answer fields for every type except the classic
+// MCQ (each manager keeps its own four-option form for that). Edits a
+// draft; the caller turns it into a question with questionFromDraft.
+// ═══════════════════════════════════════════════════════════════════
+export function TypedQuestionEditor({ draft, onChange, toast }) {
+  const set = (patch) => onChange({ ...draft, ...patch });
+  const [marking, setMarking] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const imgRef = useRef(null);
+
+  if (draft.type === "tf") return (
+    <>
+      <label className="lbl">Correct Answer *</label>
+      <div style={{display:"flex",gap:8,marginBottom:12}}>
+        {TF_OPTIONS.map((l,i)=>(
+          <button key={i} onClick={()=>set({ans:i})} className="btn btn-sm"
+            style={{flex:1,borderColor:draft.ans===i?"var(--success)":"var(--border)",
+              background:draft.ans===i?"rgba(34,197,94,.12)":"transparent",
+              color:draft.ans===i?"var(--success)":"var(--text3)",fontWeight:draft.ans===i?800:400}}>
+            {l}{draft.ans===i?" ✓":""}
+          </button>
+        ))}
+      </div>
+    </>
+  );
+
+  if (draft.type === "sata") return (
+    <>
+      <label className="lbl">Options — tick every correct one *</label>
+      <div style={{fontSize:11,color:"var(--text3)",marginBottom:6}}>Partial credit: +1 per correct tick, −1 per wrong tick, never below zero.</div>
+      {draft.options.map((o,i)=>{
+        const on = draft.ans.includes(i);
+        return (
+          <div key={i} style={{display:"flex",gap:8,alignItems:"center",marginBottom:6}}>
+            <button className="btn btn-sm" title="Correct?" onClick={()=>set({ans:on?draft.ans.filter(a=>a!==i):[...draft.ans,i].sort()})}
+              style={{width:34,borderColor:on?"var(--success)":"var(--border)",color:on?"var(--success)":"var(--text3)",background:on?"rgba(34,197,94,.12)":"transparent"}}>
+              {on?"☑":"☐"}
+            </button>
+            <span style={{fontSize:11,fontWeight:800,width:14,color:"var(--text3)"}}>{OPTION_LETTERS[i]}</span>
+            <input className="inp" style={{marginBottom:0,flex:1}} value={o} placeholder={`Option ${OPTION_LETTERS[i]}${i<3?" *":""}`}
+              onChange={e=>set({options:draft.options.map((x,xi)=>xi===i?e.target.value:x)})} />
+          </div>
+        );
+      })}
+    </>
+  );
+
+  if (draft.type === "matching") return (
+    <>
+      <label className="lbl">Pairs * (students see the right-hand column scrambled)</label>
+      {draft.pairs.map((p,i)=>(
+        <div key={i} style={{display:"flex",gap:6,alignItems:"center",marginBottom:6}}>
+          <input className="inp" style={{marginBottom:0,flex:1}} value={p.left} placeholder={`Item ${i+1}`}
+            onChange={e=>set({pairs:draft.pairs.map((x,xi)=>xi===i?{...x,left:e.target.value}:x)})} />
+          <span style={{color:"var(--text3)"}}>→</span>
+          <input className="inp" style={{marginBottom:0,flex:1}} value={p.right} placeholder="Matches…"
+            onChange={e=>set({pairs:draft.pairs.map((x,xi)=>xi===i?{...x,right:e.target.value}:x)})} />
+          {draft.pairs.length>2&&<button className="btn btn-sm" onClick={()=>set({pairs:draft.pairs.filter((_,xi)=>xi!==i)})}>✕</button>}
+        </div>
+      ))}
+      {draft.pairs.length<8&&<button className="btn btn-sm" style={{marginBottom:10}} onClick={()=>set({pairs:[...draft.pairs,{left:"",right:""}]})}>+ Pair</button>}
+      <label className="lbl">Extra distractors (optional)</label>
+      {draft.extras.map((x,i)=>(
+        <input key={i} className="inp" style={{marginBottom:6}} value={x} placeholder="Unmatched answer"
+          onChange={e=>{
+            const extras = draft.extras.map((v,vi)=>vi===i?e.target.value:v);
+            if (i===extras.length-1 && e.target.value && extras.length<4) extras.push("");
+            set({extras});
+          }} />
+      ))}
+    </>
+  );
+
+  if (draft.type === "ordering") return (
+    <>
+      <label className="lbl">Steps in the CORRECT order * (students get them shuffled)</label>
+      {draft.steps.map((s,i)=>(
+        <div key={i} style={{display:"flex",gap:6,alignItems:"center",marginBottom:6}}>
+          <span style={{fontSize:11,fontWeight:800,width:18,color:"var(--text3)"}}>{i+1}.</span>
+          <input className="inp" style={{marginBottom:0,flex:1}} value={s} placeholder={`Step ${i+1}`}
+            onChange={e=>set({steps:draft.steps.map((x,xi)=>xi===i?e.target.value:x)})} />
+          {draft.steps.length>3&&<button className="btn btn-sm" onClick={()=>set({steps:draft.steps.filter((_,xi)=>xi!==i)})}>✕</button>}
+        </div>
+      ))}
+      {draft.steps.length<MAX_OPTIONS&&<button className="btn btn-sm" style={{marginBottom:10}} onClick={()=>set({steps:[...draft.steps,""]})}>+ Step</button>}
+    </>
+  );
+
+  if (draft.type === "hotspot") {
+    const upload = async (e) => {
+      const file = e.target.files[0]; e.target.value = "";
+      if (!file) return;
+      if (!file.type.startsWith("image/")) return toast?.("Choose an image file","error");
+      setUploading(true);
+      try { set({ image: await uploadQuestionImage(file), ans:null }); }
+      catch(err) { toast?.(err.message,"error"); }
+      setUploading(false);
+    };
+    // Drag a box: first click sets one corner, second click the other.
+    const click = (e) => {
+      if (!imgRef.current) return;
+      const p = pctPoint(e, imgRef.current);
+      if (!marking) { setMarking(p); return; }
+      const x = Math.min(marking.x, p.x), y = Math.min(marking.y, p.y);
+      set({ ans:{ x, y, w:Math.round((Math.max(marking.x,p.x)-x)*10)/10, h:Math.round((Math.max(marking.y,p.y)-y)*10)/10 } });
+      setMarking(null);
+    };
+    return (
+      <>
+        <label className="lbl">Image *</label>
+        <input type="file" accept="image/*" onChange={upload} disabled={uploading} style={{marginBottom:8,fontSize:12}} />
+        {uploading&&<div style={{fontSize:11,color:"var(--text3)",marginBottom:6}}>⏳ Uploading image…</div>}
+        {draft.image&&!uploading&&(
+          <>
+            <div style={{fontSize:11,color:"var(--text3)",marginBottom:6}}>
+              {marking?"Now click the opposite corner of the correct area.":"Click two opposite corners to mark the correct area."}
+            </div>
+            <div style={{position:"relative",display:"inline-block",maxWidth:"100%",cursor:"crosshair",marginBottom:10}} onClick={click}>
+              <QuestionImage image={draft.image} imgRef={imgRef} />
+              {draft.ans&&!marking&&<div style={rectStyle(draft.ans,"var(--success)")} />}
+              {marking&&<div style={pinStyle(marking,"var(--accent)")} />}
+            </div>
+          </>
+        )}
+      </>
+    );
+  }
+
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TypedQuestionInput — student answer widget for the non single-choice
+// types. `q.options` are the displayed option texts; `value` is in
+// displayed indices (null until the student answers).
+// ═══════════════════════════════════════════════════════════════════
+export function TypedQuestionInput({ q, value, onChange, accent = "var(--accent)" }) {
+  const type = questionType(q);
+  const imgRef = useRef(null);
+
+  if (type === "sata") {
+    const picked = value || [];
+    return (
+      <>
+        <div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>☑️ Select ALL that apply.</div>
+        {q.options.map((opt,di)=>{
+          const on = picked.includes(di);
+          return (
+            <div key={di} onClick={()=>{const next=on?picked.filter(p=>p!==di):[...picked,di].sort();onChange(next.length?next:null);}}
+              className="quiz-opt" style={{borderColor:on?accent:"var(--border)",background:on?"rgba(0,119,182,.12)":"transparent",
+                cursor:"pointer",display:"flex",alignItems:"center",gap:8,marginBottom:8}}>
+              <span style={{fontSize:15,color:on?accent:"var(--text3)",flexShrink:0}}>{on?"☑":"☐"}</span>
+              <span style={{fontSize:11,opacity:.55,flexShrink:0}}>{OPTION_LETTERS[di]}.</span>
+              <span style={{flex:1}}>{opt}</span>
+            </div>
+          );
+        })}
+      </>
+    );
+  }
+
+  if (type === "matching") {
+    const sel = value || (q.prompts||[]).map(()=>null);
+    const pick = (pi, v) => {
+      const next = sel.map((s,si)=>si===pi?(v===""?null:Number(v)):s);
+      onChange(next.some(s=>s!==null)?next:null);
+    };
+    return (
+      <>
+        <div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>🔗 Match each item to its answer.</div>
+        {(q.prompts||[]).map((p,pi)=>(
+          <div key={pi} className="card2" style={{display:"flex",gap:8,alignItems:"center",marginBottom:8,flexWrap:"wrap"}}>
+            <div style={{flex:"1 1 180px",fontWeight:700,fontSize:13}}>{p}</div>
+            <select className="inp" style={{flex:"1 1 180px",marginBottom:0,borderColor:sel[pi]!==null?accent:undefined}}
+              value={sel[pi]??""} onChange={e=>pick(pi,e.target.value)}>
+              <option value="">— choose —</option>
+              {q.options.map((opt,di)=><option key={di} value={di}>{opt}</option>)}
+            </select>
+          </div>
+        ))}
+      </>
+    );
+  }
+
+  if (type === "ordering") {
+    const order = value || q.options.map((_,di)=>di);
+    const move = (pos, dir) => {
+      const next = [...order];
+      [next[pos], next[pos+dir]] = [next[pos+dir], next[pos]];
+      onChange(next);
+    };
+    return (
+      <>
+        <div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>
+          🔢 Put these in the correct order (first at the top).{!value&&" Move an item or confirm the order to answer."}
+        </div>
+        {order.map((di,pos)=>(
+          <div key={di} className="quiz-opt" style={{display:"flex",alignItems:"center",gap:8,marginBottom:8,
+            borderColor:value?accent:"var(--border)",cursor:"default"}}>
+            <span style={{fontSize:12,fontWeight:800,color:accent,width:20,flexShrink:0}}>{pos+1}.</span>
+            <span style={{flex:1}}>{q.options[di]}</span>
+            <button className="btn btn-sm" disabled={pos===0} onClick={()=>move(pos,-1)}>↑</button>
+            <button className="btn btn-sm" disabled={pos===order.length-1} onClick={()=>move(pos,1)}>↓</button>
+          </div>
+        ))}
+        {!value&&<button className="btn btn-sm" style={{borderColor:accent,color:accent}} onClick={()=>onChange(order)}>✓ Confirm this order</button>}
+      </>
+    );
+  }
+
+  if (type === "hotspot") return (
+    <>
+      <div style={{fontSize:11,color:"var(--text3)",marginBottom:8}}>🎯 Tap the correct area on the image.</div>
+      <div style={{position:"relative",display:"inline-block",maxWidth:"100%",cursor:"crosshair"}}
+        onClick={e=>imgRef.current&&onChange(pctPoint(e, imgRef.current))}>
+        <QuestionImage image={q.image} imgRef={imgRef} />
+        {value&&<div style={pinStyle(value,accent)} />}
+      </div>
+    </>
+  );
+
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TypedAnswerReview — post-exam breakdown for the non single-choice
+// types. `chosen` and `correct` are both in displayed indices; with no
+// `correct` (answer still hidden) only the question material is shown.
+// ═══════════════════════════════════════════════════════════════════
+export function TypedAnswerReview({ q, chosen, correct, showChosen = true }) {
+  const type = questionType(q);
+  if (correct === null || correct === undefined) {
+    if (type === "hotspot") return <QuestionImage image={q.image} />;
+    return (
+      <div style={{display:"flex",flexWrap:"wrap",gap:5}}>
+        {type==="matching"&&(q.prompts||[]).map((p,pi)=><span key={"p"+pi} style={{fontSize:11,padding:"3px 9px",borderRadius:6,border:"1px solid var(--accent)",color:"var(--text2)"}}>{p}</span>)}
+        {q.options.map((opt,di)=><span key={di} style={{fontSize:11,padding:"3px 9px",borderRadius:6,border:"1px solid var(--border)",color:"var(--text3)"}}>{type==="sata"?`${OPTION_LETTERS[di]}. `:""}{opt}</span>)}
+      </div>
+    );
+  }
+  const chip = (ok, mine) => ({
+    fontSize:11, padding:"3px 9px", borderRadius:6,
+    background:ok?"rgba(34,197,94,.15)":mine?"rgba(239,68,68,.1)":"transparent",
+    border:`1px solid ${ok?"var(--success)":mine?"var(--danger)":"var(--border)"}`,
+    color:ok?"var(--success)":mine?"var(--danger)":"var(--text3)", fontWeight:ok?800:400,
+  });
+
+  if (type === "sata") return (
+    <div style={{display:"flex",flexWrap:"wrap",gap:5}}>
+      {q.options.map((opt,di)=>{
+        const isKey = (correct||[]).includes(di);
+        const mine = showChosen && (chosen||[]).includes(di);
+        return <span key={di} style={chip(isKey, mine&&!isKey)}>{OPTION_LETTERS[di]}. {opt}{isKey?" ✓":""}{mine&&!isKey?" ✗":""}{mine&&isKey?" (you)":""}</span>;
+      })}
+    </div>
+  );
+
+  if (type === "matching") return (
+    <div>
+      {(q.prompts||[]).map((p,pi)=>{
+        const key = correct?.[pi], mine = chosen?.[pi];
+        const ok = mine === key;
+        return (
+          <div key={pi} style={{fontSize:12,marginBottom:4}}>
+            <b>{p}</b> → <span style={{color:"var(--success)",fontWeight:700}}>{q.options[key]}</span>
+            {showChosen&&mine!==null&&mine!==undefined&&!ok&&<span style={{color:"var(--danger)"}}> (you: {q.options[mine]} ✗)</span>}
+            {showChosen&&ok&&<span style={{color:"var(--success)"}}> ✓</span>}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  if (type === "ordering") return (
+    <div style={{display:"flex",gap:16,flexWrap:"wrap",fontSize:12}}>
+      <div>
+        <div style={{fontWeight:800,color:"var(--success)",marginBottom:3}}>Correct order</div>
+        {(correct||[]).map((di,pos)=><div key={pos}>{pos+1}. {q.options[di]}</div>)}
+      </div>
+      {showChosen&&Array.isArray(chosen)&&(
+        <div>
+          <div style={{fontWeight:800,color:"var(--text2)",marginBottom:3}}>Your order</div>
+          {chosen.map((di,pos)=><div key={pos} style={{color:di===correct?.[pos]?"var(--success)":"var(--danger)"}}>{pos+1}. {q.options[di]}</div>)}
+        </div>
+      )}
+    </div>
+  );
+
+  if (type === "hotspot") return (
+    <div style={{position:"relative",display:"inline-block",maxWidth:"100%"}}>
+      <QuestionImage image={q.image} />
+      {correct&&<div style={rectStyle(correct,"var(--success)")} />}
+      {showChosen&&chosen&&<div style={pinStyle(chosen,"var(--danger)")} />}
+    </div>
+  );
+
+  return null;
+}
+
+// Compact key summary for staff question lists.
+export function TypedKeySummary({ q }) {
+  const type = questionType(q);
+  const t = QUESTION_TYPES[type];
+  const body = type === "tf" ? `Answer: ${TF_OPTIONS[q.ans]}`
+    : type === "sata" ? (q.ans||[]).map(i=>`${OPTION_LETTERS[i]}. ${q.options[i]}`).join(" • ")
+    : type === "matching" ? matchingPairs(q).map(p=>`${p.left} → ${p.right}`).join(" • ")
+    : type === "ordering" ? orderedSteps(q).map((s,i)=>`${i+1}. ${s}`).join("  ")
+    : type === "hotspot" ? "Correct area marked on image" : "";
+  return (
+    <div style={{fontSize:11,color:"var(--text3)"}}>
+      <span style={{fontWeight:800,color:"var(--accent)",marginRight:6}}>{t.icon} {t.label}</span>
+      <span style={{color:"var(--success)"}}>{body}</span>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import { useEffect, useState } from "react";
+import { SIMILARITY_SOURCES, checkSimilarity, fetchSimilarityDoc, fetchSimilarityReport } from "../../services/similarity";
+
+const PASSAGE_COLORS = ["rgba(239,68,68,.22)", "rgba(251,146,60,.25)", "rgba(167,139,250,.25)", "rgba(0,119,182,.2)", "rgba(34,197,94,.22)"];
+
+const pct = (x) => `${Math.round((x || 0) * 100)}%`;
+const overlapTone = (x) => x >= 0.4 ? "tag-danger" : x >= 0.15 ? "tag-warn" : "tag-success";
+const shortName = (email) => String(email || "").split("@")[0] || "—";
+
+// Text with the given passages marked, numbered like the passage list.
+// ranges: [{ i, start, end }] — overlaps are clipped.
+const highlight = (text, ranges, side) => {
+  const out = [];
+  let pos = 0;
+  [...ranges].sort((x, y) => x.start - y.start).forEach(r => {
+    const start = Math.max(r.start, pos);
+    if (r.end <= start) return;
+    if (start > pos) out.push(text.slice(pos, start));
+    out.push(
+      <mark key={`${side}${r.i}`} id={`sim-${side}-${r.i}`} style={{background:PASSAGE_COLORS[r.i % PASSAGE_COLORS.length],color:"inherit",borderRadius:3,padding:"0 1px"}}>
+        {text.slice(start, r.end)}<sup style={{fontSize:9,fontWeight:800,marginLeft:2}}>{r.i + 1}</sup>
+      </mark>
+    );
+    pos = r.end;
+  });
+  out.push(text.slice(pos));
+  return out;
+};
+
+// Side by side: the two documents of one match, shared passages marked.
+function SimilarityCompare({ match, label, onBack }) {
+  const [docs, setDocs] = useState(null);
+  useEffect(() => {
+    Promise.all([fetchSimilarityDoc(match.a), fetchSimilarityDoc(match.b)]).then(setDocs);
+  }, [match.a, match.b]);
+
+  const jump = (i) => ["a", "b"].forEach(side =>
+    document.getElementById(`sim-${side}-${i}`)?.scrollIntoView({ behavior: "smooth", block: "center" }));
+
+  const column = (doc, side, overlap) => (
+    <div style={{flex:1,minWidth:0}}>
+      <div style={{fontWeight:700,fontSize:13,marginBottom:6}}>
+        {label(side === "a" ? match.a : match.b)} <span className={`tag ${overlapTone(overlap)}`}>{pct(overlap)} matched</span>
+      </div>
+      <div style={{whiteSpace:"pre-wrap",fontSize:12,lineHeight:1.7,maxHeight:"55vh",overflowY:"auto",background:"var(--bg4)",border:"1px solid var(--border)",borderRadius:10,padding:"12px 14px"}}>
+        {doc ? highlight(doc.text || "", match.passages.map((p, i) => ({ i, start: p[side][0], end: p[side][1] })), side)
+          : <span style={{color:"var(--text3)"}}>Text not available.</span>}
+      </div>
+    </div>
+  );
+
+  return (
+    <div>
+      <button className="btn btn-sm" style={{marginBottom:12}} onClick={onBack}>← All matches</button>
+      <div style={{display:"flex",gap:6,flexWrap:"wrap",marginBottom:12}}>
+        {match.passages.map((p, i) => (
+          <button key={i} className="btn btn-sm" style={{background:PASSAGE_COLORS[i % PASSAGE_COLORS.length]}} onClick={()=>jump(i)}>#{i+1} • {p.words} words</button>
+        ))}
+      </div>
+      {!docs ? (
+        <div style={{textAlign:"center",padding:30,color:"var(--text3)",fontFamily:"'DM Mono',monospace",fontSize:13}}>Loading texts…</div>
+      ) : (
+        <div style={{display:"flex",gap:14,flexWrap:"wrap"}}>
+          {column(docs[0], "a", match.overlapA)}
+          {column(docs[1], "b", match.overlapB)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── SIMILARITY REPORT ────────────────────────────────────────────────
+// Staff modal for one essay bank (kind "essay") or assignment: the last
+// checkSimilarity report, a button to run it again, and each match
+// opened side by side. nameOf turns a student's email into a name.
+export function SimilarityReport({ kind, scopeId, title, toast, onClose, nameOf = shortName }) {
+  const [report, setReport] = useState(undefined); // undefined: loading, null: never run
+  const [running, setRunning] = useState(false);
+  const [open, setOpen] = useState(null); // match shown side by side
+
+  useEffect(() => {
+    setReport(undefined); setOpen(null);
+    fetchSimilarityReport(kind, scopeId).then(setReport).catch(() => setReport(null));
+  }, [kind, scopeId]);
+
+  const run = async () => {
+    setRunning(true);
+    try {
+      const r = await checkSimilarity(kind, scopeId);
+      setReport(r); setOpen(null);
+      toast(`🔎 Checked ${r.docs.length} submission${r.docs.length!==1?"s":""} — ${r.matches.length} match${r.matches.length!==1?"es":""}`, "success");
+    } catch (e) {
+      toast(`Similarity check failed: ${e.message || "network error"}`, "error");
+    }
+    setRunning(false);
+  };
+
+  const label = (docId) => {
+    const mine = report.docs.find(d => d.id === docId);
+    if (mine) return `👤 ${nameOf(mine.student)}`;
+    const o = report.others[docId] || {};
+    return o.source === "handout" ? `📄 ${o.title}` : `🗂️ ${nameOf(o.student)} — ${o.title} (${o.year})`;
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal xl" onClick={e=>e.stopPropagation()} style={{maxHeight:"90vh",overflowY:"auto"}}>
+        <div className="modal-head">
+          <div className="modal-title">🔎 Similarity — {title}</div>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:10,flexWrap:"wrap",marginBottom:14}}>
+          <div style={{fontSize:11,color:"var(--text3)",fontFamily:"'DM Mono',monospace",lineHeight:1.7}}>
+            {report ? <>Checked {new Date(report.checkedAt).toLocaleString()} by {report.by} • against classmates, {report.settings.handouts} handout{report.settings.handouts!==1?"s":""} and earlier years • passages of {report.settings.minPassageWords}+ words</>
+              : report === null ? "Not checked yet." : "Loading report…"}
+          </div>
+          <button className="btn btn-accent btn-sm" disabled={running} onClick={run}>
+            {running ? "⏳ Checking… (reading files can take a minute)" : report ? "🔄 Run again" : "▶ Run check"}
+          </button>
+        </div>
+
+        {report && open ? (
+          <SimilarityCompare match={open} label={label} onBack={()=>setOpen(null)} />
+        ) : report && (
+          <>
+            <div className="card" style={{padding:0,overflow:"hidden",marginBottom:16}}>
+              <table className="tbl">
+                <thead><tr><th>Student</th><th>Words</th><th>Highest match</th></tr></thead>
+                <tbody>
+                  {[...report.docs].sort((x,y)=>y.top-x.top).map(d=>(
+                    <tr key={d.id}>
+                      <td style={{fontWeight:600}}>{nameOf(d.student)}</td>
+                      <td style={{fontFamily:"'DM Mono',monospace",fontSize:12}}>{d.words}</td>
+                      <td>{d.unreadable
+                        ? <span className="tag tag-warn" title="This submission wasn't compared">⚠️ {d.unreadable}</span>
+                        : <span className={`tag ${overlapTone(d.top)}`}>{pct(d.top)}</span>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div style={{fontWeight:800,fontSize:14,marginBottom:8}}>Matches ({report.matches.length})</div>
+            {report.matches.length === 0 && (
+              <div style={{textAlign:"center",padding:24,color:"var(--text3)",fontSize:13}}>✅ No shared passages found.</div>
+            )}
+            {report.matches.map((m, i) => (
+              <div key={i} className="card" style={{marginBottom:8,display:"flex",alignItems:"center",gap:10,flexWrap:"wrap"}}>
+                <span className="tag" title={SIMILARITY_SOURCES[m.source]?.label}>{SIMILARITY_SOURCES[m.source]?.icon} {SIMILARITY_SOURCES[m.source]?.label}</span>
+                <div style={{flex:1,minWidth:200,fontSize:13}}>
+                  <b>{label(m.a)}</b> <span className={`tag ${overlapTone(m.overlapA)}`}>{pct(m.overlapA)}</span>
+                  <span style={{color:"var(--text3)",margin:"0 6px"}}>↔</span>
+                  <b>{label(m.b)}</b>{m.source === "peer" && <> <span className={`tag ${overlapTone(m.overlapB)}`}>{pct(m.overlapB)}</span></>}
+                </div>
+                <span style={{fontSize:11,color:"var(--text3)",fontFamily:"'DM Mono',monospace"}}>
+                  {m.passages.length} passage{m.passages.length!==1?"s":""} • longest {m.passages[0]?.words} words
+                </span>
+                <button className="btn btn-sm" onClick={()=>setOpen(m)}>Compare ▶</button>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
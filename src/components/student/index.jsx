@@ -4,6 +4,7 @@ import { _db, _loadFirebase, _userPrivateKey, rcGetMembers, saveMyData, saveShar
 import { ls } from "../../utils/storage";
 import { HandoutViewModal } from "../../components/academics";
 import { AVATAR_EMOJIS, YEAR_OPTIONS } from "../../shared/profileConstants";
+import { gradeLetter, resultPassed } from "../../shared/scoring";
 
 export function Dashboard({ user, onNavigate }) {
   const [handouts] = useSharedData("nv-handouts", []);
@@ -220,7 +221,7 @@ export function StudentProfile({ currentUser, toast }) {
 
   const totalExams = results.length;
   const avgPct = totalExams > 0 ? Math.round(results.reduce((s, r) => s + (r.pct || 0), 0) / totalExams) : 0;
-  const passed = results.filter(r => (r.pct || 0) >= 50).length;
+  const passed = results.filter(resultPassed).length;
 
   const initials = (form.displayName || currentUser)[0]?.toUpperCase() || "?";
   const roleLabel = me.role === "admin" ? "🛡️ Admin" : me.role === "lecturer" ? "👨🏫 Lecturer" : "🎓 Student";
@@ -568,7 +569,7 @@ export function StudentProfile({ currentUser, toast }) {
                 fontWeight: 800, fontSize: 15,
                 color: (r.pct || 0) >= 70 ? "var(--success)" : (r.pct || 0) >= 50 ? "var(--warn)" : "var(--danger)"
               }}>
-                {r.score}/{r.total || "?"} <span style={{ fontSize: 12 }}>({r.pct || 0}%)</span>
+                {r.score}/{r.total || "?"} <span style={{ fontSize: 12 }}>({r.pct || 0}%{"passed" in r ? ` • ${r.passed ? "Pass" : "Fail"}` : ""})</span>
               </div>
             </div>
           ))}
@@ -592,7 +593,7 @@ export function Results({ toast }) {
       {results.length===0?<div style={{textAlign:"center",padding:"60px 20px",color:"var(--text3)"}}><div style={{fontSize:48}}>📊</div><div style={{fontFamily:"'DM Mono',monospace",fontSize:13,marginTop:12}}>No results yet!</div></div>:(
         <div className="card" style={{padding:0,overflow:"hidden"}}>
           <table className="tbl"><thead><tr><th>Subject</th><th>Type</th><th>Score</th><th>%</th><th>Date</th><th></th></tr></thead>
-          <tbody>{results.map(r=><tr key={r.id}><td style={{fontWeight:600}}>{r.subject}</td><td><span className="tag">{r.type||"Test"}</span></td><td>{r.score}/{r.total||100}</td><td><span className={`tag ${r.pct>=70?"tag-success":r.pct>=50?"tag-warn":"tag-danger"}`}>{r.pct}%</span></td><td style={{fontSize:12,color:"var(--text3)"}}>{r.date}</td><td><button className="btn btn-sm btn-danger" onClick={()=>{const u=results.filter(x=>x.id!==r.id);setResults(u);saveMyData("results","nv-results",u);}}>✕</button></td></tr>)}</tbody>
+          <tbody>{results.map(r=><tr key={r.id}><td style={{fontWeight:600}}>{r.subject}</td><td><span className="tag">{r.type||"Test"}</span></td><td>{r.score}/{r.total||100}</td><td><span className={`tag ${r.pct>=70?"tag-success":resultPassed(r)?"tag-warn":"tag-danger"}`}>{r.pct}% • {gradeLetter(r.pct)}</span></td><td style={{fontSize:12,color:"var(--text3)"}}>{r.date}</td><td><button className="btn btn-sm btn-danger" onClick={()=>{const u=results.filter(x=>x.id!==r.id);setResults(u);saveMyData("results","nv-results",u);}}>✕</button></td></tr>)}</tbody>
           </table>
         </div>
       )}
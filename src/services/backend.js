@@ -2,15 +2,19 @@
 // BACKEND / FIRESTORE SYNC LAYER
 // All Firebase Firestore reads/writes, chunked storage, real-time
 // listeners (class chat, DMs, study groups, research club, research
-// requests, timetable, assignments, attendance, CBT exams/results/
-// violations), per-user private data sync, and the shared-doc hydration
+// requests, timetable, assignments, attendance, CBT device lock),
+// per-user private data sync, and the shared-doc hydration
 // + real-time listener that powers useSharedData().
 // ─────────────────────────────────────────────────────────────────────
 import { useState, useEffect } from "react";
 import { FIREBASE_CONFIG } from "../config/firebase";
 import { compatDb } from "../config/firestoreCompatShim";
+import { collection as fsCollection, doc as fsDoc, getDocs, runTransaction } from "firebase/firestore";
+import { db as firestoreDb } from "../config/firebaseClient";
 import { ls, lsSet } from "../utils/storage";
 import { DEFAULT_CLASSES, DEFAULT_DRUGS, DEFAULT_LABS, DEFAULT_PQ, DEFAULT_SKILLS, DEFAULT_ANNOUNCEMENTS } from "../data/defaults";
+import { scoreAnswers } from "../shared/scoring";
+import { addMark, canMark, canModerate, resolveMarking } from "../shared/essayModeration";
 
 // ── Firebase SDK loader ──────────────────────────────────────────────
 // Previously loaded firebase-compat from a CDN at runtime. Now the
@@ -235,7 +239,16 @@ export const examBsSet = async (key, val) => _setDocField(_DOC_EXAMS, key, val);
 // Structure:
 //   Firestore collection "class_chats/{classId}"           – room metadata
 //   Firestore collection "class_chats/{classId}/msgs/{id}" – messages
-// Msg doc fields: { id, from, text, sentAt, type, fileData?, fileName?, fileType?, fileSize?, duration? }
+// Msg doc fields: { id, from, text, sentAt, type, filePath?, thumbPath?, fileName?, fileType?, fileSize?, duration? }
+// Files and voice notes are uploaded to Storage first (services/fileStorage.js);
+// older messages carry the file inline as a `fileData` data URL instead.
+
+// Attachment fields copied from a send payload onto the message doc.
+const _attachmentFields = (payload) => {
+  const out = {};
+  ["filePath", "thumbPath", "fileName", "fileType", "fileSize", "duration"].forEach(k => { if (payload[k]) out[k] = payload[k]; });
+  return out;
+};
 
 export const gcSend = async (classId, fromUser, payload) => {
   const ready = await _loadFirebase(); if (!ready) return false;
@@ -245,11 +258,7 @@ export const gcSend = async (classId, fromUser, payload) => {
       id: msgId, from: fromUser, sentAt: Date.now(),
       type: payload.type || "text",
       text: payload.text || "",
-      ...(payload.fileData && { fileData: payload.fileData }),
-      ...(payload.fileName && { fileName: payload.fileName }),
-      ...(payload.fileType && { fileType: payload.fileType }),
-      ...(payload.fileSize && { fileSize: payload.fileSize }),
-      ...(payload.duration && { duration: payload.duration }),
+      ..._attachmentFields(payload),
     };
     await _db.collection("class_chats").doc(classId).collection("msgs").doc(msgId).set(msg);
     const preview = payload.type === "file" ? ("📎 " + (payload.fileName||"File"))
@@ -322,7 +331,7 @@ export const _safeKey = (email) => email.replace(/[^a-zA-Z0-9]/g, "_");
 export const _convId  = (a, b) => [a, b].sort().join("||");
 
 export const dmSend = async (fromUser, toUser, payload) => {
-  // payload: { text?, type?, fileData?, fileName?, fileType?, fileSize?, duration? }
+  // payload: { text?, type?, filePath?, thumbPath?, fileName?, fileType?, fileSize?, duration? }
   const ready = await _loadFirebase(); if (!ready) return false;
   try {
     const cid   = _convId(fromUser, toUser);
@@ -331,11 +340,7 @@ export const dmSend = async (fromUser, toUser, payload) => {
       id: msgId, from: fromUser, to: toUser, sentAt: Date.now(), read: false,
       type: payload.type || "text",
       text: payload.text || "",
-      ...(payload.fileData  && { fileData:  payload.fileData }),
-      ...(payload.fileName  && { fileName:  payload.fileName }),
-      ...(payload.fileType  && { fileType:  payload.fileType }),
-      ...(payload.fileSize  && { fileSize:  payload.fileSize }),
-      ...(payload.duration  && { duration:  payload.duration }),
+      ..._attachmentFields(payload),
     };
     await _db.collection("dm_convs").doc(cid).collection("msgs").doc(msgId).set(msg);
     const preview = payload.type === "file" ? ("📎 " + (payload.fileName||"File"))
@@ -536,11 +541,15 @@ export const asgSubscribe = (classId, onData) =>
 // in practice a given assignment is one or the other).
 export const asgSubscribeByCourse = (courseId, onData) =>
   _mkSub(db => db.collection("assignments").where("courseId","==",courseId).orderBy("dueAt","asc").onSnapshot(snap => onData(snap.docs.map(d=>({id:d.id,...d.data()}))), () => {}));
-export const asgSubmit = async (asgnId, student, fileData, fileName) => {
+// file: the attachment fields from fileStorage.uploadFile
+// ({ filePath, fileName, fileType, fileSize }). A resubmission clears
+// the inline fileData an older submission may still carry.
+export const asgSubmit = async (asgnId, student, file) => {
   const ready = await _loadFirebase(); if (!ready) return false;
   try {
     await _db.collection("assignments").doc(asgnId).collection("submissions").doc(_safeKey(student)).set({
-      student, fileData, fileName, submittedAt:Date.now(), grade:null, feedback:""
+      student, filePath:file.filePath, fileName:file.fileName, fileType:file.fileType||"", fileSize:file.fileSize||0,
+      fileData:null, submittedAt:Date.now(), grade:null, feedback:""
     }, { merge:true });
     return true;
   } catch(e) { return false; }
@@ -716,6 +725,7 @@ export const syncUserPrivateDataFull = async (username) => {
         "gpa-semesters": "nv-gpa-semesters",
         "skills-done":   "nv-skills-done",
         "mcq-att":       `nv-exam-attempts-${username}`,
+        "ne-att":        `nv-ne-att-${username}`,
         "essay-att":     `nv-essay-att-${username}`,
         "flashcards":    "nv-flashcard-decks",
         "id-photo":      `nv-id-photo-${username}`,
@@ -759,159 +769,161 @@ export const syncUserPrivateData = async (username) => {
 };
 
 // ── Essay submissions ─────────────────────────────────────────────────
-export const saveEssaySubmissionToBackend = async (studentEmail, bankId, data) => {
-  const ready = await _loadFirebase(); if (!ready) return;
-  try {
-    const key   = `sub_${bankId}_${studentEmail.replace(/[@.]/g,"_")}`;
-    const idxSnap = await _db.collection("nv").doc(_DOC_ESSAYS).get();
-    const idx   = idxSnap.exists ? (idxSnap.data().index || []) : [];
-    const entry = { key, student: studentEmail, bankId: String(bankId), date: data.date, graded: !!(data.manualGrade || data.feedback) };
-    await _db.collection("nv").doc(_DOC_ESSAYS).set({
-      [key]: data,
-      index: [...idx.filter(e => e.key !== key), entry]
-    }, { merge: true });
-    delete _cache[_DOC_ESSAYS];
-  } catch (e) { console.warn("[saveEssaySub] failed:", e.message); }
-};
+// Students' submissions are written by the gradeEssaySubmission Cloud
+// Function (services/essays.js); staff only add grades and resets here.
 
-export const saveManualGradeToBackend = async (studentEmail, bankId, gradeData) => {
-  const ready = await _loadFirebase(); if (!ready) return null;
-  try {
-    const key      = `sub_${bankId}_${studentEmail.replace(/[@.]/g,"_")}`;
-    const docSnap  = await _db.collection("nv").doc(_DOC_ESSAYS).get();
-    const docData  = docSnap.exists ? docSnap.data() : {};
-    const existing = docData[key] || {};
-    const updated  = { ...existing, manualGrade: gradeData, gradedDate: new Date().toLocaleDateString(), graded: true };
-    const idx      = (docData.index || []).map(e => e.key === key ? { ...e, graded: true } : e);
-    await _db.collection("nv").doc(_DOC_ESSAYS).set({ [key]: updated, index: idx }, { merge: true });
-    delete _cache[_DOC_ESSAYS];
-    // Mirror grade into student local storage and Firestore user_private
-    const attKey = `nv-essay-att-${studentEmail}`;
-    const att    = ls(attKey, {});
-    att[String(bankId)] = { ...att[String(bankId)], manualGrade: gradeData, gradedDate: new Date().toLocaleDateString() };
-    lsSet(attKey, att);
-    // Push to student's user_private doc so their other devices see the grade immediately
-    const _studentDocKey = _userPrivateKey(studentEmail);
-    _db.collection("nv").doc("user_private")
-      .set({ [`${_studentDocKey}_essay-att`]: att }, { merge: true })
-      .catch(e => console.warn("[grade mirror sync] failed:", e.message));
-    return updated;
-  } catch (e) { console.warn("[saveManualGrade] failed:", e.message); return null; }
-};
-
-// ── CBT Exam Firestore helpers ─────────────────────────────────────────
-// CBT exams live in: collection("nv") / doc("cbtExams")
-// CBT results live in: collection("nv") / doc("cbtResults")
-export const _DOC_CBT_EXAMS   = "cbtExams";
-export const _DOC_CBT_RESULTS = "cbtResults";
-
-export const cbtExamsGet = async () => {
-  const doc = await _getDoc(_DOC_CBT_EXAMS);
-  return doc ? (doc.list || []) : [];
-};
-export const cbtExamsSave = async (list) => {
-  const ready = await _loadFirebase(); if (!ready) return false;
-  try {
-    await _db.collection("nv").doc(_DOC_CBT_EXAMS).set({ list }, { merge: false });
-    if (!_cache[_DOC_CBT_EXAMS]) _cache[_DOC_CBT_EXAMS] = {};
-    _cache[_DOC_CBT_EXAMS].list = list;
-    _cacheTime[_DOC_CBT_EXAMS] = Date.now();
-    return true;
-  } catch(e){ console.error("[CBT] save exams failed:", e.message); return false; }
-};
-
-export const cbtResultsGet = async () => {
-  const doc = await _getDoc(_DOC_CBT_RESULTS);
-  return doc ? (doc.list || []) : [];
-};
-export const cbtResultsSave = async (list) => {
+// Lets the student sit the essay again: the function refuses a second
+// submission unless the old one carries retakeAllowed.
+export const allowEssayRetake = async (studentEmail, bankId) => {
   const ready = await _loadFirebase(); if (!ready) return false;
   try {
-    await _db.collection("nv").doc(_DOC_CBT_RESULTS).set({ list }, { merge: false });
-    if (!_cache[_DOC_CBT_RESULTS]) _cache[_DOC_CBT_RESULTS] = {};
-    _cache[_DOC_CBT_RESULTS].list = list;
-    _cacheTime[_DOC_CBT_RESULTS] = Date.now();
+    const key = `sub_${bankId}_${studentEmail.replace(/[@.]/g,"_")}`;
+    const docSnap = await _db.collection("nv").doc(_DOC_ESSAYS).get();
+    if (!docSnap.exists || !docSnap.data()[key]) return true;
+    await _db.collection("nv").doc(_DOC_ESSAYS).set({ [key]: { retakeAllowed: true } }, { merge: true });
+    delete _cache[_DOC_ESSAYS];
     return true;
-  } catch(e){ console.error("[CBT] save results failed:", e.message); return false; }
+  } catch (e) { console.warn("[allowEssayRetake] failed:", e.message); return false; }
 };
 
-// Subscribe to CBT exams in real-time (5s polling fallback for compatibility)
-export const subscribeCbtExams = (cb) => {
-  let cancelled = false;
-  const poll = async () => {
-    if (cancelled) return;
-    delete _cache[_DOC_CBT_EXAMS];
-    const list = await cbtExamsGet();
-    if (!cancelled) cb(list);
-    setTimeout(() => { if (!cancelled) poll(); }, 6000);
-  };
-  poll();
-  return () => { cancelled = true; };
+// Mirrors a final essay grade into the student's attempt, locally and in
+// their user_private doc so their other devices see it immediately.
+const _publishEssayGrade = (studentEmail, bankId, gradeData) => {
+  const attKey = `nv-essay-att-${studentEmail}`;
+  const att    = ls(attKey, {});
+  att[String(bankId)] = { ...att[String(bankId)], manualGrade: gradeData, gradedDate: new Date().toLocaleDateString() };
+  lsSet(attKey, att);
+  const _studentDocKey = _userPrivateKey(studentEmail);
+  _db.collection("nv").doc("user_private")
+    .set({ [`${_studentDocKey}_essay-att`]: att }, { merge: true })
+    .catch(e => console.warn("[grade mirror sync] failed:", e.message));
 };
 
-export const subscribeCbtResults = (cb) => {
-  let cancelled = false;
-  const poll = async () => {
-    if (cancelled) return;
-    delete _cache[_DOC_CBT_RESULTS];
-    const list = await cbtResultsGet();
-    if (!cancelled) cb(list);
-    setTimeout(() => { if (!cancelled) poll(); }, 6000);
-  };
-  poll();
-  return () => { cancelled = true; };
+// Held marks of double-marked submissions, by submission key. The
+// grader's feedback and the `marking` record stay in essay_marking
+// (staff-only) rather than nv/essays, which every student can read;
+// the submission only shows `markingStatus`.
+export const loadEssayMarking = async () => {
+  const snap = await getDocs(fsCollection(firestoreDb, "essay_marking"));
+  return Object.fromEntries(snap.docs.map(d => [d.id, d.data()]));
 };
 
-
-// ── CBT Violations (malpractice flags) ───────────────────────────────
-export const _DOC_CBT_VIOLATIONS = "cbtViolations";
-export const _DOC_CBT_DEVICES    = "cbtDevices";   // { examId_student: { ip, fingerprint, ua, student, examId, ts } }
-
-export const cbtViolationsSave = async (list) => {
-  const ready = await _loadFirebase(); if (!ready) return false;
-  // Strip large snapshot data before Firestore (keep only metadata + small thumb flag)
-  const slim = list.map(v => {
-    if (v.snapshot) return { ...v, snapshot: v.snapshot.slice(0,100)+"[img]", hasSnapshot:true };
-    return v;
+// Reads a submission and its marking and writes back what
+// change(submission, marking) returns, in one transaction — two
+// markers saving at once would otherwise drop one of the marks.
+// Submissions graded before essay_marking existed carry `marking`
+// themselves; it moves across on their next update.
+const _updateEssaySubmission = async (studentEmail, bankId, change) => {
+  const key        = `sub_${bankId}_${studentEmail.replace(/[@.]/g,"_")}`;
+  const essaysRef  = fsDoc(firestoreDb, "nv", _DOC_ESSAYS);
+  const markingRef = fsDoc(firestoreDb, "essay_marking", key);
+  const updated = await runTransaction(firestoreDb, async tx => {
+    const docSnap  = await tx.get(essaysRef);
+    const heldSnap = await tx.get(markingRef);
+    const docData  = docSnap.exists() ? docSnap.data() : {};
+    const held     = heldSnap.exists() ? heldSnap.data() : null;
+    const { marking: legacy, ...existing } = docData[key] || {};
+    const { marking, ...sub } = change(existing, held?.marking || legacy || null);
+    if (marking) {
+      sub.markingStatus = marking.status;
+      tx.set(markingRef, { ...held, subKey: key, bankId: String(bankId), student: studentEmail, marking });
+    }
+    const idx = (docData.index || []).map(e => e.key === key ? { ...e, graded: !!sub.graded } : e);
+    tx.set(essaysRef, { [key]: sub, index: idx }, { mergeFields: [key, "index"] });
+    return { ...held, ...sub, marking };
   });
-  try {
-    await _db.collection("nv").doc(_DOC_CBT_VIOLATIONS).set({ list: slim }, { merge: false });
-    if (!_cache[_DOC_CBT_VIOLATIONS]) _cache[_DOC_CBT_VIOLATIONS] = {};
-    _cache[_DOC_CBT_VIOLATIONS].list = slim;
-    _cacheTime[_DOC_CBT_VIOLATIONS] = Date.now();
-    return true;
-  } catch(e){ return false; }
+  delete _cache[_DOC_ESSAYS];
+  return updated;
 };
 
-// Device registry helpers
-export const cbtDevicesGet = async () => {
-  const doc = await _getDoc(_DOC_CBT_DEVICES);
-  return doc ? (doc.map || {}) : {};
-};
-export const cbtDevicesSave = async (map) => {
-  const ready = await _loadFirebase(); if (!ready) return false;
+// On a double-marked submission (shared/essayModeration.js) the grade is
+// one of its two marks, made by `markedBy`; the student only gets the
+// agreed mark. Otherwise it's final straight away.
+export const saveManualGradeToBackend = async (studentEmail, bankId, gradeData, markedBy) => {
+  const ready = await _loadFirebase(); if (!ready) return null;
   try {
-    await _db.collection("nv").doc(_DOC_CBT_DEVICES).set({ map }, { merge: false });
-    return true;
-  } catch(e){ return false; }
+    const gradedDate = new Date().toLocaleDateString();
+    const updated = await _updateEssaySubmission(studentEmail, bankId, (existing, marking) => {
+      if (marking && marking.status !== "agreed") {
+        if (!canMark(marking, markedBy)) throw new Error("You have already marked this submission.");
+        const next = addMark(marking, { ...gradeData, by: markedBy, kind: "lecturer", at: Date.now() });
+        return next.status === "agreed"
+          ? { ...existing, marking: next, manualGrade: next.agreed, gradedDate, graded: true }
+          : { ...existing, marking: next };
+      }
+      return { ...existing, marking, manualGrade: gradeData, gradedDate, graded: true };
+    });
+    if (updated.graded) _publishEssayGrade(studentEmail, bankId, updated.manualGrade);
+    return updated;
+  } catch (e) { console.warn("[saveManualGrade] failed:", e.message); return null; }
 };
 
-export const cbtViolationsGet = async () => {
-  const doc = await _getDoc(_DOC_CBT_VIOLATIONS);
-  return doc ? (doc.list || []) : [];
+// Moderator settles a disputed double-marked submission.
+// resolution: { by, choice, mark?, note } — see essayModeration.js.
+export const resolveEssayMarking = async (studentEmail, bankId, resolution) => {
+  const ready = await _loadFirebase(); if (!ready) return null;
+  try {
+    const updated = await _updateEssaySubmission(studentEmail, bankId, (existing, marking) => {
+      if (!canModerate(marking, resolution.by)) throw new Error("This submission isn't awaiting your moderation.");
+      const next = resolveMarking(marking, resolution);
+      return { ...existing, marking: next, manualGrade: next.agreed, gradedDate: new Date().toLocaleDateString(), graded: true };
+    });
+    _publishEssayGrade(studentEmail, bankId, updated.manualGrade);
+    return updated;
+  } catch (e) { console.warn("[resolveEssayMarking] failed:", e.message); return null; }
 };
 
-export const subscribeCbtViolations = (cb) => {
-  let cancelled = false;
-  const poll = async () => {
-    if (cancelled) return;
-    delete _cache[_DOC_CBT_VIOLATIONS];
-    const list = await cbtViolationsGet();
-    if (!cancelled) cb(list);
-    setTimeout(() => { if (!cancelled) poll(); }, 6000);
-  };
-  poll();
-  return () => { cancelled = true; };
+// ── NC paper rescoring ────────────────────────────────────────────────
+// After an answer-key correction (shared/rekey.js), marks every
+// student's stored attempt at an NC paper again and rewrites it and its
+// nv-results entry in their user_private data. Attempts used to be
+// saved under the "mcq-att" suffix, shared with the MCQ banks, so that
+// is searched too; a rescored one moves to "ne-att" with the other NC
+// attempts found beside it. nv-results entries predating `paperId` are
+// matched on title, type, date and score.
+// → { changes: [{ student, before, after }], unchanged, skipped } —
+//   nothing is written unless `apply`.
+const NC_ATT_KEY = /^(arc_|general_|midwifery_|publichealth_)/;
+
+export const rescorePaperAttempts = async ({ paperId, questions, scoring, title, type, apply = false }) => {
+  const ready = await _loadFirebase(); if (!ready) throw new Error("Offline — can't reach student records.");
+  const snap = await _db.collection("nv").doc("user_private").get();
+  const data = snap.exists ? snap.data() : {};
+  const users = ls("nv-users", []);
+  const changes = [], writes = {};
+  let unchanged = 0, skipped = 0;
+  users.forEach(u => {
+    const docKey = _userPrivateKey(u.username);
+    const current = data[`${docKey}_ne-att`] || {};
+    const legacy = data[`${docKey}_mcq-att`] || {};
+    const att = current[paperId] || legacy[paperId];
+    if (!att) return;
+    if (!Array.isArray(att.answers)) { skipped++; return; }
+    const marked = scoreAnswers(questions.slice(0, att.answers.length), att.answers, scoring);
+    if (marked.score === att.score && marked.total === att.total) { unchanged++; return; }
+    const before = { score: att.score, total: att.total, percent: att.pct, passed: att.passed };
+    const after  = { score: marked.score, total: marked.total, percent: marked.percent, passed: marked.passed };
+    changes.push({ student: u.username, before, after });
+
+    const moved = current[paperId] ? {} : Object.fromEntries(Object.entries(legacy).filter(([k]) => NC_ATT_KEY.test(k)));
+    writes[`${docKey}_ne-att`] = {
+      ...moved, ...current,
+      [paperId]: { ...att, score: marked.score, total: marked.total, pct: marked.percent, passed: marked.passed, rescoredAt: Date.now() },
+    };
+    const results = data[`${docKey}_results`];
+    if (Array.isArray(results)) {
+      let i = results.findIndex(r => r.paperId === paperId);
+      if (i < 0) i = results.findIndex(r => r.subject === title && r.type === type && r.date === att.date && r.score === att.score);
+      if (i >= 0) {
+        writes[`${docKey}_results`] = results.map((r, ri) => ri !== i ? r
+          : { ...r, paperId, score: marked.score, total: marked.total, pct: marked.percent, passed: marked.passed });
+      }
+    }
+  });
+  if (apply && Object.keys(writes).length) {
+    await _db.collection("nv").doc("user_private").set(writes, { merge: true });
+  }
+  return { changes, unchanged, skipped };
 };
 
 export let _storageHealthy = null;
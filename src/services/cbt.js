@@ -0,0 +1,570 @@
+// ─── CBT SERVICE ───────────────────────────────────────────────────────
+//
+// CBT exams, results and violations use real per-record Firestore
+// documents, like courses.js — the old nv/cbtExams, nv/cbtResults and
+// nv/cbtViolations single-array docs were rewritten whole on every
+// save, so two students finishing together could overwrite each
+// other's results. Layout:
+//
+//   cbt_exams/{examId}                        – exam metadata (no questions)
+//   cbt_exams/{examId}/results/{studentKey}   – one result per student
+//   cbt_exams/{examId}/violations/{autoId}    – one doc per flag
+//   cbt_exams/{examId}/sessions/{studentKey}  – timed attempt (server clock)
+//   cbt_exams/{examId}/attempts/{studentKey}  – autosaved answers
+//   cbt_exams/{examId}/accommodations/{studentKey} – per-student overrides
+//   cbt_exams/{examId}/packages/{studentKey}  – offline package (server-only)
+//   cbt_exams/{examId}/appeals/{studentKey}   – student's appeal against flags
+//   cbt_exams/{examId}/devices/{studentKey}   – device-lock binding
+//   cbt_exam_keys/{examId}                    – questions + answer keys
+//                                               (staff-only)
+//   cbt_releases/{examId}                     – held-result workflow (status,
+//                                               discarded questions)
+//   cbt_releases/{examId}/audit/{autoId}      – every change to a score
+//
+// Webcam snapshots on violations live in Storage under
+// cbt/{examId}/snapshots/ (see fileStorage.js); a flag keeps only the
+// path, `snapshotPath`. Older flags carry the JPEG inline as `snapshot`.
+//
+// Every signed-in user can read cbt_exams, so the exam doc carries only
+// what a student's exam list needs (title, window, duration, sections,
+// paperLength); the paper itself sits with the keys. Student-side
+// delivery and grading go through Cloud Functions so neither reaches
+// the browser early: getCbtPaper returns the
+// student's shuffled, answer-stripped paper and submitCbtAttempt grades
+// the answer map server-side and writes the result (see
+// functions/index.js). scripts/migrateCbtToCollections.js moves the
+// legacy nv/* arrays into this layout.
+
+import {
+  collection, doc, addDoc, setDoc, updateDoc, deleteDoc, getDoc, getDocs,
+  query, where, orderBy, onSnapshot, writeBatch, deleteField, serverTimestamp, arrayUnion, runTransaction,
+} from "firebase/firestore";
+import { getFunctions, httpsCallable } from "firebase/functions";
+import { db, app } from "../config/firebaseClient";
+import { encodeValue, decodeValue } from "../shared/questionTypes";
+import { cbtPaperLength, cbtWindowTimes } from "../shared/cbtHelpers";
+import { dataUrlToBlob, deleteFile, deleteFolder, filePaths, uploadFile } from "./fileStorage";
+
+const functions = getFunctions(app);
+
+// Result doc id — same convention as assignment submissions.
+export function studentKey(email) { return String(email).replace(/[^a-zA-Z0-9]/g, "_"); }
+
+const examRef = (examId) => doc(db, "cbt_exams", String(examId));
+
+// ── Exams ────────────────────────────────────────────────────────────
+// Explanations (from the question bank) give the answer away, so they
+// travel with the keys rather than the questions — as do answers
+// accepted after a key correction (shared/rekey.js).
+export function stripCbtKeys(exam) {
+  return (exam.questions || []).map(({ ans, accept, explanation, ...q }) => q);
+}
+
+// The student-readable part: everything but the questions and the hall
+// start code that opens offline packages.
+export function cbtExamMeta(exam) {
+  const { questions, offlineCode, ...rest } = exam;
+  return { ...rest, paperLength: cbtPaperLength(exam), ...cbtWindowTimes(exam) };
+}
+
+// Writes the exam metadata and its key doc in one batch — the rules
+// check the key doc against the exam's createdBy. `exam.id` is kept as
+// a field too (numeric ids from Date.now() predate this collection).
+export async function saveCbtExam(exam) {
+  const batch = writeBatch(db);
+  batch.set(doc(db, "cbt_exam_keys", String(exam.id)), {
+    questions: stripCbtKeys(exam),
+    answers: (exam.questions || []).map(q => encodeValue(q.ans ?? 0)),
+    accepts: (exam.questions || []).map(q => encodeValue(q.accept?.length ? q.accept : null)),
+    explanations: (exam.questions || []).map(q => q.explanation || ""),
+    offlineCode: exam.offlineEnabled ? exam.offlineCode || null : null,
+    createdBy: exam.createdBy || "",
+    updatedAt: Date.now(),
+  });
+  batch.set(examRef(exam.id), { ...cbtExamMeta(exam), updatedAt: Date.now() });
+  await batch.commit();
+}
+
+export async function updateCbtExam(examId, patch) {
+  await updateDoc(examRef(examId), { ...patch, updatedAt: Date.now() });
+}
+
+// Deletes the exam, its key and every subcollection doc under it.
+export async function deleteCbtExam(examId) {
+  const snaps = await Promise.all(["results", "violations", "sessions", "attempts", "accommodations", "packages", "appeals", "devices"].map(sub =>
+    getDocs(collection(db, "cbt_exams", String(examId), sub))));
+  const refs = snaps.flatMap(s => s.docs).map(d => d.ref);
+  for (let i = 0; i < refs.length; i += 400) {
+    const batch = writeBatch(db);
+    refs.slice(i, i + 400).forEach(r => batch.delete(r));
+    await batch.commit();
+  }
+  await deleteDoc(doc(db, "cbt_exam_keys", String(examId)));
+  await deleteDoc(examRef(examId));
+  await deleteFolder(`cbt/${examId}`);
+}
+
+// Staff-only: merge the questions and answer keys back into exams for
+// editing/printing. Exams saved before the questions moved still carry
+// them on the exam doc until scripts/migrateCbtToCollections.js runs.
+export async function mergeCbtKeys(list) {
+  const snaps = await Promise.all(list.map(e => getDoc(doc(db, "cbt_exam_keys", String(e.id)))));
+  return list.map((e, i) => {
+    const { questions = e.questions || [], answers = [], accepts = [], explanations = [], offlineCode = null } = snaps[i].exists() ? snaps[i].data() : {};
+    return { ...e, ...(offlineCode ? { offlineCode } : {}), questions: questions.map((q, qi) => ({
+      ...q, ans: q.ans ?? decodeValue(answers[qi]) ?? 0,
+      ...(decodeValue(accepts[qi])?.length ? { accept: decodeValue(accepts[qi]) } : {}),
+      ...(explanations[qi] ? { explanation: explanations[qi] } : {}),
+    })) };
+  });
+}
+
+// Live subscription.
+//   classId  — students: only their class's exams
+//   keysFor  — staff: filter of exams whose answer keys get merged in
+export function subscribeCbtExams(onData, { classId, keysFor } = {}) {
+  const q = classId
+    ? query(collection(db, "cbt_exams"), where("classId", "==", classId))
+    : collection(db, "cbt_exams");
+  let seq = 0;
+  return onSnapshot(q, async snap => {
+    const mine = ++seq;
+    let list = snap.docs.map(d => d.data());
+    if (keysFor) {
+      list = list.filter(keysFor);
+      try { list = await mergeCbtKeys(list); } catch (e) { console.warn("[CBT] load keys failed:", e.message); }
+    }
+    if (mine === seq) onData(list); // drop stale merges if a newer snapshot landed
+  }, err => console.warn("[CBT] exams snapshot error:", err.message));
+}
+
+export async function listCbtExams() {
+  const snap = await getDocs(collection(db, "cbt_exams"));
+  return snap.docs.map(d => d.data());
+}
+
+// ── Results ──────────────────────────────────────────────────────────
+// Typed responses (SATA picks, orderings) are stored wrapped because
+// Firestore can't nest arrays — unwrap them for the views.
+const readResult = (data) => Array.isArray(data.responses)
+  ? { ...data, responses: data.responses.map(decodeValue) }
+  : data;
+
+// Subscribes to each exam's results subcollection and reports the merged
+// list (same shape the old nv/cbtResults array had).
+export function subscribeCbtResults(examIds, onData) {
+  if (!examIds.length) { onData([]); return () => {}; }
+  const byExam = {};
+  const unsubs = examIds.map(id =>
+    onSnapshot(collection(db, "cbt_exams", String(id), "results"), snap => {
+      byExam[id] = snap.docs.map(d => readResult(d.data()));
+      onData(Object.values(byExam).flat());
+    }, err => console.warn("[CBT] results snapshot error:", err.message))
+  );
+  return () => unsubs.forEach(u => u());
+}
+
+// Student: just their own result doc per exam. Results held for
+// moderation (`heldIds`) can't be read yet — for those the closed
+// session stands in, as { examId, student, submittedAt, held: true },
+// so the exam still shows as taken.
+export function subscribeMyCbtResults(examIds, student, onData, heldIds = []) {
+  if (!examIds.length || !student) { onData([]); return () => {}; }
+  const byExam = {};
+  const held = new Set(heldIds.map(String));
+  const unsubs = examIds.map(id => held.has(String(id))
+    ? onSnapshot(doc(db, "cbt_exams", String(id), "sessions", studentKey(student)), snap => {
+        const s = snap.exists() ? snap.data() : null;
+        if (s?.submittedAt) byExam[id] = { examId: id, student, submittedAt: s.submittedAt, held: true }; else delete byExam[id];
+        onData(Object.values(byExam));
+      }, err => console.warn("[CBT] session snapshot error:", err.message))
+    : onSnapshot(doc(db, "cbt_exams", String(id), "results", studentKey(student)), snap => {
+        if (snap.exists()) byExam[id] = readResult(snap.data()); else delete byExam[id];
+        onData(Object.values(byExam));
+      }, err => console.warn("[CBT] result snapshot error:", err.message))
+  );
+  return () => unsubs.forEach(u => u());
+}
+
+// Lecturer "allow retake" — removes just that student's result.
+// Clearing the session and autosave too gives the retake a fresh
+// deadline and a blank sheet. `by` (the lecturer) signs the audit entry.
+export async function deleteCbtResult(examId, student, by) {
+  const resultRef = doc(db, "cbt_exams", String(examId), "results", studentKey(student));
+  const snap = await getDoc(resultRef);
+  if (snap.exists()) {
+    const { score, total, percent } = snap.data();
+    await addDoc(collection(db, "cbt_releases", String(examId), "audit"), {
+      action: "result_removed", student, by, note: "Retake allowed", before: { score, total, percent }, at: Date.now(),
+    });
+  }
+  await deleteDoc(resultRef);
+  await deleteDoc(doc(db, "cbt_exams", String(examId), "sessions", studentKey(student)));
+  await deleteDoc(doc(db, "cbt_exams", String(examId), "attempts", studentKey(student)));
+  await deleteDoc(doc(db, "cbt_exams", String(examId), "appeals", studentKey(student)));
+}
+
+// Lecturer "allow resume" — reopens the attempt with its autosaved
+// answers. `minutes` omitted → the time the student had left when they
+// last saved an answer (see grantCbtResume in functions/index.js).
+export async function grantCbtResume(examId, student, minutes) {
+  const call = httpsCallable(functions, "grantCbtResume");
+  const { data } = await call({ examId, student, ...(minutes ? { minutes } : {}) });
+  return data;
+}
+
+// ── Live proctoring ──────────────────────────────────────────────────
+// Staff: every session / autosaved sheet of one exam as
+// { [studentKey]: doc } — the live grid's in-progress view.
+const subscribeByStudentKey = (examId, sub, onData) =>
+  onSnapshot(collection(db, "cbt_exams", String(examId), sub), snap => {
+    const byKey = {};
+    snap.docs.forEach(d => { byKey[d.id] = d.data(); });
+    onData(byKey);
+  }, err => console.warn(`[CBT] ${sub} snapshot error:`, err.message));
+
+export function subscribeCbtSessions(examId, onData) {
+  return subscribeByStudentKey(examId, "sessions", onData);
+}
+
+export function subscribeCbtAttempts(examId, onData) {
+  return subscribeByStudentKey(examId, "attempts", onData);
+}
+
+// Student: their own running session — deadline extensions, invigilator
+// warnings and a forced submit arrive through it.
+export function subscribeMyCbtSession(examId, student, onData) {
+  return onSnapshot(doc(db, "cbt_exams", String(examId), "sessions", studentKey(student)),
+    snap => onData(snap.exists() ? snap.data() : null),
+    err => console.warn("[CBT] session snapshot error:", err.message));
+}
+
+// ── Device lock ──────────────────────────────────────────────────────
+// An exam with `deviceLock` binds each student to the first device that
+// opens it, one doc per student:
+//   { fingerprint, ip, ua, screen, student, examId, ts }
+// The rules let a student create theirs once and never change it.
+// → { allowed, existing } — existing: the binding found, if any.
+export async function claimCbtDevice(examId, student, devInfo) {
+  const ref = doc(db, "cbt_exams", String(examId), "devices", studentKey(student));
+  return runTransaction(db, async tx => {
+    const snap = await tx.get(ref);
+    if (snap.exists()) {
+      const existing = snap.data();
+      return { allowed: existing.fingerprint === devInfo.fingerprint, existing };
+    }
+    tx.set(ref, { ...devInfo, student, examId: String(examId), ts: Date.now() });
+    return { allowed: true, existing: null };
+  });
+}
+
+// Staff: every binding for the exam.
+export async function listCbtDevices(examId) {
+  const snap = await getDocs(collection(db, "cbt_exams", String(examId), "devices"));
+  return snap.docs.map(d => d.data());
+}
+
+// Shown on the student's exam page as soon as it arrives. Fails if the
+// student hasn't started (there's no session to write to).
+export async function sendCbtWarning(examId, student, text, by) {
+  const warning = { id: `${Date.now()}`, text: String(text).slice(0, 300), at: Date.now(), by };
+  await updateDoc(doc(db, "cbt_exams", String(examId), "sessions", studentKey(student)),
+    { warning, warnings: arrayUnion(warning) });
+}
+
+// → { session, serverNow } with the moved deadline.
+export async function extendCbtAttempt(examId, student, minutes) {
+  const call = httpsCallable(functions, "extendCbtAttempt");
+  const { data } = await call({ examId, student, minutes });
+  return data;
+}
+
+// Grades the student's autosaved sheet now. → { result }
+export async function forceSubmitCbtAttempt(examId, student) {
+  const call = httpsCallable(functions, "forceSubmitCbtAttempt");
+  const { data } = await call({ examId, student });
+  return data;
+}
+
+// ── Autosave ─────────────────────────────────────────────────────────
+// changes: { [position]: displayed response | null }. Merged into the
+// attempt's answer map, so each save only carries what changed. Map
+// values can hold arrays, so responses are stored as-is.
+export async function saveCbtAnswers(examId, student, changes, qIdx) {
+  const answers = {};
+  Object.entries(changes).forEach(([pos, v]) => { answers[pos] = v ?? deleteField(); });
+  await setDoc(doc(db, "cbt_exams", String(examId), "attempts", studentKey(student)),
+    { answers, qIdx, savedAt: serverTimestamp() }, { merge: true });
+}
+
+// → { answers: { [position]: response }, qIdx } or null.
+export async function loadCbtAnswers(examId, student) {
+  const snap = await getDoc(doc(db, "cbt_exams", String(examId), "attempts", studentKey(student)));
+  return snap.exists() ? snap.data() : null;
+}
+
+// ── Accommodations ───────────────────────────────────────────────────
+// Staff-written, one doc per accommodated student; the student can read
+// only their own (see cbtHelpers.js applyCbtAccommodation).
+export async function saveCbtAccommodation(examId, acc) {
+  await setDoc(doc(db, "cbt_exams", String(examId), "accommodations", studentKey(acc.student)),
+    { ...acc, examId, updatedAt: Date.now() });
+}
+
+export async function deleteCbtAccommodation(examId, student) {
+  await deleteDoc(doc(db, "cbt_exams", String(examId), "accommodations", studentKey(student)));
+}
+
+export function subscribeCbtAccommodations(examId, onData) {
+  return onSnapshot(collection(db, "cbt_exams", String(examId), "accommodations"),
+    snap => onData(snap.docs.map(d => d.data())),
+    err => console.warn("[CBT] accommodations snapshot error:", err.message));
+}
+
+// Student: → { [examId]: accommodation } for the exams that have one.
+export function subscribeMyCbtAccommodations(examIds, student, onData) {
+  if (!examIds.length || !student) { onData({}); return () => {}; }
+  const byExam = {};
+  const unsubs = examIds.map(id =>
+    onSnapshot(doc(db, "cbt_exams", String(id), "accommodations", studentKey(student)), snap => {
+      if (snap.exists()) byExam[id] = snap.data(); else delete byExam[id];
+      onData({ ...byExam });
+    }, err => console.warn("[CBT] accommodation snapshot error:", err.message))
+  );
+  return () => unsubs.forEach(u => u());
+}
+
+// ── Violations ───────────────────────────────────────────────────────
+// `v.snapshot` (a data URL from the exam page's webcam) is uploaded to
+// Storage and the flag written with its path. The flag doesn't wait for
+// the upload, so a slow connection never delays it.
+export async function logCbtViolation(v) {
+  const { snapshot, ...flag } = v;
+  if (snapshot) {
+    flag.snapshotPath = filePaths.snapshot(v.examId, studentKey(v.student));
+    uploadFile("snapshot", flag.snapshotPath, dataUrlToBlob(snapshot))
+      .catch(e => console.warn("[CBT] snapshot upload failed:", e.message));
+  }
+  await addDoc(collection(db, "cbt_exams", String(v.examId), "violations"), flag);
+}
+
+// Stored or legacy inline webcam snapshot on a flag.
+export const violationHasSnapshot = (v) =>
+  !!v?.snapshotPath || (typeof v?.snapshot === "string" && v.snapshot.length > 200);
+
+export function subscribeCbtViolations(examIds, onData) {
+  if (!examIds.length) { onData([]); return () => {}; }
+  const byExam = {};
+  const unsubs = examIds.map(id =>
+    onSnapshot(collection(db, "cbt_exams", String(id), "violations"), snap => {
+      byExam[id] = snap.docs.map(d => ({ _id: d.id, ...d.data() }));
+      onData(Object.values(byExam).flat());
+    }, err => console.warn("[CBT] violations snapshot error:", err.message))
+  );
+  return () => unsubs.forEach(u => u());
+}
+
+export async function listCbtViolations(examIds) {
+  const snaps = await Promise.all(examIds.map(id => getDocs(collection(db, "cbt_exams", String(id), "violations"))));
+  return snaps.flatMap(s => s.docs.map(d => ({ _id: d.id, ...d.data() })));
+}
+
+export async function deleteCbtViolations(examId, student) {
+  const snap = await getDocs(query(
+    collection(db, "cbt_exams", String(examId), "violations"),
+    where("student", "==", student),
+  ));
+  const batch = writeBatch(db);
+  snap.docs.forEach(d => batch.delete(d.ref));
+  await batch.commit();
+  await Promise.all(snap.docs.map(d => deleteFile(d.data().snapshotPath)));
+}
+
+// Student: their own flags for one exam (rules only let them read those).
+export async function listMyCbtViolations(examId, student) {
+  const snap = await getDocs(query(
+    collection(db, "cbt_exams", String(examId), "violations"),
+    where("student", "==", student),
+  ));
+  return snap.docs.map(d => ({ _id: d.id, ...d.data() }));
+}
+
+// ── Review + appeals ─────────────────────────────────────────────────
+// decisions: [{ id, status: "upheld"|"dismissed", note }];
+// appeal: { status: "accepted"|"rejected", response } or omitted.
+// → { before, after, tally } — the result's score before and after
+//   rescoring on the flags still standing.
+export async function reviewCbtCase(examId, student, decisions, appeal) {
+  const call = httpsCallable(functions, "reviewCbtCase");
+  const { data } = await call({ examId, student, decisions, ...(appeal ? { appeal } : {}) });
+  return data;
+}
+
+// flags: ids of the violations contested (empty = the attempt as a whole).
+export async function fileCbtAppeal(examId, student, text, flags) {
+  await setDoc(doc(db, "cbt_exams", String(examId), "appeals", studentKey(student)),
+    { examId, student, text, flags, status: "open", submittedAt: Date.now() });
+}
+
+export function subscribeCbtAppeals(examIds, onData) {
+  if (!examIds.length) { onData([]); return () => {}; }
+  const byExam = {};
+  const unsubs = examIds.map(id =>
+    onSnapshot(collection(db, "cbt_exams", String(id), "appeals"), snap => {
+      byExam[id] = snap.docs.map(d => d.data());
+      onData(Object.values(byExam).flat());
+    }, err => console.warn("[CBT] appeals snapshot error:", err.message))
+  );
+  return () => unsubs.forEach(u => u());
+}
+
+// Student: → { [examId]: appeal } for the exams they've appealed.
+export function subscribeMyCbtAppeals(examIds, student, onData) {
+  if (!examIds.length || !student) { onData({}); return () => {}; }
+  const byExam = {};
+  const unsubs = examIds.map(id =>
+    onSnapshot(doc(db, "cbt_exams", String(id), "appeals", studentKey(student)), snap => {
+      if (snap.exists()) byExam[id] = snap.data(); else delete byExam[id];
+      onData({ ...byExam });
+    }, err => console.warn("[CBT] appeal snapshot error:", err.message))
+  );
+  return () => unsubs.forEach(u => u());
+}
+
+// ── Result release + moderation ──────────────────────────────────────
+// See functions/index.js "Result release + moderation". Release docs
+// carry { status: "held"|"pending"|"released", discarded, submittedBy,
+// approvedBy, … }; no doc means held (when the exam holds results).
+
+// → { [examId]: release } for the exams that have one.
+export function subscribeCbtReleases(examIds, onData) {
+  if (!examIds.length) { onData({}); return () => {}; }
+  const byExam = {};
+  const unsubs = examIds.map(id =>
+    onSnapshot(doc(db, "cbt_releases", String(id)), snap => {
+      if (snap.exists()) byExam[id] = snap.data(); else delete byExam[id];
+      onData({ ...byExam });
+    }, err => console.warn("[CBT] release snapshot error:", err.message))
+  );
+  return () => unsubs.forEach(u => u());
+}
+
+// Heads of department: every release awaiting approval.
+export function subscribePendingCbtReleases(onData) {
+  return onSnapshot(query(collection(db, "cbt_releases"), where("status", "==", "pending")),
+    snap => onData(snap.docs.map(d => d.data())),
+    err => console.warn("[CBT] pending releases snapshot error:", err.message));
+}
+
+// Staff: the exam's score audit trail, newest first.
+export function subscribeCbtAudit(examId, onData) {
+  return onSnapshot(query(collection(db, "cbt_releases", String(examId), "audit"), orderBy("at", "desc")),
+    snap => onData(snap.docs.map(d => ({ _id: d.id, ...d.data() }))),
+    err => console.warn("[CBT] audit snapshot error:", err.message));
+}
+
+// discarded: the full list of original question indices to leave out
+// ([] restores them all). → { rescored, unchanged, skipped }
+export async function moderateCbtResults(examId, discarded, note) {
+  const call = httpsCallable(functions, "moderateCbtResults");
+  const { data } = await call({ examId, discarded, note });
+  return data;
+}
+
+// Corrects one question's key after the exam (see shared/rekey.js).
+// change: { mode: "replace"|"accept"|"void", ans?, accept? }. Without
+// `apply` nothing is written — the result is the before/after preview.
+// → { changes: [{ student, before, after }], unchanged, skipped,
+//     students? } — students: whose released score changed.
+export async function rekeyCbtQuestion(examId, qIdx, change, note, apply = false) {
+  const call = httpsCallable(functions, "rekeyCbtQuestion");
+  const { data } = await call({ examId, qIdx, ...change, note, apply });
+  return data;
+}
+
+export async function submitCbtRelease(examId, note) {
+  const call = httpsCallable(functions, "submitCbtRelease");
+  const { data } = await call({ examId, note });
+  return data;
+}
+
+// → { status, students } — the students to notify when released.
+export async function decideCbtRelease(examId, approve, note) {
+  const call = httpsCallable(functions, "decideCbtRelease");
+  const { data } = await call({ examId, approve, note });
+  return data;
+}
+
+// ── Server clock ─────────────────────────────────────────────────────
+// Callables that time an attempt return the server's Date.now(). It is
+// paired with performance.now() — monotonic, unaffected by the device
+// clock — so moving the phone's clock mid-exam changes nothing.
+const timedCall = async (name, payload) => {
+  const sentAt = performance.now();
+  const { data } = await httpsCallable(functions, name)(payload);
+  const perf = performance.now();
+  return { ...data, clock: { serverNow: data.serverNow + (perf - sentAt) / 2, perf } };
+};
+
+export function cbtServerNow(clock) {
+  return clock.serverNow + (performance.now() - clock.perf);
+}
+
+// → { examId, questions, sections, session, clock }. `questions`:
+//   [{ q, options[], type?, prompts?, image? }] in this student's order,
+//   answer-stripped. `session` is the attempt's { startedAt, deadline, cutoffAt, section?, sectionDeadline? }
+//   when one is already running; `sections` gives each section's
+//   position range ([] for an unsectioned paper).
+export async function fetchCbtPaper(examId) {
+  return timedCall("getCbtPaper", { examId });
+}
+
+// Starts the timed attempt (or returns the running one).
+// → { session, clock }
+export async function startCbtAttempt(examId) {
+  return timedCall("startCbtAttempt", { examId });
+}
+
+// Sectioned papers: leaves `section` (the index being left) for the
+// next one. The server freezes a locked section's answers from
+// `answers`. → { session, clock } with the new section and its deadline.
+export async function advanceCbtSection(examId, section, answers) {
+  return timedCall("advanceCbtSection", { examId, section, answers });
+}
+
+// Same paper plus `correct` / `chosen` display indices per question.
+// Only allowed once results are released or the exam has closed.
+export async function fetchCbtReview(examId) {
+  const call = httpsCallable(functions, "getCbtPaper");
+  const { data } = await call({ examId, review: true });
+  return data;
+}
+
+// answers: displayed response (or null) per question position — an
+//   option index, a list of them for SATA/matching/ordering, or {x, y}
+//   for hotspots.
+// → { result, review } — review is the correct displayed answer per
+//   position, or null when the lecturer holds results back.
+export async function submitCbtAttempt(examId, answers, reason) {
+  const call = httpsCallable(functions, "submitCbtAttempt");
+  const { data } = await call({ examId, answers, reason });
+  return data;
+}
+
+// ── Offline delivery ─────────────────────────────────────────────────
+// See functions/index.js downloadCbtPackage and shared/cbtPackage.js.
+// → { envelope, title, startAt, closesAt, serverNow } — the envelope is
+//   encrypted; it opens with the start code announced in the hall.
+export async function downloadCbtPackage(examId) {
+  const call = httpsCallable(functions, "downloadCbtPackage");
+  const { data } = await call({ examId });
+  return data;
+}
+
+// submission: the signed answer sheet built offline; mac: its signature.
+// → { result, review }, as submitCbtAttempt.
+export async function uploadOfflineCbtAttempt(examId, submission, mac) {
+  const call = httpsCallable(functions, "uploadOfflineCbtAttempt");
+  const { data } = await call({ examId, submission, mac });
+  return data;
+}
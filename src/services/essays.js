@@ -0,0 +1,59 @@
+// ─── ESSAY SERVICE ────────────────────────────────────────────────────
+//
+// Essay banks stay in nv/shared (saveShared("essayBanks")) and
+// submissions in nv/essays, but students no longer write their own
+// submission or call an AI API from the browser: gradeEssaySubmission
+// (functions/index.js) marks the answers server-side with the
+// configured grader and stores the marks. The grader's raw output is
+// kept per submission in essay_gradings/{id} (staff-only):
+//
+//   { bankId, student, subKey, grader: "llm"|"keyword", model,
+//     fallbackFrom, error, raw, feedback, at }
+//
+// While an attempt runs its answers autosave to
+// essay_attempts/{bankId}/drafts/{studentKey}, next to the session
+// startEssayAttempt opened (and its deadline, on timed banks).
+
+import { doc, getDoc, serverTimestamp, setDoc } from "firebase/firestore";
+import { getFunctions, httpsCallable } from "firebase/functions";
+import { db, app } from "../config/firebaseClient";
+import { studentKey } from "./cbt";
+
+const functions = getFunctions(app);
+
+// Starts the attempt, or resumes the open one.
+// → { session: { startedAt, deadline|null }, answers: { [qIdx]: text },
+//   clock } — count down with cbtServerNow(clock).
+export async function startEssayAttempt(bankId) {
+  const sentAt = performance.now();
+  const { data } = await httpsCallable(functions, "startEssayAttempt")({ bankId });
+  const perf = performance.now();
+  return { ...data, clock: { serverNow: data.serverNow + (perf - sentAt) / 2, perf } };
+}
+
+// changes: { [qIdx]: text } — only the answers that changed.
+export async function saveEssayDraft(bankId, student, changes) {
+  await setDoc(doc(db, "essay_attempts", String(bankId), "drafts", studentKey(student)),
+    { answers: changes, savedAt: serverTimestamp() }, { merge: true });
+}
+
+// answers: { [qIdx]: text }. → { feedback, score, total, pct, grade,
+//   grader, needsReview } — needsReview: a question had nothing to
+//   mark against, or the keyword grader stood in for a failed LLM, so
+//   the lecturer finishes the marking.
+export async function gradeEssaySubmission(bankId, answers) {
+  const call = httpsCallable(functions, "gradeEssaySubmission");
+  const { data } = await call({ bankId, answers });
+  return data;
+}
+
+// Staff: how a submission was scored (its `grading.id`).
+export async function fetchEssayGrading(gradingId) {
+  const snap = await getDoc(doc(db, "essay_gradings", gradingId));
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+}
+
+export const ESSAY_GRADER_LABELS = {
+  llm:     "🤖 AI Graded",
+  keyword: "🔑 Keyword Graded",
+};
@@ -0,0 +1,196 @@
+// ─── FILE STORAGE ──────────────────────────────────────────────────────
+//
+// Attachments live in Firebase Storage; the Firestore doc that mentions
+// one keeps only its path and a few facts about it (name, type, size).
+// Before this they were base64 data URLs inside the docs themselves,
+// which capped every file at a fraction of Firestore's 1 MB doc limit.
+// Layout (see storage.rules — the limits below are checked there too):
+//
+//   cbt/{examId}/snapshots/{studentKey}/{ts}.jpg      – violation webcam shots
+//   dm/{convId}/{fileId}/{name}                       – direct-message files
+//   class_chats/{classId}/{fileId}/{name}             – class chat / PHN forum
+//   phn_folder/{fileId}/{name}                        – PHN study folder
+//   handouts/{itemId}/{fileId}/{name}                 – handout PDFs
+//   assignments/{asgnId}/{studentKey}/{fileId}/{name} – submissions
+//   question_images/{fileId}/{name}                   – hotspot question images
+//
+// Images posted to chat also get a small JPEG thumbnail beside them
+// (thumb_{name}.jpg), so a conversation doesn't pull full-size photos.
+//
+// Reads go through getDownloadURL, which storage.rules gates: only
+// someone allowed to read the object can obtain its URL. Older docs may
+// still carry an inline `fileData`/`snapshot`; every reader falls back to
+// it, and scripts/migrateInlineFilesToStorage.js moves them out.
+// Research club and research-request files are still inline.
+
+import { useEffect, useState } from "react";
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject, listAll } from "firebase/storage";
+import { storage } from "../config/firebaseClient";
+
+const MB = 1024 * 1024;
+const DOCUMENT_TYPES = /^(image\/.*|application\/pdf|text\/plain|application\/msword|application\/vnd\.openxmlformats-officedocument\..*|application\/vnd\.ms-(excel|powerpoint)|application\/(zip|x-zip-compressed))$/;
+
+// Per-kind limits — keep in step with storage.rules.
+export const FILE_KINDS = {
+  snapshot:   { maxBytes: 0.3 * MB, types: /^image\/jpeg$/,   label: "Snapshot" },
+  chat:       { maxBytes: 10 * MB,  types: DOCUMENT_TYPES,    label: "File", thumb: true },
+  voice:      { maxBytes: 5 * MB,   types: /^audio\/.*/,      label: "Voice note" },
+  folder:     { maxBytes: 10 * MB,  types: DOCUMENT_TYPES,    label: "File" },
+  handout:    { maxBytes: 20 * MB,  types: /^application\/pdf$/, label: "Handout" },
+  assignment: { maxBytes: 20 * MB,  types: DOCUMENT_TYPES,    label: "Submission" },
+  questionImage: { maxBytes: 1 * MB, types: /^image\/(jpeg|png|gif|webp)$/, label: "Image" },
+};
+
+const THUMB_PX = 320;
+const THUMB_MIN_BYTES = 150 * 1024; // smaller images are their own thumbnail
+
+// Some browsers report no type for Office files; go by the extension.
+const TYPES_BY_EXT = {
+  pdf: "application/pdf", txt: "text/plain", zip: "application/zip",
+  doc: "application/msword", xls: "application/vnd.ms-excel", ppt: "application/vnd.ms-powerpoint",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", gif: "image/gif", webp: "image/webp",
+};
+export const contentTypeOf = (file, name = file?.name) =>
+  file?.type || TYPES_BY_EXT[String(name || "").split(".").pop().toLowerCase()] || "application/octet-stream";
+
+export const formatBytes = (n) => n >= MB ? `${(n / MB).toFixed(n >= 10 * MB ? 0 : 1)} MB` : `${Math.max(1, Math.round(n / 1024))} KB`;
+
+// Throws with a message fit for a toast when the file can't be uploaded.
+export function checkFile(kind, file, name = file?.name) {
+  const k = FILE_KINDS[kind];
+  if (!k) throw new Error(`Unknown upload kind "${kind}"`);
+  if (!k.types.test(contentTypeOf(file, name))) throw new Error(`${k.label}: this file type isn't allowed`);
+  if (file.size >= k.maxBytes) throw new Error(`${k.label} too large — max ${formatBytes(k.maxBytes)}`);
+}
+
+const newFileId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+// Storage accepts almost anything, but paths end up in URLs and rules.
+const safeName = (name) => String(name || "file").replace(/[\\/#?[\]*\r\n]+/g, "_").slice(-120);
+
+export const filePaths = {
+  snapshot:   (examId, studentKey) => `cbt/${examId}/snapshots/${studentKey}/${Date.now()}.jpg`,
+  dm:         (convId, name) => `dm/${convId}/${newFileId()}/${safeName(name)}`,
+  classChat:  (classId, name) => `class_chats/${classId}/${newFileId()}/${safeName(name)}`,
+  folder:     (name) => `phn_folder/${newFileId()}/${safeName(name)}`,
+  handout:    (itemId, name) => `handouts/${itemId}/${newFileId()}/${safeName(name)}`,
+  assignment: (asgnId, studentKey, name) => `assignments/${asgnId}/${studentKey}/${newFileId()}/${safeName(name)}`,
+  questionImage: (name) => `question_images/${newFileId()}/${safeName(name)}`,
+};
+
+const thumbPathOf = (path) => path.replace(/[^/]+$/, name => `thumb_${name.replace(/\.[^.]*$/, "")}.jpg`);
+
+export const dataUrlToBlob = (dataUrl) => {
+  const [head, body] = String(dataUrl).split(",");
+  const type = (head.match(/^data:([^;,]+)/) || [])[1] || "application/octet-stream";
+  const bytes = head.includes(";base64") ? Uint8Array.from(atob(body), c => c.charCodeAt(0)) : new TextEncoder().encode(decodeURIComponent(body));
+  return new Blob([bytes], { type });
+};
+
+const makeThumb = async (blob) => {
+  try {
+    const bmp = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMB_PX / Math.max(bmp.width, bmp.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(bmp.width * scale);
+    canvas.height = Math.round(bmp.height * scale);
+    canvas.getContext("2d").drawImage(bmp, 0, 0, canvas.width, canvas.height);
+    bmp.close?.();
+    return await new Promise(resolve => canvas.toBlob(resolve, "image/jpeg", 0.7));
+  } catch { return null; }
+};
+
+const put = (path, blob, metadata, onProgress) => new Promise((resolve, reject) => {
+  const task = uploadBytesResumable(ref(storage, path), blob, metadata);
+  task.on("state_changed",
+    s => onProgress?.(s.totalBytes ? s.bytesTransferred / s.totalBytes : 0),
+    reject,
+    () => resolve());
+});
+
+// Uploads `file` (a File or Blob) to `path` after checking it against
+// FILE_KINDS[kind]. onProgress gets 0–1. Resolves with the attachment
+// fields to store on the doc: { filePath, thumbPath?, fileName, fileType,
+// fileSize }. A failed thumbnail never fails the upload.
+export async function uploadFile(kind, path, file, { name = file?.name, onProgress, download = false } = {}) {
+  checkFile(kind, file, name);
+  const fileType = contentTypeOf(file, name);
+  const metadata = {
+    contentType: fileType,
+    ...(download && name ? { contentDisposition: `attachment; filename="${safeName(name).replace(/"/g, "")}"` } : {}),
+  };
+  await put(path, file, metadata, onProgress);
+  let thumbPath = null;
+  if (FILE_KINDS[kind].thumb && fileType.startsWith("image/") && file.size > THUMB_MIN_BYTES) {
+    const thumb = await makeThumb(file);
+    if (thumb) {
+      thumbPath = thumbPathOf(path);
+      await put(thumbPath, thumb, { contentType: "image/jpeg" }).catch(() => { thumbPath = null; });
+    }
+  }
+  return {
+    filePath: path, ...(thumbPath ? { thumbPath } : {}),
+    fileName: name || path.split("/").pop(), fileType, fileSize: file.size,
+  };
+}
+
+// Fails soft — a missing object is already gone.
+export async function deleteFile(path, thumbPath) {
+  await Promise.all([path, thumbPath].filter(Boolean).map(p =>
+    deleteObject(ref(storage, p)).catch(e => {
+      if (e?.code !== "storage/object-not-found") console.warn("[Storage] delete failed:", p, e.message);
+    })));
+}
+
+// Everything under a folder, e.g. an exam's snapshots when it is deleted.
+export async function deleteFolder(path) {
+  try {
+    const { items, prefixes } = await listAll(ref(storage, path));
+    await Promise.all([
+      ...items.map(i => deleteObject(i).catch(() => {})),
+      ...prefixes.map(p => deleteFolder(p.fullPath)),
+    ]);
+  } catch (e) { console.warn("[Storage] folder delete failed:", path, e.message); }
+}
+
+// ── Reading ───────────────────────────────────────────────────────────
+const urlCache = new Map();
+
+export const fileUrl = (path) => {
+  if (!path) return Promise.resolve(null);
+  if (!urlCache.has(path)) {
+    urlCache.set(path, getDownloadURL(ref(storage, path)).catch(e => {
+      urlCache.delete(path); // let a later render retry (e.g. after sign-in)
+      console.warn("[Storage] no access to", path, e.code || e.message);
+      return null;
+    }));
+  }
+  return urlCache.get(path);
+};
+
+// URL for a stored file, or the legacy inline data URL when the doc
+// predates Storage. null while it resolves or when access is refused.
+export function useFileUrl(path, legacy = null) {
+  const [url, setUrl] = useState(legacy || null);
+  useEffect(() => {
+    if (!path) { setUrl(legacy || null); return; }
+    let live = true;
+    setUrl(null);
+    fileUrl(path).then(u => { if (live) setUrl(u); });
+    return () => { live = false; };
+  }, [path, legacy]);
+  return url;
+}
+
+// Render-prop form of useFileUrl for lists that render in a loop:
+//   <StoredFile path={m.filePath} thumb={m.thumbPath} legacy={m.fileData}>
+//     {(url, thumbUrl) => …}
+//   </StoredFile>
+// thumbUrl falls back to url when the file has no thumbnail.
+export function StoredFile({ path, thumb, legacy, children }) {
+  const url = useFileUrl(path, legacy);
+  const thumbUrl = useFileUrl(thumb, null);
+  return children(url, thumb ? (thumbUrl || null) : url);
+}
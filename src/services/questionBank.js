@@ -0,0 +1,198 @@
+// ─── QUESTION BANK SERVICE ─────────────────────────────────────────────
+//
+// One shared, per-record store of questions — every type in
+// shared/questionTypes.js — that CBT exams, NC papers, the daily mock
+// pool and school past questions draw from, so a typo is fixed once
+// instead of in every copy. Layout:
+//
+//   question_bank/{bankId}                   – current version
+//   question_bank/{bankId}/revisions/{rev}   – every superseded version
+//
+// Exams still hold their own copy of each question (students read those
+// docs, and the bank carries answer keys so it's staff-only), but each
+// copy remembers where it came from via `bankId` + `bankRev`. When a
+// bank question changes, the managers show the copies as outdated and
+// syncFromBank() refreshes them in place. Editing a copy inside one
+// exam's own editor drops the link, so local tweaks aren't overwritten.
+
+import {
+  collection, doc, getDocs, deleteDoc, onSnapshot, query, orderBy,
+  runTransaction, writeBatch,
+} from "firebase/firestore";
+import { db } from "../config/firebaseClient";
+import { questionType } from "../shared/questionTypes";
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const bankRef = (id) => doc(db, "question_bank", id);
+
+// Stable id — independent of where the question first came from.
+export function newBankId() {
+  return `qb_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Lower-cased, trimmed, de-duplicated. "Pharmacology " and "pharmacology"
+// are the same tag.
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+// The part of a question an exam copy needs to ask and mark it, in the
+// shapes shared/questionTypes.js lists. Classic MCQs stay untyped.
+export function questionContent(q) {
+  const type = questionType(q);
+  const ans = type === "mcq" || type === "tf" ? Number(q.ans) || 0
+    : type === "hotspot" ? (q.ans ? { ...q.ans } : null)
+    : [...(q.ans || [])];
+  return {
+    ...(type !== "mcq" ? { type } : {}),
+    q: String(q.q || "").trim(),
+    options: (q.options || []).map(o => String(o ?? "").trim()),
+    ans,
+    ...(type === "matching" ? { prompts: [...(q.prompts || [])] } : {}),
+    ...(type === "hotspot" ? { image: q.image || "" } : {}),
+  };
+}
+
+// Content fingerprint used to de-duplicate when migrating pools — the
+// same question pasted into three papers should land in the bank once.
+export function questionFingerprint(q) {
+  const norm = (s) => String(s || "").trim().toLowerCase().replace(/\s+/g, " ");
+  const type = questionType(q);
+  return [...(type !== "mcq" ? [type, ...(q.prompts || []).map(norm), q.image || ""] : []),
+    norm(q.q), ...(q.options || []).map(norm)].join("|");
+}
+
+// ── Bank CRUD ────────────────────────────────────────────────────────
+export function subscribeQuestionBank(onData) {
+  return onSnapshot(query(collection(db, "question_bank"), orderBy("updatedAt", "desc")),
+    snap => onData(snap.docs.map(d => d.data())),
+    err => console.warn("[QBank] snapshot error:", err.message));
+}
+
+export async function listQuestionBank() {
+  const snap = await getDocs(collection(db, "question_bank"));
+  return snap.docs.map(d => d.data());
+}
+
+// Creates or updates a bank question. On update the previous version is
+// copied to revisions/{oldRev} in the same transaction, so history can't
+// drift from the live doc.
+export async function saveBankQuestion(question, editor) {
+  const id = question.id || newBankId();
+  const now = Date.now();
+  return runTransaction(db, async tx => {
+    const snap = await tx.get(bankRef(id));
+    const prev = snap.exists() ? snap.data() : null;
+    const next = {
+      id,
+      ...questionContent(question),
+      explanation: question.explanation || "",
+      tags: normalizeTags(question.tags),
+      course: question.course || "",
+      difficulty: DIFFICULTIES.includes(question.difficulty) ? question.difficulty : "medium",
+      source: question.source || prev?.source || "",
+      createdBy: prev?.createdBy || editor || "",
+      createdAt: prev?.createdAt || now,
+      updatedBy: editor || "",
+      updatedAt: now,
+      rev: prev ? (prev.rev || 1) + 1 : 1,
+    };
+    if (prev) tx.set(doc(db, "question_bank", id, "revisions", String(prev.rev || 1)), prev);
+    tx.set(bankRef(id), next);
+    return next;
+  });
+}
+
+// Bulk create (pool migration). Entries must already carry their id.
+export async function createBankQuestions(list, editor) {
+  const now = Date.now();
+  for (let i = 0; i < list.length; i += 400) {
+    const batch = writeBatch(db);
+    list.slice(i, i + 400).forEach(q => batch.set(bankRef(q.id), {
+      explanation: "", course: "", difficulty: "medium", source: "",
+      ...q,
+      tags: normalizeTags(q.tags),
+      createdBy: editor || "", createdAt: now, updatedBy: editor || "", updatedAt: now, rev: 1,
+    }));
+    await batch.commit();
+  }
+}
+
+export async function listQuestionRevisions(id) {
+  const snap = await getDocs(collection(db, "question_bank", id, "revisions"));
+  return snap.docs.map(d => d.data()).sort((a, b) => (b.rev || 0) - (a.rev || 0));
+}
+
+// Revisions are kept — a deleted question can still be traced from the
+// exams that copied it.
+export async function deleteBankQuestion(id) {
+  await deleteDoc(bankRef(id));
+}
+
+// ── Exam assembly ────────────────────────────────────────────────────
+// The copy an exam stores: the shape every exam engine already reads,
+// plus the link back to the bank.
+export function bankQuestionToItem(bq) {
+  return {
+    ...questionContent(bq),
+    explanation: bq.explanation || "",
+    bankId: bq.id, bankRev: bq.rev || 1,
+  };
+}
+
+export function filterBank(bank, { tag, difficulty, course, search } = {}) {
+  const s = String(search || "").trim().toLowerCase();
+  return bank.filter(q =>
+    (!tag || (q.tags || []).includes(tag)) &&
+    (!difficulty || q.difficulty === difficulty) &&
+    (!course || q.course === course) &&
+    (!s || q.q.toLowerCase().includes(s) || (q.options || []).some(o => o.toLowerCase().includes(s))));
+}
+
+// rules: [{ count, tag?, difficulty?, course? }] — e.g. 20 pharmacology
+// + 10 hard. Each rule draws from what earlier rules left behind, so a
+// question is never picked twice; `exclude` skips ids the exam already
+// has. Returns { picked, shortfalls: [{ rule, wanted, got }] }.
+export function assembleByRules(bank, rules, { exclude = [], seed = Date.now() } = {}) {
+  const used = new Set(exclude);
+  const picked = [];
+  const shortfalls = [];
+  let s = seed;
+  const rand = () => { s = (s * 1664525 + 1013904223) & 0xffffffff; return Math.abs(s); };
+  rules.forEach(rule => {
+    const want = Math.max(0, Number(rule.count) || 0);
+    const candidates = filterBank(bank, rule).filter(q => !used.has(q.id));
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = rand() % (i + 1);
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+    const take = candidates.slice(0, want);
+    take.forEach(q => used.add(q.id));
+    picked.push(...take);
+    if (take.length < want) shortfalls.push({ rule, wanted: want, got: take.length });
+  });
+  return { picked, shortfalls };
+}
+
+// Linked copies whose bank question has moved on since they were taken.
+export function outdatedCount(questions, bankById) {
+  return (questions || []).filter(q => q.bankId && bankById[q.bankId] && (bankById[q.bankId].rev || 1) !== q.bankRev).length;
+}
+
+// Refreshes linked copies from the bank, keeping any fields the host
+// exam adds of its own (id, cat, year…). The copy's typed fields are
+// replaced outright, since the bank question may have changed type.
+// Copies whose bank question was deleted are left as they are.
+export function syncFromBank(questions, bankById) {
+  let changed = 0;
+  const next = (questions || []).map(q => {
+    const bq = q.bankId && bankById[q.bankId];
+    if (!bq || (bq.rev || 1) === q.bankRev) return q;
+    changed++;
+    const { type, prompts, image, ...own } = q;
+    return { ...own, ...bankQuestionToItem(bq) };
+  });
+  return { questions: next, changed };
+}
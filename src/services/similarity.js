@@ -0,0 +1,40 @@
+// ─── SIMILARITY SERVICE ───────────────────────────────────────────────
+//
+// Staff-only. checkSimilarity (functions/index.js) compares the
+// submissions for one essay bank or assignment with each other, the
+// handouts and earlier years' work, and keeps the report in
+// similarity_reports/{kind}_{scopeId}; each compared document's text is
+// in similarity_docs/{docId}, for the side-by-side view. Shapes are in
+// the comment above checkSimilarity.
+
+import { doc, getDoc } from "firebase/firestore";
+import { getFunctions, httpsCallable } from "firebase/functions";
+import { db, app } from "../config/firebaseClient";
+
+const functions = getFunctions(app);
+
+// kind: "essay" | "assignment"; scopeId: the bank's or assignment's id.
+// → the new report. Reading files can take a minute on a big class.
+export async function checkSimilarity(kind, scopeId) {
+  const call = httpsCallable(functions, "checkSimilarity", { timeout: 540000 });
+  const { data } = await call({ kind, id: scopeId });
+  return data;
+}
+
+// → the last report, or null if the check was never run.
+export async function fetchSimilarityReport(kind, scopeId) {
+  const snap = await getDoc(doc(db, "similarity_reports", `${kind}_${scopeId}`));
+  return snap.exists() ? snap.data() : null;
+}
+
+// → { text, title, student, year, source, … } or null.
+export async function fetchSimilarityDoc(docId) {
+  const snap = await getDoc(doc(db, "similarity_docs", docId));
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+}
+
+export const SIMILARITY_SOURCES = {
+  peer:    { label: "Classmate",   icon: "👥" },
+  handout: { label: "Handout",     icon: "📄" },
+  prior:   { label: "Earlier year", icon: "🗂️" },
+};
@@ -1,3 +1,6 @@
+import { TF_OPTIONS } from "./questionTypes.js";
+import { scoringScheme } from "./scoring.js";
+
 export const parseCbtQuestions = (qText, ansText = "") => {
   const ansLines = ansText.trim().split("\n").map(l => l.trim()).filter(Boolean);
   const normalized = qText.trim().split("\n").map(l => l.trimEnd()).join("\n");
@@ -12,6 +15,9 @@ export const parseCbtQuestions = (qText, ansText = "") => {
   const OPT_SPACE_RE = /^([A-Da-d])\s{1,3}([^\s].{2,})$/;
   // Answer declaration line
   const ANS_RE = /^(?:ANS(?:WER)?|Ans(?:wer)?|Answer)\s*[-:.\)\s]\s*([A-Da-d1-4]|i{1,3}v?)\b/i;
+  // "ANS: A, C" / "Answer: B & D" — several keys make it select-all-that-apply
+  const ANS_MULTI_RE = /^(?:ANS(?:WER)?)\s*[-:.\)\s]\s*([A-Da-d](?:\s*[,&/]\s*[A-Da-d])+)\b/i;
+  const letterList = (s) => [...new Set(s.split(/[,&/]/).map(x => mapLetter(x)))].sort();
   // Strip leading question number / Q: prefix
   const QSTRIP = /^(?:Q(?:uestion)?\s*\.?\s*\d*\s*[-:.)]?\s*|\d+\s*[.):\-]\s*)/i;
   // Detect a new question start: "1." "1)" "1:" "Q1" "Question 1"
@@ -114,6 +120,8 @@ export const parseCbtQuestions = (qText, ansText = "") => {
     const lines = block.split("\n").map(l => l.trim()).filter(Boolean);
     let q = "", options = ["","","",""], ans = 0, foundAns = false;
     for (const line of lines) {
+      const mm = line.match(ANS_MULTI_RE);
+      if (mm) { ans = letterList(mm[1]); foundAns = true; continue; }
       const am = line.match(ANS_RE);
       if (am) { ans = mapLetter(am[1]); foundAns = true; continue; }
       if (isOpt(line)) {
@@ -130,11 +138,146 @@ export const parseCbtQuestions = (qText, ansText = "") => {
     return { q: q.trim(), options, ans, _hasAns: foundAns };
   };
 
+  // Typed questions: several keys → SATA (blank options dropped, keys
+  // remapped); a True/False option pair → true/false.
+  const typeItem = (item) => {
+    if (Array.isArray(item.ans)) {
+      const kept = item.options.map((o, i) => ({ o, i })).filter(x => x.o);
+      return { ...item, type: "sata", options: kept.map(x => x.o),
+        ans: kept.map((x, ni) => item.ans.includes(x.i) ? ni : -1).filter(i => i >= 0) };
+    }
+    const opts = item.options.filter(Boolean).map(o => o.toLowerCase().replace(/[.\s]+$/, ""));
+    if (opts.length === 2 && opts[0] === "true" && opts[1] === "false") {
+      return { ...item, type: "tf", options: [...TF_OPTIONS], ans: item.ans === 1 ? 1 : 0 };
+    }
+    return item;
+  };
+
   return finalBlocks.map((block, idx) => {
     const item = parseBlock(block);
-    if (ansLines[idx]) { item.ans = mapLetter(ansLines[idx][0]); item._hasAns = true; }
-    return item;
+    if (ansLines[idx]) {
+      const multi = /^[A-Da-d](?:\s*[,&/]\s*[A-Da-d])+/.exec(ansLines[idx]);
+      item.ans = multi ? letterList(multi[0]) : mapLetter(ansLines[idx][0]);
+      item._hasAns = true;
+    }
+    return typeItem(item);
   }).filter(item => item.q && item.options.some(o => o));
 };
 
 // ── Lecturer: CBT Exam Manager ───────────────────────────────────────
+
+// The schedule inputs are <input type="datetime-local"> strings — wall
+// clock time with no zone. startAt / endAt pin them to epoch ms in the
+// lecturer's zone so the server (which runs on UTC) enforces the window
+// the lecturer meant.
+export const cbtWindowTimes = (exam) => {
+  const at = (s) => { const t = s ? new Date(s).getTime() : NaN; return isNaN(t) ? null : t; };
+  return { startAt: at(exam.startTime), endAt: at(exam.endTime) };
+};
+
+// ── Accommodations ───────────────────────────────────────────────────
+// Per-student overrides kept in cbt_exams/{examId}/accommodations/
+// {studentKey}: { extraTimePct, noFullscreen, noWebcam, startAt, endAt,
+// largeText }. An alternative window (both ends set) replaces the
+// exam's own, including the 24h auto-close. functions/index.js applies
+// the same rules to the deadline and window on the server.
+export const hasAltWindow = (acc) => acc?.startAt != null && acc?.endAt != null;
+
+// The exam as this student sits it.
+export const applyCbtAccommodation = (exam, acc) => {
+  if (!acc) return exam;
+  const pct = Math.max(0, Number(acc.extraTimePct) || 0);
+  return {
+    ...exam,
+    duration: Math.ceil((Number(exam.duration) || 30) * (1 + pct / 100)),
+    ...(exam.sections?.length ? { sections: exam.sections.map(s => Number(s.duration) > 0
+      ? { ...s, duration: Math.ceil(Number(s.duration) * (1 + pct / 100)) } : s) } : {}),
+    ...(acc.noFullscreen ? { fullscreenRequired: false } : {}),
+    ...(acc.noWebcam ? { webcamSnapshots: false } : {}),
+    ...(hasAltWindow(acc) ? { startAt: acc.startAt, endAt: acc.endAt, altWindow: true } : {}),
+    largeText: !!acc.largeText,
+    accommodated: true,
+  };
+};
+
+// One line for the lecturer's monitor, e.g. "+50% time · no fullscreen".
+export const describeCbtAccommodation = (acc) => [
+  Number(acc.extraTimePct) > 0 && `+${acc.extraTimePct}% time`,
+  acc.noFullscreen && "no fullscreen",
+  acc.noWebcam && "no webcam",
+  hasAltWindow(acc) && `sits ${new Date(acc.startAt).toLocaleString()} – ${new Date(acc.endAt).toLocaleString()}`,
+  acc.largeText && "larger text",
+].filter(Boolean).join(" · ");
+
+// ── Question pools ───────────────────────────────────────────────────
+// With `drawEnabled`, exam.questions is a pool: each student gets
+// `draw[tag]` random questions from every tag (a question's `cat`, ""
+// for untagged), seeded per student on the server — see
+// functions/cbtGrading.js drawSubset. Tags without a count are
+// delivered in full.
+export const cbtTagOf = (q) => String(q?.cat || "").trim();
+
+// → [{ tag, size, count }] sorted by tag, count = questions delivered.
+export const cbtDrawPlan = (exam) => {
+  const sizes = {};
+  (exam.questions || []).forEach(q => { sizes[cbtTagOf(q)] = (sizes[cbtTagOf(q)] || 0) + 1; });
+  return Object.keys(sizes).sort().map(tag => {
+    const want = exam.drawEnabled ? exam.draw?.[tag] : undefined;
+    return { tag, size: sizes[tag], count: want === undefined || want === null ? sizes[tag] : Math.max(0, Math.min(want, sizes[tag])) };
+  });
+};
+
+// Questions each student actually sits. Students only see the exam
+// metadata, which records the count as `paperLength` (services/cbt.js).
+export const cbtPaperLength = (exam) => exam.questions
+  ? cbtDrawPlan(exam).reduce((n, t) => n + t.count, 0)
+  : Number(exam.paperLength) || 0;
+
+// ── Sections ─────────────────────────────────────────────────────────
+// `exam.sections` splits a paper into parts sat in order: [{ id, title,
+// instructions, duration (minutes, 0 = runs on the exam's clock), marks
+// (per question), negative (fraction of those marks lost per wrong
+// answer), lockOnLeave }]. Marks and negative default to the exam's
+// `scoring` (shared/scoring.js). A question's `section` holds its
+// section id; one without a known id belongs to the first. Timed
+// sections always lock once left. Mirrors functions/cbtGrading.js
+// cbtSections, which the server enforces.
+export const cbtSections = (exam) => {
+  const scheme = scoringScheme(exam.scoring);
+  return (exam.sections || []).map(s => ({
+    id: String(s.id),
+    title: s.title || "",
+    instructions: s.instructions || "",
+    duration: Math.max(0, Number(s.duration) || 0),
+    marks: Number(s.marks) > 0 ? Number(s.marks) : scheme.marks,
+    negative: s.negative === undefined || s.negative === null || s.negative === ""
+      ? scheme.negative : Math.min(1, Math.max(0, Number(s.negative) || 0)),
+    lockOnLeave: !!s.lockOnLeave || Number(s.duration) > 0,
+  }));
+};
+
+export const cbtSectionIndex = (sections, q) =>
+  Math.max(0, sections.findIndex(s => s.id === String(q?.section ?? "")));
+
+// Minutes the whole attempt lasts: the sections' own timers added up
+// when every section has one, otherwise the exam's duration.
+export const cbtExamDuration = (exam) => {
+  const sections = cbtSections(exam);
+  return sections.length && sections.every(s => s.duration)
+    ? sections.reduce((n, s) => n + s.duration, 0)
+    : Number(exam.duration) || 30;
+};
+
+// Held-result workflow (functions/index.js "Result release + moderation").
+// Students see scores straight away unless the exam holds them, and
+// then only once a head of department has released them.
+export const CBT_RELEASE_STATUS = {
+  held:     { label: "Held",              color: "var(--warn)" },
+  pending:  { label: "Awaiting approval", color: "var(--purple)" },
+  released: { label: "Released",          color: "var(--success)" },
+};
+
+export const cbtReleaseStatus = (release) => CBT_RELEASE_STATUS[release?.status] ? release.status : "held";
+
+export const cbtResultsReleased = (exam, release) =>
+  exam?.showResultsImmediately !== false || release?.status === "released";
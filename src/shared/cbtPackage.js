@@ -0,0 +1,63 @@
+// ─── OFFLINE CBT PACKAGES ────────────────────────────────────────────
+//
+// Browser half of offline delivery; the server half (sealing packages,
+// checking signatures) is functions/cbtPackage.js — keep the formats in
+// step. Everything here uses WebCrypto, so it works with no connection.
+//
+// openPackage decrypts a downloaded package with the hall start code.
+// AES-GCM fails outright on a wrong code or on any edit to the package,
+// and the two can't be told apart — both mean "don't sit this copy".
+// signSubmission HMACs the student's progress and final answers with
+// the submit key from inside the package, so a sheet damaged or edited
+// in storage shows up. The key is on this device, so it is a checksum
+// rather than proof — the server only trusts times it recorded itself.
+
+const enc = new TextEncoder();
+const fromB64 = (s) => Uint8Array.from(atob(s), c => c.charCodeAt(0));
+const toB64 = (buf) => btoa(String.fromCharCode(...new Uint8Array(buf)));
+
+// Codes are read out in the hall — case, spaces and dashes don't matter.
+export const normaliseStartCode = (code) => String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// No 0/O or 1/I, so a code read aloud or off a board can't be misheard.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// Lecturer side: a fresh code, e.g. "K7QM-2XWD".
+export const newStartCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  const chars = [...bytes].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+// JSON with object keys sorted at every level, so both sides sign the
+// same bytes whatever order the fields were built in.
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(v => canonicalJson(v === undefined ? null : v)).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// → the package payload, or throws when the code is wrong or the
+// package has been altered.
+export const openPackage = async (envelope, code) => {
+  const base = await crypto.subtle.importKey("raw", enc.encode(normaliseStartCode(code)), "PBKDF2", false, ["deriveKey"]);
+  const key = await crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromB64(envelope.salt), iterations: envelope.iterations },
+    base, { name: "AES-GCM", length: 256 }, false, ["decrypt"]);
+  const plain = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromB64(envelope.iv), additionalData: enc.encode(`${envelope.examId}|${envelope.student}|${envelope.packageId}`) },
+    key, fromB64(envelope.data));
+  return JSON.parse(new TextDecoder().decode(plain));
+};
+
+const hmacKey = (submitKey) =>
+  crypto.subtle.importKey("raw", fromB64(submitKey), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+
+export const signSubmission = async (submitKey, body) =>
+  toB64(await crypto.subtle.sign("HMAC", await hmacKey(submitKey), enc.encode(canonicalJson(body))));
+
+export const verifySubmission = async (submitKey, body, mac) =>
+  !!mac && mac === await signSubmission(submitKey, body);
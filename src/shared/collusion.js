@@ -0,0 +1,205 @@
+// ─── CBT ANSWER-SIMILARITY (COLLUSION) ANALYSIS ───────────────────────
+// Compares every pair of scripts for one CBT exam, from the same
+// per-question `responses` item analysis uses.
+//
+// The evidence is identical WRONG answers (error-similarity analysis,
+// Bellezza & Bellezza 1989). Two strong students agreeing on right
+// answers proves nothing, but two students who picked the same wrong
+// option again and again are hard to explain by chance. For each
+// question both got wrong, the chance they'd pick the same wrong answer
+// independently is estimated from how everyone else who got it wrong
+// answered (Σ share², the pair themselves left out). The count of
+// identical wrong answers is then a sum of independent coin flips with
+// those chances, and `p` is the exact probability of seeing at least
+// that many. With n students there are n(n−1)/2 pairs, so the flag is
+// on the Bonferroni-adjusted p (p × pairs) — otherwise a big class
+// would always throw up some "improbable" pair.
+//
+// Timing and device overlap never flag a pair on their own (a hall
+// starts together and often shares one network); they're shown as
+// corroboration beside the statistic:
+//   - submitted within a minute of each other (deadline auto-submits
+//     don't count — everyone lands on the deadline),
+//   - the same device fingerprint (device-lock bindings, exams with device
+//     lock on, or the deviceInfo on violation flags),
+//   - the same public IP, unless that IP is shared by a large part of
+//     the class (the hall network).
+//
+// Pool exams: a pair is compared only on questions both were delivered.
+
+import { scoreResponse, isSingleChoice, questionType, TF_OPTIONS } from "./questionTypes.js";
+
+export const COLLUSION_ALPHA = 0.05;       // on the adjusted p
+export const COLLUSION_MIN_SHARED = 3;     // fewer identical wrong answers is never reported
+const SUBMIT_WINDOW_MS = 60 * 1000;
+const HALL_IP_SHARE = 0.25;                // an IP used by this share of scripts is the hall's
+const DEADLINE_REASONS = ["timeout", "server_timeout"];
+
+export const COLLUSION_SIGNAL_LABELS = {
+  same_device: "Same device",
+  same_ip:     "Same IP address",
+  submit_sync: "Submitted together",
+};
+
+const blank = (v) => v === null || v === undefined;
+// Typed answers are arrays or strings; a stable key compares them.
+const answerKey = (v) => typeof v === "number" ? `#${v}` : JSON.stringify(v);
+
+// P(X ≥ x) for X a sum of independent Bernoulli(probs[i]).
+const tailProbability = (probs, x) => {
+  if (x <= 0) return 1;
+  if (x > probs.length) return 0;
+  // dist[j] = P(exactly j so far), capped at x ("x or more").
+  let dist = new Array(x + 1).fill(0);
+  dist[0] = 1;
+  probs.forEach(p => {
+    const next = new Array(x + 1).fill(0);
+    for (let j = 0; j <= x; j++) {
+      if (!dist[j]) continue;
+      next[j] += dist[j] * (1 - p);
+      next[Math.min(x, j + 1)] += dist[j] * p;
+    }
+    dist = next;
+  });
+  return Math.min(1, Math.max(0, dist[x]));
+};
+
+// Readable answer for the drill-down: "B — Insulin" for single choice,
+// option texts for typed answers built from options, the raw text else.
+export const describeResponse = (q, resp) => {
+  if (blank(resp)) return "— (blank)";
+  if (questionType(q) === "tf") return TF_OPTIONS[resp] ?? String(resp);
+  if (isSingleChoice(q)) return `${"ABCDEF"[resp] ?? "?"} — ${q.options?.[resp] ?? ""}`;
+  if (Array.isArray(resp)) return resp.map(i => typeof i === "number" ? (q.options?.[i] ?? `#${i + 1}`) : String(i)).join(" · ");
+  return String(resp);
+};
+
+// exam.questions must include `ans` (staff copy with keys merged).
+// devices: the exam's device-lock bindings (services/cbt.js
+// listCbtDevices); violations: this exam's violation docs.
+export const analyseCollusion = (exam, results, { devices = [], violations = [] } = {}) => {
+  const questions = exam.questions || [];
+  const k = questions.length;
+  const scripts = (results || [])
+    .filter(r => String(r.examId) === String(exam.id) && Array.isArray(r.responses) && r.responses.length === k)
+    .map(r => {
+      const delivered = Array.isArray(r.delivered) ? new Set(r.delivered) : null;
+      const sat = (qi) => !delivered || delivered.has(qi);
+      const keys = r.responses.map(v => blank(v) ? null : answerKey(v));
+      const wrong = r.responses.map((v, qi) => sat(qi) && !blank(v) && scoreResponse(questions[qi], questions[qi].ans, v) !== 1);
+      return { r, student: r.student, sat, keys, wrong };
+    });
+  const n = scripts.length;
+  const skipped = (results || []).filter(r => String(r.examId) === String(exam.id)).length - n;
+  const pairCount = (n * (n - 1)) / 2;
+  if (n < 3 || !k) return { n, k, skipped, pairCount, pairs: [], flagged: 0 };
+
+  // Wrong-answer tallies per question: key → count, and Σ count².
+  const tallies = questions.map((_, qi) => {
+    const counts = new Map();
+    scripts.forEach(s => { if (s.wrong[qi]) counts.set(s.keys[qi], (counts.get(s.keys[qi]) || 0) + 1); });
+    let total = 0, sumSq = 0;
+    counts.forEach(c => { total += c; sumSq += c * c; });
+    return { counts, total, sumSq };
+  });
+
+  // Chance that two students who both got qi wrong pick the same wrong
+  // answer, estimated without their own two answers. Too few others
+  // to go by → uniform over the distractors for single choice, and the
+  // question is left out for typed answers.
+  const matchChance = (qi, ka, kb) => {
+    const t = tallies[qi];
+    const ca = t.counts.get(ka), cb = t.counts.get(kb);
+    const others = t.total - 2;
+    const sumSq = ka === kb
+      ? t.sumSq - ca * ca + (ca - 2) ** 2
+      : t.sumSq - ca * ca + (ca - 1) ** 2 - cb * cb + (cb - 1) ** 2;
+    if (others >= 2) return sumSq / (others * others);
+    const q = questions[qi];
+    if (!isSingleChoice(q)) return null;
+    const distractors = questionType(q) === "tf" ? 1 : Math.max(1, (q.options || []).filter(Boolean).length - 1);
+    return 1 / distractors;
+  };
+
+  // Device and network per student.
+  const identity = {};
+  const note = (student, info) => {
+    if (!student || !info) return;
+    const id = identity[student] || (identity[student] = { fingerprints: new Set(), ips: new Set() });
+    if (info.fingerprint) id.fingerprints.add(String(info.fingerprint));
+    if (info.ip && info.ip !== "unknown") id.ips.add(String(info.ip));
+  };
+  (devices || []).forEach(d => { if (String(d?.examId) === String(exam.id)) note(d.student, d); });
+  (violations || []).forEach(v => { if (String(v.examId) === String(exam.id)) note(v.student, v.deviceInfo); });
+  const ipUsers = {};
+  scripts.forEach(s => identity[s.student]?.ips.forEach(ip => { ipUsers[ip] = (ipUsers[ip] || 0) + 1; }));
+  const hallIps = new Set(Object.keys(ipUsers).filter(ip => n >= 4 && ipUsers[ip] / n >= HALL_IP_SHARE));
+  const overlap = (a, b) => [...a].filter(x => b.has(x));
+
+  const pairs = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const a = scripts[i], b = scripts[j];
+      let common = 0, sameAnswers = 0, sameBlank = 0, bothWrong = 0;
+      const shared = [], chances = [];
+      for (let qi = 0; qi < k; qi++) {
+        if (!a.sat(qi) || !b.sat(qi)) continue;
+        common++;
+        if (a.keys[qi] === null && b.keys[qi] === null) { sameBlank++; continue; }
+        if (a.keys[qi] !== null && a.keys[qi] === b.keys[qi]) sameAnswers++;
+        if (!a.wrong[qi] || !b.wrong[qi]) continue;
+        const chance = matchChance(qi, a.keys[qi], b.keys[qi]);
+        if (chance === null) continue;
+        bothWrong++;
+        chances.push(chance);
+        if (a.keys[qi] === b.keys[qi]) shared.push({ qIdx: qi, chance, response: a.r.responses[qi] });
+      }
+      const sameWrong = shared.length;
+      const expected = chances.reduce((s, c) => s + c, 0);
+      const p = sameWrong >= COLLUSION_MIN_SHARED && sameWrong > expected ? tailProbability(chances, sameWrong) : 1;
+      const pAdj = Math.min(1, p * pairCount);
+
+      const signals = [];
+      const ia = identity[a.student], ib = identity[b.student];
+      const sharedIps = ia && ib ? overlap(ia.ips, ib.ips).filter(ip => !hallIps.has(ip)) : [];
+      if (ia && ib && overlap(ia.fingerprints, ib.fingerprints).length) signals.push("same_device");
+      if (sharedIps.length) signals.push("same_ip");
+      const startGap = a.r.startedAt && b.r.startedAt ? Math.abs(a.r.startedAt - b.r.startedAt) : null;
+      const submitGap = a.r.submittedAt && b.r.submittedAt ? Math.abs(a.r.submittedAt - b.r.submittedAt) : null;
+      const byDeadline = DEADLINE_REASONS.includes(a.r.reason) || DEADLINE_REASONS.includes(b.r.reason);
+      if (submitGap !== null && submitGap <= SUBMIT_WINDOW_MS && !byDeadline) signals.push("submit_sync");
+
+      if (sameWrong < COLLUSION_MIN_SHARED && !signals.includes("same_device")) continue;
+      pairs.push({
+        a: a.student, b: b.student,
+        common, sameAnswers, sameBlank, bothWrong, sameWrong,
+        expected, p, pAdj, flagged: pAdj < COLLUSION_ALPHA,
+        scoreA: a.r.percent, scoreB: b.r.percent,
+        startGap, submitGap, sharedIps, signals,
+        shared: shared.sort((x, y) => x.chance - y.chance),
+      });
+    }
+  }
+  // Most improbable first; corroboration breaks ties.
+  pairs.sort((x, y) => x.p - y.p || y.signals.length - x.signals.length || y.sameWrong - x.sameWrong);
+  return { n, k, skipped, pairCount, pairs, flagged: pairs.filter(p => p.flagged).length, hallIps: [...hallIps] };
+};
+
+export const collusionGapLabel = (ms) => ms === null ? "" : ms < 60000 ? `${Math.round(ms / 1000)}s` : `${Math.round(ms / 60000)}m`;
+
+// One row per reported pair — for spreadsheets.
+export const collusionCsv = (exam, analysis) => {
+  const esc = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+  const head = ["Student A", "Student B", "Score A %", "Score B %", "Questions in common", "Both wrong",
+    "Identical wrong", "Expected by chance", "p", "Adjusted p", "Flagged", "Identical answers", "Both blank",
+    "Start gap", "Submit gap", "Signals", "Shared wrong questions"];
+  const rows = analysis.pairs.map(p => [
+    p.a, p.b, p.scoreA, p.scoreB, p.common, p.bothWrong, p.sameWrong, p.expected.toFixed(2),
+    p.p.toExponential(2), p.pAdj.toExponential(2), p.flagged ? "yes" : "", p.sameAnswers, p.sameBlank,
+    collusionGapLabel(p.startGap), collusionGapLabel(p.submitGap), p.signals.map(s => COLLUSION_SIGNAL_LABELS[s]).join("; "),
+    p.shared.map(s => s.qIdx + 1).join(" "),
+  ]);
+  const summary = [[], ["Scripts compared", analysis.n], ["Pairs", analysis.pairCount], ["Flagged pairs", analysis.flagged],
+    ["Flag threshold", `adjusted p < ${COLLUSION_ALPHA}`], ["Exam", exam.title]];
+  return [head, ...rows, ...summary].map(r => r.map(esc).join(",")).join("\n");
+};
@@ -0,0 +1,124 @@
+// ─── ESSAY DOUBLE-MARKING ─────────────────────────────────────────────
+//
+// An essay bank with `doubleMarking: { enabled, threshold }` has every
+// submission marked twice before the student sees a grade. The first
+// mark is the grader's (gradeEssaySubmission) or, when it couldn't
+// finish, a lecturer's; the second is a different lecturer's, made
+// blind — the first mark stays hidden until both are in. Then:
+//
+//   marks within `threshold` percentage points  → agreed on their average
+//   further apart                               → disputed, for a moderator
+//
+// A moderator (any lecturer who gave neither mark) settles a dispute by
+// taking one of the marks, their average, or a mark of their own, with
+// a note. It's all kept as `marking`, in essay_marking/{subKey} (staff-
+// only) so students can't read the marks before they're agreed:
+//
+//   { threshold, status: "first"|"second"|"disputed"|"agreed",
+//     marks: [mark], agreed: mark|null, history: [{ at, by, action, … }] }
+//
+// A mark has the shape saveManualGradeToBackend stores as manualGrade
+// ({ score, total, pct, grade, overallComment, questions }) plus who made
+// it, `by`, `kind` ("ai"|"lecturer") and `at`. The agreed mark becomes
+// the submission's manualGrade, which is what the student sees.
+// functions/index.js starts `marking` with the grader's mark — keep the
+// shapes in step.
+
+import { gradeLetter } from "./scoring";
+
+export const DEFAULT_MARK_THRESHOLD = 10;
+
+export const MARKING_STATUS = {
+  first:    { label: "Awaiting 1st mark", icon: "⏳", tag: "tag-warn" },
+  second:   { label: "Awaiting 2nd mark", icon: "🅱️", tag: "tag-warn" },
+  disputed: { label: "Disputed",          icon: "⚠️", tag: "tag-danger" },
+  agreed:   { label: "Agreed",            icon: "✅", tag: "tag-success" },
+};
+
+export const MARKING_ACTIONS = {
+  marked:    "Marked",
+  agreed:    "Agreed on the average",
+  flagged:   "Flagged — marks too far apart",
+  moderated: "Moderated",
+};
+
+export const RESOLVE_CHOICES = {
+  first:   "Take the 1st mark",
+  second:  "Take the 2nd mark",
+  average: "Average the two",
+  own:     "My own mark",
+};
+
+export const markingThreshold = (bank) => {
+  const t = Number(bank?.doubleMarking?.threshold);
+  return t >= 0 && bank?.doubleMarking?.threshold !== "" ? t : DEFAULT_MARK_THRESHOLD;
+};
+
+export const newMarking = (threshold) => ({ threshold, status: "first", marks: [], agreed: null, history: [] });
+
+export const markGap = (marking) => marking?.marks?.length >= 2
+  ? Math.abs(marking.marks[0].pct - marking.marks[1].pct) : null;
+
+export const canMark = (marking, who) =>
+  (marking?.status === "first" || marking?.status === "second") && !marking.marks.some(m => m.by === who);
+
+export const canModerate = (marking, who) =>
+  marking?.status === "disputed" && !marking.marks.some(m => m.by === who);
+
+const halves = (n) => Math.round(n * 2) / 2;
+
+// The two marks' mean, question by question (and criterion by criterion
+// on rubric questions, where the level reads "Good / Excellent").
+export const averageMarks = (a, b) => {
+  const questions = (a.questions || []).map((qa, i) => {
+    const qb = b.questions?.[i] || {};
+    const criteria = qa.criteria?.map((ca, ci) => {
+      const cb = qb.criteria?.[ci] || {};
+      return {
+        ...ca, points: halves(((ca.points || 0) + (cb.points || 0)) / 2),
+        label: ca.label === cb.label ? ca.label : [ca.label, cb.label].filter(Boolean).join(" / "),
+      };
+    });
+    return {
+      q: qa.q, maxMarks: qa.maxMarks,
+      marksAwarded: halves(((qa.marksAwarded || 0) + (qb.marksAwarded || 0)) / 2),
+      feedback: [qa.feedback, qb.feedback].filter(Boolean).join(" • "),
+      ...(criteria ? { criteria } : {}),
+    };
+  });
+  const score = questions.reduce((s, q) => s + q.marksAwarded, 0);
+  const total = a.total;
+  const pct = total > 0 ? Math.round((score / total) * 100) : 0;
+  return {
+    score, total, pct, grade: gradeLetter(pct),
+    overallComment: [a.overallComment, b.overallComment].filter(Boolean).join(" • "),
+    gradedBy: "Double-marked", questions,
+  };
+};
+
+// → the marking with `mark` added, agreed or flagged once both are in.
+export const addMark = (marking, mark, now = Date.now()) => {
+  const marks = [...marking.marks, mark];
+  const history = [...marking.history, { at: now, by: mark.by, action: "marked", pct: mark.pct }];
+  if (marks.length < 2) return { ...marking, marks, history, status: "second" };
+  const gap = Math.abs(marks[0].pct - marks[1].pct);
+  if (gap > marking.threshold) {
+    return { ...marking, marks, status: "disputed", history: [...history, { at: now, by: "system", action: "flagged", gap }] };
+  }
+  return {
+    ...marking, marks, status: "agreed", agreed: averageMarks(marks[0], marks[1]),
+    history: [...history, { at: now, by: "system", action: "agreed", gap }],
+  };
+};
+
+// resolution: { by, choice: keyof RESOLVE_CHOICES, mark? (for "own"), note }
+export const resolveMarking = (marking, { by, choice, mark, note }, now = Date.now()) => {
+  const [a, b] = marking.marks;
+  const base = choice === "first" ? a : choice === "second" ? b : choice === "average" ? averageMarks(a, b) : mark;
+  const agreed = { ...base };
+  delete agreed.by; delete agreed.kind; delete agreed.at;
+  return {
+    ...marking, status: "agreed", agreed: { ...agreed, gradedBy: "Moderated" },
+    history: [...marking.history, { at: now, by, action: "moderated", choice, pct: agreed.pct, note }],
+  };
+};
@@ -0,0 +1,89 @@
+// ─── ESSAY RUBRICS ────────────────────────────────────────────────────
+//
+// An essay question may carry an analytic rubric: a list of criteria,
+// each with performance levels listed best first.
+//
+//   rubric: [{ name, levels: [{ label, points, descriptor }] }]
+//
+// A marker (lecturer or grader) picks one level per criterion; the
+// question's mark is the sum of the picked levels' points, and its
+// maximum the sum of each criterion's top points — the question's
+// `marks` is kept equal to that. Per-criterion results are stored on
+// each marked question as
+//
+//   criteria: [{ name, level, label, points, maxPoints, comment? }]
+//
+// Questions without a rubric are marked as a whole, out of `marks`.
+// functions/essayGrading.js scores submissions with the copy there —
+// keep the two in step.
+
+export const DEFAULT_ESSAY_MARKS = 10;
+
+export const DEFAULT_LEVELS = [
+  { label: "Excellent",    points: 4, descriptor: "" },
+  { label: "Good",         points: 3, descriptor: "" },
+  { label: "Satisfactory", points: 2, descriptor: "" },
+  { label: "Weak",         points: 1, descriptor: "" },
+  { label: "Missing",      points: 0, descriptor: "" },
+];
+
+export const emptyCriterion = () => ({ name: "", levels: DEFAULT_LEVELS.map(l => ({ ...l })) });
+
+export const hasRubric = (q) => Array.isArray(q?.rubric) && q.rubric.length > 0;
+
+export const criterionMax = (c) => Math.max(0, ...(c.levels || []).map(l => Number(l.points) || 0));
+
+export const rubricMax = (rubric) => (rubric || []).reduce((s, c) => s + criterionMax(c), 0);
+
+export const essayMarks = (q) => hasRubric(q) ? rubricMax(q.rubric)
+  : Number(q?.marks) > 0 ? Number(q.marks) : DEFAULT_ESSAY_MARKS;
+
+// → an error message, or "" when the rubric can be saved.
+export const validateRubric = (rubric) => {
+  for (const [i, c] of (rubric || []).entries()) {
+    const name = c.name?.trim() || `Criterion ${i + 1}`;
+    if (!c.name?.trim()) return `Criterion ${i + 1} needs a name`;
+    if ((c.levels || []).length < 2) return `${name} needs at least two levels`;
+    if (c.levels.some(l => !l.label?.trim())) return `Every level of ${name} needs a label`;
+    if (c.levels.some(l => !(Number(l.points) >= 0))) return `Points for ${name} can't be negative`;
+    if (!(criterionMax(c) > 0)) return `${name} has no points to award`;
+  }
+  return "";
+};
+
+// Tidies a rubric for saving: trimmed text, numeric points, levels
+// ordered best first.
+export const cleanRubric = (rubric) => (rubric || []).map(c => ({
+  name: c.name.trim(),
+  levels: c.levels
+    .map(l => ({ label: l.label.trim(), points: Number(l.points), descriptor: (l.descriptor || "").trim() }))
+    .sort((a, b) => b.points - a.points),
+}));
+
+// picks: one level index per criterion (null/undefined = not marked,
+// scores 0); comments: optional, one per criterion.
+// → { marksAwarded, criteria: [{ name, level, label, points, maxPoints, comment? }] }
+export const scoreRubric = (rubric, picks = [], comments = []) => {
+  const criteria = (rubric || []).map((c, ci) => {
+    const level = Number.isInteger(picks[ci]) && c.levels[picks[ci]] ? picks[ci] : null;
+    const lv = level === null ? null : c.levels[level];
+    const comment = String(comments[ci] || "").trim();
+    return {
+      name: c.name, level, label: lv?.label || "", points: lv ? Number(lv.points) || 0 : 0,
+      maxPoints: criterionMax(c), ...(comment ? { comment } : {}),
+    };
+  });
+  return { marksAwarded: criteria.reduce((s, c) => s + c.points, 0), criteria };
+};
+
+// Per-criterion totals across a marked submission: criteria with the
+// same name on several questions are added up. → [{ name, points, maxPoints }]
+export const criterionTotals = (markedQuestions) => {
+  const byName = new Map();
+  (markedQuestions || []).forEach(mq => (mq?.criteria || []).forEach(c => {
+    const t = byName.get(c.name) || { name: c.name, points: 0, maxPoints: 0 };
+    t.points += c.points; t.maxPoints += c.maxPoints;
+    byName.set(c.name, t);
+  }));
+  return [...byName.values()];
+};
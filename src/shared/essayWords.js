@@ -0,0 +1,24 @@
+// ─── ESSAY WORD TARGETS ───────────────────────────────────────────────
+//
+// An essay question's `wordGuide` is free text the lecturer types:
+// "150-250" (a range), "200" (about that many) or "" (no target).
+// While writing, the student sees their count against it.
+
+const ABOUT = 0.1; // a single figure allows ±10%
+
+export const countWords = (text) => String(text || "").trim().split(/\s+/).filter(Boolean).length;
+
+// → { min, max } or null when the guide has no figures.
+export const wordTarget = (guide) => {
+  const n = (String(guide || "").match(/\d+/g) || []).map(Number).filter(x => x > 0);
+  if (!n.length) return null;
+  if (n.length === 1) return { min: Math.round(n[0] * (1 - ABOUT)), max: Math.round(n[0] * (1 + ABOUT)) };
+  return { min: Math.min(n[0], n[1]), max: Math.max(n[0], n[1]) };
+};
+
+// → "short" | "within" | "over" | null (no target)
+export const wordTargetStatus = (count, target) => !target ? null
+  : count < target.min ? "short" : count > target.max ? "over" : "within";
+
+export const describeWordTarget = (target) => !target ? ""
+  : target.min === target.max ? `${target.min} words` : `${target.min}–${target.max} words`;
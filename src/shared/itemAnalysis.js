@@ -0,0 +1,125 @@
+// ─── CBT ITEM ANALYSIS ────────────────────────────────────────────────
+// Classical test theory stats for one CBT exam, computed from the
+// per-question `responses` the grading function stores on each result
+// (original question index → original option index, or null when left
+// blank). Results graded before `responses` existed are skipped.
+//
+// Scores here are raw correct counts — violation penalties are about
+// conduct, not ability, so they'd only blur the upper/lower groups.
+// Typed questions count as correct only with full credit (KR-20 wants
+// dichotomous items), and get an option breakdown only when they're
+// single-choice.
+//
+// Pool exams (random subsets) store which questions each student was
+// `delivered`. Each item is then judged only on the scripts that saw
+// it, students are ranked by percentage rather than raw count, and
+// KR-20 is left out — it assumes everyone sat the same items.
+
+import { scoreResponse, isSingleChoice, questionType, QUESTION_TYPES, TF_OPTIONS } from "./questionTypes.js";
+
+export const ITEM_FLAG_LABELS = {
+  miskey:      "Possible mis-key",
+  negative:    "Negative discrimination",
+  low_disc:    "Low discrimination",
+  too_hard:    "Very hard",
+  too_easy:    "Very easy",
+};
+
+const MISKEY_FLAGS = ["miskey", "negative"];
+
+export const isSuspectItem = (item) => item.flags.some(f => MISKEY_FLAGS.includes(f));
+
+// exam.questions must include `ans` (staff copy with keys merged).
+export const analyseItems = (exam, results) => {
+  const questions = exam.questions || [];
+  const k = questions.length;
+  const scripts = (results || [])
+    .filter(r => String(r.examId) === String(exam.id) && Array.isArray(r.responses) && r.responses.length === k)
+    .map(r => {
+      const delivered = Array.isArray(r.delivered) ? new Set(r.delivered) : null; // null = the whole exam
+      const sat = (qi) => !delivered || delivered.has(qi);
+      const correct = r.responses.map((resp, qi) => sat(qi) && resp !== null && resp !== undefined && scoreResponse(questions[qi], questions[qi].ans, resp) === 1);
+      const raw = correct.filter(Boolean).length;
+      const asked = delivered ? delivered.size : k;
+      return { student: r.student, responses: r.responses, correct, raw, asked, sat, pct: asked ? raw / asked : 0 };
+    })
+    .sort((a, b) => b.pct - a.pct);
+
+  const n = scripts.length;
+  const skipped = (results || []).filter(r => String(r.examId) === String(exam.id)).length - n;
+  if (!n || !k) return { n, k, skipped, items: [], kr20: null, mean: null, sd: null };
+  const pool = scripts.some(s => s.asked !== k);
+
+  // Upper / lower 27% by score (at least one script each).
+  const g = Math.max(1, Math.round(n * 0.27));
+
+  const mean = scripts.reduce((s, x) => s + x.raw, 0) / n;
+  const variance = scripts.reduce((s, x) => s + (x.raw - mean) ** 2, 0) / n;
+
+  const items = questions.map((q, qi) => {
+    const present = !isSingleChoice(q) ? []
+      : questionType(q) === "tf" ? [0, 1] : [0, 1, 2, 3].filter(i => q.options?.[i]);
+    const seen = scripts.filter(s => s.sat(qi));
+    const m = seen.length;
+    if (!m) {
+      return { qIdx: qi, q: q.q, type: questionType(q), key: q.ans, n: 0, p: null, d: null, upperP: null, lowerP: null,
+        options: present.map(opt => ({ opt, isKey: opt === q.ans, count: 0, pct: 0, upper: 0, lower: 0 })), omitted: 0, flags: [] };
+    }
+    const gi = Math.max(1, Math.round(m * 0.27));
+    const upper = seen.slice(0, gi);
+    const lower = seen.slice(m - gi);
+    const count = (group, opt) => group.filter(s => s.responses[qi] === opt).length;
+    const p = seen.filter(s => s.correct[qi]).length / m;
+    const upperP = upper.filter(s => s.correct[qi]).length / gi;
+    const lowerP = lower.filter(s => s.correct[qi]).length / gi;
+    const d = upperP - lowerP;
+    const options = present.map(opt => ({
+      opt,
+      isKey: opt === q.ans,
+      count: count(seen, opt),
+      pct: Math.round((count(seen, opt) / m) * 100),
+      upper: count(upper, opt),
+      lower: count(lower, opt),
+    }));
+    const omitted = seen.filter(s => s.responses[qi] === null || s.responses[qi] === undefined).length;
+
+    // A distractor the strong students prefer over the key is the
+    // classic mis-key signature.
+    const keyUpper = options.find(o => o.isKey)?.upper ?? 0;
+    const flags = [];
+    if (options.some(o => !o.isKey && o.upper > keyUpper)) flags.push("miskey");
+    if (d < 0) flags.push("negative");
+    else if (d < 0.2) flags.push("low_disc");
+    if (p < 0.2) flags.push("too_hard");
+    if (p > 0.9) flags.push("too_easy");
+
+    return { qIdx: qi, q: q.q, type: questionType(q), key: q.ans, n: m, p, d, upperP, lowerP, options, omitted, flags };
+  });
+
+  // KR-20: k/(k-1) · (1 − Σpq / σ²). Undefined for one item or no spread.
+  const sumPQ = items.reduce((s, it) => s + it.p * (1 - it.p), 0);
+  const kr20 = !pool && k > 1 && variance > 0 ? (k / (k - 1)) * (1 - sumPQ / variance) : null;
+
+  // For pools, k is the paper length (items each student sat).
+  return { n, k: pool ? Math.max(...scripts.map(s => s.asked)) : k, pool, skipped, groupSize: g, items, kr20, mean, sd: Math.sqrt(variance) };
+};
+
+// Key letter for single-choice items; typed items show their type.
+export const itemKeyLabel = (it) =>
+  it.type === "tf" ? TF_OPTIONS[it.key] : it.options.length ? "ABCD"[it.key] : QUESTION_TYPES[it.type].label;
+
+// One row per question, one column per option — for spreadsheets.
+export const itemAnalysisCsv = (exam, analysis) => {
+  const esc = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+  const head = ["#", "Question", "Key", "Scripts", "p-value", "Discrimination", "Upper p", "Lower p",
+    "A %", "B %", "C %", "D %", "Omitted", "Flags"];
+  const f2 = (x) => x === null ? "" : x.toFixed(2);
+  const rows = analysis.items.map(it => {
+    const pct = (opt) => it.options.find(o => o.opt === opt)?.pct ?? "";
+    return [it.qIdx + 1, it.q, itemKeyLabel(it), it.n, f2(it.p), f2(it.d), f2(it.upperP), f2(it.lowerP),
+      pct(0), pct(1), pct(2), pct(3), it.omitted, it.flags.map(f => ITEM_FLAG_LABELS[f]).join("; ")];
+  });
+  const summary = [[], ["Scripts analysed", analysis.n], ["KR-20", analysis.kr20 === null ? "n/a" : analysis.kr20.toFixed(3)],
+    ["Mean raw score", analysis.mean?.toFixed(2)], ["SD", analysis.sd?.toFixed(2)], ["Exam", exam.title]];
+  return [head, ...rows, ...summary].map(r => r.map(esc).join(",")).join("\n");
+};
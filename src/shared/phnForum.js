@@ -12,7 +12,10 @@ export const phnGetLecturers = async () => {
 export const phnSaveLecturers = async (list) => _setDocField(_DOC_SHARED, "phnForumLecturers", list);
 
 // ── PHN Folder Helpers (Firestore collection "phn_folder") ────────────
-// Each doc: { id, fileName, fileType, fileSize, fileData, uploadedBy, uploadedAt, source }
+// Each doc: { id, filePath, fileName, fileType, fileSize, uploadedBy, uploadedAt, source }
+// filePath is in Storage (services/fileStorage.js) — phn_folder/… for direct
+// uploads, the forum message's own file for entries saved from chat. Older
+// entries carry the file inline as `fileData` instead.
 // source: "forum" (auto-saved from chat) | "direct" (manually uploaded)
 
 export const phnFolderAdd = async (entry) => {
@@ -0,0 +1,316 @@
+// ─── QUESTION EXPORT ──────────────────────────────────────────────────
+//
+// Writes a list of typed questions (see questionTypes.js) out as
+//
+//   qti    — IMS QTI 2.1 content package: one item file per question plus
+//            imsmanifest.xml and an assessmentTest, zipped by the caller
+//   moodle — Moodle XML (multichoice, truefalse, matching, ordering,
+//            ddmarker for hotspots)
+//   gift   — Moodle GIFT text; can't express ordering or hotspot items
+//   csv    — the spreadsheet layout rowsToItems() reads back
+//
+// Every format re-imports through questionImport.js without loss, except
+// the GIFT gaps above — GIFT also has nowhere to put a question's own
+// `marks` or its exam `section`, which the other three carry. Hotspot images are passed in already loaded —
+// images[questionIdx] = { bytes, mime, width, height } — because the
+// pixel coordinates Moodle and QTI use need the image's real size.
+
+import { OPTION_COLUMNS, bytesToBase64 } from "./questionImport.js";
+import { TF_OPTIONS, questionType } from "./questionTypes.js";
+
+export const EXPORT_FORMATS = {
+  qti:    { label:"IMS QTI 2.1 package (.zip)", ext:"-qti.zip" },
+  moodle: { label:"Moodle XML (.xml)",          ext:".xml" },
+  gift:   { label:"Moodle GIFT (.gift)",        ext:".gift" },
+  csv:    { label:"CSV spreadsheet (.csv)",     ext:".csv" },
+};
+
+// Question types each format has no way to carry.
+export const EXPORT_GAPS = { gift: ["ordering", "hotspot"] };
+
+export const exportFileName = (title, format) =>
+  (String(title || "questions").replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "") || "questions") + EXPORT_FORMATS[format].ext;
+
+const filled = (q) => (q.options || []).map((o, i) => ({ o: String(o ?? "").trim(), i })).filter(x => x.o);
+
+const xmlEsc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const extOf = (mime) => ({ "image/png": "png", "image/gif": "gif", "image/webp": "webp", "image/svg+xml": "svg" })[mime] || "jpg";
+
+// % box → whole-pixel rect on the real image.
+const pxBox = ({ x, y, w, h }, { width, height }) => ({
+  x: Math.round(x / 100 * width), y: Math.round(y / 100 * height),
+  w: Math.round(w / 100 * width), h: Math.round(h / 100 * height),
+});
+
+// Moodle only accepts grade fractions from a fixed list; 100/k for
+// k ≤ 10 is always on it.
+const fraction = (k) => +(100 / k).toFixed(5);
+
+// Category path; the third segment round-trips as the question's `cat`.
+const categoryPath = (title, cat) =>
+  ["$course$", ...[title || "Exported questions", ...(cat ? [cat] : [])].map(s => String(s).replace(/\//g, "-"))].join("/");
+
+// ── CSV ──────────────────────────────────────────────────────────────
+export const questionsToCsv = (questions) => {
+  const esc = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+  const width = Math.max(4, ...questions.map(q => questionType(q) === "tf" || questionType(q) === "hotspot" ? 0 : (q.options || []).length));
+  const letters = [...OPTION_COLUMNS.slice(0, width)];
+  const hasMatching = questions.some(q => questionType(q) === "matching");
+  const hasHotspot = questions.some(q => questionType(q) === "hotspot");
+  const hasCat = questions.some(q => q.cat);
+  const hasMarks = questions.some(q => Number(q.marks) > 0);
+  const hasSection = questions.some(q => q.section);
+  const head = ["Type", "Question", ...letters, "Answer", "Explanation",
+    ...(hasCat ? ["Category"] : []), ...(hasMarks ? ["Marks"] : []), ...(hasSection ? ["Section"] : []),
+    ...(hasMatching ? ["Matching items"] : []), ...(hasHotspot ? ["Image"] : [])];
+  const rows = questions.map(q => {
+    const type = questionType(q);
+    const opts = type === "tf" || type === "hotspot" ? [] : (q.options || []);
+    const answer = type === "tf" ? TF_OPTIONS[q.ans]
+      : type === "hotspot" ? (q.ans ? [q.ans.x, q.ans.y, q.ans.w, q.ans.h].join(", ") : "")
+      : Array.isArray(q.ans) ? q.ans.map(i => OPTION_COLUMNS[i]).join(", ")
+      : OPTION_COLUMNS[q.ans];
+    return [type, q.q, ...letters.map((_, i) => opts[i] ?? ""), answer, q.explanation || "",
+      ...(hasCat ? [q.cat || ""] : []),
+      ...(hasMarks ? [Number(q.marks) > 0 ? Number(q.marks) : ""] : []),
+      ...(hasSection ? [q.section || ""] : []),
+      ...(hasMatching ? [type === "matching" ? (q.prompts || []).join("\n") : ""] : []),
+      ...(hasHotspot ? [type === "hotspot" ? q.image : ""] : [])];
+  });
+  return [head, ...rows].map(r => r.map(esc).join(",")).join("\n");
+};
+
+// ── GIFT ─────────────────────────────────────────────────────────────
+const giftEsc = (s) => String(s ?? "").replace(/([~=#{}:\\])/g, "\\$1").replace(/\r?\n/g, "\\n");
+
+export const questionsToGift = (questions, { title } = {}) => {
+  const out = [];
+  let cat = null;
+  questions.forEach((q, qi) => {
+    const type = questionType(q);
+    if (EXPORT_GAPS.gift.includes(type)) return;
+    if (q.cat !== cat || cat === null) {
+      cat = q.cat;
+      out.push(`$CATEGORY: ${categoryPath(title, q.cat)}`, "");
+    }
+    let answers;
+    if (type === "tf") answers = q.ans === 1 ? "F" : "T";
+    else if (type === "matching") {
+      const used = new Set(q.ans);
+      answers = [
+        ...q.prompts.map((p, pi) => `=${giftEsc(p)} -> ${giftEsc(q.options[q.ans[pi]])}`),
+        ...q.options.filter((_, oi) => !used.has(oi)).map(o => `= -> ${giftEsc(o)}`),
+      ].join("\n  ");
+    } else if (type === "sata") {
+      const k = q.ans.length;
+      answers = filled(q).map(({ o, i }) => `~%${q.ans.includes(i) ? "" : "-"}${fraction(k)}%${giftEsc(o)}`).join("\n  ");
+    } else {
+      answers = filled(q).map(({ o, i }) => `${i === q.ans ? "=" : "~"}${giftEsc(o)}`).join("\n  ");
+    }
+    const feedback = q.explanation ? `\n  ####${giftEsc(q.explanation)}` : "";
+    out.push(`::Q${qi + 1}:: ${giftEsc(q.q)} {\n  ${answers}${feedback}\n}`, "");
+  });
+  return out.join("\n");
+};
+
+// ── Moodle XML ───────────────────────────────────────────────────────
+const mText = (tag, s) => `<${tag} format="plain_text"><text>${xmlEsc(s)}</text></${tag}>`;
+
+export const questionsToMoodleXml = (questions, { title, images = {} } = {}) => {
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>', "<quiz>"];
+  let cat = null;
+  questions.forEach((q, qi) => {
+    const type = questionType(q);
+    if (q.cat !== cat || cat === null) {
+      cat = q.cat;
+      out.push(`  <question type="category"><category><text>${xmlEsc(categoryPath(title, q.cat))}</text></category></question>`);
+    }
+    const head = [
+      `    <name><text>Q${qi + 1}</text></name>`,
+      `    ${mText("questiontext", q.q)}`,
+      `    ${mText("generalfeedback", q.explanation || "")}`,
+      `    <defaultgrade>${Number(q.marks) > 0 ? Number(q.marks) : 1}</defaultgrade>`,
+      "    <penalty>0</penalty>",
+      "    <hidden>0</hidden>",
+      // Moodle has no exam sections; a tag keeps the question's.
+      ...(q.section ? [`    <tags><tag><text>section:${xmlEsc(q.section)}</text></tag></tags>`] : []),
+    ];
+    const answer = (frac, text) => `    <answer fraction="${frac}" format="plain_text"><text>${xmlEsc(text)}</text></answer>`;
+    let moodleType, body;
+    switch (type) {
+      case "tf":
+        moodleType = "truefalse";
+        body = [answer(q.ans === 0 ? 100 : 0, "true"), answer(q.ans === 1 ? 100 : 0, "false")];
+        break;
+      case "sata":
+        moodleType = "multichoice";
+        body = ["    <single>false</single>", "    <shuffleanswers>true</shuffleanswers>", "    <answernumbering>ABCD</answernumbering>",
+          ...filled(q).map(({ o, i }) => answer(q.ans.includes(i) ? fraction(q.ans.length) : -fraction(q.ans.length), o))];
+        break;
+      case "matching": {
+        moodleType = "matching";
+        const used = new Set(q.ans);
+        const sub = (left, right) => `    <subquestion format="plain_text"><text>${xmlEsc(left)}</text><answer><text>${xmlEsc(right)}</text></answer></subquestion>`;
+        body = ["    <shuffleanswers>true</shuffleanswers>",
+          ...q.prompts.map((p, pi) => sub(p, q.options[q.ans[pi]])),
+          ...q.options.filter((_, oi) => !used.has(oi)).map(o => sub("", o))];
+        break;
+      }
+      case "ordering":
+        moodleType = "ordering";
+        body = ["    <layouttype>VERTICAL</layouttype>", "    <selecttype>ALL</selecttype>", "    <selectcount>0</selectcount>",
+          "    <gradingtype>ABSOLUTE_POSITION</gradingtype>",
+          ...q.ans.map(i => answer("1.0000000", q.options[i]))];
+        break;
+      case "hotspot": {
+        moodleType = "ddmarker";
+        const img = images[qi];
+        const r = pxBox(q.ans, img);
+        body = [`    <file name="hotspot-${qi + 1}.${extOf(img.mime)}" path="/" encoding="base64">${bytesToBase64(img.bytes)}</file>`,
+          "    <drag><no>1</no><text>✓</text><noofdrags>1</noofdrags></drag>",
+          `    <drop><no>1</no><shape>rectangle</shape><coords>${r.x},${r.y};${r.w},${r.h}</coords><choice>1</choice></drop>`];
+        break;
+      }
+      default:
+        moodleType = "multichoice";
+        body = ["    <single>true</single>", "    <shuffleanswers>true</shuffleanswers>", "    <answernumbering>ABCD</answernumbering>",
+          ...filled(q).map(({ o, i }) => answer(i === q.ans ? 100 : 0, o))];
+    }
+    out.push(`  <question type="${moodleType}">`, ...head, ...body, "  </question>");
+  });
+  out.push("</quiz>");
+  return out.join("\n");
+};
+
+// ── QTI 2.1 ──────────────────────────────────────────────────────────
+const QTI_NS = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+  'xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+const RP = "http://www.imsglobal.org/question/qti_v2p1/rptemplates/";
+
+const qtiItem = (q, qi, img) => {
+  const id = `item-${qi + 1}`;
+  const type = questionType(q);
+  const prompt = `<prompt>${xmlEsc(q.q)}</prompt>`;
+  const choices = (list) => list.map(({ o, i }) => `      <simpleChoice identifier="${OPTION_COLUMNS[i]}">${xmlEsc(o)}</simpleChoice>`).join("\n");
+  let decl, interaction, template = "match_correct";
+  switch (type) {
+    case "sata": {
+      const w = 1 / q.ans.length;
+      decl = `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="identifier">
+    <correctResponse>${q.ans.map(i => `<value>${OPTION_COLUMNS[i]}</value>`).join("")}</correctResponse>
+    <mapping lowerBound="0" upperBound="1" defaultValue="0">${filled(q).map(({ i }) =>
+      `<mapEntry mapKey="${OPTION_COLUMNS[i]}" mappedValue="${q.ans.includes(i) ? w : -w}"/>`).join("")}</mapping>
+  </responseDeclaration>`;
+      interaction = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="0">
+      ${prompt}
+${choices(filled(q))}
+    </choiceInteraction>`;
+      template = "map_response";
+      break;
+    }
+    case "matching": {
+      const w = 1 / q.prompts.length;
+      const pairs = q.prompts.map((_, pi) => `P${pi + 1} O${q.ans[pi] + 1}`);
+      decl = `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>${pairs.map(p => `<value>${p}</value>`).join("")}</correctResponse>
+    <mapping lowerBound="0" defaultValue="0">${pairs.map(p => `<mapEntry mapKey="${p}" mappedValue="${w}"/>`).join("")}</mapping>
+  </responseDeclaration>`;
+      interaction = `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${q.prompts.length}">
+      ${prompt}
+      <simpleMatchSet>${q.prompts.map((p, pi) => `<simpleAssociableChoice identifier="P${pi + 1}" matchMax="1">${xmlEsc(p)}</simpleAssociableChoice>`).join("")}</simpleMatchSet>
+      <simpleMatchSet>${q.options.map((o, oi) => `<simpleAssociableChoice identifier="O${oi + 1}" matchMax="${q.prompts.length}">${xmlEsc(o)}</simpleAssociableChoice>`).join("")}</simpleMatchSet>
+    </matchInteraction>`;
+      template = "map_response";
+      break;
+    }
+    case "ordering":
+      decl = `<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>${q.ans.map(i => `<value>${OPTION_COLUMNS[i]}</value>`).join("")}</correctResponse>
+  </responseDeclaration>`;
+      interaction = `<orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      ${prompt}
+${choices(q.options.map((o, i) => ({ o, i })))}
+    </orderInteraction>`;
+      break;
+    case "hotspot": {
+      const r = pxBox(q.ans, img);
+      decl = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="point">
+    <correctResponse><value>${r.x + Math.round(r.w / 2)} ${r.y + Math.round(r.h / 2)}</value></correctResponse>
+    <areaMapping lowerBound="0" upperBound="1" defaultValue="0"><areaMapEntry shape="rect" coords="${r.x},${r.y},${r.x + r.w},${r.y + r.h}" mappedValue="1"/></areaMapping>
+  </responseDeclaration>`;
+      interaction = `<selectPointInteraction responseIdentifier="RESPONSE" maxChoices="1">
+      ${prompt}
+      <object type="${img.mime}" data="${id}.${extOf(img.mime)}" width="${img.width}" height="${img.height}"/>
+    </selectPointInteraction>`;
+      template = "map_response_point";
+      break;
+    }
+    default: {
+      const list = type === "tf" ? TF_OPTIONS.map((o, i) => ({ o, i })) : filled(q);
+      decl = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>${OPTION_COLUMNS[q.ans]}</value></correctResponse>
+  </responseDeclaration>`;
+      interaction = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="${type === "tf" ? "false" : "true"}" maxChoices="1">
+      ${prompt}
+${choices(list)}
+    </choiceInteraction>`;
+    }
+  }
+  // The explanation rides along as modal feedback so it survives the
+  // round trip; the standard templates never set FEEDBACK, so LMSs that
+  // honour showHide keep it hidden from candidates.
+  const feedback = q.explanation
+    ? `\n  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${xmlEsc(q.explanation)}</modalFeedback>` : "";
+  // MAXSCORE is the standard outcome for an item's weight; SECTION is
+  // ours, and LMSs that don't know it ignore it.
+  const extra = (name, type, value) => `
+  <outcomeDeclaration identifier="${name}" cardinality="single" baseType="${type}"><defaultValue><value>${xmlEsc(value)}</value></defaultValue></outcomeDeclaration>`;
+  const outcomes = (Number(q.marks) > 0 ? extra("MAXSCORE", "float", Number(q.marks)) : "") + (q.section ? extra("SECTION", "string", q.section) : "");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem ${QTI_NS} identifier="${id}" title="Q${qi + 1}"${q.cat ? ` label="${xmlEsc(q.cat)}"` : ""} adaptive="false" timeDependent="false">
+  ${decl}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>${outcomes}${feedback ? `
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>` : ""}
+  <itemBody>
+    ${interaction}
+  </itemBody>
+  <responseProcessing template="${RP}${template}"/>${feedback}
+</assessmentItem>`;
+};
+
+// → [{ name, data }] ready for makeZip().
+export const questionsToQtiEntries = (questions, { title, images = {} } = {}) => {
+  const entries = [];
+  const resources = [];
+  questions.forEach((q, qi) => {
+    const id = `item-${qi + 1}`;
+    const img = images[qi];
+    entries.push({ name: `${id}.xml`, data: qtiItem(q, qi, img) });
+    const files = [`${id}.xml`];
+    if (questionType(q) === "hotspot") {
+      const name = `${id}.${extOf(img.mime)}`;
+      entries.push({ name, data: img.bytes });
+      files.push(name);
+    }
+    resources.push(`    <resource identifier="${id}" type="imsqti_item_xmlv2p1" href="${id}.xml">${files.map(f => `<file href="${f}"/>`).join("")}</resource>`);
+  });
+  const test = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest ${QTI_NS} identifier="test" title="${xmlEsc(title || "Exported questions")}">
+  <testPart identifier="part-1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section-1" title="${xmlEsc(title || "Questions")}" visible="true">
+${questions.map((_, qi) => `      <assessmentItemRef identifier="item-${qi + 1}" href="item-${qi + 1}.xml"/>`).join("\n")}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>`;
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest-${Date.now()}">
+  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="test.xml"><file href="test.xml"/>${questions.map((_, qi) => `<dependency identifierref="item-${qi + 1}"/>`).join("")}</resource>
+${resources.join("\n")}
+  </resources>
+</manifest>`;
+  return [{ name: "imsmanifest.xml", data: manifest }, { name: "test.xml", data: test }, ...entries];
+};
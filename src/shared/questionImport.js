@@ -0,0 +1,639 @@
+// ─── QUESTION FILE IMPORT ─────────────────────────────────────────────
+//
+// Turns an uploaded file's text or rows into typed questions (see
+// questionTypes.js), keeping the source line of every question so the
+// preview can point at the exact spot to fix. Formats:
+//
+//   aiken  — Moodle Aiken: stem line, "A. …" options, "ANSWER: B"
+//   gift   — Moodle GIFT: "::title:: stem {=right ~wrong}", T/F, matching,
+//            ~%50% weights (→ select-all-that-apply)
+//   loose  — anything parseCbtQuestions copes with (typical Word papers)
+//   table  — CSV / XLSX rows plus a column mapping
+//   moodle — Moodle XML (.xml)
+//   qti    — IMS QTI 2.1 content package (.zip)
+//
+// The last two, and the CSV layout, are what questionExport.js writes,
+// so exported papers come back unchanged — per-question marks and
+// section included.
+//
+// Every parser returns items of { line, question, errors[], warnings[] }.
+// Items with errors are never imported; warnings are shown but allowed.
+
+import { parseCbtQuestions } from "./cbtHelpers.js";
+import { OPTION_LETTERS, TF_OPTIONS, buildMatching, buildOrdering, questionType, validateQuestion } from "./questionTypes.js";
+
+export const IMPORT_FORMATS = {
+  auto:  "Detect automatically",
+  aiken: "Aiken (Moodle)",
+  gift:  "GIFT (Moodle)",
+  loose: "Plain numbered questions",
+};
+
+const item = (line, question, errors = [], warnings = []) => {
+  const problem = question ? validateQuestion(question) : "";
+  return { line, question, errors: problem ? [...errors, problem] : errors, warnings };
+};
+
+// Single-answer MCQs deliver through fixed A–D slots.
+const checkMcqWidth = (q, errors) => {
+  if (questionType(q) === "mcq" && q.options.length > 4) {
+    errors.push(`${q.options.length} options — single-answer questions take at most 4 (A–D)`);
+  }
+  if (questionType(q) === "mcq") q.options = [...q.options, "", "", "", ""].slice(0, 4);
+};
+
+export const detectFormat = (text, fileName = "") => {
+  if (/\.gift$/i.test(fileName)) return "gift";
+  if (/\{[^}]*(?:[=~]|\bT(?:RUE)?\b|\bF(?:ALSE)?\b)[^}]*\}/.test(text) && /::|\{\s*[=~]/.test(text)) return "gift";
+  if (/^\s*ANSWER\s*:\s*[A-F]\b/im.test(text) && /^\s*[A-F][.)]\s+\S/m.test(text)) return "aiken";
+  return "loose";
+};
+
+export const parseQuestionText = (text, format = "auto", fileName = "") => {
+  const fmt = format === "auto" ? detectFormat(text, fileName) : format;
+  if (fmt === "aiken") return { format: fmt, items: parseAiken(text) };
+  if (fmt === "gift") return { format: fmt, items: parseGift(text) };
+  return { format: fmt, items: parseLoose(text) };
+};
+
+// ── Aiken ────────────────────────────────────────────────────────────
+export const parseAiken = (text) => {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const items = [];
+  let cur = null;
+  const flush = () => {
+    if (!cur) return;
+    const errors = [...cur.errors];
+    if (!cur.options.length) errors.push("No options (expected lines like \"A. …\")");
+    if (!cur.answer) errors.push("Missing \"ANSWER: X\" line");
+    let question = null;
+    if (cur.options.length && cur.answer) {
+      const keys = cur.answer.split(/[\s,;&/]+/).filter(Boolean).map(l => OPTION_LETTERS.indexOf(l.toUpperCase()));
+      if (keys.some(k => k < 0 || k >= cur.options.length)) {
+        errors.push(`Line ${cur.answerLine}: answer "${cur.answer}" doesn't match an option`);
+      } else {
+        question = keys.length > 1
+          ? { type: "sata", q: cur.q, options: cur.options, ans: [...new Set(keys)].sort() }
+          : { q: cur.q, options: cur.options, ans: keys[0] };
+        const tf = cur.options.map(o => o.toLowerCase());
+        if (keys.length === 1 && tf.length === 2 && tf[0] === "true" && tf[1] === "false") {
+          question = { type: "tf", q: cur.q, options: [...TF_OPTIONS], ans: keys[0] };
+        }
+        checkMcqWidth(question, errors);
+      }
+    }
+    items.push(item(cur.line, question, errors));
+    cur = null;
+  };
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    const n = i + 1;
+    if (!line) return;
+    const opt = /^([A-Fa-f])[.)]\s+(.+)$/.exec(line);
+    const ans = /^ANSWER\s*:\s*(.+)$/i.exec(line);
+    if (ans) {
+      if (!cur) return items.push(item(n, null, [`Line ${n}: ANSWER with no question above it`]));
+      cur.answer = ans[1].trim(); cur.answerLine = n;
+      flush();
+    } else if (opt && cur && !cur.answer) {
+      const expected = OPTION_LETTERS[cur.options.length];
+      if (opt[1].toUpperCase() !== expected) cur.errors.push(`Line ${n}: option ${opt[1].toUpperCase()} out of order (expected ${expected})`);
+      cur.options.push(opt[2].trim());
+    } else if (cur && !cur.options.length) {
+      cur.q += " " + line; // wrapped stem
+    } else {
+      if (cur) { cur.errors.push(`Line ${n}: new question started before an ANSWER line`); flush(); }
+      cur = { line: n, q: line, options: [], answer: "", answerLine: 0, errors: [] };
+    }
+  });
+  flush();
+  return items;
+};
+
+// ── GIFT ─────────────────────────────────────────────────────────────
+const GIFT_ESC = /\\([~=#{}:\\n])/g;
+const unescapeGift = (s) => s.replace(GIFT_ESC, (_, c) => c === "n" ? "\n" : c).replace(/^\[(?:html|moodle|plain|markdown)\]/i, "").trim();
+
+// Split on an unescaped separator character.
+const splitUnescaped = (s, chars) => {
+  const parts = [];
+  let buf = "", lead = "";
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === "\\" && i + 1 < s.length) { buf += c + s[i + 1]; i++; continue; }
+    if (chars.includes(c)) { if (lead || buf.trim()) parts.push({ lead, text: buf }); lead = c; buf = ""; continue; }
+    buf += c;
+  }
+  if (lead || buf.trim()) parts.push({ lead, text: buf });
+  return parts;
+};
+
+const stripFeedback = (s) => splitUnescaped(s, "#")[0]?.text ?? "";
+
+const indexOfUnescaped = (s, ch, from = 0) => {
+  for (let i = from; i < s.length; i++) {
+    if (s[i] === "\\") { i++; continue; }
+    if (s[i] === ch) return i;
+  }
+  return -1;
+};
+
+// Category paths are "$course$/<exam title>[/<question category>]"; only
+// the optional third segment is kept, as the question's `cat`.
+const categoryOf = (path) => {
+  const parts = String(path || "").split("/").map(s => s.trim()).filter(Boolean);
+  return parts.length >= 3 ? parts[parts.length - 1] : "";
+};
+
+const withCategory = (it, cat) => cat && it.question ? { ...it, question: { ...it.question, cat } } : it;
+
+export const parseGift = (text) => {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let buf = [], start = 0, cat = "";
+  const push = () => { if (buf.length) blocks.push({ line: start, text: buf.join("\n"), cat }); buf = []; };
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (/^\/\//.test(line)) return;
+    const category = /^\$CATEGORY:\s*(.*)$/i.exec(line);
+    if (category) { push(); cat = categoryOf(category[1]); return; }
+    if (!line) return push();
+    if (!buf.length) start = i + 1;
+    buf.push(raw);
+  });
+  push();
+  return blocks.map(b => withCategory(parseGiftBlock(b), b.cat));
+};
+
+const parseGiftBlock = ({ line, text: block }) => {
+  const errors = [];
+  let body = block.trim();
+  const title = /^::(.*?)::/s.exec(body);
+  if (title) body = body.slice(title[0].length).trim();
+  const open = indexOfUnescaped(body, "{");
+  const close = open < 0 ? -1 : indexOfUnescaped(body, "}", open);
+  if (open < 0 || close < 0) return item(line, null, [`Line ${line}: no answer block {…} found`]);
+  const tail = body.slice(close + 1).trim();
+  const stem = unescapeGift(tail ? `${body.slice(0, open).trimEnd()} _____ ${tail}` : body.slice(0, open));
+  let ansBlock = body.slice(open + 1, close).trim();
+
+  // General feedback (####) becomes the explanation.
+  let explanation = "";
+  const gf = ansBlock.indexOf("####");
+  if (gf >= 0) { explanation = unescapeGift(ansBlock.slice(gf + 4)); ansBlock = ansBlock.slice(0, gf).trim(); }
+  const withExp = (q) => explanation ? { ...q, explanation } : q;
+
+  if (!ansBlock) return item(line, null, [`Line ${line}: essay questions ({}) can't be imported here`]);
+  if (ansBlock.startsWith("#")) return item(line, null, [`Line ${line}: numeric questions aren't supported`]);
+
+  const tf = /^(T|TRUE|F|FALSE)\b/i.exec(stripFeedback(ansBlock).trim());
+  if (tf && !/[=~]/.test(ansBlock.replace(GIFT_ESC, ""))) {
+    return item(line, withExp({ type: "tf", q: stem, options: [...TF_OPTIONS], ans: /^T/i.test(tf[1]) ? 0 : 1 }));
+  }
+
+  const answers = splitUnescaped(ansBlock, "=~")
+    .filter(p => p.lead)
+    .map(p => ({ lead: p.lead, text: stripFeedback(p.text).trim() }));
+  if (!answers.length) return item(line, null, [`Line ${line}: couldn't read the answers — each must start with = or ~`]);
+
+  // Matching: =left -> right
+  if (answers.every(a => a.lead === "=" && a.text.includes("->"))) {
+    const pairs = answers.map(a => {
+      const [left, right] = a.text.split("->").map(s => unescapeGift(s));
+      return { left, right };
+    });
+    const extras = pairs.filter(p => !p.left).map(p => p.right);
+    return item(line, withExp({ type: "matching", q: stem, ...buildMatching(pairs, extras) }));
+  }
+
+  if (!answers.some(a => a.lead === "~")) {
+    return item(line, null, [`Line ${line}: short-answer questions (only = answers) aren't supported`]);
+  }
+
+  const options = [], keys = [];
+  let weighted = false;
+  answers.forEach(a => {
+    const w = /^%(-?\d+(?:\.\d+)?)%/.exec(a.text);
+    const txt = unescapeGift(w ? a.text.slice(w[0].length) : a.text);
+    if (w) weighted = true;
+    if (a.lead === "=" || (w && Number(w[1]) > 0)) keys.push(options.length);
+    options.push(txt);
+  });
+  if (!keys.length) errors.push(`Line ${line}: no correct answer (= or positive %weight)`);
+  const q = weighted || keys.length > 1
+    ? { type: "sata", q: stem, options, ans: keys }
+    : { q: stem, options, ans: keys[0] ?? 0 };
+  if (keys.length) checkMcqWidth(q, errors);
+  return item(line, withExp(q), errors);
+};
+
+// ── Loose text (Word papers) ─────────────────────────────────────────
+const norm = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+export const parseLoose = (text) => {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n").map(norm);
+  let from = 0;
+  return parseCbtQuestions(text).map(p => {
+    // Locate the stem's first words to report a line number.
+    const probe = norm(p.q).slice(0, 40);
+    let at = lines.findIndex((l, i) => i >= from && probe && l.includes(probe));
+    if (at < 0) at = from; else from = at + 1;
+    const { _hasAns, ...q } = p;
+    const errors = [];
+    if (!Array.isArray(q.options) || q.options.filter(Boolean).length < 2) errors.push("Fewer than two options were recognised");
+    return item(at + 1, q, errors, _hasAns ? [] : ["No answer found — defaults to A"]);
+  });
+};
+
+// ── CSV / XLSX ───────────────────────────────────────────────────────
+// → [{ line, cells[] }]; delimiter sniffed from the first line.
+export const parseCsv = (text) => {
+  const src = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const first = src.split("\n")[0] || "";
+  const delim = [",", ";", "\t"].sort((a, b) => first.split(b).length - first.split(a).length)[0];
+  const rows = [];
+  let cells = [], cell = "", quoted = false, line = 1, rowLine = 1;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else { if (c === "\n") line++; cell += c; }
+    } else if (c === '"' && !cell) quoted = true;
+    else if (c === delim) { cells.push(cell); cell = ""; }
+    else if (c === "\n") {
+      cells.push(cell); rows.push({ line: rowLine, cells });
+      cells = []; cell = ""; line++; rowLine = line;
+    } else cell += c;
+  }
+  if (cell || cells.length) { cells.push(cell); rows.push({ line: rowLine, cells }); }
+  return rows.filter(r => r.cells.some(c => c.trim()));
+};
+
+// Spreadsheet option columns. Matching questions can carry up to twelve
+// right-hand options, so the sheet layout goes past OPTION_LETTERS.
+export const OPTION_COLUMNS = "ABCDEFGHIJKL";
+
+export const COLUMN_FIELDS = {
+  q: "Question",
+  ...Object.fromEntries([...OPTION_COLUMNS].map(l => [l, `Option ${l}`])),
+  answer: "Answer", explanation: "Explanation", type: "Type", cat: "Category",
+  marks: "Marks", section: "Section", prompts: "Matching items", image: "Image",
+};
+
+const HEADER_GUESS = {
+  q: /^(question|stem|item|q)\b/i,
+  answer: /^(answer|key|correct|ans)\b/i,
+  explanation: /^(explanation|rationale|feedback)/i,
+  type: /^(type|question type)$/i,
+  cat: /^(category|topic|subject)$/i,
+  marks: /^(marks|points)$/i,
+  section: /^section$/i,
+  prompts: /^(prompts|matching items|left)/i,
+  image: /^(image|picture)/i,
+};
+
+// Header row → { field: columnIndex }
+export const guessColumnMap = (header) => {
+  const map = {};
+  header.forEach((h, i) => {
+    const t = String(h || "").trim();
+    const opt = /^(?:option|opt|choice)?\s*([A-L])\s*[).:]?$/i.exec(t);
+    if (opt && map[opt[1].toUpperCase()] === undefined) { map[opt[1].toUpperCase()] = i; return; }
+    Object.entries(HEADER_GUESS).forEach(([field, re]) => { if (map[field] === undefined && re.test(t)) map[field] = i; });
+  });
+  return map;
+};
+
+const TYPE_ALIASES = {
+  mcq: "mcq", single: "mcq", sata: "sata", multiple: "sata", "select all": "sata", tf: "tf", "true/false": "tf", truefalse: "tf",
+  matching: "matching", match: "matching", ordering: "ordering", order: "ordering", hotspot: "hotspot",
+};
+
+// Answer cell, by type:
+//   mcq / sata          letters ("B", "A, C"), 1-based numbers or option text
+//   tf                  True / False
+//   matching            option letter per matching item, in item order ("C, A, B")
+//   ordering            option letters in the correct order ("B, C, A")
+//   hotspot             x, y, w, h of the correct area, as % of the image
+export const rowsToItems = (rows, map, { hasHeader = true } = {}) =>
+  rows.slice(hasHeader ? 1 : 0).map(({ line, cells }) => {
+    const get = (f) => map[f] === undefined ? "" : String(cells[map[f]] ?? "").trim();
+    const errors = [];
+    const text = get("q");
+    const options = [...OPTION_COLUMNS].map(get);
+    while (options.length && !options[options.length - 1]) options.pop();
+    const rawAns = get("answer");
+    let type = TYPE_ALIASES[get("type").toLowerCase()] || "";
+    if (get("type") && !type) errors.push(`Row ${line}: unknown type "${get("type")}" (use mcq, sata, tf, matching, ordering or hotspot)`);
+
+    let keys = [];
+    if (type === "hotspot") {
+      const box = rawAns.split(/[\s,;]+/).filter(Boolean).map(Number);
+      if (box.length !== 4 || box.some(n => !Number.isFinite(n))) errors.push(`Row ${line}: hotspot answer must be "x, y, w, h"`);
+      else keys = box;
+    } else if (/^(true|false)$/i.test(rawAns) && !options.filter(Boolean).length) {
+      type = "tf";
+      keys = [/^true$/i.test(rawAns) ? 0 : 1];
+    } else if (rawAns) {
+      keys = rawAns.split(/\s*[,;&/]\s*/).map(a => {
+        if (/^[A-L]$/i.test(a)) return OPTION_COLUMNS.indexOf(a.toUpperCase());
+        if (/^\d{1,2}$/.test(a)) return Number(a) - 1;
+        return options.findIndex(o => norm(o) === norm(a));
+      });
+      if (keys.some(k => k < 0 || !options[k])) {
+        errors.push(`Row ${line}: answer "${rawAns}" doesn't match a filled option`);
+        keys = keys.filter(k => k >= 0 && options[k]);
+      }
+    } else errors.push(`Row ${line}: answer column is empty`);
+
+    if (!type) type = keys.length > 1 ? "sata" : "mcq";
+    if (options.some(o => !o)) errors.push(`Row ${line}: gap in the options (an empty column between filled ones)`);
+    const marks = get("marks");
+    if (marks && !(Number(marks) > 0)) errors.push(`Row ${line}: marks "${marks}" isn't a positive number`);
+    const base = {
+      q: text, ...(get("explanation") ? { explanation: get("explanation") } : {}), ...(get("cat") ? { cat: get("cat") } : {}),
+      ...(Number(marks) > 0 ? { marks: Number(marks) } : {}), ...(get("section") ? { section: get("section") } : {}),
+    };
+    let question;
+    switch (type) {
+      case "tf":   question = { ...base, type, options: [...TF_OPTIONS], ans: keys[0] ?? 0 }; break;
+      case "sata": question = { ...base, type, options, ans: [...new Set(keys)].sort() }; break;
+      case "ordering":
+        if (keys.length !== options.length || new Set(keys).size !== keys.length) errors.push(`Row ${line}: list every option exactly once, in the correct order`);
+        question = { ...base, type, options, ans: keys };
+        break;
+      case "matching": {
+        const prompts = get("prompts").split("\n").map(p => p.trim()).filter(Boolean);
+        if (keys.length !== prompts.length) errors.push(`Row ${line}: ${prompts.length} matching items but ${keys.length} answer letters`);
+        question = { ...base, type, prompts, options, ans: keys };
+        break;
+      }
+      case "hotspot": {
+        const [x, y, w, h] = keys;
+        question = { ...base, type, image: get("image"), ans: keys.length ? { x, y, w, h } : null };
+        break;
+      }
+      default:
+        if (keys.length > 1) errors.push(`Row ${line}: several answers given for a single-answer question`);
+        question = { ...base, options, ans: keys[0] ?? 0 };
+        checkMcqWidth(question, errors);
+    }
+    return item(line, question, errors);
+  });
+
+// ── Moodle XML and QTI 2.1 ───────────────────────────────────────────
+// Both can embed images; hotspot areas are stored in pixels, so the
+// caller passes imageSize(src) → { width, height } to convert them to %.
+export const bytesToBase64 = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+};
+
+const MIME_BY_EXT = { jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", gif: "image/gif", webp: "image/webp", svg: "image/svg+xml" };
+const mimeOf = (name) => MIME_BY_EXT[String(name).split(".").pop().toLowerCase()] || "image/jpeg";
+
+const pctBox = ({ x, y, w, h }, { width, height }) => {
+  const r = (n) => Math.round(n * 100) / 100;
+  return { x: r(x / width * 100), y: r(y / height * 100), w: r(w / width * 100), h: r(h / height * 100) };
+};
+
+const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  const err = doc.getElementsByTagName("parsererror")[0];
+  if (err) throw new Error(`Not valid XML: ${err.textContent.split("\n")[0]}`);
+  return doc;
+};
+
+const htmlText = (html) => new DOMParser().parseFromString(html, "text/html").body.textContent.trim();
+
+const child = (el, name) => [...(el?.children || [])].find(c => c.localName === name);
+const children = (el, name) => [...(el?.children || [])].filter(c => c.localName === name);
+
+// <questiontext format="…"><text>…</text></questiontext>
+const moodleText = (el) => {
+  const raw = child(el, "text")?.textContent ?? "";
+  return ["plain_text", "markdown"].includes(el?.getAttribute("format")) ? raw.trim() : htmlText(raw);
+};
+
+const MOODLE_TYPES = { multichoice: 1, truefalse: 1, matching: 1, ordering: 1, ddmarker: 1, category: 1 };
+
+export async function parseMoodleXml(text, { imageSize }) {
+  const doc = parseXml(text);
+  const lines = [];
+  for (let re = /<question\b/g, m; (m = re.exec(text));) lines.push(text.slice(0, m.index).split("\n").length);
+  const items = [];
+  let cat = "";
+  const nodes = [...doc.getElementsByTagName("question")];
+  for (let i = 0; i < nodes.length; i++) {
+    const el = nodes[i];
+    const line = lines[i] || 0;
+    const type = el.getAttribute("type");
+    if (type === "category") { cat = categoryOf(child(child(el, "category"), "text")?.textContent); continue; }
+    if (!MOODLE_TYPES[type]) { items.push(item(line, null, [`Line ${line}: Moodle "${type}" questions aren't supported`])); continue; }
+    const stem = moodleText(child(el, "questiontext"));
+    const explanation = moodleText(child(el, "generalfeedback"));
+    // defaultgrade 1 is Moodle's default, so it leaves marks to the exam.
+    const grade = Number(child(el, "defaultgrade")?.textContent);
+    const section = children(child(el, "tags"), "tag").map(t => child(t, "text")?.textContent.trim() || "")
+      .find(t => t.startsWith("section:"))?.slice(8);
+    const base = {
+      q: stem, ...(explanation ? { explanation } : {}),
+      ...(grade > 0 && grade !== 1 ? { marks: grade } : {}), ...(section ? { section } : {}),
+    };
+    const answers = children(el, "answer").map(a => ({ text: moodleText(a), fraction: Number(a.getAttribute("fraction")) || 0 }));
+    const errors = [];
+    let question = null;
+    if (type === "truefalse") {
+      const right = answers.find(a => a.fraction > 0);
+      question = { ...base, type: "tf", options: [...TF_OPTIONS], ans: /^false$/i.test(right?.text || "") ? 1 : 0 };
+    } else if (type === "multichoice") {
+      const options = answers.map(a => a.text);
+      const single = child(el, "single")?.textContent.trim() !== "false";
+      if (single) {
+        const best = answers.reduce((bi, a, ai) => a.fraction > answers[bi].fraction ? ai : bi, 0);
+        question = { ...base, options, ans: best };
+        checkMcqWidth(question, errors);
+      } else {
+        question = { ...base, type: "sata", options, ans: answers.map((a, ai) => a.fraction > 0 ? ai : -1).filter(ai => ai >= 0) };
+      }
+    } else if (type === "matching") {
+      const pairs = children(el, "subquestion").map(sq => ({ left: moodleText(sq), right: child(child(sq, "answer"), "text")?.textContent.trim() || "" }));
+      const extras = pairs.filter(p => !p.left).map(p => p.right);
+      question = { ...base, type: "matching", ...buildMatching(pairs, extras) };
+    } else if (type === "ordering") {
+      question = { ...base, type: "ordering", ...buildOrdering(answers.map(a => a.text)) };
+    } else {
+      // ddmarker: one rectangular drop zone on a background image.
+      const file = children(el, "file")[0];
+      const rect = children(el, "drop").map(d => ({ shape: child(d, "shape")?.textContent.trim(), coords: child(d, "coords")?.textContent.trim() }))
+        .find(d => d.shape === "rectangle");
+      if (!file) errors.push(`Line ${line}: background image missing`);
+      else if (!rect) errors.push(`Line ${line}: only a rectangular drop zone can become a hotspot`);
+      else {
+        const image = `data:${mimeOf(file.getAttribute("name"))};base64,${file.textContent.replace(/\s+/g, "")}`;
+        const [[x, y], [w, h]] = rect.coords.split(";").map(p => p.split(",").map(Number));
+        try {
+          question = { ...base, type: "hotspot", image, ans: pctBox({ x, y, w, h }, await imageSize(image)) };
+        } catch (e) { errors.push(`Line ${line}: ${e.message}`); }
+      }
+    }
+    items.push(withCategory(item(line, question, errors), cat));
+  }
+  return items;
+}
+
+const QTI_INTERACTIONS = ["choiceInteraction", "matchInteraction", "orderInteraction", "selectPointInteraction", "hotspotInteraction"];
+
+// files: { [path]: Uint8Array } from readZip. Items come back in the
+// order the manifest lists them.
+export async function parseQtiPackage(files, { imageSize }) {
+  const dec = new TextDecoder();
+  const manifest = files["imsmanifest.xml"] && parseXml(dec.decode(files["imsmanifest.xml"]));
+  const dirOf = (p) => p.includes("/") ? p.slice(0, p.lastIndexOf("/") + 1) : "";
+  let paths = manifest
+    ? [...manifest.getElementsByTagName("resource")].filter(r => /imsqti_item/.test(r.getAttribute("type") || "")).map(r => r.getAttribute("href"))
+    : [];
+  if (!paths.length) paths = Object.keys(files).filter(n => n.endsWith(".xml") && /<assessmentItem\b/.test(dec.decode(files[n])));
+  if (!paths.length) return [item(0, null, ["No QTI items found in this package"])];
+
+  const items = [];
+  for (let n = 0; n < paths.length; n++) {
+    const path = paths[n];
+    const source = path.split("/").pop();
+    if (!files[path]) { items.push({ ...item(n + 1, null, [`${path} is listed in the manifest but missing`]), source }); continue; }
+    const errors = [];
+    let question = null, doc = null;
+    try {
+      doc = parseXml(dec.decode(files[path]));
+      const body = doc.getElementsByTagName("itemBody")[0];
+      const inter = QTI_INTERACTIONS.map(t => doc.getElementsByTagName(t)[0]).find(Boolean);
+      if (!inter) throw new Error("No supported interaction (choice, match, order, select-point or hotspot)");
+      const prompt = child(inter, "prompt")?.textContent.trim() || "";
+      const lead = [...body.childNodes].filter(c => !QTI_INTERACTIONS.includes(c.localName) && c.localName !== "prompt")
+        .map(c => c.textContent.trim()).filter(Boolean).join(" ");
+      const decl = [...doc.getElementsByTagName("responseDeclaration")].find(d => d.getAttribute("identifier") === inter.getAttribute("responseIdentifier"));
+      const correct = [...(decl?.getElementsByTagName("correctResponse")[0]?.getElementsByTagName("value") || [])].map(v => v.textContent.trim());
+      const feedback = doc.getElementsByTagName("modalFeedback")[0]?.textContent.trim();
+      const outcome = (name) => [...doc.getElementsByTagName("outcomeDeclaration")].find(o => o.getAttribute("identifier") === name)
+        ?.getElementsByTagName("value")[0]?.textContent.trim();
+      const marks = Number(outcome("MAXSCORE"));
+      const section = outcome("SECTION");
+      const base = {
+        q: [lead, prompt].filter(Boolean).join(" "), ...(feedback ? { explanation: feedback } : {}),
+        ...(marks > 0 ? { marks } : {}), ...(section ? { section } : {}),
+      };
+      const choiceText = (c) => c.textContent.trim();
+      switch (inter.localName) {
+        case "choiceInteraction": {
+          const choices = children(inter, "simpleChoice");
+          const ids = choices.map(c => c.getAttribute("identifier"));
+          const options = choices.map(choiceText);
+          let keys = correct.map(v => ids.indexOf(v)).filter(k => k >= 0);
+          if (!keys.length) {
+            keys = [...(decl?.getElementsByTagName("mapEntry") || [])].filter(e => Number(e.getAttribute("mappedValue")) > 0)
+              .map(e => ids.indexOf(e.getAttribute("mapKey"))).filter(k => k >= 0);
+          }
+          if (!keys.length) errors.push("No correct response declared");
+          if (inter.getAttribute("maxChoices") === "1" && keys.length <= 1) {
+            const tf = options.map(o => o.toLowerCase());
+            question = tf.length === 2 && tf[0] === "true" && tf[1] === "false"
+              ? { ...base, type: "tf", options: [...TF_OPTIONS], ans: keys[0] ?? 0 }
+              : { ...base, options, ans: keys[0] ?? 0 };
+            if (questionType(question) === "mcq") checkMcqWidth(question, errors);
+          } else question = { ...base, type: "sata", options, ans: [...new Set(keys)].sort() };
+          break;
+        }
+        case "matchInteraction": {
+          const [left, right] = children(inter, "simpleMatchSet").map(set => children(set, "simpleAssociableChoice"));
+          const rightText = Object.fromEntries((right || []).map(c => [c.getAttribute("identifier"), choiceText(c)]));
+          const paired = Object.fromEntries(correct.map(v => v.split(/\s+/)));
+          const pairs = (left || []).map(c => ({ left: choiceText(c), right: rightText[paired[c.getAttribute("identifier")]] || "" }));
+          const used = new Set(Object.values(paired));
+          const extras = (right || []).filter(c => !used.has(c.getAttribute("identifier"))).map(choiceText);
+          if (pairs.some(p => !p.right)) errors.push("Some matching items have no correct pair");
+          question = { ...base, type: "matching", ...buildMatching(pairs, extras) };
+          break;
+        }
+        case "orderInteraction": {
+          const text = Object.fromEntries(children(inter, "simpleChoice").map(c => [c.getAttribute("identifier"), choiceText(c)]));
+          question = { ...base, type: "ordering", ...buildOrdering(correct.map(v => text[v] || "")) };
+          break;
+        }
+        default: {
+          // selectPoint (areaMapping rect) or hotspot (correct rect hotspotChoice); coords are pixels.
+          const obj = inter.getElementsByTagName("object")[0];
+          const src = obj && dirOf(path) + obj.getAttribute("data");
+          const bytes = src && files[src.replace(/[^/]+\/\.\.\//g, "")];
+          if (!bytes) throw new Error("Item image missing from the package");
+          const image = `data:${obj.getAttribute("type") || mimeOf(src)};base64,${bytesToBase64(bytes)}`;
+          const rect = inter.localName === "selectPointInteraction"
+            ? [...(decl?.getElementsByTagName("areaMapEntry") || [])].find(e => e.getAttribute("shape") === "rect")
+            : children(inter, "hotspotChoice").find(h => correct.includes(h.getAttribute("identifier")) && h.getAttribute("shape") === "rect");
+          if (!rect) throw new Error("Only a rectangular correct area can be imported");
+          const [x1, y1, x2, y2] = rect.getAttribute("coords").split(",").map(Number);
+          const size = obj.getAttribute("width") && obj.getAttribute("height")
+            ? { width: Number(obj.getAttribute("width")), height: Number(obj.getAttribute("height")) }
+            : await imageSize(image);
+          question = { ...base, type: "hotspot", image, ans: pctBox({ x: x1, y: y1, w: x2 - x1, h: y2 - y1 }, size) };
+        }
+      }
+    } catch (e) {
+      errors.push(e.message);
+    }
+    // Our exports put the question's category in the item label.
+    const label = question && doc?.documentElement.getAttribute("label");
+    items.push({ ...withCategory(item(n + 1, question, errors), label), source });
+  }
+  return items;
+}
+
+// ── Diff against the questions already in the exam ──────────────────
+const sameList = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const describeAns = (q) => {
+  const type = questionType(q);
+  if (type === "tf") return TF_OPTIONS[q.ans] ?? "—";
+  if (Array.isArray(q.ans)) return q.ans.map(i => type === "sata" ? OPTION_LETTERS[i] : i + 1).join(", ");
+  return OPTION_LETTERS[q.ans] ?? "—";
+};
+
+// Adds status (error | duplicate | changed | new), the index of the
+// matching existing question and field-level changes to each item.
+// Questions match on their stem text.
+export const diffImport = (items, existing = []) => {
+  const byStem = {};
+  existing.forEach((q, i) => { const k = norm(q.q); if (k && byStem[k] === undefined) byStem[k] = i; });
+  const seen = new Set();
+  return items.map(it => {
+    if (it.errors.length || !it.question) return { ...it, status: "error", changes: [] };
+    const k = norm(it.question.q);
+    if (seen.has(k)) return { ...it, status: "error", errors: ["Same question appears earlier in this file"], changes: [] };
+    seen.add(k);
+    const idx = byStem[k];
+    if (idx === undefined) return { ...it, status: "new", matchIdx: null, changes: [] };
+    const old = existing[idx], nu = it.question;
+    const changes = [];
+    if (questionType(old) !== questionType(nu)) changes.push({ field: "Type", before: questionType(old), after: questionType(nu) });
+    const n = Math.max(old.options?.length || 0, nu.options?.length || 0);
+    for (let i = 0; i < n; i++) {
+      const a = old.options?.[i] || "", b = nu.options?.[i] || "";
+      if (norm(a) !== norm(b)) changes.push({ field: `Option ${OPTION_LETTERS[i] || i + 1}`, before: a, after: b });
+    }
+    if (!sameList(old.prompts, nu.prompts)) changes.push({ field: "Items", before: (old.prompts || []).join(" | "), after: (nu.prompts || []).join(" | ") });
+    if (!sameList(old.ans, nu.ans)) changes.push({ field: "Answer", before: describeAns(old), after: describeAns(nu) });
+    if (norm(old.explanation) !== norm(nu.explanation) && nu.explanation) changes.push({ field: "Explanation", before: old.explanation || "", after: nu.explanation });
+    if (nu.marks && Number(old.marks) !== nu.marks) changes.push({ field: "Marks", before: old.marks ?? "—", after: nu.marks });
+    if (nu.section && old.section !== nu.section) changes.push({ field: "Section", before: old.section || "—", after: nu.section });
+    return { ...it, status: changes.length ? "changed" : "duplicate", matchIdx: idx, changes };
+  });
+};
+
+// replaced: { [existingIdx]: question }. A replaced question keeps its
+// pool id and category but drops any bank link — it no longer matches
+// the bank copy.
+export const applyImport = (existing, added, replaced = {}) => [
+  ...existing.map((q, i) => replaced[i] ? { ...(q.id !== undefined && { id: q.id }), ...(q.cat && { cat: q.cat }), ...replaced[i] } : q),
+  ...added,
+];
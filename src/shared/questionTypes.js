@@ -0,0 +1,117 @@
+// ─── QUESTION TYPES ───────────────────────────────────────────────────
+//
+// Typed question schema shared by the editors, the exam views and
+// scoring. A question with no `type` is the original four-option
+// single-answer MCQ, so every existing paper keeps working untouched.
+//
+// Shapes (all indices are ORIGINAL option indices):
+//   mcq       { q, options[], ans: idx }
+//   tf        { q, options:["True","False"], ans: 0|1 }
+//   sata      { q, options[], ans: [idx…] }         — partial credit
+//   matching  { q, prompts[], options[], ans: [optIdx per prompt] }
+//   ordering  { q, options[], ans: [idx in correct order] }
+//   hotspot   { q, image, ans: { x, y, w, h } }     — % of image size
+//
+// A single-choice question may also carry `accept: [idx…]` — further
+// options marked correct when its key was corrected after an exam (see
+// shared/rekey.js).
+//
+// Scoring (questionType, scoreResponse and the Firestore value
+// wrapping) comes from functions/questionTypes.js, so the browser and
+// the CBT grader can't mark differently.
+
+import { decodeValue, encodeValue, questionType, scoreResponse } from "../../functions/questionTypes.js";
+
+export { decodeValue, encodeValue, questionType, scoreResponse };
+
+export const QUESTION_TYPES = {
+  mcq:      { label:"Single answer",          icon:"🔘" },
+  tf:       { label:"True / False",           icon:"⚖️" },
+  sata:     { label:"Select all that apply",  icon:"☑️" },
+  matching: { label:"Matching",               icon:"🔗" },
+  ordering: { label:"Ordered response",       icon:"🔢" },
+  hotspot:  { label:"Image hotspot",          icon:"🎯" },
+};
+
+export const TF_OPTIONS = ["True", "False"];
+export const MAX_OPTIONS = 6;
+export const OPTION_LETTERS = "ABCDEF";
+
+// Single-choice types render and grade exactly like the classic MCQ.
+export const isSingleChoice = (q) => ["mcq", "tf"].includes(questionType(q));
+
+const isIdx = (v) => Number.isInteger(v) && v >= 0;
+
+export const isAnswered = (q, resp) => {
+  switch (questionType(q)) {
+    case "sata":
+    case "ordering": return Array.isArray(resp) && resp.length > 0;
+    case "matching": return Array.isArray(resp) && resp.some(isIdx);
+    case "hotspot":  return !!resp && typeof resp.x === "number";
+    default:         return isIdx(resp);
+  }
+};
+
+// ── Editor helpers ───────────────────────────────────────────────────
+// Matching and ordering items are stored scrambled: the option order
+// in an exam doc would otherwise give the answer away to anyone who
+// reads it.
+const scramble = (n) => {
+  const idx = [...Array(n).keys()];
+  for (let tries = 0; tries < 5; tries++) {
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [idx[i], idx[j]] = [idx[j], idx[i]];
+    }
+    if (n < 2 || idx.some((v, i) => v !== i)) break;
+  }
+  return idx;
+};
+
+// steps in correct order → { options (scrambled), ans }
+export const buildOrdering = (steps) => {
+  const clean = steps.map(s => s.trim()).filter(Boolean);
+  const perm = scramble(clean.length);           // perm[pos] = step index
+  const options = perm.map(si => clean[si]);
+  return { options, ans: clean.map((_, si) => perm.indexOf(si)) };
+};
+
+export const orderedSteps = (q) => (q.ans || []).map(i => q.options[i]);
+
+// pairs [{left, right}] + extra distractor rights → { prompts, options, ans }
+export const buildMatching = (pairs, extras = []) => {
+  const clean = pairs.filter(p => p.left.trim() && p.right.trim());
+  const rights = [...clean.map(p => p.right.trim()), ...extras.map(e => e.trim()).filter(Boolean)];
+  const perm = scramble(rights.length);
+  const options = perm.map(ri => rights[ri]);
+  return {
+    prompts: clean.map(p => p.left.trim()),
+    options,
+    ans: clean.map((_, pi) => perm.indexOf(pi)),
+  };
+};
+
+export const matchingPairs = (q) => (q.prompts || []).map((left, i) => ({ left, right: q.options?.[q.ans?.[i]] ?? "" }));
+
+export const matchingExtras = (q) => (q.options || []).filter((_, oi) => !(q.ans || []).includes(oi));
+
+// Returns an error message, or "" when the question is complete.
+export const validateQuestion = (q) => {
+  if (!String(q.q || "").trim()) return "Question text is required";
+  const opts = (q.options || []).filter(o => String(o).trim());
+  switch (questionType(q)) {
+    case "tf": return isIdx(q.ans) && q.ans < 2 ? "" : "Pick True or False";
+    case "sata":
+      if (opts.length < 3) return "Add at least three options";
+      return Array.isArray(q.ans) && q.ans.length ? "" : "Tick at least one correct option";
+    case "matching":
+      return (q.prompts || []).length >= 2 ? "" : "Add at least two complete pairs";
+    case "ordering":
+      return opts.length >= 3 ? "" : "Add at least three steps";
+    case "hotspot":
+      if (!q.image) return "Upload an image";
+      return q.ans && q.ans.w > 0 && q.ans.h > 0 ? "" : "Mark the correct area on the image";
+    default:
+      return opts.length >= 2 && q.options[0] && q.options[1] ? "" : "At least options A and B are required";
+  }
+};
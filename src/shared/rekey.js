@@ -0,0 +1,77 @@
+// ─── ANSWER-KEY CORRECTIONS ───────────────────────────────────────────
+//
+// A key found wrong after students have sat a paper is corrected in
+// place and every stored attempt is marked again, so nobody keeps a
+// score earned (or lost) on the mistake. Three kinds of correction:
+//
+//   replace  the key becomes another option
+//   accept   further options count as correct too — the question's
+//            `accept` list, scored by questionTypes.js scoreResponse
+//   void     the question counts for nobody: it leaves every score and
+//            total. Practice papers mark it `void`; CBT exams discard
+//            it, as at moderation.
+//
+// Replace and accept are for single-answer and true/false questions;
+// any question can be voided. CBT keys are corrected server-side
+// (rekeyCbtQuestion in functions/index.js — keep the validation in
+// step); NC papers in the browser, against each student's stored
+// attempt (services/backend.js rescorePaperAttempts).
+
+import { OPTION_LETTERS, TF_OPTIONS, isSingleChoice, questionType } from "./questionTypes.js";
+
+export const REKEY_MODES = {
+  replace: { label: "Correct the key",   icon: "🔑" },
+  accept:  { label: "Also accept",       icon: "➕" },
+  void:    { label: "Void the question", icon: "🚫" },
+};
+
+export const optionLabel = (q, i) => questionType(q) === "tf" ? TF_OPTIONS[i] : OPTION_LETTERS[i] ?? `#${i + 1}`;
+
+const isOption = (q, i) => Number.isInteger(i) && i >= 0 &&
+  (questionType(q) === "tf" ? i < 2 : !!q.options?.[i]);
+
+// change: { mode, ans?, accept? } → an error message, or "" when valid.
+export const validateRekey = (q, change) => {
+  if (!REKEY_MODES[change?.mode]) return "Pick a correction";
+  if (change.mode === "void") return q.void ? "This question is already void" : "";
+  if (!isSingleChoice(q)) return "Only single-answer and true/false keys can be corrected — void the question instead";
+  if (change.mode === "replace") {
+    if (!isOption(q, change.ans)) return "Pick the correct option";
+    return change.ans === q.ans ? "That is already the key" : "";
+  }
+  const list = change.accept || [];
+  if (list.some(i => !isOption(q, i))) return "An accepted answer isn't one of the options";
+  const same = [...new Set(list)].filter(i => i !== q.ans).sort().join() === [...(q.accept || [])].sort().join();
+  return same ? "Nothing has changed" : "";
+};
+
+// The question as it reads after the correction.
+export const rekeyQuestion = (q, change) => {
+  const withAccept = (next, list) => {
+    const { accept, ...rest } = next;
+    const clean = [...new Set(list)].filter(i => i !== next.ans).sort((a, b) => a - b);
+    return clean.length ? { ...rest, accept: clean } : rest;
+  };
+  if (change.mode === "replace") return withAccept({ ...q, ans: change.ans }, q.accept || []);
+  if (change.mode === "accept") return withAccept(q, change.accept || []);
+  return { ...q, void: true };
+};
+
+// One line for the audit trail and notifications, e.g. "Key B → C".
+export const describeRekey = (q, change) => {
+  if (change.mode === "void") return "Question voided";
+  if (change.mode === "replace") return `Key ${optionLabel(q, q.ans)} → ${optionLabel(q, change.ans)}`;
+  const list = [...new Set(change.accept || [])].filter(i => i !== q.ans);
+  return list.length
+    ? `${optionLabel(q, q.ans)} or ${list.map(i => optionLabel(q, i)).join(" or ")} accepted`
+    : `Only ${optionLabel(q, q.ans)} accepted`;
+};
+
+// Totals for a before/after table: changes is [{ before, after }] with
+// { score, total, percent, passed? } on each side.
+export const rescoreSummary = (changes) => ({
+  up:       changes.filter(c => c.after.score > c.before.score).length,
+  down:     changes.filter(c => c.after.score < c.before.score).length,
+  nowPass:  changes.filter(c => c.after.passed && c.before.passed === false).length,
+  nowFail:  changes.filter(c => c.after.passed === false && c.before.passed).length,
+});
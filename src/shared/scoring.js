@@ -0,0 +1,66 @@
+// ─── SCORING ──────────────────────────────────────────────────────────
+//
+// One marking scheme for every MCQ engine: practice banks, the nursing
+// and school past-question papers, and CBT. A paper or exam may carry a
+// `scoring` object; without one it marks exactly as before, one mark
+// per correct answer with a pass at 50%.
+//
+//   marks       marks per question (default 1). A question's own
+//               `marks` overrides it; so does a CBT section's.
+//   negative    fraction of a question's marks lost for a wrong answer,
+//               e.g. 0.25. "Wrong" means no credit at all, so a partly
+//               right SATA or matching answer never loses marks.
+//   unanswered  "zero"     blank scores 0 (default)
+//               "negative" blank is marked as a wrong answer
+//               "exclude"  blank is left out of the total
+//   passMark    pass threshold, percent of the total (default 50)
+//
+// The marking itself is functions/scoring.js, which also scores CBT
+// attempts server-side; this adds the browser-only helpers.
+
+import { isAnswered, scoreResponse } from "./questionTypes.js";
+import { DEFAULT_PASS_MARK, applyPenalties, markQuestion, questionMarks, scorePaper, scoringScheme } from "../../functions/scoring.js";
+
+export { DEFAULT_PASS_MARK, applyPenalties, markQuestion, questionMarks, scorePaper, scoringScheme };
+
+export const UNANSWERED_POLICIES = {
+  zero:     "Scores zero",
+  negative: "Marked as wrong",
+  exclude:  "Left out of the total",
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Marks a wrong answer costs on a question worth `marks`.
+export const negativeMarks = (marks, negative) => round2(marks * negative);
+
+// Questions that carry their own key (`ans`) against one answer per
+// question — the practice engines, which mark in the browser. A question
+// voided after the exam (`void`, see rekey.js) counts for nobody.
+export const scoreAnswers = (questions, answers, scheme) =>
+  scorePaper(questions.map((q, i) => ({
+    q, credit: isAnswered(q, answers?.[i]) ? scoreResponse(q, q.ans, answers[i]) : null,
+  })).filter(it => !it.q.void), scheme);
+
+export const isPass = (percent, scheme) => (Number(percent) || 0) >= scoringScheme(scheme).passMark;
+
+// A stored result (nv-results entry, practice attempt or CBT result).
+// Older entries have no `passed` and fall back to the default pass mark.
+export const resultPassed = (r) =>
+  typeof r?.passed === "boolean" ? r.passed : isPass(r?.pct ?? r?.percent);
+
+export const gradeLetter = (percent) =>
+  percent >= 70 ? "A" : percent >= 60 ? "B" : percent >= 50 ? "C" : percent >= 40 ? "D" : "F";
+
+// One line for paper headers and instructions, e.g.
+// "2 marks each • −0.5 per wrong answer • blanks left out • pass 60%".
+export const describeScheme = (scheme) => {
+  const s = scoringScheme(scheme);
+  return [
+    `${s.marks} mark${s.marks === 1 ? "" : "s"} each`,
+    s.negative ? `−${negativeMarks(s.marks, s.negative)} per wrong answer` : "",
+    s.unanswered === "negative" && s.negative ? "blanks count as wrong" : "",
+    s.unanswered === "exclude" ? "blanks left out of the total" : "",
+    `pass ${s.passMark}%`,
+  ].filter(Boolean).join(" • ");
+};
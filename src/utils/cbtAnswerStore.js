@@ -0,0 +1,62 @@
+// ─── CBT ANSWER STORE ────────────────────────────────────────────────
+// Device-local copy of a running CBT attempt, written on every answer so
+// a crash, reload or dead battery loses nothing — even answers that
+// never reached Firestore. IndexedDB rather than localStorage: it
+// survives storage pressure better and doesn't block the exam page.
+// Every call fails soft (resolves null) when IndexedDB is unavailable.
+//
+// Offline sittings (see shared/cbtPackage.js) keep their downloaded
+// packages and the signed answer sheets waiting to upload here too.
+
+const DB_NAME = "nv_cbt_attempts";
+const STORES  = ["attempts", "packages", "outbox"];
+
+const openDb = () => new Promise(resolve => {
+  try {
+    const req = indexedDB.open(DB_NAME, 2);
+    req.onupgradeneeded = e => {
+      const db = e.target.result;
+      STORES.filter(s => !db.objectStoreNames.contains(s)).forEach(s => db.createObjectStore(s));
+    };
+    req.onsuccess = e => resolve(e.target.result);
+    req.onerror = () => resolve(null);
+  } catch { resolve(null); }
+});
+
+const run = async (store, mode, fn) => {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction(store, mode);
+      const req = fn(tx.objectStore(store));
+      tx.oncomplete = () => { db.close(); resolve(req.result ?? null); };
+      tx.onerror = tx.onabort = () => { db.close(); resolve(null); };
+    } catch { db.close(); resolve(null); }
+  });
+};
+
+const keyOf = (examId, student) => `${examId}__${student}`;
+
+// record: { answers[], pending: [positions not yet in Firestore], qIdx, savedAt }
+export const saveLocalAttempt  = (examId, student, record) => run("attempts", "readwrite", s => s.put(record, keyOf(examId, student)));
+export const loadLocalAttempt  = (examId, student) => run("attempts", "readonly", s => s.get(keyOf(examId, student)));
+export const clearLocalAttempt = (examId, student) => run("attempts", "readwrite", s => s.delete(keyOf(examId, student)));
+
+// Offline sittings keep their progress apart from online attempts.
+// record: { answers[], qIdx, startedAt, activeMs, violations[], mac }
+export const saveOfflineProgress  = (examId, student, record) => saveLocalAttempt(`offline:${examId}`, student, record);
+export const loadOfflineProgress  = (examId, student) => loadLocalAttempt(`offline:${examId}`, student);
+export const clearOfflineProgress = (examId, student) => clearLocalAttempt(`offline:${examId}`, student);
+
+// record: { examId, student, title, envelope, clockOffset, closesAt, downloadedAt }
+export const saveOfflinePackage   = (record) => run("packages", "readwrite", s => s.put(record, keyOf(record.examId, record.student)));
+export const deleteOfflinePackage = (examId, student) => run("packages", "readwrite", s => s.delete(keyOf(examId, student)));
+export const listOfflinePackages  = async (student) =>
+  ((await run("packages", "readonly", s => s.getAll())) || []).filter(p => p.student === student);
+
+// record: { examId, student, title, submission, mac, queuedAt, lastError? }
+export const queueOfflineUpload  = (record) => run("outbox", "readwrite", s => s.put(record, keyOf(record.examId, record.student)));
+export const removeOfflineUpload = (examId, student) => run("outbox", "readwrite", s => s.delete(keyOf(examId, student)));
+export const listOfflineUploads  = async (student) =>
+  ((await run("outbox", "readonly", s => s.getAll())) || []).filter(u => u.student === student);
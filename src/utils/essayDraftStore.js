@@ -0,0 +1,40 @@
+// ─── ESSAY DRAFT STORE ───────────────────────────────────────────────
+// Device-local copy of a running essay attempt, written on every
+// keystroke so a reload or a dropped connection loses nothing that the
+// Firestore draft hasn't caught up with yet. Same fail-soft IndexedDB
+// pattern as cbtAnswerStore.js.
+
+const DB_NAME = "nv_essay_drafts";
+const STORE   = "drafts";
+
+const openDb = () => new Promise(resolve => {
+  try {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = e => e.target.result.createObjectStore(STORE);
+    req.onsuccess = e => resolve(e.target.result);
+    req.onerror = () => resolve(null);
+  } catch { resolve(null); }
+});
+
+const run = async (mode, fn) => {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => { db.close(); resolve(req.result ?? null); };
+      tx.onerror = tx.onabort = () => { db.close(); resolve(null); };
+    } catch { db.close(); resolve(null); }
+  });
+};
+
+const keyOf = (bankId, student) => `${bankId}__${student}`;
+
+// record: { answers: { [qIdx]: text }, pending: [qIdx not yet in Firestore], savedAt }
+export const saveLocalDraft  = (bankId, student, record) => run("readwrite", s => s.put(record, keyOf(bankId, student)));
+export const loadLocalDraft  = (bankId, student) => run("readonly", s => s.get(keyOf(bankId, student)));
+export const clearLocalDraft = (bankId, student) => run("readwrite", s => s.delete(keyOf(bankId, student)));
+export const listLocalDrafts = async (student) =>
+  ((await run("readonly", s => s.getAllKeys())) || [])
+    .filter(k => String(k).endsWith(`__${student}`)).map(k => String(k).slice(0, -`__${student}`.length));
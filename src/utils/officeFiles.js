@@ -0,0 +1,234 @@
+// ─── OFFICE FILE READERS ─────────────────────────────────────────────
+// Just enough of .docx / .xlsx to pull question text and cell values out
+// in the browser. Both are ZIP archives of XML; entries are inflated
+// with the built-in DecompressionStream, so no parser library ships in
+// the bundle. The same ZIP plumbing reads and writes QTI packages.
+
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const S_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser can't open .docx/.xlsx files — save as CSV or plain text instead.");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// → { [entryName]: Uint8Array } for the entries `wanted(name)` accepts.
+export async function readZip(buffer, wanted = () => true) {
+  const dv = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (dv.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a valid Office file (zip directory missing).");
+  const count = dv.getUint16(eocd + 10, true);
+  let p = dv.getUint32(eocd + 16, true);
+  const dec = new TextDecoder();
+  const out = {};
+  for (let n = 0; n < count; n++) {
+    if (dv.getUint32(p, true) !== 0x02014b50) break;
+    const method  = dv.getUint16(p + 10, true);
+    const csize   = dv.getUint32(p + 20, true);
+    const nameLen = dv.getUint16(p + 28, true);
+    const extra   = dv.getUint16(p + 30, true);
+    const comment = dv.getUint16(p + 32, true);
+    const local   = dv.getUint32(p + 42, true);
+    const name = dec.decode(new Uint8Array(buffer, p + 46, nameLen));
+    p += 46 + nameLen + extra + comment;
+    if (!wanted(name)) continue;
+    const start = local + 30 + dv.getUint16(local + 26, true) + dv.getUint16(local + 28, true);
+    const data = new Uint8Array(buffer, start, csize);
+    if (method === 0) out[name] = data;
+    else if (method === 8) out[name] = await inflateRaw(data);
+    else throw new Error(`Unsupported compression in ${name}.`);
+  }
+  return out;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// [{ name, data: string | Uint8Array }] → Blob of an uncompressed zip.
+export function makeZip(entries, type = "application/zip") {
+  const enc = new TextEncoder();
+  const parts = [], central = [];
+  let offset = 0;
+  entries.forEach(({ name, data }) => {
+    const nameBytes = enc.encode(name);
+    const body = typeof data === "string" ? enc.encode(data) : data;
+    const crc = crc32(body);
+    const head = new DataView(new ArrayBuffer(30));
+    head.setUint32(0, 0x04034b50, true);
+    head.setUint16(4, 20, true);
+    head.setUint16(6, 0x0800, true);            // UTF-8 names
+    head.setUint32(14, crc, true);
+    head.setUint32(18, body.length, true);
+    head.setUint32(22, body.length, true);
+    head.setUint16(26, nameBytes.length, true);
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, body.length, true);
+    dir.setUint32(24, body.length, true);
+    dir.setUint16(28, nameBytes.length, true);
+    dir.setUint32(42, offset, true);
+    parts.push(head, nameBytes, body);
+    central.push(dir, nameBytes);
+    offset += 30 + nameBytes.length + body.length;
+  });
+  const size = central.reduce((n, p) => n + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end], { type });
+}
+
+const xml = (bytes) => new DOMParser().parseFromString(new TextDecoder().decode(bytes), "application/xml");
+
+const ROMAN = [[10,"x"],[9,"ix"],[5,"v"],[4,"iv"],[1,"i"]];
+const toRoman = (n) => ROMAN.reduce((s, [v, r]) => { while (n >= v) { s += r; n -= v; } return s; }, "");
+
+// Word's automatic numbering isn't in the paragraph text, but question
+// parsers rely on "1." / "A." prefixes — rebuild them from numbering.xml.
+const numberingFormats = (doc) => {
+  if (!doc) return { fmt: () => null };
+  const abstract = {};
+  [...doc.getElementsByTagNameNS(W_NS, "abstractNum")].forEach(a => {
+    const id = a.getAttributeNS(W_NS, "abstractNumId");
+    abstract[id] = {};
+    [...a.getElementsByTagNameNS(W_NS, "lvl")].forEach(l => {
+      const fmt = l.getElementsByTagNameNS(W_NS, "numFmt")[0]?.getAttributeNS(W_NS, "val") || "decimal";
+      const start = Number(l.getElementsByTagNameNS(W_NS, "start")[0]?.getAttributeNS(W_NS, "val") || 1);
+      abstract[id][l.getAttributeNS(W_NS, "ilvl")] = { fmt, start };
+    });
+  });
+  const nums = {};
+  [...doc.getElementsByTagNameNS(W_NS, "num")].forEach(n => {
+    const abs = n.getElementsByTagNameNS(W_NS, "abstractNumId")[0]?.getAttributeNS(W_NS, "val");
+    nums[n.getAttributeNS(W_NS, "numId")] = abstract[abs] || {};
+  });
+  return { fmt: (numId, ilvl) => nums[numId]?.[ilvl] || null };
+};
+
+const formatNumber = (fmt, n) => {
+  switch (fmt) {
+    case "upperLetter": return String.fromCharCode(64 + ((n - 1) % 26) + 1) + ".";
+    case "lowerLetter": return String.fromCharCode(96 + ((n - 1) % 26) + 1) + ".";
+    case "upperRoman":  return toRoman(n).toUpperCase() + ".";
+    case "lowerRoman":  return toRoman(n) + ".";
+    case "bullet":      return "";
+    default:            return n + ".";
+  }
+};
+
+// .docx → plain text, one paragraph per line (auto-numbering restored).
+export async function docxToText(buffer) {
+  const files = await readZip(buffer, n => n === "word/document.xml" || n === "word/numbering.xml");
+  if (!files["word/document.xml"]) throw new Error("No document body found — is this a .docx file?");
+  const body = xml(files["word/document.xml"]);
+  const numbering = numberingFormats(files["word/numbering.xml"] && xml(files["word/numbering.xml"]));
+  const counters = {};
+  const lines = [];
+  [...body.getElementsByTagNameNS(W_NS, "p")].forEach(p => {
+    let text = "";
+    const walk = (node) => {
+      for (const c of node.childNodes) {
+        if (c.namespaceURI !== W_NS) { if (c.childNodes?.length) walk(c); continue; }
+        if (c.localName === "t") text += c.textContent;
+        else if (c.localName === "tab") text += "\t";
+        else if (c.localName === "br" || c.localName === "cr") text += "\n";
+        else if (!["pPr", "p"].includes(c.localName)) walk(c); // nested p (text boxes) get their own line
+      }
+    };
+    walk(p);
+    const numPr = p.getElementsByTagNameNS(W_NS, "numPr")[0];
+    if (numPr && text.trim()) {
+      const numId = numPr.getElementsByTagNameNS(W_NS, "numId")[0]?.getAttributeNS(W_NS, "val");
+      const ilvl = numPr.getElementsByTagNameNS(W_NS, "ilvl")[0]?.getAttributeNS(W_NS, "val") || "0";
+      const lvl = numbering.fmt(numId, ilvl);
+      if (lvl) {
+        const key = `${numId}:${ilvl}`;
+        counters[key] = (counters[key] ?? lvl.start - 1) + 1;
+        // A new item at this level restarts the levels beneath it.
+        Object.keys(counters).forEach(k => {
+          const [id, l] = k.split(":");
+          if (id === numId && Number(l) > Number(ilvl)) delete counters[k];
+        });
+        const prefix = formatNumber(lvl.fmt, counters[key]);
+        if (prefix) text = `${prefix} ${text}`;
+      }
+    }
+    lines.push(text);
+  });
+  return lines.join("\n");
+}
+
+const colIndex = (ref) => {
+  const letters = /^[A-Z]+/.exec(ref || "")?.[0] || "A";
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+};
+
+// .xlsx → rows of cell strings from the first worksheet, each tagged
+// with its spreadsheet row number.
+export async function xlsxToRows(buffer) {
+  const files = await readZip(buffer, n => n.startsWith("xl/") && n.endsWith(".xml") || n === "xl/_rels/workbook.xml.rels");
+  let sheetPath = "xl/worksheets/sheet1.xml";
+  if (files["xl/workbook.xml"] && files["xl/_rels/workbook.xml.rels"]) {
+    const first = xml(files["xl/workbook.xml"]).getElementsByTagNameNS(S_NS, "sheet")[0];
+    const rid = first && [...first.attributes].find(a => a.localName === "id")?.value;
+    const rel = [...xml(files["xl/_rels/workbook.xml.rels"]).getElementsByTagName("Relationship")]
+      .find(r => r.getAttribute("Id") === rid);
+    if (rel) sheetPath = "xl/" + rel.getAttribute("Target").replace(/^\/?xl\//, "").replace(/^\//, "");
+  }
+  if (!files[sheetPath]) throw new Error("No worksheet found in this workbook.");
+  const shared = files["xl/sharedStrings.xml"]
+    ? [...xml(files["xl/sharedStrings.xml"]).getElementsByTagNameNS(S_NS, "si")].map(si =>
+        [...si.getElementsByTagNameNS(S_NS, "t")].map(t => t.textContent).join(""))
+    : [];
+  return [...xml(files[sheetPath]).getElementsByTagNameNS(S_NS, "row")].map(row => {
+    const cells = [];
+    [...row.getElementsByTagNameNS(S_NS, "c")].forEach(c => {
+      const t = c.getAttribute("t");
+      const v = c.getElementsByTagNameNS(S_NS, "v")[0]?.textContent ?? "";
+      const val = t === "s" ? shared[Number(v)] ?? ""
+        : t === "inlineStr" ? [...c.getElementsByTagNameNS(S_NS, "t")].map(x => x.textContent).join("")
+        : t === "b" ? (v === "1" ? "TRUE" : "FALSE")
+        : v;
+      cells[colIndex(c.getAttribute("r"))] = val;
+    });
+    return { line: Number(row.getAttribute("r")) || 0, cells: Array.from(cells, v => v ?? "") };
+  });
+}
+
+// Natural pixel size of an image (data URL or web URL).
+export const imageSize = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+  img.onerror = () => reject(new Error("Image could not be loaded"));
+  img.src = src;
+});
+
+// Bytes, MIME type and size of a question image, for packaging.
+export async function loadImageFile(src) {
+  const res = await fetch(src);
+  if (!res.ok) throw new Error(`Image download failed (${res.status})`);
+  const blob = await res.blob();
+  const { width, height } = await imageSize(src);
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), mime: blob.type || "image/jpeg", width, height };
+}